@@ -22,6 +22,13 @@ jest.mock('./src/lib/prisma.js', () => ({
       findUnique: jest.fn(),
       findMany: jest.fn(),
     },
+    authSession: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
     learningSession: {
       findUnique: jest.fn(),
       findMany: jest.fn(),
@@ -64,6 +71,7 @@ jest.mock('./src/lib/logger.js', () => ({
   logAuth: jest.fn(),
   logError: jest.fn(),
   logInfo: jest.fn(),
+  logWarn: jest.fn(),
   logPerformance: jest.fn(),
   logger: {
     error: jest.fn(),
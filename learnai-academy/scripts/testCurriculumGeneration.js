@@ -9,13 +9,16 @@
  * Make sure you have at least one AI provider API key configured:
  *   - GROQ_API_KEY
  *   - OPENAI_API_KEY
+ *   - ANTHROPIC_API_KEY
  *   - GEMINI_API_KEY
  *   - KIMI_API_KEY
+ *
+ * Or run offline against canned fixtures with LLM_PROVIDER=mock.
  */
 
 import { CurriculumAgent } from '../src/services/ai/agents/CurriculumAgent.js';
 import { curriculumGeneratorService } from '../src/services/curriculum/curriculumGeneratorService.js';
-import { aiProvider } from '../src/services/ai/aiProviderConfig.js';
+import { llmGateway } from '../src/services/ai/llmGateway.js';
 
 // Test configuration
 const TEST_CONFIG = {
@@ -34,10 +37,10 @@ async function testAIProviderStatus() {
   console.log('\n📊 Testing AI Provider Status...\n');
   
   try {
-    const status = aiProvider.getStatus();
+    const status = llmGateway.getStatus();
     console.log('Available Providers:');
-    status.available.forEach(provider => {
-      console.log(`  ✅ ${provider.name} (${provider.key}) - Priority: ${provider.priority}`);
+    status.providers.filter(provider => provider.enabled).forEach(provider => {
+      console.log(`  ✅ ${provider.name} (${provider.key}) - Priority: ${provider.priority} - Circuit: ${provider.circuit.state}`);
     });
     
     if (status.current) {
@@ -61,7 +64,7 @@ async function testAIChat() {
   console.log('\n💬 Testing AI Chat...\n');
   
   try {
-    const response = await aiProvider.chat([
+    const response = await llmGateway.chat([
       { role: 'system', content: 'You are a helpful curriculum assistant.' },
       { role: 'user', content: 'Explain what fractions are in one sentence.' }
     ], {
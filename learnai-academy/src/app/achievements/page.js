@@ -6,6 +6,7 @@ import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import AchievementBadge from '@/components/progress/AchievementBadge';
 import { useAuth } from '@/hooks/useAuth';
 import { Home, Trophy } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function AchievementsPage() {
   const router = useRouter();
@@ -29,7 +30,7 @@ export default function AchievementsPage() {
 
       if (!studentId) return;
 
-      const response = await fetch(`/api/achievements?studentId=${studentId}`, {
+      const response = await apiFetch(`/api/achievements?studentId=${studentId}`, {
         credentials: 'include',
       });
 
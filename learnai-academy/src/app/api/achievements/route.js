@@ -1,10 +1,12 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering - this route requires runtime data
 export const dynamic = 'force-dynamic';
 
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     // Early return if executed during build (no real request)
     if (!request || !request.url || process.env.NEXT_PHASE === 'phase-production-build') {
@@ -64,4 +66,7 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { costLedger } from '@/services/ai/costLedger';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses authentication
+export const dynamic = 'force-dynamic';
+
+const budgetSchema = z.object({
+  scope: z.enum(['STUDENT', 'PARENT', 'TENANT']),
+  scopeId: z.string().min(1),
+  dailyLimit: z.number().nonnegative().nullable().optional(),
+  monthlyLimit: z.number().nonnegative().nullable().optional(),
+  onExceeded: z.enum(['DOWNGRADE', 'REFUSE']).optional(),
+});
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * GET /api/admin/ai-costs
+ * AI spend grouped by agent type
+ *
+ * Query params: from, to (ISO dates, default: start of the current month
+ * to now), tenantId (optional)
+ */
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const now = new Date();
+    const from = parseDate(searchParams.get('from'))
+      || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = parseDate(searchParams.get('to'));
+    const tenantId = searchParams.get('tenantId') || undefined;
+
+    const report = await costLedger.getSpendByAgentType({ from, to, tenantId });
+
+    return NextResponse.json({
+      success: true,
+      from,
+      to: to || now,
+      tenantId: tenantId || null,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error fetching AI costs:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch AI costs' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.AI_COSTS_READ });
+
+/**
+ * PUT /api/admin/ai-costs
+ * Create or update a student, parent or tenant budget (USD)
+ */
+export const PUT = withAuth(async (request) => {
+  try {
+    const body = await request.json();
+    const data = budgetSchema.parse(body);
+    const budget = await costLedger.setBudget(data);
+
+    return NextResponse.json({
+      success: true,
+      budget,
+    });
+  } catch (error) {
+    console.error('Error updating AI budget:', error);
+
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to update AI budget' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.AI_BUDGET_MANAGE });
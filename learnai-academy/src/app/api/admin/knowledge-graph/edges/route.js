@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { knowledgeGraphService, KnowledgeGraphError } from '@/services/learning/knowledgeGraphService.js';
+import { EDGE_TYPES } from '@/lib/skillGraph';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const edgeSchema = z.object({
+  from: z.string().min(1),
+  to: z.string().min(1),
+  type: z.enum(Object.values(EDGE_TYPES)).default(EDGE_TYPES.PREREQUISITE),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof z.ZodError) {
+    return NextResponse.json(
+      { error: 'Validation error', details: error.errors },
+      { status: 400 }
+    );
+  }
+
+  if (error instanceof KnowledgeGraphError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code, details: error.details },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * POST /api/admin/knowledge-graph/edges
+ * Connect two skills. An edge that would create a cycle is refused with
+ * 409 and the cycle in details.cycle.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const body = await request.json();
+    const edge = await knowledgeGraphService.addEdge(edgeSchema.parse(body));
+
+    return NextResponse.json({ success: true, edge }, { status: 201 });
+  } catch (error) {
+    return errorResponse(error, 'Failed to add edge');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
+
+/**
+ * DELETE /api/admin/knowledge-graph/edges
+ * Disconnect two skills
+ *
+ * Query params: from, to, type (default prerequisite)
+ */
+export const DELETE = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const edge = edgeSchema.parse({
+      from: searchParams.get('from'),
+      to: searchParams.get('to'),
+      type: searchParams.get('type') || undefined,
+    });
+
+    const result = await knowledgeGraphService.removeEdge(edge);
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error, 'Failed to remove edge');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
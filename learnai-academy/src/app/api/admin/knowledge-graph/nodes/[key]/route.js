@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { knowledgeGraphService, KnowledgeGraphError } from '@/services/learning/knowledgeGraphService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const updateSchema = z.object({
+  subject: z.string().min(1).optional(),
+  name: z.string().min(1).optional(),
+  description: z.string().nullable().optional(),
+  gradeLevel: z.number().int().min(0).max(12).nullable().optional(),
+  difficulty: z.number().int().min(1).max(10).nullable().optional(),
+  topicSlug: z.string().min(1).nullable().optional(),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof z.ZodError) {
+    return NextResponse.json(
+      { error: 'Validation error', details: error.errors },
+      { status: 400 }
+    );
+  }
+
+  if (error instanceof KnowledgeGraphError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/admin/knowledge-graph/nodes/[key]
+ * A skill, with everything it builds on
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const key = decodeURIComponent(params.key);
+    const node = await knowledgeGraphService.getNode(key);
+    const ancestors = await knowledgeGraphService.ancestors(key);
+
+    return NextResponse.json({ success: true, node, ancestors });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch skill');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
+
+/**
+ * PATCH /api/admin/knowledge-graph/nodes/[key]
+ * Change a skill's details
+ */
+export const PATCH = withAuth(async (request, { params }) => {
+  try {
+    const body = await request.json();
+    const changes = updateSchema.parse(body);
+
+    const node = await knowledgeGraphService.updateNode(decodeURIComponent(params.key), changes);
+
+    return NextResponse.json({ success: true, node });
+  } catch (error) {
+    return errorResponse(error, 'Failed to update skill');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
+
+/**
+ * DELETE /api/admin/knowledge-graph/nodes/[key]
+ * Remove a skill and its edges
+ */
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    const result = await knowledgeGraphService.deleteNode(decodeURIComponent(params.key));
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error, 'Failed to delete skill');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
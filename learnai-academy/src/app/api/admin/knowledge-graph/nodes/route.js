@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { knowledgeGraphService, KnowledgeGraphError } from '@/services/learning/knowledgeGraphService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const nodeSchema = z.object({
+  subject: z.string().min(1),
+  name: z.string().min(1),
+  // Defaults to "<subject>:<topicSlug or name>"
+  key: z.string().regex(/^[a-z0-9-]+:[a-z0-9-]+$/, 'Use a key like math:fractions-intro').optional(),
+  description: z.string().nullable().optional(),
+  gradeLevel: z.number().int().min(0).max(12).nullable().optional(),
+  difficulty: z.number().int().min(1).max(10).nullable().optional(),
+  topicSlug: z.string().min(1).nullable().optional(),
+});
+
+/**
+ * POST /api/admin/knowledge-graph/nodes
+ * Add a skill
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const body = await request.json();
+    const data = nodeSchema.parse(body);
+
+    const node = await knowledgeGraphService.createNode(data);
+
+    return NextResponse.json({ success: true, node }, { status: 201 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error instanceof KnowledgeGraphError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error creating skill:', error);
+    return NextResponse.json(
+      { error: 'Failed to create skill' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { knowledgeGraphService, KnowledgeGraphError, GRAPH_FORMATS } from '@/services/learning/knowledgeGraphService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const postSchema = z.object({
+  action: z.enum(['import', 'seed']).default('import'),
+  format: z.enum(GRAPH_FORMATS).default('json'),
+  // Exported JSON as an object, or a JSON or GraphML document as a string
+  graph: z.union([z.string().min(1), z.object({}).passthrough()]).optional(),
+  // Drop skills and edges the import doesn't have
+  replace: z.boolean().default(false),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof z.ZodError) {
+    return NextResponse.json(
+      { error: 'Validation error', details: error.errors },
+      { status: 400 }
+    );
+  }
+
+  if (error instanceof KnowledgeGraphError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code, details: error.details },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/admin/knowledge-graph
+ * Export the skill graph as JSON or GraphML
+ *
+ * Query params: format=json|graphml, subject (optional)
+ */
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const format = searchParams.get('format') || 'json';
+    const subject = searchParams.get('subject');
+
+    const exported = await knowledgeGraphService.exportGraph({ format, subject });
+    const filename = `knowledge-graph${subject ? `-${subject}` : ''}.${format}`;
+
+    if (format === 'graphml') {
+      return new NextResponse(exported, {
+        headers: {
+          'Content-Type': 'application/graphml+xml; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}"`,
+        },
+      });
+    }
+
+    return NextResponse.json(exported, {
+      headers: { 'Content-Disposition': `attachment; filename="${filename}"` },
+    });
+  } catch (error) {
+    return errorResponse(error, 'Failed to export knowledge graph');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
+
+/**
+ * POST /api/admin/knowledge-graph
+ * Import a graph (action=import) or add the curriculum's skills the graph
+ * is missing (action=seed). Nothing is saved if the result would not be a
+ * valid graph; the errors and any cycle are returned in details.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const body = await request.json();
+    const { action, format, graph, replace } = postSchema.parse(body);
+
+    if (action === 'seed') {
+      const result = await knowledgeGraphService.seedFromCurriculum({ replace });
+      return NextResponse.json({ success: true, ...result });
+    }
+
+    if (!graph) {
+      return NextResponse.json(
+        { error: 'graph is required for import action' },
+        { status: 400 }
+      );
+    }
+
+    const result = await knowledgeGraphService.importGraph(graph, { format, replace });
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error, 'Failed to import knowledge graph');
+  }
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
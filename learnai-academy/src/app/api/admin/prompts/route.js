@@ -0,0 +1,115 @@
+import { NextResponse } from 'next/server';
+import { promptRegistry, PromptError } from '@/services/ai/prompts';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses authentication
+export const dynamic = 'force-dynamic';
+
+const gradeBandsSchema = z.record(z.enum(['K-2', '3-5', '6-8', '9-12']), z.string().min(1));
+
+const versionSchema = z.object({
+  name: z.string().min(1),
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Use a semantic version like 1.2.0'),
+  description: z.string().optional(),
+  template: z.string().min(1),
+  gradeBands: gradeBandsSchema.optional(),
+  locales: z.record(z.string().min(2), z.object({
+    template: z.string().min(1).optional(),
+    gradeBands: gradeBandsSchema.optional(),
+  })).optional(),
+});
+
+const releaseSchema = z.object({
+  name: z.string().min(1),
+  tenantId: z.string().min(1).nullable().optional(),
+  rollout: z.array(z.object({
+    version: z.string().min(1),
+    weight: z.number().int().min(0).max(100),
+  })).min(1),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof z.ZodError) {
+    return NextResponse.json(
+      { error: 'Validation error', details: error.errors },
+      { status: 400 }
+    );
+  }
+
+  if (error instanceof PromptError) {
+    return NextResponse.json(
+      { error: error.message },
+      { status: 400 }
+    );
+  }
+
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/admin/prompts
+ * Every prompt with its versions, releases and the version served by default
+ */
+export const GET = withAuth(async (request) => {
+  try {
+    await promptRegistry.refresh({ force: true });
+
+    return NextResponse.json({
+      success: true,
+      prompts: promptRegistry.list(),
+    });
+  } catch (error) {
+    console.error('Error fetching prompts:', error);
+    return errorResponse(error, 'Failed to fetch prompts');
+  }
+}, { permission: PERMISSIONS.PROMPT_MANAGE });
+
+/**
+ * POST /api/admin/prompts
+ * Add a new version of a prompt. It is not served until a release includes it.
+ */
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json();
+    const data = versionSchema.parse(body);
+
+    await promptRegistry.refresh({ force: true });
+    const definition = await promptRegistry.createVersion(data, user.userId);
+
+    return NextResponse.json({
+      success: true,
+      prompt: { name: definition.name, version: definition.version },
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating prompt version:', error);
+    return errorResponse(error, 'Failed to create prompt version');
+  }
+}, { permission: PERMISSIONS.PROMPT_MANAGE });
+
+/**
+ * PUT /api/admin/prompts
+ * Set which versions of a prompt are served, for every tenant or one tenant.
+ * Roll back by releasing the previous version at weight 100.
+ */
+export const PUT = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json();
+    const data = releaseSchema.parse(body);
+
+    await promptRegistry.refresh({ force: true });
+    const release = await promptRegistry.setRelease(data, user.userId);
+
+    return NextResponse.json({
+      success: true,
+      release,
+    });
+  } catch (error) {
+    console.error('Error updating prompt release:', error);
+    return errorResponse(error, 'Failed to update prompt release');
+  }
+}, { permission: PERMISSIONS.PROMPT_MANAGE });
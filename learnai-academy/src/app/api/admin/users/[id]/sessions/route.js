@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { listSessions, revokeUserSessions, REVOKE_REASONS } from '@/lib/authSessions';
+import { lockAccount } from '@/lib/accountLockout';
+import { auditAuth, getRequestMetadata } from '@/lib/auditLogger';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const userResource = ({ params }) => ({ userId: params.id });
+
+/**
+ * GET /api/admin/users/[id]/sessions
+ * Devices a user is signed in on
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const sessions = await listSessions(params.id);
+
+    return NextResponse.json({ success: true, sessions });
+  } catch (error) {
+    console.error('Error fetching user sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch user sessions' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.USER_READ,
+  resource: userResource,
+});
+
+/**
+ * DELETE /api/admin/users/[id]/sessions
+ * Force a user to sign out everywhere
+ *
+ * Query params: lock=true also locks the account (accountLockout), so
+ * they can't sign straight back in
+ */
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    const lock = new URL(request.url).searchParams.get('lock') === 'true';
+
+    const account = await prisma.user.findUnique({
+      where: { id: params.id },
+      select: { id: true, email: true },
+    });
+    if (!account) {
+      return NextResponse.json(
+        { error: 'User not found' },
+        { status: 404 }
+      );
+    }
+
+    if (lock) {
+      await lockAccount(account.email);
+      await auditAuth.accountLocked(account.id, account.email, getRequestMetadata(request).ipAddress, 'locked_by_admin');
+    }
+
+    const revoked = await revokeUserSessions(account.id, lock ? REVOKE_REASONS.ACCOUNT_LOCKED : REVOKE_REASONS.ADMIN);
+
+    return NextResponse.json({ success: true, revoked, locked: lock });
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign out user' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.USER_UPDATE,
+  resource: userResource,
+});
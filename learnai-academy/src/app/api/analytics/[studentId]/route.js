@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering - this route should never be statically generated
 export const dynamic = 'force-dynamic';
@@ -8,7 +9,7 @@ export const dynamicParams = true;
 export const revalidate = 0;
 export const runtime = 'nodejs';
 
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params }) => {
   // Early return if executed during build (no real request)
   if (!request || !request.url || process.env.NEXT_PHASE === 'phase-production-build') {
     return NextResponse.json(
@@ -26,31 +27,10 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const studentId = params.studentId;
     const { searchParams } = new URL(request.url);
     const period = searchParams.get('period') || '30d'; // 7d, 30d, 90d
 
-    // Verify access
-    const student = await prisma.student.findUnique({
-      where: { id: studentId },
-    });
-
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
-      return NextResponse.json(
-        { error: 'Access denied' },
-        { status: 403 }
-      );
-    }
-
     // Calculate date range
     const startDate = getStartDate(period);
 
@@ -109,7 +89,10 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: ({ params }) => ({ studentId: params?.studentId }),
+});
 
 function getStartDate(period) {
   const date = new Date();
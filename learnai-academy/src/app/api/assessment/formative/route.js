@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { formativeAssessmentService } from '@/services/assessment/formativeAssessmentService.js';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 /**
  * GET /api/assessment/formative
  * Get questions for lesson or progress
  */
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const lessonId = searchParams.get('lessonId');
     const studentId = searchParams.get('studentId');
@@ -30,6 +23,12 @@ export async function GET(request) {
 
     let data;
     if (action === 'progress' && studentId) {
+      if (!(await authorize(user, PERMISSIONS.PROGRESS_READ, { studentId }))) {
+        return NextResponse.json(
+          { error: 'Access denied' },
+          { status: 403 }
+        );
+      }
       data = await formativeAssessmentService.getQuestionProgress(studentId, lessonId);
     } else {
       data = await formativeAssessmentService.getLessonQuestions(lessonId);
@@ -46,22 +45,14 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
 /**
  * POST /api/assessment/formative
  * Submit answer or generate question
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { action, questionId, studentId, answer, lessonId, concept, gradeLevel, options } = body;
 
@@ -94,6 +85,13 @@ export async function POST(request) {
         );
       }
 
+      if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId }))) {
+        return NextResponse.json(
+          { error: 'Access denied' },
+          { status: 403 }
+        );
+      }
+
       const result = await formativeAssessmentService.submitAnswer(
         questionId,
         studentId,
@@ -112,5 +110,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -0,0 +1,91 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+import { adaptiveTestService, AdaptiveTestError } from '@/services/assessment/adaptiveTestService';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const answerSchema = z.object({
+  questionId: z.union([z.string(), z.number()]).transform(String),
+  answer: z.union([z.string(), z.number()]),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof AdaptiveTestError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * Load the test and check the user may act for its student
+ */
+async function loadTest(params, user) {
+  const test = await adaptiveTestService.getTest(params.testId);
+  if (test.assessmentId !== params.id) {
+    throw new AdaptiveTestError('Adaptive test not found', 'TEST_NOT_FOUND', 404);
+  }
+  if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId: test.studentId }))) {
+    throw new AdaptiveTestError('Access denied', 'ACCESS_DENIED', 403);
+  }
+  return test;
+}
+
+/**
+ * GET /api/assessments/[id]/adaptive/[testId]
+ * The test's progress, ability estimate and current question
+ */
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const test = await loadTest(params, user);
+    return NextResponse.json({ success: true, test });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch adaptive test');
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
+
+/**
+ * POST /api/assessments/[id]/adaptive/[testId]
+ * Answer the current question. Returns whether it was right and either
+ * the next question or, once the ability estimate is precise enough, the
+ * finished test with its result id.
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const data = answerSchema.parse(body);
+
+    await loadTest(params, user);
+
+    const { correct, test } = await adaptiveTestService.submitAnswer(
+      params.testId,
+      data,
+      (question, answer, assessment) => agentOrchestrator.checkAssessmentAnswer(question, answer, {
+        subject: assessment.metadata?.subjectSlug || 'math',
+        gradeLevel: assessment.gradeLevel,
+      })
+    );
+
+    return NextResponse.json({ success: true, correct, test });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return errorResponse(error, 'Failed to submit answer');
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
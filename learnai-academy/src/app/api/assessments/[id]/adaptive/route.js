@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import prisma from '@/lib/prisma';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+import { adaptiveTestService, AdaptiveTestError } from '@/services/assessment/adaptiveTestService';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const startSchema = z.object({
+  studentId: z.string().uuid(),
+});
+
+/**
+ * POST /api/assessments/[id]/adaptive
+ * Start an adaptive test of the assessment for a student, or resume their
+ * unfinished one. Returns the first (or current) question.
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const data = startSchema.parse(body);
+
+    const student = await prisma.student.findUnique({
+      where: { id: data.studentId },
+    });
+
+    if (!student || !(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId: student.id }))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
+    const test = await adaptiveTestService.startTest(params.id, student.id);
+
+    return NextResponse.json({ success: true, test });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error instanceof AdaptiveTestError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error starting adaptive test:', error);
+    return NextResponse.json(
+      { error: 'Failed to start adaptive test' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
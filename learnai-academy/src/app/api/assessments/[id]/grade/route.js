@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -19,17 +20,8 @@ const gradeAssessmentSchema = z.object({
  * POST /api/assessments/[id]/grade
  * Grade a student's assessment submission
  */
-export async function POST(request, { params }) {
+export const POST = withAuth(async (request, { params, user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const assessmentId = params.id;
     const body = await request.json();
     const data = gradeAssessmentSchema.parse(body);
@@ -46,12 +38,12 @@ export async function POST(request, { params }) {
       );
     }
 
-    // Verify student belongs to user
+    // Verify the user may act for the student
     const student = await prisma.student.findUnique({
       where: { id: data.studentId },
     });
 
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
+    if (!student || !(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId: student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
@@ -136,5 +128,5 @@ export async function POST(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
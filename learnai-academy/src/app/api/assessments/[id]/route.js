@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import prisma from '@/lib/prisma';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -9,16 +10,8 @@ export const dynamic = 'force-dynamic';
  * GET /api/assessments/[id]
  * Get assessment details
  */
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const assessmentId = params.id;
 
     const assessment = await prisma.assessment.findUnique({
@@ -62,5 +55,5 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
+import { StructuredOutputError } from '@/services/ai/structuredOutput';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering - assessment generation requires runtime execution
 export const dynamic = 'force-dynamic';
@@ -26,17 +28,8 @@ const generateAssessmentSchema = z.object({
  * POST /api/assessments/generate
  * Generate an assessment (diagnostic, formative, or summative)
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = generateAssessmentSchema.parse(body);
 
@@ -94,17 +87,8 @@ export async function POST(request) {
       }
     );
 
-    if (!assessment || assessment.error) {
-      return NextResponse.json(
-        { error: 'Failed to generate assessment', details: assessment?.error },
-        { status: 500 }
-      );
-    }
-
-    // Parse questions from assessment result
-    const questions = Array.isArray(assessment) ? assessment : 
-                     assessment.questions ? assessment.questions :
-                     assessment.raw ? JSON.parse(assessment.raw)?.questions || [] : [];
+    // Validated against diagnosticAssessmentSchema by the agent
+    const { questions } = assessment;
 
     // Save assessment to database
     const savedAssessment = await prisma.assessment.create({
@@ -148,10 +132,17 @@ export async function POST(request) {
       );
     }
 
+    if (error instanceof StructuredOutputError) {
+      return NextResponse.json(
+        { error: 'Failed to generate assessment', code: error.code, details: error.issues },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to generate assessment', message: error.message },
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.ASSESSMENT_CREATE });
 
@@ -1,6 +1,5 @@
 import { NextResponse } from 'next/server';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
 import { getClientIdentifier, rateLimit, addRateLimitHeaders } from '@/middleware/rateLimit';
@@ -8,6 +7,9 @@ import { logAuth, logError } from '@/lib/logger';
 import { checkAccountLockout, recordFailedAttempt, clearFailedAttempts } from '@/lib/accountLockout';
 import { auditAuth, getRequestMetadata } from '@/lib/auditLogger';
 import { errorResponse, successResponse, validationErrorResponse, rateLimitErrorResponse } from '@/lib/errorHandler';
+import { createSession, revokeUserSessions, REVOKE_REASONS } from '@/lib/authSessions';
+import { setAuthCookies } from '@/lib/auth';
+import { withAuth } from '@/middleware/auth';
 
 // Force dynamic rendering - uses database, cookies, and authentication
 export const dynamic = 'force-dynamic';
@@ -66,7 +68,7 @@ const loginSchema = z.object({
  *       500:
  *         description: Server error
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   const { ipAddress, userAgent } = getRequestMetadata(request);
 
   try {
@@ -243,6 +245,8 @@ export async function POST(request) {
       try {
         lockoutResult = await recordFailedAttempt(email);
         if (lockoutResult && lockoutResult.locked) {
+          // Someone may be guessing the password: sign the account out everywhere
+          await revokeUserSessions(user.id, REVOKE_REASONS.ACCOUNT_LOCKED);
           try {
             await auditAuth.accountLocked(user.id, email, ipAddress, 'too_many_failed_attempts');
           } catch (auditError) {
@@ -297,18 +301,14 @@ export async function POST(request) {
       console.log('Audit logging failed (non-critical):', auditError);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session for this device
+    const tokens = await createSession(user, { ipAddress, userAgent });
 
     // Create response with user data
     // CRITICAL: Include is_admin flag for proper admin detection
     const response = NextResponse.json({
       success: true,
-      token, // Still return token for backward compatibility during migration
+      token: tokens.accessToken, // Still return token for backward compatibility during migration
       user: {
         id: user.id,
         email: user.email,
@@ -320,23 +320,13 @@ export async function POST(request) {
           firstName: s.firstName,
           lastName: s.lastName,
           gradeLevel: s.gradeLevel,
+          unlockedGrades: s.unlockedGrades || [],
         })) : [],
       },
     });
 
-    // Set httpOnly cookie (secure method)
-    // CRITICAL: Use secure: true in production (Vercel uses HTTPS)
-    // Use sameSite: 'lax' for better compatibility
-    const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL === '1';
-    response.cookies.set('auth_token', token, {
-      httpOnly: true,
-      secure: isProduction, // HTTPS only in production/Vercel
-      sameSite: 'lax', // CSRF protection while allowing navigation
-      maxAge: 60 * 60 * 24 * 7, // 7 days
-      path: '/',
-      // Explicitly set domain to allow cookie to work across subdomains if needed
-      // Don't set domain for same-origin requests (Vercel default)
-    });
+    // Set httpOnly access and refresh token cookies (secure method)
+    setAuthCookies(response, tokens);
 
     // Add rate limit headers
     return addRateLimitHeaders(response, {
@@ -357,4 +347,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
@@ -1,28 +1,47 @@
 import { NextResponse } from 'next/server';
+import { clearAuthCookies, getRefreshToken, verifyToken } from '@/lib/auth';
+import { endSession, revokeSession, REVOKE_REASONS } from '@/lib/authSessions';
+import { auditAuth, getRequestMetadata } from '@/lib/auditLogger';
+import { logError } from '@/lib/logger';
+import { withAuth } from '@/middleware/auth';
 
 // Force dynamic rendering - uses cookies
 export const dynamic = 'force-dynamic';
 
-export async function POST(request) {
+/**
+ * POST /api/auth/logout
+ * Revoke this device's session and clear its cookies. Anonymous so a user
+ * whose access token has expired can still sign out.
+ */
+export const POST = withAuth(async (request) => {
+  const { ipAddress, userAgent } = getRequestMetadata(request);
+
   try {
+    // Revoke the session server-side, so copies of the tokens stop working
+    try {
+      let userId = await endSession(await getRefreshToken(request));
+      if (!userId) {
+        const token = await verifyToken(request);
+        if (token?.sid && await revokeSession(token.sid, REVOKE_REASONS.LOGOUT, { userId: token.userId })) {
+          userId = token.userId;
+        }
+      }
+      if (userId) {
+        await auditAuth.logout(userId, ipAddress, userAgent);
+      }
+    } catch (revokeError) {
+      // Still clear the cookies; the session expires on its own
+      logError('Failed to revoke session on logout', revokeError);
+    }
+
     // Create success response
     const response = NextResponse.json({
       success: true,
       message: 'Logged out successfully',
     });
 
-    // Clear the authentication cookie
-    // CRITICAL: Must use same secure/sameSite settings as login
-    const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL === '1';
-    response.cookies.set('auth_token', '', {
-      httpOnly: true,
-      secure: isProduction,
-      sameSite: 'lax',
-      maxAge: 0, // Expire immediately
-      path: '/',
-    });
-
-    return response;
+    // Clear the access and refresh token cookies
+    return clearAuthCookies(response);
   } catch (error) {
     console.error('Logout error:', error);
     return NextResponse.json(
@@ -30,4 +49,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
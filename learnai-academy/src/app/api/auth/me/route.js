@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import prisma from '@/lib/prisma';
 import { logAuth, logError } from '@/lib/logger';
+import { withAuth } from '@/middleware/auth';
+import { ROLE_PERMISSIONS } from '@/lib/permissions';
 
 /**
  * Get Current User Endpoint
@@ -13,24 +14,14 @@ import { logAuth, logError } from '@/lib/logger';
 // Force dynamic rendering - uses cookies() for authentication
 export const dynamic = 'force-dynamic';
 
-export async function GET(request) {
+export const GET = withAuth(async (request, { user: principal }) => {
   try {
-    // Verify authentication via httpOnly cookie
-    const tokenData = await verifyToken(request);
-
-    if (!tokenData) {
-      return NextResponse.json(
-        { error: 'Not authenticated', message: 'No authentication token provided' },
-        { status: 401 }
-      );
-    }
-
     // Fetch user with related data
     // Note: Student model might not exist in database, so we'll try to include it but handle gracefully
     let user;
     try {
       user = await prisma.user.findUnique({
-        where: { id: tokenData.userId },
+        where: { id: principal.userId },
         include: {
           students: {
             include: {
@@ -50,7 +41,7 @@ export async function GET(request) {
       // If Student model doesn't exist, fetch user without students
       if (prismaError.message?.includes('students') || prismaError.message?.includes('Unknown field')) {
         user = await prisma.user.findUnique({
-          where: { id: tokenData.userId },
+          where: { id: principal.userId },
         });
         // Add empty students array for consistency
         if (user) {
@@ -62,7 +53,7 @@ export async function GET(request) {
     }
 
     if (!user) {
-      logAuth('me_endpoint', tokenData.userId, false, { reason: 'user_not_found' });
+      logAuth('me_endpoint', principal.userId, false, { reason: 'user_not_found' });
       return NextResponse.json(
         { error: 'User not found' },
         { status: 404 }
@@ -77,6 +68,9 @@ export async function GET(request) {
       userData.is_admin = userData.role === 'ADMIN' || false;
     }
 
+    // What the user may do, so the UI can hide actions they can't take
+    userData.permissions = ROLE_PERMISSIONS[principal.role] || [];
+
     logAuth('me_endpoint', user.id, true, { role: user.role });
 
     return NextResponse.json({
@@ -99,4 +93,4 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+});
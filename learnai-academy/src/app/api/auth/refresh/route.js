@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { clearAuthCookies, getRefreshToken, setAuthCookies } from '@/lib/auth';
+import { refreshSession } from '@/lib/authSessions';
+import { getRequestMetadata } from '@/lib/auditLogger';
+import { withAuth } from '@/middleware/auth';
+
+// Force dynamic rendering - uses database and cookies
+export const dynamic = 'force-dynamic';
+
+/**
+ * POST /api/auth/refresh
+ * Exchange the refresh token cookie for a new access and refresh token.
+ * Anonymous because it is called once the access token has expired.
+ *
+ * 401 means the session is over (signed out, revoked, idle or expired)
+ * and the user must sign in again. 409 means another tab refreshed with
+ * the same token a moment ago: the session is fine, its new cookies are
+ * already set or about to be, so the caller retries its request.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const tokens = await refreshSession(await getRefreshToken(request), getRequestMetadata(request));
+
+    if (tokens?.retry) {
+      return NextResponse.json(
+        { error: 'Session was just refreshed', retry: true },
+        { status: 409 }
+      );
+    }
+
+    if (!tokens) {
+      return clearAuthCookies(NextResponse.json(
+        { error: 'Session expired' },
+        { status: 401 }
+      ));
+    }
+
+    const response = NextResponse.json({
+      success: true,
+      expiresAt: tokens.expiresAt,
+    });
+
+    return setAuthCookies(response, tokens);
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    return NextResponse.json(
+      { error: 'Failed to refresh session' },
+      { status: 500 }
+    );
+  }
+}, { anonymous: true });
@@ -1,8 +1,12 @@
 import { NextResponse } from 'next/server';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { createSession } from '@/lib/authSessions';
+import { setAuthCookies } from '@/lib/auth';
+import { getRequestMetadata } from '@/lib/auditLogger';
+import { withAuth } from '@/middleware/auth';
+import { requiresParentalConsent, CONSENT_AGE } from '@/services/parent/consentService';
 
 // Force dynamic rendering - uses database and cookies
 export const dynamic = 'force-dynamic';
@@ -20,7 +24,10 @@ const registerSchema = z.object({
   role: z.enum(['STUDENT', 'PARENT']).default('PARENT'),
   gradeLevel: z.number().min(0).max(12).optional(),
   birthDate: z.string().optional(),
-});
+}).refine(
+  data => data.role !== 'STUDENT' || (data.birthDate && !Number.isNaN(Date.parse(data.birthDate))),
+  { message: 'Birth date is required for student accounts', path: ['birthDate'] }
+);
 
 /**
  * @swagger
@@ -58,6 +65,7 @@ const registerSchema = z.object({
  *                 type: string
  *                 enum: [STUDENT, PARENT]
  *                 default: PARENT
+ *                 description: Students under 13 can't register; a parent adds them through /api/parent/children
  *               gradeLevel:
  *                 type: integer
  *                 minimum: 0
@@ -66,6 +74,7 @@ const registerSchema = z.object({
  *               birthDate:
  *                 type: string
  *                 format: date
+ *                 description: Required for STUDENT
  *     responses:
  *       200:
  *         description: Registration successful
@@ -89,7 +98,7 @@ const registerSchema = z.object({
  *         $ref: '#/components/responses/RateLimitError'
  */
 
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
     // Check if JWT_SECRET is set
     if (!process.env.JWT_SECRET) {
@@ -110,6 +119,18 @@ export async function POST(request) {
     const body = await request.json();
     const validatedData = registerSchema.parse(body);
 
+    // Children under 13 need verifiable parental consent, so a parent
+    // creates their profile instead
+    if (validatedData.role === 'STUDENT' && requiresParentalConsent(validatedData.birthDate)) {
+      return NextResponse.json(
+        {
+          error: `Students under ${CONSENT_AGE} need a parent to create their account`,
+          code: 'PARENT_REQUIRED',
+        },
+        { status: 403 }
+      );
+    }
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email: validatedData.email },
@@ -142,24 +163,20 @@ export async function POST(request) {
           firstName: validatedData.firstName,
           lastName: validatedData.lastName,
           gradeLevel: validatedData.gradeLevel,
-          birthDate: validatedData.birthDate ? new Date(validatedData.birthDate) : null,
+          birthDate: new Date(validatedData.birthDate),
         },
       });
     }
     // Note: For PARENT role, the User record itself is sufficient
     // Parent-student relationships are established through Student.parentId
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session for this device
+    const tokens = await createSession(user, getRequestMetadata(request));
 
     // Create response with user data
     const response = NextResponse.json({
       success: true,
-      token, // Still return token for backward compatibility during migration
+      token: tokens.accessToken, // Still return token for backward compatibility during migration
       user: {
         id: user.id,
         email: user.email,
@@ -167,14 +184,8 @@ export async function POST(request) {
       },
     });
 
-    // Set httpOnly cookie (secure method)
-    response.cookies.set('auth_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 60 * 60 * 24 * 7, // 7 days
-      path: '/',
-    });
+    // Set httpOnly access and refresh token cookies (secure method)
+    setAuthCookies(response, tokens);
 
     return response;
   } catch (error) {
@@ -196,4 +207,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { revokeSession, REVOKE_REASONS } from '@/lib/authSessions';
+import { clearAuthCookies } from '@/lib/auth';
+import { withAuth } from '@/middleware/auth';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+/**
+ * DELETE /api/auth/sessions/[id]
+ * Sign out of one of the user's devices. Revoking the current device
+ * signs this browser out too.
+ */
+export const DELETE = withAuth(async (request, { params, user }) => {
+  try {
+    const revoked = await revokeSession(params.id, REVOKE_REASONS.USER, { userId: user.userId });
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'Session not found' },
+        { status: 404 }
+      );
+    }
+
+    const response = NextResponse.json({ success: true });
+    return params.id === user.sessionId ? clearAuthCookies(response) : response;
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign out device' },
+      { status: 500 }
+    );
+  }
+});
@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { listSessions, revokeUserSessions, REVOKE_REASONS } from '@/lib/authSessions';
+import { withAuth } from '@/middleware/auth';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/auth/sessions
+ * Devices the user is signed in on; `current` marks this one
+ */
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const sessions = await listSessions(user.userId);
+
+    return NextResponse.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === user.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch sessions' },
+      { status: 500 }
+    );
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out of every device except this one
+ */
+export const DELETE = withAuth(async (request, { user }) => {
+  try {
+    const revoked = await revokeUserSessions(user.userId, REVOKE_REASONS.USER, {
+      exceptSessionId: user.sessionId,
+    });
+
+    return NextResponse.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return NextResponse.json(
+      { error: 'Failed to sign out other devices' },
+      { status: 500 }
+    );
+  }
+});
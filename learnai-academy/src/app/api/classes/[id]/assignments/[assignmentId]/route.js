@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { academicIntegrity, TUTOR_POLICIES } from '@/services/ai/academicIntegrity';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const policySchema = z.object({
+  tutorPolicy: z.enum(Object.values(TUTOR_POLICIES)),
+});
+
+/**
+ * PATCH /api/classes/[id]/assignments/[assignmentId]
+ * Mark an assignment "open tutor" (OPEN) or "closed tutor" (CLOSED)
+ */
+export const PATCH = withAuth(async (request, { params }) => {
+  try {
+    const body = await request.json();
+    const { tutorPolicy } = policySchema.parse(body);
+
+    const assignment = await academicIntegrity.setTutorPolicy(params.id, params.assignmentId, tutorPolicy);
+    if (!assignment) {
+      return NextResponse.json(
+        { error: 'Assignment not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      assignment: {
+        id: assignment.id,
+        title: assignment.title,
+        tutorPolicy: assignment.tutorPolicy,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating tutor policy:', error);
+
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to update tutor policy' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.CLASS_MANAGE,
+  resource: ({ params }) => ({ classId: params.id }),
+});
@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server';
+import {
+  academicIntegrity,
+  ASSIGNMENT_SOURCES,
+  TUTOR_POLICIES,
+} from '@/services/ai/academicIntegrity';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const itemSchema = z.object({
+  id: z.union([z.string(), z.number()]).optional(),
+  // AdaptiveHomeworkGenerator problems use `problem`, assessment questions `text`
+  problem: z.string().optional(),
+  text: z.string().optional(),
+  answer: z.any().optional(),
+  hints: z.array(z.string()).optional(),
+});
+
+const assignmentSchema = z.object({
+  source: z.enum(Object.values(ASSIGNMENT_SOURCES)),
+  sourceId: z.string().min(1),
+  title: z.string().min(1).max(200).optional(),
+  subject: z.string().optional(),
+  tutorPolicy: z.enum(Object.values(TUTOR_POLICIES)).optional(),
+  // Required for homework; read from the assessment when omitted
+  items: z.array(itemSchema).max(200).optional(),
+  dueDate: z.string().datetime().optional(),
+}).refine(
+  data => data.source === ASSIGNMENT_SOURCES.ASSESSMENT || (data.items?.length > 0 && data.title),
+  { message: 'Homework needs a title and items' }
+);
+
+/**
+ * GET /api/classes/[id]/assignments
+ * Assignments set for a class and whether each is open or closed tutor
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const assignments = await academicIntegrity.listAssignments(params.id);
+
+    return NextResponse.json({
+      success: true,
+      assignments: assignments.map(a => ({
+        id: a.id,
+        source: a.source,
+        sourceId: a.sourceId,
+        title: a.title,
+        subject: a.subject,
+        tutorPolicy: a.tutorPolicy,
+        itemCount: a.items?.length || 0,
+        dueDate: a.dueDate,
+        createdAt: a.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching class assignments:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch class assignments' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.CLASS_MANAGE,
+  resource: ({ params }) => ({ classId: params.id }),
+});
+
+/**
+ * POST /api/classes/[id]/assignments
+ * Register homework or an assessment so the tutor recognises its items.
+ * New assignments are closed tutor unless `tutorPolicy: 'OPEN'` is given.
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const data = assignmentSchema.parse(body);
+
+    const assignment = await academicIntegrity.registerAssignment(params.id, user.userId, {
+      ...data,
+      dueDate: data.dueDate ? new Date(data.dueDate) : null,
+    });
+
+    return NextResponse.json({
+      success: true,
+      assignment: {
+        id: assignment.id,
+        title: assignment.title,
+        tutorPolicy: assignment.tutorPolicy,
+        itemCount: assignment.items.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error registering class assignment:', error);
+
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error.message === 'Assessment not found') {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to register class assignment' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.CLASS_MANAGE,
+  resource: ({ params }) => ({ classId: params.id }),
+});
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { gradeAccessService } from '@/services/learning/gradeAccessService';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+/**
+ * DELETE /api/classes/[id]/grade-access-codes/[codeId]
+ * Revoke a class's code. Grades students already unlocked stay unlocked.
+ */
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    const revoked = await gradeAccessService.revokeCode(params.codeId, { classId: params.id });
+    if (!revoked) {
+      return NextResponse.json(
+        { error: 'Access code not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking grade access code:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke grade access code' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.CLASS_MANAGE,
+  resource: ({ params }) => ({ classId: params.id }),
+});
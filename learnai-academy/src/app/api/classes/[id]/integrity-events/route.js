@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import { academicIntegrity } from '@/services/ai/academicIntegrity';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/classes/[id]/integrity-events
+ * Times students pasted assigned work into the tutor
+ *
+ * Query params: since (ISO date), limit (default 100, max 500)
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const since = searchParams.get('since') ? new Date(searchParams.get('since')) : undefined;
+    const limit = Math.min(parseInt(searchParams.get('limit') || '100', 10) || 100, 500);
+
+    const events = await academicIntegrity.listEvents(params.id, {
+      since: since && !Number.isNaN(since.getTime()) ? since : undefined,
+      limit,
+    });
+
+    return NextResponse.json({
+      success: true,
+      events: events.map(e => ({
+        id: e.id,
+        studentId: e.studentId,
+        sessionId: e.sessionId,
+        assignmentId: e.assignmentId,
+        assignmentTitle: e.assignment?.title,
+        tutorPolicy: e.assignment?.tutorPolicy,
+        itemId: e.itemId,
+        similarity: e.similarity,
+        asksForAnswer: e.asksForAnswer,
+        action: e.action,
+        hintLevel: e.hintLevel,
+        createdAt: e.createdAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching integrity events:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch integrity events' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.CLASS_MANAGE,
+  resource: ({ params }) => ({ classId: params.id }),
+});
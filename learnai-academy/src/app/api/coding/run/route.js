@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { codeRunner, LANGUAGES, RUN_LIMITS } from '@/services/coding/codeRunner';
+import { getClientIdentifier, rateLimit } from '@/middleware/rateLimit';
+import { rateLimitErrorResponse } from '@/lib/errorHandler';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses authentication
+export const dynamic = 'force-dynamic';
+
+const runSchema = z.object({
+  language: z.enum([LANGUAGES.JAVASCRIPT, LANGUAGES.PYTHON]),
+  code: z.string().min(1).max(RUN_LIMITS.maxCodeChars),
+  stdin: z.string().max(10000).optional(),
+});
+
+/**
+ * POST /api/coding/run
+ * Run code in the sandbox (the editor's "Run" button)
+ *
+ * Returns { status, stdout, error: { type, message, line }, durationMs }.
+ * Graded practice submissions go through the chat instead, so hidden
+ * tests stay on the server.
+ */
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const limit = await rateLimit(request, getClientIdentifier(request, user), 'code');
+    if (!limit.allowed) {
+      return rateLimitErrorResponse(Math.ceil((limit.resetAt - Date.now()) / 1000));
+    }
+
+    const body = await request.json();
+    const data = runSchema.parse(body);
+
+    const result = await codeRunner.run(data.language, data.code, { stdin: data.stdin || '' });
+
+    return NextResponse.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Code run error:', error);
+
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to run code' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { itemCalibrationService } from '@/services/assessment/itemCalibrationService.js';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/cron/calibrate-items
+ * Cron job endpoint to recalibrate assessment questions from how
+ * students answered them
+ *
+ * Example: Run nightly, before adaptive tests of the next day.
+ *
+ * Called by the scheduler rather than a signed-in user, so it is
+ * authenticated by CRON_SECRET instead of a session.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const result = await itemCalibrationService.calibrateAll();
+
+    return NextResponse.json({
+      success: true,
+      message: 'Assessment items calibrated',
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in item calibration cron:', error);
+    return NextResponse.json(
+      { error: 'Failed to calibrate items' },
+      { status: 500 }
+    );
+  }
+}, { cron: true });
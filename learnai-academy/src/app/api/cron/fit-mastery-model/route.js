@@ -0,0 +1,31 @@
+import { NextResponse } from 'next/server';
+import { knowledgeTracing } from '@/services/analytics/knowledgeTracing.js';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/cron/fit-mastery-model
+ * Cron job endpoint to refit the knowledge tracing parameters for each
+ * subject from its attempt history
+ *
+ * Example: Run nightly; the fit is a grid search over recent attempts.
+ *
+ * Called by the scheduler rather than a signed-in user, so it is
+ * authenticated by CRON_SECRET instead of a session.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const result = await knowledgeTracing.fitAllSubjects();
+
+    return NextResponse.json({
+      success: true,
+      message: 'Mastery model refitted',
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in mastery model cron:', error);
+    return NextResponse.json(
+      { error: 'Failed to refit mastery model' },
+      { status: 500 }
+    );
+  }
+}, { cron: true });
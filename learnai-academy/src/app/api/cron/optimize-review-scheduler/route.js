@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { spacedRepetitionService } from '@/services/learning/spacedRepetitionService.js';
+import { withAuth } from '@/middleware/auth';
+
+/**
+ * POST /api/cron/optimize-review-scheduler
+ * Cron job endpoint to refit each student's review scheduling weights
+ * from their review log. Also carries over any SM-2 concept reviews that
+ * haven't been moved to review cards yet.
+ *
+ * Example: Run nightly; students need a few hundred reviews before their
+ * weights are fitted.
+ *
+ * Called by the scheduler rather than a signed-in user, so it is
+ * authenticated by CRON_SECRET instead of a session.
+ */
+export const POST = withAuth(async (request) => {
+  try {
+    const migration = await spacedRepetitionService.migrateConceptReviews();
+    const result = await spacedRepetitionService.optimizeAll();
+
+    return NextResponse.json({
+      success: true,
+      message: 'Review scheduler optimized',
+      migratedConceptReviews: migration.migrated,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Error in review scheduler cron:', error);
+    return NextResponse.json(
+      { error: 'Failed to optimize review scheduler' },
+      { status: 500 }
+    );
+  }
+}, { cron: true });
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { parentNotificationService } from '@/services/notifications/parentNotificationService.js';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * POST /api/cron/weekly-reports
@@ -7,20 +8,12 @@ import { parentNotificationService } from '@/services/notifications/parentNotifi
  * 
  * This should be called by a cron service (Vercel Cron, GitHub Actions, etc.)
  * Example: Run every Monday at 9 AM
+ *
+ * Called by the scheduler rather than a signed-in user, so it is
+ * authenticated by CRON_SECRET instead of a session.
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    // Verify cron secret (for security)
-    const authHeader = request.headers.get('authorization');
-    const cronSecret = process.env.CRON_SECRET;
-
-    if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     // Send weekly reports for all students
     const result = await parentNotificationService.scheduleWeeklyReports();
 
@@ -36,5 +29,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { cron: true });
 
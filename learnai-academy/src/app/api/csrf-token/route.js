@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import { getCSRFToken } from '@/middleware/csrf';
 import { successResponse } from '@/lib/errorHandler';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * GET /api/csrf-token
@@ -9,7 +10,7 @@ import { successResponse } from '@/lib/errorHandler';
  * This endpoint is safe because it only returns the token,
  * which must still be validated on subsequent requests
  */
-export async function GET() {
+export const GET = withAuth(async () => {
   try {
     const token = await getCSRFToken();
     
@@ -22,5 +23,5 @@ export async function GET() {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
 
@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
 import { CurriculumAgent } from '@/services/ai/agents/CurriculumAgent';
-import { verifyToken } from '@/lib/auth';
+import { StructuredOutputError } from '@/services/ai/structuredOutput';
 import { z } from 'zod';
 import { logError, logInfo } from '@/lib/logger';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -21,23 +23,14 @@ const generateSchema = z.object({
  * POST /api/curriculum/generate
  * Generate a lesson plan for a topic
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const tokenData = await verifyToken(request);
-    if (!tokenData) {
-      return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
-      );
-    }
-
     // Parse and validate request body
     const body = await request.json();
     const validated = generateSchema.parse(body);
 
     logInfo('Curriculum generation requested', {
-      userId: tokenData.userId,
+      userId: user.userId,
       topic: validated.topic,
       gradeLevel: validated.gradeLevel,
     });
@@ -56,12 +49,11 @@ export async function POST(request) {
         includePracticeProblems: validated.includePracticeProblems,
         difficultyLevel: validated.difficultyLevel,
         useCache: true, // Use cache for production
-        maxRetries: 3,
       }
     );
 
     logInfo('Curriculum generated successfully', {
-      userId: tokenData.userId,
+      userId: user.userId,
       topic: validated.topic,
       objectivesCount: lessonPlan.objectives?.length || 0,
     });
@@ -89,6 +81,17 @@ export async function POST(request) {
       );
     }
 
+    if (error instanceof StructuredOutputError) {
+      return NextResponse.json(
+        {
+          error: 'Failed to generate curriculum',
+          code: error.code,
+          details: error.issues,
+        },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       {
         error: 'Failed to generate curriculum',
@@ -97,23 +100,14 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
 /**
  * GET /api/curriculum/generate
  * Get curriculum generation status or test endpoint
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    // Verify authentication
-    const tokenData = await verifyToken(request);
-    if (!tokenData) {
-      return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
-      );
-    }
-
     // Return available subjects and test info
     return NextResponse.json({
       success: true,
@@ -138,4 +132,4 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { preschoolCurriculumService } from '@/services/curriculum/preschoolCurriculumService.js';
 import { preschoolActivityGenerator } from '@/services/curriculum/preschoolActivityGenerator.js';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -28,17 +29,8 @@ const preschoolRequestSchema = z.object({
  * POST /api/curriculum/preschool
  * Generate preschool/Pre-K curriculum and content
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = preschoolRequestSchema.parse(body);
 
@@ -149,5 +141,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
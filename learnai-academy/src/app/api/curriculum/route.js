@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
+import { StructuredOutputError } from '@/services/ai/structuredOutput';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering - curriculum generation requires runtime execution
 export const dynamic = 'force-dynamic';
@@ -32,17 +34,8 @@ const curriculumRequestSchema = z.object({
  * POST /api/curriculum
  * Generate curriculum content (lesson plans, practice problems, content items)
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = curriculumRequestSchema.parse(body);
 
@@ -244,18 +237,26 @@ export async function POST(request) {
       );
     }
 
+    // The model never produced usable content - nothing was saved
+    if (error instanceof StructuredOutputError) {
+      return NextResponse.json(
+        { error: 'Failed to generate curriculum', code: error.code, details: error.issues },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to generate curriculum', message: error.message },
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
 /**
  * GET /api/curriculum
  * Get generated curriculum content for a topic
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     // Early return if executed during build (no real request)
     if (!request || !request.url || process.env.NEXT_PHASE === 'phase-production-build') {
@@ -265,14 +266,6 @@ export async function GET(request) {
       );
     }
 
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const topicId = searchParams.get('topicId');
     const gradeLevel = searchParams.get('gradeLevel');
@@ -321,5 +314,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -1,5 +1,6 @@
 import swaggerJsdoc from 'swagger-jsdoc';
 import { NextResponse } from 'next/server';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * OpenAPI/Swagger Documentation
@@ -105,11 +106,11 @@ const options = {
 
 const swaggerSpec = swaggerJsdoc(options);
 
-export async function GET() {
+export const GET = withAuth(async () => {
   return NextResponse.json(swaggerSpec, {
     headers: {
       'Content-Type': 'application/json',
     },
   });
-}
+}, { anonymous: true });
 
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { withAuthAndErrorHandler } from '@/middleware/errorHandler';
+import { PERMISSIONS } from '@/lib/permissions';
 import GamificationManager from '@/lib/gamification';
 
 // Force dynamic rendering - uses authentication
@@ -35,7 +36,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
   return NextResponse.json({
     challenges,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
 /**
  * POST /api/gamification/challenges/:id/progress
@@ -77,4 +78,4 @@ export const POST = withAuthAndErrorHandler(async (request, { user }) => {
       },
     }),
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import { withAuthAndErrorHandler } from '@/middleware/errorHandler';
+import { PERMISSIONS } from '@/lib/permissions';
 import GamificationManager from '@/lib/gamification';
 import prisma from '@/lib/prisma';
+import { consentService, CONSENT_TYPES } from '@/services/parent/consentService';
 
 // Force dynamic rendering - this route uses authentication
 export const dynamic = 'force-dynamic';
@@ -34,6 +36,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
     students = await prisma.student.findMany({
       select: {
         id: true,
+        birthDate: true,
         user: {
           select: {
             name: true,
@@ -47,6 +50,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
       take: 100, // Limit for performance
       select: {
         id: true,
+        birthDate: true,
         user: {
           select: {
             name: true,
@@ -60,6 +64,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
       take: 50,
       select: {
         id: true,
+        birthDate: true,
         user: {
           select: {
             name: true,
@@ -69,6 +74,9 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
     });
   }
 
+  // Only students whose parents agreed to them appearing on leaderboards
+  students = await consentService.filterConsented(students, CONSENT_TYPES.LEADERBOARD);
+
   // Map to format expected by gamification manager
   const playersData = students.map(student => ({
     studentId: student.id,
@@ -88,4 +96,4 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
     },
     playerPosition,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { withAuthAndErrorHandler } from '@/middleware/errorHandler';
+import { PERMISSIONS } from '@/lib/permissions';
 import GamificationManager from '@/lib/gamification';
 
 // Force dynamic rendering - uses authentication
@@ -51,7 +52,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
     level: player.level,
     rank: player.rank,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
 /**
  * POST /api/gamification/award-xp
@@ -79,4 +80,4 @@ export const POST = withAuthAndErrorHandler(async (request, { user }) => {
     ...result,
     newAchievements,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
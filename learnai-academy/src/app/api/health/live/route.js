@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { livenessCheck } from '@/services/health/healthCheck';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * Liveness Probe Endpoint
@@ -8,7 +9,7 @@ import { livenessCheck } from '@/services/health/healthCheck';
  * Returns 200 if the application process is running.
  */
 
-export async function GET() {
+export const GET = withAuth(async () => {
   try {
     const result = await livenessCheck();
     return NextResponse.json(result, { status: 200 });
@@ -22,4 +23,4 @@ export async function GET() {
       { status: 503 }
     );
   }
-}
+}, { anonymous: true });
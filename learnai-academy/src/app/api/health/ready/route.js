@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { readinessCheck } from '@/services/health/healthCheck';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * Readiness Probe Endpoint
@@ -8,7 +9,7 @@ import { readinessCheck } from '@/services/health/healthCheck';
  * Returns 200 if the application is ready to handle requests.
  */
 
-export async function GET() {
+export const GET = withAuth(async () => {
   try {
     const result = await readinessCheck();
 
@@ -27,4 +28,4 @@ export async function GET() {
       { status: 503 }
     );
   }
-}
+}, { anonymous: true });
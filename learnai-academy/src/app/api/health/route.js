@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { performHealthCheck } from '@/services/health/healthCheck';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * Health Check Endpoint
@@ -8,7 +9,7 @@ import { performHealthCheck } from '@/services/health/healthCheck';
  * Used by monitoring tools and load balancers.
  */
 
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     const { searchParams } = new URL(request.url);
     const detailed = searchParams.get('detailed') === 'true';
@@ -31,4 +32,4 @@ export async function GET(request) {
       { status: 503 }
     );
   }
-}
+}, { anonymous: true });
@@ -1,22 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import prisma from '@/lib/prisma';
 import { supportedLanguages } from '@/lib/i18n/config.js';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * GET /api/i18n/preferences
  * Get user language preferences
  */
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     // Get user preferences
     const userData = await prisma.user.findUnique({
       where: { id: user.userId },
@@ -43,22 +35,14 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+});
 
 /**
  * POST /api/i18n/preferences
  * Update user language preferences
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { language } = body;
 
@@ -108,5 +92,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+});
 
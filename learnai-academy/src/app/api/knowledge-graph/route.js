@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { knowledgeGraphService } from '@/services/learning/knowledgeGraphService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET /api/knowledge-graph
+ * The skill graph, or one subject's part of it (?subject=math)
+ */
+export const GET = withAuth(async (request) => {
+  try {
+    const subject = new URL(request.url).searchParams.get('subject');
+    const { nodes, edges } = await knowledgeGraphService.getGraph({ subject });
+
+    return NextResponse.json({ success: true, nodes, edges });
+  } catch (error) {
+    console.error('Error fetching knowledge graph:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch knowledge graph' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.CONTENT_READ });
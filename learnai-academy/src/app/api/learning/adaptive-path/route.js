@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { adaptiveLearningPathService } from '@/services/learning/adaptiveLearningPathService.js';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 /**
  * GET /api/learning/adaptive-path
  * Get adaptive learning path
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const studentId = searchParams.get('studentId');
     const subjectId = searchParams.get('subjectId');
@@ -53,22 +46,17 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
 
 /**
  * POST /api/learning/adaptive-path
  * Adjust path based on performance
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { studentId, topicId, performanceData } = body;
 
@@ -79,6 +67,13 @@ export async function POST(request) {
       );
     }
 
+    if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId }))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
     const adjustedPath = await adaptiveLearningPathService.adjustPath(
       studentId,
       topicId,
@@ -96,5 +91,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
@@ -0,0 +1,98 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { gapBacktraceService, GapBacktraceError } from '@/services/learning/gapBacktraceService.js';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const postSchema = z.object({
+  // answer: answer the current probe question
+  // check: quick questions on the current detour step, to close it
+  action: z.enum(['answer', 'check']).default('answer'),
+  questionId: z.string().optional(),
+  answer: z.union([z.string(), z.number()]).optional(),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof GapBacktraceError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * Load the back-trace and check the user may act for its student
+ */
+async function loadBacktrace(params, user, permission) {
+  const backtrace = await gapBacktraceService.getBacktrace(params.id);
+  if (!(await authorize(user, permission, { studentId: backtrace.studentId }))) {
+    throw new GapBacktraceError('Access denied', 'ACCESS_DENIED', 403);
+  }
+  return backtrace;
+}
+
+/**
+ * GET /api/learning/gap-backtrace/[id]
+ * The back-trace: probes so far, the next question, and the detour once
+ * the gaps are found
+ */
+export const GET = withAuth(async (request, { params, user }) => {
+  try {
+    const backtrace = await loadBacktrace(params, user, PERMISSIONS.PROGRESS_READ);
+    return NextResponse.json({ success: true, backtrace });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch gap back-trace');
+  }
+}, { permission: PERMISSIONS.PROGRESS_READ });
+
+/**
+ * POST /api/learning/gap-backtrace/[id]
+ * Answer the current probe question (action=answer, the default), or ask
+ * for a check on the current detour step (action=check)
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const data = postSchema.parse(body);
+
+    await loadBacktrace(params, user, PERMISSIONS.LEARNING_PARTICIPATE);
+
+    if (data.action === 'check') {
+      const backtrace = await gapBacktraceService.checkStep(params.id);
+      return NextResponse.json({ success: true, backtrace });
+    }
+
+    if (!data.questionId || data.answer === undefined) {
+      return NextResponse.json(
+        { error: 'questionId and answer are required' },
+        { status: 400 }
+      );
+    }
+
+    const { correct, backtrace } = await gapBacktraceService.submitAnswer(params.id, {
+      questionId: data.questionId,
+      answer: data.answer,
+    });
+
+    return NextResponse.json({ success: true, correct, backtrace });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return errorResponse(error, 'Failed to update gap back-trace');
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import prisma from '@/lib/prisma';
+import { gapBacktraceService, GapBacktraceError } from '@/services/learning/gapBacktraceService.js';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const startSchema = z.object({
+  studentId: z.string().min(1),
+  topicId: z.string().min(1),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof GapBacktraceError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/learning/gap-backtrace
+ * The student's unfinished back-trace in a subject, with closed detour
+ * steps caught up from their progress
+ *
+ * Query params: studentId, subjectId
+ */
+export const GET = withAuth(async (request) => {
+  try {
+    const { searchParams } = new URL(request.url);
+    const studentId = searchParams.get('studentId');
+    const subjectId = searchParams.get('subjectId');
+
+    if (!studentId || !subjectId) {
+      return NextResponse.json(
+        { error: 'studentId and subjectId are required' },
+        { status: 400 }
+      );
+    }
+
+    const progress = await prisma.studentProgress.findMany({ where: { studentId, subjectId } });
+    const backtrace = await gapBacktraceService.getDetour(studentId, subjectId, progress);
+
+    return NextResponse.json({ success: true, backtrace });
+  } catch (error) {
+    return errorResponse(error, 'Failed to fetch gap back-trace');
+  }
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
+
+/**
+ * POST /api/learning/gap-backtrace
+ * Start probing the prerequisites of a topic the student keeps failing.
+ * Returns the back-trace with its first question, or null when the topic
+ * has no prerequisites in the knowledge graph.
+ */
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    const body = await request.json();
+    const { studentId, topicId } = startSchema.parse(body);
+
+    if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId }))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
+    const topic = await prisma.topic.findUnique({
+      where: { id: topicId },
+      include: { subject: true },
+    });
+    if (!topic) {
+      return NextResponse.json(
+        { error: 'Topic not found' },
+        { status: 404 }
+      );
+    }
+
+    const backtrace = await gapBacktraceService.start(studentId, topic);
+
+    return NextResponse.json({ success: true, backtrace }, { status: backtrace ? 201 : 200 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return errorResponse(error, 'Failed to start gap back-trace');
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
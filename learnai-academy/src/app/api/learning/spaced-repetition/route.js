@@ -1,21 +1,48 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
-import { spacedRepetitionService } from '@/services/learning/spacedRepetitionService.js';
+import { z } from 'zod';
+import { spacedRepetitionService, SpacedRepetitionError } from '@/services/learning/spacedRepetitionService.js';
+import { qualityToRating } from '@/lib/fsrs';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+
+const postSchema = z.object({
+  action: z.enum(['review', 'schedule', 'import']).default('review'),
+  studentId: z.string().min(1),
+  cardId: z.string().optional(),
+  conceptId: z.string().optional(),
+  subjectId: z.string().optional(),
+  sessionId: z.string().optional(),
+  // 1 Again, 2 Hard, 3 Good, 4 Easy
+  rating: z.number().int().min(1).max(4).optional(),
+  // Older clients send a 0-5 recall quality instead
+  quality: z.number().int().min(0).max(5).optional(),
+  // Cards from the local review store, for import
+  cards: z.array(z.object({ id: z.string() }).passthrough()).max(2000).optional(),
+});
+
+function errorResponse(error, message) {
+  if (error instanceof SpacedRepetitionError) {
+    return NextResponse.json(
+      { error: error.message, code: error.code },
+      { status: error.statusCode }
+    );
+  }
+
+  console.error(`${message}:`, error);
+  return NextResponse.json(
+    { error: message },
+    { status: 500 }
+  );
+}
 
 /**
  * GET /api/learning/spaced-repetition
- * Get concepts due for review
+ * Get cards due for review (action=due), a card's schedule
+ * (action=schedule with cardId or conceptId) or review statistics
+ * (action=statistics)
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const studentId = searchParams.get('studentId');
     const subjectId = searchParams.get('subjectId');
@@ -28,98 +55,116 @@ export async function GET(request) {
       );
     }
 
-    let data;
     switch (action) {
-      case 'statistics':
-        data = await spacedRepetitionService.getReviewStatistics(studentId);
-        break;
-      case 'schedule':
+      case 'statistics': {
+        const statistics = await spacedRepetitionService.getReviewStatistics(studentId);
+        return NextResponse.json({ success: true, ...statistics });
+      }
+      case 'schedule': {
+        const cardId = searchParams.get('cardId');
         const conceptId = searchParams.get('conceptId');
-        if (!conceptId) {
+        if (!cardId && !conceptId) {
           return NextResponse.json(
-            { error: 'conceptId is required for schedule action' },
+            { error: 'cardId or conceptId is required for schedule action' },
             { status: 400 }
           );
         }
-        data = await spacedRepetitionService.getReviewSchedule(studentId, conceptId);
-        break;
-      default:
-        data = await spacedRepetitionService.getConceptsDueForReview(studentId, subjectId);
+        const schedule = await spacedRepetitionService.getReviewSchedule(studentId, { cardId, conceptId });
+        return NextResponse.json({ success: true, ...schedule });
+      }
+      default: {
+        const cards = await spacedRepetitionService.getDueCards(studentId, subjectId || null);
+        return NextResponse.json({ success: true, cards });
+      }
     }
-
-    return NextResponse.json({
-      success: true,
-      ...(Array.isArray(data) ? { concepts: data } : data),
-    });
   } catch (error) {
-    console.error('Error in spaced repetition:', error);
-    return NextResponse.json(
-      { error: 'Failed to get spaced repetition data' },
-      { status: 500 }
-    );
+    return errorResponse(error, 'Failed to get spaced repetition data');
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
 
 /**
  * POST /api/learning/spaced-repetition
- * Record a review or schedule initial review
+ * Record a review (action=review, the default), schedule a concept the
+ * student has just learned (action=schedule) or import cards from the
+ * client's local review store (action=import)
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
+    const body = await request.json();
+    const data = postSchema.parse(body);
+    const { action, studentId, cardId, conceptId, subjectId, sessionId } = data;
+
+    if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId }))) {
       return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
+        { error: 'Access denied' },
+        { status: 403 }
       );
     }
 
-    const body = await request.json();
-    const { action, studentId, conceptId, quality, subjectId, sessionId } = body;
+    if (action === 'import') {
+      if (!data.cards) {
+        return NextResponse.json(
+          { error: 'cards are required for import action' },
+          { status: 400 }
+        );
+      }
+      const result = await spacedRepetitionService.importLocalCards(studentId, data.cards);
+      return NextResponse.json({ success: true, ...result });
+    }
 
-    if (!studentId || !conceptId) {
+    if (!cardId && !conceptId) {
       return NextResponse.json(
-        { error: 'studentId and conceptId are required' },
+        { error: 'cardId or conceptId is required' },
         { status: 400 }
       );
     }
 
-    let result;
     if (action === 'schedule') {
-      // Schedule initial review after learning
-      result = await spacedRepetitionService.scheduleInitialReview(
-        studentId,
-        conceptId,
-        subjectId,
-        quality || 3
-      );
-    } else {
-      // Record a review
-      if (quality === undefined) {
+      if (!conceptId) {
         return NextResponse.json(
-          { error: 'quality (0-5) is required' },
+          { error: 'conceptId is required for schedule action' },
           { status: 400 }
         );
       }
-
-      result = await spacedRepetitionService.recordReview(
+      const card = await spacedRepetitionService.scheduleInitialReview(
         studentId,
         conceptId,
-        quality,
-        { subjectId, sessionId }
+        subjectId,
+        data.quality ?? 3
       );
+      return NextResponse.json({ success: true, card });
     }
 
+    const rating = data.rating ?? (data.quality !== undefined ? qualityToRating(data.quality) : undefined);
+    if (rating === undefined) {
+      return NextResponse.json(
+        { error: 'rating (1-4) is required' },
+        { status: 400 }
+      );
+    }
+
+    const result = await spacedRepetitionService.recordReview(
+      studentId,
+      { cardId, conceptId },
+      rating,
+      { subjectId, sessionId }
+    );
+
     return NextResponse.json({
       success: true,
       ...result,
     });
   } catch (error) {
-    console.error('Error in spaced repetition:', error);
-    return NextResponse.json(
-      { error: 'Failed to process spaced repetition' },
-      { status: 500 }
-    );
-  }
-}
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
 
+    return errorResponse(error, 'Failed to process spaced repetition');
+  }
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -1,5 +1,4 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import prisma from '@/lib/prisma';
 import { lessonPlayerService } from '@/services/lesson/lessonPlayerService.js';
 import { activityCompletionService } from '@/services/lesson/activityCompletionService.js';
@@ -7,6 +6,8 @@ import { lessonProgressService } from '@/services/lesson/lessonProgressService.j
 import { noteTakingService } from '@/services/lesson/noteTakingService.js';
 import { interactiveElementsService } from '@/services/lesson/interactiveElementsService.js';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -38,16 +39,8 @@ const noteActionSchema = z.object({
  * POST /api/lessons/player
  * Lesson player actions
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { type, ...data } = body;
 
@@ -101,7 +94,7 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
 /**
  * Handle lesson actions
@@ -116,7 +109,7 @@ async function handleLessonAction(data, user) {
       }
 
       // Get student ID (first student for now)
-      const student = await getStudentForUser(user.id);
+      const student = await getStudentForUser(user.userId);
       if (!student) {
         throw new Error('Student not found');
       }
@@ -235,12 +228,12 @@ async function handleNoteAction(data, user) {
 }
 
 /**
- * Get student for user
+ * Get student for user: their own profile, or a parent's child
  */
 async function getStudentForUser(userId) {
   return await prisma.student.findFirst({
     where: {
-      parentId: userId,
+      OR: [{ userId }, { parentId: userId }],
     },
   });
 }
@@ -1,11 +1,12 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { multimediaContentService } from '@/services/multimedia/multimediaContentService.js';
 import { videoGenerationService } from '@/services/multimedia/videoGenerationService.js';
 import { voiceNarrationService } from '@/services/multimedia/voiceNarrationService.js';
 import { captionService } from '@/services/multimedia/captionService.js';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -30,17 +31,8 @@ const generateMultimediaSchema = z.object({
  * POST /api/multimedia/generate
  * Generate multimedia content (videos, audio, captions)
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = generateMultimediaSchema.parse(body);
 
@@ -194,22 +186,14 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
 /**
  * GET /api/multimedia
  * Get multimedia content for a lesson plan
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const lessonPlanId = searchParams.get('lessonPlanId');
 
@@ -233,5 +217,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -0,0 +1,148 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { ROLES, PERMISSIONS } from '@/lib/rbac';
+import { getClientIdentifier, rateLimit } from '@/middleware/rateLimit';
+import { rateLimitErrorResponse } from '@/lib/errorHandler';
+import { getRequestMetadata } from '@/lib/auditLogger';
+import {
+  consentService,
+  requiresParentalConsent,
+  CONSENT_TYPES,
+  CONSENT_METHODS,
+} from '@/services/parent/consentService';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const createChildSchema = z.object({
+  firstName: z.string().min(1, 'First name is required'),
+  lastName: z.string().optional(),
+  gradeLevel: z.number().min(0).max(12, 'Grade level must be between 0 and 12'),
+  birthDate: z.string().refine(
+    value => !Number.isNaN(Date.parse(value)) && new Date(value) <= new Date(),
+    'Enter a valid birth date'
+  ),
+  consents: z.object(
+    Object.fromEntries(Object.values(CONSENT_TYPES).map(type => [type, z.boolean().optional()]))
+  ).default({}),
+  // The parent's account password, confirming a parent is giving consent
+  password: z.string().optional(),
+});
+
+const CHILD_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  gradeLevel: true,
+  birthDate: true,
+  createdAt: true,
+};
+
+/**
+ * GET /api/parent/children
+ * The signed-in parent's children, with the consents in force for each
+ */
+export const GET = withAuth(async (request, { user }) => {
+  try {
+    const children = await prisma.student.findMany({
+      where: { parentId: user.userId },
+      select: CHILD_SELECT,
+      orderBy: { createdAt: 'asc' },
+    });
+
+    const withConsents = await Promise.all(children.map(async child => ({
+      ...child,
+      ...(await consentService.getConsents(child.id)),
+    })));
+
+    return NextResponse.json({ success: true, children: withConsents });
+  } catch (error) {
+    console.error('Error fetching children:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch children' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.STUDENT_READ });
+
+/**
+ * POST /api/parent/children
+ * Add a child profile owned by the signed-in parent
+ *
+ * A child under 13 needs `consents.DATA_COLLECTION: true` and the parent's
+ * `password`; the other consents in `consents` are recorded with it. For
+ * an older child, consents are optional but still need the password.
+ */
+export const POST = withAuth(async (request, { user }) => {
+  try {
+    if (user.role !== ROLES.PARENT) {
+      return NextResponse.json(
+        { error: 'Only parent accounts can add children' },
+        { status: 403 }
+      );
+    }
+
+    const limit = await rateLimit(request, getClientIdentifier(request, user), 'auth');
+    if (!limit.allowed) {
+      return rateLimitErrorResponse(Math.ceil((limit.resetAt - Date.now()) / 1000));
+    }
+
+    const body = await request.json();
+    const data = createChildSchema.parse(body);
+
+    const needsConsent = requiresParentalConsent(data.birthDate);
+    if (needsConsent && data.consents[CONSENT_TYPES.DATA_COLLECTION] !== true) {
+      return NextResponse.json(
+        {
+          error: 'Children under 13 need a parent\'s consent to data collection',
+          code: 'CONSENT_REQUIRED',
+          consentType: CONSENT_TYPES.DATA_COLLECTION,
+        },
+        { status: 400 }
+      );
+    }
+
+    const hasDecisions = Object.keys(data.consents).length > 0;
+    if ((needsConsent || hasDecisions) && !(await consentService.verifyParentPassword(user.userId, data.password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect', code: 'PASSWORD_CONFIRMATION_FAILED' },
+        { status: 403 }
+      );
+    }
+
+    // Children sign in through the parent's account, which owns the profile
+    const child = await prisma.student.create({
+      data: {
+        userId: user.userId,
+        parentId: user.userId,
+        firstName: data.firstName,
+        lastName: data.lastName || '',
+        gradeLevel: data.gradeLevel,
+        birthDate: new Date(data.birthDate),
+      },
+      select: CHILD_SELECT,
+    });
+
+    const consents = await consentService.recordConsents(child.id, user.userId, data.consents, {
+      method: CONSENT_METHODS.PASSWORD_CONFIRMATION,
+      ...getRequestMetadata(request),
+    });
+
+    return NextResponse.json({ success: true, child: { ...child, ...consents } }, { status: 201 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error adding child:', error);
+    return NextResponse.json(
+      { error: 'Failed to add child' },
+      { status: 500 }
+    );
+  }
+}, { permission: PERMISSIONS.STUDENT_CREATE });
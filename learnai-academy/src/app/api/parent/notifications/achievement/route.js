@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { parentNotificationService } from '@/services/notifications/parentNotificationService.js';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 /**
  * POST /api/parent/notifications/achievement
  * Send achievement notification
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { studentId, achievement } = body;
 
@@ -26,6 +19,13 @@ export async function POST(request) {
       );
     }
 
+    if (!(await authorize(user, PERMISSIONS.REPORT_SEND, { studentId }))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
     const result = await parentNotificationService.sendAchievementNotification(
       studentId,
       achievement
@@ -42,5 +42,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.REPORT_SEND });
 
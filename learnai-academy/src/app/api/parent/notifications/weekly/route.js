@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { parentNotificationService } from '@/services/notifications/parentNotificationService.js';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 /**
  * POST /api/parent/notifications/weekly
  * Send weekly progress report
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { studentId } = body;
 
@@ -26,10 +19,9 @@ export async function POST(request) {
       );
     }
 
-    // Verify user has access to this student
-    if (user.role !== 'ADMIN' && user.role !== 'PARENT') {
+    if (!(await authorize(user, PERMISSIONS.REPORT_SEND, { studentId }))) {
       return NextResponse.json(
-        { error: 'Unauthorized' },
+        { error: 'Access denied' },
         { status: 403 }
       );
     }
@@ -47,22 +39,14 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.REPORT_SEND });
 
 /**
  * GET /api/parent/notifications/weekly
  * Get notification preferences or history
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const studentId = searchParams.get('studentId');
 
@@ -79,5 +63,8 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
 
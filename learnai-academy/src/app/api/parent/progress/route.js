@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { parentInvolvementService } from '@/services/parent/parentInvolvementService.js';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -25,18 +26,8 @@ const parentRequestSchema = z.object({
  * POST /api/parent/progress
  * Get parent involvement features (reports, activities, tips)
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
-    // Verify user is parent of student
     const body = await request.json();
     const data = parentRequestSchema.parse(body);
 
@@ -54,10 +45,10 @@ export async function POST(request) {
       );
     }
 
-    // Check if user is parent
-    if (student.parentId !== user.id && user.role !== 'ADMIN' && user.role !== 'TEACHER') {
+    // Check the user is the student's parent, teacher or admin
+    if (!(await authorize(user, PERMISSIONS.PROGRESS_READ, { studentId: student.id }))) {
       return NextResponse.json(
-        { error: 'Unauthorized - Not parent of this student' },
+        { error: 'Access denied' },
         { status: 403 }
       );
     }
@@ -132,5 +123,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.PROGRESS_READ });
 
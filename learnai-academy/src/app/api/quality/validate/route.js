@@ -1,11 +1,12 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { contentValidationService } from '@/services/quality/contentValidationService.js';
 import { qualityAssuranceService } from '@/services/quality/qualityAssuranceService.js';
 import { consistencyCheckService } from '@/services/quality/consistencyCheckService.js';
 import { standardsAlignmentService } from '@/services/quality/standardsAlignmentService.js';
 import { reviewWorkflowService } from '@/services/quality/reviewWorkflowService.js';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -22,16 +23,8 @@ const validateRequestSchema = z.object({
  * POST /api/quality/validate
  * Quality and validation endpoints
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = validateRequestSchema.parse(body);
 
@@ -135,22 +128,14 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
 /**
  * GET /api/quality/validate
  * Get validation/quality status
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const lessonPlanId = searchParams.get('lessonPlanId');
     const curriculumId = searchParams.get('curriculumId');
@@ -185,5 +170,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
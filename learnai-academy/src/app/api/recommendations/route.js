@@ -1,8 +1,9 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { recommendationEngine } from '@/services/analytics/recommendationEngine';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 // Force dynamic rendering - recommendations require runtime data
 export const dynamic = 'force-dynamic';
@@ -18,7 +19,7 @@ const recommendationsSchema = z.object({
  * GET /api/recommendations
  * Get personalized learning recommendations for a student
  */
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
     // Early return if executed during build (no real request)
     if (!request || !request.url || process.env.NEXT_PHASE === 'phase-production-build') {
@@ -28,14 +29,6 @@ export async function GET(request) {
       );
     }
 
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const studentId = searchParams.get('studentId');
     const subjectId = searchParams.get('subjectId');
@@ -49,7 +42,7 @@ export async function GET(request) {
       );
     }
 
-    // Verify student belongs to user
+    // Verify the user may act for the student
     let student;
     try {
       student = await prisma.student.findUnique({
@@ -65,7 +58,7 @@ export async function GET(request) {
       });
     }
 
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
+    if (!student || !(await authorize(user, PERMISSIONS.PROGRESS_READ, { studentId: student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
@@ -99,26 +92,18 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.PROGRESS_READ });
 
 /**
  * POST /api/recommendations
  * Get personalized learning path
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = recommendationsSchema.parse(body);
 
-    // Verify student belongs to user
+    // Verify the user may act for the student
     let student;
     try {
       student = await prisma.student.findUnique({
@@ -134,7 +119,7 @@ export async function POST(request) {
       });
     }
 
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
+    if (!student || !(await authorize(user, PERMISSIONS.PROGRESS_READ, { studentId: student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
@@ -175,5 +160,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.PROGRESS_READ });
 
@@ -1,15 +1,16 @@
 import { NextResponse } from 'next/server';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * GET /api/service-worker/register
  * Endpoint to trigger service worker registration
  * Can be called from client to ensure SW is registered
  */
-export async function GET() {
+export const GET = withAuth(async () => {
   return NextResponse.json({
     success: true,
     message: 'Service Worker registration endpoint',
     swPath: '/sw.js',
   });
-}
+}, { anonymous: true });
 
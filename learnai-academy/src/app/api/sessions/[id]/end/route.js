@@ -1,24 +1,17 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
 import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
 import { progressTracker } from '@/services/analytics/progressTracker';
 import { achievementChecker } from '@/services/analytics/achievementChecker';
+import { sessionSummarizer } from '@/services/ai/sessionSummarizer';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
 
-export async function POST(request, { params }) {
+export const POST = withAuth(async (request, { params }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const sessionId = params.id;
 
     // Get session details
@@ -61,13 +54,23 @@ export async function POST(request, { params }) {
       },
     });
 
+    // Summarize what was learned (stored on the session and in student memory)
+    let summary = null;
+    try {
+      summary = await sessionSummarizer.summarizeSession(sessionId);
+    } catch (summaryError) {
+      console.error('Error summarizing session:', summaryError);
+    }
+
     // Track progress using progressTracker service
     const sessionData = {
-      problemsAttempted: session.problemsAttempted || 0,
-      problemsCorrect: session.problemsCorrect || 0,
+      problemsAttempted: summary?.problemsAttempted ?? session.problemsAttempted ?? 0,
+      problemsCorrect: summary?.problemsCorrect ?? session.problemsCorrect ?? 0,
       durationMinutes,
       pointsEarned,
       concepts: session.sessionData?.concepts || [],
+      misconceptions: summary?.misconceptions || [],
+      summary,
     };
 
     await progressTracker.trackSessionProgress(sessionId, sessionData);
@@ -91,6 +94,7 @@ export async function POST(request, { params }) {
         durationMinutes,
         pointsEarned,
         messagesCount: updatedSession.messagesCount,
+        summary,
       },
       newAchievements: newAchievements.map(a => ({
         id: a.achievement.id,
@@ -111,4 +115,7 @@ export async function POST(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
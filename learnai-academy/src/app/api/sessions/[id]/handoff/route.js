@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering - uses authentication
+export const dynamic = 'force-dynamic';
+
+/**
+ * DELETE /api/sessions/[id]/handoff
+ * Undo the session's most recent agent handoff - the session goes back to
+ * the agent that was answering before, and the switch is announced in the
+ * chat
+ */
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    const session = await prisma.learningSession.findUnique({
+      where: { id: params.id },
+      include: {
+        student: true,
+      },
+    });
+
+    if (!session) {
+      return NextResponse.json(
+        { error: 'Session not found' },
+        { status: 404 }
+      );
+    }
+
+    const handoff = await agentOrchestrator.undoHandoff(session.id);
+    if (!handoff) {
+      return NextResponse.json(
+        { error: 'No handoff to undo' },
+        { status: 409 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      handoff,
+    });
+  } catch (error) {
+    console.error('Error undoing handoff:', error);
+    return NextResponse.json(
+      { error: 'Failed to undo handoff' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
@@ -1,9 +1,11 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { agentOrchestrator } from '@/services/ai/agentOrchestrator';
-import { contentFilter } from '@/services/ai/contentFilter';
+import { BudgetExceededError } from '@/services/ai/costLedger';
+import { ConsentRequiredError } from '@/services/parent/consentService';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -12,39 +14,21 @@ const messageSchema = z.object({
   content: z.string().min(1, 'Message cannot be empty').max(2000),
 });
 
-export async function POST(request, { params }) {
+export const POST = withAuth(async (request, { params }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const sessionId = params.id;
     const body = await request.json();
     const { content } = messageSchema.parse(body);
 
-    // Sanitize input to prevent prompt injection
-    const sanitizedContent = contentFilter.sanitizeInput(content);
+    // Passed on unedited - the moderation pipeline scores and refuses
+    // prompt injection
+    const message = content.trim();
 
-    // Check for homework cheating attempts
-    if (contentFilter.isHomeworkCheating(sanitizedContent)) {
-      return NextResponse.json({
-        success: true,
-        message: {
-          role: 'assistant',
-          content: "I'm here to help you learn, not to give you answers! Let's work through this together. What part are you stuck on?",
-        },
-      });
-    }
-
-    // Route message to appropriate AI agent
+    // Route message to appropriate AI agent (pasted assigned work is
+    // handled by the academic integrity check)
     const response = await agentOrchestrator.routeMessage(
       sessionId,
-      sanitizedContent
+      message
     );
 
     return NextResponse.json({
@@ -53,6 +37,10 @@ export async function POST(request, { params }) {
         role: 'assistant',
         content: response.content,
         filtered: response.filtered || false,
+        hintOnly: response.integrity?.mode === 'hint_only',
+        codeRun: response.codeRun || null,
+        exercise: response.exercise || null,
+        handoff: response.handoff || null,
       },
       usage: response.usage,
     });
@@ -66,24 +54,25 @@ export async function POST(request, { params }) {
       );
     }
 
+    if (error instanceof BudgetExceededError || error instanceof ConsentRequiredError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to process message' },
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
 
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const sessionId = params.id;
 
     // Get all messages for this session
@@ -98,6 +87,11 @@ export async function GET(request, { params }) {
         id: m.id,
         role: m.role,
         content: m.content,
+        // Handoff announcements carry the handoff so the chat can offer undo
+        handoff: m.metadata?.handoff || null,
+        // Spoken messages, and what was read aloud for replies
+        isVoiceInput: m.metadata?.isVoiceInput || false,
+        speech: m.metadata?.speech || null,
         createdAt: m.createdAt,
       })),
     });
@@ -108,4 +102,7 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
@@ -1,12 +1,20 @@
 import { NextResponse } from "next/server";
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
 
-export async function GET() {
+export const GET = withAuth(async () => {
   return NextResponse.json({"ok": true, "route": "sessions/[id]", "method": "GET"});
-}
-export async function POST(request) {
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
+export const POST = withAuth(async (request) => {
   const body = await request.json().catch(() => ({}));
   return NextResponse.json({"ok": true, "route": "sessions/[id]", "method": "POST", body});
-}
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: ({ params }) => ({ sessionId: params.id }),
+});
@@ -1,8 +1,12 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
 import agentOrchestrator from '@/services/ai/agentOrchestrator';
+import { BudgetExceededError } from '@/services/ai/costLedger';
+import { ConsentRequiredError } from '@/services/parent/consentService';
+import { createSSEResponse } from '@/lib/sse';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 // Force dynamic rendering - uses authentication
 export const dynamic = 'force-dynamic';
@@ -12,24 +16,33 @@ const chatSchema = z.object({
   message: z.string().min(1).max(4000),
   context: z.object({
     isVoiceInput: z.boolean().optional(),
+    // Speech recognition details; the message itself is the transcript
+    voice: z.object({
+      confidence: z.number().min(0).max(1).optional(),
+      durationMs: z.number().int().nonnegative().max(10 * 60 * 1000).optional(),
+      locale: z.string().max(20).optional(),
+    }).optional(),
   }).optional(),
+  stream: z.boolean().optional(),
 });
 
 /**
  * POST /api/sessions/chat
  * Send a message in a learning session and get AI response
+ *
+ * Pass `stream: true` (or `Accept: text/event-stream`) to receive the reply
+ * as server-sent events: `delta` chunks, an optional `replace` if
+ * moderation blocks the reply, then `done` with usage metadata. A
+ * `handoff` event comes first when the message moved the session to
+ * another agent (or undid the last move).
+ *
+ * Voice: send the speech transcript as `message` with
+ * `context.isVoiceInput`. In voice-mode sessions, and for spoken messages,
+ * the reply (or the `done` event) includes `speech` - an audio URL, or
+ * instructions for the browser's speech synthesis.
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = chatSchema.parse(body);
 
@@ -38,12 +51,6 @@ export async function POST(request) {
       where: { id: data.sessionId },
       include: {
         student: true,
-        subject: true,
-        topic: true,
-        messages: {
-          orderBy: { sequenceNumber: 'desc' },
-          take: 10, // Last 10 messages for context
-        },
       },
     });
 
@@ -55,96 +62,66 @@ export async function POST(request) {
     }
 
     // Verify user has access to this session
-    if (session.student.userId !== user.userId && session.student.parentId !== user.userId) {
+    if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId: session.student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
       );
     }
 
-    // Get student progress for this topic
-    const progress = await prisma.studentProgress.findUnique({
-      where: {
-        studentId_topicId: {
-          studentId: session.studentId,
-          topicId: session.topicId,
-        },
-      },
-    });
-
-    // Save user message
-    const nextSequenceNumber = (session.messages[0]?.sequenceNumber || 0) + 1;
-    await prisma.sessionMessage.create({
-      data: {
-        sessionId: session.id,
-        role: 'user',
-        content: data.message,
-        sequenceNumber: nextSequenceNumber,
-        metadata: data.context || {},
-      },
-    });
-
-    // Prepare context for AI agent
-    const context = {
-      sessionId: session.id,
-      studentId: session.studentId,
-      subject: session.subject.slug,
-      topic: session.topic.name,
-      topicSlug: session.topic.slug,
-      gradeLevel: session.student.gradeLevel,
-      difficulty: session.difficultyLevel,
-      mode: session.sessionMode,
-      isVoiceMode: session.sessionData?.isVoiceMode || false,
-      messageHistory: session.messages.reverse().map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      })),
-      progress: progress ? {
-        masteryLevel: progress.masteryLevel,
-        strengths: progress.strengths,
-        weaknesses: progress.weaknesses,
-      } : null,
+    // The message is passed on unedited - prompt injection is scored and
+    // refused by the moderation pipeline, not stripped out
+    const message = data.message.trim();
+
+    // Without a parent's consent to chat (or to voice, for a spoken
+    // message) the message isn't processed at all
+    await agentOrchestrator.checkConsent(session.id, { messageMetadata: data.context || {} });
+
+    // Child-safety moderation runs before the budget check so a blocked
+    // message or self-harm disclosure is always answered, never refused
+    const moderation = await agentOrchestrator.moderateInput(session.id, message);
+    // The agent is picked by the orchestrator from the session's role and
+    // the message's intent
+    const metadata = {
+      messageMetadata: data.context || {},
+      moderation,
     };
+    if (!moderation.stopped) {
+      // Checked up front so a refusal is a 429, not an error mid-stream
+      metadata.budget = await agentOrchestrator.checkBudget(session.id);
+    }
 
-    // Get AI response
-    const agentRole = session.sessionData?.agentRole || 'tutoring';
-    const aiResponse = await agentOrchestrator.routeMessage(
-      data.message,
-      context,
-      agentRole
-    );
-
-    // Save AI response
-    await prisma.sessionMessage.create({
-      data: {
-        sessionId: session.id,
-        role: 'assistant',
-        content: aiResponse.content,
-        sequenceNumber: nextSequenceNumber + 1,
-        metadata: {
-          model: aiResponse.model,
-          tokensUsed: aiResponse.usage?.totalTokens,
-          responseTime: aiResponse.responseTime,
-        },
-      },
-    });
+    // Streaming mode: send the reply as server-sent events while it is generated
+    const wantsStream = data.stream || request.headers.get('accept')?.includes('text/event-stream');
+    if (wantsStream) {
+      return createSSEResponse(
+        agentOrchestrator.streamMessage(session.id, message, metadata),
+        { onError: (error) => console.error('Chat stream error:', error) }
+      );
+    }
 
-    // Update session stats
-    await prisma.learningSession.update({
-      where: { id: session.id },
-      data: {
-        messagesCount: { increment: 2 }, // User message + AI response
-      },
-    });
+    // Get AI response (the orchestrator saves both messages)
+    const aiResponse = await agentOrchestrator.routeMessage(session.id, message, metadata);
 
     return NextResponse.json({
       success: true,
       message: aiResponse.content,
+      filtered: aiResponse.filtered || false,
       metadata: {
         model: aiResponse.model,
         tokensUsed: aiResponse.usage?.totalTokens,
         responseTime: aiResponse.responseTime,
+        // 'hint_only' when the message matched closed-tutor assigned work
+        integrity: aiResponse.integrity?.mode || null,
       },
+      // Coding sessions: sandbox output / test results and a new exercise
+      codeRun: aiResponse.codeRun || null,
+      exercise: aiResponse.exercise || null,
+      // Set when this message handed the session to another agent or undid
+      // the last handoff
+      handoff: aiResponse.handoff || null,
+      // Voice sessions: how to read the reply aloud
+      speech: aiResponse.speech || null,
     });
 
   } catch (error) {
@@ -157,9 +134,16 @@ export async function POST(request) {
       );
     }
 
+    if (error instanceof BudgetExceededError || error instanceof ConsentRequiredError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to process message', details: error.message },
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
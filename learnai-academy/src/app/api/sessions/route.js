@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
+import { consentService, CONSENT_TYPES, ConsentRequiredError } from '@/services/parent/consentService';
 
 // Force dynamic rendering - uses authentication
 export const dynamic = 'force-dynamic';
@@ -16,32 +18,34 @@ const createSessionSchema = z.object({
   agentRole: z.enum(['tutoring', 'curriculum', 'assessment']).optional(),
 });
 
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = createSessionSchema.parse(body);
 
-    // Verify student belongs to user
+    // Verify the user may act for the student
     const student = await prisma.student.findUnique({
       where: { id: data.studentId },
     });
 
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
+    if (!student || !(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId: student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
       );
     }
 
+    // Tutoring sessions need the parent's chat consent; voice mode needs
+    // voice consent and is only turned on by default when it's been given
+    const { consents } = await consentService.getConsents(student.id);
+    if (!consents[CONSENT_TYPES.AI_CHAT].granted) {
+      throw new ConsentRequiredError(CONSENT_TYPES.AI_CHAT);
+    }
+    const canUseVoice = consents[CONSENT_TYPES.VOICE_RECORDING].granted;
+    if (data.isVoiceMode && !canUseVoice) {
+      throw new ConsentRequiredError(CONSENT_TYPES.VOICE_RECORDING);
+    }
+
     // Create learning session
     const session = await prisma.learningSession.create({
       data: {
@@ -52,7 +56,8 @@ export async function POST(request) {
         difficultyLevel: data.difficulty,
         startedAt: new Date(),
         sessionData: {
-          isVoiceMode: data.isVoiceMode || false,
+          // K-2 students talk to the tutor unless voice mode is turned off
+          isVoiceMode: data.isVoiceMode ?? (canUseVoice && student.gradeLevel <= 2),
           agentRole: data.agentRole || 'tutoring',
         },
       },
@@ -89,6 +94,7 @@ export async function POST(request) {
         topic: session.topic.name,
         mode: session.sessionMode,
         difficulty: session.difficultyLevel,
+        isVoiceMode: session.sessionData.isVoiceMode,
         startedAt: session.startedAt,
         welcomeMessage,
       },
@@ -103,9 +109,16 @@ export async function POST(request) {
       );
     }
 
+    if (error instanceof ConsentRequiredError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code, consentType: error.consentType },
+        { status: error.statusCode }
+      );
+    }
+
     return NextResponse.json(
       { error: 'Failed to create session' },
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
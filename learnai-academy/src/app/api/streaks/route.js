@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { withAuthAndErrorHandler } from '@/middleware/errorHandler';
+import { PERMISSIONS } from '@/lib/permissions';
 import { StreakTracker } from '@/lib/studyStreaks';
 import { streakService } from '@/services/study/streakService';
 
@@ -22,7 +23,7 @@ export const GET = withAuthAndErrorHandler(async (request, { user }) => {
     history,
     milestones,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
 /**
  * POST /api/streaks/log
@@ -57,4 +58,4 @@ export const POST = withAuthAndErrorHandler(async (request, { user }) => {
     longestStreak: result.longestStreak,
     achievements,
   });
-});
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+import { getClientIdentifier, rateLimit } from '@/middleware/rateLimit';
+import { rateLimitErrorResponse } from '@/lib/errorHandler';
+import { getRequestMetadata } from '@/lib/auditLogger';
+import { consentService, CONSENT_TYPES, CONSENT_METHODS } from '@/services/parent/consentService';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const updateSchema = z.object({
+  consents: z.object(
+    Object.fromEntries(Object.values(CONSENT_TYPES).map(type => [type, z.boolean().optional()]))
+  ),
+  // The parent's account password, confirming a parent is deciding
+  password: z.string().min(1, 'Password is required'),
+});
+
+/**
+ * GET /api/students/[id]/consents
+ * The parental consents in force for a student and every decision made.
+ * Pass `?format=csv` to download the history.
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const current = await consentService.getConsents(params.id);
+    if (!current) {
+      return NextResponse.json(
+        { error: 'Student not found' },
+        { status: 404 }
+      );
+    }
+
+    const history = await consentService.getHistory(params.id);
+
+    const { searchParams } = new URL(request.url);
+    if (searchParams.get('format') === 'csv') {
+      return new NextResponse(consentService.historyToCsv(history), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="consent-history-${params.id}.csv"`,
+        },
+      });
+    }
+
+    return NextResponse.json({ success: true, ...current, history });
+  } catch (error) {
+    console.error('Error fetching consents:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch consents' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_READ,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
+
+/**
+ * POST /api/students/[id]/consents
+ * Grant or withdraw consents. Only the student's parent may decide, and
+ * must confirm with their password. Types left out are unchanged.
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const limit = await rateLimit(request, getClientIdentifier(request, user), 'auth');
+    if (!limit.allowed) {
+      return rateLimitErrorResponse(Math.ceil((limit.resetAt - Date.now()) / 1000));
+    }
+
+    const body = await request.json();
+    const data = updateSchema.parse(body);
+
+    const student = await prisma.student.findUnique({
+      where: { id: params.id },
+      select: { parentId: true },
+    });
+
+    // Teachers and admins can see consents but never give them
+    if (!student || student.parentId !== user.userId) {
+      return NextResponse.json(
+        { error: 'Only the student\'s parent can change consent' },
+        { status: 403 }
+      );
+    }
+
+    if (!(await consentService.verifyParentPassword(user.userId, data.password))) {
+      return NextResponse.json(
+        { error: 'Password is incorrect', code: 'PASSWORD_CONFIRMATION_FAILED' },
+        { status: 403 }
+      );
+    }
+
+    const consents = await consentService.recordConsents(params.id, user.userId, data.consents, {
+      method: CONSENT_METHODS.PASSWORD_CONFIRMATION,
+      ...getRequestMetadata(request),
+    });
+
+    return NextResponse.json({ success: true, ...consents });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error updating consents:', error);
+    return NextResponse.json(
+      { error: 'Failed to update consents' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_UPDATE,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { gradeAccessService, MAX_EXPIRY_HOURS } from '@/services/learning/gradeAccessService';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const generateSchema = z.object({
+  gradeLevel: z.number().int().min(0).max(12, 'Grade level must be between 0 and 12'),
+  expiresInHours: z.number().positive().max(MAX_EXPIRY_HOURS).optional(),
+  maxUses: z.number().int().positive().optional(),
+});
+
+/**
+ * GET /api/students/[id]/grade-access-codes
+ * Grade access codes issued for a student
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const codes = await gradeAccessService.listCodes({ studentId: params.id });
+
+    return NextResponse.json({ success: true, codes });
+  } catch (error) {
+    console.error('Error fetching grade access codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch grade access codes' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_UPDATE,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
+
+/**
+ * POST /api/students/[id]/grade-access-codes
+ * Issue a code that opens a grade for one student. The code is
+ * only returned here; share it with the student before closing the page.
+ */
+export const POST = withAuth(async (request, { params, user }) => {
+  try {
+    const body = await request.json();
+    const data = generateSchema.parse(body);
+
+    const code = await gradeAccessService.generateCode(user.userId, {
+      ...data,
+      studentId: params.id,
+    });
+
+    return NextResponse.json({ success: true, code }, { status: 201 });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error generating grade access code:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate grade access code' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_UPDATE,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { studentMemory, MEMORY_KINDS } from '@/services/ai/studentMemory';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const misconceptionSchema = z.object({
+  kind: z.literal(MEMORY_KINDS.MISCONCEPTION),
+  subject: z.string().min(1),
+  pattern: z.object({
+    misconceptionId: z.string().min(1),
+    misconception: z.string().min(1),
+    description: z.string().max(500),
+    occurrences: z.number().int().nonnegative(),
+    severity: z.number().min(0).max(100).optional(),
+    affectedTopics: z.array(z.string()).optional(),
+  }),
+});
+
+const companionSchema = z.object({
+  kind: z.literal(MEMORY_KINDS.COMPANION),
+  category: z.string().min(1).max(50),
+  detail: z.string().min(1).max(500),
+});
+
+const memorySchema = z.discriminatedUnion('kind', [misconceptionSchema, companionSchema]);
+
+/**
+ * GET /api/students/[id]/memory
+ * What the tutor remembers about a student
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const memories = await studentMemory.list(params.id);
+
+    return NextResponse.json({
+      success: true,
+      memories: memories.map(m => ({
+        id: m.id,
+        kind: m.kind,
+        category: m.category,
+        subject: m.subject,
+        topic: m.topic,
+        content: m.content,
+        updatedAt: m.updatedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching student memory:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch student memory' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.MEMORY_MANAGE,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
+
+/**
+ * POST /api/students/[id]/memory
+ * Sync a misconception pattern (MistakeTracker.analyzeMistakePatterns)
+ * or a companion detail (AICompanion.rememberDetail) from the client
+ */
+export const POST = withAuth(async (request, { params }) => {
+  try {
+    const body = await request.json();
+    const data = memorySchema.parse(body);
+
+    const memory = data.kind === MEMORY_KINDS.MISCONCEPTION
+      ? await studentMemory.rememberMisconception(params.id, data.pattern, data.subject)
+      : await studentMemory.rememberDetail(params.id, data.category, data.detail);
+
+    return NextResponse.json({
+      success: true,
+      memory: { id: memory.id, kind: memory.kind, content: memory.content },
+    });
+  } catch (error) {
+    console.error('Error saving student memory:', error);
+
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to save student memory' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.MEMORY_MANAGE,
+  resource: ({ params }) => ({ studentId: params.id }),
+});
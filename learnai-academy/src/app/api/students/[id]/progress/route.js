@@ -1,21 +1,13 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
+import { withAuth } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
 
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params, user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const studentId = params.id;
 
     // Verify access
@@ -43,7 +35,7 @@ export async function GET(request, { params }) {
       });
     }
 
-    if (!student || (student.userId !== user.userId && student.parentId !== user.userId)) {
+    if (!student || !(await authorize(user, PERMISSIONS.PROGRESS_READ, { studentId: student.id }))) {
       return NextResponse.json(
         { error: 'Access denied' },
         { status: 403 }
@@ -179,4 +171,4 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.PROGRESS_READ });
@@ -1,9 +1,124 @@
-import { NextResponse } from "next/server";
-
-export async function GET() {
-  return NextResponse.json({"ok": true, "route": "students/[id]", "method": "GET"});
-}
-export async function POST(request) {
-  const body = await request.json().catch(() => ({}));
-  return NextResponse.json({"ok": true, "route": "students/[id]", "method": "POST", body});
-}
+import { NextResponse } from 'next/server';
+import prisma from '@/lib/prisma';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+import { z } from 'zod';
+
+// Force dynamic rendering - uses database and authentication
+export const dynamic = 'force-dynamic';
+
+const updateStudentSchema = z.object({
+  firstName: z.string().min(1, 'First name is required').optional(),
+  lastName: z.string().optional(),
+  gradeLevel: z.number().min(0).max(12, 'Grade level must be between 0 and 12').optional(),
+  birthDate: z.string().nullable().optional(),
+});
+
+const studentInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      role: true,
+    },
+  },
+};
+
+const studentResource = ({ params }) => ({ studentId: params.id });
+
+/**
+ * GET /api/students/[id]
+ * A student's profile
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const student = await prisma.student.findUnique({
+      where: { id: params.id },
+      include: studentInclude,
+    });
+
+    if (!student) {
+      return NextResponse.json(
+        { error: 'Student not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ student });
+  } catch (error) {
+    console.error('Error fetching student:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch student' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_READ,
+  resource: studentResource,
+});
+
+/**
+ * PATCH /api/students/[id]
+ * Update a student's name, grade level or birth date
+ */
+export const PATCH = withAuth(async (request, { params }) => {
+  try {
+    const body = await request.json();
+    const data = updateStudentSchema.parse(body);
+
+    const student = await prisma.student.update({
+      where: { id: params.id },
+      data: {
+        ...data,
+        ...(data.birthDate !== undefined && {
+          birthDate: data.birthDate ? new Date(data.birthDate) : null,
+        }),
+      },
+      include: studentInclude,
+    });
+
+    return NextResponse.json({
+      success: true,
+      student,
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error updating student:', error);
+    return NextResponse.json(
+      { error: 'Failed to update student' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_UPDATE,
+  resource: studentResource,
+});
+
+/**
+ * DELETE /api/students/[id]
+ * Delete a student profile
+ */
+export const DELETE = withAuth(async (request, { params }) => {
+  try {
+    await prisma.student.delete({
+      where: { id: params.id },
+    });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting student:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete student' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_DELETE,
+  resource: studentResource,
+});
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import { gradeAccessService, GradeAccessError } from '@/services/learning/gradeAccessService';
+import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
+
+// Force dynamic rendering
+export const dynamic = 'force-dynamic';
+
+const redeemSchema = z.object({
+  code: z.string().trim().min(1, 'Access code is required').max(32),
+});
+
+const studentResource = ({ params }) => ({ studentId: params.id });
+
+/**
+ * GET /api/students/[id]/unlocked-grades
+ * Grades the student may browse besides their own
+ */
+export const GET = withAuth(async (request, { params }) => {
+  try {
+    const unlockedGrades = await gradeAccessService.getUnlockedGrades(params.id);
+
+    return NextResponse.json({ success: true, unlockedGrades });
+  } catch (error) {
+    console.error('Error fetching unlocked grades:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch unlocked grades' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.STUDENT_READ,
+  resource: studentResource,
+});
+
+/**
+ * POST /api/students/[id]/unlocked-grades
+ * Redeem a grade access code from a teacher or parent
+ *
+ * Body: { code }
+ */
+export const POST = withAuth(async (request, { params }) => {
+  try {
+    const body = await request.json();
+    const { code } = redeemSchema.parse(body);
+
+    const result = await gradeAccessService.redeemCode(params.id, code);
+
+    return NextResponse.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return NextResponse.json(
+        { error: 'Validation error', details: error.errors },
+        { status: 400 }
+      );
+    }
+
+    if (error instanceof GradeAccessError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error redeeming grade access code:', error);
+    return NextResponse.json(
+      { error: 'Failed to redeem access code' },
+      { status: 500 }
+    );
+  }
+}, {
+  permission: PERMISSIONS.LEARNING_PARTICIPATE,
+  resource: studentResource,
+});
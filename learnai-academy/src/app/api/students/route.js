@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
-import { verifyToken } from '@/lib/auth';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { authorize, studentScope, ROLES, PERMISSIONS } from '@/lib/rbac';
+import { requiresParentalConsent, CONSENT_AGE } from '@/services/parent/consentService';
 
 // Force dynamic rendering - uses database and authentication
 export const dynamic = 'force-dynamic';
@@ -14,98 +16,40 @@ const createStudentSchema = z.object({
   birthDate: z.string().optional(),
 });
 
-export async function GET(request) {
+export const GET = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
-      );
+    // Admins see their school's or district's students, teachers the
+    // students in their classes, parents their children and students
+    // their own profile
+    const where = studentScope(user);
+    if (!where) {
+      return NextResponse.json({ students: [] });
     }
 
-    // Get students for the authenticated user
-    // If admin, return all students (or implement pagination)
-    // If parent, return their children
-    // If student, return their own profile
-    
     let students = [];
-    
-    if (user.role === 'ADMIN' || user.is_admin) {
-      // Admin can see all students
-      try {
-        // Check if Student model exists by checking Prisma client
-        if (!prisma.student) {
-          return NextResponse.json({ students: [] });
-        }
-        students = await prisma.student.findMany({
-          include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                role: true,
-              },
-            },
-          },
-          take: 100, // Limit for now
-        });
-      } catch (error) {
-        // Student model might not exist or database error
-        console.warn('Error fetching students:', error.message);
-        // Return empty array instead of error to prevent page crash
-        return NextResponse.json({ students: [] });
-      }
-    } else if (user.role === 'PARENT') {
-      // Parent sees their children
-      try {
-        if (!prisma.student) {
-          return NextResponse.json({ students: [] });
-        }
-        students = await prisma.student.findMany({
-          where: {
-            parentId: user.id,
-          },
-          include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                role: true,
-              },
-            },
-          },
-        });
-      } catch (error) {
-        console.warn('Error fetching students:', error.message);
+    try {
+      // Check if Student model exists by checking Prisma client
+      if (!prisma.student) {
         return NextResponse.json({ students: [] });
       }
-    } else if (user.role === 'STUDENT') {
-      // Student sees their own profile
-      try {
-        if (!prisma.student) {
-          return NextResponse.json({ students: [] });
-        }
-        const student = await prisma.student.findFirst({
-          where: {
-            userId: user.id,
-          },
-          include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                role: true,
-              },
+      students = await prisma.student.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              role: true,
             },
           },
-        });
-        students = student ? [student] : [];
-      } catch (error) {
-        console.warn('Error fetching student:', error.message);
-        return NextResponse.json({ students: [] });
-      }
+        },
+        take: 100, // Limit for now
+      });
+    } catch (error) {
+      // Student model might not exist or database error
+      console.warn('Error fetching students:', error.message);
+      // Return empty array instead of error to prevent page crash
+      return NextResponse.json({ students: [] });
     }
 
     return NextResponse.json({ students });
@@ -116,22 +60,42 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.STUDENT_READ });
 
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    // Verify authentication
-    const user = await verifyToken(request);
-    if (!user) {
+    // Students set up their own profile; creating one for anyone else
+    // needs STUDENT_CREATE
+    if (user.role !== ROLES.STUDENT && !(await authorize(user, PERMISSIONS.STUDENT_CREATE))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
+    // Parents add children (with their consent) at /api/parent/children
+    if (user.role === ROLES.PARENT) {
       return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
+        { error: 'Parents add children at /api/parent/children' },
+        { status: 400 }
       );
     }
 
     const body = await request.json();
     const validatedData = createStudentSchema.parse(body);
 
+    // A student setting up their own profile must be old enough to
+    // consent for themselves
+    if (user.role === ROLES.STUDENT && requiresParentalConsent(validatedData.birthDate)) {
+      return NextResponse.json(
+        {
+          error: `Students under ${CONSENT_AGE} need a parent to create their profile`,
+          code: 'PARENT_REQUIRED',
+        },
+        { status: 403 }
+      );
+    }
+
     // Check if Student model exists
     try {
       // Check if Student model is available
@@ -148,7 +112,7 @@ export async function POST(request) {
       // Check if user already has a student profile
       const existingStudent = await prisma.student.findFirst({
         where: {
-          userId: user.id,
+          userId: user.userId,
         },
       });
 
@@ -161,7 +125,6 @@ export async function POST(request) {
 
       // Create student profile
       // If user is a STUDENT, link to their own userId
-      // If user is a PARENT, create a new student linked to parentId
       const studentData = {
         firstName: validatedData.firstName,
         lastName: validatedData.lastName || '',
@@ -171,19 +134,12 @@ export async function POST(request) {
           : null,
       };
 
-      if (user.role === 'STUDENT') {
+      if (user.role === ROLES.STUDENT) {
         // Student creating their own profile
-        studentData.userId = user.id;
-      } else if (user.role === 'PARENT' && validatedData.parentId) {
-        // Parent creating a child profile
-        studentData.parentId = validatedData.parentId;
-        // Need to create a User account for the child first
-        // For now, we'll link to the parent's userId
-        // In a full implementation, you'd create a separate User account
-        studentData.userId = user.id; // Temporary: link to parent's account
+        studentData.userId = user.userId;
       } else {
         // Default: link to current user
-        studentData.userId = user.id;
+        studentData.userId = user.userId;
         if (validatedData.parentId) {
           studentData.parentId = validatedData.parentId;
         }
@@ -244,4 +200,4 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+});
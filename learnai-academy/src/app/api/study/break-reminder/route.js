@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { breakReminderService } from '@/services/study/breakReminderService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 /**
  * GET /api/study/break-reminder
  * Get break reminder information
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const sessionDuration = parseInt(searchParams.get('sessionDuration') || '0');
     const gradeLevel = parseInt(searchParams.get('gradeLevel') || '5');
@@ -45,5 +38,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
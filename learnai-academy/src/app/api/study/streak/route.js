@@ -1,21 +1,14 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { streakService } from '@/services/study/streakService.js';
+import { withAuth, studentFromQuery } from '@/middleware/auth';
+import { authorize, PERMISSIONS } from '@/lib/rbac';
 
 /**
  * GET /api/study/streak
  * Get streak information
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const studentId = searchParams.get('studentId');
     const type = searchParams.get('type') || 'current'; // current, weekly, monthly, recovery
@@ -53,22 +46,17 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, {
+  permission: PERMISSIONS.PROGRESS_READ,
+  resource: studentFromQuery,
+});
 
 /**
  * POST /api/study/streak
  * Update streak
  */
-export async function POST(request) {
+export const POST = withAuth(async (request, { user }) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { studentId, minutesStudied } = body;
 
@@ -79,6 +67,13 @@ export async function POST(request) {
       );
     }
 
+    if (!(await authorize(user, PERMISSIONS.LEARNING_PARTICIPATE, { studentId }))) {
+      return NextResponse.json(
+        { error: 'Access denied' },
+        { status: 403 }
+      );
+    }
+
     const result = await streakService.updateDailyStreak(
       studentId,
       minutesStudied || 0
@@ -95,5 +90,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
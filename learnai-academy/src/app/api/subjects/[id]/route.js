@@ -1,9 +1,11 @@
 import { NextResponse } from "next/server";
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
-export async function GET() {
+export const GET = withAuth(async () => {
   return NextResponse.json({"ok": true, "route": "subjects/[id]", "method": "GET"});
-}
-export async function POST(request) {
+}, { permission: PERMISSIONS.CONTENT_READ });
+export const POST = withAuth(async (request) => {
   const body = await request.json().catch(() => ({}));
   return NextResponse.json({"ok": true, "route": "subjects/[id]", "method": "POST", body});
-}
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
@@ -1,6 +1,7 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
 
 const paginationSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
@@ -14,7 +15,7 @@ const paginationSchema = z.object({
  * Get topics for a subject with pagination
  * Query params: page, limit, gradeLevel, difficulty
  */
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params }) => {
   try {
     const { id } = params;
     const { searchParams } = new URL(request.url);
@@ -99,4 +100,4 @@ export async function GET(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
@@ -1,11 +1,12 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/lib/prisma';
 import { cacheService } from '@/services/cache/cacheService';
+import { withAuth } from '@/middleware/auth';
 
 // Force dynamic rendering - this route requires runtime data
 export const dynamic = 'force-dynamic';
 
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     // Early return if executed during build (no real request)
     if (!request || !request.url || process.env.NEXT_PHASE === 'phase-production-build') {
@@ -86,4 +87,4 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { anonymous: true });
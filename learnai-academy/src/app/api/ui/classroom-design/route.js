@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { classroomDesignService } from '@/services/ui/classroomDesignService.js';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -10,16 +11,8 @@ export const dynamic = 'force-dynamic';
  * GET /api/ui/classroom-design
  * Get classroom design for grade and subject
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const gradeLevel = searchParams.get('gradeLevel');
     const subjectSlug = searchParams.get('subjectSlug');
@@ -55,22 +48,14 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
 /**
  * POST /api/ui/classroom-design
  * Evaluate or customize classroom design
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const { action, gradeLevel, subjectSlug, customizations } = body;
 
@@ -104,5 +89,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { comprehensiveClassroomEvaluationService } from '@/services/ui/comprehensiveClassroomEvaluationService.js';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -15,16 +16,8 @@ const evaluationRequestSchema = z.object({
  * POST /api/ui/comprehensive-evaluation
  * Comprehensive classroom experience evaluation
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = evaluationRequestSchema.parse(body);
 
@@ -53,5 +46,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { verifyToken } from '@/lib/auth';
 import { gradeLevelUIService } from '@/services/ui/gradeLevelUIService.js';
 import { z } from 'zod';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 // Force dynamic rendering
 export const dynamic = 'force-dynamic';
@@ -16,16 +17,8 @@ const uiRequestSchema = z.object({
  * POST /api/ui/grade-level
  * Get grade-level UI configuration or evaluate current UI
  */
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const body = await request.json();
     const data = uiRequestSchema.parse(body);
 
@@ -69,22 +62,14 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
 /**
  * GET /api/ui/grade-level
  * Get UI configuration for grade level
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
-    const user = await verifyToken(request);
-    if (!user) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-
     const { searchParams } = new URL(request.url);
     const gradeLevel = searchParams.get('gradeLevel');
 
@@ -116,5 +101,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
@@ -1,12 +1,14 @@
 import { NextResponse } from 'next/server';
 import { videoLessonService } from '@/services/video/videoLessonService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 /**
  * GET /api/videos/[id] - Get video lesson
  * PUT /api/videos/[id] - Update video lesson
  * DELETE /api/videos/[id] - Delete video lesson
  */
-export async function GET(request, { params }) {
+export const GET = withAuth(async (request, { params }) => {
   try {
     const { id } = params;
     // TODO: Get studentId from session/auth
@@ -22,14 +24,13 @@ export async function GET(request, { params }) {
       { status: 404 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
-export async function PUT(request, { params }) {
+export const PUT = withAuth(async (request, { params }) => {
   try {
     const { id } = params;
     const body = await request.json();
 
-    // TODO: Add authorization check
     // TODO: Implement update logic in service
     return NextResponse.json({ message: 'Update not yet implemented' }, { status: 501 });
   } catch (error) {
@@ -39,13 +40,12 @@ export async function PUT(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
 
-export async function DELETE(request, { params }) {
+export const DELETE = withAuth(async (request, { params }) => {
   try {
     const { id } = params;
     
-    // TODO: Add authorization check
     // TODO: Implement delete logic in service
     return NextResponse.json({ message: 'Delete not yet implemented' }, { status: 501 });
   } catch (error) {
@@ -55,5 +55,5 @@ export async function DELETE(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_MANAGE });
 
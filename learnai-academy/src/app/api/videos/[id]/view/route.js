@@ -1,10 +1,12 @@
 import { NextResponse } from 'next/server';
 import { videoLessonService } from '@/services/video/videoLessonService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 /**
  * POST /api/videos/[id]/view - Record video view/progress
  */
-export async function POST(request, { params }) {
+export const POST = withAuth(async (request, { params }) => {
   try {
     const { id } = params;
     // TODO: Get studentId from session/auth
@@ -21,5 +23,5 @@ export async function POST(request, { params }) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
 
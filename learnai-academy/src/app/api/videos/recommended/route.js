@@ -1,10 +1,12 @@
 import { NextResponse } from 'next/server';
 import { videoLessonService } from '@/services/video/videoLessonService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 /**
  * GET /api/videos/recommended - Get recommended videos for student
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     // TODO: Get studentId from session/auth
     const studentId = 'temp-student-id'; // await getStudentIdFromSession(request);
@@ -21,5 +23,5 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
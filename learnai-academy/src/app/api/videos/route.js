@@ -1,11 +1,13 @@
 import { NextResponse } from 'next/server';
 import { videoLessonService } from '@/services/video/videoLessonService.js';
+import { withAuth } from '@/middleware/auth';
+import { PERMISSIONS } from '@/lib/permissions';
 
 /**
  * GET /api/videos - Search/list video lessons
  * POST /api/videos - Create video lesson
  */
-export async function GET(request) {
+export const GET = withAuth(async (request) => {
   try {
     const { searchParams } = new URL(request.url);
     const query = searchParams.get('q') || '';
@@ -31,9 +33,9 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_READ });
 
-export async function POST(request) {
+export const POST = withAuth(async (request) => {
   try {
     const body = await request.json();
     const videoLesson = await videoLessonService.createVideoLesson(body);
@@ -46,5 +48,5 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
+}, { permission: PERMISSIONS.CONTENT_CREATE });
 
@@ -6,6 +6,7 @@ import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import QuestionCard from '@/components/assessment/QuestionCard';
 import Loading from '@/components/ui/Loading';
 import { Trophy, CheckCircle, XCircle, ArrowLeft, Home } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 function AssessmentResultsContent() {
   const router = useRouter();
@@ -27,7 +28,7 @@ function AssessmentResultsContent() {
       const token = localStorage.getItem('token');
       
       // Load assessment
-      const assessmentRes = await fetch(`/api/assessments/${assessmentId}`, {
+      const assessmentRes = await apiFetch(`/api/assessments/${assessmentId}`, {
         headers: { 'Authorization': `Bearer ${token}` },
       });
       const assessmentData = await assessmentRes.json();
@@ -8,6 +8,7 @@ import Loading from '@/components/ui/Loading';
 import { Clock, CheckCircle, ArrowRight, ArrowLeft, AlertTriangle } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 import { useToast } from '@/components/ui/Toast';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function TakeAssessmentPage() {
   const router = useRouter();
@@ -52,7 +53,7 @@ export default function TakeAssessmentPage() {
 
   const loadAssessment = async () => {
     try {
-      const response = await fetch(`/api/assessments/${assessmentId}`, {
+      const response = await apiFetch(`/api/assessments/${assessmentId}`, {
         credentials: 'include',
       });
 
@@ -115,7 +116,7 @@ export default function TakeAssessmentPage() {
         answer: answer,
       }));
 
-      const response = await fetch(`/api/assessments/${assessmentId}/grade`, {
+      const response = await apiFetch(`/api/assessments/${assessmentId}/grade`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -8,6 +8,7 @@ import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import AssessmentCard from '@/components/assessment/AssessmentCard';
 import Loading from '@/components/ui/Loading';
 import { FileText, Plus, Search, Filter } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function AssessmentsPage() {
   const router = useRouter();
@@ -37,7 +38,7 @@ export default function AssessmentsPage() {
   const loadData = async () => {
     try {
       // Load subjects
-      const subjectsRes = await fetch('/api/subjects', {
+      const subjectsRes = await apiFetch('/api/subjects', {
         credentials: 'include',
       });
       const subjectsData = await subjectsRes.json();
@@ -71,7 +72,7 @@ export default function AssessmentsPage() {
     setIsGenerating(true);
 
     try {
-      const response = await fetch('/api/assessments/generate', {
+      const response = await apiFetch('/api/assessments/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
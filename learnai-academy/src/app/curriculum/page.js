@@ -8,6 +8,7 @@ import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import LessonPlanCard from '@/components/curriculum/LessonPlanCard';
 import Loading from '@/components/ui/Loading';
 import { BookOpen, Plus, Search } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function CurriculumPage() {
   const router = useRouter();
@@ -36,7 +37,7 @@ export default function CurriculumPage() {
   const loadData = async () => {
     try {
       // Load subjects
-      const subjectsRes = await fetch('/api/subjects', {
+      const subjectsRes = await apiFetch('/api/subjects', {
         credentials: 'include',
       });
       const subjectsData = await subjectsRes.json();
@@ -75,7 +76,7 @@ export default function CurriculumPage() {
     setIsGenerating(true);
 
     try {
-      const response = await fetch('/api/curriculum', {
+      const response = await apiFetch('/api/curriculum', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -12,6 +12,7 @@ import Leaderboard from '@/components/gamification/Leaderboard';
 import AchievementBadge from '@/components/gamification/AchievementBadge';
 import { Flame, Sparkles, Trophy, Lightbulb, TrendingUp, Clock, Award, GraduationCap } from 'lucide-react';
 import ClassroomEvaluationWidget from '@/components/ui/ClassroomEvaluationWidget';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function DashboardPage() {
   const router = useRouter();
@@ -52,7 +53,7 @@ export default function DashboardPage() {
 
       // Load subjects - using httpOnly cookies (credentials: 'include')
       try {
-        const subjectsRes = await fetch(`/api/subjects?gradeLevel=${user.students[0].gradeLevel}`, {
+        const subjectsRes = await apiFetch(`/api/subjects?gradeLevel=${user.students[0].gradeLevel}`, {
           credentials: 'include',
         });
         if (subjectsRes.ok) {
@@ -67,7 +68,7 @@ export default function DashboardPage() {
       // Load progress
       let progressData = null;
       try {
-        const progressRes = await fetch(`/api/students/${studentId}/progress`, {
+        const progressRes = await apiFetch(`/api/students/${studentId}/progress`, {
           credentials: 'include',
         });
         if (progressRes.ok) {
@@ -98,7 +99,7 @@ export default function DashboardPage() {
 
       // Load recommendations
       try {
-        const recommendationsRes = await fetch(`/api/recommendations?studentId=${studentId}&limit=5`, {
+        const recommendationsRes = await apiFetch(`/api/recommendations?studentId=${studentId}&limit=5`, {
           credentials: 'include',
         });
         if (recommendationsRes.ok) {
@@ -9,6 +9,7 @@ import ClassroomEvaluationWidget from '@/components/ui/ClassroomEvaluationWidget
 import SubjectCard from '@/components/learning/SubjectCard';
 import Loading from '@/components/ui/Loading';
 import { BookOpen, ArrowLeft, TrendingUp, Award } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 function GradePageContent() {
   const router = useRouter();
@@ -40,7 +41,7 @@ function GradePageContent() {
       setIsLoading(true);
 
       // Load subjects for this grade
-      const subjectsRes = await fetch(`/api/subjects?gradeLevel=${gradeLevel}`, {
+      const subjectsRes = await apiFetch(`/api/subjects?gradeLevel=${gradeLevel}`, {
         credentials: 'include',
       });
 
@@ -50,7 +51,7 @@ function GradePageContent() {
       }
 
       // Get grade-level UI config for info
-      const uiConfigRes = await fetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
+      const uiConfigRes = await apiFetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
         credentials: 'include',
       });
 
@@ -17,34 +17,40 @@ import DifficultySelector from '@/components/learning/DifficultySelector';
 import EnhancedProgressIndicator from '@/components/learning/EnhancedProgressIndicator';
 import PageTransition from '@/components/learning/PageTransition';
 import EnhancedSessionHeader from '@/components/learning/EnhancedSessionHeader';
-import GradePasswordPrompt from '@/components/learning/GradePasswordPrompt';
+import GradeAccessPrompt from '@/components/learning/GradeAccessPrompt';
 import LoadingSpinner from '@/components/common/LoadingSpinner';
 import { ArrowLeft, X, TrendingUp } from 'lucide-react';
 import ClassroomEvaluationWidget from '@/components/ui/ClassroomEvaluationWidget';
+import LessonSummary from '@/components/learning/LessonSummary';
+import { apiFetch } from '@/lib/clientAuth';
 
 function LearnPageContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
   const { user, isAuthenticated, isLoading: authLoading } = useAuth();
   const { addToast } = useToast();
-  const [step, setStep] = useState('subject'); // subject, topic, mode, difficulty, session
+  const [step, setStep] = useState('subject'); // subject, topic, mode, difficulty, session, recap
   const [subjects, setSubjects] = useState([]);
   const [selectedSubject, setSelectedSubject] = useState(null);
   const [selectedTopic, setSelectedTopic] = useState(null);
   const [selectedMode, setSelectedMode] = useState(null);
   const [sessionId, setSessionId] = useState(null);
+  const [isVoiceMode, setIsVoiceMode] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
+  const [showAccessPrompt, setShowAccessPrompt] = useState(false);
+  const [unlockedGrades, setUnlockedGrades] = useState([]);
   const [requestedGrade, setRequestedGrade] = useState(null);
   const [sessionStartTime, setSessionStartTime] = useState(null);
   const [focusModeEnabled, setFocusModeEnabled] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [sessionRecap, setSessionRecap] = useState(null);
 
   useEffect(() => {
     if (!authLoading) {
       if (!isAuthenticated) {
         router.push('/login');
       } else {
+        setUnlockedGrades(user.students[0]?.unlockedGrades || []);
         loadSubjects();
       }
     }
@@ -62,24 +68,18 @@ function LearnPageContent() {
     }
   }, [subjects, searchParams]);
 
-  const checkGradeAccess = (gradeLevel) => {
-    // Check if grade is already unlocked in this session
-    const unlockedGrades = JSON.parse(sessionStorage.getItem('unlockedGrades') || '[]');
-    return unlockedGrades.includes(gradeLevel);
-  };
-
-  const loadSubjects = async (gradeLevel = null) => {
+  const loadSubjects = async (gradeLevel = null, grades = unlockedGrades) => {
     try {
-      const targetGrade = gradeLevel || user.students[0].gradeLevel;
+      const targetGrade = gradeLevel ?? user.students[0].gradeLevel;
 
-      // Check if grade requires password and isn't unlocked
-      if (targetGrade !== user.students[0].gradeLevel && !checkGradeAccess(targetGrade)) {
+      // Other grades need an access code from a teacher or parent
+      if (targetGrade !== user.students[0].gradeLevel && !grades.includes(targetGrade)) {
         setRequestedGrade(targetGrade);
-        setShowPasswordPrompt(true);
+        setShowAccessPrompt(true);
         return;
       }
 
-      const response = await fetch(
+      const response = await apiFetch(
         `/api/subjects?gradeLevel=${targetGrade}`,
         { credentials: 'include' }
       );
@@ -91,10 +91,11 @@ function LearnPageContent() {
     }
   };
 
-  const handlePasswordSuccess = () => {
-    setShowPasswordPrompt(false);
-    addToast(`Grade ${requestedGrade === 0 ? 'Kindergarten' : requestedGrade} unlocked!`, 'success');
-    loadSubjects(requestedGrade);
+  const handleAccessGranted = (grades) => {
+    setShowAccessPrompt(false);
+    setUnlockedGrades(grades);
+    addToast(`${requestedGrade === 0 ? 'Kindergarten' : `Grade ${requestedGrade}`} unlocked!`, 'success');
+    loadSubjects(requestedGrade, grades);
   };
 
   const startSession = async (difficulty) => {
@@ -102,7 +103,7 @@ function LearnPageContent() {
     try {
       const studentId = user.students[0].id;
 
-      const response = await fetch('/api/sessions', {
+      const response = await apiFetch('/api/sessions', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -119,6 +120,7 @@ function LearnPageContent() {
 
       if (data.success) {
         setSessionId(data.session.id);
+        setIsVoiceMode(data.session.isVoiceMode || false);
         setStep('session');
         addToast('Session started! Let\'s learn!', 'success');
       } else {
@@ -133,12 +135,21 @@ function LearnPageContent() {
 
   const endSession = async () => {
     try {
-      await fetch(`/api/sessions/${sessionId}/end`, {
+      const response = await apiFetch(`/api/sessions/${sessionId}/end`, {
         method: 'POST',
         credentials: 'include',
       });
+      const data = await response.json();
 
       addToast('Great work! Session completed.', 'success');
+
+      // Show the recap before leaving
+      if (data.session?.summary) {
+        setSessionRecap(data.session.summary);
+        setStep('recap');
+        return;
+      }
+
       router.push('/dashboard');
     } catch (error) {
       router.push('/dashboard');
@@ -160,6 +171,21 @@ function LearnPageContent() {
     }
   };
 
+  // Session Recap View
+  if (step === 'recap' && sessionRecap) {
+    return (
+      <div style={{ minHeight: '100vh', background: 'var(--color-bg-base)' }}>
+        <EnterpriseHeader />
+        <main className="container" style={{ maxWidth: '800px', marginInline: 'auto', paddingBlock: 'var(--space-xl)' }}>
+          <LessonSummary
+            recap={sessionRecap}
+            onContinue={() => router.push('/dashboard')}
+          />
+        </main>
+      </div>
+    );
+  }
+
   // Session View (Chat Interface)
   if (step === 'session' && sessionId) {
     // Set session start time if not set
@@ -199,6 +225,7 @@ function LearnPageContent() {
               sessionId={sessionId}
               subjectSlug={selectedSubject?.slug}
               gradeLevel={user?.students?.[0]?.gradeLevel}
+              isVoiceMode={isVoiceMode}
               onSessionEnd={endSession}
             />
           </div>
@@ -372,13 +399,14 @@ function LearnPageContent() {
         </main>
       </div>
 
-      {/* Password Prompt Modal */}
-      {showPasswordPrompt && requestedGrade !== null && (
-        <GradePasswordPrompt
+      {/* Access Code Modal */}
+      {showAccessPrompt && requestedGrade !== null && (
+        <GradeAccessPrompt
+          studentId={user.students[0].id}
           gradeLevel={requestedGrade}
-          onSuccess={handlePasswordSuccess}
+          onSuccess={handleAccessGranted}
           onCancel={() => {
-            setShowPasswordPrompt(false);
+            setShowAccessPrompt(false);
             setRequestedGrade(null);
           }}
         />
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import VideoPlayer from '@/components/video/VideoPlayer';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * Video Lesson Detail Page
@@ -20,7 +21,7 @@ export default function VideoLessonPage() {
   const loadVideoLesson = async () => {
     try {
       setLoading(true);
-      const response = await fetch(`/api/videos/${params.id}`);
+      const response = await apiFetch(`/api/videos/${params.id}`);
       if (!response.ok) throw new Error('Video not found');
       
       const data = await response.json();
@@ -34,7 +35,7 @@ export default function VideoLessonPage() {
 
   const handleProgress = async (progressData) => {
     try {
-      await fetch(`/api/videos/${params.id}/view`, {
+      await apiFetch(`/api/videos/${params.id}/view`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(progressData),
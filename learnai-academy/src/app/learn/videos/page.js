@@ -4,6 +4,7 @@ import { useState, useEffect } from 'react';
 import { Search, Filter, Play, Clock, Star, BookOpen } from 'lucide-react';
 import VideoPlayer from '@/components/video/VideoPlayer';
 import Link from 'next/link';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * Video Library Page
@@ -43,7 +44,7 @@ export default function VideoLibraryPage() {
         ...(filters.difficulty && { difficulty: filters.difficulty }),
       });
 
-      const response = await fetch(`/api/videos?${params}`);
+      const response = await apiFetch(`/api/videos?${params}`);
       if (!response.ok) throw new Error('Failed to load videos');
       
       const data = await response.json();
@@ -57,7 +58,7 @@ export default function VideoLibraryPage() {
 
   const loadRecommended = async () => {
     try {
-      const response = await fetch('/api/videos/recommended?limit=6');
+      const response = await apiFetch('/api/videos/recommended?limit=6');
       if (!response.ok) throw new Error('Failed to load recommendations');
       
       const data = await response.json();
@@ -73,7 +74,7 @@ export default function VideoLibraryPage() {
 
   const handleProgress = async (videoId, progressData) => {
     try {
-      await fetch(`/api/videos/${videoId}/view`, {
+      await apiFetch(`/api/videos/${videoId}/view`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(progressData),
@@ -4,13 +4,23 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { useToast } from '@/components/ui/Toast';
 import { useAuth } from '@/hooks/useAuth';
-import { ArrowRight, GraduationCap, Sparkles } from 'lucide-react';
+import { ArrowRight, GraduationCap, Sparkles, ShieldCheck } from 'lucide-react';
+import ParentalConsentForm from '@/components/parent/ParentalConsentForm';
+import { ageFromBirthDate } from '@/services/ai/moderation/policies';
+import { apiFetch } from '@/lib/clientAuth';
+
+// Children under 13 need a parent's consent (see services/parent/consentService.js)
+const CONSENT_AGE = 13;
 
 export default function OnboardingPage() {
   const router = useRouter();
   const { addToast } = useToast();
   const { user, refreshUser, isLoading: authLoading } = useAuth();
   const [step, setStep] = useState(1);
+  // Parents set up a child's profile and give consent; students 13 and
+  // over set up their own
+  const isParent = user?.role === 'PARENT';
+  const totalSteps = isParent ? 4 : 3;
 
   // Redirect admins and users who already have student profiles
   useEffect(() => {
@@ -31,8 +41,17 @@ export default function OnboardingPage() {
     firstName: '',
     lastName: '',
     gradeLevel: 5,
+    birthDate: '',
     favoriteSubjects: [],
   });
+  const [consents, setConsents] = useState({
+    DATA_COLLECTION: false,
+    AI_CHAT: false,
+    VOICE_RECORDING: false,
+    LEADERBOARD: false,
+    EMAIL: false,
+  });
+  const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
   const subjects = [
@@ -53,38 +72,65 @@ export default function OnboardingPage() {
     }));
   };
 
+  const age = ageFromBirthDate(formData.birthDate || null);
+  const requiresConsent = age === null || age < CONSENT_AGE;
+
   const handleNext = () => {
     if (step === 1 && (!formData.firstName || !formData.lastName)) {
-      addToast('Please fill in your name', 'warning');
+      addToast(isParent ? 'Please fill in your child\'s name' : 'Please fill in your name', 'warning');
+      return;
+    }
+    if (step === 1 && !formData.birthDate) {
+      addToast('Please enter a birth date', 'warning');
+      return;
+    }
+    if (step === 1 && !isParent && requiresConsent) {
+      addToast(`Students under ${CONSENT_AGE} need a parent to set up their account`, 'warning');
       return;
     }
     if (step === 2 && formData.favoriteSubjects.length === 0) {
       addToast('Please select at least one subject', 'warning');
       return;
     }
+    if (step === 3 && isParent) {
+      if (requiresConsent && !consents.DATA_COLLECTION) {
+        addToast('We need your permission to create a profile for a child under 13', 'warning');
+        return;
+      }
+      if (!password) {
+        addToast('Please confirm with your password', 'warning');
+        return;
+      }
+    }
     setStep(step + 1);
   };
 
   const handleComplete = async () => {
     setIsLoading(true);
     try {
-      // Create student profile
-      const response = await fetch('/api/students', {
+      const profile = {
+        firstName: formData.firstName,
+        lastName: formData.lastName,
+        gradeLevel: formData.gradeLevel,
+        birthDate: formData.birthDate,
+      };
+
+      // Parents add a child with their consent; students create their own profile
+      const { DATA_COLLECTION, ...featureConsents } = consents;
+      const response = await apiFetch(isParent ? '/api/parent/children' : '/api/students', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         credentials: 'include',
-        body: JSON.stringify({
-          firstName: formData.firstName,
-          lastName: formData.lastName,
-          gradeLevel: formData.gradeLevel,
-          parentId: user.id,
-        }),
+        body: JSON.stringify(isParent
+          ? { ...profile, consents: requiresConsent ? consents : featureConsents, password }
+          : profile),
       });
 
       if (!response.ok) {
-        throw new Error('Failed to create student profile');
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to create student profile');
       }
 
       await refreshUser(); // Refresh user data from server
@@ -92,7 +138,7 @@ export default function OnboardingPage() {
       router.push('/dashboard');
     } catch (error) {
       console.error('Error creating profile:', error);
-      addToast('Failed to create profile. Please try again.', 'error');
+      addToast(error.message || 'Failed to create profile. Please try again.', 'error');
     } finally {
       setIsLoading(false);
     }
@@ -104,7 +150,7 @@ export default function OnboardingPage() {
         {/* Progress Indicator */}
         <div className="mb-8">
           <div className="flex items-center justify-between mb-4">
-            {[1, 2, 3].map((s) => (
+            {Array.from({ length: totalSteps }, (_, i) => i + 1).map((s) => (
               <div
                 key={s}
                 className={`flex-1 h-2 rounded-full mx-1 ${
@@ -114,7 +160,7 @@ export default function OnboardingPage() {
             ))}
           </div>
           <div className="text-center text-sm text-gray-600">
-            Step {step} of 3
+            Step {step} of {totalSteps}
           </div>
         </div>
 
@@ -127,7 +173,7 @@ export default function OnboardingPage() {
                 Welcome to LearnAI Academy!
               </h1>
               <p className="text-gray-600">
-                Let's set up your learning profile
+                {isParent ? 'Let\'s set up your child\'s learning profile' : 'Let\'s set up your learning profile'}
               </p>
             </div>
 
@@ -140,7 +186,7 @@ export default function OnboardingPage() {
                 value={formData.firstName}
                 onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="Enter your first name"
+                placeholder={isParent ? 'Your child\'s first name' : 'Enter your first name'}
               />
             </div>
 
@@ -153,7 +199,20 @@ export default function OnboardingPage() {
                 value={formData.lastName}
                 onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
                 className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="Enter your last name"
+                placeholder={isParent ? 'Your child\'s last name' : 'Enter your last name'}
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Birth Date *
+              </label>
+              <input
+                type="date"
+                value={formData.birthDate}
+                max={new Date().toISOString().slice(0, 10)}
+                onChange={(e) => setFormData({ ...formData, birthDate: e.target.value })}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               />
             </div>
 
@@ -237,8 +296,32 @@ export default function OnboardingPage() {
           </div>
         )}
 
-        {/* Step 3: Ready to Learn */}
-        {step === 3 && (
+        {/* Step 3 (parents): Consent */}
+        {isParent && step === 3 && (
+          <div className="space-y-6">
+            <div className="text-center mb-6">
+              <ShieldCheck className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <h1 className="text-3xl font-bold text-gray-800 mb-2">
+                Your permission
+              </h1>
+              <p className="text-gray-600">
+                Choose what {formData.firstName || 'your child'} can use
+              </p>
+            </div>
+
+            <ParentalConsentForm
+              consents={consents}
+              onChange={setConsents}
+              password={password}
+              onPasswordChange={setPassword}
+              requiresConsent={requiresConsent}
+              childName={formData.firstName || undefined}
+            />
+          </div>
+        )}
+
+        {/* Last step: Ready to Learn */}
+        {step === totalSteps && (
           <div className="text-center space-y-6">
             <div style={{
               width: '80px',
@@ -332,7 +415,7 @@ export default function OnboardingPage() {
             </button>
           )}
           <div className="flex-1" />
-          {step < 3 ? (
+          {step < totalSteps ? (
             <button
               onClick={handleNext}
               className="flex items-center gap-2 bg-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-600 transition-colors"
@@ -4,8 +4,10 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import ProgressChart from '@/components/progress/ProgressChart';
+import ChildConsentSettings from '@/components/parent/ChildConsentSettings';
 import { useAuth } from '@/hooks/useAuth';
 import { Home, Download, TrendingUp, AlertCircle, CheckCircle } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function ParentDashboard() {
   const router = useRouter();
@@ -32,7 +34,7 @@ export default function ParentDashboard() {
       if (!studentId) return;
 
       // Load analytics
-      const analyticsRes = await fetch(
+      const analyticsRes = await apiFetch(
         `/api/analytics/${studentId}?period=${selectedPeriod}`,
         { credentials: 'include' }
       );
@@ -40,7 +42,7 @@ export default function ParentDashboard() {
       setAnalytics(analyticsData);
 
       // Load progress
-      const progressRes = await fetch(`/api/students/${studentId}/progress`, {
+      const progressRes = await apiFetch(`/api/students/${studentId}/progress`, {
         credentials: 'include',
       });
       const progressData = await progressRes.json();
@@ -322,6 +324,17 @@ export default function ParentDashboard() {
             <p className="text-center text-gray-500 py-8">No sessions recorded yet.</p>
           )}
         </div>
+
+        {/* Permissions */}
+        {user?.students?.[0] && (
+          <div className="bg-white rounded-2xl p-6 shadow-md mt-8">
+            <h2 className="text-2xl font-bold text-gray-800 mb-6">Permissions</h2>
+            <ChildConsentSettings
+              studentId={user.students[0].id}
+              childName={user.students[0].firstName}
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -6,6 +6,7 @@ import { useAuth } from '@/hooks/useAuth';
 import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import ProgressChart from '@/components/visualizations/ProgressChart';
 import { TrendingUp, Target, Award, BookOpen, Calendar } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 export default function ProgressPage() {
   const router = useRouter();
@@ -32,7 +33,7 @@ export default function ProgressPage() {
         return;
       }
 
-      const response = await fetch(`/api/students/${studentId}/progress?timeRange=${timeRange}`, {
+      const response = await apiFetch(`/api/students/${studentId}/progress?timeRange=${timeRange}`, {
         credentials: 'include',
       });
       const data = await response.json();
@@ -5,6 +5,7 @@ import { useRouter } from 'next/navigation';
 import EnterpriseHeader from '@/components/layout/EnterpriseHeader';
 import { useToast } from '@/components/ui/Toast';
 import { useAuth } from '@/hooks/useAuth';
+import SignedInDevices from '@/components/auth/SignedInDevices';
 import { Home, Save, User, Lock, Bell, Palette } from 'lucide-react';
 
 export default function SettingsPage() {
@@ -241,6 +242,10 @@ export default function SettingsPage() {
                 <Lock className="w-5 h-5" />
                 Change Password
               </button>
+
+              <div className="pt-6 border-t">
+                <SignedInDevices />
+              </div>
             </div>
           )}
 
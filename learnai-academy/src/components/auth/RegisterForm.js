@@ -31,16 +31,25 @@ export default function RegisterForm() {
       return;
     }
 
-    if (formData.password.length < 8) {
-      setError('Password must be at least 8 characters');
-      addToast('Password must be at least 8 characters', 'error');
+    if (formData.password.length < 12) {
+      setError('Password must be at least 12 characters');
+      addToast('Password must be at least 12 characters', 'error');
       return;
     }
 
     setIsLoading(true);
 
     try {
-      await register(formData.name, formData.email, formData.password);
+      // Accounts created here are parent accounts; children's profiles
+      // are added (with consent) during onboarding
+      const [firstName, ...rest] = formData.name.trim().split(/\s+/);
+      await register({
+        firstName,
+        lastName: rest.join(' ') || undefined,
+        email: formData.email,
+        password: formData.password,
+        role: 'PARENT',
+      });
       addToast('Account created successfully!', 'success');
       router.push('/onboarding');
     } catch (err) {
@@ -109,7 +118,7 @@ export default function RegisterForm() {
                 fontSize: 'var(--text-lg)',
                 color: 'var(--color-text-secondary)',
               }}>
-                Create your account and unlock personalized education
+                Create a parent account, then add your children
               </p>
             </div>
 
@@ -150,7 +159,7 @@ export default function RegisterForm() {
                     marginBottom: 'var(--space-xs)',
                   }}
                 >
-                  Full name
+                  Your full name
                 </label>
                 <div style={{ position: 'relative' }}>
                   <div style={{
@@ -311,7 +320,7 @@ export default function RegisterForm() {
                   margin: 0,
                   paddingTop: 'var(--space-xs)',
                 }}>
-                  Must be at least 8 characters
+                  At least 12 characters, with upper and lower case letters, a number and a symbol
                 </p>
               </div>
 
@@ -0,0 +1,143 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { useToast } from '@/components/ui/Toast';
+import { useAuth } from '@/hooks/useAuth';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
+
+/**
+ * "Chrome on Windows" from a user agent string
+ */
+function describeDevice(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Browser';
+
+  const os = [
+    ['ChromeOS', /CrOS/],
+    ['Android', /Android/],
+    ['iPhone', /iPhone/],
+    ['iPad', /iPad/],
+    ['Windows', /Windows/],
+    ['Mac', /Macintosh/],
+    ['Linux', /Linux/],
+  ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+export default function SignedInDevices() {
+  const { addToast } = useToast();
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const loadSessions = async () => {
+    try {
+      const response = await apiFetch('/api/auth/sessions', { credentials: 'include' });
+      const data = await response.json();
+      if (response.ok) {
+        setSessions(data.sessions);
+      }
+    } catch (error) {
+      addToast('Failed to load signed-in devices', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const signOutDevice = async (session) => {
+    try {
+      const response = await apiFetch(`/api/auth/sessions/${session.id}`, {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+      if (!response.ok) throw new Error('Failed to sign out device');
+
+      if (session.current) {
+        await logout();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      addToast('Device signed out', 'success');
+    } catch (error) {
+      addToast('Failed to sign out device. Please try again.', 'error');
+    }
+  };
+
+  const signOutOthers = async () => {
+    try {
+      const response = await apiFetch('/api/auth/sessions', {
+        method: 'DELETE',
+        credentials: 'include',
+      });
+      if (!response.ok) throw new Error('Failed to sign out devices');
+
+      setSessions(prev => prev.filter(s => s.current));
+      addToast('Signed out of all other devices', 'success');
+    } catch (error) {
+      addToast('Failed to sign out devices. Please try again.', 'error');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-medium text-gray-800">Signed-in Devices</h3>
+        {sessions.length > 1 && (
+          <button
+            onClick={signOutOthers}
+            className="text-sm text-red-600 hover:text-red-700 font-medium"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading devices...</p>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map(session => {
+            const Icon = /Android|iPhone|iPad/.test(session.userAgent || '') ? Smartphone : Monitor;
+            return (
+              <li key={session.id} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                <div className="flex items-center gap-3">
+                  <Icon className="w-5 h-5 text-gray-500" />
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 text-xs font-semibold text-green-600">This device</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {session.ipAddress && `${session.ipAddress} · `}
+                      Active {formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => signOutDevice(session)}
+                  className="flex items-center gap-1 text-sm text-gray-600 hover:text-red-600 font-medium"
+                >
+                  <LogOut className="w-4 h-4" />
+                  Sign out
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { useGradeLevelUI } from './GradeLevelUIProvider';
 import { useAuth } from '@/hooks/useAuth';
 import ChatInterface from './ChatInterface';
 import { BookOpen, Calculator, FlaskConical, Code, Landmark, Sparkles } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * Adaptive Classroom Component
@@ -14,6 +15,7 @@ export default function AdaptiveClassroom({
   sessionId, 
   subjectSlug, 
   gradeLevel, 
+  isVoiceMode = false,
   onSessionEnd 
 }) {
   const { uiConfig } = useGradeLevelUI();
@@ -27,7 +29,7 @@ export default function AdaptiveClassroom({
   useEffect(() => {
     const loadClassroomDesign = async () => {
       try {
-        const response = await fetch(
+        const response = await apiFetch(
           `/api/ui/classroom-design?gradeLevel=${effectiveGrade}&subjectSlug=${effectiveSubject}`,
           { credentials: 'include' }
         );
@@ -167,6 +169,7 @@ export default function AdaptiveClassroom({
       <div style={{ flex: 1, overflow: 'hidden' }}>
         <ChatInterface 
           sessionId={sessionId} 
+          isVoiceMode={isVoiceMode}
           onSessionEnd={onSessionEnd}
           className="adaptive-chat"
         />
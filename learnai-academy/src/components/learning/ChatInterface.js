@@ -1,43 +1,32 @@
 'use client';
 
 import { useState, useEffect, useRef } from 'react';
-import { Send, Mic, MicOff, Volume2, VolumeX } from 'lucide-react';
+import { Send, Volume2, VolumeX, Undo2 } from 'lucide-react';
 import { useToast } from '@/components/ui/Toast';
 import InteractiveFeedback from '@/components/learning/InteractiveFeedback';
+import VoiceInput from '@/components/learning/VoiceInput';
+import { AccessibilityManager } from '@/lib/accessibility';
 import { useNotificationContext } from '@/components/providers/NotificationProvider';
+import { readSSE } from '@/lib/sse';
+import { apiFetch } from '@/lib/clientAuth';
 
-export default function ChatInterface({ sessionId, onSessionEnd }) {
+export default function ChatInterface({ sessionId, isVoiceMode = false, onSessionEnd }) {
   const { addToast } = useToast();
   const { notifyAchievement, notifyProgress } = useNotificationContext();
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const [isListening, setIsListening] = useState(false);
   const [voiceEnabled, setVoiceEnabled] = useState(true);
   const [feedback, setFeedback] = useState({ show: false, type: 'correct', message: '' });
+  const [accessibility] = useState(() => new AccessibilityManager());
   const messagesEndRef = useRef(null);
-  const recognitionRef = useRef(null);
+  const audioRef = useRef(null);
 
   useEffect(() => {
     // Load initial messages
     loadMessages();
 
-    // Initialize speech recognition
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      recognitionRef.current = new SpeechRecognition();
-      recognitionRef.current.continuous = false;
-      recognitionRef.current.interimResults = false;
-
-      recognitionRef.current.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
-        setInput(transcript);
-        setIsListening(false);
-      };
-
-      recognitionRef.current.onerror = () => setIsListening(false);
-      recognitionRef.current.onend = () => setIsListening(false);
-    }
+    return () => stopSpeaking();
   }, [sessionId]);
 
   useEffect(() => {
@@ -46,7 +35,7 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
 
   const loadMessages = async () => {
     try {
-      const response = await fetch(`/api/sessions/${sessionId}/messages`, {
+      const response = await apiFetch(`/api/sessions/${sessionId}/messages`, {
         credentials: 'include',
       });
 
@@ -60,38 +49,107 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
     }
   };
 
-  const sendMessage = async () => {
-    if (!input.trim() || isLoading) return;
+  /**
+   * Send a typed message, or a spoken one with its speech recognition
+   * details ({ text, confidence, durationMs } from VoiceInput)
+   */
+  const sendMessage = async (voice = null) => {
+    const text = voice ? voice.text : input;
+    if (!text.trim() || isLoading) return;
 
     const userMessage = {
       role: 'user',
-      content: input,
+      content: text,
+      isVoiceInput: Boolean(voice),
       createdAt: new Date().toISOString(),
     };
 
     setMessages(prev => [...prev, userMessage]);
-    setInput('');
+    if (!voice) setInput('');
     setIsLoading(true);
 
+    // Replace the content of the in-progress assistant message (always last)
+    const updateAssistant = (update) => {
+      setMessages(prev => {
+        const next = [...prev];
+        const last = next[next.length - 1];
+        next[next.length - 1] = { ...last, content: update(last.content) };
+        return next;
+      });
+    };
+
     try {
-      const response = await fetch(`/api/sessions/${sessionId}/messages`, {
+      const response = await apiFetch('/api/sessions/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
         },
         credentials: 'include',
-        body: JSON.stringify({ content: input }),
+        body: JSON.stringify({
+          sessionId,
+          message: text,
+          stream: true,
+          ...(voice && {
+            context: {
+              isVoiceInput: true,
+              voice: { confidence: voice.confidence, durationMs: voice.durationMs },
+            },
+          }),
+        }),
       });
 
-      const data = await response.json();
+      if (response.status === 429) {
+        // AI usage budget reached - not a connection problem
+        const { error } = await response.json();
+        addToast(error, 'warning');
+        return;
+      }
 
-      if (data.success) {
-        const assistantMessage = {
-          ...data.message,
-          createdAt: new Date().toISOString(),
-        };
-        setMessages(prev => [...prev, assistantMessage]);
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      let streamStarted = false;
+      let data = null;
 
+      await readSSE(response, (event) => {
+        if (event.type === 'delta' || event.type === 'replace') {
+          if (!streamStarted) {
+            // First text arrived: swap the typing indicator for the reply bubble
+            streamStarted = true;
+            setIsLoading(false);
+            setMessages(prev => [...prev, {
+              role: 'assistant',
+              content: '',
+              createdAt: new Date().toISOString(),
+            }]);
+          }
+          updateAssistant(content => (event.type === 'delta' ? content + event.content : event.content));
+        } else if (event.type === 'handoff') {
+          // Another agent is taking over (or the last handoff was undone)
+          setMessages(prev => [...prev, {
+            role: 'assistant',
+            content: event.handoff.announcement,
+            handoff: event.handoff,
+            createdAt: new Date().toISOString(),
+          }]);
+        } else if (event.type === 'done') {
+          data = event;
+          if (data.speech) {
+            // Keep what was read aloud so the child can hear it again
+            setMessages(prev => {
+              const next = [...prev];
+              next[next.length - 1] = { ...next[next.length - 1], speech: data.speech };
+              return next;
+            });
+          }
+        } else if (event.type === 'error') {
+          throw new Error(event.error);
+        }
+      });
+
+      if (data) {
         // Check for achievements or milestones in response
         if (data.achievement) {
           notifyAchievement(data.achievement);
@@ -120,9 +178,9 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
           });
         }
 
-        // Speak response if voice enabled
+        // Speak the complete response if voice enabled
         if (voiceEnabled) {
-          speak(data.message.content);
+          speak(data.content, data.speech);
         }
       }
     } catch (error) {
@@ -137,28 +195,65 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
     }
   };
 
-  const toggleListening = () => {
-    if (!recognitionRef.current) {
-      addToast('Voice input is not supported in your browser.', 'warning');
-      return;
-    }
+  const undoHandoff = async () => {
+    try {
+      const response = await apiFetch(`/api/sessions/${sessionId}/handoff`, {
+        method: 'DELETE',
+        credentials: 'include',
+      });
 
-    if (isListening) {
-      recognitionRef.current.stop();
-    } else {
-      recognitionRef.current.start();
-      setIsListening(true);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: data.handoff.announcement,
+        handoff: data.handoff,
+        createdAt: new Date().toISOString(),
+      }]);
+    } catch (error) {
+      console.error('Error undoing handoff:', error);
+      addToast('Could not switch back. Please try again.', 'error');
     }
   };
 
-  const speak = (text) => {
-    if (!voiceEnabled || !window.speechSynthesis) return;
+  // Only the latest handoff can be undone from the chat
+  const lastHandoffIndex = messages.findLastIndex(msg => msg.handoff);
+  const undoableIndex = messages[lastHandoffIndex]?.handoff.action === 'handoff' ? lastHandoffIndex : -1;
+
+  const stopSpeaking = () => {
+    audioRef.current?.pause();
+    audioRef.current = null;
+    accessibility.stopSpeaking();
+  };
+
+  /**
+   * Read a reply aloud: the narration audio when the server made one,
+   * otherwise the browser's speech synthesis with the server's
+   * instructions (or the plain reply text)
+   */
+  const speak = (text, speech = null) => {
+    stopSpeaking();
 
-    window.speechSynthesis.cancel();
-    const utterance = new SpeechSynthesisUtterance(text);
-    utterance.rate = 0.9;
-    utterance.pitch = 1.1;
-    window.speechSynthesis.speak(utterance);
+    const speakInBrowser = () => {
+      const instructions = speech?.instructions;
+      accessibility.speak(instructions?.text || speech?.text || text, {
+        force: true,
+        rate: instructions?.rate || 0.9,
+        pitch: instructions?.pitch || 1.1,
+        lang: instructions?.lang,
+      });
+    };
+
+    if (speech?.audioUrl) {
+      const audio = new Audio(speech.audioUrl);
+      audioRef.current = audio;
+      audio.play().catch(speakInBrowser);
+    } else {
+      speakInBrowser();
+    }
   };
 
   return (
@@ -210,6 +305,53 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
               }}
             >
               {msg.content}
+              {msg.role === 'assistant' && msg.speech && (
+                <button
+                  onClick={() => speak(msg.content, msg.speech)}
+                  aria-label="Read this out loud again"
+                  title="Read this out loud again"
+                  className="btn"
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 'var(--space-xs)',
+                    marginTop: 'var(--space-sm)',
+                    padding: 'var(--space-xs) var(--space-md)',
+                    borderRadius: 'var(--radius-full)',
+                    border: '1px solid var(--color-border-subtle)',
+                    background: 'var(--color-bg-muted)',
+                    color: 'var(--color-text-secondary)',
+                    fontSize: 'var(--text-sm)',
+                    cursor: 'pointer',
+                  }}
+                >
+                  <Volume2 className="w-4 h-4" />
+                  Listen
+                </button>
+              )}
+              {i === undoableIndex && (
+                <button
+                  onClick={undoHandoff}
+                  disabled={isLoading}
+                  className="btn"
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: 'var(--space-xs)',
+                    marginTop: 'var(--space-sm)',
+                    padding: 'var(--space-xs) var(--space-md)',
+                    borderRadius: 'var(--radius-full)',
+                    border: '1px solid var(--color-border-subtle)',
+                    background: 'var(--color-bg-muted)',
+                    color: 'var(--color-text-secondary)',
+                    fontSize: 'var(--text-sm)',
+                    cursor: isLoading ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  <Undo2 className="w-4 h-4" />
+                  Undo
+                </button>
+              )}
             </div>
           </div>
         ))}
@@ -252,31 +394,21 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
         borderTop: '1px solid var(--color-border-subtle)',
         padding: 'var(--space-md)',
       }}>
-        {/* Listening Indicator */}
-        {isListening && (
+        {/* Push-to-talk for voice sessions (young students may not type) */}
+        {isVoiceMode && (
           <div style={{
-            marginBottom: 'var(--space-sm)',
-            textAlign: 'center',
+            display: 'flex',
+            justifyContent: 'center',
+            marginBottom: 'var(--space-md)',
           }}>
-            <div style={{
-              display: 'inline-flex',
-              alignItems: 'center',
-              gap: 'var(--space-xs)',
-              background: 'hsla(0, 80%, 95%, 1)',
-              color: 'hsl(0, 70%, 50%)',
-              padding: 'var(--space-xs) var(--space-md)',
-              borderRadius: 'var(--radius-full)',
-              fontSize: 'var(--text-sm)',
-              fontWeight: 'var(--weight-medium)',
-            }}>
-              <div className="animate-pulse" style={{
-                width: '12px',
-                height: '12px',
-                borderRadius: 'var(--radius-full)',
-                background: 'hsl(0, 70%, 50%)',
-              }} />
-              <span>Listening...</span>
-            </div>
+            <VoiceInput
+              large
+              accessibility={accessibility}
+              disabled={isLoading}
+              onStart={stopSpeaking}
+              onTranscript={sendMessage}
+              onError={(message) => addToast(message, 'warning')}
+            />
           </div>
         )}
 
@@ -285,32 +417,16 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
           display: 'flex',
           gap: 'var(--space-xs)',
         }}>
-          {/* Microphone Button */}
-          <button
-            onClick={toggleListening}
-            disabled={isLoading}
-            className="btn"
-            style={{
-              padding: 'var(--space-sm) var(--space-md)',
-              borderRadius: 'var(--radius-xl)',
-              border: 'none',
-              background: isListening ? 'hsl(0, 70%, 55%)' : 'var(--color-bg-muted)',
-              color: isListening ? 'white' : 'var(--color-text-secondary)',
-              cursor: isLoading ? 'not-allowed' : 'pointer',
-              opacity: isLoading ? 0.5 : 1,
-              transition: 'all var(--transition-fast)',
-            }}
-            onMouseEnter={(e) => {
-              if (!isLoading) {
-                e.currentTarget.style.transform = 'scale(1.05)';
-              }
-            }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
-          >
-            {isListening ? <MicOff className="w-5 h-5" /> : <Mic className="w-5 h-5" />}
-          </button>
+          {/* Microphone Button (hold to talk) */}
+          {!isVoiceMode && (
+            <VoiceInput
+              accessibility={accessibility}
+              disabled={isLoading}
+              onStart={stopSpeaking}
+              onTranscript={sendMessage}
+              onError={(message) => addToast(message, 'warning')}
+            />
+          )}
 
           {/* Text Input */}
           <input
@@ -318,7 +434,7 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
             value={input}
             onChange={(e) => setInput(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-            placeholder="Type or speak your message..."
+            placeholder={isVoiceMode ? 'Or type your message...' : 'Type or hold the mic to speak...'}
             disabled={isLoading}
             style={{
               flex: 1,
@@ -343,7 +459,11 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
 
           {/* Voice Toggle Button */}
           <button
-            onClick={() => setVoiceEnabled(!voiceEnabled)}
+            onClick={() => {
+              if (voiceEnabled) stopSpeaking();
+              setVoiceEnabled(!voiceEnabled);
+            }}
+            aria-label={voiceEnabled ? 'Turn off read aloud' : 'Turn on read aloud'}
             className="btn"
             style={{
               padding: 'var(--space-sm) var(--space-md)',
@@ -367,7 +487,7 @@ export default function ChatInterface({ sessionId, onSessionEnd }) {
 
           {/* Send Button */}
           <button
-            onClick={sendMessage}
+            onClick={() => sendMessage()}
             disabled={isLoading || !input.trim()}
             style={{
               padding: 'var(--space-sm) var(--space-lg)',
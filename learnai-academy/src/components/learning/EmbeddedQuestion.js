@@ -5,6 +5,7 @@ import { CheckCircle, XCircle, Lightbulb, RefreshCw } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 import { useToast } from '@/components/ui/Toast';
 import InteractiveFeedback from '@/components/learning/InteractiveFeedback';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * EmbeddedQuestion Component
@@ -34,7 +35,7 @@ export default function EmbeddedQuestion({
     }
 
     try {
-      const response = await fetch('/api/assessment/formative', {
+      const response = await apiFetch('/api/assessment/formative', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
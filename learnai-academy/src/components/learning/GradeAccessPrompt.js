@@ -2,26 +2,10 @@
 
 import { useState } from 'react';
 import { Lock, X } from 'lucide-react';
+import { apiFetch } from '@/lib/clientAuth';
 
-// Password configuration for each grade (K-12)
-const GRADE_PASSWORDS = {
-  0: 'kindergarten2024',  // Kindergarten
-  1: 'grade1learn',
-  2: 'grade2learn',
-  3: 'grade3learn',
-  4: 'grade4learn',
-  5: 'grade5learn',
-  6: 'grade6learn',
-  7: 'grade7learn',
-  8: 'grade8learn',
-  9: 'grade9learn',
-  10: 'grade10learn',
-  11: 'grade11learn',
-  12: 'grade12learn',
-};
-
-export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel }) {
-  const [password, setPassword] = useState('');
+export default function GradeAccessPrompt({ studentId, gradeLevel, onSuccess, onCancel }) {
+  const [code, setCode] = useState('');
   const [error, setError] = useState('');
   const [isVerifying, setIsVerifying] = useState(false);
 
@@ -32,23 +16,31 @@ export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel })
     setIsVerifying(true);
     setError('');
 
-    // Simulate verification delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-
-    if (password === GRADE_PASSWORDS[gradeLevel]) {
-      // Store the unlocked grade in sessionStorage
-      const unlockedGrades = JSON.parse(sessionStorage.getItem('unlockedGrades') || '[]');
-      if (!unlockedGrades.includes(gradeLevel)) {
-        unlockedGrades.push(gradeLevel);
-        sessionStorage.setItem('unlockedGrades', JSON.stringify(unlockedGrades));
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/unlocked-grades`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'That code didn\'t work. Please try again.');
+        setCode('');
+      } else if (data.gradeLevel !== gradeLevel) {
+        // A valid code for another grade still unlocks that grade
+        const otherGrade = data.gradeLevel === 0 ? 'Kindergarten' : `Grade ${data.gradeLevel}`;
+        setError(`That code unlocked ${otherGrade}, not ${gradeName}.`);
+        setCode('');
+      } else {
+        onSuccess(data.unlockedGrades);
       }
-      onSuccess();
-    } else {
-      setError('Incorrect password. Please try again.');
-      setPassword('');
+    } catch (err) {
+      setError('Could not check the code. Please try again.');
+    } finally {
+      setIsVerifying(false);
     }
-
-    setIsVerifying(false);
   };
 
   return (
@@ -132,14 +124,14 @@ export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel })
           textAlign: 'center',
           marginBottom: 'var(--space-xl)',
         }}>
-          Enter the password to access {gradeName} content for testing
+          Enter the access code from your teacher or parent to open {gradeName} content
         </p>
 
         {/* Form */}
         <form onSubmit={handleSubmit}>
           <div style={{ marginBottom: 'var(--space-lg)' }}>
             <label
-              htmlFor="gradePassword"
+              htmlFor="gradeAccessCode"
               style={{
                 display: 'block',
                 fontSize: 'var(--text-sm)',
@@ -148,14 +140,16 @@ export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel })
                 marginBottom: 'var(--space-xs)',
               }}
             >
-              Password
+              Access Code
             </label>
             <input
-              id="gradePassword"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter grade password"
+              id="gradeAccessCode"
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="ABCD-EFGH"
+              autoComplete="off"
+              autoCapitalize="characters"
               autoFocus
               required
               disabled={isVerifying}
@@ -193,23 +187,6 @@ export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel })
             )}
           </div>
 
-          {/* Password Hint */}
-          <div style={{
-            background: 'var(--color-bg-muted)',
-            border: '1px solid var(--color-border-subtle)',
-            borderRadius: 'var(--radius-lg)',
-            padding: 'var(--space-md)',
-            marginBottom: 'var(--space-lg)',
-          }}>
-            <p style={{
-              fontSize: 'var(--text-xs)',
-              color: 'var(--color-text-secondary)',
-              margin: 0,
-            }}>
-              <strong>Development Password:</strong> For testing purposes, use the pattern shown in the component code.
-            </p>
-          </div>
-
           {/* Buttons */}
           <div style={{
             display: 'flex',
@@ -230,7 +207,7 @@ export default function GradePasswordPrompt({ gradeLevel, onSuccess, onCancel })
             <button
               type="submit"
               className="btn btn-primary"
-              disabled={isVerifying || !password}
+              disabled={isVerifying || !code.trim()}
               style={{
                 flex: 1,
                 justifyContent: 'center',
@@ -2,6 +2,7 @@
 
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useAuth } from '@/hooks/useAuth';
+import { apiFetch } from '@/lib/clientAuth';
 
 const GradeLevelUIContext = createContext(null);
 
@@ -19,7 +20,7 @@ export function GradeLevelUIProvider({ children }) {
       const gradeLevel = user?.students?.[0]?.gradeLevel ?? 5;
       
       try {
-        const response = await fetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
+        const response = await apiFetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
           credentials: 'include',
         });
 
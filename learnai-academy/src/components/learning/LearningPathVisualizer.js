@@ -1,12 +1,16 @@
 /**
  * Learning Path Visualizer
  * Interactive visualization of student's learning journey
+ *
+ * Prerequisites come from the knowledge graph (/api/knowledge-graph)
  */
 
 'use client';
 
 import React, { useState, useEffect } from 'react';
 import { getSubjectColor, getGradeTheme } from '@/lib/classroomThemes';
+import { EDGE_TYPES } from '@/lib/skillGraph';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * Main Learning Path Visualizer Component
@@ -14,13 +18,38 @@ import { getSubjectColor, getGradeTheme } from '@/lib/classroomThemes';
 export default function LearningPathVisualizer({ student, subject, learningPath }) {
   const [selectedTopic, setSelectedTopic] = useState(null);
   const [view, setView] = useState('path'); // path, tree, linear
+  const [graph, setGraph] = useState(null);
   const gradeTheme = getGradeTheme(student.gradeLevel);
   const subjectColor = getSubjectColor(subject);
 
+  useEffect(() => {
+    const loadGraph = async () => {
+      try {
+        const response = await apiFetch(`/api/knowledge-graph?subject=${encodeURIComponent(subject)}`, {
+          credentials: 'include',
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          setGraph({ nodes: data.nodes, edges: data.edges });
+        } else {
+          // Without the graph, topics are shown without prerequisites
+          console.warn('Failed to load knowledge graph');
+        }
+      } catch (error) {
+        console.error('Failed to load knowledge graph:', error);
+      }
+    };
+
+    loadGraph();
+  }, [subject]);
+
   if (!learningPath) {
     return <div>Loading learning path...</div>;
   }
 
+  const prerequisites = prerequisitesByTopic(graph, learningPath.path);
+
   return (
     <div className="min-h-screen p-6">
       {/* Header */}
@@ -64,6 +93,7 @@ export default function LearningPathVisualizer({ student, subject, learningPath
         {view === 'tree' && (
           <TreeView
             learningPath={learningPath}
+            prerequisites={prerequisites}
             selectedTopic={selectedTopic}
             onSelectTopic={setSelectedTopic}
             gradeTheme={gradeTheme}
@@ -85,6 +115,7 @@ export default function LearningPathVisualizer({ student, subject, learningPath
       {selectedTopic && (
         <TopicDetailPanel
           topic={selectedTopic}
+          prerequisites={prerequisites.get(selectedTopic.topic.id) || []}
           onClose={() => setSelectedTopic(null)}
           gradeTheme={gradeTheme}
           subjectColor={subjectColor}
@@ -190,9 +221,9 @@ function PathView({ learningPath, selectedTopic, onSelectTopic, gradeTheme, subj
 /**
  * Tree View - Hierarchical visualization
  */
-function TreeView({ learningPath, selectedTopic, onSelectTopic, gradeTheme, subjectColor }) {
+function TreeView({ learningPath, prerequisites, selectedTopic, onSelectTopic, gradeTheme, subjectColor }) {
   // Group by prerequisites
-  const levels = organizeByPrerequisites(learningPath.path);
+  const levels = organizeByPrerequisites(learningPath.path, prerequisites);
 
   return (
     <div className="space-y-8">
@@ -385,7 +416,7 @@ function LinearTopicItem({ item, index, isSelected, onClick, gradeTheme, subject
 /**
  * Topic Detail Panel
  */
-function TopicDetailPanel({ topic, onClose, gradeTheme, subjectColor }) {
+function TopicDetailPanel({ topic, prerequisites, onClose, gradeTheme, subjectColor }) {
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
@@ -433,18 +464,18 @@ function TopicDetailPanel({ topic, onClose, gradeTheme, subjectColor }) {
           </div>
 
           {/* Prerequisites */}
-          {topic.topic.prerequisites && topic.topic.prerequisites.length > 0 && (
+          {prerequisites.length > 0 && (
             <div>
               <div className={`font-semibold mb-2 ${gradeTheme.textSize.base}`}>
                 📋 Prerequisites
               </div>
               <div className="flex flex-wrap gap-2">
-                {topic.topic.prerequisites.map((prereq) => (
+                {prerequisites.map((prereq) => (
                   <span
-                    key={prereq}
+                    key={prereq.key}
                     className="px-3 py-1 bg-gray-100 rounded-full text-sm"
                   >
-                    {prereq}
+                    {prereq.name}
                   </span>
                 ))}
               </div>
@@ -534,33 +565,63 @@ function StatusBadge({ status, gradeTheme }) {
 
 /* ========== Helper Functions ========== */
 
+/**
+ * Skill graph prerequisites of each topic in the path, by topic ID.
+ * Topics are matched to skills by slug (or curriculum topic ID).
+ */
+function prerequisitesByTopic(graph, path) {
+  const prerequisites = new Map();
+  if (!graph) return prerequisites;
+
+  const nodes = new Map(graph.nodes.map((node) => [node.key, node]));
+  for (const item of path || []) {
+    const slug = item.topic.slug || item.topic.id;
+    const node = graph.nodes.find((n) => n.topicSlug === slug);
+    if (!node) continue;
+
+    prerequisites.set(
+      item.topic.id,
+      graph.edges
+        .filter((edge) => edge.type === EDGE_TYPES.PREREQUISITE && edge.to === node.key)
+        .map((edge) => nodes.get(edge.from))
+        .filter(Boolean)
+    );
+  }
+  return prerequisites;
+}
+
 /**
  * Organize topics by prerequisite levels
  */
-function organizeByPrerequisites(path) {
+function organizeByPrerequisites(path, prerequisites) {
   const levels = [];
-  const processed = new Set();
+  const processed = new Set(); // Slugs of placed topics
+  const slugOf = (item) => item.topic.slug || item.topic.id;
+  const slugs = new Set(path.map(slugOf));
+
+  // Prerequisites outside this path don't hold topics back
+  const requires = (item) =>
+    (prerequisites.get(item.topic.id) || []).filter((prereq) => slugs.has(prereq.topicSlug));
 
   // Start with topics that have no prerequisites
-  let currentLevel = path.filter(
-    (item) => !item.topic.prerequisites || item.topic.prerequisites.length === 0
-  );
+  let currentLevel = path.filter((item) => requires(item).length === 0);
 
   while (currentLevel.length > 0) {
     levels.push(currentLevel);
-    currentLevel.forEach((item) => processed.add(item.topic.id));
+    currentLevel.forEach((item) => processed.add(slugOf(item)));
 
     // Find topics whose prerequisites are all processed
     currentLevel = path.filter((item) => {
-      if (processed.has(item.topic.id)) return false;
-      if (!item.topic.prerequisites || item.topic.prerequisites.length === 0) return false;
+      if (processed.has(slugOf(item))) return false;
+      const required = requires(item);
+      if (required.length === 0) return false;
 
-      return item.topic.prerequisites.every((prereq) => processed.has(prereq));
+      return required.every((prereq) => processed.has(prereq.topicSlug));
     });
   }
 
   // Add any remaining topics
-  const remaining = path.filter((item) => !processed.has(item.topic.id));
+  const remaining = path.filter((item) => !processed.has(slugOf(item)));
   if (remaining.length > 0) {
     levels.push(remaining);
   }
@@ -575,5 +636,3 @@ function adjustColor(color, amount) {
   // Simple color adjustment - in production, use a proper color library
   return color;
 }
-
-export default LearningPathVisualizer;
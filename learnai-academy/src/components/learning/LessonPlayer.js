@@ -14,6 +14,7 @@ import WorkedExample from './WorkedExample';
 import RealWorldConnections from './RealWorldConnections';
 import LessonSummary from './LessonSummary';
 import ProgressCelebration from '@/components/celebration/ProgressCelebration';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * LessonPlayer - Visual interface for students to view and interact with lessons
@@ -82,7 +83,7 @@ export default function LessonPlayer({ lessonPlanId, onComplete, onExit }) {
   const initializeLesson = async () => {
     try {
       setIsLoading(true);
-      const response = await fetch('/api/lessons/player', {
+      const response = await apiFetch('/api/lessons/player', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -218,7 +219,7 @@ export default function LessonPlayer({ lessonPlanId, onComplete, onExit }) {
 
       setProgress(totalProgress);
 
-      await fetch('/api/lessons/player', {
+      await apiFetch('/api/lessons/player', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -238,7 +239,7 @@ export default function LessonPlayer({ lessonPlanId, onComplete, onExit }) {
     if (!lesson?.lesson?.id) return;
 
     try {
-      const response = await fetch('/api/lessons/player', {
+      const response = await apiFetch('/api/lessons/player', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -267,7 +268,7 @@ export default function LessonPlayer({ lessonPlanId, onComplete, onExit }) {
     if (!lesson?.lesson?.id) return;
 
     try {
-      const response = await fetch('/api/lessons/player', {
+      const response = await apiFetch('/api/lessons/player', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -1174,7 +1175,7 @@ function ActivityCard({ activity, onShowWorkedExample }) {
 
   const handleComplete = async () => {
     try {
-      const response = await fetch('/api/lessons/player', {
+      const response = await apiFetch('/api/lessons/player', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -14,20 +14,23 @@ import ProgressCelebration from '@/components/celebration/ProgressCelebration';
  * - Takeaways
  * - Next steps
  * - Celebration on completion
+ * - Session recap (from POST /api/sessions/[id]/end) when `recap` is passed
  */
 export default function LessonSummary({ 
   lesson, 
+  recap,
   onComplete,
   onContinue 
 }) {
   const [showCelebration, setShowCelebration] = useState(true);
   const [completedObjectives, setCompletedObjectives] = useState([]);
 
-  if (!lesson) return null;
+  if (!lesson && !recap) return null;
 
-  const objectives = lesson.lessonPlan?.objectives || [];
-  const keyConcepts = lesson.content?.structure?.instruction?.keyPoints || [];
-  const takeaways = lesson.content?.structure?.closure?.summary || [];
+  const objectives = lesson?.lessonPlan?.objectives || [];
+  const keyConcepts = lesson?.content?.structure?.instruction?.keyPoints || recap?.conceptsCovered || [];
+  const takeaways = lesson?.content?.structure?.closure?.summary || recap?.summary || [];
+  const misconceptions = recap?.misconceptions || [];
 
   const handleObjectiveToggle = (index) => {
     setCompletedObjectives(prev => 
@@ -64,7 +67,7 @@ export default function LessonSummary({
 
       <div className="flex items-center gap-3 mb-6">
         <BookOpen className="w-8 h-8 text-blue-600" />
-        <h2 className="text-3xl font-bold text-gray-900">Lesson Summary</h2>
+        <h2 className="text-3xl font-bold text-gray-900">{lesson ? 'Lesson Summary' : 'Session Recap'}</h2>
       </div>
 
       {/* Learning Objectives Check */}
@@ -136,6 +139,34 @@ export default function LessonSummary({
         </div>
       )}
 
+      {/* Practice Score */}
+      {recap?.problemsAttempted > 0 && (
+        <div className="bg-white rounded-lg p-6 mb-6 shadow-md">
+          <div className="flex items-center gap-2 mb-2">
+            <CheckCircle className="w-6 h-6 text-green-600" />
+            <h3 className="text-xl font-semibold text-gray-900">Practice Score</h3>
+          </div>
+          <p className="text-gray-700">
+            You got <strong>{recap.problemsCorrect}</strong> of <strong>{recap.problemsAttempted}</strong> problems right!
+          </p>
+        </div>
+      )}
+
+      {/* Things to keep practising */}
+      {misconceptions.length > 0 && (
+        <div className="bg-white rounded-lg p-6 mb-6 shadow-md">
+          <div className="flex items-center gap-2 mb-4">
+            <Target className="w-6 h-6 text-orange-600" />
+            <h3 className="text-xl font-semibold text-gray-900">Keep Practising</h3>
+          </div>
+          <ul className="space-y-2">
+            {misconceptions.map((misconception, idx) => (
+              <li key={idx} className="text-gray-700">{misconception}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Takeaways */}
       {takeaways && (
         <div className="bg-white rounded-lg p-6 mb-6 shadow-md">
@@ -171,7 +202,11 @@ export default function LessonSummary({
           </div>
           <div className="flex items-center gap-3 p-3 bg-purple-50 rounded-lg">
             <ArrowRight className="w-5 h-5 text-purple-600" />
-            <p className="text-gray-700">Continue to the next lesson when ready</p>
+            <p className="text-gray-700">
+              {recap?.suggestedNextTopic
+                ? `Up next: ${recap.suggestedNextTopic}`
+                : 'Continue to the next lesson when ready'}
+            </p>
           </div>
         </div>
       </div>
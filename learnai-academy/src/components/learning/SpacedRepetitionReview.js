@@ -5,19 +5,54 @@ import { Clock, CheckCircle, XCircle, RefreshCw, TrendingUp } from 'lucide-react
 import { useAuth } from '@/hooks/useAuth';
 import { useToast } from '@/components/ui/Toast';
 import ProgressCelebration from '@/components/celebration/ProgressCelebration';
+import { SpacedRepetitionSystem } from '@/lib/spacedRepetition';
+import { RATINGS } from '@/lib/fsrs';
+import { apiFetch } from '@/lib/clientAuth';
+
+const RATING_OPTIONS = [
+  { value: RATINGS.EASY, label: 'Easy - I remembered it right away', emoji: '⭐' },
+  { value: RATINGS.GOOD, label: 'Good - I remembered it after a moment', emoji: '👍' },
+  { value: RATINGS.HARD, label: 'Hard - I only just remembered it', emoji: '😕' },
+  { value: RATINGS.AGAIN, label: 'Again - I forgot it', emoji: '❌' },
+];
+
+/**
+ * Move cards from this browser's local review store to the server
+ */
+async function importLocalCards(studentId) {
+  const srs = new SpacedRepetitionSystem();
+  const cards = srs.getStudentCards(studentId);
+  if (cards.length === 0) return;
+
+  const response = await apiFetch('/api/learning/spaced-repetition', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({
+      action: 'import',
+      studentId,
+      cards: JSON.parse(JSON.stringify(cards)),
+    }),
+  });
+
+  if (response.ok) {
+    const data = await response.json();
+    srs.removeCards(data.importedIds || []);
+  }
+}
 
 /**
  * SpacedRepetitionReview Component
- * Shows concepts due for review and allows reviewing
+ * Shows cards due for review and allows reviewing
  */
 export default function SpacedRepetitionReview({ studentId, subjectId }) {
   const { user } = useAuth();
   const { addToast } = useToast();
-  const [conceptsDue, setConceptsDue] = useState([]);
+  const [cardsDue, setCardsDue] = useState([]);
   const [statistics, setStatistics] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [reviewingConcept, setReviewingConcept] = useState(null);
-  const [reviewQuality, setReviewQuality] = useState(3);
+  const [reviewingCard, setReviewingCard] = useState(null);
+  const [reviewRating, setReviewRating] = useState(RATINGS.GOOD);
   const [showCelebration, setShowCelebration] = useState(false);
 
   useEffect(() => {
@@ -28,19 +63,24 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
     try {
       setIsLoading(true);
 
-      // Load concepts due for review
-      const dueRes = await fetch(
+      // Cards made on this device join the server's schedule first
+      await importLocalCards(studentId).catch((error) => {
+        console.error('Error importing local review cards:', error);
+      });
+
+      // Load cards due for review
+      const dueRes = await apiFetch(
         `/api/learning/spaced-repetition?studentId=${studentId}&subjectId=${subjectId || ''}`,
         { credentials: 'include' }
       );
 
       if (dueRes.ok) {
         const dueData = await dueRes.json();
-        setConceptsDue(dueData.concepts || []);
+        setCardsDue(dueData.cards || []);
       }
 
       // Load statistics
-      const statsRes = await fetch(
+      const statsRes = await apiFetch(
         `/api/learning/spaced-repetition?studentId=${studentId}&action=statistics`,
         { credentials: 'include' }
       );
@@ -57,37 +97,37 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
     }
   };
 
-  const handleReview = async (concept, quality) => {
+  const handleReview = async (card, rating) => {
     try {
-      const response = await fetch('/api/learning/spaced-repetition', {
+      const response = await apiFetch('/api/learning/spaced-repetition', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
         body: JSON.stringify({
           studentId,
-          conceptId: concept.conceptId,
-          quality,
-          subjectId: concept.subjectId,
+          cardId: card.id,
+          rating,
         }),
       });
 
       if (response.ok) {
-        const data = await response.json();
-        
-        if (quality >= 4) {
+        const { card: updated } = await response.json();
+        const days = Math.round((new Date(updated.nextReview) - new Date()) / (1000 * 60 * 60 * 24));
+
+        if (rating === RATINGS.EASY) {
           setShowCelebration(true);
         }
 
         addToast(
-          quality >= 4 
-            ? 'Great job! Concept mastered!' 
-            : 'Review recorded. Keep practicing!',
-          quality >= 4 ? 'success' : 'info'
+          rating === RATINGS.AGAIN
+            ? "Review recorded. We'll try this one again soon!"
+            : `Great job! Next review in ${days} day${days !== 1 ? 's' : ''}.`,
+          rating === RATINGS.AGAIN ? 'info' : 'success'
         );
 
         // Reload data
         loadReviewData();
-        setReviewingConcept(null);
+        setReviewingCard(null);
       }
     } catch (error) {
       console.error('Error recording review:', error);
@@ -114,16 +154,16 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
           <h3 className="text-xl font-bold text-gray-800 mb-4">Review Statistics</h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div>
-              <div className="text-sm text-gray-600">Total Concepts</div>
-              <div className="text-2xl font-bold text-blue-600">{statistics.totalConcepts}</div>
+              <div className="text-sm text-gray-600">Total Cards</div>
+              <div className="text-2xl font-bold text-blue-600">{statistics.totalCards}</div>
             </div>
             <div>
               <div className="text-sm text-gray-600">Due for Review</div>
               <div className="text-2xl font-bold text-orange-600">{statistics.dueForReview}</div>
             </div>
             <div>
-              <div className="text-sm text-gray-600">Average Mastery</div>
-              <div className="text-2xl font-bold text-green-600">{statistics.averageMastery}%</div>
+              <div className="text-sm text-gray-600">Average Recall</div>
+              <div className="text-2xl font-bold text-green-600">{statistics.averageRecall}%</div>
             </div>
             <div>
               <div className="text-sm text-gray-600">Total Reviews</div>
@@ -133,44 +173,48 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
         </div>
       )}
 
-      {/* Concepts Due for Review */}
+      {/* Cards Due for Review */}
       <div className="surface-elevated p-6 rounded-xl">
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-xl font-bold text-gray-800">Concepts Due for Review</h3>
-          {conceptsDue.length > 0 && (
+          <h3 className="text-xl font-bold text-gray-800">Due for Review</h3>
+          {cardsDue.length > 0 && (
             <span className="px-3 py-1 bg-orange-100 text-orange-800 rounded-full text-sm font-medium">
-              {conceptsDue.length} due
+              {cardsDue.length} due
             </span>
           )}
         </div>
 
-        {conceptsDue.length === 0 ? (
+        {cardsDue.length === 0 ? (
           <div className="text-center py-8 text-gray-500">
             <CheckCircle className="w-12 h-12 mx-auto mb-2 text-green-500" />
-            <p>No concepts due for review. Great job staying on top of your learning!</p>
+            <p>Nothing due for review. Great job staying on top of your learning!</p>
           </div>
         ) : (
           <div className="space-y-3">
-            {conceptsDue.map((concept) => (
+            {cardsDue.map((card) => (
               <div
-                key={concept.id}
+                key={card.id}
                 className="p-4 border border-gray-200 rounded-lg hover:border-blue-300 transition-colors"
               >
                 <div className="flex items-center justify-between">
                   <div className="flex-1">
-                    <h4 className="font-semibold text-gray-800">{concept.conceptName}</h4>
-                    <p className="text-sm text-gray-600">{concept.subjectName}</p>
+                    <h4 className="font-semibold text-gray-800">{card.prompt}</h4>
+                    {card.subjectName && <p className="text-sm text-gray-600">{card.subjectName}</p>}
                     <div className="flex items-center gap-4 mt-2 text-xs text-gray-500">
-                      <span>Last reviewed: {new Date(concept.lastReviewed).toLocaleDateString()}</span>
-                      {concept.daysOverdue > 0 && (
+                      {card.lastReviewed ? (
+                        <span>Last reviewed: {new Date(card.lastReviewed).toLocaleDateString()}</span>
+                      ) : (
+                        <span>New</span>
+                      )}
+                      {card.daysOverdue > 0 && (
                         <span className="text-orange-600 font-medium">
-                          {concept.daysOverdue} day{concept.daysOverdue !== 1 ? 's' : ''} overdue
+                          {card.daysOverdue} day{card.daysOverdue !== 1 ? 's' : ''} overdue
                         </span>
                       )}
                     </div>
                   </div>
                   <button
-                    onClick={() => setReviewingConcept(concept)}
+                    onClick={() => setReviewingCard(card)}
                     className="btn btn-primary"
                   >
                     Review Now
@@ -183,26 +227,19 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
       </div>
 
       {/* Review Modal */}
-      {reviewingConcept && (
+      {reviewingCard && (
         <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4">
           <div className="bg-white rounded-2xl shadow-2xl max-w-md w-full p-6">
-            <h3 className="text-2xl font-bold text-gray-800 mb-2">Review: {reviewingConcept.conceptName}</h3>
-            <p className="text-gray-600 mb-6">How well do you remember this concept?</p>
+            <h3 className="text-2xl font-bold text-gray-800 mb-2">Review: {reviewingCard.prompt}</h3>
+            <p className="text-gray-600 mb-6">How well did you remember this?</p>
 
             <div className="space-y-3 mb-6">
-              {[
-                { value: 5, label: 'Perfect - I remember everything', emoji: '⭐' },
-                { value: 4, label: 'Good - I remember most of it', emoji: '👍' },
-                { value: 3, label: 'Okay - I remember some of it', emoji: '😐' },
-                { value: 2, label: 'Hard - I remember very little', emoji: '😕' },
-                { value: 1, label: 'Very Hard - I forgot most of it', emoji: '😞' },
-                { value: 0, label: 'Complete Blackout - I forgot everything', emoji: '❌' },
-              ].map((option) => (
+              {RATING_OPTIONS.map((option) => (
                 <button
                   key={option.value}
-                  onClick={() => setReviewQuality(option.value)}
+                  onClick={() => setReviewRating(option.value)}
                   className={`w-full p-3 rounded-lg border-2 text-left transition-all ${
-                    reviewQuality === option.value
+                    reviewRating === option.value
                       ? 'border-blue-500 bg-blue-50'
                       : 'border-gray-200 hover:border-gray-300'
                   }`}
@@ -215,13 +252,13 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
 
             <div className="flex gap-3">
               <button
-                onClick={() => setReviewingConcept(null)}
+                onClick={() => setReviewingCard(null)}
                 className="btn btn-secondary flex-1"
               >
                 Cancel
               </button>
               <button
-                onClick={() => handleReview(reviewingConcept, reviewQuality)}
+                onClick={() => handleReview(reviewingCard, reviewRating)}
                 className="btn btn-primary flex-1"
               >
                 Submit Review
@@ -234,7 +271,7 @@ export default function SpacedRepetitionReview({ studentId, subjectId }) {
       {/* Celebration */}
       <ProgressCelebration
         type="mastery"
-        message="Concept Mastered!"
+        message="Remembered with ease!"
         show={showCelebration}
         onComplete={() => setShowCelebration(false)}
       />
@@ -1 +1,176 @@
-export default function VoiceInput(){return <div>VoiceInput</div>}
\ No newline at end of file
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import { Mic, MicOff } from 'lucide-react';
+import { AccessibilityManager } from '@/lib/accessibility';
+
+// Presses shorter than this are taps, not speech
+const MIN_PRESS_MS = 300;
+
+/**
+ * Push-to-talk microphone button. Hold it (or hold Space / Enter while it
+ * has focus) and speak; on release the transcript is passed to
+ * `onTranscript({ text, confidence, durationMs })`.
+ *
+ * Recognition keeps listening while the button is held, so a child can
+ * pause mid-sentence. Uses the browser's speech recognition through
+ * AccessibilityManager.
+ */
+export default function VoiceInput({
+  onTranscript,
+  onStart,
+  onError,
+  disabled = false,
+  large = false,
+  lang = 'en',
+  accessibility = null,
+}) {
+  const [manager] = useState(() => accessibility || new AccessibilityManager());
+  const [status, setStatus] = useState('idle'); // idle, listening, processing
+  const [isSupported, setIsSupported] = useState(true);
+  const pressStartRef = useRef(null);
+
+  useEffect(() => {
+    setIsSupported(manager.isSpeechRecognitionSupported());
+
+    // Stop listening if the chat unmounts mid-press
+    return () => manager.stopListening();
+  }, [manager]);
+
+  const startPress = () => {
+    if (disabled || status !== 'idle') return;
+
+    if (!isSupported) {
+      onError?.('Voice input is not supported in your browser.');
+      return;
+    }
+
+    // Talking over the tutor stops it
+    manager.stopSpeaking();
+    onStart?.();
+
+    pressStartRef.current = Date.now();
+    const started = manager.startListening(
+      (text, confidence) => {
+        const durationMs = Date.now() - pressStartRef.current;
+        if (text.trim()) {
+          onTranscript({ text: text.trim(), confidence, durationMs });
+        }
+      },
+      {
+        force: true,
+        continuous: true,
+        lang,
+        onEnd: () => setStatus('idle'),
+        onError: (error) => {
+          if (error === 'not-allowed' || error === 'service-not-allowed') {
+            onError?.('Please allow the microphone so I can hear you.');
+          } else if (error === 'no-speech') {
+            onError?.("I didn't hear anything. Hold the button and try again!");
+          }
+        },
+      }
+    );
+
+    setStatus(started ? 'listening' : 'idle');
+  };
+
+  const endPress = () => {
+    if (status !== 'listening') return;
+
+    const pressedFor = Date.now() - pressStartRef.current;
+    if (pressedFor < MIN_PRESS_MS) {
+      onError?.('Hold the button while you talk.');
+    }
+
+    // The transcript arrives once recognition has finished
+    setStatus('processing');
+    manager.stopListening();
+  };
+
+  const handleKeyDown = (e) => {
+    if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+      e.preventDefault();
+      startPress();
+    }
+  };
+
+  const handleKeyUp = (e) => {
+    if (e.key === ' ' || e.key === 'Enter') {
+      e.preventDefault();
+      endPress();
+    }
+  };
+
+  const isListening = status === 'listening';
+  const size = large ? '88px' : 'auto';
+  const label = !isSupported
+    ? 'Voice input is not supported in this browser'
+    : isListening ? 'Listening... let go when you are done' : 'Hold to talk';
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: 'var(--space-xs)',
+    }}>
+      <button
+        type="button"
+        aria-label={label}
+        aria-pressed={isListening}
+        title={label}
+        disabled={disabled || !isSupported}
+        onPointerDown={(e) => {
+          e.preventDefault();
+          e.currentTarget.setPointerCapture?.(e.pointerId);
+          startPress();
+        }}
+        onPointerUp={endPress}
+        onPointerCancel={endPress}
+        onKeyDown={handleKeyDown}
+        onKeyUp={handleKeyUp}
+        onContextMenu={(e) => e.preventDefault()}
+        className={`btn ${isListening ? 'animate-pulse' : ''}`}
+        style={{
+          width: size,
+          height: size,
+          padding: large ? 0 : 'var(--space-sm) var(--space-md)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          borderRadius: large ? 'var(--radius-full)' : 'var(--radius-xl)',
+          border: 'none',
+          background: isListening
+            ? 'hsl(0, 70%, 55%)'
+            : large
+              ? 'linear-gradient(135deg, hsl(220, 80%, 60%) 0%, hsl(260, 70%, 60%) 100%)'
+              : 'var(--color-bg-muted)',
+          color: isListening || large ? 'white' : 'var(--color-text-secondary)',
+          boxShadow: large ? 'var(--shadow-lg)' : 'none',
+          cursor: (disabled || !isSupported) ? 'not-allowed' : 'pointer',
+          opacity: (disabled || !isSupported) ? 0.5 : 1,
+          touchAction: 'none',
+          userSelect: 'none',
+          transition: 'all var(--transition-fast)',
+        }}
+      >
+        {isSupported
+          ? <Mic className={large ? 'w-10 h-10' : 'w-5 h-5'} />
+          : <MicOff className={large ? 'w-10 h-10' : 'w-5 h-5'} />}
+      </button>
+      {large && (
+        <span
+          aria-live="polite"
+          style={{
+            fontSize: 'var(--text-sm)',
+            fontWeight: 'var(--weight-medium)',
+            color: isListening ? 'hsl(0, 70%, 50%)' : 'var(--color-text-secondary)',
+          }}
+        >
+          {status === 'processing' ? 'Thinking about what you said...' : label}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useToast } from '@/components/ui/Toast';
+import { Download } from 'lucide-react';
+import ParentalConsentForm, { CONSENT_FEATURES } from './ParentalConsentForm';
+import { apiFetch } from '@/lib/clientAuth';
+
+/**
+ * A child's consents on the parent dashboard: change them (with the
+ * parent's password) and download every decision made
+ */
+export default function ChildConsentSettings({ studentId, childName }) {
+  const { addToast } = useToast();
+  const [requiresConsent, setRequiresConsent] = useState(true);
+  const [consents, setConsents] = useState({});
+  const [saved, setSaved] = useState({});
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (studentId) loadConsents();
+  }, [studentId]);
+
+  const applyConsents = (data) => {
+    const granted = Object.fromEntries(
+      CONSENT_FEATURES.map(({ type }) => [type, Boolean(data.consents?.[type]?.granted)])
+    );
+    setRequiresConsent(data.requiresParentalConsent);
+    setConsents(granted);
+    setSaved(granted);
+  };
+
+  const loadConsents = async () => {
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/consents`, { credentials: 'include' });
+      const data = await response.json();
+      if (response.ok) {
+        applyConsents(data);
+      }
+    } catch (error) {
+      addToast('Failed to load permissions', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const saveConsents = async () => {
+    // Only the choices that changed become new decisions in the history
+    const changed = Object.fromEntries(
+      Object.entries(consents).filter(([type, granted]) => saved[type] !== granted)
+    );
+    if (Object.keys(changed).length === 0) {
+      addToast('No changes to save', 'info');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await apiFetch(`/api/students/${studentId}/consents`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ consents: changed, password }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save permissions');
+
+      applyConsents(data);
+      setPassword('');
+      addToast('Permissions updated', 'success');
+    } catch (error) {
+      addToast(error.message, 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading permissions...</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <ParentalConsentForm
+        consents={consents}
+        onChange={setConsents}
+        password={password}
+        onPasswordChange={setPassword}
+        requiresConsent={requiresConsent}
+        childName={childName}
+      />
+
+      <div className="flex items-center justify-between">
+        <a
+          href={`/api/students/${studentId}/consents?format=csv`}
+          className="flex items-center gap-2 text-sm text-blue-500 hover:text-blue-600 font-medium"
+        >
+          <Download className="w-4 h-4" />
+          Download consent history
+        </a>
+        <button
+          onClick={saveConsents}
+          disabled={isSaving || !password}
+          className="bg-blue-500 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {isSaving ? 'Saving...' : 'Save permissions'}
+        </button>
+      </div>
+    </div>
+  );
+}
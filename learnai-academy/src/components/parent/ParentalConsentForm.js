@@ -0,0 +1,119 @@
+'use client';
+
+import { Lock, ShieldCheck } from 'lucide-react';
+
+/**
+ * What each consent covers, as shown to parents. Types match
+ * CONSENT_TYPES in services/parent/consentService.js.
+ */
+export const CONSENT_FEATURES = [
+  {
+    type: 'DATA_COLLECTION',
+    label: 'Create a profile and keep learning records',
+    description: 'Your child\'s name, grade, birth date and the progress they make. Required to use LearnAI Academy.',
+  },
+  {
+    type: 'AI_CHAT',
+    label: 'Chat with the AI tutor',
+    description: 'Messages are checked for safety and kept so you can review them.',
+  },
+  {
+    type: 'VOICE_RECORDING',
+    label: 'Talk to the tutor by voice',
+    description: 'Speech is turned into text in the browser; the text is kept like a typed message.',
+  },
+  {
+    type: 'LEADERBOARD',
+    label: 'Appear on leaderboards',
+    description: 'Other students can see your child\'s first name and points.',
+  },
+  {
+    type: 'EMAIL',
+    label: 'Progress emails',
+    description: 'Weekly reports, achievements and streaks sent to you. Safety alerts are always sent.',
+  },
+];
+
+/**
+ * Consent checkboxes plus the parent's password, which confirms it's the
+ * parent deciding. Controlled: the caller keeps the values and submits them.
+ *
+ * @param {Object} props
+ * @param {Object} props.consents - { [type]: boolean }
+ * @param {Function} props.onChange - Called with the updated consents
+ * @param {string} props.password
+ * @param {Function} props.onPasswordChange
+ * @param {boolean} props.requiresConsent - Child is under 13; data
+ *   collection consent is shown and required
+ * @param {string} [props.childName]
+ */
+export default function ParentalConsentForm({
+  consents,
+  onChange,
+  password,
+  onPasswordChange,
+  requiresConsent,
+  childName = 'your child',
+}) {
+  const features = requiresConsent
+    ? CONSENT_FEATURES
+    : CONSENT_FEATURES.filter(feature => feature.type !== 'DATA_COLLECTION');
+  const dataCollectionOff = requiresConsent && !consents.DATA_COLLECTION;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start gap-3 p-4 bg-blue-50 rounded-lg">
+        <ShieldCheck className="w-5 h-5 text-blue-600 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-gray-700">
+          {requiresConsent
+            ? `Because ${childName} is under 13, we need your permission before they use LearnAI Academy. You can change these choices at any time from the parent dashboard.`
+            : `Choose what ${childName} can use. You can change these choices at any time from the parent dashboard.`}
+        </p>
+      </div>
+
+      <ul className="space-y-2">
+        {features.map(feature => {
+          const disabled = feature.type !== 'DATA_COLLECTION' && dataCollectionOff;
+          return (
+            <li key={feature.type}>
+              <label className={`flex items-start gap-3 p-3 border border-gray-200 rounded-lg ${disabled ? 'opacity-50' : 'cursor-pointer hover:bg-gray-50'}`}>
+                <input
+                  type="checkbox"
+                  checked={Boolean(consents[feature.type]) && !disabled}
+                  disabled={disabled}
+                  onChange={(e) => onChange({ ...consents, [feature.type]: e.target.checked })}
+                  className="mt-1 w-4 h-4"
+                />
+                <span>
+                  <span className="block font-medium text-gray-800">{feature.label}</span>
+                  <span className="block text-sm text-gray-500">{feature.description}</span>
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div>
+        <label htmlFor="consent-password" className="block text-sm font-medium text-gray-700 mb-2">
+          Confirm with your password
+        </label>
+        <div className="relative">
+          <Lock className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            id="consent-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => onPasswordChange(e.target.value)}
+            className="w-full pl-9 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="Your account password"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          This makes sure it's a parent giving permission, not a child on your device.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { Clock, Coffee, Sparkles, X } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * BreakReminder Component
@@ -26,7 +27,7 @@ export default function BreakReminder({
       try {
         const sessionDuration = Math.floor((Date.now() - new Date(sessionStartTime).getTime()) / 1000 / 60);
         
-        const response = await fetch(
+        const response = await apiFetch(
           `/api/study/break-reminder?sessionDuration=${sessionDuration}&gradeLevel=${gradeLevel}`,
           { credentials: 'include' }
         );
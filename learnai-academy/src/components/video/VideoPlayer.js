@@ -3,6 +3,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { Play, Pause, Volume2, VolumeX, Maximize, Settings, Bookmark, MessageCircle, Star } from 'lucide-react';
 import { motion } from 'framer-motion';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * VideoPlayer - Interactive video player for video lessons
@@ -197,7 +198,7 @@ export default function VideoPlayer({ videoLesson, onProgress, onComplete }) {
     setRating(newRating);
     // TODO: Save rating to API
     try {
-      const response = await fetch(`/api/videos/${videoLesson.id}/rate`, {
+      const response = await apiFetch(`/api/videos/${videoLesson.id}/rate`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ rating: newRating }),
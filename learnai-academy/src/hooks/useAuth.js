@@ -2,12 +2,15 @@
 
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
+import { apiFetch, refreshSession, SESSION_ENDED_EVENT } from '@/lib/clientAuth';
 
 /**
  * Authentication Hook
  *
  * Centralized authentication state management using httpOnly cookies.
  * Replaces localStorage-based authentication.
+ * Access tokens last minutes; API calls made with apiFetch
+ * (lib/clientAuth.js) refresh the session on a 401 and are retried.
  */
 
 const AuthContext = createContext(null);
@@ -18,6 +21,17 @@ export function AuthProvider({ children }) {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const router = useRouter();
 
+  // apiFetch could not refresh the session - it has expired or been revoked
+  useEffect(() => {
+    const endSession = () => {
+      setUser(null);
+      setIsAuthenticated(false);
+    };
+
+    window.addEventListener(SESSION_ENDED_EVENT, endSession);
+    return () => window.removeEventListener(SESSION_ENDED_EVENT, endSession);
+  }, []);
+
   // Fetch current user on mount
   useEffect(() => {
     checkAuth();
@@ -25,7 +39,7 @@ export function AuthProvider({ children }) {
 
   const checkAuth = async () => {
     try {
-      const response = await fetch('/api/auth/me', {
+      const response = await apiFetch('/api/auth/me', {
         credentials: 'include', // Important: include cookies
       });
 
@@ -206,6 +220,7 @@ export function AuthProvider({ children }) {
     register,
     logout,
     refreshUser,
+    refreshSession,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
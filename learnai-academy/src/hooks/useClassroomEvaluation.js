@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from './useAuth';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * Hook for comprehensive classroom evaluation
@@ -20,7 +21,7 @@ export function useClassroomEvaluation() {
     setError(null);
 
     try {
-      const response = await fetch('/api/ui/comprehensive-evaluation', {
+      const response = await apiFetch('/api/ui/comprehensive-evaluation', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -52,7 +53,7 @@ export function useClassroomEvaluation() {
    */
   const getUIConfig = useCallback(async (gradeLevel) => {
     try {
-      const response = await fetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
+      const response = await apiFetch(`/api/ui/grade-level?gradeLevel=${gradeLevel}`, {
         credentials: 'include',
       });
 
@@ -73,7 +74,7 @@ export function useClassroomEvaluation() {
    */
   const evaluateUI = useCallback(async (gradeLevel, currentUI) => {
     try {
-      const response = await fetch('/api/ui/grade-level', {
+      const response = await apiFetch('/api/ui/grade-level', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -3,6 +3,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { initI18n, t as translate, setLanguage, getLanguage, loadTranslations } from '@/lib/i18n/i18n.js';
 import { supportedLanguages, isRTL as checkRTL } from '@/lib/i18n/config.js';
+import { apiFetch } from '@/lib/clientAuth';
 
 /**
  * useI18n Hook
@@ -62,7 +63,7 @@ export function useI18n() {
 
     // Save to API
     try {
-      await fetch('/api/i18n/preferences', {
+      await apiFetch('/api/i18n/preferences', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -31,6 +31,14 @@ describe('Auth Library', () => {
       expect(decoded.exp).toBeGreaterThan(Date.now() / 1000);
     });
 
+    it('should issue 15 minute tokens whatever JWT_EXPIRES_IN says', () => {
+      process.env.JWT_EXPIRES_IN = '7d';
+      const token = generateToken({ userId: '123' });
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
     it('should throw error if JWT_SECRET is too short', () => {
       const originalSecret = process.env.JWT_SECRET;
       process.env.JWT_SECRET = 'short';
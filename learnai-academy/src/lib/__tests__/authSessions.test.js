@@ -0,0 +1,164 @@
+import jwt from 'jsonwebtoken';
+import {
+  createSession,
+  refreshSession,
+  revokeUserSessions,
+  REVOKE_REASONS,
+  REFRESH_RETRY,
+  SESSION_POLICIES,
+} from '../authSessions';
+import { ROLES } from '../permissions';
+import prisma from '../prisma';
+
+// Mock Prisma
+jest.mock('../prisma', () => ({
+  __esModule: true,
+  default: {
+    authSession: {
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    refreshToken: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../auditLogger', () => ({
+  auditSecurity: { suspiciousActivity: jest.fn() },
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+const parent = { id: 'parent-user', email: 'p@example.com', role: 'PARENT', is_admin: false };
+
+const session = (overrides = {}) => ({
+  id: 'session-1',
+  userId: 'parent-user',
+  lastUsedAt: new Date(Date.now() - 60 * 1000),
+  expiresAt: new Date(Date.now() + 24 * HOUR),
+  revokedAt: null,
+  user: parent,
+  ...overrides,
+});
+
+const storedToken = (overrides = {}) => ({
+  id: 'token-1',
+  usedAt: null,
+  session: session(),
+  ...overrides,
+});
+
+describe('createSession', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.authSession.create.mockImplementation(async ({ data }) => ({ id: 'session-1', ...data }));
+  });
+
+  it('should issue an access token naming the session and store only a hash of the refresh token', async () => {
+    const tokens = await createSession(parent, { ipAddress: '10.0.0.1', userAgent: 'Chrome' });
+
+    expect(jwt.verify(tokens.accessToken, process.env.JWT_SECRET)).toMatchObject({ userId: 'parent-user', sid: 'session-1' });
+
+    const { data } = prisma.refreshToken.create.mock.calls[0][0];
+    expect(data.sessionId).toBe('session-1');
+    expect(data.tokenHash).toMatch(/^[a-f0-9]{64}$/);
+    expect(data.tokenHash).not.toBe(tokens.refreshToken);
+    expect(tokens.persistent).toBe(true);
+  });
+
+  it('should end student sign-ins with the browser', async () => {
+    const tokens = await createSession({ ...parent, role: ROLES.STUDENT });
+    const { data } = prisma.authSession.create.mock.calls[0][0];
+
+    expect(tokens.persistent).toBe(false);
+    expect(data.expiresAt.getTime()).toBeCloseTo(Date.now() + SESSION_POLICIES[ROLES.STUDENT].maxAgeMs, -3);
+  });
+});
+
+describe('refreshSession', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken());
+    prisma.refreshToken.updateMany.mockResolvedValue({ count: 1 });
+    prisma.authSession.update.mockImplementation(async ({ data }) => session(data));
+    prisma.authSession.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should use up the refresh token and issue the next one', async () => {
+    const tokens = await refreshSession('refresh-1');
+
+    expect(prisma.refreshToken.updateMany).toHaveBeenCalledWith({
+      where: { id: 'token-1', usedAt: null },
+      data: { usedAt: expect.any(Date) },
+    });
+    expect(prisma.refreshToken.create).toHaveBeenCalled();
+    expect(tokens.refreshToken).not.toBe('refresh-1');
+  });
+
+  it('should revoke the session when a used refresh token comes back', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ usedAt: new Date(Date.now() - HOUR) }));
+
+    expect(await refreshSession('refresh-1')).toBeNull();
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { id: 'session-1', revokedAt: null },
+      data: { revokedAt: expect.any(Date), revokedReason: REVOKE_REASONS.TOKEN_REUSE },
+    });
+  });
+
+  it('should ask another tab refreshing at the same moment to retry, not revoke the session', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(storedToken({ usedAt: new Date() }));
+
+    expect(await refreshSession('refresh-1')).toBe(REFRESH_RETRY);
+    expect(prisma.authSession.updateMany).not.toHaveBeenCalled();
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should ask the request that loses a simultaneous refresh to retry', async () => {
+    prisma.refreshToken.updateMany.mockResolvedValue({ count: 0 });
+
+    expect(await refreshSession('refresh-1')).toBe(REFRESH_RETRY);
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse revoked, expired and idle sessions', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValueOnce(storedToken({ session: session({ revokedAt: new Date() }) }));
+    expect(await refreshSession('refresh-1')).toBeNull();
+
+    prisma.refreshToken.findUnique.mockResolvedValueOnce(storedToken({ session: session({ expiresAt: new Date(Date.now() - 1000) }) }));
+    expect(await refreshSession('refresh-1')).toBeNull();
+
+    // A student's Chromebook left for two hours
+    prisma.refreshToken.findUnique.mockResolvedValueOnce(storedToken({
+      session: session({ lastUsedAt: new Date(Date.now() - 2 * HOUR), user: { ...parent, role: ROLES.STUDENT } }),
+    }));
+    expect(await refreshSession('refresh-1')).toBeNull();
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ revokedReason: REVOKE_REASONS.IDLE }),
+    }));
+
+    expect(prisma.refreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('should refuse unknown tokens', async () => {
+    prisma.refreshToken.findUnique.mockResolvedValue(null);
+
+    expect(await refreshSession('made-up')).toBeNull();
+    expect(await refreshSession(null)).toBeNull();
+  });
+});
+
+describe('revokeUserSessions', () => {
+  it('should keep the current device when asked', async () => {
+    prisma.authSession.updateMany.mockResolvedValue({ count: 2 });
+
+    expect(await revokeUserSessions('parent-user', REVOKE_REASONS.USER, { exceptSessionId: 'session-1' })).toBe(2);
+    expect(prisma.authSession.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'parent-user', revokedAt: null, id: { not: 'session-1' } },
+      data: { revokedAt: expect.any(Date), revokedReason: REVOKE_REASONS.USER },
+    });
+  });
+});
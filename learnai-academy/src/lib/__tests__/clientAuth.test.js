@@ -0,0 +1,51 @@
+import { apiFetch, SESSION_ENDED_EVENT } from '../clientAuth';
+
+const reply = (status) => ({ status, ok: status < 400 });
+
+describe('apiFetch', () => {
+  beforeEach(() => {
+    global.fetch.mockReset();
+  });
+
+  it('should return responses that are not 401 as they are', async () => {
+    global.fetch.mockResolvedValueOnce(reply(200));
+
+    expect((await apiFetch('/api/subjects')).status).toBe(200);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refresh the session and retry once after a 401', async () => {
+    global.fetch
+      .mockResolvedValueOnce(reply(401))
+      .mockResolvedValueOnce(reply(200))
+      .mockResolvedValueOnce(reply(200));
+
+    const response = await apiFetch('/api/subjects', { credentials: 'include' });
+
+    expect(response.status).toBe(200);
+    expect(global.fetch).toHaveBeenNthCalledWith(2, '/api/auth/refresh', expect.objectContaining({ method: 'POST' }));
+    expect(global.fetch).toHaveBeenNthCalledWith(3, '/api/subjects', { credentials: 'include' });
+  });
+
+  it('should end the session when the refresh fails', async () => {
+    const ended = jest.fn();
+    window.addEventListener(SESSION_ENDED_EVENT, ended);
+    global.fetch
+      .mockResolvedValueOnce(reply(401))
+      .mockResolvedValueOnce(reply(401));
+
+    const response = await apiFetch('/api/subjects');
+
+    expect(response.status).toBe(401);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(ended).toHaveBeenCalledTimes(1);
+    window.removeEventListener(SESSION_ENDED_EVENT, ended);
+  });
+
+  it('should not refresh for a failed login', async () => {
+    global.fetch.mockResolvedValueOnce(reply(401));
+
+    expect((await apiFetch('/api/auth/login', { method: 'POST' })).status).toBe(401);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  RATINGS,
+  CARD_STATES,
+  RELEARN_MINUTES,
+  newCard,
+  reviewCard,
+  retrievability,
+  nextInterval,
+  qualityToRating,
+  elapsedDaysSince,
+  logLoss,
+  optimizeWeights,
+} from '../fsrs';
+
+const start = new Date('2025-01-01T09:00:00Z');
+
+// Deterministic pseudo-random numbers so simulated students are repeatable
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Review histories for a student whose memory is `memoryFactor` times as
+ * stable as the default weights assume, each card reviewed when due
+ */
+function simulateStudent(memoryFactor, cards, reviewsEach, random) {
+  return Array.from({ length: cards }, () => {
+    let card = newCard(start);
+    let now = start;
+    const history = [];
+    for (let i = 0; i < reviewsEach; i++) {
+      let rating = RATINGS.GOOD;
+      if (card.state !== CARD_STATES.NEW) {
+        const recall = retrievability(elapsedDaysSince(card, now), card.stability * memoryFactor);
+        rating = random() < recall ? RATINGS.GOOD : RATINGS.AGAIN;
+      }
+      history.push({ rating, reviewedAt: now });
+      card = reviewCard(card, rating, now).card;
+      now = new Date(card.dueAt);
+    }
+    return history;
+  });
+}
+
+describe('fsrs', () => {
+  it('should put recall at 90% after one stability of time', () => {
+    expect(retrievability(10, 10)).toBeCloseTo(0.9, 5);
+    expect(retrievability(0, 10)).toBe(1);
+    expect(nextInterval(10)).toBe(10);
+    expect(nextInterval(10, 0.8)).toBeGreaterThan(10);
+  });
+
+  it('should map 0-5 quality onto ratings', () => {
+    expect([0, 1, 2, 3, 4, 5].map(qualityToRating)).toEqual([1, 1, 1, 2, 3, 4]);
+  });
+
+  it('should give a new card a longer first interval for better ratings', () => {
+    const intervals = [RATINGS.HARD, RATINGS.GOOD, RATINGS.EASY]
+      .map(rating => reviewCard(newCard(start), rating, start).log.scheduledDays);
+
+    expect(intervals[0]).toBeLessThan(intervals[1]);
+    expect(intervals[1]).toBeLessThan(intervals[2]);
+  });
+
+  it('should grow the interval with each on-time Good review', () => {
+    let card = newCard(start);
+    let now = start;
+    const intervals = [];
+    for (let i = 0; i < 4; i++) {
+      const result = reviewCard(card, RATINGS.GOOD, now);
+      card = result.card;
+      intervals.push(result.log.scheduledDays);
+      now = card.dueAt;
+    }
+
+    expect(card.state).toBe(CARD_STATES.REVIEW);
+    expect(card.reps).toBe(4);
+    for (let i = 1; i < intervals.length; i++) {
+      expect(intervals[i]).toBeGreaterThan(intervals[i - 1]);
+    }
+  });
+
+  it('should relearn a forgotten card the same day and count the lapse', () => {
+    const learned = reviewCard(newCard(start), RATINGS.GOOD, start).card;
+    const { card, log } = reviewCard(learned, RATINGS.AGAIN, learned.dueAt);
+
+    expect(card.state).toBe(CARD_STATES.RELEARNING);
+    expect(card.lapses).toBe(1);
+    expect(card.stability).toBeLessThan(learned.stability);
+    expect(log.scheduledDays).toBe(0);
+    expect(card.dueAt - new Date(learned.dueAt)).toBe(RELEARN_MINUTES * 60 * 1000);
+  });
+
+  it('should reject unknown ratings', () => {
+    expect(() => reviewCard(newCard(start), 5, start)).toThrow('Invalid rating');
+  });
+
+  it('should fit shorter stabilities for a student who forgets quickly', () => {
+    const histories = simulateStudent(0.3, 60, 8, seededRandom(7));
+    const before = logLoss(histories);
+    const fitted = optimizeWeights(histories);
+
+    expect(before.predictions).toBeGreaterThan(200);
+    expect(fitted.logLoss).toBeLessThan(before.logLoss);
+
+    // Cards first rated Good are now given less time before their next review
+    const defaultFirst = reviewCard(newCard(start), RATINGS.GOOD, start).log.scheduledDays;
+    const fittedFirst = reviewCard(newCard(start), RATINGS.GOOD, start, { weights: fitted.weights }).log.scheduledDays;
+    expect(fittedFirst).toBeLessThan(defaultFirst);
+  });
+});
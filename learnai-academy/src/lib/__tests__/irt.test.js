@@ -0,0 +1,129 @@
+import {
+  probability,
+  information,
+  estimateAbility,
+  selectNextItem,
+  calibrateItems,
+  itemFromDifficultyLevel,
+} from '../irt';
+
+// Deterministic pseudo-random numbers so simulated students are repeatable
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function normal(random) {
+  return Math.sqrt(-2 * Math.log(random() + 1e-12)) * Math.cos(2 * Math.PI * random());
+}
+
+function rankCorrelation(xs, ys) {
+  const rank = values => {
+    const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+    const ranks = new Array(values.length);
+    order.forEach(([, i], r) => { ranks[i] = r; });
+    return ranks;
+  };
+  const rx = rank(xs);
+  const ry = rank(ys);
+  const n = xs.length;
+  const d2 = rx.reduce((sum, r, i) => sum + (r - ry[i]) ** 2, 0);
+  return 1 - (6 * d2) / (n * (n * n - 1));
+}
+
+describe('irt', () => {
+  const medium = { discrimination: 1, difficulty: 0 };
+
+  describe('probability and information', () => {
+    it('should give even odds at the item difficulty', () => {
+      expect(probability(0, medium)).toBeCloseTo(0.5);
+      expect(probability(2, medium)).toBeGreaterThan(0.8);
+    });
+
+    it('should be most informative near the item difficulty', () => {
+      expect(information(0, medium)).toBeGreaterThan(information(2, medium));
+      expect(information(0, { discrimination: 2, difficulty: 0 })).toBeGreaterThan(information(0, medium));
+    });
+  });
+
+  describe('estimateAbility', () => {
+    it('should start at the population average', () => {
+      const { theta, standardError } = estimateAbility([]);
+      expect(theta).toBeCloseTo(0);
+      expect(standardError).toBeCloseTo(1, 1);
+    });
+
+    it('should move with answers and grow more certain', () => {
+      const hard = { discrimination: 1.5, difficulty: 1 };
+      const one = estimateAbility([{ item: hard, correct: true }]);
+      const three = estimateAbility([
+        { item: hard, correct: true },
+        { item: hard, correct: true },
+        { item: { discrimination: 1.5, difficulty: 1.5 }, correct: true },
+      ]);
+
+      expect(one.theta).toBeGreaterThan(0);
+      expect(three.theta).toBeGreaterThan(one.theta);
+      expect(three.standardError).toBeLessThan(one.standardError);
+    });
+
+    it('should stay finite when every answer is wrong', () => {
+      const { theta } = estimateAbility(Array.from({ length: 10 }, () => ({ item: medium, correct: false })));
+      expect(Number.isFinite(theta)).toBe(true);
+      expect(theta).toBeLessThan(-1);
+    });
+  });
+
+  describe('selectNextItem', () => {
+    const items = [-2, -1, 0, 1, 2].map(difficulty => ({ id: `q${difficulty}`, item: { discrimination: 1, difficulty } }));
+
+    it('should pick the item closest to the ability estimate', () => {
+      expect(selectNextItem(0.9, items).id).toBe('q1');
+      expect(selectNextItem(-2.2, items).id).toBe('q-2');
+    });
+
+    it('should skip items already given', () => {
+      expect(selectNextItem(1.2, items, ['q1']).id).toBe('q2');
+      expect(selectNextItem(0, items, items.map(i => i.id))).toBeNull();
+    });
+  });
+
+  describe('itemFromDifficultyLevel', () => {
+    it('should spread ratings across the ability scale', () => {
+      expect(itemFromDifficultyLevel(1).difficulty).toBe(-2);
+      expect(itemFromDifficultyLevel(3).difficulty).toBe(0);
+      expect(itemFromDifficultyLevel(10, 10).difficulty).toBe(2);
+      expect(itemFromDifficultyLevel(undefined)).toEqual({ discrimination: 1, difficulty: 0 });
+    });
+  });
+
+  describe('calibrateItems', () => {
+    it('should recover the order of item difficulties from simulated answers', () => {
+      const random = seededRandom(11);
+      const truth = Array.from({ length: 12 }, (_, i) => ({
+        id: `item-${i}`,
+        discrimination: 0.8 + (i % 3) * 0.4,
+        difficulty: -2 + (i * 4) / 11,
+      }));
+
+      const responses = [];
+      for (let person = 0; person < 400; person++) {
+        const theta = normal(random);
+        for (const item of truth) {
+          responses.push({ personId: person, itemId: item.id, correct: random() < probability(theta, item) });
+        }
+      }
+
+      const { items } = calibrateItems(responses);
+
+      const fitted = truth.map(item => items.get(item.id).difficulty);
+      expect(rankCorrelation(truth.map(item => item.difficulty), fitted)).toBeGreaterThan(0.9);
+      expect(items.get('item-0').difficulty).toBeLessThan(-1);
+      expect(items.get('item-11').difficulty).toBeGreaterThan(1);
+      expect(items.get('item-0').responses).toBe(400);
+    });
+  });
+});
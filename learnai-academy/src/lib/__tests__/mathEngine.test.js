@@ -0,0 +1,183 @@
+import {
+  Rational,
+  evaluate,
+  simplify,
+  solve,
+  areEquivalent,
+  extractMath,
+  checkAnswer,
+  solveProblem,
+  verifyAnswer,
+  checkStatement,
+} from '../mathEngine';
+
+describe('mathEngine', () => {
+  describe('evaluate', () => {
+    it('should do exact fraction arithmetic', () => {
+      expect(evaluate('3/4 + 1/4').toString()).toBe('1');
+      expect(evaluate('0.1 + 0.2').toString()).toBe('3/10');
+      expect(evaluate('2/3 * 3/4').toString()).toBe('1/2');
+      expect(evaluate('1 1/2 + 1/4').toString()).toBe('7/4');
+    });
+
+    it('should respect operator precedence and powers', () => {
+      expect(evaluate('2 + 3 × 4').toString()).toBe('14');
+      expect(evaluate('-2^2').toString()).toBe('-4');
+      expect(evaluate('(1/2)^-2').toString()).toBe('4');
+      expect(evaluate('√16 + 3²').toString()).toBe('13');
+      expect(evaluate('12 ÷ (2 − 5)').toString()).toBe('-4');
+    });
+
+    it('should return null for what it cannot do exactly', () => {
+      expect(evaluate('sqrt(2)')).toBeNull();
+      expect(evaluate('1/0')).toBeNull();
+      expect(evaluate('x + 1')).toBeNull();
+      expect(evaluate('photosynthesis')).toBeNull();
+    });
+  });
+
+  describe('Rational', () => {
+    it('should read decimals exactly', () => {
+      expect(Rational.from('0.75').toString()).toBe('3/4');
+      expect(Rational.from('-1.5').toString()).toBe('-3/2');
+    });
+  });
+
+  describe('simplify', () => {
+    it('should collect like terms', () => {
+      expect(simplify('2(x + 3) - x')).toBe('x + 6');
+      expect(simplify('(x + 1)^2')).toBe('x^2 + 2x + 1');
+      expect(simplify('3xy - yx')).toBe('2xy');
+    });
+
+    it('should divide out common factors', () => {
+      expect(simplify('(x^2 - 1)/(x - 1)')).toBe('x + 1');
+      expect(simplify('x/2 + x/2')).toBe('x');
+    });
+  });
+
+  describe('areEquivalent', () => {
+    it('should compare expressions by value', () => {
+      expect(areEquivalent('2(x + 3)', '2x + 6')).toBe(true);
+      expect(areEquivalent('2(x + 3)', '2x + 3')).toBe(false);
+      expect(areEquivalent('1/x + 1/x', '2/x')).toBe(true);
+    });
+  });
+
+  describe('solve', () => {
+    it('should solve linear equations', () => {
+      const result = solve('3x + 7 = 22');
+
+      expect(result.variable).toBe('x');
+      expect(result.solutions.map(String)).toEqual(['5']);
+      expect(solve('y/4 = 3/8').solutions.map(String)).toEqual(['3/2']);
+    });
+
+    it('should solve quadratics exactly when the roots are rational', () => {
+      expect(solve('x^2 - 5x + 6 = 0').solutions.map(String)).toEqual(['2', '3']);
+      expect(solve('x^2 = -1').solutions).toEqual([]);
+
+      const irrational = solve('x^2 = 2');
+      expect(irrational.exact).toBe(false);
+      expect(irrational.solutions[1]).toBeCloseTo(1.41421, 4);
+    });
+
+    it('should drop roots that divide by zero', () => {
+      expect(solve('x/(x - 1) = 1/(x - 1)').solutions).toEqual([]);
+    });
+  });
+
+  describe('extractMath', () => {
+    it('should pull the math out of a question', () => {
+      expect(extractMath('Solve for x: 3x + 7 = 22')).toBe('3x + 7 = 22');
+      expect(extractMath('What is 3/4 + 1/4?')).toBe('3/4 + 1/4');
+      expect(extractMath("I think it's 1/2")).toBe('1/2');
+      expect(extractMath('How do fractions work?')).toBeNull();
+    });
+  });
+
+  describe('checkAnswer', () => {
+    it('should reject 1/2 for 3/4 + 1/4', () => {
+      expect(checkAnswer(evaluate('3/4 + 1/4').toString(), '1/2')).toMatchObject({
+        verifiable: true,
+        correct: false,
+        expected: '1',
+      });
+    });
+
+    it.each([
+      ['3/4', '0.75'],
+      ['3/4', '6/8'],
+      ['3/4', '75%'],
+      ['3/2', '1 1/2'],
+      ['5', 'x = 5'],
+      ['x = 5', 'the answer is 5'],
+      ['x = 2, x = 3', '3 or 2'],
+      ['2x + 6', '2(x + 3)'],
+      ['1/3', '0.33'],
+      ['A', 'a'],
+    ])('should accept %s given as "%s"', (expected, given) => {
+      expect(checkAnswer(expected, given).correct).toBe(true);
+    });
+
+    it.each([
+      ['1/3', '0.3'],
+      ['x = 2, x = 3', '2'],
+      ['2x + 6', '2x + 3'],
+      ['y = 4', 'x = 4'],
+    ])('should reject %s given as "%s"', (expected, given) => {
+      expect(checkAnswer(expected, given).correct).toBe(false);
+    });
+
+    it('should reject a different multiple choice letter', () => {
+      expect(checkAnswer('b', 'C')).toMatchObject({ verifiable: true, correct: false });
+    });
+
+    it('should not judge answers that are not math', () => {
+      expect(checkAnswer('photosynthesis', 'photosynthesis')).toEqual({ verifiable: false, correct: null });
+    });
+
+    it.each([
+      ['12:45', '12:30'],
+      ['3:2', '3:1'],
+      ['NO2', 'CO2'],
+      ['Apollo 2', 'World War 2'],
+      ['July 4, 1776', 'May 4, 1776'],
+      ['2 cats', '2 dogs'],
+      ['5', '5 apples'],
+    ])('should not judge %s given as "%s", which has more than math in it', (expected, given) => {
+      expect(checkAnswer(expected, given)).toEqual({ verifiable: false, correct: null });
+    });
+  });
+
+  describe('solveProblem', () => {
+    it('should work out bare math problems', () => {
+      expect(solveProblem('What is 3/4 + 1/4?')).toMatchObject({ kind: 'value', answer: '1' });
+      expect(solveProblem('Solve for x: 3x + 7 = 22')).toMatchObject({ kind: 'solutions', answer: 'x = 5' });
+      expect(solveProblem('Simplify 2(x + 3) - x')).toMatchObject({ kind: 'expression', answer: 'x + 6' });
+    });
+
+    it('should leave word problems alone', () => {
+      expect(solveProblem('Sam ate 3/4 of a pizza. How much is left?')).toBeNull();
+      expect(solveProblem('A train travels 240 miles in 4 hours. How fast is it?')).toBeNull();
+    });
+  });
+
+  describe('verifyAnswer', () => {
+    it('should catch a wrong generated answer', () => {
+      expect(verifyAnswer('What is 3/4 + 1/4?', '1/2')).toMatchObject({
+        verifiable: true,
+        correct: false,
+        computed: '1',
+      });
+    });
+  });
+
+  describe('checkStatement', () => {
+    it('should check arithmetic claims', () => {
+      expect(checkStatement('Is 3/4 + 1/4 = 1/2 right?')).toMatchObject({ correct: false, left: '1', right: '1/2' });
+      expect(checkStatement('so 2 + 2 = 4')).toMatchObject({ correct: true });
+      expect(checkStatement('3x + 7 = 22')).toBeNull();
+    });
+  });
+});
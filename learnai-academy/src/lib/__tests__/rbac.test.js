@@ -0,0 +1,221 @@
+import {
+  authorize,
+  loadPrincipal,
+  studentScope,
+  normalizeRole,
+  roleHasPermission,
+  ROLES,
+  PERMISSIONS,
+} from '../rbac';
+import prisma from '../prisma';
+
+// Mock Prisma
+jest.mock('../prisma', () => ({
+  __esModule: true,
+  default: {
+    user: {
+      findUnique: jest.fn(),
+    },
+    student: {
+      findUnique: jest.fn(),
+    },
+    team_members: {
+      findFirst: jest.fn(),
+    },
+    teams: {
+      findUnique: jest.fn(),
+    },
+    learningSession: {
+      findUnique: jest.fn(),
+    },
+    authSession: {
+      findUnique: jest.fn(),
+    },
+  },
+}));
+
+const principal = (role, overrides = {}) => ({ userId: `${role}-user`, role, tenantId: null, ...overrides });
+
+// A student at school-1, which is in district-1
+const student = {
+  userId: 'student-user',
+  parentId: 'parent-user',
+  user: { tenantId: 'school-1', tenants: { districtId: 'district-1' } },
+};
+
+describe('permissions', () => {
+  it('should read stored role names as roles', () => {
+    expect(normalizeRole('teacher')).toBe(ROLES.TEACHER);
+    expect(normalizeRole('ADMIN')).toBe(ROLES.PLATFORM_ADMIN);
+    expect(normalizeRole('user', true)).toBe(ROLES.PLATFORM_ADMIN);
+    expect(normalizeRole('user')).toBeNull();
+  });
+
+  it('should grant each role only its own permissions', () => {
+    expect(roleHasPermission(ROLES.STUDENT, PERMISSIONS.LEARNING_PARTICIPATE)).toBe(true);
+    expect(roleHasPermission(ROLES.STUDENT, PERMISSIONS.STUDENT_DELETE)).toBe(false);
+    expect(roleHasPermission(ROLES.PARENT, PERMISSIONS.STUDENT_DELETE)).toBe(true);
+    expect(roleHasPermission(ROLES.TEACHER, PERMISSIONS.CLASS_MANAGE)).toBe(true);
+    expect(roleHasPermission(ROLES.TEACHER, PERMISSIONS.MEMORY_MANAGE)).toBe(false);
+    expect(roleHasPermission(ROLES.SCHOOL_ADMIN, PERMISSIONS.USER_DELETE)).toBe(false);
+    expect(roleHasPermission(ROLES.DISTRICT_ADMIN, PERMISSIONS.USER_DELETE)).toBe(true);
+    expect(roleHasPermission(ROLES.DISTRICT_ADMIN, PERMISSIONS.PROMPT_MANAGE)).toBe(false);
+    expect(roleHasPermission(ROLES.PLATFORM_ADMIN, PERMISSIONS.PROMPT_MANAGE)).toBe(true);
+    expect(roleHasPermission(null, PERMISSIONS.CONTENT_READ)).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.student.findUnique.mockResolvedValue(student);
+    prisma.team_members.findFirst.mockResolvedValue(null);
+  });
+
+  it('should check the permission when there is no record', async () => {
+    expect(await authorize(principal(ROLES.STUDENT), PERMISSIONS.CONTENT_READ)).toBe(true);
+    expect(await authorize(principal(ROLES.STUDENT), PERMISSIONS.AI_COSTS_READ)).toBe(false);
+    expect(await authorize(null, PERMISSIONS.CONTENT_READ)).toBe(false);
+  });
+
+  it('should let a student and their parent act on the student, but not another parent', async () => {
+    const resource = { studentId: 'student-1' };
+
+    expect(await authorize(principal(ROLES.STUDENT, { userId: 'student-user' }), PERMISSIONS.PROGRESS_READ, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.PARENT, { userId: 'parent-user' }), PERMISSIONS.STUDENT_UPDATE, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.PARENT, { userId: 'other-parent' }), PERMISSIONS.PROGRESS_READ, resource)).toBe(false);
+  });
+
+  it('should let a teacher read only students in a class they teach', async () => {
+    const teacher = principal(ROLES.TEACHER, { userId: 'teacher-user' });
+
+    expect(await authorize(teacher, PERMISSIONS.PROGRESS_READ, { studentId: 'student-1' })).toBe(false);
+
+    prisma.team_members.findFirst.mockResolvedValue({ id: 'membership-1' });
+    expect(await authorize(teacher, PERMISSIONS.PROGRESS_READ, { studentId: 'student-1' })).toBe(true);
+    expect(prisma.team_members.findFirst).toHaveBeenLastCalledWith(expect.objectContaining({
+      where: {
+        userId: 'student-user',
+        teams: {
+          OR: [
+            { ownerId: 'teacher-user' },
+            { team_members: { some: { userId: 'teacher-user', role: 'teacher' } } },
+          ],
+        },
+      },
+    }));
+
+    // Teachers can't update a student profile even in their class
+    expect(await authorize(teacher, PERMISSIONS.STUDENT_UPDATE, { studentId: 'student-1' })).toBe(false);
+  });
+
+  it('should limit school and district admins to their own schools', async () => {
+    const resource = { studentId: 'student-1' };
+
+    expect(await authorize(principal(ROLES.SCHOOL_ADMIN, { tenantId: 'school-1' }), PERMISSIONS.STUDENT_READ, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.SCHOOL_ADMIN, { tenantId: 'school-2' }), PERMISSIONS.STUDENT_READ, resource)).toBe(false);
+    expect(await authorize(principal(ROLES.DISTRICT_ADMIN, { tenantId: 'district-1' }), PERMISSIONS.STUDENT_DELETE, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.DISTRICT_ADMIN, { tenantId: 'district-2' }), PERMISSIONS.STUDENT_READ, resource)).toBe(false);
+  });
+
+  it('should let platform admins act on any record', async () => {
+    expect(await authorize(principal(ROLES.PLATFORM_ADMIN), PERMISSIONS.STUDENT_DELETE, { studentId: 'student-1' })).toBe(true);
+    expect(prisma.student.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('should deny a student that does not exist', async () => {
+    prisma.student.findUnique.mockResolvedValue(null);
+
+    expect(await authorize(principal(ROLES.PARENT, { userId: 'parent-user' }), PERMISSIONS.PROGRESS_READ, { studentId: 'missing' })).toBe(false);
+  });
+
+  it('should check a session through its student', async () => {
+    prisma.learningSession.findUnique.mockResolvedValue({ studentId: 'student-1' });
+
+    expect(await authorize(principal(ROLES.STUDENT, { userId: 'student-user' }), PERMISSIONS.LEARNING_PARTICIPATE, { sessionId: 'session-1' })).toBe(true);
+    expect(await authorize(principal(ROLES.STUDENT, { userId: 'someone-else' }), PERMISSIONS.LEARNING_PARTICIPATE, { sessionId: 'session-1' })).toBe(false);
+  });
+
+  it('should let class teachers and admins of the owner\'s school manage a class', async () => {
+    prisma.teams.findUnique.mockResolvedValue({
+      ownerId: 'owner-user',
+      team_members: [
+        { userId: 'co-teacher', role: 'teacher' },
+        { userId: 'student-user', role: 'member' },
+      ],
+      users: { tenantId: 'school-1', tenants: { districtId: 'district-1' } },
+    });
+    const resource = { classId: 'class-1' };
+
+    expect(await authorize(principal(ROLES.TEACHER, { userId: 'owner-user' }), PERMISSIONS.CLASS_MANAGE, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.TEACHER, { userId: 'co-teacher' }), PERMISSIONS.CLASS_MANAGE, resource)).toBe(true);
+    expect(await authorize(principal(ROLES.TEACHER, { userId: 'other-teacher' }), PERMISSIONS.CLASS_MANAGE, resource)).toBe(false);
+    expect(await authorize(principal(ROLES.SCHOOL_ADMIN, { tenantId: 'school-1' }), PERMISSIONS.CLASS_MANAGE, resource)).toBe(true);
+    // Class members who are students can't manage it
+    expect(await authorize(principal(ROLES.STUDENT, { userId: 'student-user' }), PERMISSIONS.CLASS_MANAGE, resource)).toBe(false);
+  });
+});
+
+describe('loadPrincipal', () => {
+  const activeSession = { userId: 'user-1', revokedAt: null, expiresAt: new Date(Date.now() + 60000) };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.authSession.findUnique.mockResolvedValue(activeSession);
+  });
+
+  it('should read the role from the account, not the token', async () => {
+    prisma.user.findUnique.mockResolvedValue({
+      id: 'user-1',
+      email: 'admin@example.com',
+      role: 'ADMIN',
+      is_admin: false,
+      tenantId: null,
+      tenants: null,
+    });
+
+    expect(await loadPrincipal({ userId: 'user-1', role: 'STUDENT', sid: 'session-1' })).toEqual({
+      userId: 'user-1',
+      email: 'admin@example.com',
+      role: ROLES.PLATFORM_ADMIN,
+      tenantId: null,
+      districtId: null,
+      sessionId: 'session-1',
+    });
+  });
+
+  it('should return null for a deleted account', async () => {
+    prisma.user.findUnique.mockResolvedValue(null);
+
+    expect(await loadPrincipal({ userId: 'gone', sid: 'session-1' })).toBeNull();
+    expect(await loadPrincipal(null)).toBeNull();
+  });
+
+  it('should refuse tokens whose session is revoked, expired, someone else\'s or missing', async () => {
+    prisma.user.findUnique.mockResolvedValue({ id: 'user-1', email: 'a@example.com', role: 'STUDENT', is_admin: false });
+
+    prisma.authSession.findUnique.mockResolvedValueOnce({ ...activeSession, revokedAt: new Date() });
+    expect(await loadPrincipal({ userId: 'user-1', sid: 'session-1' })).toBeNull();
+
+    prisma.authSession.findUnique.mockResolvedValueOnce({ ...activeSession, expiresAt: new Date(Date.now() - 1000) });
+    expect(await loadPrincipal({ userId: 'user-1', sid: 'session-1' })).toBeNull();
+
+    prisma.authSession.findUnique.mockResolvedValueOnce({ ...activeSession, userId: 'user-2' });
+    expect(await loadPrincipal({ userId: 'user-1', sid: 'session-1' })).toBeNull();
+
+    // Tokens from before sessions existed
+    expect(await loadPrincipal({ userId: 'user-1' })).toBeNull();
+  });
+});
+
+describe('studentScope', () => {
+  it('should list only the students each role may see', () => {
+    expect(studentScope(principal(ROLES.PARENT, { userId: 'parent-user' }))).toEqual({ parentId: 'parent-user' });
+    expect(studentScope(principal(ROLES.STUDENT, { userId: 'student-user' }))).toEqual({ userId: 'student-user' });
+    expect(studentScope(principal(ROLES.SCHOOL_ADMIN, { tenantId: 'school-1' }))).toEqual({ user: { tenantId: 'school-1' } });
+    expect(studentScope(principal(ROLES.PLATFORM_ADMIN))).toEqual({});
+    // An admin without a school sees nobody rather than everybody
+    expect(studentScope(principal(ROLES.SCHOOL_ADMIN))).toBeNull();
+    expect(studentScope(principal(null))).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  EDGE_TYPES,
+  findCycle,
+  cycleWithEdge,
+  ancestorsOf,
+  validateGraph,
+  toJSON,
+  fromJSON,
+  toGraphML,
+  fromGraphML,
+} from '../skillGraph';
+import { buildCurriculumGraph, CURRICULA } from '../curriculumGraph';
+
+const { PREREQUISITE, EXTENDS, RELATED } = EDGE_TYPES;
+
+const node = (key, extra = {}) => ({ key, subject: key.split(':')[0], name: key.split(':')[1], ...extra });
+
+const graph = {
+  nodes: [
+    node('math:division'),
+    node('math:fractions', { gradeLevel: 3, difficulty: 4, topicSlug: 'fractions-intro' }),
+    node('math:decimals'),
+    node('math:ratios', { description: 'Ratios & "rates" <6th grade>' }),
+  ],
+  edges: [
+    { from: 'math:division', to: 'math:fractions', type: PREREQUISITE },
+    { from: 'math:fractions', to: 'math:ratios', type: PREREQUISITE },
+    { from: 'math:fractions', to: 'math:decimals', type: EXTENDS },
+    { from: 'math:decimals', to: 'math:ratios', type: RELATED },
+  ],
+};
+
+describe('skillGraph', () => {
+  it('should find the cycle an edge would close, ignoring related edges', () => {
+    expect(findCycle(graph.edges)).toBeNull();
+    expect(cycleWithEdge(graph.edges, { from: 'math:ratios', to: 'math:division', type: PREREQUISITE }))
+      .toEqual(['math:ratios', 'math:division', 'math:fractions', 'math:ratios']);
+    expect(cycleWithEdge(graph.edges, { from: 'math:ratios', to: 'math:decimals', type: RELATED })).toBeNull();
+
+    const cyclic = [...graph.edges, { from: 'math:decimals', to: 'math:division', type: EXTENDS }];
+    expect(findCycle(cyclic)).toEqual(['math:division', 'math:fractions', 'math:decimals', 'math:division']);
+  });
+
+  it('should list ancestors nearest first', () => {
+    expect(ancestorsOf(graph.edges, 'math:ratios')).toEqual([
+      { key: 'math:fractions', depth: 1 },
+      { key: 'math:division', depth: 2 },
+    ]);
+    expect(ancestorsOf(graph.edges, 'math:ratios', { maxDepth: 1 })).toEqual([
+      { key: 'math:fractions', depth: 1 },
+    ]);
+  });
+
+  it('should report dangling edges, unknown types and cycles', () => {
+    expect(validateGraph(graph)).toEqual({ valid: true, errors: [], cycle: null });
+
+    const result = validateGraph({
+      nodes: graph.nodes,
+      edges: [
+        ...graph.edges,
+        { from: 'math:ratios', to: 'math:calculus', type: PREREQUISITE },
+        { from: 'math:ratios', to: 'math:division', type: 'needs' },
+        { from: 'math:ratios', to: 'math:fractions', type: EXTENDS },
+      ],
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(3);
+    expect(result.cycle).toEqual(['math:fractions', 'math:ratios', 'math:fractions']);
+  });
+
+  it('should round-trip through JSON and GraphML', () => {
+    const exported = toJSON(graph);
+    expect(fromJSON(JSON.stringify(exported))).toEqual(fromJSON(exported));
+
+    const xml = toGraphML(graph);
+    expect(xml).toContain('&quot;rates&quot; &lt;6th grade&gt;');
+    expect(fromGraphML(xml)).toEqual(fromJSON(exported));
+  });
+
+  it('should read GraphML from tools that number their keys', () => {
+    const xml = `<?xml version="1.0"?>
+      <graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+        <key id="d0" for="node" attr.name="name" attr.type="string"/>
+        <key id="d1" for="node" attr.name="gradeLevel" attr.type="int"/>
+        <graph edgedefault="directed">
+          <node id="science:cells"><data key="d0">Cells</data><data key="d1">6</data></node>
+          <node id="science:genetics"/>
+          <edge source="science:cells" target="science:genetics"/>
+        </graph>
+      </graphml>`;
+
+    const { nodes, edges } = fromGraphML(xml);
+
+    expect(nodes[0]).toMatchObject({ key: 'science:cells', subject: 'science', name: 'Cells', gradeLevel: 6 });
+    expect(nodes[1]).toMatchObject({ key: 'science:genetics', name: 'science:genetics', gradeLevel: null });
+    expect(edges).toEqual([{ from: 'science:cells', to: 'science:genetics', type: PREREQUISITE }]);
+    expect(() => fromGraphML('<graph/>')).toThrow('Not a GraphML document');
+  });
+
+  it('should build a valid graph covering every curriculum topic', () => {
+    const curriculumGraph = buildCurriculumGraph();
+    const topics = Object.values(CURRICULA).flatMap(curriculum =>
+      Object.values(curriculum).flatMap(band => band.topics)
+    );
+
+    expect(validateGraph(curriculumGraph).errors).toEqual([]);
+    expect(curriculumGraph.nodes).toHaveLength(topics.length);
+    expect(ancestorsOf(curriculumGraph.edges, 'math:ratios-proportions').map(a => a.key))
+      .toEqual(expect.arrayContaining(['math:fractions-intro', 'math:division-concepts']));
+  });
+});
@@ -350,10 +350,15 @@ export class AccessibilityManager {
 
   /**
    * Text-to-Speech
+   * @param {string} text - Text to speak
+   * @param {Object} options - { rate, pitch, volume, lang, onEnd, force }.
+   *   `force` speaks even with the textToSpeech setting off (voice-mode
+   *   sessions always speak their replies).
+   * @returns {SpeechSynthesisUtterance|null} The utterance, or null if nothing was spoken
    */
   speak(text, options = {}) {
-    if (!this.settings.textToSpeech || !this.speechSynthesis) {
-      return;
+    if ((!this.settings.textToSpeech && !options.force) || !this.speechSynthesis) {
+      return null;
     }
 
     // Cancel any ongoing speech
@@ -364,8 +369,13 @@ export class AccessibilityManager {
     utterance.pitch = options.pitch || this.settings.speechPitch;
     utterance.volume = options.volume || this.settings.speechVolume;
     utterance.lang = options.lang || this.settings.language;
+    if (options.onEnd) {
+      utterance.onend = options.onEnd;
+      utterance.onerror = options.onEnd;
+    }
 
     this.speechSynthesis.speak(utterance);
+    return utterance;
   }
 
   /**
@@ -377,6 +387,13 @@ export class AccessibilityManager {
     }
   }
 
+  /**
+   * Whether the browser can transcribe speech
+   */
+  isSpeechRecognitionSupported() {
+    return Boolean(this.speechRecognition);
+  }
+
   /**
    * Initialize speech recognition
    */
@@ -399,27 +416,59 @@ export class AccessibilityManager {
   }
 
   /**
-   * Start listening (Speech-to-Text)
+   * Start listening (Speech-to-Text). The callback gets the whole
+   * transcript once recognition ends, so with `continuous` (push-to-talk)
+   * a child can pause mid-sentence without being cut off.
+   * @param {Function} callback - (transcript, confidence) => void
+   * @param {Object} options - { lang, continuous, onEnd, onError, force }.
+   *   `force` listens even with the speechToText setting off.
+   * @returns {boolean} Whether listening started
    */
-  startListening(callback) {
-    if (!this.settings.speechToText || !this.speechRecognition) {
-      return;
+  startListening(callback, options = {}) {
+    const recognition = this.speechRecognition;
+    if ((!this.settings.speechToText && !options.force) || !recognition) {
+      return false;
     }
 
-    this.speechRecognition.onresult = (event) => {
-      const transcript = event.results[0][0].transcript;
-      callback(transcript);
+    const results = [];
+    recognition.continuous = Boolean(options.continuous);
+    recognition.lang = options.lang || this.settings.language;
+
+    recognition.onresult = (event) => {
+      for (let i = event.resultIndex || 0; i < event.results.length; i++) {
+        if (event.results[i].isFinal !== false) {
+          results.push(event.results[i][0]);
+        }
+      }
     };
 
-    this.speechRecognition.onerror = (event) => {
+    recognition.onerror = (event) => {
       console.error('Speech recognition error:', event.error);
+      options.onError?.(event.error);
+    };
+
+    recognition.onend = () => {
+      if (results.length > 0) {
+        const transcript = results.map(result => result.transcript.trim()).join(' ');
+        const confidence = results.reduce((sum, result) => sum + (result.confidence || 0), 0) / results.length;
+        callback(transcript, confidence);
+      }
+      options.onEnd?.();
     };
 
-    this.speechRecognition.start();
+    try {
+      recognition.start();
+      return true;
+    } catch (error) {
+      // Already listening
+      console.error('Speech recognition error:', error);
+      return false;
+    }
   }
 
   /**
-   * Stop listening
+   * Stop listening. Whatever was heard so far is still passed to the
+   * startListening callback.
    */
   stopListening() {
     if (this.speechRecognition) {
@@ -808,5 +857,3 @@ readingAssistant.highlightReading('This is a sample text for reading', document.
 const shortcuts = accessibility.getKeyboardShortcuts();
 console.log('Available shortcuts:', shortcuts);
 */
-
-export { AccessibilityManager, ReadingAssistant, KeyboardNavigationManager };
@@ -139,11 +139,36 @@ export async function unlockAccount(identifier) {
   await clearFailedAttempts(identifier);
 }
 
+/**
+ * Manually lock an account (admin function)
+ * Callers should also revoke the account's sessions (lib/authSessions.js)
+ * so it is signed out everywhere, not just kept from signing in.
+ * @param {string} identifier - Email or userId
+ * @param {number} duration - Lock duration in milliseconds
+ * @returns {Promise<{locked: boolean, unlockAt: Date}>}
+ */
+export async function lockAccount(identifier, duration = LOCKOUT_CONFIG.LOCKOUT_DURATION) {
+  const lockKey = `lockout:${identifier}`;
+  const lockedUntil = Date.now() + duration;
+
+  await cacheService.set(
+    lockKey,
+    JSON.stringify({ lockedUntil }),
+    Math.ceil(duration / 1000)
+  );
+
+  return {
+    locked: true,
+    unlockAt: new Date(lockedUntil),
+  };
+}
+
 export default {
   checkAccountLockout,
   recordFailedAttempt,
   clearFailedAttempts,
   unlockAccount,
+  lockAccount,
   LOCKOUT_CONFIG,
 };
 
@@ -14,7 +14,7 @@
  * Ensures every student gets homework that's perfectly suited to their needs.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Homework types
 const HOMEWORK_TYPES = {
@@ -284,7 +284,7 @@ export class GapAnalyzer {
  */
 export class AdaptiveHomeworkGenerator {
   constructor(apiKey, storageKey = 'homework_assignments') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.adaptiveHomework' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.assignments = this.loadAssignments();
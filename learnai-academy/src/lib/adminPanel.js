@@ -20,89 +20,16 @@
  * Essential for institutional management and operations.
  */
 
-// User roles
-const ROLES = {
-  SUPER_ADMIN: 'super_admin',
-  DISTRICT_ADMIN: 'district_admin',
-  SCHOOL_ADMIN: 'school_admin',
-  TEACHER: 'teacher',
-  STUDENT: 'student',
-  PARENT: 'parent',
-  SUPPORT: 'support',
-};
-
-// Permissions
-const PERMISSIONS = {
-  // User management
-  CREATE_USER: 'create_user',
-  READ_USER: 'read_user',
-  UPDATE_USER: 'update_user',
-  DELETE_USER: 'delete_user',
-  MANAGE_ROLES: 'manage_roles',
-
-  // Content management
-  CREATE_CONTENT: 'create_content',
-  EDIT_CONTENT: 'edit_content',
-  DELETE_CONTENT: 'delete_content',
-  MODERATE_CONTENT: 'moderate_content',
-
-  // Class management
-  CREATE_CLASS: 'create_class',
-  MANAGE_CLASS: 'manage_class',
-  DELETE_CLASS: 'delete_class',
-
-  // System management
-  VIEW_ANALYTICS: 'view_analytics',
-  MANAGE_SETTINGS: 'manage_settings',
-  VIEW_LOGS: 'view_logs',
-  MANAGE_INTEGRATIONS: 'manage_integrations',
-
-  // Data management
-  EXPORT_DATA: 'export_data',
-  IMPORT_DATA: 'import_data',
-  DELETE_DATA: 'delete_data',
-};
-
-// Role permissions mapping
-const ROLE_PERMISSIONS = {
-  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
-  [ROLES.DISTRICT_ADMIN]: [
-    PERMISSIONS.CREATE_USER,
-    PERMISSIONS.READ_USER,
-    PERMISSIONS.UPDATE_USER,
-    PERMISSIONS.DELETE_USER,
-    PERMISSIONS.CREATE_CLASS,
-    PERMISSIONS.MANAGE_CLASS,
-    PERMISSIONS.VIEW_ANALYTICS,
-    PERMISSIONS.MANAGE_SETTINGS,
-    PERMISSIONS.VIEW_LOGS,
-    PERMISSIONS.EXPORT_DATA,
-    PERMISSIONS.IMPORT_DATA,
-  ],
-  [ROLES.SCHOOL_ADMIN]: [
-    PERMISSIONS.CREATE_USER,
-    PERMISSIONS.READ_USER,
-    PERMISSIONS.UPDATE_USER,
-    PERMISSIONS.CREATE_CLASS,
-    PERMISSIONS.MANAGE_CLASS,
-    PERMISSIONS.VIEW_ANALYTICS,
-    PERMISSIONS.EXPORT_DATA,
-  ],
-  [ROLES.TEACHER]: [
-    PERMISSIONS.READ_USER,
-    PERMISSIONS.CREATE_CONTENT,
-    PERMISSIONS.EDIT_CONTENT,
-    PERMISSIONS.MANAGE_CLASS,
-    PERMISSIONS.VIEW_ANALYTICS,
-  ],
-  [ROLES.STUDENT]: [PERMISSIONS.READ_USER],
-  [ROLES.PARENT]: [PERMISSIONS.READ_USER],
-  [ROLES.SUPPORT]: [
-    PERMISSIONS.READ_USER,
-    PERMISSIONS.VIEW_ANALYTICS,
-    PERMISSIONS.VIEW_LOGS,
-  ],
-};
+// Roles and permissions are shared with the server (lib/permissions.js);
+// the API enforces them, this panel only mirrors them
+import {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  normalizeRole,
+  roleHasPermission,
+} from './permissions.js';
 
 // User status
 const USER_STATUS = {
@@ -223,11 +150,7 @@ export class AdminPanelManager {
       throw new Error('User not found');
     }
 
-    if (
-      user.role !== ROLES.SUPER_ADMIN &&
-      user.role !== ROLES.DISTRICT_ADMIN &&
-      user.role !== ROLES.SCHOOL_ADMIN
-    ) {
+    if (!ADMIN_ROLES.includes(normalizeRole(user.role))) {
       throw new Error('Insufficient permissions');
     }
 
@@ -245,8 +168,7 @@ export class AdminPanelManager {
     const user = this.data.users[userId];
     if (!user) return false;
 
-    const rolePermissions = ROLE_PERMISSIONS[user.role] || [];
-    return rolePermissions.includes(permission);
+    return roleHasPermission(normalizeRole(user.role), permission);
   }
 
   /**
@@ -262,7 +184,7 @@ export class AdminPanelManager {
    * Create user
    */
   createUser(adminId, userData) {
-    this.requirePermission(adminId, PERMISSIONS.CREATE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_CREATE);
 
     const userId = `user_${Date.now()}`;
 
@@ -292,7 +214,7 @@ export class AdminPanelManager {
    * Update user
    */
   updateUser(adminId, userId, updates) {
-    this.requirePermission(adminId, PERMISSIONS.UPDATE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_UPDATE);
 
     const user = this.data.users[userId];
     if (!user) {
@@ -329,7 +251,7 @@ export class AdminPanelManager {
    * Delete user
    */
   deleteUser(adminId, userId) {
-    this.requirePermission(adminId, PERMISSIONS.DELETE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_DELETE);
 
     const user = this.data.users[userId];
     if (!user) {
@@ -356,7 +278,7 @@ export class AdminPanelManager {
    * Suspend user
    */
   suspendUser(adminId, userId, reason) {
-    this.requirePermission(adminId, PERMISSIONS.UPDATE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_UPDATE);
 
     const user = this.data.users[userId];
     if (!user) {
@@ -382,7 +304,7 @@ export class AdminPanelManager {
    * Reactivate user
    */
   reactivateUser(adminId, userId) {
-    this.requirePermission(adminId, PERMISSIONS.UPDATE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_UPDATE);
 
     const user = this.data.users[userId];
     if (!user) {
@@ -406,7 +328,7 @@ export class AdminPanelManager {
    * Get users
    */
   getUsers(adminId, filters = {}) {
-    this.requirePermission(adminId, PERMISSIONS.READ_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_READ);
 
     let users = Object.values(this.data.users);
 
@@ -443,7 +365,7 @@ export class AdminPanelManager {
    * Get user by ID
    */
   getUser(adminId, userId) {
-    this.requirePermission(adminId, PERMISSIONS.READ_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_READ);
 
     const user = this.data.users[userId];
     if (!user) {
@@ -457,7 +379,7 @@ export class AdminPanelManager {
    * Bulk create users
    */
   bulkCreateUsers(adminId, usersData) {
-    this.requirePermission(adminId, PERMISSIONS.CREATE_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_CREATE);
 
     const created = [];
     const errors = [];
@@ -487,7 +409,7 @@ export class AdminPanelManager {
    * Create school
    */
   createSchool(adminId, schoolData) {
-    this.requirePermission(adminId, PERMISSIONS.MANAGE_SETTINGS);
+    this.requirePermission(adminId, PERMISSIONS.SETTINGS_MANAGE);
 
     const schoolId = `school_${Date.now()}`;
 
@@ -515,7 +437,7 @@ export class AdminPanelManager {
    * Create district
    */
   createDistrict(adminId, districtData) {
-    this.requirePermission(adminId, PERMISSIONS.MANAGE_SETTINGS);
+    this.requirePermission(adminId, PERMISSIONS.SETTINGS_MANAGE);
 
     const districtId = `district_${Date.now()}`;
 
@@ -541,7 +463,7 @@ export class AdminPanelManager {
    * Update settings
    */
   updateSettings(adminId, category, settings) {
-    this.requirePermission(adminId, PERMISSIONS.MANAGE_SETTINGS);
+    this.requirePermission(adminId, PERMISSIONS.SETTINGS_MANAGE);
 
     if (!this.data.settings[category]) {
       throw new Error('Invalid settings category');
@@ -564,7 +486,7 @@ export class AdminPanelManager {
    * Get settings
    */
   getSettings(adminId, category = null) {
-    this.requirePermission(adminId, PERMISSIONS.MANAGE_SETTINGS);
+    this.requirePermission(adminId, PERMISSIONS.SETTINGS_MANAGE);
 
     if (category) {
       return this.data.settings[category];
@@ -577,7 +499,7 @@ export class AdminPanelManager {
    * Get analytics overview
    */
   getAnalyticsOverview(adminId, scope = {}) {
-    this.requirePermission(adminId, PERMISSIONS.VIEW_ANALYTICS);
+    this.requirePermission(adminId, PERMISSIONS.ANALYTICS_READ);
 
     const users = Object.values(this.data.users);
 
@@ -615,7 +537,7 @@ export class AdminPanelManager {
    * Get audit logs
    */
   getAuditLogs(adminId, filters = {}) {
-    this.requirePermission(adminId, PERMISSIONS.VIEW_LOGS);
+    this.requirePermission(adminId, PERMISSIONS.AUDIT_LOG_READ);
 
     let logs = [...this.data.auditLog];
 
@@ -668,7 +590,7 @@ export class AdminPanelManager {
    * Export data
    */
   exportData(adminId, dataType, filters = {}) {
-    this.requirePermission(adminId, PERMISSIONS.EXPORT_DATA);
+    this.requirePermission(adminId, PERMISSIONS.DATA_EXPORT);
 
     let data = [];
 
@@ -706,7 +628,7 @@ export class AdminPanelManager {
    * Import data
    */
   importData(adminId, dataType, data) {
-    this.requirePermission(adminId, PERMISSIONS.IMPORT_DATA);
+    this.requirePermission(adminId, PERMISSIONS.DATA_IMPORT);
 
     const imported = [];
     const errors = [];
@@ -739,7 +661,7 @@ export class AdminPanelManager {
    * Get system health
    */
   getSystemHealth(adminId) {
-    this.requirePermission(adminId, PERMISSIONS.MANAGE_SETTINGS);
+    this.requirePermission(adminId, PERMISSIONS.SETTINGS_MANAGE);
 
     return {
       status: 'healthy',
@@ -765,7 +687,7 @@ export class AdminPanelManager {
    * Search across all entities
    */
   globalSearch(adminId, query) {
-    this.requirePermission(adminId, PERMISSIONS.READ_USER);
+    this.requirePermission(adminId, PERMISSIONS.USER_READ);
 
     const results = {
       users: [],
@@ -805,15 +727,14 @@ export class PermissionManager {
    * Get role permissions
    */
   static getRolePermissions(role) {
-    return ROLE_PERMISSIONS[role] || [];
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
   }
 
   /**
    * Check if role has permission
    */
   static roleHasPermission(role, permission) {
-    const permissions = ROLE_PERMISSIONS[role] || [];
-    return permissions.includes(permission);
+    return roleHasPermission(normalizeRole(role), permission);
   }
 
   /**
@@ -13,7 +13,8 @@
  * This creates deep engagement through personalized AI companionship - truly revolutionary in ed-tech.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
+import { apiFetch } from '@/lib/clientAuth';
 
 // Companion personality profiles by grade level
 const PERSONALITY_PROFILES = {
@@ -145,7 +146,7 @@ const CELEBRATION_TEMPLATES = {
  */
 export class AICompanion {
   constructor(apiKey, storageKey = 'ai_companion') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.aiCompanion' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.memoryStore = this.loadMemory();
@@ -222,6 +223,29 @@ export class AICompanion {
 
     memory.totalInteractions++;
     this.saveMemory();
+
+    // The tutor reads student memory on the server, so keep it in step
+    this.syncDetail(studentId, category, detail);
+  }
+
+  /**
+   * Send a remembered detail to the student's server-side memory
+   * (POST /api/students/[id]/memory). Best effort: the local copy is kept
+   * either way.
+   */
+  async syncDetail(studentId, category, detail) {
+    if (typeof fetch === 'undefined') return;
+
+    try {
+      await apiFetch(`/api/students/${studentId}/memory`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ kind: 'COMPANION', category, detail }),
+      });
+    } catch (error) {
+      console.error('Error syncing companion memory:', error);
+    }
   }
 
   /**
@@ -4,7 +4,7 @@
  * This creates truly personalized, never-repeating educational content
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 /**
  * Content generation templates
@@ -82,10 +82,8 @@ Make it hands-on and engaging.`,
  */
 export class AIContentGenerator {
   constructor(apiKey) {
-    if (!apiKey) {
-      throw new Error('Anthropic API key is required');
-    }
-    this.client = new Anthropic({ apiKey });
+    // Without a key the gateway falls back to the next configured provider
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.aiContentGenerator' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.generationCache = new Map();
   }
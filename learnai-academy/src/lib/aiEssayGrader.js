@@ -15,7 +15,7 @@
  * Powered by Claude Sonnet 4.5 for nuanced understanding of student writing.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Essay types and their rubrics
 const ESSAY_TYPES = {
@@ -103,7 +103,7 @@ const SKILL_AREAS = {
  */
 export class AIEssayGrader {
   constructor(apiKey, storageKey = 'essay_submissions') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.aiEssayGrader' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.submissions = this.loadSubmissions();
@@ -634,7 +634,7 @@ Provide specific feedback on how to fix issues.`;
  */
 export class WritingCoach {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.aiEssayGrader' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
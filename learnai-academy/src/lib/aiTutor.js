@@ -3,14 +3,14 @@
  * Real-time intelligent tutoring that helps students when they're stuck
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 /**
  * AI Tutor - Provides personalized, real-time help to students
  */
 export class AITutor {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.aiTutor' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.conversationHistory = new Map(); // studentId -> conversation
   }
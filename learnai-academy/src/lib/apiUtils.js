@@ -2,6 +2,8 @@
  * Utility functions for safe API response handling
  */
 
+import { apiFetch } from './clientAuth';
+
 /**
  * Safely parse JSON from a Response object
  * @param {Response} response - The fetch Response object
@@ -44,7 +46,7 @@ export async function safeJsonParse(response) {
  */
 export async function safeFetch(url, options = {}) {
   try {
-    const response = await fetch(url, {
+    const response = await apiFetch(url, {
       ...options,
       credentials: options.credentials || 'include',
     });
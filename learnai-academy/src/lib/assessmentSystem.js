@@ -1,8 +1,19 @@
 /**
  * Adaptive Assessment and Testing System
  * Comprehensive testing with adaptive difficulty, diagnostics, and detailed analytics
+ *
+ * Adaptive assessments are computerized adaptive tests (lib/irt.js): each
+ * question is the most informative one at the student's current ability
+ * estimate, and the test ends once that estimate is precise enough.
  */
 
+import { estimateAbility, selectNextItem, itemFromDifficultyLevel } from './irt.js';
+
+// Adaptive tests end when the ability estimate's standard error is below
+// this, after at least MIN_ADAPTIVE_QUESTIONS
+const ADAPTIVE_SE_THRESHOLD = 0.3;
+const MIN_ADAPTIVE_QUESTIONS = 5;
+
 /**
  * Assessment types
  */
@@ -353,8 +364,11 @@ export class AssessmentSession {
       questions = this.shuffleArray(questions);
     }
 
-    // Limit to totalQuestions
-    questions = questions.slice(0, this.assessment.totalQuestions);
+    // Limit to totalQuestions. Adaptive tests keep the whole pool to choose
+    // from and stop at totalQuestions at most.
+    if (!this.assessment.adaptiveDifficulty) {
+      questions = questions.slice(0, this.assessment.totalQuestions);
+    }
 
     // Shuffle options if enabled
     if (this.assessment.shuffleOptions) {
@@ -386,11 +400,12 @@ export class AssessmentSession {
       // Scoring
       score: 0,
       correctAnswers: 0,
-      totalQuestions: questions.length,
+      totalQuestions: Math.min(questions.length, this.assessment.totalQuestions || questions.length),
 
       // Adaptive
       currentDifficulty: 5,
       difficultyAdjustments: [],
+      ability: estimateAbility([]),
 
       // Flags
       flaggedQuestions: [],
@@ -452,14 +467,72 @@ export class AssessmentSession {
 
     this.saveData();
 
+    const nextQuestion = this.getNextQuestion(sessionId);
+
     return {
       correct: isCorrect,
       explanation: this.assessment.showFeedback ? question.explanation : null,
       currentScore: session.score,
-      questionsRemaining: session.totalQuestions - Object.keys(session.answers).length,
+      questionsRemaining: nextQuestion
+        ? session.totalQuestions - Object.keys(session.answers).length
+        : 0,
+      nextQuestion,
     };
   }
 
+  /**
+   * Next question to ask, or null when the assessment is done. Adaptive
+   * assessments pick the most informative unanswered question and finish
+   * early once the ability estimate is precise enough.
+   */
+  getNextQuestion(sessionId) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const answered = Object.keys(session.answers).length;
+    if (answered >= session.totalQuestions) {
+      return null;
+    }
+
+    if (!this.assessment.adaptiveDifficulty) {
+      return session.questions.find((q) => !session.answers[q.id]) || null;
+    }
+
+    if (answered >= MIN_ADAPTIVE_QUESTIONS && session.ability.standardError < ADAPTIVE_SE_THRESHOLD) {
+      return null;
+    }
+
+    const next = selectNextItem(
+      session.ability.theta,
+      session.questions.map((q) => ({ id: q.id, item: this.itemParameters(q), question: q })),
+      Object.keys(session.answers)
+    );
+
+    return next ? next.question : null;
+  }
+
+  /**
+   * IRT parameters for a question: calibrated (question.irt) when there
+   * are, otherwise from its 1-10 difficulty rating
+   */
+  itemParameters(question) {
+    return question.irt || itemFromDifficultyLevel(question.difficulty, 10);
+  }
+
+  /**
+   * Questions that count towards the score: all of them, or for an
+   * adaptive test only those that were asked
+   */
+  scoredQuestions(session) {
+    if (!this.assessment.adaptiveDifficulty) {
+      return session.questions;
+    }
+    return session.questions.filter((q) => session.answers[q.id]);
+  }
+
   /**
    * Check answer correctness
    */
@@ -495,16 +568,27 @@ export class AssessmentSession {
   }
 
   /**
-   * Adjust difficulty adaptively
+   * Re-estimate ability from every answer so far. currentDifficulty is the
+   * estimate on the 1-10 difficulty scale.
    */
   adjustDifficulty(session, isCorrect, questionDifficulty) {
-    const adjustment = isCorrect ? 0.5 : -0.5;
-    session.currentDifficulty = Math.max(1, Math.min(10, session.currentDifficulty + adjustment));
+    session.ability = estimateAbility(
+      this.scoredQuestions(session).map((q) => ({
+        item: this.itemParameters(q),
+        correct: session.answers[q.id].correct,
+      }))
+    );
+
+    // Inverse of itemFromDifficultyLevel: theta -2..2 onto 1..10
+    const level = 1 + ((session.ability.theta + 2) / 4) * 9;
+    session.currentDifficulty = Math.round(Math.max(1, Math.min(10, level)) * 10) / 10;
 
     session.difficultyAdjustments.push({
       questionDifficulty,
       wasCorrect: isCorrect,
       newDifficulty: session.currentDifficulty,
+      theta: session.ability.theta,
+      standardError: session.ability.standardError,
       timestamp: new Date().toISOString(),
     });
   }
@@ -540,8 +624,8 @@ export class AssessmentSession {
     session.endTime = new Date().toISOString();
 
     // Calculate final metrics
-    const totalPossiblePoints = session.questions.reduce((sum, q) => sum + (q.points || 1), 0);
-    const percentage = (session.score / totalPossiblePoints) * 100;
+    const totalPossiblePoints = this.scoredQuestions(session).reduce((sum, q) => sum + (q.points || 1), 0);
+    const percentage = totalPossiblePoints > 0 ? (session.score / totalPossiblePoints) * 100 : 0;
     const passed = percentage >= this.assessment.passingScore;
 
     session.percentage = percentage;
@@ -552,7 +636,7 @@ export class AssessmentSession {
 
     // Time analysis
     const totalTime = session.timeSpent;
-    const avgTimePerQuestion = totalTime / session.totalQuestions;
+    const avgTimePerQuestion = totalTime / Math.max(1, this.scoredQuestions(session).length);
 
     session.metrics = {
       totalTime,
@@ -586,7 +670,7 @@ export class AssessmentSession {
   analyzeTopicPerformance(session) {
     const topicStats = {};
 
-    session.questions.forEach((question) => {
+    this.scoredQuestions(session).forEach((question) => {
       const topic = question.topic || 'General';
 
       if (!topicStats[topic]) {
@@ -649,6 +733,7 @@ export class AssessmentSession {
         passed: session.passed,
         correctAnswers: session.correctAnswers,
         totalQuestions: session.totalQuestions,
+        ability: this.assessment.adaptiveDifficulty ? session.ability : null,
       },
       metrics: session.metrics,
       topicPerformance: session.topicPerformance,
@@ -218,6 +218,33 @@ export const auditSecurity = {
   },
 };
 
+/**
+ * Log content moderation events
+ */
+export const auditModeration = {
+  decision: async (userId, sessionId, decision) => {
+    await logAuditEvent({
+      userId,
+      action: 'CONTENT_MODERATION',
+      resourceType: 'AI_MESSAGE',
+      resourceId: sessionId,
+      metadata: decision,
+      severity: decision.action === 'allow' ? 'info' : decision.action === 'escalate' ? 'error' : 'warn',
+    });
+  },
+
+  safeguardingAlert: async (userId, sessionId, studentId, delivered) => {
+    await logAuditEvent({
+      userId,
+      action: 'SAFEGUARDING_ALERT',
+      resourceType: 'STUDENT',
+      resourceId: studentId,
+      metadata: { sessionId, delivered },
+      severity: 'error',
+    });
+  },
+};
+
 /**
  * Get client IP and user agent from request
  */
@@ -237,6 +264,7 @@ export default {
   auditAuth,
   auditData,
   auditSecurity,
+  auditModeration,
   getRequestMetadata,
 };
 
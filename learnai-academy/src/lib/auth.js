@@ -1,6 +1,14 @@
 import jwt from 'jsonwebtoken';
 import { cookies } from 'next/headers';
 
+export const ACCESS_COOKIE = 'auth_token';
+export const REFRESH_COOKIE = 'refresh_token';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Access tokens are short-lived; sessions last through refresh tokens.
+// Not configurable, so an old JWT_EXPIRES_IN=7d can't bring back week-long tokens
+const ACCESS_TOKEN_EXPIRES_IN = '15m';
+
 /**
  * Verify JWT token from request
  * Supports both httpOnly cookies (preferred) and Authorization header (legacy)
@@ -26,7 +34,7 @@ export async function verifyToken(request) {
     // First, try to get token from httpOnly cookie (secure method)
     try {
       const cookieStore = await cookies();
-      token = cookieStore.get('auth_token')?.value;
+      token = cookieStore.get(ACCESS_COOKIE)?.value;
     } catch (error) {
       // cookies() not available in this context, fall back to header
       // This can happen during build or in certain edge cases
@@ -57,9 +65,12 @@ export async function verifyToken(request) {
 }
 
 /**
- * Generate JWT token
+ * Generate a short-lived access token
  *
- * @param {Object} payload - Token payload (userId, email, role)
+ * Sign-ins get one alongside a refresh token (see lib/authSessions.js);
+ * clients refresh it through /api/auth/refresh.
+ *
+ * @param {Object} payload - Token payload (userId, email, role, sid)
  * @returns {string} JWT token
  */
 export function generateToken(payload) {
@@ -71,7 +82,7 @@ export function generateToken(payload) {
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
   );
 }
 
@@ -92,30 +103,76 @@ export async function requireAuth(request) {
   return user;
 }
 
+function cookieOptions(persistent, maxAge) {
+  return {
+    httpOnly: true, // Prevent XSS attacks
+    secure: process.env.NODE_ENV === 'production' || process.env.VERCEL === '1', // HTTPS only in production
+    sameSite: 'lax', // CSRF protection
+    // Without maxAge the cookie ends with the browser session
+    ...(persistent && { maxAge }),
+  };
+}
+
 /**
- * Set authentication cookie
+ * Set the access and refresh token cookies
+ *
+ * The refresh token is only sent to /api/auth routes.
  *
  * @param {NextResponse} response - Next.js response object
- * @param {string} token - JWT token to store
+ * @param {Object} tokens
+ * @param {string} tokens.accessToken - JWT from generateToken
+ * @param {string} tokens.refreshToken - Refresh token from lib/authSessions.js
+ * @param {Date} tokens.expiresAt - When the session ends
+ * @param {boolean} tokens.persistent - Keep the cookies after the browser closes
  */
-export function setAuthCookie(response, token) {
-  response.cookies.set('auth_token', token, {
-    httpOnly: true, // Prevent XSS attacks
-    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-    sameSite: 'lax', // CSRF protection
-    maxAge: 60 * 60 * 24 * 7, // 7 days
+export function setAuthCookies(response, { accessToken, refreshToken, expiresAt, persistent = true }) {
+  const maxAge = Math.max(0, Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000));
+
+  response.cookies.set(ACCESS_COOKIE, accessToken, {
+    ...cookieOptions(persistent, maxAge),
     path: '/', // Available throughout the app
   });
+  response.cookies.set(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(persistent, maxAge),
+    path: REFRESH_COOKIE_PATH,
+  });
 
   return response;
 }
 
 /**
- * Clear authentication cookie
+ * Clear the access and refresh token cookies
+ * CRITICAL: Must use the same path and secure/sameSite settings they were set with
  *
  * @param {NextResponse} response - Next.js response object
  */
-export function clearAuthCookie(response) {
-  response.cookies.delete('auth_token');
+export function clearAuthCookies(response) {
+  response.cookies.set(ACCESS_COOKIE, '', {
+    ...cookieOptions(true, 0),
+    path: '/',
+  });
+  response.cookies.set(REFRESH_COOKIE, '', {
+    ...cookieOptions(true, 0),
+    path: REFRESH_COOKIE_PATH,
+  });
+
   return response;
 }
+
+/**
+ * Read the refresh token cookie
+ *
+ * @param {Request} request - Next.js request object
+ * @returns {Promise<string|null>}
+ */
+export async function getRefreshToken(request) {
+  try {
+    const cookieStore = await cookies();
+    const token = cookieStore.get(REFRESH_COOKIE)?.value;
+    if (token) return token;
+  } catch (error) {
+    // cookies() not available in this context, fall back to the request
+  }
+
+  return request?.cookies?.get?.(REFRESH_COOKIE)?.value || null;
+}
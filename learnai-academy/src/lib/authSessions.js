@@ -0,0 +1,242 @@
+import { createHash, randomBytes } from 'crypto';
+import prisma from './prisma.js';
+import { generateToken } from './auth.js';
+import { ROLES, normalizeRole } from './permissions.js';
+import { auditSecurity } from './auditLogger.js';
+
+/**
+ * Auth Sessions
+ *
+ * Each sign-in is an AuthSession: one per device or browser. The client
+ * holds a short-lived access token (JWT carrying the session ID as `sid`)
+ * and a refresh token. Refreshing uses up the refresh token and issues a
+ * new pair. A used refresh token coming back means it was copied, so the
+ * whole session is revoked.
+ *
+ * Revoking a session (logout, "sign out" on a device, admin forced logout,
+ * account lockout) stops its access token on the next request, since
+ * loadPrincipal (lib/rbac.js) checks the session each time.
+ *
+ * Schema: prisma/schema-auth-sessions.prisma
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const SESSION_POLICIES = {
+  // Students share school Chromebooks: their sign-in ends with the browser
+  // and after an hour without activity
+  [ROLES.STUDENT]: { idleTimeoutMs: HOUR, maxAgeMs: 12 * HOUR, persistent: false },
+  default: { idleTimeoutMs: 14 * DAY, maxAgeMs: 30 * DAY, persistent: true },
+};
+
+// A used refresh token presented again this soon is another tab that
+// refreshed at the same moment, not a stolen copy
+export const REUSE_GRACE_MS = 10 * 1000;
+
+// refreshSession result when another request has just rotated the token:
+// the session is fine and the new cookies are on their way to the browser
+export const REFRESH_RETRY = Object.freeze({ retry: true });
+
+export const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  USER: 'revoked_by_user',
+  ADMIN: 'revoked_by_admin',
+  ACCOUNT_LOCKED: 'account_locked',
+  TOKEN_REUSE: 'refresh_token_reuse',
+  IDLE: 'idle',
+};
+
+const USER_SELECT = { id: true, email: true, role: true, is_admin: true };
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function sessionPolicy(role, isAdmin = false) {
+  return SESSION_POLICIES[normalizeRole(role, isAdmin)] || SESSION_POLICIES.default;
+}
+
+/**
+ * Issue the next refresh token for a session, with a matching access token
+ */
+async function issueTokens(session, user) {
+  const refreshToken = randomBytes(32).toString('base64url');
+
+  await prisma.refreshToken.create({
+    data: { sessionId: session.id, tokenHash: hashToken(refreshToken) },
+  });
+
+  return {
+    session,
+    accessToken: generateToken({ userId: user.id, email: user.email, role: user.role, sid: session.id }),
+    refreshToken,
+    expiresAt: session.expiresAt,
+    persistent: sessionPolicy(user.role, user.is_admin).persistent,
+  };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User record (id, email, role, is_admin)
+ * @param {Object} metadata - { ipAddress, userAgent } from getRequestMetadata
+ * @returns {Promise<Object>} { session, accessToken, refreshToken, expiresAt, persistent }
+ */
+export async function createSession(user, { ipAddress = null, userAgent = null } = {}) {
+  const { maxAgeMs } = sessionPolicy(user.role, user.is_admin);
+
+  const session = await prisma.authSession.create({
+    data: {
+      userId: user.id,
+      ipAddress,
+      userAgent,
+      expiresAt: new Date(Date.now() + maxAgeMs),
+    },
+  });
+
+  return issueTokens(session, user);
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @param {string} refreshToken - From the refresh token cookie
+ * @param {Object} metadata - { ipAddress, userAgent }
+ * @returns {Promise<Object|null>} Same as createSession; REFRESH_RETRY when
+ *   another request used the token a moment ago; or null when the token
+ *   can't be used and the user must sign in again
+ */
+export async function refreshSession(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+  if (!refreshToken) return null;
+
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: { include: { user: { select: USER_SELECT } } } },
+  });
+  if (!record) return null;
+
+  const { session } = record;
+  const now = Date.now();
+
+  if (session.revokedAt || session.expiresAt.getTime() <= now || !session.user) {
+    return null;
+  }
+
+  if (record.usedAt) {
+    if (now - record.usedAt.getTime() <= REUSE_GRACE_MS) {
+      return REFRESH_RETRY;
+    }
+    await revokeSession(session.id, REVOKE_REASONS.TOKEN_REUSE);
+    await auditSecurity.suspiciousActivity(session.userId, 'refresh_token_reuse', ipAddress, userAgent);
+    return null;
+  }
+
+  const { idleTimeoutMs } = sessionPolicy(session.user.role, session.user.is_admin);
+  if (now - session.lastUsedAt.getTime() > idleTimeoutMs) {
+    await revokeSession(session.id, REVOKE_REASONS.IDLE);
+    return null;
+  }
+
+  // Only one request may use the token, even if two arrive together
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date(now) },
+  });
+  if (count === 0) return REFRESH_RETRY;
+
+  const updated = await prisma.authSession.update({
+    where: { id: session.id },
+    data: {
+      lastUsedAt: new Date(now),
+      ...(ipAddress && { ipAddress }),
+      ...(userAgent && { userAgent }),
+    },
+  });
+
+  return issueTokens(updated, session.user);
+}
+
+/**
+ * Revoke one session
+ * @param {string} sessionId
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {Object} options
+ * @param {string} options.userId - Only revoke it if it is this user's
+ * @returns {Promise<boolean>} false when no such active session exists
+ */
+export async function revokeSession(sessionId, reason, { userId } = {}) {
+  const { count } = await prisma.authSession.updateMany({
+    where: { id: sessionId, revokedAt: null, ...(userId && { userId }) },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count > 0;
+}
+
+/**
+ * End the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - From the refresh token cookie
+ * @returns {Promise<string|null>} The session's user ID, or null when there was none
+ */
+export async function endSession(refreshToken) {
+  if (!refreshToken) return null;
+
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { session: { select: { id: true, userId: true } } },
+  });
+  if (!record) return null;
+
+  await revokeSession(record.session.id, REVOKE_REASONS.LOGOUT);
+  return record.session.userId;
+}
+
+/**
+ * Revoke every session of a user, signing them out everywhere
+ * @param {string} userId
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Keep this session (the current device)
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  const { count } = await prisma.authSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return count;
+}
+
+/**
+ * A user's signed-in devices, most recently used first
+ * @param {string} userId
+ */
+export async function listSessions(userId) {
+  return prisma.authSession.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+}
+
+export default {
+  createSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  SESSION_POLICIES,
+  REVOKE_REASONS,
+};
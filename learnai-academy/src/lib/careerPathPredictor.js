@@ -15,7 +15,7 @@
  * Connects current learning to future opportunities, providing motivation and direction.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Career categories
 const CAREER_CATEGORIES = {
@@ -112,7 +112,7 @@ const CAREER_DATABASE = {
  */
 export class CareerPathPredictor {
   constructor(apiKey, storageKey = 'career_profiles') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.careerPathPredictor' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.profiles = this.loadProfiles();
@@ -18,7 +18,7 @@
  * Essential for live teaching and remote learning.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Session status
 const SESSION_STATUS = {
@@ -62,10 +62,7 @@ export class LiveClassroomManager {
     this.storageKey = storageKey;
     this.sessions = this.loadSessions();
     this.activeSession = null;
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      dangerouslyAllowBrowser: true,
-    });
+    this.client = llmGateway.messagesClient({ agentType: 'lib.classroomManagement' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
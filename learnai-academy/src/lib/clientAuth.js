@@ -3,6 +3,76 @@
  * Handles CSRF tokens and secure API requests
  */
 
+// Auth routes answer 401 for bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+// How long to wait for another tab's refresh to land its new cookies
+const REFRESH_RETRY_DELAY_MS = 1000;
+
+// Dispatched on window when a refresh fails, so AuthProvider can sign out
+export const SESSION_ENDED_EVENT = 'auth:session-ended';
+
+let refreshPromise = null;
+
+/**
+ * Exchange the refresh token cookie for new tokens. Concurrent callers
+ * share one request, since each refresh token can only be used once.
+ * A 409 means another tab refreshed with the same token a moment ago; its
+ * new cookies are shared with this tab, so the caller can retry.
+ * @returns {Promise<boolean>} false when the session is over
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = fetch('/api/auth/refresh', {
+      method: 'POST',
+      credentials: 'include',
+    })
+      .then(async (response) => {
+        if (response.status === 409) {
+          await new Promise(resolve => setTimeout(resolve, REFRESH_RETRY_DELAY_MS));
+          return true;
+        }
+        return response.ok;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+function apiPath(input) {
+  if (typeof window === 'undefined') return null;
+  if (typeof input !== 'string' && !(input instanceof URL)) return null;
+  const url = new URL(input, window.location.origin);
+  return url.origin === window.location.origin && url.pathname.startsWith('/api/') ? url.pathname : null;
+}
+
+/**
+ * fetch() for our own API. Access tokens are short-lived: when a call
+ * comes back 401, refresh the session and retry it once. Requests made
+ * with a Request object can't be replayed, so they are passed through.
+ * @param {string|URL|Request} input
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(input, init) {
+  const response = await fetch(input, init);
+  const path = apiPath(input);
+
+  if (response.status !== 401 || !path || NO_REFRESH_PATHS.includes(path)) {
+    return response;
+  }
+
+  if (!(await refreshSession())) {
+    window.dispatchEvent(new Event(SESSION_ENDED_EVENT));
+    return response;
+  }
+
+  return fetch(input, init);
+}
+
 /**
  * Get CSRF token from cookies
  */
@@ -60,7 +130,7 @@ export async function authFetch(url, options = {}) {
     headers['x-csrf-token'] = csrfToken;
   }
 
-  return fetch(url, {
+  return apiFetch(url, {
     ...options,
     headers,
     credentials: 'include', // Important: send cookies with request
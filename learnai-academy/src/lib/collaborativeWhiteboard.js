@@ -15,7 +15,7 @@
  * Enables true collaborative problem-solving and visual learning.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Drawing tools available on the whiteboard
 const TOOLS = {
@@ -751,7 +751,7 @@ export class DrawingEngine {
  */
 export class ShapeRecognizer {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.collaborativeWhiteboard' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
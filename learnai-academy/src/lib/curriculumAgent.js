@@ -3,14 +3,14 @@
  * Generates, stores, and continuously optimizes curriculum for each grade level
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 /**
  * Curriculum Agent - AI-powered curriculum generator and optimizer
  */
 export class CurriculumAgent {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.curriculumAgent' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
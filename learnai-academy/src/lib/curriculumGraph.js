@@ -0,0 +1,219 @@
+/**
+ * Curriculum Skill Graph
+ * The starting skill graph: every topic in curriculumData, for every
+ * subject and grade band, with the prerequisites between them
+ *
+ * Seeded into the database by knowledgeGraphService.seedFromCurriculum
+ * and edited there afterwards; this file is only the starting point.
+ */
+
+import {
+  MATH_CURRICULUM,
+  READING_CURRICULUM,
+  SCIENCE_CURRICULUM,
+  ENGLISH_CURRICULUM,
+  CODING_CURRICULUM,
+} from './curriculumData';
+import { EDGE_TYPES, nodeKey } from './skillGraph';
+
+export const CURRICULA = {
+  math: MATH_CURRICULUM,
+  reading: READING_CURRICULUM,
+  science: SCIENCE_CURRICULUM,
+  english: ENGLISH_CURRICULUM,
+  coding: CODING_CURRICULUM,
+};
+
+// Subject slugs that share another subject's curriculum
+const SUBJECT_ALIASES = {
+  writing: 'english',
+  programming: 'coding',
+};
+
+/**
+ * Graph subject for a subject slug
+ */
+export function graphSubject(slug) {
+  const subject = String(slug || '').toLowerCase();
+  return SUBJECT_ALIASES[subject] || subject;
+}
+
+const { PREREQUISITE, EXTENDS, RELATED } = EDGE_TYPES;
+
+// [from, to, type]: for prerequisites, `from` is learned first
+const CURRICULUM_EDGES = [
+  // Math
+  ['math:counting-1-20', 'math:simple-addition', PREREQUISITE],
+  ['math:counting-1-20', 'math:simple-subtraction', PREREQUISITE],
+  ['math:counting-1-20', 'math:measurement-basics', PREREQUISITE],
+  ['math:simple-addition', 'math:simple-subtraction', RELATED],
+  ['math:simple-addition', 'math:multiplication-tables', PREREQUISITE],
+  ['math:simple-subtraction', 'math:division-concepts', PREREQUISITE],
+  ['math:multiplication-tables', 'math:division-concepts', PREREQUISITE],
+  ['math:division-concepts', 'math:fractions-intro', PREREQUISITE],
+  ['math:fractions-intro', 'math:decimals', PREREQUISITE],
+  ['math:shapes-colors', 'math:geometry-advanced', PREREQUISITE],
+  ['math:measurement-basics', 'math:geometry-advanced', PREREQUISITE],
+  ['math:multiplication-tables', 'math:geometry-advanced', PREREQUISITE],
+  ['math:simple-subtraction', 'math:integers-operations', PREREQUISITE],
+  ['math:fractions-intro', 'math:ratios-proportions', PREREQUISITE],
+  ['math:decimals', 'math:ratios-proportions', RELATED],
+  ['math:integers-operations', 'math:algebraic-expressions', PREREQUISITE],
+  ['math:algebraic-expressions', 'math:linear-equations', PREREQUISITE],
+  ['math:ratios-proportions', 'math:linear-equations', RELATED],
+  ['math:fractions-intro', 'math:statistics-probability', PREREQUISITE],
+  ['math:decimals', 'math:statistics-probability', PREREQUISITE],
+  ['math:linear-equations', 'math:algebra-fundamentals', EXTENDS],
+  ['math:algebra-fundamentals', 'math:advanced-algebra', PREREQUISITE],
+  ['math:geometry-advanced', 'math:geometry-proofs', EXTENDS],
+  ['math:algebra-fundamentals', 'math:geometry-proofs', PREREQUISITE],
+  ['math:advanced-algebra', 'math:precalculus', PREREQUISITE],
+  ['math:geometry-proofs', 'math:precalculus', PREREQUISITE],
+  ['math:precalculus', 'math:calculus', PREREQUISITE],
+
+  // Reading
+  ['reading:letter-sounds', 'reading:sight-words', PREREQUISITE],
+  ['reading:letter-sounds', 'reading:simple-stories', PREREQUISITE],
+  ['reading:sight-words', 'reading:simple-stories', PREREQUISITE],
+  ['reading:simple-stories', 'reading:story-elements', PREREQUISITE],
+  ['reading:simple-stories', 'reading:fluency-building', PREREQUISITE],
+  ['reading:fluency-building', 'reading:comprehension-strategies', PREREQUISITE],
+  ['reading:sight-words', 'reading:vocabulary-building', EXTENDS],
+  ['reading:story-elements', 'reading:literary-elements', EXTENDS],
+  ['reading:comprehension-strategies', 'reading:literary-elements', PREREQUISITE],
+  ['reading:comprehension-strategies', 'reading:informational-text', PREREQUISITE],
+  ['reading:comprehension-strategies', 'reading:close-reading', PREREQUISITE],
+  ['reading:vocabulary-building', 'reading:close-reading', PREREQUISITE],
+  ['reading:literary-elements', 'reading:literary-analysis', EXTENDS],
+  ['reading:close-reading', 'reading:literary-analysis', PREREQUISITE],
+  ['reading:informational-text', 'reading:nonfiction-analysis', EXTENDS],
+  ['reading:close-reading', 'reading:nonfiction-analysis', PREREQUISITE],
+  ['reading:close-reading', 'reading:critical-thinking', PREREQUISITE],
+  ['reading:literary-analysis', 'reading:literary-criticism', EXTENDS],
+  ['reading:literary-analysis', 'reading:classic-literature', PREREQUISITE],
+  ['reading:nonfiction-analysis', 'reading:rhetorical-analysis', EXTENDS],
+  ['reading:critical-thinking', 'reading:rhetorical-analysis', PREREQUISITE],
+  ['reading:literary-criticism', 'reading:advanced-interpretation', PREREQUISITE],
+  ['reading:classic-literature', 'reading:advanced-interpretation', PREREQUISITE],
+
+  // Science
+  ['science:five-senses', 'science:living-things', RELATED],
+  ['science:living-things', 'science:life-cycles', PREREQUISITE],
+  ['science:five-senses', 'science:matter-changes', PREREQUISITE],
+  ['science:simple-machines', 'science:forces-motion', PREREQUISITE],
+  ['science:weather-seasons', 'science:earth-systems', PREREQUISITE],
+  ['science:forces-motion', 'science:energy-forms', RELATED],
+  ['science:life-cycles', 'science:cell-biology', PREREQUISITE],
+  ['science:matter-changes', 'science:chemistry-basics', PREREQUISITE],
+  ['science:forces-motion', 'science:physics-mechanics', EXTENDS],
+  ['science:energy-forms', 'science:physics-mechanics', PREREQUISITE],
+  ['science:earth-systems', 'science:earth-science', EXTENDS],
+  ['science:cell-biology', 'science:genetics-evolution', PREREQUISITE],
+  ['science:life-cycles', 'science:genetics-evolution', PREREQUISITE],
+  ['science:genetics-evolution', 'science:advanced-biology', PREREQUISITE],
+  ['science:chemistry-basics', 'science:chemistry', EXTENDS],
+  ['science:physics-mechanics', 'science:physics', EXTENDS],
+  ['science:earth-science', 'science:environmental-science', PREREQUISITE],
+  ['science:advanced-biology', 'science:environmental-science', RELATED],
+
+  // English
+  ['english:writing-letters', 'english:simple-sentences', PREREQUISITE],
+  ['english:simple-sentences', 'english:grammar-basics', PREREQUISITE],
+  ['english:simple-sentences', 'english:creative-writing-basics', PREREQUISITE],
+  ['english:simple-sentences', 'english:paragraph-writing', PREREQUISITE],
+  ['english:grammar-basics', 'english:grammar-mechanics', EXTENDS],
+  ['english:creative-writing-basics', 'english:narrative-writing', EXTENDS],
+  ['english:paragraph-writing', 'english:narrative-writing', PREREQUISITE],
+  ['english:paragraph-writing', 'english:persuasive-writing', PREREQUISITE],
+  ['english:paragraph-writing', 'english:research-writing', PREREQUISITE],
+  ['english:paragraph-writing', 'english:essay-writing', PREREQUISITE],
+  ['english:grammar-mechanics', 'english:essay-writing', PREREQUISITE],
+  ['english:persuasive-writing', 'english:argumentative-writing', EXTENDS],
+  ['english:essay-writing', 'english:argumentative-writing', PREREQUISITE],
+  ['english:narrative-writing', 'english:creative-writing-advanced', EXTENDS],
+  ['english:research-writing', 'english:research-papers', EXTENDS],
+  ['english:essay-writing', 'english:research-papers', PREREQUISITE],
+  ['english:grammar-mechanics', 'english:grammar-advanced', EXTENDS],
+  ['english:essay-writing', 'english:analytical-writing', PREREQUISITE],
+  ['english:research-papers', 'english:research-papers-advanced', EXTENDS],
+  ['english:argumentative-writing', 'english:persuasive-rhetoric', EXTENDS],
+  ['english:creative-writing-advanced', 'english:creative-writing-mastery', EXTENDS],
+  ['english:analytical-writing', 'english:college-writing', PREREQUISITE],
+  ['english:research-papers-advanced', 'english:college-writing', PREREQUISITE],
+  ['english:grammar-advanced', 'english:college-writing', PREREQUISITE],
+
+  // Coding
+  ['coding:sequencing-basics', 'coding:basic-directions', PREREQUISITE],
+  ['coding:sequencing-basics', 'coding:loops-intro', PREREQUISITE],
+  ['coding:basic-directions', 'coding:visual-coding', PREREQUISITE],
+  ['coding:visual-coding', 'coding:scratch-basics', PREREQUISITE],
+  ['coding:loops-intro', 'coding:loops-conditions', EXTENDS],
+  ['coding:scratch-basics', 'coding:loops-conditions', PREREQUISITE],
+  ['coding:scratch-basics', 'coding:variables-data', PREREQUISITE],
+  ['coding:loops-conditions', 'coding:game-development', PREREQUISITE],
+  ['coding:variables-data', 'coding:game-development', PREREQUISITE],
+  ['coding:loops-conditions', 'coding:debugging', PREREQUISITE],
+  ['coding:loops-conditions', 'coding:python-basics', PREREQUISITE],
+  ['coding:variables-data', 'coding:python-basics', PREREQUISITE],
+  ['coding:python-basics', 'coding:functions-parameters', PREREQUISITE],
+  ['coding:python-basics', 'coding:lists-arrays', PREREQUISITE],
+  ['coding:variables-data', 'coding:web-development-intro', PREREQUISITE],
+  ['coding:game-development', 'coding:app-development', RELATED],
+  ['coding:variables-data', 'coding:app-development', PREREQUISITE],
+  ['coding:functions-parameters', 'coding:advanced-python', PREREQUISITE],
+  ['coding:lists-arrays', 'coding:advanced-python', PREREQUISITE],
+  ['coding:lists-arrays', 'coding:algorithms-ds', PREREQUISITE],
+  ['coding:functions-parameters', 'coding:algorithms-ds', PREREQUISITE],
+  ['coding:web-development-intro', 'coding:web-development-advanced', EXTENDS],
+  ['coding:functions-parameters', 'coding:web-development-advanced', PREREQUISITE],
+  ['coding:app-development', 'coding:mobile-development', EXTENDS],
+  ['coding:algorithms-ds', 'coding:cs-principles', PREREQUISITE],
+
+  // Across subjects
+  ['reading:letter-sounds', 'english:writing-letters', RELATED],
+  ['reading:story-elements', 'english:narrative-writing', PREREQUISITE],
+  ['reading:nonfiction-analysis', 'english:argumentative-writing', RELATED],
+  ['reading:rhetorical-analysis', 'english:persuasive-rhetoric', PREREQUISITE],
+  ['reading:literary-analysis', 'english:analytical-writing', PREREQUISITE],
+  ['math:counting-1-20', 'coding:sequencing-basics', RELATED],
+  ['math:algebraic-expressions', 'coding:variables-data', RELATED],
+  ['math:algebraic-expressions', 'science:physics-mechanics', PREREQUISITE],
+  ['math:ratios-proportions', 'science:chemistry-basics', PREREQUISITE],
+  ['math:statistics-probability', 'science:genetics-evolution', PREREQUISITE],
+  ['math:precalculus', 'science:physics', PREREQUISITE],
+  ['math:advanced-algebra', 'science:chemistry', PREREQUISITE],
+  ['math:advanced-algebra', 'coding:algorithms-ds', RELATED],
+];
+
+/**
+ * Topic name without its leading emoji
+ */
+function plainName(name) {
+  return name.replace(/^[^\p{L}\p{N}]+/u, '').trim();
+}
+
+/**
+ * The starting graph built from curriculumData
+ * @returns {Object} { nodes, edges }
+ */
+export function buildCurriculumGraph() {
+  const nodes = [];
+  for (const [subject, curriculum] of Object.entries(CURRICULA)) {
+    for (const band of Object.values(curriculum)) {
+      for (const topic of band.topics || []) {
+        nodes.push({
+          key: nodeKey(subject, topic.id),
+          subject,
+          name: plainName(topic.name),
+          description: topic.description || null,
+          gradeLevel: band.grades[0],
+          difficulty: topic.difficulty || null,
+          topicSlug: topic.id,
+        });
+      }
+    }
+  }
+
+  const edges = CURRICULUM_EDGES.map(([from, to, type]) => ({ from, to, type }));
+  return { nodes, edges };
+}
@@ -27,7 +27,6 @@ const envSchema = z.object({
     .string()
     .min(32, 'JWT_SECRET must be at least 32 characters for security')
     .describe('Secret key for JWT token signing'),
-  JWT_EXPIRES_IN: z.string().default('7d').describe('JWT token expiration time'),
 
   // Redis Cache
   REDIS_URL: z
@@ -113,6 +112,7 @@ export function checkOptionalEnv() {
   const aiProviders = {
     'GROQ_API_KEY': 'Groq',
     'OPENAI_API_KEY': 'OpenAI',
+    'ANTHROPIC_API_KEY': 'Anthropic',
     'GEMINI_API_KEY': 'Google Gemini',
     'KIMI_API_KEY': 'Kimi (Moonshot AI)',
   };
@@ -141,8 +141,10 @@ export function checkOptionalEnv() {
   }
 
   if (process.env.NODE_ENV === 'production') {
-    if (availableProviders.length === 0) {
-      errors.push('At least one AI provider API key is required in production. Set one of: GROQ_API_KEY, OPENAI_API_KEY, GEMINI_API_KEY, or KIMI_API_KEY');
+    if (process.env.LLM_PROVIDER === 'mock') {
+      warnings.push('LLM_PROVIDER=mock - AI responses are canned fixtures');
+    } else if (availableProviders.length === 0) {
+      errors.push('At least one AI provider API key is required in production. Set one of: GROQ_API_KEY, OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, or KIMI_API_KEY (or LLM_PROVIDER=mock for demos)');
     } else {
       console.log(`✅ AI Providers configured: ${availableProviders.join(', ')}`);
     }
@@ -191,7 +193,6 @@ export function getEnvConfig() {
     databaseUrl: process.env.DATABASE_URL,
     redisUrl: process.env.REDIS_URL,
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
     // AI Provider API Keys
     groqApiKey: process.env.GROQ_API_KEY,
     openaiApiKey: process.env.OPENAI_API_KEY,
@@ -0,0 +1,304 @@
+/**
+ * FSRS Review Scheduling
+ * Free Spaced Repetition Scheduler (FSRS-5) for review cards
+ *
+ * - Each card has a stability (days until recall drops to 90%) and a
+ *   difficulty (1-10); both are updated after every review from how the
+ *   student rated their recall: Again, Hard, Good or Easy
+ * - The chance of recalling a card falls off as a power curve of the
+ *   time since its last review, and the next review is scheduled for when
+ *   it reaches the requested retention
+ * - The 19 weights can be fitted to a student's own review log, so
+ *   students who forget faster are shown cards sooner
+ *
+ * Pure functions only: used by the review scheduler service and by the
+ * client's local review cards, so both schedule the same way.
+ */
+
+// Default FSRS-5 weights, fitted on a large public review dataset
+export const DEFAULT_WEIGHTS = [
+  0.40255, 1.18385, 3.173, 15.69105, 7.1949, 0.5345, 1.4604, 0.0046, 1.54575,
+  0.1192, 1.01925, 1.9395, 0.11, 0.29605, 2.2698, 0.2315, 2.9898, 0.51655, 0.6621,
+];
+
+// Chance of recall at which a card comes due
+export const DEFAULT_RETENTION = 0.9;
+export const MAX_INTERVAL_DAYS = 365;
+// A forgotten card is shown again this soon
+export const RELEARN_MINUTES = 10;
+
+export const RATINGS = {
+  AGAIN: 1,
+  HARD: 2,
+  GOOD: 3,
+  EASY: 4,
+};
+
+export const CARD_STATES = {
+  NEW: 'new',
+  LEARNING: 'learning',
+  REVIEW: 'review',
+  RELEARNING: 'relearning',
+};
+
+// Forgetting curve R(t) = (1 + FACTOR * t / S) ^ DECAY, chosen so R(S) = 0.9
+const DECAY = -0.5;
+const FACTOR = 19 / 81;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_STABILITY = 0.01;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Rating for a 0-5 recall quality (SM-2 scale) from older review data
+ */
+export function qualityToRating(quality) {
+  if (quality <= 2) return RATINGS.AGAIN;
+  if (quality === 3) return RATINGS.HARD;
+  if (quality === 4) return RATINGS.GOOD;
+  return RATINGS.EASY;
+}
+
+/**
+ * Chance of recall after elapsedDays for a card of the given stability
+ */
+export function retrievability(elapsedDays, stability) {
+  if (!(stability > 0)) return 0;
+  return (1 + FACTOR * Math.max(0, elapsedDays) / stability) ** DECAY;
+}
+
+/**
+ * Days until recall drops to the requested retention
+ */
+export function nextInterval(stability, requestRetention = DEFAULT_RETENTION) {
+  const days = (stability / FACTOR) * (requestRetention ** (1 / DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+}
+
+function initialDifficulty(weights, rating) {
+  return weights[4] - Math.exp(weights[5] * (rating - 1)) + 1;
+}
+
+function nextDifficulty(weights, difficulty, rating) {
+  const change = -weights[6] * (rating - 3);
+  // Changes shrink as difficulty nears 10, then drift back toward an Easy card's
+  const damped = difficulty + (change * (10 - difficulty)) / 9;
+  const reverted = weights[7] * initialDifficulty(weights, RATINGS.EASY) + (1 - weights[7]) * damped;
+  return clamp(reverted, 1, 10);
+}
+
+function recallStability(weights, difficulty, stability, recall, rating) {
+  const hardPenalty = rating === RATINGS.HARD ? weights[15] : 1;
+  const easyBonus = rating === RATINGS.EASY ? weights[16] : 1;
+  return stability * (
+    1 +
+    Math.exp(weights[8]) *
+      (11 - difficulty) *
+      stability ** -weights[9] *
+      (Math.exp(weights[10] * (1 - recall)) - 1) *
+      hardPenalty *
+      easyBonus
+  );
+}
+
+function forgetStability(weights, difficulty, stability, recall) {
+  const next = weights[11] *
+    difficulty ** -weights[12] *
+    ((stability + 1) ** weights[13] - 1) *
+    Math.exp(weights[14] * (1 - recall));
+  // Forgetting never makes a card more stable
+  return Math.min(next, stability);
+}
+
+function shortTermStability(weights, stability, rating) {
+  return stability * Math.exp(weights[17] * (rating - 3 + weights[18]));
+}
+
+/**
+ * A card that hasn't been reviewed yet, due now
+ */
+export function newCard(now = new Date()) {
+  return {
+    state: CARD_STATES.NEW,
+    stability: 0,
+    difficulty: 0,
+    reps: 0,
+    lapses: 0,
+    lastReviewedAt: null,
+    dueAt: new Date(now),
+  };
+}
+
+/**
+ * Days between a card's last review and now
+ */
+export function elapsedDaysSince(card, now = new Date()) {
+  if (!card.lastReviewedAt) return 0;
+  return Math.max(0, (new Date(now) - new Date(card.lastReviewedAt)) / DAY_MS);
+}
+
+/**
+ * Chance the student recalls the card now
+ */
+export function cardRetrievability(card, now = new Date()) {
+  if (card.state === CARD_STATES.NEW) return 0;
+  return retrievability(elapsedDaysSince(card, now), card.stability);
+}
+
+/**
+ * Memory state after a rating, without scheduling
+ */
+function nextMemoryState(weights, card, rating, elapsedDays) {
+  if (card.state === CARD_STATES.NEW) {
+    return {
+      stability: Math.max(MIN_STABILITY, weights[rating - 1]),
+      difficulty: clamp(initialDifficulty(weights, rating), 1, 10),
+    };
+  }
+
+  const difficulty = nextDifficulty(weights, card.difficulty, rating);
+
+  // A second look the same day says little about long-term memory
+  if (elapsedDays < 1) {
+    return {
+      stability: Math.max(MIN_STABILITY, shortTermStability(weights, card.stability, rating)),
+      difficulty,
+    };
+  }
+
+  const recall = retrievability(elapsedDays, card.stability);
+  const stability = rating === RATINGS.AGAIN
+    ? forgetStability(weights, card.difficulty, card.stability, recall)
+    : recallStability(weights, card.difficulty, card.stability, recall, rating);
+
+  return { stability: Math.max(MIN_STABILITY, stability), difficulty };
+}
+
+/**
+ * Review a card
+ * @param {Object} card - { state, stability, difficulty, reps, lapses, lastReviewedAt, dueAt }
+ * @param {number} rating - 1 (Again) to 4 (Easy)
+ * @param {Date} [now]
+ * @param {Object} [options] - { weights, requestRetention }
+ * @returns {Object} { card, log } - The updated card and the review's log entry
+ */
+export function reviewCard(card, rating, now = new Date(), options = {}) {
+  const { weights = DEFAULT_WEIGHTS, requestRetention = DEFAULT_RETENTION } = options;
+  if (!Object.values(RATINGS).includes(rating)) {
+    throw new Error(`Invalid rating: ${rating}`);
+  }
+
+  const reviewedAt = new Date(now);
+  const elapsedDays = elapsedDaysSince(card, reviewedAt);
+  const { stability, difficulty } = nextMemoryState(weights, card, rating, elapsedDays);
+
+  let state;
+  let dueAt;
+  let scheduledDays;
+  if (rating === RATINGS.AGAIN) {
+    state = card.state === CARD_STATES.REVIEW ? CARD_STATES.RELEARNING
+      : card.state === CARD_STATES.NEW ? CARD_STATES.LEARNING
+      : card.state;
+    scheduledDays = 0;
+    dueAt = new Date(reviewedAt.getTime() + RELEARN_MINUTES * 60 * 1000);
+  } else {
+    state = CARD_STATES.REVIEW;
+    scheduledDays = nextInterval(stability, requestRetention);
+    dueAt = new Date(reviewedAt.getTime() + scheduledDays * DAY_MS);
+  }
+
+  return {
+    card: {
+      ...card,
+      state,
+      stability,
+      difficulty,
+      reps: (card.reps || 0) + 1,
+      lapses: (card.lapses || 0) + (rating === RATINGS.AGAIN && card.state === CARD_STATES.REVIEW ? 1 : 0),
+      lastReviewedAt: reviewedAt,
+      dueAt,
+    },
+    log: {
+      rating,
+      state: card.state,
+      elapsedDays,
+      scheduledDays,
+      stability,
+      difficulty,
+      reviewedAt,
+    },
+  };
+}
+
+/**
+ * Average log loss of the predicted recall over a set of review histories.
+ * Each card's history is replayed from the start; every review at least a
+ * day after the previous one is a prediction to score.
+ * @param {Array} histories - One array per card of { rating, reviewedAt }, oldest first
+ * @param {Array} weights
+ * @returns {Object} { logLoss, predictions }
+ */
+export function logLoss(histories, weights = DEFAULT_WEIGHTS) {
+  let total = 0;
+  let predictions = 0;
+
+  for (const history of histories) {
+    let card = newCard();
+    for (const { rating, reviewedAt } of history) {
+      const elapsedDays = elapsedDaysSince(card, reviewedAt);
+      if (card.state !== CARD_STATES.NEW && elapsedDays >= 1) {
+        const recall = clamp(retrievability(elapsedDays, card.stability), 1e-6, 1 - 1e-6);
+        total -= rating === RATINGS.AGAIN ? Math.log(1 - recall) : Math.log(recall);
+        predictions++;
+      }
+      card = reviewCard(card, rating, reviewedAt, { weights }).card;
+    }
+  }
+
+  return { logLoss: predictions > 0 ? total / predictions : 0, predictions };
+}
+
+// Weights the optimizer adjusts: initial stabilities and the main recall
+// and forgetting terms. The rest need far more reviews than one student
+// has to fit reliably, so they stay at their defaults.
+const TUNED_WEIGHTS = [0, 1, 2, 3, 8, 11];
+const WEIGHT_BOUNDS = {
+  0: [0.01, 100], 1: [0.01, 100], 2: [0.01, 100], 3: [0.01, 100],
+  8: [0, 3], 11: [0.1, 5],
+};
+
+/**
+ * Fit weights to a student's review histories by coordinate search: each
+ * tuned weight is scaled up and down in turn, keeping changes that lower
+ * the log loss, with the step halved each round
+ * @param {Array} histories - As for logLoss
+ * @param {Object} [options] - { initial, rounds }
+ * @returns {Object} { weights, logLoss, predictions }
+ */
+export function optimizeWeights(histories, { initial = DEFAULT_WEIGHTS, rounds = 5 } = {}) {
+  let weights = [...initial];
+  let best = logLoss(histories, weights);
+  let step = 0.4;
+
+  for (let round = 0; round < rounds; round++) {
+    for (const index of TUNED_WEIGHTS) {
+      const [min, max] = WEIGHT_BOUNDS[index];
+      for (const scale of [1 + step, 1 / (1 + step)]) {
+        const candidate = [...weights];
+        candidate[index] = clamp(weights[index] * scale, min, max);
+        const result = logLoss(histories, candidate);
+        if (result.logLoss < best.logLoss) {
+          weights = candidate;
+          best = result;
+          break;
+        }
+      }
+    }
+    step /= 2;
+  }
+
+  return { weights, logLoss: best.logLoss, predictions: best.predictions };
+}
@@ -0,0 +1,226 @@
+/**
+ * Item Response Theory
+ * Two-parameter logistic (2PL) model for calibrating questions and
+ * estimating ability from answers
+ *
+ * - A question has a difficulty (b) and a discrimination (a): the chance
+ *   of a right answer is 1 / (1 + e^(-a(θ - b))) for a student of ability θ
+ * - Ability and difficulty share one scale, centered on the average
+ *   student (0) with most students between -2 and 2
+ * - Ability is estimated as the posterior mean over a grid (EAP) with a
+ *   standard normal prior, so it's defined even when every answer so far
+ *   is right or wrong, and comes with a standard error
+ *
+ * Pure functions only: used by the client AssessmentSession as well as
+ * the calibration and adaptive testing services.
+ */
+
+export const THETA_MIN = -4;
+export const THETA_MAX = 4;
+const THETA_STEP = 0.1;
+
+// Ability values the posterior is evaluated at, with the N(0, 1) prior
+const THETA_GRID = Array.from(
+  { length: Math.round((THETA_MAX - THETA_MIN) / THETA_STEP) + 1 },
+  (_, i) => THETA_MIN + i * THETA_STEP
+);
+const PRIOR = THETA_GRID.map(theta => Math.exp(-(theta * theta) / 2));
+
+export const DEFAULT_ITEM = { discrimination: 1, difficulty: 0 };
+
+// Calibrated parameters are kept inside these bounds; beyond them the
+// item says nothing useful and the fit is usually noise
+const DISCRIMINATION_BOUNDS = [0.2, 3];
+const DIFFICULTY_BOUNDS = [-4, 4];
+
+function clamp(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Chance of a right answer
+ * @param {number} theta - Ability
+ * @param {Object} item - { discrimination, difficulty }
+ */
+export function probability(theta, item) {
+  return 1 / (1 + Math.exp(-item.discrimination * (theta - item.difficulty)));
+}
+
+/**
+ * Fisher information: how much an answer to the item narrows the
+ * ability estimate, greatest where theta is near its difficulty
+ */
+export function information(theta, item) {
+  const p = probability(theta, item);
+  return item.discrimination * item.discrimination * p * (1 - p);
+}
+
+/**
+ * Item parameters for a question that hasn't been calibrated yet, from
+ * the difficulty it was written at
+ * @param {number} level - Author's difficulty rating
+ * @param {number} [scaleMax=5] - Top of the rating scale (1 is easiest)
+ */
+export function itemFromDifficultyLevel(level, scaleMax = 5) {
+  if (!Number.isFinite(level)) return { ...DEFAULT_ITEM };
+
+  // Map 1..scaleMax onto -2..2
+  const position = (level - 1) / Math.max(1, scaleMax - 1);
+  return { discrimination: DEFAULT_ITEM.discrimination, difficulty: clamp(position * 4 - 2, DIFFICULTY_BOUNDS) };
+}
+
+/**
+ * Ability estimate from answered items
+ * @param {Array} responses - [{ item: { discrimination, difficulty }, correct }]
+ * @returns {Object} { theta, standardError }
+ */
+export function estimateAbility(responses) {
+  const logPosterior = THETA_GRID.map((theta, i) => {
+    let total = Math.log(PRIOR[i]);
+    for (const { item, correct } of responses) {
+      const p = probability(theta, item);
+      total += Math.log(correct ? p : 1 - p);
+    }
+    return total;
+  });
+
+  // Shift before exponentiating so long tests don't underflow
+  const peak = Math.max(...logPosterior);
+  const weights = logPosterior.map(value => Math.exp(value - peak));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  const theta = THETA_GRID.reduce((sum, t, i) => sum + t * weights[i], 0) / totalWeight;
+  const variance = THETA_GRID.reduce((sum, t, i) => sum + (t - theta) ** 2 * weights[i], 0) / totalWeight;
+
+  return { theta, standardError: Math.sqrt(variance) };
+}
+
+/**
+ * The most informative item at the current ability estimate
+ * @param {number} theta
+ * @param {Array} items - [{ id, item: { discrimination, difficulty } }]
+ * @param {Set|Array} [exclude] - Ids already given
+ * @returns {Object|null} The chosen entry, or null if none are left
+ */
+export function selectNextItem(theta, items, exclude = []) {
+  const given = exclude instanceof Set ? exclude : new Set(exclude);
+
+  let best = null;
+  let bestInformation = -1;
+  for (const entry of items) {
+    if (given.has(entry.id)) continue;
+    const info = information(theta, entry.item);
+    if (info > bestInformation) {
+      best = entry;
+      bestInformation = info;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * One Newton step for an item's parameters given fixed abilities.
+ * Works in slope-intercept form (logit = aθ + c, c = -ab), where the fit
+ * is a logistic regression and always concave, with weak priors
+ * (a ~ N(1, 1), c ~ N(0, 2²)) so items everyone gets right or wrong don't
+ * run off to infinity.
+ */
+function updateItem(item, answers) {
+  const a = item.discrimination;
+  const c = -item.discrimination * item.difficulty;
+
+  // Gradient and (negated) Hessian of the log posterior in (a, c)
+  let ga = -(a - 1);
+  let gc = -c / 4;
+  let haa = 1;
+  let hcc = 1 / 4;
+  let hac = 0;
+
+  for (const { theta, correct } of answers) {
+    const p = 1 / (1 + Math.exp(-(a * theta + c)));
+    const residual = (correct ? 1 : 0) - p;
+    const w = p * (1 - p);
+
+    ga += residual * theta;
+    gc += residual;
+    haa += w * theta * theta;
+    hcc += w;
+    hac += w * theta;
+  }
+
+  // Newton step: (a, c) += H⁻¹ g
+  const determinant = haa * hcc - hac * hac;
+  const nextA = clamp(a + (hcc * ga - hac * gc) / determinant, DISCRIMINATION_BOUNDS);
+  const nextC = c + (haa * gc - hac * ga) / determinant;
+
+  return {
+    discrimination: nextA,
+    difficulty: clamp(-nextC / nextA, DIFFICULTY_BOUNDS),
+  };
+}
+
+/**
+ * Rescale abilities to mean 0 and standard deviation 1. Posterior means
+ * are pulled toward 0, and fitting items against them as they are would
+ * overstate discrimination and squeeze difficulties together.
+ */
+function standardize(abilities) {
+  const values = [...abilities.values()];
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  if (!(sd > 0)) return abilities;
+
+  return new Map([...abilities].map(([personId, theta]) => [personId, (theta - mean) / sd]));
+}
+
+/**
+ * Calibrate items from a matrix of answers by alternating between
+ * estimating abilities with the items fixed and fitting items with the
+ * abilities fixed
+ * @param {Array} responses - [{ personId, itemId, correct }]
+ * @param {Object} [options]
+ * @param {Map} [options.initial] - itemId -> starting parameters
+ * @param {number} [options.iterations=15]
+ * @returns {Object} { items: Map itemId -> { discrimination, difficulty, responses }, abilities: Map personId -> theta }
+ */
+export function calibrateItems(responses, { initial = new Map(), iterations = 15 } = {}) {
+  const byPerson = new Map();
+  const byItem = new Map();
+  for (const response of responses) {
+    if (!byPerson.has(response.personId)) byPerson.set(response.personId, []);
+    if (!byItem.has(response.itemId)) byItem.set(response.itemId, []);
+    byPerson.get(response.personId).push(response);
+    byItem.get(response.itemId).push(response);
+  }
+
+  const items = new Map(
+    [...byItem.keys()].map(itemId => [itemId, { ...(initial.get(itemId) || DEFAULT_ITEM) }])
+  );
+  let abilities = new Map();
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    abilities = standardize(new Map(
+      [...byPerson].map(([personId, answers]) => [
+        personId,
+        estimateAbility(answers.map(({ itemId, correct }) => ({ item: items.get(itemId), correct }))).theta,
+      ])
+    ));
+
+    for (const [itemId, answers] of byItem) {
+      let item = items.get(itemId);
+      const withAbility = answers.map(({ personId, correct }) => ({ theta: abilities.get(personId), correct }));
+      for (let step = 0; step < 3; step++) {
+        item = updateItem(item, withAbility);
+      }
+      items.set(itemId, item);
+    }
+  }
+
+  return {
+    items: new Map(
+      [...items].map(([itemId, item]) => [itemId, { ...item, responses: byItem.get(itemId).length }])
+    ),
+    abilities,
+  };
+}
@@ -11,8 +11,16 @@
  * - Personalized learning roadmaps
  *
  * Transforms abstract learning into a visual, gamified journey.
+ *
+ * The graph itself is the server's skill graph (/api/knowledge-graph),
+ * cached in localStorage. Until it has loaded, the curriculum's own graph
+ * (curriculumGraph.js) is used.
  */
 
+import { buildCurriculumGraph } from './curriculumGraph';
+import { GRAPH_FORMAT_VERSION, EDGE_TYPES, cycleWithEdge, prerequisitesOf } from './skillGraph';
+import { apiFetch } from './clientAuth';
+
 // Node types in the knowledge graph
 const NODE_TYPES = {
   CONCEPT: 'concept',
@@ -25,8 +33,9 @@ const NODE_TYPES = {
 
 // Relationship types between nodes
 const RELATIONSHIP_TYPES = {
-  PREREQUISITE: 'prerequisite', // Must learn A before B
-  RELATED: 'related', // A and B are connected
+  PREREQUISITE: EDGE_TYPES.PREREQUISITE, // Must learn A before B
+  RELATED: EDGE_TYPES.RELATED, // A and B are connected
+  EXTENDS: EDGE_TYPES.EXTENDS, // B takes A further
   ENABLES: 'enables', // A unlocks ability to do B
   REINFORCES: 'reinforces', // A strengthens understanding of B
   APPLIES_TO: 'applies_to', // A is used in B
@@ -137,13 +146,10 @@ export class KnowledgeGraph {
   loadGraph() {
     try {
       const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        const data = JSON.parse(stored);
-        data.nodes.forEach(nodeData => {
-          const node = new KnowledgeNode(nodeData.id, nodeData);
-          this.nodes.set(node.id, node);
-        });
-        this.edges = data.edges || [];
+      const data = stored ? JSON.parse(stored) : null;
+      // Graphs saved before the server graph have no version
+      if (data?.version === GRAPH_FORMAT_VERSION) {
+        this.setGraph(data);
       } else {
         this.initializeDefaultGraph();
       }
@@ -153,13 +159,52 @@ export class KnowledgeGraph {
     }
   }
 
+  /**
+   * Load the skill graph from the server, or one subject's part of it,
+   * and cache it
+   * @returns {Promise<boolean>} Whether it loaded
+   */
+  async loadFromServer(subject = null) {
+    try {
+      const query = subject ? `?subject=${encodeURIComponent(subject)}` : '';
+      const response = await apiFetch(`/api/knowledge-graph${query}`, { credentials: 'include' });
+      if (!response.ok) return false;
+
+      const data = await response.json();
+      this.setGraph(data);
+      this.saveGraph();
+      return true;
+    } catch (error) {
+      console.error('Error loading knowledge graph from server:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace the graph with { nodes, edges } in skill graph form
+   */
+  setGraph({ nodes = [], edges = [] }) {
+    this.nodes = new Map();
+    this.edges = edges.map(({ from, to, type }) => ({ id: `edge_${from}_${to}_${type}`, from, to, type }));
+
+    nodes.forEach(nodeData => {
+      const node = new KnowledgeNode(nodeData.key, {
+        type: NODE_TYPES.SKILL,
+        ...nodeData,
+        prerequisites: prerequisitesOf(this.edges, nodeData.key),
+      });
+      this.nodes.set(node.id, node);
+    });
+  }
+
   /**
    * Save graph to storage
    */
   saveGraph() {
     try {
       const data = {
-        nodes: Array.from(this.nodes.values()),
+        version: GRAPH_FORMAT_VERSION,
+        nodes: Array.from(this.nodes.values()).map(node => ({ key: node.id, ...node })),
         edges: this.edges,
       };
       localStorage.setItem(this.storageKey, JSON.stringify(data));
@@ -169,48 +214,10 @@ export class KnowledgeGraph {
   }
 
   /**
-   * Initialize with default knowledge structure
+   * Initialize with the curriculum's graph, until the server's has loaded
    */
   initializeDefaultGraph() {
-    // Math skill tree example
-    const mathNodes = [
-      // Grade K-2
-      { id: 'math_counting', name: 'Counting', subject: 'math', gradeLevel: 'K', difficulty: 1, type: NODE_TYPES.SKILL },
-      { id: 'math_addition_basic', name: 'Basic Addition', subject: 'math', gradeLevel: 1, difficulty: 2, prerequisites: ['math_counting'] },
-      { id: 'math_subtraction_basic', name: 'Basic Subtraction', subject: 'math', gradeLevel: 1, difficulty: 2, prerequisites: ['math_counting'] },
-
-      // Grade 3-5
-      { id: 'math_multiplication', name: 'Multiplication', subject: 'math', gradeLevel: 3, difficulty: 3, prerequisites: ['math_addition_basic'] },
-      { id: 'math_division', name: 'Division', subject: 'math', gradeLevel: 3, difficulty: 3, prerequisites: ['math_subtraction_basic', 'math_multiplication'] },
-      { id: 'math_fractions', name: 'Fractions', subject: 'math', gradeLevel: 4, difficulty: 4, prerequisites: ['math_division'] },
-      { id: 'math_decimals', name: 'Decimals', subject: 'math', gradeLevel: 4, difficulty: 4, prerequisites: ['math_fractions'] },
-
-      // Grade 6-8
-      { id: 'math_ratios', name: 'Ratios & Proportions', subject: 'math', gradeLevel: 6, difficulty: 5, prerequisites: ['math_fractions'] },
-      { id: 'math_percentages', name: 'Percentages', subject: 'math', gradeLevel: 6, difficulty: 5, prerequisites: ['math_decimals'] },
-      { id: 'math_algebra_basics', name: 'Algebra Basics', subject: 'math', gradeLevel: 7, difficulty: 6, prerequisites: ['math_ratios'] },
-      { id: 'math_geometry_basics', name: 'Geometry Basics', subject: 'math', gradeLevel: 7, difficulty: 6, prerequisites: ['math_multiplication'] },
-
-      // Grade 9-12
-      { id: 'math_linear_equations', name: 'Linear Equations', subject: 'math', gradeLevel: 9, difficulty: 7, prerequisites: ['math_algebra_basics'] },
-      { id: 'math_quadratic', name: 'Quadratic Equations', subject: 'math', gradeLevel: 9, difficulty: 8, prerequisites: ['math_linear_equations'] },
-      { id: 'math_trigonometry', name: 'Trigonometry', subject: 'math', gradeLevel: 10, difficulty: 8, prerequisites: ['math_geometry_basics'] },
-      { id: 'math_calculus', name: 'Calculus', subject: 'math', gradeLevel: 11, difficulty: 10, prerequisites: ['math_quadratic', 'math_trigonometry'] },
-    ];
-
-    mathNodes.forEach(nodeData => {
-      const node = new KnowledgeNode(nodeData.id, nodeData);
-      this.nodes.set(node.id, node);
-    });
-
-    // Create edges for prerequisites
-    this.nodes.forEach(node => {
-      node.prerequisites.forEach(prereqId => {
-        this.addEdge(prereqId, node.id, RELATIONSHIP_TYPES.PREREQUISITE);
-      });
-    });
-
-    this.saveGraph();
+    this.setGraph(buildCurriculumGraph());
   }
 
   /**
@@ -234,7 +241,15 @@ export class KnowledgeGraph {
       type,
     };
 
+    const cycle = cycleWithEdge(this.edges, edge);
+    if (cycle) {
+      throw new Error(`This edge would create a cycle: ${cycle.join(' -> ')}`);
+    }
+
     this.edges.push(edge);
+    if (type === RELATIONSHIP_TYPES.PREREQUISITE) {
+      this.nodes.get(toId)?.prerequisites.push(fromId);
+    }
     this.saveGraph();
     return edge;
   }
@@ -761,7 +776,6 @@ export {
   RELATIONSHIP_TYPES,
   MASTERY_LEVELS,
   NODE_STYLES,
-  KnowledgeNode,
 };
 
 export default KnowledgeGraph;
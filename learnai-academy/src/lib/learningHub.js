@@ -7,11 +7,51 @@ import { CurriculumService } from './curriculumService';
 import { CurriculumStorage } from './curriculumStorage';
 import { AITutor } from './aiTutor';
 import { MistakeTracker, RemediationPlanner } from './mistakeAnalysis';
-import { SpacedRepetitionSystem, ReviewSessionManager } from './spacedRepetition';
+import { KnowledgeGraph } from './knowledgeGraph';
+import { CARD_STATES } from './fsrs';
 import { StreakTracker, HabitTracker } from './studyStreaks';
 import { AccessibilityManager } from './accessibility';
 import { AchievementTracker } from './achievementSystem';
 import { PerformanceTracker } from './adaptiveDifficulty';
+import { apiFetch } from './clientAuth';
+
+// Review cards live on the server (services/learning/spacedRepetitionService)
+const REVIEW_API = '/api/learning/spaced-repetition';
+
+async function reviewRequest(query, options = {}) {
+  const response = await apiFetch(`${REVIEW_API}${query}`, { credentials: 'include', ...options });
+  if (!response.ok) {
+    throw new Error(`Review request failed (${response.status})`);
+  }
+  return response.json();
+}
+
+function postReview(body) {
+  return reviewRequest('', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Server review statistics in the shape the dashboard shows
+ */
+function toReviewStats(statistics) {
+  const byState = statistics.cardsByState || {};
+  return {
+    total: statistics.totalCards,
+    new: byState[CARD_STATES.NEW] || 0,
+    learning: (byState[CARD_STATES.LEARNING] || 0) + (byState[CARD_STATES.RELEARNING] || 0),
+    review: byState[CARD_STATES.REVIEW] || 0,
+    mastered: statistics.matureCards,
+    dueToday: statistics.dueForReview,
+    dueThisWeek: statistics.upcomingReviews,
+    totalReviews: statistics.totalReviews,
+    // Average predicted recall of studied cards
+    successRate: statistics.averageRecall,
+  };
+}
 
 /**
  * LearningHub
@@ -50,9 +90,9 @@ export class LearningHub {
 
     // Learning optimization
     this.mistakeTracker = new MistakeTracker(this.config.storageType);
-    this.remediationPlanner = new RemediationPlanner(this.mistakeTracker, this.curriculumService);
-    this.spacedRepetition = new SpacedRepetitionSystem(this.config.storageType);
-    this.reviewSessionManager = new ReviewSessionManager(this.spacedRepetition);
+    this.knowledgeGraph = new KnowledgeGraph();
+    this.knowledgeGraph.loadFromServer();
+    this.remediationPlanner = new RemediationPlanner(this.mistakeTracker, this.curriculumService, this.knowledgeGraph);
     this.performanceTracker = new PerformanceTracker();
 
     // Engagement systems
@@ -149,28 +189,28 @@ export class LearningHub {
    * Prepare review session (spaced repetition)
    */
   async prepareReviewSession(student, subject, targetQuestions) {
-    const reviewSession = this.reviewSessionManager.startSession(
-      student.id,
-      subject,
-      { targetCards: targetQuestions }
-    );
+    const { cards = [] } = await reviewRequest(`?studentId=${encodeURIComponent(student.id)}`);
+
+    // Cards name their subject; a hub session names it by slug
+    const dueCards = cards
+      .filter((card) => !subject || card.subjectName?.toLowerCase() === subject)
+      .slice(0, targetQuestions);
 
     // Convert cards to questions format
-    const questions = reviewSession.cards.map((card) => ({
-      id: card.questionId,
+    const questions = dueCards.map((card) => ({
+      id: card.questionId || card.id,
       cardId: card.id,
       topicId: card.topicId,
-      text: card.conceptText,
+      text: card.prompt,
       difficulty: card.difficulty,
       isReview: true,
-      nextReviewAt: card.nextReviewAt,
+      nextReviewAt: card.nextReview,
     }));
 
     return {
-      subject: subject || reviewSession.subject,
+      subject: subject || dueCards[0]?.subjectName?.toLowerCase() || null,
       topic: { name: 'Mixed Review', id: 'review' },
       questions,
-      sessionManager: reviewSession,
     };
   }
 
@@ -309,14 +349,18 @@ export class LearningHub {
       });
     }
 
-    // Update spaced repetition if this is a review question
+    // Reschedule the card if this is a review question
     if (question.cardId) {
       const quality = this.calculateQuality(isCorrect, metadata.confidence, timeSpent, 30);
-      this.reviewSessionManager.reviewCardInSession(
-        this.currentSession.reviewSessionId,
-        question.cardId,
-        { quality, timeSpent, correct: isCorrect }
-      );
+      try {
+        await postReview({
+          studentId: this.currentSession.studentId,
+          cardId: question.cardId,
+          quality,
+        });
+      } catch (error) {
+        console.error('Error recording review:', error);
+      }
     }
 
     // Move to next question
@@ -459,19 +503,37 @@ export class LearningHub {
       }
     );
 
-    // Add successful questions to spaced repetition
-    const masteredQuestions = sessionSummary.responses
+    // Schedule successful questions for review, with this session's
+    // answer as their first review. Review questions already have cards.
+    const masteredResponses = sessionSummary.responses
       .filter((r) => r.correct && r.timeSpent < 45) // Correct and quick
-      .map((r) => sessionSummary.questions.find((q) => q.id === r.questionId));
-
-    if (masteredQuestions.length > 0) {
-      this.spacedRepetition.addCardsFromTopic(
-        sessionSummary.studentId,
-        sessionSummary.subject,
-        sessionSummary.topic.id,
-        sessionSummary.gradeLevel,
-        masteredQuestions
-      );
+      .map((r) => ({ response: r, question: sessionSummary.questions.find((q) => q.id === r.questionId) }))
+      .filter(({ question }) => question && !question.cardId);
+
+    if (masteredResponses.length > 0) {
+      try {
+        await postReview({
+          action: 'import',
+          studentId: sessionSummary.studentId,
+          cards: masteredResponses.map(({ response, question }) => ({
+            // One card per question, however often it's mastered
+            id: `hub_${sessionSummary.topic.id}_${question.id}`,
+            studentId: sessionSummary.studentId,
+            subject: sessionSummary.subject,
+            topicId: question.topicId || sessionSummary.topic.id,
+            questionId: question.id,
+            conceptText: question.text,
+            reviewHistory: [{
+              timestamp: response.timestamp,
+              quality: this.calculateQuality(true, response.confidence, response.timeSpent, 30),
+              timeSpent: response.timeSpent,
+              correct: true,
+            }],
+          })),
+        });
+      } catch (error) {
+        console.error('Error scheduling reviews:', error);
+      }
     }
 
     // Update habits
@@ -516,6 +578,7 @@ export class LearningHub {
    */
   async getStudentDashboard(studentId, gradeLevel) {
     const subjects = ['math', 'reading', 'science', 'writing', 'coding'];
+    const reviewStats = await this.getReviewStats(studentId);
 
     const dashboardData = {
       studentId,
@@ -552,8 +615,8 @@ export class LearningHub {
       ),
 
       // Reviews due
-      reviewsDue: this.spacedRepetition.getDueCards(studentId, null, 100).length,
-      reviewStats: this.spacedRepetition.getReviewStats(studentId),
+      reviewsDue: reviewStats?.dueToday || 0,
+      reviewStats,
 
       // Mistake analysis
       mistakeAnalysis: this.mistakeTracker.analyzeMistakePatterns(studentId),
@@ -565,6 +628,20 @@ export class LearningHub {
     return dashboardData;
   }
 
+  /**
+   * Review card statistics from the server
+   * @returns {Promise<Object|null>} null when they can't be loaded
+   */
+  async getReviewStats(studentId) {
+    try {
+      const statistics = await reviewRequest(`?studentId=${encodeURIComponent(studentId)}&action=statistics`);
+      return toReviewStats(statistics);
+    } catch (error) {
+      console.error('Error loading review statistics:', error);
+      return null;
+    }
+  }
+
   /**
    * Get recommendations for next session
    */
@@ -572,14 +649,15 @@ export class LearningHub {
     const recommendations = [];
 
     // Check for reviews due
-    const dueCards = this.spacedRepetition.getDueCards(studentId, null, 1);
-    if (dueCards.length > 0) {
+    const reviewStats = await this.getReviewStats(studentId);
+    const dueCount = reviewStats?.dueToday || 0;
+    if (dueCount > 0) {
       recommendations.push({
         type: 'review',
         priority: 'high',
         title: 'Spaced Repetition Review',
-        description: `${dueCards.length} items ready for review`,
-        estimatedTime: Math.min(dueCards.length * 2, 30),
+        description: `${dueCount} items ready for review`,
+        estimatedTime: Math.min(dueCount * 2, 30),
         icon: '♻️',
       });
     }
@@ -0,0 +1,1070 @@
+/**
+ * Math Engine
+ * Exact arithmetic and algebra for checking answers without trusting the model
+ *
+ * - Arithmetic and fractions use exact rational numbers (3/4 + 1/4 is 1, never 0.9999)
+ * - Algebraic expressions are simplified to a canonical polynomial form
+ * - Linear and quadratic equations in one variable are solved
+ * - Answers are compared by value: 3/4, 0.75, 75%, "x = 5", 1 1/2, "2 or 3"
+ *
+ * Anything outside that (pi, non-perfect square roots, trig, words) can't
+ * be verified - the functions return null or `verifiable: false` so
+ * callers can fall back to their own comparison.
+ */
+
+export class MathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MathError';
+  }
+}
+
+const FUNCTIONS = ['sqrt', 'abs'];
+
+// Words that never name a variable in an answer
+const ANSWER_PREFIXES = /^(?:(?:i think |i got |my answer is |the answer is |answer:?|it'?s |it is |equals? |=)\s*)+/i;
+
+// Wording around a bare math problem: "What is ...?", "Solve for x: ..."
+const PROBLEM_LEAD_INS = /\b(?:problem|question|what|is|what's|whats|solve|for|simplify|evaluate|calculate|compute|find|work|out|the|value|of|expand|answer|please|can|you|if)\b/gi;
+
+// ============================================
+// RATIONAL NUMBERS
+// ============================================
+
+function bigAbs(n) {
+  return n < 0n ? -n : n;
+}
+
+function gcd(a, b) {
+  a = bigAbs(a);
+  b = bigAbs(b);
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function bigSqrt(n) {
+  if (n < 2n) return n;
+  let x = BigInt(Math.floor(Math.sqrt(Number(n))));
+  while (x * x > n) x -= 1n;
+  while ((x + 1n) * (x + 1n) <= n) x += 1n;
+  return x;
+}
+
+/**
+ * Exact fraction num/den in lowest terms, den > 0
+ */
+export class Rational {
+  constructor(num, den = 1n) {
+    num = BigInt(num);
+    den = BigInt(den);
+    if (den === 0n) {
+      throw new MathError('Division by zero');
+    }
+    if (den < 0n) {
+      num = -num;
+      den = -den;
+    }
+    const divisor = gcd(num, den) || 1n;
+    this.num = num / divisor;
+    this.den = den / divisor;
+  }
+
+  /**
+   * From an integer or a decimal string ("0.75" is exactly 3/4)
+   */
+  static from(value) {
+    if (value instanceof Rational) return value;
+    if (typeof value === 'bigint') return new Rational(value);
+    if (typeof value === 'number' && Number.isInteger(value)) return new Rational(BigInt(value));
+
+    const match = String(value).trim().match(/^(-)?(\d*)(?:\.(\d+))?$/);
+    if (!match || (!match[2] && !match[3])) {
+      throw new MathError(`Not a number: ${value}`);
+    }
+    const [, sign, whole = '', fraction = ''] = match;
+    const num = BigInt(`${whole || '0'}${fraction}`);
+    return new Rational(sign ? -num : num, 10n ** BigInt(fraction.length));
+  }
+
+  add(other) {
+    return new Rational(this.num * other.den + other.num * this.den, this.den * other.den);
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  mul(other) {
+    return new Rational(this.num * other.num, this.den * other.den);
+  }
+
+  div(other) {
+    if (other.isZero()) {
+      throw new MathError('Division by zero');
+    }
+    return new Rational(this.num * other.den, this.den * other.num);
+  }
+
+  neg() {
+    return new Rational(-this.num, this.den);
+  }
+
+  pow(exponent) {
+    if (exponent < 0) {
+      return new Rational(1n).div(this.pow(-exponent));
+    }
+    return new Rational(this.num ** BigInt(exponent), this.den ** BigInt(exponent));
+  }
+
+  /**
+   * Exact square root, or null when it isn't rational
+   */
+  sqrt() {
+    if (this.num < 0n) return null;
+    const num = bigSqrt(this.num);
+    const den = bigSqrt(this.den);
+    return num * num === this.num && den * den === this.den ? new Rational(num, den) : null;
+  }
+
+  isZero() {
+    return this.num === 0n;
+  }
+
+  isInteger() {
+    return this.den === 1n;
+  }
+
+  equals(other) {
+    return this.num === other.num && this.den === other.den;
+  }
+
+  compare(other) {
+    const difference = this.sub(other).num;
+    return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+  }
+
+  /**
+   * Whether the decimal form ends (only 2s and 5s in the denominator)
+   */
+  isTerminating() {
+    let den = this.den;
+    while (den % 2n === 0n) den /= 2n;
+    while (den % 5n === 0n) den /= 5n;
+    return den === 1n;
+  }
+
+  toNumber() {
+    return Number(this.num) / Number(this.den);
+  }
+
+  toString() {
+    return this.isInteger() ? this.num.toString() : `${this.num}/${this.den}`;
+  }
+}
+
+const ZERO = new Rational(0n);
+const ONE = new Rational(1n);
+
+// ============================================
+// POLYNOMIALS
+// ============================================
+
+// Monomials are keyed "x^2*y" (variables sorted), the constant term is ''
+function monomialKey(powers) {
+  return Object.keys(powers)
+    .filter(variable => powers[variable] > 0)
+    .sort()
+    .map(variable => (powers[variable] === 1 ? variable : `${variable}^${powers[variable]}`))
+    .join('*');
+}
+
+function parseMonomial(key) {
+  const powers = {};
+  if (!key) return powers;
+  for (const factor of key.split('*')) {
+    const [variable, exponent = '1'] = factor.split('^');
+    powers[variable] = Number(exponent);
+  }
+  return powers;
+}
+
+function monomialDegree(key) {
+  return Object.values(parseMonomial(key)).reduce((sum, exponent) => sum + exponent, 0);
+}
+
+/**
+ * Polynomial with rational coefficients in any number of variables
+ */
+export class Polynomial {
+  constructor(terms = new Map()) {
+    this.terms = new Map([...terms].filter(([, coefficient]) => !coefficient.isZero()));
+  }
+
+  static constant(value) {
+    return new Polynomial(new Map([['', Rational.from(value)]]));
+  }
+
+  static variable(name) {
+    return new Polynomial(new Map([[name, ONE]]));
+  }
+
+  add(other) {
+    const terms = new Map(this.terms);
+    for (const [key, coefficient] of other.terms) {
+      terms.set(key, (terms.get(key) || ZERO).add(coefficient));
+    }
+    return new Polynomial(terms);
+  }
+
+  neg() {
+    return new Polynomial(new Map([...this.terms].map(([key, coefficient]) => [key, coefficient.neg()])));
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  mul(other) {
+    let result = new Polynomial();
+    for (const [keyA, coefficientA] of this.terms) {
+      const powersA = parseMonomial(keyA);
+      for (const [keyB, coefficientB] of other.terms) {
+        const powers = { ...powersA };
+        for (const [variable, exponent] of Object.entries(parseMonomial(keyB))) {
+          powers[variable] = (powers[variable] || 0) + exponent;
+        }
+        result = result.add(new Polynomial(new Map([[monomialKey(powers), coefficientA.mul(coefficientB)]])));
+      }
+    }
+    return result;
+  }
+
+  scale(factor) {
+    return new Polynomial(new Map([...this.terms].map(([key, coefficient]) => [key, coefficient.mul(factor)])));
+  }
+
+  pow(exponent) {
+    let result = Polynomial.constant(1);
+    for (let i = 0; i < exponent; i++) {
+      result = result.mul(this);
+    }
+    return result;
+  }
+
+  isZero() {
+    return this.terms.size === 0;
+  }
+
+  isConstant() {
+    return [...this.terms.keys()].every(key => key === '');
+  }
+
+  constantValue() {
+    return this.terms.get('') || ZERO;
+  }
+
+  variables() {
+    const names = new Set();
+    for (const key of this.terms.keys()) {
+      Object.keys(parseMonomial(key)).forEach(name => names.add(name));
+    }
+    return [...names].sort();
+  }
+
+  degree() {
+    return Math.max(0, ...[...this.terms.keys()].map(monomialDegree));
+  }
+
+  /**
+   * Coefficients by power of a single variable: [c0, c1, c2, ...]
+   */
+  coefficients(variable) {
+    const coefficients = new Array(this.degree() + 1).fill(ZERO);
+    for (const [key, coefficient] of this.terms) {
+      coefficients[parseMonomial(key)[variable] || 0] = coefficient;
+    }
+    return coefficients;
+  }
+
+  leadingCoefficient() {
+    const [first] = this.sortedTerms();
+    return first ? first[1] : ZERO;
+  }
+
+  /**
+   * Value with numbers substituted for the variables
+   */
+  evaluateAt(values) {
+    let total = ZERO;
+    for (const [key, coefficient] of this.terms) {
+      let term = coefficient;
+      for (const [variable, exponent] of Object.entries(parseMonomial(key))) {
+        term = term.mul(values[variable].pow(exponent));
+      }
+      total = total.add(term);
+    }
+    return total;
+  }
+
+  sortedTerms() {
+    return [...this.terms].sort(([keyA], [keyB]) =>
+      monomialDegree(keyB) - monomialDegree(keyA) || keyA.localeCompare(keyB));
+  }
+
+  toString() {
+    if (this.isZero()) return '0';
+
+    return this.sortedTerms().map(([key, coefficient], index) => {
+      const negative = coefficient.num < 0n;
+      const magnitude = negative ? coefficient.neg() : coefficient;
+      const variables = key.replace(/\*/g, '');
+      let body;
+      if (!key) {
+        body = magnitude.toString();
+      } else if (magnitude.equals(ONE)) {
+        body = variables;
+      } else {
+        body = magnitude.isInteger() ? `${magnitude}${variables}` : `(${magnitude})${variables}`;
+      }
+
+      if (index === 0) return negative ? `-${body}` : body;
+      return negative ? ` - ${body}` : ` + ${body}`;
+    }).join('');
+  }
+}
+
+/**
+ * Univariate long division. Returns { quotient, remainder }.
+ */
+function dividePolynomials(dividend, divisor, variable) {
+  let remainder = dividend;
+  let quotient = new Polynomial();
+  const divisorDegree = divisor.degree();
+  const divisorLead = divisor.coefficients(variable)[divisorDegree];
+
+  while (!remainder.isZero() && remainder.degree() >= divisorDegree) {
+    const power = remainder.degree() - divisorDegree;
+    const factor = remainder.coefficients(variable)[remainder.degree()].div(divisorLead);
+    const term = new Polynomial(new Map([[monomialKey({ [variable]: power }), factor]]));
+    quotient = quotient.add(term);
+    remainder = remainder.sub(term.mul(divisor));
+  }
+
+  return { quotient, remainder };
+}
+
+// ============================================
+// RATIONAL EXPRESSIONS (polynomial / polynomial)
+// ============================================
+
+class Expression {
+  constructor(num, den = Polynomial.constant(1)) {
+    if (den.isZero()) {
+      throw new MathError('Division by zero');
+    }
+    this.num = num;
+    this.den = den;
+  }
+
+  static constant(value) {
+    return new Expression(Polynomial.constant(value));
+  }
+
+  add(other) {
+    return new Expression(this.num.mul(other.den).add(other.num.mul(this.den)), this.den.mul(other.den));
+  }
+
+  sub(other) {
+    return this.add(other.neg());
+  }
+
+  neg() {
+    return new Expression(this.num.neg(), this.den);
+  }
+
+  mul(other) {
+    return new Expression(this.num.mul(other.num), this.den.mul(other.den));
+  }
+
+  div(other) {
+    if (other.num.isZero()) {
+      throw new MathError('Division by zero');
+    }
+    return new Expression(this.num.mul(other.den), this.den.mul(other.num));
+  }
+
+  pow(exponent) {
+    if (exponent < 0) {
+      return Expression.constant(1).div(this.pow(-exponent));
+    }
+    return new Expression(this.num.pow(exponent), this.den.pow(exponent));
+  }
+
+  isConstant() {
+    return this.num.isConstant() && this.den.isConstant();
+  }
+
+  constantValue() {
+    return this.num.constantValue().div(this.den.constantValue());
+  }
+
+  variables() {
+    return [...new Set([...this.num.variables(), ...this.den.variables()])].sort();
+  }
+
+  equivalentTo(other) {
+    return this.num.mul(other.den).sub(other.num.mul(this.den)).isZero();
+  }
+
+  /**
+   * Polynomial form when the denominator divides out, otherwise num/den
+   * with a constant denominator folded in
+   */
+  simplified() {
+    if (this.den.isConstant()) {
+      return { num: this.num.scale(ONE.div(this.den.constantValue())), den: null };
+    }
+
+    const variables = this.variables();
+    if (variables.length === 1) {
+      const { quotient, remainder } = dividePolynomials(this.num, this.den, variables[0]);
+      if (remainder.isZero()) {
+        return { num: quotient, den: null };
+      }
+    }
+
+    // Make the denominator's leading coefficient 1
+    const lead = this.den.leadingCoefficient();
+    return { num: this.num.scale(ONE.div(lead)), den: this.den.scale(ONE.div(lead)) };
+  }
+
+  toString() {
+    const { num, den } = this.simplified();
+    if (!den) return num.toString();
+    const wrap = polynomial => (polynomial.terms.size > 1 ? `(${polynomial})` : polynomial.toString());
+    return `${wrap(num)}/${wrap(den)}`;
+  }
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+/**
+ * Normalise symbols and mixed numbers before tokenising
+ */
+function prepare(text) {
+  return String(text)
+    .replace(/[×·⋅∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–—]/g, '-')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/√/g, ' sqrt ')
+    // 1,000 (thousands separator, not a list)
+    .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+    // Mixed numbers: 1 1/2 is 1 + 1/2
+    .replace(/(^|[\s(=+\-,])(\d+)\s+(\d+)\s*\/\s*(\d+)(?![\d.])/g, '$1($2+$3/$4)');
+}
+
+// Two-letter words that are English, not ab or xy
+const SHORT_WORDS = new Set(['am', 'an', 'as', 'at', 'be', 'by', 'do', 'go', 'he', 'if', 'in', 'is', 'it', 'me', 'my', 'no', 'of', 'on', 'or', 'so', 'to', 'up', 'us', 'we']);
+
+function isLetterProduct(word) {
+  return word.length === 2 && word[0] !== word[1] && !SHORT_WORDS.has(word.toLowerCase());
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+\.?\d*|\.\d+)|([a-zA-Z]+)|([-+*/^()=%]))/y;
+  let index = 0;
+  const source = prepare(text);
+
+  while (index < source.length) {
+    if (/^\s*$/.test(source.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new MathError(`Unexpected character: ${source.slice(index).trim()[0]}`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: 'number', value: match[1] });
+    } else if (match[2]) {
+      const word = match[2];
+      const previous = tokens[tokens.length - 1];
+      if (FUNCTIONS.includes(word.toLowerCase())) {
+        tokens.push({ type: 'function', value: word.toLowerCase() });
+      } else if (word.length === 1 || isLetterProduct(word)
+        || (!/^\s/.test(match[0]) && (previous?.type === 'number' || previous?.value === ')'))) {
+        // 3xy and ab are products of variables - "5 apples" is prose
+        for (const letter of word) {
+          tokens.push({ type: 'variable', value: letter });
+        }
+      } else {
+        throw new MathError(`Unsupported word: ${word}`);
+      }
+    } else {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token?.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.isOperator(value)) {
+      throw new MathError(`Expected "${value}"`);
+    }
+    this.next();
+  }
+
+  parseStatement() {
+    const left = this.parseExpression();
+    let result;
+    if (this.isOperator('=')) {
+      this.next();
+      result = { type: 'equation', left, right: this.parseExpression() };
+    } else {
+      result = { type: 'expression', value: left };
+    }
+    if (this.peek()) {
+      throw new MathError(`Unexpected "${this.peek().value}"`);
+    }
+    return result;
+  }
+
+  parseExpression() {
+    let value = this.parseTerm();
+    while (this.isOperator('+') || this.isOperator('-')) {
+      const operator = this.next().value;
+      const term = this.parseTerm();
+      value = operator === '+' ? value.add(term) : value.sub(term);
+    }
+    return value;
+  }
+
+  parseTerm() {
+    let value = this.parseUnary();
+    for (;;) {
+      if (this.isOperator('*') || this.isOperator('/')) {
+        const operator = this.next().value;
+        const factor = this.parseUnary();
+        value = operator === '*' ? value.mul(factor) : value.div(factor);
+      } else if (this.startsImplicitFactor()) {
+        // 2x, 2(x + 1), x(x - 3)
+        value = value.mul(this.parsePower());
+      } else {
+        return value;
+      }
+    }
+  }
+
+  startsImplicitFactor() {
+    const token = this.peek();
+    return token && (token.type === 'variable' || token.type === 'function' || (token.type === 'operator' && token.value === '('));
+  }
+
+  parseUnary() {
+    if (this.isOperator('-')) {
+      this.next();
+      return this.parseUnary().neg();
+    }
+    if (this.isOperator('+')) {
+      this.next();
+      return this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePostfix();
+    if (!this.isOperator('^')) return base;
+
+    this.next();
+    const exponent = this.parseUnary();
+    if (!exponent.isConstant() || !exponent.constantValue().isInteger()) {
+      throw new MathError('Only whole-number exponents are supported');
+    }
+    const power = Number(exponent.constantValue().num);
+    if (Math.abs(power) > 64) {
+      throw new MathError('Exponent too large');
+    }
+    return base.pow(power);
+  }
+
+  parsePostfix() {
+    let value = this.parsePrimary();
+    while (this.isOperator('%')) {
+      this.next();
+      value = value.div(Expression.constant(100));
+    }
+    return value;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new MathError('Unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      return Expression.constant(Rational.from(token.value.replace(/\.$/, '')));
+    }
+    if (token.type === 'variable') {
+      return new Expression(Polynomial.variable(token.value));
+    }
+    if (token.type === 'function') {
+      return this.applyFunction(token.value, this.isOperator('(') ? this.parsePrimary() : this.parsePower());
+    }
+    if (token.value === '(') {
+      const value = this.parseExpression();
+      this.expect(')');
+      return value;
+    }
+
+    throw new MathError(`Unexpected "${token.value}"`);
+  }
+
+  applyFunction(name, argument) {
+    if (!argument.isConstant()) {
+      throw new MathError(`${name} of an expression is not supported`);
+    }
+    const value = argument.constantValue();
+
+    if (name === 'abs') {
+      return Expression.constant(value.num < 0n ? value.neg() : value);
+    }
+
+    const root = value.sqrt();
+    if (!root) {
+      throw new MathError('Irrational square roots are not supported');
+    }
+    return Expression.constant(root);
+  }
+}
+
+/**
+ * Parse an expression or equation
+ * @param {string} text - e.g. "3/4 + 1/4", "2(x + 3) - x", "3x + 7 = 22"
+ * @returns {Object} { type: 'expression', value } or { type: 'equation', left, right }
+ * @throws {MathError} When the text isn't supported math
+ */
+export function parse(text) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) {
+    throw new MathError('Empty expression');
+  }
+  return new Parser(tokens).parseStatement();
+}
+
+function tryParse(text) {
+  try {
+    return parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// ============================================
+// SOLVING
+// ============================================
+
+/**
+ * Solve an equation in one variable (linear or quadratic)
+ * @param {string|Object} equation - Text or a parsed equation
+ * @returns {Object|null} { variable, solutions: [Rational|number], exact } -
+ *   numbers (not Rationals) when a root is irrational
+ */
+export function solve(equation) {
+  try {
+    const parsed = typeof equation === 'string' ? parse(equation) : equation;
+    if (parsed.type !== 'equation') return null;
+
+    const difference = parsed.left.sub(parsed.right);
+    const variables = difference.variables();
+    if (variables.length !== 1) return null;
+
+    const [variable] = variables;
+    const coefficients = difference.num.coefficients(variable);
+    const degree = difference.num.degree();
+
+    let solutions;
+    let exact = true;
+    if (difference.num.isZero() || degree === 0) {
+      // Always true or never true - no single answer to check against
+      return null;
+    } else if (degree === 1) {
+      solutions = [coefficients[0].neg().div(coefficients[1])];
+    } else if (degree === 2) {
+      const [c, b, a] = coefficients;
+      const discriminant = b.mul(b).sub(new Rational(4n).mul(a).mul(c));
+      if (discriminant.num < 0n) {
+        solutions = [];
+      } else {
+        const root = discriminant.sqrt();
+        const twoA = new Rational(2n).mul(a);
+        if (root) {
+          solutions = [b.neg().sub(root).div(twoA), b.neg().add(root).div(twoA)];
+        } else {
+          exact = false;
+          const numeric = Math.sqrt(discriminant.toNumber());
+          solutions = [(-b.toNumber() - numeric) / twoA.toNumber(), (-b.toNumber() + numeric) / twoA.toNumber()];
+        }
+      }
+    } else {
+      return null;
+    }
+
+    // Drop roots that make a denominator zero (x/(x-1) = 1/(x-1))
+    solutions = solutions.filter(solution => !(solution instanceof Rational)
+      || !difference.den.evaluateAt({ [variable]: solution }).isZero());
+
+    return {
+      variable,
+      solutions: uniqueValues(solutions).sort((a, b) => toNumber(a) - toNumber(b)),
+      exact,
+    };
+  } catch {
+    return null;
+  }
+}
+
+function toNumber(value) {
+  return value instanceof Rational ? value.toNumber() : value;
+}
+
+function uniqueValues(values) {
+  return values.filter((value, index) => values.findIndex(other =>
+    (value instanceof Rational && other instanceof Rational ? value.equals(other) : toNumber(value) === toNumber(other))) === index);
+}
+
+function formatValue(value) {
+  if (value instanceof Rational) return value.toString();
+  return String(Math.round(value * 10000) / 10000);
+}
+
+// ============================================
+// EVALUATION AND SIMPLIFICATION
+// ============================================
+
+/**
+ * Exact value of an arithmetic expression
+ * @param {string} text - e.g. "3/4 + 1/4"
+ * @returns {Rational|null} null when it isn't a supported constant expression
+ */
+export function evaluate(text) {
+  const parsed = tryParse(text);
+  if (!parsed || parsed.type !== 'expression' || !parsed.value.isConstant()) return null;
+  return parsed.value.constantValue();
+}
+
+/**
+ * Simplified form of an expression, e.g. "2(x + 3) - x" -> "x + 6"
+ * @returns {string|null}
+ */
+export function simplify(text) {
+  const parsed = tryParse(text);
+  if (!parsed || parsed.type !== 'expression') return null;
+  try {
+    return parsed.value.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether two expressions are equal for every value of their variables
+ * @returns {boolean|null} null when either can't be parsed
+ */
+export function areEquivalent(a, b) {
+  const parsedA = tryParse(a);
+  const parsedB = tryParse(b);
+  if (parsedA?.type !== 'expression' || parsedB?.type !== 'expression') return null;
+  return parsedA.value.equivalentTo(parsedB.value);
+}
+
+// ============================================
+// ANSWERS
+// ============================================
+
+/**
+ * The longest run of math in some prose, e.g. "Solve for x: 3x + 7 = 22"
+ * -> "3x + 7 = 22". Words are dropped; single letters are kept as variables.
+ * @returns {string|null}
+ */
+export function extractMath(text = '') {
+  const candidates = String(text).match(
+    /(?:\d[\d.,]*|(?<![a-zA-Z'’])[a-zA-Z](?![a-zA-Z'’])|sqrt|abs|[-+*/^()=%×÷·−–√²³]|[ \t])+/g
+  ) || [];
+
+  return candidates
+    .map(candidate => candidate.trim().replace(/[.,]+$/, ''))
+    .filter(candidate => /\d/.test(candidate) && tryParse(candidate))
+    .sort((a, b) => b.length - a.length)[0] || null;
+}
+
+// The variable an expression is, if it is just one ("x")
+function asVariable(expression) {
+  const [variable] = expression.variables();
+  return variable && expression.equivalentTo(new Expression(Polynomial.variable(variable))) ? variable : null;
+}
+
+function cleanAnswer(text) {
+  return String(text ?? '').trim().replace(ANSWER_PREFIXES, '').replace(/[.!?]+$/, '').trim();
+}
+
+/**
+ * Whether an answer is only math. Words left over once the math is taken
+ * out ("2 dogs", "CO2", "May 4, 1776") mean it isn't, and neither are
+ * times or ratios ("12:30", "3:1").
+ */
+function isMathOnly(text) {
+  const cleaned = cleanAnswer(text);
+  if (!cleaned || cleaned.includes(':')) return false;
+  return !/[a-zA-Z]{2,}/.test(cleaned.replace(/\b(?:sqrt|abs|or|and)\b/gi, ' '));
+}
+
+/**
+ * Values an answer stands for. "x = 2 or x = 3", "2, 3" and "3x + 7 = 22"
+ * are all lists of values; "2x + 1" is a single expression.
+ * @returns {Array<Object>|null} [{ value: Expression|number, variable }]
+ */
+function parseAnswer(text) {
+  const cleaned = cleanAnswer(text);
+  if (!cleaned) return null;
+
+  const parts = cleaned.split(/\s*(?:,(?!\d{3}(?!\d))|;|\bor\b|\band\b)\s*/i).filter(Boolean);
+  const values = [];
+
+  for (const part of parts) {
+    const parsed = tryParse(part) || tryParse(extractMath(part) ?? '');
+    if (!parsed) return null;
+
+    if (parsed.type === 'expression') {
+      values.push({ value: parsed.value });
+      continue;
+    }
+
+    // "x = 5" names a value; any other equation stands for its solutions
+    const { left, right } = parsed;
+    const variable = asVariable(left);
+    if (variable && !right.variables().includes(variable)) {
+      values.push({ value: right, variable });
+      continue;
+    }
+
+    const solved = solve(parsed);
+    if (!solved) return null;
+    values.push(...solved.solutions.map(solution => ({
+      value: solution instanceof Rational ? Expression.constant(solution) : solution,
+      variable: solved.variable,
+    })));
+  }
+
+  return values;
+}
+
+function decimalPlaces(text) {
+  const match = String(text).trim().match(/^-?\d*\.(\d+)$/);
+  return match ? match[1].length : null;
+}
+
+/**
+ * Compare one expected value with one given value. A rounded decimal is
+ * accepted for a value whose decimal form doesn't end (1/3 ~ 0.33).
+ */
+function valuesMatch(expected, given, givenText) {
+  if (expected.value instanceof Expression && given.value instanceof Expression) {
+    if (expected.value.equivalentTo(given.value)) return true;
+    if (!expected.value.isConstant() || !given.value.isConstant()) return false;
+
+    const exact = expected.value.constantValue();
+    const places = decimalPlaces(givenText);
+    if (exact.isTerminating() || places === null || places < 2) return false;
+    return Math.abs(exact.toNumber() - given.value.constantValue().toNumber()) <= 0.5 * 10 ** -places + 1e-12;
+  }
+
+  // Irrational roots are compared to the precision the student gave
+  const expectedNumber = expected.value instanceof Expression ? expected.value.constantValue().toNumber() : expected.value;
+  const givenNumber = given.value instanceof Expression
+    ? (given.value.isConstant() ? given.value.constantValue().toNumber() : NaN)
+    : given.value;
+  const places = decimalPlaces(givenText) ?? 0;
+  return Math.abs(expectedNumber - givenNumber) <= Math.max(0.5 * 10 ** -places, 1e-9) + 1e-12;
+}
+
+function describeValues(values) {
+  return values.map(({ value, variable }) => {
+    const shown = value instanceof Expression ? value.toString() : formatValue(value);
+    return variable ? `${variable} = ${shown}` : shown;
+  }).join(', ');
+}
+
+/**
+ * Whether a subject (name or slug) is math, the only subject whose
+ * answers checkAnswer should grade
+ */
+export function isMathSubject(subject) {
+  return /^math/i.test(String(subject ?? '').trim());
+}
+
+/**
+ * Check a given answer against the expected one
+ * @param {string|number} expected - e.g. "1", "x = 5", "3/4", "2x + 6"
+ * @param {string|number} given - e.g. "1/2", "5", "0.75", "2(x + 3)"
+ * @returns {Object} { verifiable, correct, expected, given } - `verifiable`
+ *   is false when either side isn't entirely math this engine understands
+ *   (any words besides the math), and `correct` is then null
+ */
+export function checkAnswer(expected, given) {
+  // Multiple choice letters, in either case
+  const expectedLetter = cleanAnswer(expected);
+  const givenLetter = cleanAnswer(given);
+  if (/^[a-z]$/i.test(expectedLetter) && /^[a-z]$/i.test(givenLetter)) {
+    return {
+      verifiable: true,
+      correct: expectedLetter.toLowerCase() === givenLetter.toLowerCase(),
+      expected: expectedLetter,
+      given: givenLetter,
+    };
+  }
+
+  if (!isMathOnly(expected) || !isMathOnly(given)) {
+    return { verifiable: false, correct: null };
+  }
+
+  const expectedValues = parseAnswer(expected);
+  if (!expectedValues) {
+    return { verifiable: false, correct: null };
+  }
+
+  const givenParts = String(given ?? '').trim().replace(ANSWER_PREFIXES, '').replace(/[.!?]+$/, '')
+    .split(/\s*(?:,(?!\d{3}(?!\d))|;|\bor\b|\band\b)\s*/i).filter(Boolean);
+  const givenValues = parseAnswer(given);
+
+  if (!givenValues) {
+    return { verifiable: true, correct: false, expected: describeValues(expectedValues), given: null };
+  }
+
+  const givenText = index => givenParts[index]?.replace(/^[a-zA-Z]\s*=\s*/, '') ?? '';
+  const correct = expectedValues.length === givenValues.length
+    && expectedValues.every(expectedValue => givenValues.some((givenValue, index) =>
+      (!givenValue.variable || !expectedValue.variable || givenValue.variable === expectedValue.variable)
+      && valuesMatch(expectedValue, givenValue, givenText(index))));
+
+  return {
+    verifiable: true,
+    correct,
+    expected: describeValues(expectedValues),
+    given: describeValues(givenValues),
+  };
+}
+
+/**
+ * Work out the answer to a problem from its text
+ * @param {string} problem - e.g. "What is 3/4 + 1/4?", "Solve for x: 3x + 7 = 22", "Simplify 2(x + 3) - x"
+ * @returns {Object|null} { expression, answer, kind: 'value' | 'solutions' | 'expression' }
+ */
+export function solveProblem(problem) {
+  const expression = extractMath(problem);
+  if (!expression || !/[-+*/^=%]|sqrt|abs/.test(expression.replace(/^-/, ''))) return null;
+
+  // Word problems ("Sam ate 3/4 of a pizza...") need reading, not arithmetic
+  const words = String(problem).replace(expression, ' ').replace(PROBLEM_LEAD_INS, ' ').match(/[a-zA-Z]{2,}/g) || [];
+  if (words.length > 0) return null;
+
+  const parsed = tryParse(expression);
+  if (parsed.type === 'equation') {
+    const solved = solve(parsed);
+    if (!solved || solved.solutions.length === 0) return null;
+    return {
+      expression,
+      kind: 'solutions',
+      answer: solved.solutions.map(solution => `${solved.variable} = ${formatValue(solution)}`).join(', '),
+    };
+  }
+
+  try {
+    if (parsed.value.isConstant()) {
+      return { expression, kind: 'value', answer: parsed.value.constantValue().toString() };
+    }
+    return { expression, kind: 'expression', answer: parsed.value.toString() };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a claimed answer to a problem by solving the problem
+ * @returns {Object} { verifiable, correct, computed, expression }
+ */
+export function verifyAnswer(problem, claimedAnswer) {
+  const solution = solveProblem(problem);
+  if (!solution) {
+    return { verifiable: false, correct: null, computed: null };
+  }
+
+  const check = checkAnswer(solution.answer, claimedAnswer);
+  return {
+    verifiable: check.verifiable,
+    correct: check.correct,
+    computed: solution.answer,
+    given: check.given,
+    expression: solution.expression,
+  };
+}
+
+/**
+ * Check an arithmetic statement such as "3/4 + 1/4 = 1/2"
+ * @returns {Object|null} { statement, correct, left, right } or null when
+ *   the text holds no statement without variables
+ */
+export function checkStatement(text) {
+  const statement = extractMath(text);
+  const parsed = statement && tryParse(statement);
+  if (!parsed || parsed.type !== 'equation' || !parsed.left.isConstant() || !parsed.right.isConstant()) {
+    return null;
+  }
+
+  const left = parsed.left.constantValue();
+  const right = parsed.right.constantValue();
+  return { statement, correct: left.equals(right), left: left.toString(), right: right.toString() };
+}
+
+export const mathEngine = {
+  parse,
+  evaluate,
+  simplify,
+  solve,
+  areEquivalent,
+  extractMath,
+  checkAnswer,
+  solveProblem,
+  verifyAnswer,
+  checkStatement,
+};
+
+export default mathEngine;
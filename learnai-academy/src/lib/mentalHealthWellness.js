@@ -16,7 +16,7 @@
  * Prioritizes student mental health alongside academic achievement.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Wellness metrics
 const WELLNESS_METRICS = {
@@ -489,7 +489,7 @@ export class MentalHealthTracker {
  */
 export class MindfulnessGuide {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.mentalHealthWellness' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
@@ -3,6 +3,10 @@
  * Tracks student mistakes, identifies patterns, and creates targeted remediation plans
  */
 
+import { KnowledgeGraph } from './knowledgeGraph';
+import { nodeKey } from './skillGraph';
+import { graphSubject } from './curriculumGraph';
+
 /**
  * Common Misconception Database
  * Maps typical student errors to underlying misconceptions
@@ -153,6 +157,64 @@ const MISCONCEPTION_PATTERNS = {
   },
 };
 
+/**
+ * Recency score (0-30): share of the mistakes made in the last week
+ */
+function recencyScore(mistakes) {
+  const now = new Date();
+  const recentMistakes = mistakes.filter((m) => {
+    const daysSince = (now - new Date(m.timestamp)) / (1000 * 60 * 60 * 24);
+    return daysSince <= 7;
+  });
+
+  return Math.min(recentMistakes.length / mistakes.length * 30, 30);
+}
+
+/**
+ * Pattern severity (0-100) from recency, frequency and difficulty
+ */
+function patternSeverity(mistakes) {
+  const recency = recencyScore(mistakes);
+  const frequency = Math.min(mistakes.length / 10, 1) * 40; // Max 40 points
+  const difficulty = mistakes.reduce((sum, m) => sum + m.difficulty, 0) / mistakes.length / 10 * 30; // Max 30 points
+
+  return Math.round(recency + frequency + difficulty);
+}
+
+/**
+ * Match mistakes against the misconception database. Used by
+ * MistakeTracker and by formative grading on the server.
+ * @param {Array<Object>} mistakes - { topicId, difficulty (1-10), timestamp }
+ * @param {string} subject - Key of MISCONCEPTION_PATTERNS (math, reading, ...)
+ * @returns {Array<Object>} Patterns seen in at least two mistakes, most severe first
+ */
+export function findMisconceptionPatterns(mistakes, subject) {
+  const misconceptions = MISCONCEPTION_PATTERNS[subject] || {};
+  const patterns = [];
+
+  Object.entries(misconceptions).forEach(([key, misconception]) => {
+    const relevantTopics = misconception.affectedTopics;
+    const relevantMistakes = mistakes.filter((m) =>
+      relevantTopics.some((topic) => m.topicId.includes(topic))
+    );
+
+    if (relevantMistakes.length >= 2) {
+      // Pattern detected
+      patterns.push({
+        misconceptionId: key,
+        misconception: misconception.name,
+        description: misconception.description,
+        occurrences: relevantMistakes.length,
+        affectedTopics: relevantTopics,
+        recentMistakes: relevantMistakes.slice(-3),
+        severity: patternSeverity(relevantMistakes),
+      });
+    }
+  });
+
+  return patterns.sort((a, b) => b.severity - a.severity);
+}
+
 /**
  * MistakeTracker
  * Tracks and analyzes student mistakes over time
@@ -256,35 +318,8 @@ export class MistakeTracker {
       byTopic.get(mistake.topicId).push(mistake);
     });
 
-    // Identify patterns
-    const patterns = [];
     const subjectKey = subject || mistakes[0].subject;
-
-    // Check against known misconceptions
-    const misconceptions = MISCONCEPTION_PATTERNS[subjectKey] || {};
-
-    Object.entries(misconceptions).forEach(([key, misconception]) => {
-      const relevantTopics = misconception.affectedTopics;
-      const relevantMistakes = mistakes.filter((m) =>
-        relevantTopics.some((topic) => m.topicId.includes(topic))
-      );
-
-      if (relevantMistakes.length >= 2) {
-        // Pattern detected
-        patterns.push({
-          misconceptionId: key,
-          misconception: misconception.name,
-          description: misconception.description,
-          occurrences: relevantMistakes.length,
-          affectedTopics: relevantTopics,
-          recentMistakes: relevantMistakes.slice(-3),
-          severity: this.calculatePatternSeverity(relevantMistakes),
-        });
-      }
-    });
-
-    // Sort by severity
-    patterns.sort((a, b) => b.severity - a.severity);
+    const patterns = findMisconceptionPatterns(mistakes, subjectKey);
 
     // Generate recommendations
     const recommendations = this.generateRecommendations(patterns, subjectKey);
@@ -301,24 +336,14 @@ export class MistakeTracker {
    * Calculate pattern severity (0-100)
    */
   calculatePatternSeverity(mistakes) {
-    const recency = this.calculateRecencyScore(mistakes);
-    const frequency = Math.min(mistakes.length / 10, 1) * 40; // Max 40 points
-    const difficulty = mistakes.reduce((sum, m) => sum + m.difficulty, 0) / mistakes.length / 10 * 30; // Max 30 points
-
-    return Math.round(recency + frequency + difficulty);
+    return patternSeverity(mistakes);
   }
 
   /**
    * Calculate recency score (0-30)
    */
   calculateRecencyScore(mistakes) {
-    const now = new Date();
-    const recentMistakes = mistakes.filter((m) => {
-      const daysSince = (now - new Date(m.timestamp)) / (1000 * 60 * 60 * 24);
-      return daysSince <= 7;
-    });
-
-    return Math.min(recentMistakes.length / mistakes.length * 30, 30);
+    return recencyScore(mistakes);
   }
 
   /**
@@ -447,9 +472,10 @@ export class MistakeTracker {
  * Creates personalized remediation plans based on mistake analysis
  */
 export class RemediationPlanner {
-  constructor(mistakeTracker, curriculumService) {
+  constructor(mistakeTracker, curriculumService, knowledgeGraph = new KnowledgeGraph()) {
     this.mistakeTracker = mistakeTracker;
     this.curriculumService = curriculumService;
+    this.knowledgeGraph = knowledgeGraph;
   }
 
   /**
@@ -526,6 +552,23 @@ export class RemediationPlanner {
       completed: false,
     };
 
+    // Review the skills the missed topics build on first
+    const prerequisites = this.getPrerequisiteSkills(pattern, subject);
+    if (prerequisites.length > 0) {
+      const reviewDuration = Math.round(duration * 0.25);
+      session.activities.push({
+        type: 'prerequisite-review',
+        title: 'Building Blocks',
+        skills: prerequisites.map((node) => ({
+          key: node.id,
+          name: node.name,
+          gradeLevel: node.gradeLevel,
+        })),
+        duration: reviewDuration,
+      });
+      session.estimatedDuration += reviewDuration;
+    }
+
     // Add explanation activity
     session.activities.push({
       type: 'explanation',
@@ -553,6 +596,27 @@ export class RemediationPlanner {
     return session;
   }
 
+  /**
+   * Skills that the topics in a pattern's recent mistakes build on,
+   * from the knowledge graph
+   */
+  getPrerequisiteSkills(pattern, subject) {
+    const topicKeys = new Set(
+      (pattern.recentMistakes || [])
+        .filter((mistake) => mistake.topicId)
+        .map((mistake) => nodeKey(graphSubject(mistake.subject || subject), mistake.topicId))
+    );
+
+    const skills = new Map();
+    topicKeys.forEach((key) => {
+      this.knowledgeGraph.getPrerequisites(key).forEach((node) => {
+        if (!topicKeys.has(node.id)) skills.set(node.id, node);
+      });
+    });
+
+    return Array.from(skills.values());
+  }
+
   /**
    * Generate session objectives
    */
@@ -5,6 +5,7 @@
  */
 
 import { getOfflineService } from './offlineService.js';
+import { apiFetch } from '../clientAuth.js';
 
 /**
  * Fetch with offline support
@@ -14,13 +15,13 @@ export async function offlineFetch(url, options = {}) {
   
   if (!offlineService) {
     // Fallback to regular fetch if service not available
-    return fetch(url, options);
+    return apiFetch(url, options);
   }
 
   // If online, try normal fetch
   if (offlineService.isOnlineStatus()) {
     try {
-      const response = await fetch(url, options);
+      const response = await apiFetch(url, options);
       return response;
     } catch (error) {
       // Network error - queue if it's a POST/PUT/DELETE
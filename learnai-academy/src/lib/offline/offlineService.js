@@ -9,6 +9,8 @@
  * - Cache management
  */
 
+import { apiFetch } from '../clientAuth.js';
+
 class OfflineService {
   constructor() {
     this.serviceWorkerRegistration = null;
@@ -130,7 +132,7 @@ class OfflineService {
   async executeAction(action) {
     const { type, url, method, body } = action;
 
-    const response = await fetch(url, {
+    const response = await apiFetch(url, {
       method: method || 'POST',
       headers: {
         'Content-Type': 'application/json',
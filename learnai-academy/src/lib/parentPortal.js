@@ -16,7 +16,7 @@
  * Empowers parents to support their child's learning journey effectively.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Alert types
 const ALERT_TYPES = {
@@ -485,7 +485,7 @@ export class ParentPortal {
  */
 export class ParentTeacherCommunication {
   constructor(apiKey, storageKey = 'parent_teacher_messages') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.parentPortal' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.conversations = this.loadConversations();
@@ -607,7 +607,7 @@ ${meetingData.additionalNotes || ''}`,
  */
 export class ParentHomeworkHelper {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.parentPortal' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
@@ -0,0 +1,146 @@
+/**
+ * Roles and Permissions
+ *
+ * The one table of who may do what, shared by the server (lib/rbac.js and
+ * the withAuth route wrapper) and the client (adminPanel.js, UI that hides
+ * actions a user can't take). Has no server-only imports so it can be
+ * bundled for the browser.
+ *
+ * A permission says what a role may do; which records it may do it to is
+ * decided by the relationship rules in lib/rbac.js (a parent's own
+ * children, a teacher's classes, an admin's school or district).
+ */
+
+export const ROLES = {
+  STUDENT: 'STUDENT',
+  PARENT: 'PARENT',
+  TEACHER: 'TEACHER',
+  SCHOOL_ADMIN: 'SCHOOL_ADMIN',
+  DISTRICT_ADMIN: 'DISTRICT_ADMIN',
+  PLATFORM_ADMIN: 'PLATFORM_ADMIN',
+};
+
+// Role names stored before these roles existed
+const LEGACY_ROLES = {
+  ADMIN: ROLES.PLATFORM_ADMIN,
+  SUPER_ADMIN: ROLES.PLATFORM_ADMIN,
+};
+
+export const PERMISSIONS = {
+  // Student profiles and learning records
+  STUDENT_READ: 'student:read',
+  STUDENT_CREATE: 'student:create',
+  STUDENT_UPDATE: 'student:update',
+  STUDENT_DELETE: 'student:delete',
+  PROGRESS_READ: 'progress:read',
+  MEMORY_MANAGE: 'memory:manage',
+
+  // Tutoring sessions, practice, assessments and rewards
+  LEARNING_PARTICIPATE: 'learning:participate',
+  ASSESSMENT_CREATE: 'assessment:create',
+
+  // Subjects, lessons, videos and generated curriculum
+  CONTENT_READ: 'content:read',
+  CONTENT_CREATE: 'content:create',
+  CONTENT_MANAGE: 'content:manage',
+
+  // Classes, assigned work and academic integrity
+  CLASS_MANAGE: 'class:manage',
+
+  // Progress reports and notifications to families
+  REPORT_SEND: 'report:send',
+
+  // Administration
+  USER_READ: 'user:read',
+  USER_CREATE: 'user:create',
+  USER_UPDATE: 'user:update',
+  USER_DELETE: 'user:delete',
+  ANALYTICS_READ: 'analytics:read',
+  AUDIT_LOG_READ: 'audit_log:read',
+  SETTINGS_MANAGE: 'settings:manage',
+  DATA_EXPORT: 'data:export',
+  DATA_IMPORT: 'data:import',
+  AI_COSTS_READ: 'ai_costs:read',
+  AI_BUDGET_MANAGE: 'ai_budget:manage',
+  PROMPT_MANAGE: 'prompt:manage',
+};
+
+const TEACHER_PERMISSIONS = [
+  PERMISSIONS.STUDENT_READ,
+  PERMISSIONS.PROGRESS_READ,
+  PERMISSIONS.ASSESSMENT_CREATE,
+  PERMISSIONS.CONTENT_READ,
+  PERMISSIONS.CONTENT_CREATE,
+  PERMISSIONS.CLASS_MANAGE,
+  PERMISSIONS.REPORT_SEND,
+  PERMISSIONS.USER_READ,
+];
+
+const SCHOOL_ADMIN_PERMISSIONS = [
+  ...TEACHER_PERMISSIONS,
+  PERMISSIONS.STUDENT_CREATE,
+  PERMISSIONS.STUDENT_UPDATE,
+  PERMISSIONS.USER_CREATE,
+  PERMISSIONS.USER_UPDATE,
+  PERMISSIONS.ANALYTICS_READ,
+  PERMISSIONS.DATA_EXPORT,
+];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.STUDENT]: [
+    PERMISSIONS.STUDENT_READ,
+    PERMISSIONS.PROGRESS_READ,
+    PERMISSIONS.MEMORY_MANAGE,
+    PERMISSIONS.LEARNING_PARTICIPATE,
+    // Diagnostic and practice assessments they take themselves
+    PERMISSIONS.ASSESSMENT_CREATE,
+    PERMISSIONS.CONTENT_READ,
+  ],
+  [ROLES.PARENT]: [
+    PERMISSIONS.STUDENT_READ,
+    PERMISSIONS.STUDENT_CREATE,
+    PERMISSIONS.STUDENT_UPDATE,
+    PERMISSIONS.STUDENT_DELETE,
+    PERMISSIONS.PROGRESS_READ,
+    PERMISSIONS.MEMORY_MANAGE,
+    PERMISSIONS.LEARNING_PARTICIPATE,
+    PERMISSIONS.ASSESSMENT_CREATE,
+    PERMISSIONS.CONTENT_READ,
+    PERMISSIONS.REPORT_SEND,
+  ],
+  [ROLES.TEACHER]: TEACHER_PERMISSIONS,
+  [ROLES.SCHOOL_ADMIN]: SCHOOL_ADMIN_PERMISSIONS,
+  [ROLES.DISTRICT_ADMIN]: [
+    ...SCHOOL_ADMIN_PERMISSIONS,
+    PERMISSIONS.STUDENT_DELETE,
+    PERMISSIONS.USER_DELETE,
+    PERMISSIONS.AUDIT_LOG_READ,
+    PERMISSIONS.SETTINGS_MANAGE,
+    PERMISSIONS.DATA_IMPORT,
+  ],
+  [ROLES.PLATFORM_ADMIN]: Object.values(PERMISSIONS),
+};
+
+// Roles that administer other users' accounts
+export const ADMIN_ROLES = [ROLES.SCHOOL_ADMIN, ROLES.DISTRICT_ADMIN, ROLES.PLATFORM_ADMIN];
+
+/**
+ * Canonical role for a stored role name ('ADMIN' -> PLATFORM_ADMIN,
+ * 'teacher' -> TEACHER). `is_admin` accounts are platform admins.
+ * @param {string} role - Role as stored on the user
+ * @param {boolean} isAdmin - The user's is_admin flag
+ * @returns {string|null} One of ROLES, or null for an unknown role
+ */
+export function normalizeRole(role, isAdmin = false) {
+  if (isAdmin) return ROLES.PLATFORM_ADMIN;
+
+  const name = String(role || '').toUpperCase();
+  return ROLES[name] || LEGACY_ROLES[name] || null;
+}
+
+/**
+ * Whether a role is granted a permission
+ */
+export function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
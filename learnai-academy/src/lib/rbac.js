@@ -0,0 +1,226 @@
+/**
+ * Role-Based Access Control
+ *
+ * Decides whether a signed-in user may use a permission (see
+ * lib/permissions.js) on a particular record. Every API route goes through
+ * withAuth (middleware/auth.js), which loads the user with loadPrincipal
+ * and calls authorize; routes whose record comes from the request body
+ * call authorize themselves.
+ *
+ * Relationship rules:
+ * - Students: the student themself, their parent, a teacher of one of
+ *   their classes, and admins of their school or district
+ * - Classes: the class owner or a member with role "teacher", and admins
+ *   of the owner's school or district
+ * - Sessions: whoever may access the session's student
+ * - Users: the user themself, and admins of their school or district
+ *
+ * Schools and districts are tenants; a school tenant's districtId names its
+ * district. Platform admins pass every relationship check. The role is read
+ * from the user record on each request, not from the token, so a role
+ * change applies immediately; likewise a revoked session (see
+ * lib/authSessions.js) signs the user out on their next request.
+ */
+
+import prisma from './prisma.js';
+import { ROLES, normalizeRole, roleHasPermission } from './permissions.js';
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, normalizeRole, roleHasPermission } from './permissions.js';
+
+// Class members who teach it (team_members.role)
+const TEACHER_MEMBER_ROLE = 'teacher';
+
+const TENANT_SELECT = { tenantId: true, tenants: { select: { districtId: true } } };
+
+/**
+ * Load the user a verified token belongs to
+ * @param {Object} token - Decoded JWT ({ userId, sid })
+ * @returns {Promise<Object|null>} { userId, email, role, tenantId, districtId, sessionId },
+ *   or null if the account is gone or the token's session was revoked
+ */
+export async function loadPrincipal(token) {
+  // Tokens without a session (issued before lib/authSessions.js) can't be revoked
+  if (!token?.userId || !token.sid) return null;
+
+  const session = await prisma.authSession.findUnique({
+    where: { id: token.sid },
+    select: { userId: true, revokedAt: true, expiresAt: true },
+  });
+  if (!session || session.userId !== token.userId || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const account = await prisma.user.findUnique({
+    where: { id: token.userId },
+    select: { id: true, email: true, role: true, is_admin: true, ...TENANT_SELECT },
+  });
+  if (!account) return null;
+
+  return {
+    userId: account.id,
+    email: account.email,
+    role: normalizeRole(account.role, account.is_admin),
+    tenantId: account.tenantId || null,
+    districtId: account.tenants?.districtId || null,
+    sessionId: token.sid,
+  };
+}
+
+export function isPlatformAdmin(principal) {
+  return principal?.role === ROLES.PLATFORM_ADMIN;
+}
+
+/**
+ * Whether a school or district admin administers a tenant
+ * @param {Object} account - Record with tenantId and tenants.districtId
+ */
+function administersTenant(principal, account) {
+  const tenantId = account?.tenantId;
+  if (!tenantId || !principal.tenantId) return false;
+
+  if (principal.role === ROLES.SCHOOL_ADMIN) {
+    return tenantId === principal.tenantId;
+  }
+  if (principal.role === ROLES.DISTRICT_ADMIN) {
+    return tenantId === principal.tenantId || account.tenants?.districtId === principal.tenantId;
+  }
+  return false;
+}
+
+function teachesClass(userId) {
+  return {
+    OR: [
+      { ownerId: userId },
+      { team_members: { some: { userId, role: TEACHER_MEMBER_ROLE } } },
+    ],
+  };
+}
+
+/**
+ * Whether a user may act on a student's records
+ * @param {Object} principal - From loadPrincipal
+ * @param {string} studentId - Student ID
+ */
+export async function canAccessStudent(principal, studentId) {
+  if (!principal || !studentId) return false;
+  if (isPlatformAdmin(principal)) return true;
+
+  const student = await prisma.student.findUnique({
+    where: { id: studentId },
+    select: { userId: true, parentId: true, user: { select: TENANT_SELECT } },
+  });
+  if (!student) return false;
+
+  if (student.userId === principal.userId || student.parentId === principal.userId) {
+    return true;
+  }
+
+  if (principal.role === ROLES.TEACHER && student.userId) {
+    const membership = await prisma.team_members.findFirst({
+      where: { userId: student.userId, teams: teachesClass(principal.userId) },
+      select: { id: true },
+    });
+    return Boolean(membership);
+  }
+
+  return administersTenant(principal, student.user);
+}
+
+/**
+ * Whether a user teaches or administers a class (a team)
+ * @param {Object} principal - From loadPrincipal
+ * @param {string} classId - Team ID
+ */
+export async function canManageClass(principal, classId) {
+  if (!principal || !classId) return false;
+  if (isPlatformAdmin(principal)) return true;
+
+  const team = await prisma.teams.findUnique({
+    where: { id: classId },
+    include: { team_members: true, users: { select: TENANT_SELECT } },
+  });
+  if (!team) return false;
+
+  const teaches = team.ownerId === principal.userId || team.team_members.some(member =>
+    member.userId === principal.userId && member.role === TEACHER_MEMBER_ROLE
+  );
+
+  return teaches || administersTenant(principal, team.users);
+}
+
+/**
+ * Whether a user may act on a learning session (through its student)
+ */
+export async function canAccessSession(principal, sessionId) {
+  if (!principal || !sessionId) return false;
+  if (isPlatformAdmin(principal)) return true;
+
+  const session = await prisma.learningSession.findUnique({
+    where: { id: sessionId },
+    select: { studentId: true },
+  });
+
+  return Boolean(session) && canAccessStudent(principal, session.studentId);
+}
+
+/**
+ * Whether a user may act on another user's account
+ */
+export async function canAccessUser(principal, userId) {
+  if (!principal || !userId) return false;
+  if (principal.userId === userId || isPlatformAdmin(principal)) return true;
+
+  const account = await prisma.user.findUnique({
+    where: { id: userId },
+    select: TENANT_SELECT,
+  });
+
+  return administersTenant(principal, account);
+}
+
+/**
+ * Prisma `where` clause for the students a user may list
+ * @param {Object} principal - From loadPrincipal
+ * @returns {Object|null} Where clause, or null when the user sees no students
+ */
+export function studentScope(principal) {
+  switch (principal?.role) {
+    case ROLES.PLATFORM_ADMIN:
+      return {};
+    case ROLES.DISTRICT_ADMIN:
+      return principal.tenantId
+        ? { user: { OR: [{ tenantId: principal.tenantId }, { tenants: { districtId: principal.tenantId } }] } }
+        : null;
+    case ROLES.SCHOOL_ADMIN:
+      return principal.tenantId ? { user: { tenantId: principal.tenantId } } : null;
+    case ROLES.TEACHER:
+      return { user: { team_members: { some: { teams: teachesClass(principal.userId) } } } };
+    case ROLES.PARENT:
+      return { parentId: principal.userId };
+    case ROLES.STUDENT:
+      return { userId: principal.userId };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a permission, and the relationship to a record when one is given
+ * @param {Object} principal - From loadPrincipal
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} resource - Optional: { studentId }, { classId }, { sessionId } or { userId }
+ * @returns {Promise<boolean>}
+ */
+export async function authorize(principal, permission, resource = null) {
+  if (!principal || !roleHasPermission(principal.role, permission)) {
+    return false;
+  }
+  if (!resource) return true;
+
+  if ('studentId' in resource) return canAccessStudent(principal, resource.studentId);
+  if ('classId' in resource) return canManageClass(principal, resource.classId);
+  if ('sessionId' in resource) return canAccessSession(principal, resource.sessionId);
+  if ('userId' in resource) return canAccessUser(principal, resource.userId);
+
+  throw new Error(`Unknown resource for ${permission}: ${Object.keys(resource).join(', ')}`);
+}
@@ -0,0 +1,379 @@
+/**
+ * Skill Graph
+ * Prerequisite graph of the skills taught across every subject and grade
+ *
+ * - Nodes are skills, keyed "<subject>:<topic>" (e.g. "math:fractions-intro")
+ * - Edges run from one skill to another:
+ *   - prerequisite: `from` must be learned before `to`
+ *   - extends: `to` takes `from` further (long division extends division)
+ *   - related: the two are connected, in no particular order
+ * - Prerequisite and extends edges order skills, so together they must
+ *   never form a cycle
+ * - Graphs travel as JSON ({ nodes, edges }) or GraphML, so they can be
+ *   edited in graph tools and loaded back
+ *
+ * Pure functions only: used by the knowledge graph service and the client
+ * KnowledgeGraph.
+ */
+
+export const EDGE_TYPES = {
+  PREREQUISITE: 'prerequisite',
+  RELATED: 'related',
+  EXTENDS: 'extends',
+};
+
+// Edge types that say which skill comes first
+export const ORDERED_EDGE_TYPES = [EDGE_TYPES.PREREQUISITE, EDGE_TYPES.EXTENDS];
+
+export const GRAPH_FORMAT_VERSION = 1;
+
+// Node fields carried in exports, with their GraphML types
+const NODE_FIELDS = {
+  subject: 'string',
+  name: 'string',
+  description: 'string',
+  gradeLevel: 'int',
+  difficulty: 'int',
+  topicSlug: 'string',
+};
+
+export function nodeKey(subject, topic) {
+  return `${subject}:${topic}`;
+}
+
+export function isOrdered(edge) {
+  return ORDERED_EDGE_TYPES.includes(edge.type);
+}
+
+/**
+ * Outgoing ordered edges by node key
+ */
+function successors(edges) {
+  const next = new Map();
+  for (const edge of edges) {
+    if (!isOrdered(edge)) continue;
+    if (!next.has(edge.from)) next.set(edge.from, []);
+    next.get(edge.from).push(edge.to);
+  }
+  return next;
+}
+
+/**
+ * A path of ordered edges between two nodes, if there is one
+ * @returns {Array|null} Node keys from `from` to `to`
+ */
+export function findPath(edges, from, to) {
+  const next = successors(edges);
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    if (key === to) {
+      const path = [];
+      for (let step = key; step !== null; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+    for (const neighbour of next.get(key) || []) {
+      if (!previous.has(neighbour)) {
+        previous.set(neighbour, key);
+        queue.push(neighbour);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The cycle adding an edge would close, if any
+ * @returns {Array|null} Node keys around the cycle, starting and ending at edge.from
+ */
+export function cycleWithEdge(edges, edge) {
+  if (!isOrdered(edge)) return null;
+  if (edge.from === edge.to) return [edge.from, edge.to];
+
+  const back = findPath(edges, edge.to, edge.from);
+  return back ? [edge.from, ...back] : null;
+}
+
+/**
+ * A cycle among the ordered edges, if any
+ * @returns {Array|null} Node keys around the cycle, first and last the same
+ */
+export function findCycle(edges) {
+  const next = successors(edges);
+  const state = new Map(); // key -> 'visiting' | 'done'
+
+  for (const start of next.keys()) {
+    if (state.has(start)) continue;
+
+    // Iterative depth-first search, keeping the current path for the report
+    const path = [start];
+    const iterators = [next.get(start)[Symbol.iterator]()];
+    state.set(start, 'visiting');
+
+    while (path.length > 0) {
+      const step = iterators[iterators.length - 1].next();
+      if (step.done) {
+        state.set(path.pop(), 'done');
+        iterators.pop();
+        continue;
+      }
+
+      const neighbour = step.value;
+      if (state.get(neighbour) === 'visiting') {
+        return [...path.slice(path.indexOf(neighbour)), neighbour];
+      }
+      if (!state.has(neighbour)) {
+        state.set(neighbour, 'visiting');
+        path.push(neighbour);
+        iterators.push((next.get(neighbour) || [])[Symbol.iterator]());
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Direct prerequisites of a node
+ */
+export function prerequisitesOf(edges, key) {
+  return edges
+    .filter(edge => edge.type === EDGE_TYPES.PREREQUISITE && edge.to === key)
+    .map(edge => edge.from);
+}
+
+/**
+ * Every skill a node builds on, nearest first
+ * @param {Array} edges
+ * @param {string} key
+ * @param {Object} [options] - { types: edge types to follow (default: ordered), maxDepth }
+ * @returns {Array} [{ key, depth }] - depth 1 for direct prerequisites
+ */
+export function ancestorsOf(edges, key, { types = ORDERED_EDGE_TYPES, maxDepth = Infinity } = {}) {
+  const parents = new Map();
+  for (const edge of edges) {
+    if (!types.includes(edge.type)) continue;
+    if (!parents.has(edge.to)) parents.set(edge.to, []);
+    parents.get(edge.to).push(edge.from);
+  }
+
+  const depths = new Map([[key, 0]]);
+  const queue = [key];
+  const ancestors = [];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const depth = depths.get(current);
+    if (depth >= maxDepth) continue;
+
+    for (const parent of parents.get(current) || []) {
+      if (depths.has(parent)) continue;
+      depths.set(parent, depth + 1);
+      ancestors.push({ key: parent, depth: depth + 1 });
+      queue.push(parent);
+    }
+  }
+
+  return ancestors;
+}
+
+/**
+ * Problems with a graph: missing or duplicate nodes, unknown edge types,
+ * edges to nodes that don't exist, and cycles
+ * @param {Object} graph - { nodes, edges }
+ * @returns {Object} { valid, errors, cycle }
+ */
+export function validateGraph({ nodes = [], edges = [] }) {
+  const errors = [];
+  const keys = new Set();
+
+  for (const node of nodes) {
+    if (!node.key || !node.subject || !node.name) {
+      errors.push(`Node ${node.key || '(no key)'} needs a key, subject and name`);
+      continue;
+    }
+    if (keys.has(node.key)) {
+      errors.push(`Duplicate node ${node.key}`);
+    }
+    keys.add(node.key);
+  }
+
+  const seen = new Set();
+  for (const edge of edges) {
+    const label = `${edge.from} -> ${edge.to} (${edge.type})`;
+    if (!Object.values(EDGE_TYPES).includes(edge.type)) {
+      errors.push(`Unknown edge type in ${label}`);
+    }
+    if (!keys.has(edge.from) || !keys.has(edge.to)) {
+      errors.push(`Edge ${label} refers to a missing node`);
+    }
+    if (edge.from === edge.to) {
+      errors.push(`Edge ${label} points at itself`);
+    }
+    const id = `${edge.from}|${edge.to}|${edge.type}`;
+    if (seen.has(id)) {
+      errors.push(`Duplicate edge ${label}`);
+    }
+    seen.add(id);
+  }
+
+  const cycle = findCycle(edges);
+  if (cycle) {
+    errors.push(`Cycle: ${cycle.join(' -> ')}`);
+  }
+
+  return { valid: errors.length === 0, errors, cycle };
+}
+
+/**
+ * Graph as exported JSON
+ */
+export function toJSON({ nodes, edges }) {
+  return {
+    version: GRAPH_FORMAT_VERSION,
+    nodes: nodes.map(node => ({
+      key: node.key,
+      ...Object.fromEntries(Object.keys(NODE_FIELDS).map(field => [field, node[field] ?? null])),
+    })),
+    edges: edges.map(({ from, to, type }) => ({ from, to, type })),
+  };
+}
+
+/**
+ * Graph from exported JSON (not validated)
+ */
+export function fromJSON(data) {
+  const json = typeof data === 'string' ? JSON.parse(data) : data;
+  return {
+    nodes: (json.nodes || []).map(node => ({
+      key: String(node.key),
+      subject: node.subject,
+      name: node.name,
+      description: node.description ?? null,
+      gradeLevel: node.gradeLevel ?? null,
+      difficulty: node.difficulty ?? null,
+      topicSlug: node.topicSlug ?? null,
+    })),
+    edges: (json.edges || []).map(edge => ({
+      from: String(edge.from),
+      to: String(edge.to),
+      type: edge.type || EDGE_TYPES.PREREQUISITE,
+    })),
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Graph as GraphML
+ */
+export function toGraphML({ nodes, edges }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...Object.entries(NODE_FIELDS).map(([field, type]) =>
+      `  <key id="${field}" for="node" attr.name="${field}" attr.type="${type}"/>`
+    ),
+    '  <key id="type" for="edge" attr.name="type" attr.type="string"/>',
+    '  <graph id="skills" edgedefault="directed">',
+  ];
+
+  for (const node of nodes) {
+    lines.push(`    <node id="${escapeXml(node.key)}">`);
+    for (const field of Object.keys(NODE_FIELDS)) {
+      if (node[field] !== null && node[field] !== undefined && node[field] !== '') {
+        lines.push(`      <data key="${field}">${escapeXml(node[field])}</data>`);
+      }
+    }
+    lines.push('    </node>');
+  }
+
+  for (const edge of edges) {
+    lines.push(
+      `    <edge source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">` +
+      `<data key="type">${escapeXml(edge.type)}</data></edge>`
+    );
+  }
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n');
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w.:-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[name] = unescapeXml(value);
+  }
+  return attrs;
+}
+
+function dataValues(body, keyNames) {
+  const values = {};
+  for (const [, attrs, value] of (body || '').matchAll(/<data\s+([^>]*)>([\s\S]*?)<\/data>/g)) {
+    const key = attributes(attrs).key;
+    values[keyNames.get(key) || key] = unescapeXml(value.trim());
+  }
+  return values;
+}
+
+/**
+ * Graph from GraphML, as written by toGraphML or a graph editor. Data keys
+ * are matched by their attr.name, so tools that number them (d0, d1, ...)
+ * still load. Edges without a type are prerequisites.
+ */
+export function fromGraphML(xml) {
+  if (!/<graphml[\s>]/.test(xml)) {
+    throw new Error('Not a GraphML document');
+  }
+
+  const keyNames = new Map();
+  for (const [tag] of xml.matchAll(/<key\s[^>]*>/g)) {
+    const attrs = attributes(tag);
+    keyNames.set(attrs.id, attrs['attr.name'] || attrs.id);
+  }
+
+  const nodes = [];
+  for (const [, attrs, body] of xml.matchAll(/<node\s([^>]*?)(?:\/>|>([\s\S]*?)<\/node>)/g)) {
+    const data = dataValues(body, keyNames);
+    const key = attributes(attrs).id;
+    nodes.push({
+      key,
+      subject: data.subject || key.split(':')[0],
+      name: data.name || data.label || key,
+      description: data.description || null,
+      gradeLevel: data.gradeLevel !== undefined ? Number(data.gradeLevel) : null,
+      difficulty: data.difficulty !== undefined ? Number(data.difficulty) : null,
+      topicSlug: data.topicSlug || null,
+    });
+  }
+
+  const edges = [];
+  for (const [, attrs, body] of xml.matchAll(/<edge\s([^>]*?)(?:\/>|>([\s\S]*?)<\/edge>)/g)) {
+    const { source, target } = attributes(attrs);
+    const data = dataValues(body, keyNames);
+    edges.push({ from: source, to: target, type: data.type || EDGE_TYPES.PREREQUISITE });
+  }
+
+  return { nodes, edges };
+}
@@ -17,7 +17,7 @@
  * Transforms note-taking from manual recording to intelligent learning tool.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Note types
 const NOTE_TYPES = {
@@ -42,7 +42,7 @@ const NOTE_FORMATS = {
  */
 export class SmartNoteManager {
   constructor(apiKey, storageKey = 'smart_notes') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.smartNoteTaking' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.notes = this.loadNotes();
@@ -476,7 +476,7 @@ export class CornellNotesManager {
  */
 export class VoiceNotesTranscriber {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.smartNoteTaking' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.recognition = this.initSpeechRecognition();
   }
@@ -1,34 +1,25 @@
 /**
  * Spaced Repetition System
- * Implements evidence-based algorithms for long-term retention
- * Based on SM-2 algorithm with modifications for K-12 learners
+ * Local review cards for a student, kept in localStorage
+ *
+ * Cards are scheduled with FSRS (lib/fsrs.js), the same way as the
+ * server's review scheduler (services/learning/spacedRepetitionService),
+ * so a card comes due at the same time wherever it's reviewed. The server
+ * is the record: SpacedRepetitionReview imports these cards with their
+ * review history and then removes them from this store.
  */
 
-/**
- * Repetition intervals in days
- * Based on cognitive science research
- */
-const DEFAULT_INTERVALS = [1, 3, 7, 14, 30, 60, 120, 240];
+import {
+  CARD_STATES,
+  newCard,
+  reviewCard,
+  qualityToRating,
+} from './fsrs';
 
-/**
- * Grade-specific interval adjustments
- * Younger students need more frequent reviews
- */
-const GRADE_INTERVALS = {
-  K: [1, 2, 4, 7, 14, 21, 35, 60],      // Shorter intervals for kindergarten
-  1: [1, 2, 4, 7, 14, 21, 35, 60],
-  2: [1, 2, 5, 8, 16, 25, 40, 70],
-  3: [1, 3, 6, 10, 18, 30, 50, 90],
-  4: [1, 3, 6, 12, 21, 35, 60, 100],
-  5: [1, 3, 7, 14, 25, 40, 70, 120],
-  6: [1, 3, 7, 14, 30, 50, 90, 150],    // Standard intervals start here
-  7: [1, 3, 7, 14, 30, 60, 120, 180],
-  8: [1, 3, 7, 14, 30, 60, 120, 240],
-  9: [1, 3, 7, 14, 30, 60, 120, 240],
-  10: [1, 3, 7, 14, 30, 60, 120, 240],
-  11: [1, 3, 7, 14, 30, 60, 120, 240],
-  12: [1, 3, 7, 14, 30, 60, 120, 240],
-};
+export const STORAGE_KEY = 'learnai_spaced_repetition';
+
+// Cards whose stability passes this many days count as mastered
+const MASTERED_STABILITY_DAYS = 21;
 
 /**
  * Card represents a single learning item for spaced repetition
@@ -46,11 +37,6 @@ class RepetitionCard {
     this.conceptText = data.conceptText; // For concept-based review
     this.difficulty = data.difficulty || 5;
 
-    // SM-2 algorithm parameters
-    this.easinessFactor = data.easinessFactor || 2.5; // 1.3 - 2.5
-    this.interval = data.interval || 0; // Days until next review
-    this.repetitions = data.repetitions || 0; // Number of successful reviews
-
     // Timing
     this.createdAt = data.createdAt || new Date().toISOString();
     this.lastReviewedAt = data.lastReviewedAt || null;
@@ -64,76 +50,59 @@ class RepetitionCard {
     this.reviewHistory = data.reviewHistory || [];
     this.totalReviews = data.totalReviews || 0;
     this.successfulReviews = data.successfulReviews || 0;
+
+    // FSRS memory state. Cards saved before FSRS have none, so it's
+    // rebuilt from their review history.
+    this.memory = data.memory || this.replayHistory();
+    this.interval = data.interval || 0; // Days until next review
+    this.repetitions = this.memory.reps;
   }
 
   generateId() {
     return `card_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  replayHistory() {
+    let memory = newCard();
+    for (const entry of this.reviewHistory) {
+      memory = reviewCard(memory, qualityToRating(entry.quality), new Date(entry.timestamp)).card;
+    }
+    return this.serializeMemory(memory);
+  }
+
+  serializeMemory(memory) {
+    return {
+      state: memory.state,
+      stability: memory.stability,
+      difficulty: memory.difficulty,
+      reps: memory.reps,
+      lapses: memory.lapses,
+      lastReviewedAt: memory.lastReviewedAt ? new Date(memory.lastReviewedAt).toISOString() : null,
+      dueAt: new Date(memory.dueAt).toISOString(),
+    };
+  }
+
   /**
    * Calculate next review date based on performance
-   * Using modified SM-2 algorithm
+   * @param {number} quality - 0-5 recall quality
+   * @param {Date} [now]
    */
-  calculateNextReview(quality, gradeLevel) {
-    // quality: 0-5 scale
-    // 0-1: Total blackout, complete failure
-    // 2: Incorrect but remembered something
-    // 3: Correct with serious difficulty
-    // 4: Correct with hesitation
-    // 5: Perfect recall
-
-    // Update easiness factor
-    const oldEF = this.easinessFactor;
-    this.easinessFactor = Math.max(
-      1.3,
-      oldEF + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
-    );
+  calculateNextReview(quality, now = new Date()) {
+    const { card, log } = reviewCard(this.memory, qualityToRating(quality), now);
 
-    // Get grade-appropriate intervals
-    const intervals = GRADE_INTERVALS[gradeLevel] || DEFAULT_INTERVALS;
+    this.memory = this.serializeMemory(card);
+    this.interval = log.scheduledDays;
+    this.repetitions = card.reps;
+    this.nextReviewAt = this.memory.dueAt;
+    this.lastReviewedAt = this.memory.lastReviewedAt;
 
-    // Calculate interval based on quality
-    if (quality < 3) {
-      // Failed recall - start over
-      this.repetitions = 0;
-      this.interval = 0;
+    if (card.state !== CARD_STATES.REVIEW) {
       this.status = 'learning';
-      this.nextReviewAt = this.addDays(new Date(), 0.5); // Review later today
+    } else if (card.stability >= MASTERED_STABILITY_DAYS) {
+      this.status = 'mastered';
     } else {
-      // Successful recall
-      this.repetitions++;
-
-      if (this.repetitions === 1) {
-        this.interval = intervals[0];
-        this.status = 'learning';
-      } else if (this.repetitions === 2) {
-        this.interval = intervals[1];
-        this.status = 'learning';
-      } else {
-        // Use exponential growth with easiness factor
-        const baseInterval = intervals[Math.min(this.repetitions - 1, intervals.length - 1)];
-        this.interval = Math.round(baseInterval * this.easinessFactor);
-        this.status = 'review';
-
-        // Mark as mastered after 6+ successful reviews
-        if (this.repetitions >= 6 && this.easinessFactor >= 2.3) {
-          this.status = 'mastered';
-        }
-      }
-
-      this.nextReviewAt = this.addDays(new Date(), this.interval);
+      this.status = 'review';
     }
-
-    this.lastReviewedAt = new Date().toISOString();
-  }
-
-  /**
-   * Add days to date
-   */
-  addDays(date, days) {
-    const result = new Date(date);
-    result.setDate(result.getDate() + days);
-    return result.toISOString();
   }
 
   /**
@@ -150,8 +119,6 @@ class RepetitionCard {
       quality,
       timeSpent,
       correct,
-      interval: this.interval,
-      easinessFactor: this.easinessFactor,
     });
 
     // Keep only last 50 reviews
@@ -280,7 +247,7 @@ export class SpacedRepetitionSystem {
     card.recordReview(quality, timeSpent, correct);
 
     // Calculate next review
-    card.calculateNextReview(quality, card.gradeLevel);
+    card.calculateNextReview(quality);
 
     this.saveData();
 
@@ -289,7 +256,7 @@ export class SpacedRepetitionSystem {
       nextReviewAt: card.nextReviewAt,
       interval: card.interval,
       status: card.status,
-      easinessFactor: card.easinessFactor,
+      stability: card.memory.stability,
     };
   }
 
@@ -308,12 +275,12 @@ export class SpacedRepetitionSystem {
       retired: 0,
       dueToday: 0,
       dueThisWeek: 0,
-      averageEasinessFactor: 0,
+      averageStability: 0,
       totalReviews: 0,
       successRate: 0,
     };
 
-    let efSum = 0;
+    let stabilitySum = 0;
     let totalSuccessful = 0;
     let totalAttempts = 0;
     const today = new Date();
@@ -322,7 +289,7 @@ export class SpacedRepetitionSystem {
 
     cards.forEach((card) => {
       stats[card.status]++;
-      efSum += card.easinessFactor;
+      stabilitySum += card.memory.stability;
       totalSuccessful += card.successfulReviews;
       totalAttempts += card.totalReviews;
       stats.totalReviews += card.totalReviews;
@@ -335,7 +302,7 @@ export class SpacedRepetitionSystem {
       }
     });
 
-    stats.averageEasinessFactor = cards.length > 0 ? efSum / cards.length : 0;
+    stats.averageStability = cards.length > 0 ? stabilitySum / cards.length : 0;
     stats.successRate = totalAttempts > 0 ? (totalSuccessful / totalAttempts) * 100 : 0;
 
     return stats;
@@ -426,7 +393,7 @@ export class SpacedRepetitionSystem {
     const card = this.getCard(cardId);
     if (!card) return null;
 
-    card.easinessFactor = 2.5;
+    card.memory = card.serializeMemory(newCard());
     card.interval = 0;
     card.repetitions = 0;
     card.status = 'new';
@@ -436,13 +403,21 @@ export class SpacedRepetitionSystem {
     return card;
   }
 
+  /**
+   * Remove cards, e.g. once they've been imported to the server
+   */
+  removeCards(cardIds) {
+    cardIds.forEach((cardId) => this.cards.delete(cardId));
+    this.saveData();
+  }
+
   /**
    * Load data from storage
    */
   loadData() {
     try {
       if (this.storage === 'localStorage' && typeof localStorage !== 'undefined') {
-        const data = localStorage.getItem('learnai_spaced_repetition');
+        const data = localStorage.getItem(STORAGE_KEY);
         if (data) {
           const parsed = JSON.parse(data);
           this.cards = new Map(
@@ -468,7 +443,7 @@ export class SpacedRepetitionSystem {
           cards: Object.fromEntries(this.cards),
           lastUpdated: new Date().toISOString(),
         };
-        localStorage.setItem('learnai_spaced_repetition', JSON.stringify(data));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
       }
     } catch (error) {
       console.error('Error saving spaced repetition data:', error);
@@ -481,7 +456,7 @@ export class SpacedRepetitionSystem {
   clearData() {
     this.cards.clear();
     if (this.storage === 'localStorage' && typeof localStorage !== 'undefined') {
-      localStorage.removeItem('learnai_spaced_repetition');
+      localStorage.removeItem(STORAGE_KEY);
     }
   }
 }
@@ -711,4 +686,4 @@ schedule.forEach((day) => {
 });
 */
 
-export { RepetitionCard, DEFAULT_INTERVALS, GRADE_INTERVALS };
+export { RepetitionCard };
@@ -0,0 +1,103 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * Server side: turn an async iterable of `{ type, ...data }` events into a
+ * `text/event-stream` Response.
+ * Client side: read such a response back into the same events.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode a single SSE frame
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ * @returns {string}
+ */
+export function encodeSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create a streaming SSE response from an async iterable of events
+ * Each event's `type` becomes the SSE event name. Errors thrown by the
+ * iterable are sent as a final `error` event.
+ *
+ * @param {AsyncIterable<Object>} events - Events to stream
+ * @param {Object} options - Options
+ * @param {Function} options.onError - Called with the error before the error event is sent
+ * @returns {Response}
+ */
+export function createSSEResponse(events, { onError } = {}) {
+  const iterator = events[Symbol.asyncIterator]();
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        const { type, ...data } = value;
+        controller.enqueue(encoder.encode(encodeSSE(type, data)));
+      } catch (error) {
+        onError?.(error);
+        controller.enqueue(encoder.encode(encodeSSE('error', {
+          error: 'Failed to process message',
+        })));
+        controller.close();
+      }
+    },
+    async cancel() {
+      // Client went away - stop generating
+      await iterator.return?.();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    },
+  });
+}
+
+/**
+ * Read an SSE response, calling `onEvent` for each event
+ * @param {Response} response - Fetch response with an event-stream body
+ * @param {Function} onEvent - Called with `{ type, ...data }`
+ */
+export async function readSSE(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Frames are separated by a blank line
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, separator);
+      buffer = buffer.slice(separator + 2);
+
+      let type = 'message';
+      let data = '';
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+
+      if (data) {
+        onEvent({ type, ...JSON.parse(data) });
+      }
+    }
+  }
+}
@@ -16,7 +16,7 @@
  * Helps students maximize scores on tests that shape their future.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Supported test types
 const TEST_TYPES = {
@@ -64,7 +64,7 @@ const SCORE_RANGES = {
  */
 export class StandardizedTestPrep {
   constructor(apiKey, storageKey = 'test_prep_data') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.standardizedTestPrep' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.prepData = this.loadData();
@@ -18,7 +18,7 @@
  * Empowers students with data-driven self-awareness.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Goal types
 const GOAL_TYPES = {
@@ -64,10 +64,7 @@ export class StudentDashboardManager {
   constructor(storageKey = 'student_dashboards') {
     this.storageKey = storageKey;
     this.dashboards = this.loadDashboards();
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      dangerouslyAllowBrowser: true,
-    });
+    this.client = llmGateway.messagesClient({ agentType: 'lib.studentDashboard' });
     this.model = 'claude-sonnet-4-5-20250929';
   }
 
@@ -16,7 +16,7 @@
  * Helps students maximize learning efficiency through smart time management.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Study session types
 const SESSION_TYPES = {
@@ -85,7 +85,7 @@ const STUDY_TECHNIQUES = {
  */
 export class StudyScheduleOptimizer {
   constructor(apiKey, storageKey = 'study_schedules') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.studyScheduleOptimizer' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.schedules = this.loadSchedules();
@@ -18,7 +18,7 @@
  * Makes video learning interactive, trackable, and effective.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Video types
 const VIDEO_TYPES = {
@@ -56,7 +56,7 @@ const INTERACTION_TYPES = {
  */
 export class VideoLearningManager {
   constructor(apiKey, storageKey = 'video_platform') {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.videoLearningPlatform' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.storageKey = storageKey;
     this.videos = this.loadVideos();
@@ -16,7 +16,7 @@
  * Creates safe, productive collaborative learning environments.
  */
 
-import Anthropic from '@anthropic-ai/sdk';
+import { llmGateway } from '@/services/ai/llmGateway';
 
 // Room types
 const ROOM_TYPES = {
@@ -308,7 +308,7 @@ export class VirtualStudyRoom {
  */
 export class AIModerator {
   constructor(apiKey) {
-    this.client = new Anthropic({ apiKey });
+    this.client = llmGateway.messagesClient({ apiKey, agentType: 'lib.virtualStudyRooms' });
     this.model = 'claude-sonnet-4-5-20250929';
     this.interventionCooldown = 5 * 60 * 1000; // 5 minutes
     this.lastIntervention = {};
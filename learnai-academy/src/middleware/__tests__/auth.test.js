@@ -0,0 +1,144 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { withAuth, studentFromQuery } from '../auth';
+import { verifyToken } from '../../lib/auth.js';
+import { PERMISSIONS } from '../../lib/permissions.js';
+import prisma from '../../lib/prisma.js';
+
+jest.mock('../../lib/auth.js', () => ({
+  verifyToken: jest.fn(),
+  generateToken: jest.fn(),
+  requireAuth: jest.fn(),
+}));
+
+const request = new Request('http://localhost/api/students/student-1?studentId=student-1');
+
+describe('withAuth', () => {
+  const handler = jest.fn(async (req, { user }) => Response.json({ userId: user?.userId ?? null }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verifyToken.mockResolvedValue({ userId: 'parent-user', role: 'PARENT', sid: 'session-1' });
+    prisma.authSession.findUnique.mockResolvedValue({ userId: 'parent-user', revokedAt: null, expiresAt: new Date(Date.now() + 60000) });
+    prisma.user.findUnique.mockResolvedValue({ id: 'parent-user', email: 'p@example.com', role: 'PARENT', is_admin: false });
+    prisma.student.findUnique.mockResolvedValue({ userId: 'student-user', parentId: 'parent-user', user: null });
+  });
+
+  it('should return 401 without a valid token or account', async () => {
+    verifyToken.mockResolvedValueOnce(null);
+    const route = withAuth(handler);
+
+    expect((await route(request, {})).status).toBe(401);
+
+    prisma.user.findUnique.mockResolvedValueOnce(null);
+    expect((await route(request, {})).status).toBe(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should return 401 once the token\'s session is revoked', async () => {
+    prisma.authSession.findUnique.mockResolvedValueOnce({ userId: 'parent-user', revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) });
+    const route = withAuth(handler);
+
+    expect((await route(request, {})).status).toBe(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 when the role lacks the permission', async () => {
+    const route = withAuth(handler, { permission: PERMISSIONS.AI_COSTS_READ });
+    const response = await route(request, {});
+
+    expect(response.status).toBe(403);
+    expect(await response.json()).toEqual({ error: 'Access denied' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should return 403 for a student the user is not related to', async () => {
+    prisma.student.findUnique.mockResolvedValue({ userId: 'other-student', parentId: 'other-parent', user: null });
+    const route = withAuth(handler, {
+      permission: PERMISSIONS.PROGRESS_READ,
+      resource: ({ params }) => ({ studentId: params.id }),
+    });
+
+    expect((await route(request, { params: { id: 'student-1' } })).status).toBe(403);
+  });
+
+  it('should pass the user to the handler when allowed', async () => {
+    const route = withAuth(handler, {
+      permission: PERMISSIONS.PROGRESS_READ,
+      resource: studentFromQuery,
+    });
+    const response = await route(request, { params: {} });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ userId: 'parent-user' });
+    expect(prisma.student.findUnique).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'student-1' } }));
+  });
+
+  it('should skip authentication for anonymous routes', async () => {
+    const route = withAuth(handler, { anonymous: true });
+
+    expect((await route(request, {})).status).toBe(200);
+    expect(verifyToken).not.toHaveBeenCalled();
+  });
+
+  describe('cron routes', () => {
+    const cronRequest = (authorization) => new Request('http://localhost/api/cron/weekly-reports', {
+      method: 'POST',
+      headers: authorization ? { authorization } : {},
+    });
+
+    afterEach(() => {
+      delete process.env.CRON_SECRET;
+    });
+
+    it('should run with the cron secret', async () => {
+      process.env.CRON_SECRET = 'cron-secret';
+      const route = withAuth(handler, { cron: true });
+
+      expect((await route(cronRequest('Bearer cron-secret'), {})).status).toBe(200);
+      expect(verifyToken).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 without the cron secret', async () => {
+      process.env.CRON_SECRET = 'cron-secret';
+      const route = withAuth(handler, { cron: true });
+
+      expect((await route(cronRequest('Bearer wrong'), {})).status).toBe(401);
+      expect((await route(cronRequest(), {})).status).toBe(401);
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 when CRON_SECRET is not set', async () => {
+      const route = withAuth(handler, { cron: true });
+
+      expect((await route(cronRequest('Bearer undefined'), {})).status).toBe(503);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('API routes', () => {
+  const apiDir = path.join(__dirname, '../../app/api');
+
+  const routeFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return routeFiles(fullPath);
+    return entry.name === 'route.js' ? [fullPath] : [];
+  });
+
+  it('should wrap every handler with withAuth', () => {
+    const unwrapped = routeFiles(apiDir).flatMap(file => {
+      const source = fs.readFileSync(file, 'utf8');
+      const handlers = [...source.matchAll(/^export (?:async function|const) (GET|POST|PUT|PATCH|DELETE)\b(.*)$/gm)];
+
+      return handlers
+        .filter(([, , rest]) => !/^ = withAuth(AndErrorHandler)?\(/.test(rest))
+        .map(([, method]) => `${method} ${path.relative(apiDir, file)}`);
+    });
+
+    expect(unwrapped).toEqual([]);
+  });
+});
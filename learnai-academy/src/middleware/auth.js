@@ -2,24 +2,108 @@
  * Authentication Middleware
  *
  * This module re-exports the authentication utilities from lib/auth.js
- * to maintain backward compatibility with code that imports from middleware/auth.js
+ * to maintain backward compatibility with code that imports from middleware/auth.js,
+ * and provides withAuth, the wrapper every API route handler goes through.
  */
 
+import { NextResponse } from 'next/server';
+import { verifyToken, requireAuth } from '../lib/auth.js';
+import { loadPrincipal, authorize, normalizeRole } from '../lib/rbac.js';
+import { logError } from '../lib/logger.js';
+
 export { verifyToken, generateToken, requireAuth } from '../lib/auth.js';
 
 /**
  * Require specific role
  * @param {Request} request - Next.js request object
- * @param {string|string[]} roles - Required role(s)
+ * @param {string|string[]} roles - Required role(s), from ROLES
  * @returns {Promise<Object>} Decoded user token
  */
 export async function requireRole(request, roles) {
   const user = await requireAuth(request);
   const roleArray = Array.isArray(roles) ? roles : [roles];
-  
-  if (!roleArray.includes(user.role)) {
+
+  if (!roleArray.includes(normalizeRole(user.role, user.is_admin))) {
     throw new Error(`Access denied. Required role: ${roleArray.join(' or ')}`);
   }
-  
+
   return user;
-}
\ No newline at end of file
+}
+
+/**
+ * Wrap a route handler with authentication and permission checks
+ *
+ * The handler receives `{ ...context, user }`, where user is the principal
+ * from lib/rbac.js: `{ userId, email, role, tenantId, districtId, sessionId }`.
+ *
+ * @param {Function} handler - Route handler (request, context)
+ * @param {Object} options
+ * @param {string} options.permission - Permission the user must hold (PERMISSIONS)
+ * @param {Function} options.resource - `(context, request) => resource` naming the
+ *   record the user must be related to, e.g. `({ params }) => ({ studentId: params.id })`
+ * @param {boolean} options.anonymous - Public route; skips authentication
+ * @param {boolean} options.cron - Scheduler route; authenticated by a
+ *   `Bearer <CRON_SECRET>` header instead of a session, and closed while
+ *   CRON_SECRET is unset
+ * @returns {Function} Route handler
+ *
+ * @example
+ * export const GET = withAuth(async (request, { params, user }) => {
+ *   ...
+ * }, {
+ *   permission: PERMISSIONS.STUDENT_READ,
+ *   resource: ({ params }) => ({ studentId: params.id }),
+ * });
+ */
+export function withAuth(handler, options = {}) {
+  const { permission, resource, anonymous = false, cron = false } = options;
+
+  return async (request, context = {}) => {
+    if (anonymous) {
+      return handler(request, context);
+    }
+
+    if (cron) {
+      const cronSecret = process.env.CRON_SECRET;
+      if (!cronSecret) {
+        logError('CRON_SECRET is not set; refusing scheduler request', null, { path: request?.nextUrl?.pathname });
+        return NextResponse.json({ error: 'Scheduled jobs are not configured' }, { status: 503 });
+      }
+      if (request.headers.get('authorization') !== `Bearer ${cronSecret}`) {
+        return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+      }
+      return handler(request, context);
+    }
+
+    let user;
+    try {
+      const token = await verifyToken(request);
+      user = token ? await loadPrincipal(token) : null;
+
+      if (!user) {
+        return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+      }
+
+      if (permission) {
+        const target = resource ? await resource(context, request) : null;
+        if (!(await authorize(user, permission, target))) {
+          return NextResponse.json({ error: 'Access denied' }, { status: 403 });
+        }
+      }
+    } catch (error) {
+      logError('Authorization check failed', error, { path: request?.nextUrl?.pathname });
+      return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+    }
+
+    return handler(request, { ...context, user });
+  };
+}
+
+/**
+ * withAuth resource for routes that name the student in a `studentId`
+ * query param. Without one there is no student to check.
+ */
+export function studentFromQuery(context, request) {
+  const studentId = new URL(request.url).searchParams.get('studentId');
+  return studentId ? { studentId } : null;
+}
@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import logger from '@/lib/logger';
+import { withAuth } from '@/middleware/auth';
 
 /**
  * Error types for standardized error handling
@@ -260,18 +261,12 @@ export async function validateRequest(request, schema) {
  * ```javascript
  * export const GET = withAuthAndErrorHandler(async (request, { user }) => {
  *   // Handler with auth and error handling
- * });
+ * }, { permission: PERMISSIONS.LEARNING_PARTICIPATE });
  * ```
+ *
+ * @param {Function} handler - Route handler
+ * @param {Object} authOptions - withAuth options (permission, resource)
  */
 export function withAuthAndErrorHandler(handler, authOptions = {}) {
-  return withErrorHandler(async (request, context) => {
-    const { requireAuth } = await import('@/middleware/auth');
-    const { user, error } = await requireAuth(request, authOptions);
-
-    if (error) {
-      return error;
-    }
-
-    return handler(request, { ...context, user });
-  });
-}
\ No newline at end of file
+  return withAuth(withErrorHandler(handler), authOptions);
+}
@@ -27,6 +27,10 @@ const RATE_LIMITS = {
     maxRequests: 10,
     windowSeconds: 60, // 10 requests per minute
   },
+  code: {
+    maxRequests: 15,
+    windowSeconds: 60, // 15 sandboxed code runs per minute
+  },
 };
 
 /**
@@ -34,7 +38,7 @@ const RATE_LIMITS = {
  *
  * @param {Request} request - Next.js request object
  * @param {string} identifier - Unique identifier (userId or IP)
- * @param {string} limitType - Type of rate limit (auth, ai, api, assessment)
+ * @param {string} limitType - Type of rate limit (auth, ai, api, assessment, code)
  * @returns {Promise<Object>} Rate limit result
  */
 export async function rateLimit(request, identifier, limitType = 'api') {
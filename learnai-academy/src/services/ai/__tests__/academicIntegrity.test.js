@@ -0,0 +1,185 @@
+import {
+  academicIntegrity,
+  itemSimilarity,
+  matchAssignedItem,
+  asksForAnswer,
+  toAssignmentItems,
+  INTEGRITY_ACTIONS,
+} from '../academicIntegrity.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    student: {
+      findUnique: jest.fn(),
+    },
+    team_members: {
+      findMany: jest.fn(),
+    },
+    teams: {
+      findUnique: jest.fn(),
+    },
+    classAssignment: {
+      findMany: jest.fn(),
+    },
+    integrityEvent: {
+      count: jest.fn(),
+      create: jest.fn(),
+    },
+  },
+}));
+
+const equation = {
+  id: 'p1',
+  text: 'Solve for x: 3x + 7 = 22',
+  answer: '5',
+  hints: ['What could you do to both sides to get 3x alone?', 'Subtract 7 from both sides first.', 'Now divide both sides by 3.'],
+};
+
+const wordProblem = {
+  id: 'p2',
+  text: 'A train travels 240 miles in 4 hours. What is its average speed in miles per hour?',
+  answer: '60',
+  hints: [],
+};
+
+const closedHomework = {
+  id: 'assignment-1',
+  classId: 'class-1',
+  title: 'Linear equations',
+  tutorPolicy: 'CLOSED',
+  items: [equation, wordProblem],
+};
+
+const context = { studentId: 'student-1', sessionId: 'session-1', gradeLevel: 4 };
+
+describe('itemSimilarity', () => {
+  it('should match a pasted problem with extra words around it', () => {
+    expect(itemSimilarity(
+      'can you help me with this? A train travels 240 miles in 4 hours. What is its average speed in miles per hour?',
+      wordProblem.text
+    )).toBe(1);
+  });
+
+  it('should not match the same kind of problem with different numbers', () => {
+    expect(itemSimilarity(
+      'A train travels 300 miles in 5 hours. What is its average speed in miles per hour?',
+      wordProblem.text
+    )).toBeLessThan(0.8);
+  });
+
+  it('should not match a general question about the topic', () => {
+    expect(itemSimilarity('how do I solve equations with x on one side?', equation.text)).toBeLessThan(0.8);
+  });
+});
+
+describe('matchAssignedItem', () => {
+  it('should return the best matching item', () => {
+    const match = matchAssignedItem('solve for x 3x+7=22', [closedHomework]);
+
+    expect(match.item.id).toBe('p1');
+    expect(match.assignment.id).toBe('assignment-1');
+  });
+
+  it('should return null when nothing matches', () => {
+    expect(matchAssignedItem('what is photosynthesis?', [closedHomework])).toBeNull();
+  });
+});
+
+describe('asksForAnswer', () => {
+  it('should recognise requests for answers', () => {
+    expect(asksForAnswer('just give me the answer')).toBe(true);
+    expect(asksForAnswer('can you solve this for me')).toBe(true);
+    expect(asksForAnswer('dame la respuesta')).toBe(true);
+    expect(asksForAnswer('can you explain how to solve this?')).toBe(false);
+  });
+});
+
+describe('toAssignmentItems', () => {
+  it('should accept homework problems and assessment questions', () => {
+    const items = toAssignmentItems([
+      { id: 'p1', problem: 'What is 2 + 2?', answer: '4', hints: ['Count on your fingers'] },
+      { question: 'Name a mammal', correctAnswer: 'dog' },
+      { text: '' },
+    ]);
+
+    expect(items).toEqual([
+      { id: 'p1', text: 'What is 2 + 2?', answer: '4', hints: ['Count on your fingers'] },
+      { id: 'q2', text: 'Name a mammal', answer: 'dog', hints: [] },
+    ]);
+  });
+});
+
+describe('AcademicIntegrityService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.student.findUnique.mockResolvedValue({ userId: 'user-1' });
+    prisma.team_members.findMany.mockResolvedValue([{ teamId: 'class-1' }]);
+    prisma.integrityEvent.count.mockResolvedValue(0);
+  });
+
+  it('should force hint-only mode for closed-tutor work and record the event', async () => {
+    prisma.classAssignment.findMany.mockResolvedValue([closedHomework]);
+
+    const result = await academicIntegrity.check('Solve for x: 3x + 7 = 22, just give me the answer', context);
+
+    expect(result).toMatchObject({
+      mode: 'hint_only',
+      assignmentId: 'assignment-1',
+      itemId: 'p1',
+      asksForAnswer: true,
+      hintLevel: 1,
+      hint: equation.hints[0],
+    });
+    expect(prisma.integrityEvent.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        classId: 'class-1',
+        studentId: 'student-1',
+        action: INTEGRITY_ACTIONS.HINT_ONLY,
+      }),
+    });
+  });
+
+  it('should give the next graded hint when the item comes up again', async () => {
+    prisma.classAssignment.findMany.mockResolvedValue([closedHomework]);
+    prisma.integrityEvent.count.mockResolvedValue(1);
+
+    const result = await academicIntegrity.check('Solve for x: 3x + 7 = 22', context);
+
+    expect(result.hintLevel).toBe(2);
+    expect(result.hint).toBe(equation.hints[1]);
+  });
+
+  it('should only record open-tutor work', async () => {
+    prisma.classAssignment.findMany.mockResolvedValue([{ ...closedHomework, tutorPolicy: 'OPEN' }]);
+
+    const result = await academicIntegrity.check('Solve for x: 3x + 7 = 22', context);
+
+    expect(result.mode).toBe('open');
+    expect(result.hint).toBeNull();
+    expect(prisma.integrityEvent.create.mock.calls[0][0].data.action).toBe(INTEGRITY_ACTIONS.ALLOWED);
+  });
+
+  it('should skip the lookup for students without a class', async () => {
+    prisma.team_members.findMany.mockResolvedValue([]);
+
+    expect(await academicIntegrity.check('Solve for x: 3x + 7 = 22', context)).toBeNull();
+    expect(prisma.classAssignment.findMany).not.toHaveBeenCalled();
+  });
+
+  it('should let team owners and teachers manage a class', async () => {
+    prisma.teams.findUnique.mockResolvedValue({
+      ownerId: 'owner-1',
+      team_members: [
+        { userId: 'teacher-1', role: 'teacher' },
+        { userId: 'student-user', role: 'member' },
+      ],
+    });
+
+    expect(await academicIntegrity.canManageClass({ userId: 'owner-1' }, 'class-1')).toBe(true);
+    expect(await academicIntegrity.canManageClass({ userId: 'teacher-1' }, 'class-1')).toBe(true);
+    expect(await academicIntegrity.canManageClass({ userId: 'student-user' }, 'class-1')).toBe(false);
+  });
+});
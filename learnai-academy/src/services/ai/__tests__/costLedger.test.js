@@ -0,0 +1,163 @@
+import {
+  costLedger,
+  evaluateBudgets,
+  periodStart,
+  BudgetExceededError,
+  BUDGET_ACTIONS,
+} from '../costLedger.js';
+import { calculateCost } from '../gateway/pricing.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    aiCostEntry: {
+      create: jest.fn(),
+      aggregate: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    aiBudget: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+    },
+    subscriptions: {
+      findFirst: jest.fn(),
+    },
+    plans: {
+      findFirst: jest.fn(),
+    },
+  },
+}));
+
+const limit = (overrides) => ({
+  scope: 'STUDENT',
+  scopeId: 'student-1',
+  period: 'daily',
+  amount: 1,
+  spent: 0,
+  onExceeded: 'DOWNGRADE',
+  ...overrides,
+});
+
+describe('evaluateBudgets', () => {
+  it('should allow requests under every limit', () => {
+    expect(evaluateBudgets([limit({ spent: 0.5 })]).action).toBe(BUDGET_ACTIONS.ALLOW);
+  });
+
+  it('should downgrade near a limit', () => {
+    expect(evaluateBudgets([limit({ spent: 0.85 })]).action).toBe(BUDGET_ACTIONS.DOWNGRADE);
+  });
+
+  it('should downgrade when a DOWNGRADE budget is spent', () => {
+    expect(evaluateBudgets([limit({ spent: 2 })]).action).toBe(BUDGET_ACTIONS.DOWNGRADE);
+  });
+
+  it('should refuse when any REFUSE budget is spent', () => {
+    const decision = evaluateBudgets([
+      limit({ spent: 2 }),
+      limit({ scope: 'TENANT', scopeId: 'school-1', period: 'monthly', spent: 50, amount: 50, onExceeded: 'REFUSE' }),
+    ]);
+
+    expect(decision.action).toBe(BUDGET_ACTIONS.REFUSE);
+    expect(decision.limit.scope).toBe('TENANT');
+  });
+});
+
+describe('periodStart', () => {
+  it('should return the start of the UTC day and month', () => {
+    const now = new Date('2025-03-17T15:30:00Z');
+
+    expect(periodStart('daily', now).toISOString()).toBe('2025-03-17T00:00:00.000Z');
+    expect(periodStart('monthly', now).toISOString()).toBe('2025-03-01T00:00:00.000Z');
+  });
+});
+
+describe('calculateCost', () => {
+  it('should price input and output tokens separately', () => {
+    const groq = { key: 'groq', costPerMillionTokens: 0.27 };
+    const cost = calculateCost(groq, 'llama-3.1-70b-versatile', {
+      promptTokens: 1_000_000,
+      completionTokens: 1_000_000,
+    });
+
+    expect(cost).toBeCloseTo(0.59 + 0.79);
+  });
+
+  it('should fall back to the provider blended price for unknown models', () => {
+    const provider = { key: 'groq', costPerMillionTokens: 0.27 };
+
+    expect(calculateCost(provider, 'llama-new', { promptTokens: 500_000, completionTokens: 500_000 }))
+      .toBeCloseTo(0.27);
+  });
+});
+
+describe('CostLedger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.aiBudget.findMany.mockResolvedValue([]);
+    prisma.subscriptions.findFirst.mockResolvedValue(null);
+    prisma.aiCostEntry.aggregate.mockResolvedValue({ _sum: { cost: 0 } });
+  });
+
+  it('should allow requests with no budgets configured', async () => {
+    const decision = await costLedger.checkBudget({ studentId: 'student-1' });
+
+    expect(decision.action).toBe(BUDGET_ACTIONS.ALLOW);
+    expect(prisma.aiCostEntry.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('should enforce the plan ceiling for a subscribed tenant', async () => {
+    prisma.subscriptions.findFirst.mockResolvedValue({ plan: 'School' });
+    prisma.plans.findFirst.mockResolvedValue({ name: 'School', features: { aiBudget: { monthly: 100 } } });
+    prisma.aiCostEntry.aggregate.mockResolvedValue({ _sum: { cost: 100.5 } });
+
+    await expect(costLedger.enforceBudget({ studentId: 'student-1', tenantId: 'school-1' }))
+      .rejects.toBeInstanceOf(BudgetExceededError);
+    expect(prisma.aiCostEntry.aggregate).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ tenantId: 'school-1' }),
+    }));
+  });
+
+  it('should derive a ceiling from the plan price when none is configured', async () => {
+    prisma.subscriptions.findFirst.mockResolvedValue({ plan: 'Basic' });
+    prisma.plans.findFirst.mockResolvedValue({ name: 'Basic', features: {}, price_monthly: 2000 });
+
+    const ceiling = await costLedger.getPlanCeiling('school-1');
+
+    expect(ceiling).toEqual({ daily: null, monthly: 5 });
+  });
+
+  it('should check each scope and period once', async () => {
+    prisma.aiBudget.findMany.mockResolvedValue([
+      { scope: 'STUDENT', scopeId: 'student-1', dailyLimit: 1, monthlyLimit: 10, onExceeded: 'DOWNGRADE' },
+      { scope: 'PARENT', scopeId: 'parent-1', dailyLimit: null, monthlyLimit: 20, onExceeded: 'REFUSE' },
+    ]);
+
+    await costLedger.checkBudget({ studentId: 'student-1', parentId: 'parent-1' });
+
+    expect(prisma.aiCostEntry.aggregate).toHaveBeenCalledTimes(3);
+  });
+
+  it('should allow student requests when the ledger is unavailable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.aiBudget.findMany.mockRejectedValue(new Error('connection refused'));
+
+    const decision = await costLedger.checkBudget({ studentId: 'student-1' });
+
+    expect(decision.action).toBe(BUDGET_ACTIONS.ALLOW);
+    console.error.mockRestore();
+  });
+
+  it('should refuse tenant requests when the plan ceiling cannot be checked', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    prisma.aiBudget.findMany.mockRejectedValue(new Error('connection refused'));
+
+    const error = await costLedger.enforceBudget({ studentId: 'student-1', tenantId: 'school-1' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(error.code).toBe('BUDGET_UNAVAILABLE');
+    expect(error.statusCode).toBe(503);
+    console.error.mockRestore();
+  });
+});
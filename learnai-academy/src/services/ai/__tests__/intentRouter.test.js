@@ -0,0 +1,76 @@
+import {
+  intentRouter,
+  classifyIntent,
+  describeAgent,
+  ROUTING_ACTIONS,
+} from '../intentRouter.js';
+
+const scienceTutor = { role: 'tutoring', subject: 'science' };
+
+describe('classifyIntent', () => {
+  it('should send a lab report question from a science session to writing', () => {
+    const intent = classifyIntent('How do I write the conclusion of my lab report for the magnet experiment?', scienceTutor);
+
+    expect(intent).toMatchObject({ role: 'tutoring', subject: 'writing' });
+    expect(intent.signals).toContain('lab_report');
+  });
+
+  it('should keep short answers and on-topic questions with the current agent', () => {
+    expect(classifyIntent('12', scienceTutor)).toMatchObject({ subject: 'science', confidence: 0 });
+    expect(classifyIntent('Why do magnets stick to the fridge?', scienceTutor).subject).toBe('science');
+    // A science question with a bit of arithmetic stays with science
+    expect(classifyIntent('Gravity pulls at 9.8 * 2 for two seconds, right?', scienceTutor).subject).toBe('science');
+  });
+
+  it('should switch roles for quizzes, practice sheets and explanations', () => {
+    expect(classifyIntent('Can you quiz me on this?', scienceTutor).role).toBe('assessment');
+    expect(classifyIntent('Make me a worksheet about fractions', scienceTutor))
+      .toMatchObject({ role: 'curriculum', subject: 'math' });
+    expect(classifyIntent("I don't get it, can you explain?", { role: 'assessment', subject: 'science' }).role)
+      .toBe('tutoring');
+  });
+
+  it('should recognise undo and explicit requests', () => {
+    expect(classifyIntent('undo', scienceTutor).undo).toBe(true);
+    expect(classifyIntent('Go back!', scienceTutor).undo).toBe(true);
+    expect(classifyIntent('I want to go back to my essay', scienceTutor).undo).toBe(false);
+    expect(classifyIntent('Can I switch to the coding tutor?', scienceTutor))
+      .toMatchObject({ explicit: true, subject: 'coding', role: 'tutoring' });
+  });
+});
+
+describe('intentRouter', () => {
+  const message = 'Can you help me with my lab report?';
+
+  it('should hand off and undo the latest handoff', () => {
+    const decision = intentRouter.route(message, scienceTutor);
+    expect(decision.action).toBe(ROUTING_ACTIONS.HANDOFF);
+
+    const handoff = intentRouter.createHandoff(scienceTutor, decision.target, decision.intent);
+    expect(intentRouter.announceHandoff(handoff)).toContain('Writing Tutor');
+    expect(intentRouter.announceHandoff(handoff)).toContain('undo');
+
+    const undo = intentRouter.route('undo', handoff.to, [handoff]);
+    expect(undo).toMatchObject({ action: ROUTING_ACTIONS.UNDO, target: scienceTutor, handoff });
+  });
+
+  it('should stay put on undo when there is nothing to undo', () => {
+    expect(intentRouter.route('undo', scienceTutor, []).action).toBe(ROUTING_ACTIONS.STAY);
+  });
+
+  it('should not offer a handoff the student undid unless they ask for it', () => {
+    const handoff = {
+      ...intentRouter.createHandoff(scienceTutor, { role: 'tutoring', subject: 'writing' }, { signals: [], confidence: 1 }),
+      undoneAt: new Date().toISOString(),
+    };
+
+    expect(intentRouter.route(message, scienceTutor, [handoff]).action).toBe(ROUTING_ACTIONS.STAY);
+    expect(intentRouter.route('Switch me to the writing tutor', scienceTutor, [handoff]).action)
+      .toBe(ROUTING_ACTIONS.HANDOFF);
+  });
+
+  it('should describe agents by role', () => {
+    expect(describeAgent({ role: 'assessment', subject: 'math' })).toBe('Math Quiz Master');
+    expect(describeAgent({ role: 'curriculum', subject: 'science' })).toBe('Science Practice Builder');
+  });
+});
@@ -0,0 +1,273 @@
+// Mock groq-sdk before importing the gateway
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+import { LLMGateway, LLMGatewayError } from '../llmGateway';
+import { mockProvider } from '../gateway/mockProvider';
+import { CircuitBreaker, CIRCUIT_STATES } from '../gateway/circuitBreaker';
+import { BudgetExceededError, BUDGET_ACTIONS } from '../costLedger';
+
+function fakeProvider(key, priority, complete) {
+  return {
+    key,
+    name: key,
+    priority,
+    models: { fast: `${key}-fast`, smart: `${key}-smart`, code: `${key}-smart` },
+    costPerMillionTokens: 1,
+    maxTokens: 4096,
+    isEnabled: () => true,
+    ownsModel: (model) => model.startsWith(`${key}-`),
+    complete: jest.fn(complete),
+    async *stream(request) {
+      const { content } = await this.complete(request);
+      yield { content };
+    },
+  };
+}
+
+const ok = (content) => async () => ({
+  content,
+  usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+});
+
+const failWith = (status) => async () => {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  throw error;
+};
+
+const messages = [{ role: 'user', content: 'What is a fraction?' }];
+
+function fakeLedger(action = BUDGET_ACTIONS.ALLOW) {
+  return {
+    record: jest.fn(),
+    enforceBudget: jest.fn(async () => {
+      if (action === BUDGET_ACTIONS.REFUSE) {
+        throw new BudgetExceededError({ scope: 'TENANT', scopeId: 'school-1', period: 'monthly', amount: 50 });
+      }
+      return { action, limit: null };
+    }),
+  };
+}
+
+describe('LLMGateway', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  beforeEach(() => {
+    delete process.env.LLM_PROVIDER;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+    console.warn.mockRestore();
+  });
+
+  it('should use the highest priority provider and resolve tier aliases', async () => {
+    const primary = fakeProvider('primary', 1, ok('from primary'));
+    const backup = fakeProvider('backup', 2, ok('from backup'));
+    const gateway = new LLMGateway({ providers: { primary, backup }, baseDelayMs: 0 });
+
+    const response = await gateway.chat(messages, { model: 'fast' });
+
+    expect(response.content).toBe('from primary');
+    expect(response.model).toBe('primary-fast');
+    expect(backup.complete).not.toHaveBeenCalled();
+  });
+
+  it('should retry transient errors before failing over', async () => {
+    const primary = fakeProvider('primary', 1, failWith(503));
+    const backup = fakeProvider('backup', 2, ok('from backup'));
+    const gateway = new LLMGateway({ providers: { primary, backup }, retries: 2, baseDelayMs: 0 });
+
+    const response = await gateway.chat(messages, { model: 'primary-smart' });
+
+    expect(primary.complete).toHaveBeenCalledTimes(3);
+    expect(response.content).toBe('from backup');
+    expect(response.model).toBe('backup-smart');
+  });
+
+  it('should not retry client errors', async () => {
+    const primary = fakeProvider('primary', 1, failWith(401));
+    const backup = fakeProvider('backup', 2, ok('from backup'));
+    const gateway = new LLMGateway({ providers: { primary, backup }, retries: 2, baseDelayMs: 0 });
+
+    await gateway.chat(messages);
+
+    expect(primary.complete).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip a provider whose circuit is open', async () => {
+    const primary = fakeProvider('primary', 1, failWith(500));
+    const backup = fakeProvider('backup', 2, ok('from backup'));
+    const gateway = new LLMGateway({
+      providers: { primary, backup },
+      retries: 0,
+      baseDelayMs: 0,
+      breaker: { failureThreshold: 2 },
+    });
+
+    await gateway.chat(messages);
+    await gateway.chat(messages);
+    await gateway.chat(messages);
+
+    expect(primary.complete).toHaveBeenCalledTimes(2);
+    expect(gateway.getStatus().providers[0].circuit.state).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  it('should throw a typed error when every provider fails', async () => {
+    const primary = fakeProvider('primary', 1, failWith(500));
+    const gateway = new LLMGateway({ providers: { primary }, retries: 0, baseDelayMs: 0 });
+
+    await expect(gateway.chat(messages)).rejects.toBeInstanceOf(LLMGatewayError);
+  });
+
+  it('should account tokens and cost per provider and model', async () => {
+    const primary = fakeProvider('primary', 1, ok('hi'));
+    const gateway = new LLMGateway({ providers: { primary } });
+
+    await gateway.chat(messages);
+    await gateway.chat(messages);
+
+    expect(gateway.getUsage()).toEqual([
+      expect.objectContaining({ provider: 'primary', model: 'primary-smart', requests: 2, totalTokens: 30 }),
+    ]);
+  });
+
+  it('should fall back to the mock provider when nothing is configured', async () => {
+    const gateway = new LLMGateway({ providers: { mock: mockProvider } });
+
+    const first = await gateway.chat(messages);
+    const second = await gateway.chat(messages);
+
+    expect(first.provider).toBe('Mock');
+    expect(first.content).toBe(second.content);
+  });
+
+  it('should stream deltas followed by a done event', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    const gateway = new LLMGateway({ providers: { mock: mockProvider } });
+
+    const events = [];
+    for await (const event of gateway.streamChat(messages)) {
+      events.push(event);
+    }
+
+    const text = events.filter(e => e.type === 'delta').map(e => e.content).join('');
+    expect(events.length).toBeGreaterThan(2);
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({ type: 'done', provider: 'Mock' }));
+    expect(text).toBe((await gateway.chat(messages)).content);
+  });
+
+  it('should expose a Messages API compatible client', async () => {
+    const primary = fakeProvider('primary', 1, ok('hello'));
+    const gateway = new LLMGateway({ providers: { primary } });
+
+    const response = await gateway.messagesClient().messages.create({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 100,
+      system: 'Be kind',
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+
+    expect(response.content[0].text).toBe('hello');
+    expect(primary.complete.mock.calls[0][0].messages[0]).toEqual({ role: 'system', content: 'Be kind' });
+  });
+
+  it('should record every call in the cost ledger, billed or not', async () => {
+    const primary = fakeProvider('primary', 1, ok('hi'));
+    const ledger = fakeLedger();
+    const gateway = new LLMGateway({ providers: { primary }, ledger });
+
+    await gateway.chat(messages, { agentType: 'parent.insights', billing: { studentId: 'student-1' } });
+    await gateway.messagesClient({ agentType: 'lib.aiTutor' }).messages.create({
+      max_tokens: 100,
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+
+    expect(ledger.enforceBudget).toHaveBeenCalledTimes(1);
+    expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({
+      agentType: 'parent.insights',
+      studentId: 'student-1',
+      model: 'primary-smart',
+      usage: expect.objectContaining({ totalTokens: 15 }),
+    }));
+    expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({ agentType: 'lib.aiTutor', studentId: undefined }));
+  });
+
+  it('should record a stream the consumer stops reading part way', async () => {
+    const primary = fakeProvider('primary', 1, ok('unused'));
+    primary.stream = async function* () {
+      yield { content: 'A fraction is ' };
+      yield { content: 'part of a whole.' };
+    };
+    const ledger = fakeLedger();
+    const gateway = new LLMGateway({ providers: { primary }, ledger });
+    const record = jest.spyOn(gateway, '_record');
+
+    for await (const event of gateway.streamChat(messages, { agentType: 'tutor' })) {
+      expect(event.type).toBe('delta');
+      break;
+    }
+
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({
+      agentType: 'tutor',
+      usage: expect.objectContaining({ completionTokens: expect.any(Number) }),
+    }));
+    expect(ledger.record.mock.calls[0][0].usage.completionTokens).toBeGreaterThan(0);
+    expect(gateway.getUsage()[0]).toEqual(expect.objectContaining({ requests: 1 }));
+  });
+
+  it('should refuse or downgrade calls over budget', async () => {
+    const primary = fakeProvider('primary', 1, ok('hi'));
+    const billing = { studentId: 'student-1', tenantId: 'school-1' };
+
+    const refusing = new LLMGateway({ providers: { primary }, ledger: fakeLedger(BUDGET_ACTIONS.REFUSE) });
+    await expect(refusing.chat(messages, { billing })).rejects.toBeInstanceOf(BudgetExceededError);
+    expect(primary.complete).not.toHaveBeenCalled();
+
+    const ledger = fakeLedger(BUDGET_ACTIONS.DOWNGRADE);
+    const downgrading = new LLMGateway({ providers: { primary }, ledger });
+    const events = [];
+    for await (const event of downgrading.streamChat(messages, { billing, model: 'smart' })) {
+      events.push(event);
+    }
+
+    expect(events[events.length - 1]).toEqual(expect.objectContaining({ model: 'primary-fast', downgraded: true }));
+    expect(ledger.record).toHaveBeenCalledWith(expect.objectContaining({ downgraded: true, tenantId: 'school-1' }));
+  });
+});
+
+describe('mockProvider', () => {
+  it('should answer from the first matching fixture', () => {
+    const content = mockProvider.respond([
+      { role: 'system', content: 'Format as JSON array with these fields' },
+      { role: 'user', content: 'Generate 5 math practice problems for fractions.' },
+    ]);
+
+    expect(JSON.parse(content)[0]).toHaveProperty('problem');
+  });
+});
+
+describe('CircuitBreaker', () => {
+  it('should allow one trial request after the cooldown', () => {
+    let now = 0;
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
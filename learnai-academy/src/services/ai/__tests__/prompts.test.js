@@ -0,0 +1,203 @@
+/**
+ * @jest-environment node
+ */
+
+// Mock groq-sdk before importing agents
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+import {
+  promptRegistry,
+  renderTemplate,
+  validateDefinition,
+  validateRollout,
+  formatPromptVersions,
+  PromptError,
+} from '../prompts.js';
+import { MathAgent } from '../agents/MathAgent.js';
+import prisma from '../../../lib/prisma.js';
+
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    promptVersion: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
+    promptRelease: {
+      findMany: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+    },
+  },
+}));
+
+const greeting = (version, overrides = {}) => ({
+  name: 'test.greeting',
+  version,
+  variables: ['studentName'],
+  template: `Hello {{studentName}} (${version})`,
+  ...overrides,
+});
+
+describe('prompt registry', () => {
+  beforeAll(() => {
+    promptRegistry.register(greeting('1.0.0', {
+      gradeBands: { 'K-2': 'Hi {{studentName}}!' },
+      locales: { es: { template: 'Hola {{studentName}}', gradeBands: { 'K-2': '¡Hola {{studentName}}!' } } },
+    }), { builtIn: true });
+    promptRegistry.register(greeting('1.1.0'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    promptRegistry.releases.clear();
+  });
+
+  describe('rendering', () => {
+    it('should serve the newest built-in version without a release', () => {
+      const prompt = promptRegistry.render('test.greeting', { studentName: 'Alex' });
+
+      expect(prompt).toMatchObject({ text: 'Hello Alex (1.0.0)', version: '1.0.0', locale: 'en' });
+    });
+
+    it('should pick grade band and locale variants, falling back to English', () => {
+      const render = (options) => promptRegistry.render('test.greeting', { studentName: 'Alex' }, options).text;
+
+      expect(render({ gradeBand: 'K-2' })).toBe('Hi Alex!');
+      expect(render({ gradeBand: 'K-2', locale: 'es' })).toBe('¡Hola Alex!');
+      expect(render({ gradeBand: '6-8', locale: 'es' })).toBe('Hola Alex');
+      expect(render({ gradeBand: '6-8', locale: 'fr' })).toBe('Hello Alex (1.0.0)');
+    });
+
+    it('should require every variable but allow empty values', () => {
+      expect(() => renderTemplate('Hi {{name}}', {})).toThrow(PromptError);
+      expect(renderTemplate('Hi {{name}}', { name: undefined })).toBe('Hi ');
+    });
+
+    it('should reject templates using undeclared variables', () => {
+      expect(() => validateDefinition(greeting('2.0.0', { template: '{{grade}}' }))).toThrow(/undeclared variables: grade/);
+      expect(() => validateDefinition(greeting('2.0'))).toThrow(/Invalid prompt version/);
+    });
+  });
+
+  describe('releases', () => {
+    it('should split students between versions by weight and keep each one stable', async () => {
+      prisma.promptRelease.findFirst.mockResolvedValue(null);
+      await promptRegistry.setRelease({
+        name: 'test.greeting',
+        rollout: [{ version: '1.0.0', weight: 50 }, { version: '1.1.0', weight: 50 }],
+      });
+
+      const served = Array.from({ length: 200 }, (_, i) =>
+        promptRegistry.resolve('test.greeting', { assignmentKey: `student-${i}` }).version);
+      const newer = served.filter(version => version === '1.1.0').length;
+
+      expect(newer).toBeGreaterThan(60);
+      expect(newer).toBeLessThan(140);
+      expect(promptRegistry.resolve('test.greeting', { assignmentKey: 'student-7' }).version).toBe(served[7]);
+      expect(prisma.promptRelease.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ name: 'test.greeting', tenantId: null }),
+      });
+    });
+
+    it('should prefer a tenant release over the global one and roll back', async () => {
+      prisma.promptRelease.findFirst.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      await promptRegistry.setRelease({ name: 'test.greeting', rollout: [{ version: '1.1.0', weight: 100 }] });
+      await promptRegistry.setRelease({ name: 'test.greeting', tenantId: 'school-1', rollout: [{ version: '1.0.0', weight: 100 }] });
+
+      expect(promptRegistry.resolve('test.greeting', { tenantId: 'school-1' }).version).toBe('1.0.0');
+      expect(promptRegistry.resolve('test.greeting', { tenantId: 'school-2' }).version).toBe('1.1.0');
+
+      prisma.promptRelease.findFirst.mockResolvedValueOnce({ id: 'release-1' });
+      await promptRegistry.setRelease({ name: 'test.greeting', rollout: [{ version: '1.0.0', weight: 100 }] });
+
+      expect(prisma.promptRelease.update).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 'release-1' } }));
+      expect(promptRegistry.resolve('test.greeting', { tenantId: 'school-2' }).version).toBe('1.0.0');
+    });
+
+    it('should reject rollouts with unknown versions or bad weights', () => {
+      expect(() => validateRollout([{ version: '9.9.9', weight: 100 }], ['1.0.0'])).toThrow(/Unknown prompt version/);
+      expect(() => validateRollout([{ version: '1.0.0', weight: 90 }], ['1.0.0'])).toThrow(/add up to 100/);
+    });
+
+    it('should load stored versions and releases and keep built-ins when the database fails', async () => {
+      prisma.promptVersion.findMany.mockResolvedValue([{
+        name: 'test.greeting', version: '1.2.0', variables: ['studentName'], template: 'Hey {{studentName}}',
+      }]);
+      prisma.promptRelease.findMany.mockResolvedValue([
+        { name: 'test.greeting', tenantId: null, rollout: [{ version: '1.2.0', weight: 100 }] },
+      ]);
+      await promptRegistry.refresh({ force: true });
+
+      expect(promptRegistry.render('test.greeting', { studentName: 'Alex' }).text).toBe('Hey Alex');
+
+      prisma.promptVersion.findMany.mockRejectedValue(new Error('connection refused'));
+      await promptRegistry.refresh({ force: true });
+
+      expect(promptRegistry.render('test.greeting', { studentName: 'Alex' }).version).toBe('1.2.0');
+    });
+  });
+
+  describe('tutor prompts', () => {
+    it('should build the system prompt from the registry and trace the versions used', () => {
+      const promptTrace = [];
+      const systemPrompt = new MathAgent().buildSystemPrompt({
+        studentName: 'Alex', gradeLevel: 7, mode: 'help', topic: 'Linear equations', promptTrace,
+      });
+
+      expect(systemPrompt).toContain('Socratic method');
+      expect(systemPrompt).toContain('MATH-SPECIFIC GUIDELINES');
+      expect(formatPromptVersions(promptTrace)).toContain('tutor.system@1.0.0');
+      expect(formatPromptVersions(promptTrace)).toContain('tutor.subject.math@1.0.0');
+    });
+
+    it('should render the safety sections from the registry after the system prompt', () => {
+      const promptTrace = [];
+      const systemPrompt = new MathAgent().buildSystemPrompt({
+        studentName: 'Alex',
+        gradeLevel: 7,
+        mode: 'help',
+        integrity: { mode: 'hint_only', title: 'Week 3 homework', hintLevel: 2, hint: 'Undo the +7 first' },
+        promptTrace,
+      });
+
+      expect(systemPrompt).toContain('matches "Week 3 homework"');
+      expect(systemPrompt).toContain('this hint (level 2): "Undo the +7 first"');
+      expect(systemPrompt).toContain('inside <student_message> tags');
+      expect(systemPrompt.endsWith('appropriate for 6-8 level. NEVER give homework answers directly.')).toBe(true);
+      expect(formatPromptVersions(promptTrace)).toContain('tutor.integrity.hintOnly@1.0.0');
+      expect(formatPromptVersions(promptTrace)).toContain('tutor.studentInput@1.0.0');
+      expect(formatPromptVersions(promptTrace)).toContain('tutor.closing@1.0.0');
+    });
+
+    it('should render the Spanish tutor prompt for Spanish sessions', () => {
+      const systemPrompt = new MathAgent().buildSystemPrompt({
+        studentName: 'Alex', gradeLevel: 2, mode: 'practice', locale: 'es',
+      });
+
+      expect(systemPrompt).toContain('Modo de práctica');
+    });
+  });
+
+  describe('generator prompts', () => {
+    it('should render every built-in generator prompt from its declared variables', () => {
+      const generators = promptRegistry.list()
+        .map(prompt => promptRegistry.latestBuiltIn(prompt.name))
+        .filter(definition => definition && /^(assessment|engagement|preschool|presentation|teachingAid)\./.test(definition.name));
+      expect(generators.length).toBeGreaterThanOrEqual(19);
+
+      for (const definition of generators) {
+        const variables = Object.fromEntries(definition.variables.map(name => [name, `<${name}>`]));
+        const { text } = promptRegistry.render(definition.name, variables);
+
+        expect(text).not.toMatch(/\$\{|\{\{/);
+        for (const name of definition.variables) {
+          expect(text).toContain(`<${name}>`);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { semanticCache, questionsMatch } from '../semanticCache.js';
+import { promptRegistry } from '../prompts.js';
+
+// In-memory Redis
+jest.mock('../../../lib/redis.js', () => {
+  const store = new Map();
+  return {
+    __esModule: true,
+    redis: {
+      get: jest.fn(async key => store.get(key) ?? null),
+      setex: jest.fn(async (key, ttl, value) => store.set(key, value)),
+      flush: () => store.clear(),
+    },
+  };
+});
+
+import { redis } from '../../../lib/redis.js';
+
+const context = (overrides = {}) => ({
+  studentId: 'student-1',
+  studentName: 'Maya',
+  gradeLevel: 4,
+  subject: 'math',
+  topic: 'Fractions',
+  topicId: 'topic-1',
+  mode: 'help',
+  difficulty: 'medium',
+  locale: 'en',
+  strengths: [],
+  weaknesses: ['equivalent fractions'],
+  memories: [],
+  integrity: null,
+  messages: [{ role: 'user', content: "what's a fraction?" }],
+  ...overrides,
+});
+
+const currentVersion = () => `tutor.system@${promptRegistry.resolve('tutor.system').version}`;
+
+const answer = (overrides = {}) => ({
+  content: 'A fraction is a part of a whole, like one slice of a pizza cut into four.',
+  model: 'llama-3.1-70b',
+  promptVersion: currentVersion(),
+  ...overrides,
+});
+
+describe('questionsMatch', () => {
+  it('should match rewordings and keep different questions apart', () => {
+    expect(questionsMatch("what's a fraction?", 'what is a fraction')).toBe(true);
+    expect(questionsMatch('Hi! What are fractions??', 'what are fraction')).toBe(true);
+    expect(questionsMatch('what is 3.5 + 4?', "What's 3.5+4")).toBe(true);
+
+    expect(questionsMatch('what is a fraction', 'what is an improper fraction')).toBe(false);
+    expect(questionsMatch('what is a fraction', 'what is not a fraction')).toBe(false);
+    expect(questionsMatch('what is 3 + 4', 'what is 3 + 5')).toBe(false);
+  });
+});
+
+describe('semanticCache', () => {
+  beforeEach(() => {
+    redis.flush();
+    redis.setex.mockClear();
+  });
+
+  it("should serve another student's answer to the same opening question", async () => {
+    await semanticCache.store(context(), 'tutoring', "what's a fraction?", answer());
+
+    const hit = await semanticCache.lookup(
+      context({ studentId: 'student-2', studentName: 'Leo', messages: [{ role: 'user', content: 'What is a fraction' }] }),
+      'tutoring',
+      'What is a fraction'
+    );
+    expect(hit).toMatchObject({ content: answer().content, cached: true, cost: 0 });
+  });
+
+  it('should keep scopes and prompt versions apart', async () => {
+    await semanticCache.store(context(), 'tutoring', "what's a fraction?", answer());
+
+    expect(await semanticCache.lookup(context({ gradeLevel: 8 }), 'tutoring', 'what is a fraction')).toBeNull();
+    expect(await semanticCache.lookup(context({ locale: 'es' }), 'tutoring', 'what is a fraction')).toBeNull();
+    expect(await semanticCache.lookup(context({ mode: 'practice' }), 'tutoring', 'what is a fraction')).toBeNull();
+
+    // Generated with a prompt version the student would no longer get
+    await semanticCache.store(context({ topicId: 'topic-2' }), 'tutoring', 'what is a decimal', answer({ promptVersion: 'tutor.system@0.0.1' }));
+    expect(await semanticCache.lookup(context({ topicId: 'topic-2' }), 'tutoring', 'what is a decimal')).toBeNull();
+  });
+
+  it('should not store or serve personalized answers', async () => {
+    await semanticCache.store(context(), 'tutoring', 'what is a fraction', answer({ content: 'Great question, Maya! A fraction is a part of a whole.' }));
+    await semanticCache.store(context(), 'tutoring', 'what is a numerator', answer({ content: 'Since equivalent fractions are tricky for you, the numerator is the top number.' }));
+    expect(redis.setex).not.toHaveBeenCalled();
+
+    await semanticCache.store(context(), 'tutoring', 'what is a fraction', answer());
+    const withMemories = context({ memories: [{ kind: 'MISCONCEPTION', content: 'Adds denominators' }] });
+    expect(await semanticCache.lookup(withMemories, 'tutoring', 'what is a fraction')).toBeNull();
+  });
+
+  it('should only cache the opening question of a session', () => {
+    const later = context({ messages: [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'Hello!' }, { role: 'user', content: 'what is a fraction' }] });
+
+    expect(semanticCache.isCacheable(context(), 'what is a fraction')).toBe(true);
+    expect(semanticCache.isCacheable(later, 'what is a fraction')).toBe(false);
+    expect(semanticCache.isCacheable(context({ integrity: { mode: 'hint_only' } }), 'what is a fraction')).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+// Mock groq-sdk before importing the gateway
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+import { sessionSummarizer, normalizeRecap } from '../sessionSummarizer.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    learningSession: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    studentMemory: {
+      upsert: jest.fn(),
+    },
+  },
+}));
+
+const session = {
+  id: 'session-1',
+  studentId: 'student-1',
+  problemsAttempted: 0,
+  problemsCorrect: 0,
+  sessionData: { agentRole: 'tutoring' },
+  student: { gradeLevel: 4 },
+  subject: { name: 'Math', slug: 'math' },
+  topic: { name: 'Adding Fractions' },
+  messages: [
+    { role: 'assistant', content: 'What is 1/4 + 2/4?' },
+    { role: 'user', content: '3/8' },
+    { role: 'assistant', content: 'Close! Only the top numbers add up. Try again?' },
+    { role: 'user', content: '3/4' },
+  ],
+};
+
+describe('normalizeRecap', () => {
+  it('should prefer counts tracked on the session', () => {
+    const recap = normalizeRecap(
+      { problemsAttempted: 9, problemsCorrect: 9 },
+      { ...session, problemsAttempted: 5, problemsCorrect: 4 }
+    );
+
+    expect(recap.problemsAttempted).toBe(5);
+    expect(recap.problemsCorrect).toBe(4);
+  });
+
+  it('should fill in defaults for missing or malformed fields', () => {
+    const recap = normalizeRecap({ conceptsCovered: 'fractions', misconceptions: [null, ''] }, session);
+
+    expect(recap.conceptsCovered).toEqual(['Adding Fractions']);
+    expect(recap.misconceptions).toEqual([]);
+    expect(recap.suggestedNextTopic).toBeNull();
+    expect(recap.summary).toContain('Adding Fractions');
+  });
+
+  it('should never report more correct answers than attempts', () => {
+    const recap = normalizeRecap({ problemsAttempted: 2, problemsCorrect: 5 }, session);
+
+    expect(recap.problemsCorrect).toBe(2);
+  });
+});
+
+describe('SessionSummarizer', () => {
+  const originalProvider = process.env.LLM_PROVIDER;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.LLM_PROVIDER = 'mock';
+    prisma.learningSession.findUnique.mockResolvedValue(session);
+  });
+
+  afterEach(() => {
+    if (originalProvider === undefined) {
+      delete process.env.LLM_PROVIDER;
+    } else {
+      process.env.LLM_PROVIDER = originalProvider;
+    }
+  });
+
+  it('should store the recap on the session and in student memory', async () => {
+    const recap = await sessionSummarizer.summarizeSession('session-1');
+
+    expect(recap.conceptsCovered).toContain('Adding fractions');
+    expect(recap.suggestedNextTopic).toBe('Subtracting fractions');
+    expect(prisma.learningSession.update).toHaveBeenCalledWith({
+      where: { id: 'session-1' },
+      data: { sessionData: { agentRole: 'tutoring', summary: recap } },
+    });
+    expect(prisma.studentMemory.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { studentId_key: { studentId: 'student-1', key: 'session:session-1' } },
+    }));
+  });
+
+  it('should build the recap from session data when there are no messages', async () => {
+    prisma.learningSession.findUnique.mockResolvedValue({ ...session, messages: [] });
+
+    const recap = await sessionSummarizer.summarizeSession('session-1');
+
+    expect(recap.problemsAttempted).toBe(0);
+    expect(recap.conceptsCovered).toEqual(['Adding Fractions']);
+  });
+});
@@ -0,0 +1,91 @@
+// Mock groq-sdk before importing the gateway
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+import {
+  structuredOutput,
+  extractJson,
+  StructuredOutputError,
+} from '../structuredOutput.js';
+import { llmGateway } from '../llmGateway.js';
+import { assessmentSchema, practiceProblemsSchema } from '../../curriculum/outputSchemas.js';
+
+const messages = [
+  { role: 'system', content: 'Create a fractions quiz.' },
+  { role: 'user', content: 'Generate the assessment.' },
+];
+
+const question = {
+  text: 'What is 1/4 + 2/4?',
+  type: 'multiple_choice',
+  options: ['3/4', '3/8'],
+  answer: '3/4',
+  explanation: 'Add the numerators and keep the denominator.',
+};
+
+const reply = value => ({ content: typeof value === 'string' ? value : JSON.stringify(value) });
+
+describe('extractJson', () => {
+  it('should read fenced blocks, bare values and values wrapped in chatter', () => {
+    expect(extractJson('```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(extractJson('[1, 2]')).toEqual([1, 2]);
+    expect(extractJson('Here you go: {"a": {"b": 2}} Enjoy!')).toEqual({ a: { b: 2 } });
+    expect(() => extractJson('No JSON here')).toThrow(SyntaxError);
+  });
+});
+
+describe('structuredOutput', () => {
+  let chat;
+
+  beforeEach(() => {
+    chat = jest.spyOn(llmGateway, 'chat');
+  });
+
+  afterEach(() => {
+    chat.mockRestore();
+  });
+
+  it('should return valid output with schema defaults applied', async () => {
+    chat.mockResolvedValueOnce(reply({ questions: [question] }));
+
+    const result = await structuredOutput.generate(messages, assessmentSchema, { name: 'test.assessment' });
+
+    expect(chat).toHaveBeenCalledTimes(1);
+    expect(result.questions[0]).toMatchObject({ ...question, points: 10, standards: [] });
+  });
+
+  it('should show the model its validation errors and accept the repaired reply', async () => {
+    chat
+      .mockResolvedValueOnce(reply({ questions: [{ ...question, options: ['3/4'] }] }))
+      .mockResolvedValueOnce(reply({ questions: [question] }));
+
+    const result = await structuredOutput.generate(messages, assessmentSchema, { temperature: 0.3 });
+
+    expect(result.questions).toHaveLength(1);
+    expect(chat).toHaveBeenCalledTimes(2);
+
+    const [repairMessages, options] = chat.mock.calls[1];
+    expect(repairMessages.slice(0, 2)).toEqual(messages);
+    expect(repairMessages[2]).toMatchObject({ role: 'assistant' });
+    expect(repairMessages[3].content).toContain('questions.0.options');
+    expect(options).toEqual({ temperature: 0.3, agentType: 'generator' });
+  });
+
+  it('should throw a typed error after the last repair fails', async () => {
+    chat.mockResolvedValue(reply('Sorry, here are some problems: 1) 2 + 2'));
+
+    const error = await structuredOutput
+      .generate(messages, practiceProblemsSchema, { name: 'test.problems', maxRepairs: 1 })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error).toMatchObject({
+      code: 'INVALID_AI_OUTPUT',
+      statusCode: 502,
+      generator: 'test.problems',
+      attempts: 2,
+    });
+    expect(chat).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  studentMemory,
+  scoreMemory,
+  selectMemories,
+  formatMemories,
+  MEMORY_KINDS,
+} from '../studentMemory.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    studentMemory: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+      upsert: jest.fn(),
+    },
+    reviewCard: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+const now = new Date('2025-03-17T12:00:00Z').getTime();
+const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000);
+
+const fractions = {
+  kind: MEMORY_KINDS.MISCONCEPTION,
+  subject: 'math',
+  topic: 'fractions, decimals, ratios',
+  content: 'Fraction Operations: Adds numerators and denominators separately (seen 4 times)',
+  importance: 0.8,
+  updatedAt: daysAgo(2),
+};
+
+const photosynthesis = {
+  kind: MEMORY_KINDS.SESSION_SUMMARY,
+  subject: 'science',
+  topic: 'Photosynthesis',
+  content: 'Understood that plants make sugar from light',
+  importance: 0.6,
+  updatedAt: daysAgo(1),
+};
+
+const dinosaurs = {
+  kind: MEMORY_KINDS.COMPANION,
+  content: 'Loves dinosaurs',
+  importance: 0.4,
+  updatedAt: daysAgo(40),
+};
+
+describe('scoreMemory', () => {
+  it('should rank memories about the current topic first', () => {
+    const request = { subject: 'math', topic: 'Adding Fractions', query: 'how do I add fractions?', now };
+
+    expect(scoreMemory(fractions, request)).toBeGreaterThan(scoreMemory(photosynthesis, request));
+    expect(scoreMemory(fractions, request)).toBeGreaterThan(scoreMemory(dinosaurs, request));
+  });
+
+  it('should boost reviews that are due', () => {
+    const review = { kind: MEMORY_KINDS.REVIEW, subject: 'math', content: 'Place value is due for review', importance: 0.7, updatedAt: daysAgo(10) };
+    const request = { subject: 'math', topic: 'Fractions', now };
+
+    expect(scoreMemory({ ...review, isDue: true }, request)).toBeGreaterThan(scoreMemory(review, request));
+  });
+});
+
+describe('selectMemories', () => {
+  it('should stay within the token budget', () => {
+    const memories = Array.from({ length: 50 }, (_, i) => ({
+      ...fractions,
+      content: `${fractions.content} #${i}`,
+    }));
+
+    const selected = selectMemories(memories, { subject: 'math', topic: 'fractions', tokenBudget: 100, now });
+    const used = selected.reduce((sum, m) => sum + Math.ceil(m.content.length / 4) + 2, 0);
+
+    expect(selected.length).toBeGreaterThan(0);
+    expect(used).toBeLessThanOrEqual(100);
+  });
+
+  it('should drop memories from other subjects with no overlap', () => {
+    const selected = selectMemories([fractions, photosynthesis], { subject: 'math', topic: 'fractions', now });
+
+    expect(selected.map(m => m.kind)).toEqual([MEMORY_KINDS.MISCONCEPTION]);
+  });
+});
+
+describe('formatMemories', () => {
+  it('should group memories into prompt sections', () => {
+    const section = formatMemories([fractions, dinosaurs], 'Emma');
+
+    expect(section).toContain('WHAT YOU REMEMBER ABOUT EMMA');
+    expect(section).toContain('Known misconceptions:\n- Fraction Operations');
+    expect(section).toContain('About the student:\n- Loves dinosaurs');
+  });
+
+  it('should return an empty string with nothing to remember', () => {
+    expect(formatMemories([], 'Emma')).toBe('');
+  });
+});
+
+describe('StudentMemoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should include spaced-repetition reviews when retrieving', async () => {
+    prisma.studentMemory.findMany.mockResolvedValue([fractions]);
+    prisma.reviewCard.findMany.mockResolvedValue([{
+      prompt: 'Equivalent Fractions',
+      subject: { slug: 'math' },
+      dueAt: daysAgo(1),
+      lastReviewedAt: daysAgo(7),
+      reps: 2,
+    }]);
+
+    const memories = await studentMemory.retrieve('student-1', { subject: 'math', topic: 'Fractions' });
+
+    expect(memories.map(m => m.kind)).toEqual(
+      expect.arrayContaining([MEMORY_KINDS.MISCONCEPTION, MEMORY_KINDS.REVIEW])
+    );
+    expect(memories.find(m => m.kind === MEMORY_KINDS.REVIEW).content).toContain('due for review');
+  });
+
+  it('should upsert misconceptions by pattern id', async () => {
+    await studentMemory.rememberMisconception('student-1', {
+      misconceptionId: 'fraction-operations',
+      misconception: 'Fraction Operations',
+      description: 'Applying whole number rules to fractions',
+      occurrences: 3,
+      severity: 70,
+    }, 'math');
+
+    expect(prisma.studentMemory.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { studentId_key: { studentId: 'student-1', key: 'misconception:fraction-operations' } },
+    }));
+    expect(prisma.studentMemory.upsert.mock.calls[0][0].create.importance).toBeCloseTo(0.7);
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Academic Integrity
+ *
+ * Recognises when a student pastes assigned work into the tutor. When the
+ * message matches an item from homework or an assessment set for one of
+ * the student's classes:
+ * - CLOSED tutor assignments force the agent into hint-only Socratic mode,
+ *   with graded hints from HintSystem (lib/adaptiveDifficulty.js)
+ * - OPEN tutor assignments are tutored normally
+ * Either way an IntegrityEvent is recorded for the teacher.
+ *
+ * Classes are teams; teachers are the team owner or members with role
+ * "teacher".
+ *
+ * Schema: prisma/schema-academic-integrity.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { HintSystem } from '../../lib/adaptiveDifficulty.js';
+import { logError } from '../../lib/logger.js';
+import { canManageClass as userManagesClass } from '../../lib/rbac.js';
+
+export const TUTOR_POLICIES = {
+  OPEN: 'OPEN',
+  CLOSED: 'CLOSED',
+};
+
+export const ASSIGNMENT_SOURCES = {
+  HOMEWORK: 'HOMEWORK',
+  ASSESSMENT: 'ASSESSMENT',
+};
+
+export const INTEGRITY_ACTIONS = {
+  HINT_ONLY: 'HINT_ONLY',
+  ALLOWED: 'ALLOWED',
+};
+
+// Share of an item's words and numbers that must appear in the message
+export const MATCH_THRESHOLD = 0.8;
+
+// Assignments stay matchable for a week after they are due
+const GRACE_PERIOD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ANSWER_SEEKING_PATTERNS = [
+  /\b(give|tell|show|send) me (just |only )?the (final |right |correct )?answers?\b/i,
+  /\bwhat'?s the answer\b/i,
+  /\bjust (the )?answers?( please)?\b/i,
+  /\b(solve|answer|finish|complete|do) (this|these|it|them|my \w+) for me\b/i,
+  /\bdo my (homework|assignment|worksheet|test|quiz)\b/i,
+  /\bcomplete (this|my) (assignment|worksheet|homework)\b/i,
+  /\bwrite (my|the) (essay|paragraph|answer) for me\b/i,
+  /\b(dame|dime) la respuesta\b/i,
+  /\bdonne[- ]moi la r[ée]ponse\b/i,
+];
+
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'of', 'to', 'is', 'and', 'in', 'on', 'for', 'it', 'this']);
+
+/**
+ * Words, numbers and math operators of a problem, lower-cased
+ */
+export function tokenize(text = '') {
+  return (text.toLowerCase().match(/[a-z]+|\d+(?:\.\d+)?|[=+\-*/^<>×÷]/g) || [])
+    .filter(token => !FILLER_WORDS.has(token));
+}
+
+/**
+ * How much of an assigned item appears in a message (0-1). A pasted
+ * problem usually contains the whole item, perhaps with extra words
+ * around it. Items whose numbers don't all appear score at most half, so
+ * the same kind of problem with different numbers isn't a match.
+ */
+export function itemSimilarity(message, itemText) {
+  const itemTokens = [...new Set(tokenize(itemText))];
+  if (itemTokens.length === 0) return 0;
+
+  const messageTokens = new Set(tokenize(message));
+
+  if (itemTokens.length < 3) {
+    return itemTokens.every(token => messageTokens.has(token)) ? 1 : 0;
+  }
+
+  const found = itemTokens.filter(token => messageTokens.has(token)).length;
+  let score = found / itemTokens.length;
+
+  const numbers = itemTokens.filter(token => /^\d/.test(token));
+  if (numbers.some(number => !messageTokens.has(number))) {
+    score *= 0.5;
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Whether a message asks for answers rather than help
+ */
+export function asksForAnswer(message = '') {
+  return ANSWER_SEEKING_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Find the assigned item a message matches best
+ * @param {string} message
+ * @param {Array<Object>} assignments - ClassAssignment rows
+ * @returns {Object|null} { assignment, item, similarity }
+ */
+export function matchAssignedItem(message, assignments = []) {
+  let best = null;
+
+  for (const assignment of assignments) {
+    for (const item of assignment.items || []) {
+      const similarity = itemSimilarity(message, item.text);
+      if (similarity >= MATCH_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { assignment, item, similarity };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Convert homework problems or assessment questions to assignment items
+ * @param {Array<Object>} raw - AdaptiveHomeworkGenerator problems or assessment metadata.questions
+ * @returns {Array<Object>} [{ id, text, answer, hints }]
+ */
+export function toAssignmentItems(raw = []) {
+  return raw
+    .map((entry, index) => ({
+      id: String(entry.id ?? `q${index + 1}`),
+      text: entry.problem || entry.text || entry.question || '',
+      answer: entry.answer ?? entry.correctAnswer ?? null,
+      hints: Array.isArray(entry.hints) ? entry.hints : [],
+    }))
+    .filter(item => item.text.trim());
+}
+
+class AcademicIntegrityService {
+  /**
+   * Classes (team IDs) a student belongs to
+   */
+  async getClassIds(studentId) {
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { userId: true },
+    });
+    if (!student?.userId) return [];
+
+    const memberships = await prisma.team_members.findMany({
+      where: { userId: student.userId },
+      select: { teamId: true },
+    });
+
+    return memberships.map(membership => membership.teamId);
+  }
+
+  /**
+   * Assignments set for a student's classes that are not long past due
+   */
+  async getActiveAssignments(studentId) {
+    const classIds = await this.getClassIds(studentId);
+    if (classIds.length === 0) return [];
+
+    return prisma.classAssignment.findMany({
+      where: {
+        classId: { in: classIds },
+        OR: [
+          { dueDate: null },
+          { dueDate: { gte: new Date(Date.now() - GRACE_PERIOD_MS) } },
+        ],
+      },
+    });
+  }
+
+  /**
+   * Check a student message against their assigned work. Records an
+   * IntegrityEvent when it matches.
+   * @param {string} message - Student message
+   * @param {Object} context - Session context (studentId, sessionId, gradeLevel)
+   * @returns {Promise<Object|null>} null when nothing matched, otherwise
+   *   { mode: 'hint_only' | 'open', assignmentId, title, itemId, similarity, asksForAnswer, hint, hintLevel }
+   */
+  async check(message, context) {
+    try {
+      const assignments = await this.getActiveAssignments(context.studentId);
+      const match = matchAssignedItem(message, assignments);
+      if (!match) return null;
+
+      const { assignment, item, similarity } = match;
+      const hintOnly = assignment.tutorPolicy !== TUTOR_POLICIES.OPEN;
+
+      let hint = null;
+      let hintLevel = null;
+      if (hintOnly) {
+        // Each time the item comes up in the session the next hint is given
+        const previous = await prisma.integrityEvent.count({
+          where: { sessionId: context.sessionId, itemId: item.id, assignmentId: assignment.id },
+        });
+        hintLevel = previous + 1;
+        hint = new HintSystem(context.gradeLevel).getHints({ hints: item.hints }, hintLevel);
+      }
+
+      const result = {
+        mode: hintOnly ? 'hint_only' : 'open',
+        assignmentId: assignment.id,
+        title: assignment.title,
+        itemId: item.id,
+        similarity,
+        asksForAnswer: asksForAnswer(message),
+        hint,
+        hintLevel,
+      };
+
+      await prisma.integrityEvent.create({
+        data: {
+          assignmentId: assignment.id,
+          itemId: item.id,
+          classId: assignment.classId,
+          studentId: context.studentId,
+          sessionId: context.sessionId,
+          similarity,
+          asksForAnswer: result.asksForAnswer,
+          action: hintOnly ? INTEGRITY_ACTIONS.HINT_ONLY : INTEGRITY_ACTIONS.ALLOWED,
+          hintLevel,
+        },
+      });
+
+      return result;
+    } catch (error) {
+      // Never block tutoring because the integrity check failed
+      logError('Academic integrity check failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a user may manage a class's assignments (see lib/rbac.js)
+   * @param {Object} user - Principal from loadPrincipal
+   * @param {string} classId - Team ID
+   */
+  async canManageClass(user, classId) {
+    return userManagesClass(user, classId);
+  }
+
+  /**
+   * Register homework or an assessment for a class. Assessment items are
+   * read from the assessment when not given.
+   */
+  async registerAssignment(classId, teacherId, { source, sourceId, title, subject, tutorPolicy, items, dueDate }) {
+    let assignmentItems = toAssignmentItems(items);
+
+    if (assignmentItems.length === 0 && source === ASSIGNMENT_SOURCES.ASSESSMENT) {
+      const assessment = await prisma.assessment.findUnique({ where: { id: sourceId } });
+      if (!assessment) {
+        throw new Error('Assessment not found');
+      }
+      assignmentItems = toAssignmentItems(assessment.metadata?.questions);
+      title = title || assessment.name;
+    }
+
+    const fields = {
+      teacherId,
+      title,
+      subject,
+      tutorPolicy: tutorPolicy || TUTOR_POLICIES.CLOSED,
+      items: assignmentItems,
+      dueDate: dueDate || null,
+    };
+
+    return prisma.classAssignment.upsert({
+      where: { classId_source_sourceId: { classId, source, sourceId } },
+      create: { classId, source, sourceId, ...fields },
+      update: fields,
+    });
+  }
+
+  /**
+   * Mark an assignment open or closed tutor for its class
+   */
+  async setTutorPolicy(classId, assignmentId, tutorPolicy) {
+    const assignment = await prisma.classAssignment.findFirst({
+      where: { id: assignmentId, classId },
+    });
+    if (!assignment) return null;
+
+    return prisma.classAssignment.update({
+      where: { id: assignmentId },
+      data: { tutorPolicy },
+    });
+  }
+
+  /**
+   * Assignments set for a class, newest first
+   */
+  async listAssignments(classId) {
+    return prisma.classAssignment.findMany({
+      where: { classId },
+      orderBy: { createdAt: 'desc' },
+    });
+  }
+
+  /**
+   * Integrity events for a class, newest first
+   */
+  async listEvents(classId, { since, limit = 100 } = {}) {
+    return prisma.integrityEvent.findMany({
+      where: {
+        classId,
+        ...(since && { createdAt: { gte: since } }),
+      },
+      include: {
+        assignment: { select: { title: true, tutorPolicy: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+  }
+}
+
+export const academicIntegrity = new AcademicIntegrityService();
+export default academicIntegrity;
@@ -8,7 +8,17 @@ import { MathCurriculumAgent } from './agents/MathCurriculumAgent.js';
 import { EnglishCurriculumAgent } from './agents/EnglishCurriculumAgent.js';
 import { ScienceCurriculumAgent } from './agents/ScienceCurriculumAgent.js';
 import { AssessmentAgent } from './agents/AssessmentAgent.js';
-import { groqClient } from './groqClient.js';
+import { llmGateway } from './llmGateway.js';
+import { costLedger, BUDGET_ACTIONS } from './costLedger.js';
+import { studentMemory } from './studentMemory.js';
+import { moderationPipeline } from './moderationPipeline.js';
+import { academicIntegrity } from './academicIntegrity.js';
+import { promptRegistry } from './prompts.js';
+import { intentRouter, ROUTING_ACTIONS, AGENT_ROLES, describeAgent } from './intentRouter.js';
+import { semanticCache } from './semanticCache.js';
+import { ageFromBirthDate } from './moderation/policies.js';
+import { voiceNarrationService } from '../multimedia/voiceNarrationService.js';
+import { consentService, CONSENT_TYPES } from '../parent/consentService.js';
 import { redis } from '../../lib/redis.js';
 import prisma from '../../lib/prisma.js';
 
@@ -88,23 +98,69 @@ class AgentOrchestrator {
     try {
       // Get session context
       const context = await this.getSessionContext(sessionId);
-      
-      // Determine agent role from metadata or context
-      const role = metadata.role || context.agentRole || 'tutoring';
-      
-      // Select appropriate agent
-      const agent = this.selectAgent(context, role);
-      
+
+      // A parent may have withdrawn chat or voice consent since the last message
+      await this.enforceConsent(context, metadata);
+
+      // Child-safety checks on the student's message. Blocked messages and
+      // self-harm disclosures never reach the model; PII is redacted.
+      const input = await this.applyInputModeration(context, message, metadata);
+      if (input.stopped) {
+        return this.respondWithoutModel(sessionId, context, input, metadata);
+      }
+      message = input.text;
+
       // Add message to context
       context.messages.push({
         role: 'user',
         content: message,
         timestamp: Date.now(),
       });
+      await this.saveMessageToDb(sessionId, 'user', message, metadata.messageMetadata);
+
+      // Pick the agent from the message's intent - may hand the session to
+      // another agent, or undo the last handoff without calling a model
+      const routing = this.routeIntent(context, message, metadata);
+      const handoff = await this.recordRouting(sessionId, context, routing);
+      if (routing.action === ROUTING_ACTIONS.UNDO) {
+        const speech = await this.narrateReply(context, metadata, handoff.announcement);
+        return { content: handoff.announcement, handoff, ...(speech && { speech }) };
+      }
+      const { role, subject } = routing.target;
+      const agent = this.selectAgent({ ...context, subject }, role);
+      const isVoiceMode = this.isVoiceReply(context, metadata);
+
+      // Apply student/parent/tenant budgets (may downgrade the model or throw)
+      const agentMetadata = await this.applyBudget(sessionId, context, metadata, `${role}:${agent.name}`);
+
+      // Pasted assigned work may force hint-only mode
+      const integrity = await academicIntegrity.check(message, context);
 
-      // Get agent response
-      const response = await agent.process(context, message, metadata);
+      // Pick up prompt versions and releases changed since the last message
+      await promptRegistry.refresh();
+
+      // Get agent response, with relevant long-term memories in its context
+      const agentContext = {
+        ...(await this.withStudentMemory({ ...context, subject }, message)),
+        integrity,
+        isVoiceMode,
+      };
+
+      // Opening questions many students ask may already have an answer
+      let response = await semanticCache.lookup(agentContext, role, message);
+      if (!response) {
+        response = await agent.process(agentContext, message, agentMetadata);
+        await semanticCache.store(agentContext, role, message, response);
+      }
+
+      // Coding practice: remember which exercise the student is on
+      if (response.exerciseState) {
+        await this.saveCodingExercise(sessionId, context, response.exerciseState);
+      }
       
+      // Voice: read the reply aloud, announcing any handoff first
+      const speech = await this.narrateReply(context, metadata, [handoff?.announcement, response.content].filter(Boolean).join('\n'));
+
       // Add response to context
       context.messages.push({
         role: 'assistant',
@@ -116,19 +172,407 @@ class AgentOrchestrator {
 
       // Update session in cache and database
       await this.updateSessionContext(sessionId, context);
-      await this.saveMessageToDb(sessionId, 'user', message);
-      await this.saveMessageToDb(sessionId, 'assistant', response.content);
+      await this.saveMessageToDb(sessionId, 'assistant', response.content, {
+        model: response.model,
+        tokensUsed: response.usage?.totalTokens,
+        responseTime: response.responseTime,
+        ...(response.cached && { cached: true }),
+        ...(integrity && { integrity: { assignmentId: integrity.assignmentId, mode: integrity.mode } }),
+        ...(speech && { speech: this.getSpeechMetadata(speech) }),
+      });
       
       // Log agent interaction for analytics
       await this.logAgentInteraction(sessionId, agent.name, response, role);
       
-      return response;
+      return {
+        ...response,
+        ...(integrity && { integrity }),
+        ...(handoff && { handoff }),
+        ...(speech && { speech }),
+      };
     } catch (error) {
       console.error('Error in AgentOrchestrator:', error);
       throw error;
     }
   }
 
+  /**
+   * Stream a message through the appropriate agent.
+   *
+   * Yields the agent's `delta`/`replace` events as they arrive. The user
+   * message is saved up front; the assistant message is saved once the
+   * stream ends, and the final `done` event is yielded after that.
+   */
+  async *streamMessage(sessionId, message, metadata = {}) {
+    const context = await this.getSessionContext(sessionId);
+    await this.enforceConsent(context, metadata);
+
+    const input = await this.applyInputModeration(context, message, metadata);
+    if (input.stopped) {
+      const response = await this.respondWithoutModel(sessionId, context, input, metadata);
+      yield { type: 'replace', content: response.content };
+      yield { type: 'done', ...response };
+      return;
+    }
+    message = input.text;
+
+    context.messages.push({
+      role: 'user',
+      content: message,
+      timestamp: Date.now(),
+    });
+    await this.saveMessageToDb(sessionId, 'user', message, metadata.messageMetadata);
+
+    const routing = this.routeIntent(context, message, metadata);
+    const handoff = await this.recordRouting(sessionId, context, routing);
+    if (handoff) {
+      yield { type: 'handoff', handoff };
+    }
+    if (routing.action === ROUTING_ACTIONS.UNDO) {
+      const speech = await this.narrateReply(context, metadata, handoff.announcement);
+      yield { type: 'done', content: handoff.announcement, handoff, ...(speech && { speech }) };
+      return;
+    }
+    const { role, subject } = routing.target;
+    const agent = this.selectAgent({ ...context, subject }, role);
+    const isVoiceMode = this.isVoiceReply(context, metadata);
+
+    const agentMetadata = await this.applyBudget(sessionId, context, metadata, `${role}:${agent.name}`);
+
+    const integrity = await academicIntegrity.check(message, context);
+    await promptRegistry.refresh();
+    const agentContext = {
+      ...(await this.withStudentMemory({ ...context, subject }, message)),
+      integrity,
+      isVoiceMode,
+    };
+    let response = await semanticCache.lookup(agentContext, role, message);
+    if (response) {
+      yield { type: 'delta', content: response.content };
+    } else {
+      for await (const event of agent.processStream(agentContext, message, agentMetadata)) {
+        if (event.type === 'done') {
+          response = event;
+          continue;
+        }
+        yield event;
+      }
+      await semanticCache.store(agentContext, role, message, response);
+    }
+
+    if (response.exerciseState) {
+      await this.saveCodingExercise(sessionId, context, response.exerciseState);
+    }
+
+    // Narrated once the whole reply is known
+    const speech = await this.narrateReply(context, metadata, [handoff?.announcement, response.content].filter(Boolean).join('\n'));
+
+    context.messages.push({
+      role: 'assistant',
+      content: response.content,
+      timestamp: Date.now(),
+      agentUsed: agent.name,
+      agentRole: role,
+    });
+
+    await this.updateSessionContext(sessionId, context);
+    await this.saveMessageToDb(sessionId, 'assistant', response.content, {
+      model: response.model,
+      tokensUsed: response.usage?.totalTokens,
+      responseTime: response.responseTime,
+      streamed: true,
+      ...(response.cached && { cached: true }),
+      ...(integrity && { integrity: { assignmentId: integrity.assignmentId, mode: integrity.mode } }),
+      ...(speech && { speech: this.getSpeechMetadata(speech) }),
+    });
+    await this.logAgentInteraction(sessionId, agent.name, response, role);
+
+    yield {
+      ...response,
+      type: 'done',
+      ...(integrity && { integrity }),
+      ...(handoff && { handoff }),
+      ...(speech && { speech }),
+    };
+  }
+
+  /**
+   * Agent answering the session now: the target of the last handoff, or
+   * the session's own role and subject
+   * @returns {Object} { role, subject }
+   */
+  getActiveAgent(context) {
+    return context.activeAgent || {
+      role: context.agentRole || AGENT_ROLES.TUTORING,
+      subject: context.subject,
+    };
+  }
+
+  /**
+   * Whether an agent exists for a role and subject (there is no coding
+   * curriculum agent, for example)
+   */
+  hasAgent({ role, subject }) {
+    if (role === AGENT_ROLES.CURRICULUM) return Boolean(this.curriculumAgents[subject]);
+    if (role === AGENT_ROLES.ASSESSMENT) return Boolean(this.assessmentAgents[subject]);
+    return Boolean(this.tutoringAgents[subject]);
+  }
+
+  /**
+   * Decide which agent answers a message (see intentRouter). A caller
+   * passing `metadata.role` pins the role and turns routing off.
+   * @returns {Object} { action, target, handoff? }
+   */
+  routeIntent(context, message, metadata = {}) {
+    const current = this.getActiveAgent(context);
+    if (metadata.role) {
+      return { action: ROUTING_ACTIONS.STAY, target: { ...current, role: metadata.role } };
+    }
+
+    const decision = intentRouter.route(message, current, context.handoffs || []);
+    if (decision.action === ROUTING_ACTIONS.HANDOFF) {
+      if (!this.hasAgent(decision.target)) {
+        return { action: ROUTING_ACTIONS.STAY, target: current };
+      }
+      return { ...decision, handoff: intentRouter.createHandoff(current, decision.target, decision.intent) };
+    }
+
+    return decision;
+  }
+
+  /**
+   * Apply a handoff or undo to the session: switch the active agent,
+   * record it in the context and session data, and announce it in the chat
+   * @returns {Promise<Object|null>} Handoff summary for the client, or null
+   *   when the message stays with the current agent
+   */
+  async recordRouting(sessionId, context, routing) {
+    if (routing.action === ROUTING_ACTIONS.STAY) return null;
+
+    const { handoff } = routing;
+    let announcement;
+    if (routing.action === ROUTING_ACTIONS.HANDOFF) {
+      context.handoffs = [...(context.handoffs || []), handoff];
+      context.activeAgent = handoff.to;
+      announcement = intentRouter.announceHandoff(handoff);
+    } else {
+      context.handoffs = (context.handoffs || []).map(entry => (
+        entry.id === handoff.id ? { ...entry, undoneAt: new Date().toISOString() } : entry
+      ));
+      context.activeAgent = handoff.from;
+      announcement = intentRouter.announceUndo(handoff);
+    }
+
+    const summary = {
+      id: handoff.id,
+      action: routing.action,
+      from: handoff.from,
+      to: handoff.to,
+      agentName: describeAgent(context.activeAgent),
+      announcement,
+    };
+
+    context.messages.push({
+      role: 'assistant',
+      content: announcement,
+      timestamp: Date.now(),
+      handoff: { id: handoff.id, action: routing.action },
+    });
+
+    await this.saveMessageToDb(sessionId, 'assistant', announcement, {
+      handoff: { id: handoff.id, action: routing.action, from: handoff.from, to: handoff.to },
+    });
+    await this.updateSessionData(sessionId, {
+      activeAgent: context.activeAgent,
+      handoffs: context.handoffs,
+    });
+    await this.updateSessionContext(sessionId, context);
+
+    return summary;
+  }
+
+  /**
+   * Undo the session's most recent handoff (the chat's undo button)
+   * @returns {Promise<Object|null>} Handoff summary, or null if there is
+   *   nothing to undo
+   */
+  async undoHandoff(sessionId) {
+    const context = await this.getSessionContext(sessionId);
+    const handoff = intentRouter.lastActiveHandoff(context.handoffs);
+    if (!handoff) return null;
+
+    return this.recordRouting(sessionId, context, {
+      action: ROUTING_ACTIONS.UNDO,
+      target: handoff.from,
+      handoff,
+    });
+  }
+
+  /**
+   * Run the input stage of the moderation pipeline for a session
+   * @returns {Promise<Object>} Moderation decision (see moderationPipeline.moderateInput)
+   */
+  async moderateInput(sessionId, message) {
+    const context = await this.getSessionContext(sessionId);
+    return moderationPipeline.moderateInput(message, context);
+  }
+
+  /**
+   * Moderate the student's message. Uses `metadata.moderation` when the
+   * caller has already checked it.
+   */
+  async applyInputModeration(context, message, metadata) {
+    return metadata.moderation || moderationPipeline.moderateInput(message, context);
+  }
+
+  /**
+   * Answer a message that moderation stopped, without calling a model.
+   * Only the redacted message is stored.
+   */
+  async respondWithoutModel(sessionId, context, input, metadata) {
+    const response = {
+      content: input.reply,
+      filtered: true,
+      moderation: {
+        action: input.action,
+        categories: input.categories,
+      },
+    };
+    const speech = await this.narrateReply(context, metadata, response.content);
+    if (speech) {
+      response.speech = speech;
+    }
+
+    context.messages.push(
+      { role: 'user', content: input.text, timestamp: Date.now() },
+      { role: 'assistant', content: response.content, timestamp: Date.now() }
+    );
+
+    await this.updateSessionContext(sessionId, context);
+    await this.saveMessageToDb(sessionId, 'user', input.text, metadata.messageMetadata);
+    await this.saveMessageToDb(sessionId, 'assistant', response.content, {
+      moderation: response.moderation,
+      ...(speech && { speech: this.getSpeechMetadata(speech) }),
+    });
+
+    return response;
+  }
+
+  /**
+   * Whether a reply is read aloud: in voice-mode sessions, and to any
+   * message the student spoke
+   */
+  isVoiceReply(context, metadata = {}) {
+    return Boolean(context.isVoiceMode || metadata.messageMetadata?.isVoiceInput);
+  }
+
+  /**
+   * Narrate a reply when it is read aloud. Narration failures never fail
+   * the message - the reply is still shown.
+   * @returns {Promise<Object|null>} See voiceNarrationService.narrateReply
+   */
+  async narrateReply(context, metadata, content) {
+    if (!this.isVoiceReply(context, metadata)) return null;
+
+    try {
+      return await voiceNarrationService.narrateReply(content, {
+        gradeLevel: context.gradeLevel,
+        locale: context.locale,
+      });
+    } catch (error) {
+      console.error('Error narrating reply:', error);
+      return null;
+    }
+  }
+
+  /**
+   * What was said aloud, stored with the assistant message
+   */
+  getSpeechMetadata(speech) {
+    return {
+      transcript: speech.text,
+      provider: speech.provider,
+      audioUrl: speech.audioUrl || null,
+    };
+  }
+
+  /**
+   * Add the student's most relevant long-term memories to a copy of the
+   * context. The memories are not cached with the session.
+   */
+  async withStudentMemory(context, message) {
+    try {
+      const memories = await studentMemory.retrieve(context.studentId, {
+        subject: context.subject,
+        topic: context.topic,
+        query: message,
+      });
+      return { ...context, memories };
+    } catch (error) {
+      console.error('Error retrieving student memory:', error);
+      return context;
+    }
+  }
+
+  /**
+   * Check the parental consents a message needs: AI chat, and voice
+   * recording for spoken messages
+   * @throws {ConsentRequiredError} When a consent is missing or withdrawn
+   */
+  async checkConsent(sessionId, metadata = {}) {
+    const context = await this.getSessionContext(sessionId);
+    await this.enforceConsent(context, metadata);
+  }
+
+  async enforceConsent(context, metadata = {}) {
+    await consentService.assertConsent(context.studentId, CONSENT_TYPES.AI_CHAT);
+    if (metadata.messageMetadata?.isVoiceInput) {
+      await consentService.assertConsent(context.studentId, CONSENT_TYPES.VOICE_RECORDING);
+    }
+  }
+
+  /**
+   * Student, parent and tenant a session's AI usage is billed to
+   */
+  getBillingOwners(context) {
+    return {
+      studentId: context.studentId,
+      parentId: context.parentId || null,
+      tenantId: context.tenantId || null,
+    };
+  }
+
+  /**
+   * Check the budgets for a session before calling a model
+   * @throws {BudgetExceededError} When a budget refuses further requests
+   * @returns {Promise<Object>} Budget decision { action, limit }
+   */
+  async checkBudget(sessionId) {
+    const context = await this.getSessionContext(sessionId);
+    return costLedger.enforceBudget(this.getBillingOwners(context));
+  }
+
+  /**
+   * Apply the budget decision to the agent metadata. Uses `metadata.budget`
+   * when the caller has already checked it. The agent passes `billing` and
+   * `budget` on to the gateway, which records the call against them.
+   */
+  async applyBudget(sessionId, context, metadata, agentType) {
+    const budget = metadata.budget || await costLedger.enforceBudget(this.getBillingOwners(context));
+    const billed = {
+      ...metadata,
+      agentType,
+      billing: { ...this.getBillingOwners(context), sessionId },
+      budget,
+    };
+
+    if (budget.action === BUDGET_ACTIONS.DOWNGRADE) {
+      return { ...billed, model: llmGateway.models.fast, downgraded: true };
+    }
+
+    return billed;
+  }
+
   /**
    * Generate curriculum content (lesson plans, practice problems, etc.)
    */
@@ -180,6 +624,14 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Generate quick questions checking one prerequisite skill
+   */
+  async generateProbeQuestions(subject, skill, gradeLevel, options = {}) {
+    const assessmentAgent = this.assessmentAgents[subject] || this.assessmentAgents.math;
+    return assessmentAgent.generateProbeQuestions(skill, gradeLevel, options);
+  }
+
   /**
    * Grade assessment
    */
@@ -194,6 +646,14 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Check one assessment answer (adaptive tests grade as they go)
+   */
+  async checkAssessmentAnswer(question, studentAnswer, context) {
+    const assessmentAgent = this.assessmentAgents[context.subject] || this.assessmentAgents.math;
+    return assessmentAgent.checkAnswer(question, String(studentAnswer ?? ''), context);
+  }
+
   /**
    * Get or create session context
    */
@@ -209,7 +669,11 @@ class AgentOrchestrator {
       const session = await prisma.learningSession.findUnique({
         where: { id: sessionId },
         include: {
-          student: true,
+          student: {
+            include: {
+              user: { select: { tenantId: true } },
+            },
+          },
           subject: true,
           topic: true,
           messages: {
@@ -235,8 +699,13 @@ class AgentOrchestrator {
       const context = {
         sessionId: session.id,
         studentId: session.student.id,
+        userId: session.student.userId,
         studentName: session.student.firstName,
+        parentId: session.student.parentId || null,
+        tenantId: session.student.user?.tenantId || null,
         gradeLevel: session.student.gradeLevel,
+        // Moderation uses the real age, not just the grade
+        age: ageFromBirthDate(session.student.birthDate),
         subject: session.subject.slug,
         subjectName: session.subject.name,
         topic: session.topic.name,
@@ -254,6 +723,12 @@ class AgentOrchestrator {
         startTime: session.startedAt.getTime(),
         isVoiceMode: session.sessionData?.isVoiceMode || false,
         agentRole: session.sessionData?.agentRole || 'tutoring',
+        codingExercise: session.sessionData?.codingExercise || null,
+        // Set by intent handoffs (see routeIntent)
+        activeAgent: session.sessionData?.activeAgent || null,
+        handoffs: session.sessionData?.handoffs || [],
+        // Language the tutor prompts are rendered in (see prompts.js)
+        locale: session.sessionData?.locale || 'en',
       };
       
       // Cache for 1 hour
@@ -266,6 +741,37 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Save the coding exercise a student is working on (CodingAgent practice
+   * mode) to the context and the session
+   * @param {Object} exerciseState - { id, language, completed }
+   */
+  async saveCodingExercise(sessionId, context, exerciseState) {
+    context.codingExercise = exerciseState;
+    await this.updateSessionData(sessionId, { codingExercise: exerciseState });
+  }
+
+  /**
+   * Merge fields into the session's stored sessionData
+   */
+  async updateSessionData(sessionId, fields) {
+    try {
+      const session = await prisma.learningSession.findUnique({
+        where: { id: sessionId },
+        select: { sessionData: true },
+      });
+
+      await prisma.learningSession.update({
+        where: { id: sessionId },
+        data: {
+          sessionData: { ...(session?.sessionData || {}), ...fields },
+        },
+      });
+    } catch (error) {
+      console.error('Error saving session data:', error);
+    }
+  }
+
   /**
    * Update session context in cache
    */
@@ -280,7 +786,7 @@ class AgentOrchestrator {
   /**
    * Save message to database
    */
-  async saveMessageToDb(sessionId, role, content) {
+  async saveMessageToDb(sessionId, role, content, metadata = {}) {
     try {
       const messageCount = await prisma.sessionMessage.count({
         where: { sessionId },
@@ -292,6 +798,7 @@ class AgentOrchestrator {
           role,
           content,
           sequenceNumber: messageCount + 1,
+          metadata,
         },
       });
 
@@ -308,24 +815,25 @@ class AgentOrchestrator {
   }
 
   /**
-   * Log agent interaction for analytics and cost tracking
+   * Log agent interaction for analytics. The cost ledger entry is written
+   * by the gateway when the call completes.
    */
   async logAgentInteraction(sessionId, agentName, response, role = 'tutoring') {
-    try {
-      // Calculate cost (Groq is very cheap, but track anyway)
-      const inputCost = (response.usage?.promptTokens || 0) / 1_000_000 * 0.05;
-      const outputCost = (response.usage?.completionTokens || 0) / 1_000_000 * 0.10;
-      const totalCost = inputCost + outputCost;
+    const agentType = `${role}:${agentName}`;
+    // Priced by the gateway from the provider/model price table
+    const totalCost = response.cost || 0;
 
+    try {
       await prisma.agentLog.create({
         data: {
           sessionId,
-          agentType: `${role}:${agentName}`,
+          agentType,
           promptTokens: response.usage?.promptTokens || 0,
           completionTokens: response.usage?.completionTokens || 0,
           totalCost,
           responseTimeMs: response.responseTime || 0,
           modelUsed: response.model || 'unknown',
+          promptVersion: response.promptVersion || null,
           errorMessage: response.error || null,
         },
       });
@@ -1,5 +1,8 @@
 import { BaseAgent } from './BaseAgent.js';
-import { groqClient } from '../groqClient.js';
+import { llmGateway } from '../llmGateway.js';
+import { structuredOutput } from '../structuredOutput.js';
+import { promptRegistry } from '../prompts.js';
+import { diagnosticAssessmentSchema, assessmentSchema } from '../../curriculum/outputSchemas.js';
 import prisma from '../../../lib/prisma.js';
 
 /**
@@ -12,6 +15,7 @@ import prisma from '../../../lib/prisma.js';
  * Used for:
  * - Generating diagnostic tests
  * - Creating quizzes
+ * - Probing prerequisite skills (gapBacktraceService)
  * - Grading assessments
  * - Identifying learning gaps
  */
@@ -22,7 +26,11 @@ export class AssessmentAgent extends BaseAgent {
   }
 
   /**
-   * Generate a diagnostic assessment to identify learning gaps
+   * Generate a diagnostic assessment to identify learning gaps.
+   * The questions are a pool for an adaptive test (adaptiveTestService),
+   * which asks only as many as it needs, so they should span the whole
+   * difficulty range. Each is rated 1-5 for difficulty until it has been
+   * calibrated from real answers.
    */
   async generateDiagnosticAssessment(topic, gradeLevel, options = {}) {
     const {
@@ -30,52 +38,70 @@ export class AssessmentAgent extends BaseAgent {
       includeMultipleChoice = true,
       includeShortAnswer = true,
       includeProblemSolving = true,
+      tenantId = null,
     } = options;
 
     const gradeBand = this.getGradeBand(gradeLevel);
     const standards = await this.getLearningStandards(topic, gradeLevel);
-
-    const prompt = `You are an assessment specialist creating a diagnostic assessment for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-DIAGNOSTIC ASSESSMENT PURPOSE:
-- Identify what the student already knows
-- Identify learning gaps
-- Determine appropriate starting point
-- Assess prerequisite knowledge
-
-LEARNING STANDARDS:
-${standards.map(s => `- ${s.description}`).join('\n')}
-
-Create ${questionCount} diagnostic questions:
-${includeMultipleChoice ? '- Multiple choice questions' : ''}
-${includeShortAnswer ? '- Short answer questions' : ''}
-${includeProblemSolving ? '- Problem-solving questions' : ''}
-
-Questions should:
-- Cover prerequisite concepts
-- Assess current knowledge level
-- Identify common misconceptions
-- Range from basic to advanced
-- Include answer key with explanations
-
-For each question, provide:
-1. Question text
-2. Question type
-3. Correct answer
-4. Explanation
-5. Prerequisite knowledge being assessed
-6. Common misconceptions to watch for`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('assessment.diagnostic', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      standards: standards.map(s => `- ${s.description}`).join('\n'),
+      questionCount,
+      multipleChoiceLine: includeMultipleChoice ? '- Multiple choice questions' : '',
+      shortAnswerLine: includeShortAnswer ? '- Short answer questions' : '',
+      problemSolvingLine: includeProblemSolving ? '- Problem-solving questions' : '',
+    }, { gradeLevel, tenantId });
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate the diagnostic assessment.` },
-    ], {
-      model: groqClient.models.smart,
+    ], diagnosticAssessmentSchema, {
+      name: 'assessment.diagnostic',
+      model: llmGateway.models.smart,
       temperature: 0.3,
       maxTokens: 4000,
     });
+  }
 
-    return this.parseAssessment(response.content);
+  /**
+   * Generate a few quick questions checking one prerequisite skill. Used
+   * to trace a student's trouble with a topic back to the skill it builds
+   * on that they never really learned, so each question tests that skill
+   * alone, at the grade it is taught.
+   * @param {Object} skill - Knowledge graph node: { name, description, gradeLevel }
+   * @param {number} gradeLevel - The student's grade, for wording
+   * @param {Object} options - { questionCount, topicName: the topic being struggled with, tenantId }
+   */
+  async generateProbeQuestions(skill, gradeLevel, options = {}) {
+    const { questionCount = 3, topicName = null, tenantId = null } = options;
+    const skillGrade = skill.gradeLevel ?? gradeLevel;
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('assessment.probe', {
+      skill: skill.description ? `${skill.name} - ${skill.description}` : skill.name,
+      skillGrade,
+      skillGradeBand: this.getGradeBand(skillGrade),
+      gradeLevel,
+      strugglingWith: topicName ? `, struggling with ${topicName}` : '',
+      questionCount,
+      laterTopic: topicName || 'later topics',
+    }, { gradeLevel, tenantId });
+
+    const { questions } = await structuredOutput.generate([
+      { role: 'system', content: prompt },
+      { role: 'user', content: `Generate the questions for ${skill.name}.` },
+    ], assessmentSchema, {
+      name: 'assessment.probe',
+      model: llmGateway.models.fast,
+      temperature: 0.3,
+      maxTokens: 1500,
+    });
+
+    return questions.slice(0, questionCount);
   }
 
   /**
@@ -99,6 +125,7 @@ For each question, provide:
 
       const questions = assessment.metadata?.questions || [];
       const gradedResults = [];
+      await promptRegistry.refresh();
 
       for (let i = 0; i < questions.length; i++) {
         const question = questions[i];
@@ -178,28 +205,23 @@ For each question, provide:
    * Check short answer using AI for semantic similarity
    */
   async checkShortAnswer(correctAnswer, studentAnswer, context) {
-    const prompt = `You are grading a ${context.gradeLevel}th grade ${context.subject} assessment.
-
-CORRECT ANSWER: ${correctAnswer}
-STUDENT ANSWER: ${studentAnswer}
-
-Grade Level: ${context.gradeLevel} (${this.getGradeBand(context.gradeLevel)})
-
-Determine if the student's answer is correct. Consider:
-- Semantic similarity (same meaning, different wording is OK)
-- Age-appropriate expectations
-- Partial credit for partially correct answers
-- Common spelling mistakes should not penalize
-
-Respond with ONLY "CORRECT", "INCORRECT", or "PARTIAL" (if partially correct).`;
-
-    const response = await groqClient.chat([
+    const prompt = this.renderPrompt('assessment.shortAnswer', {
+      gradeLevel: context.gradeLevel,
+      gradeBand: this.getGradeBand(context.gradeLevel),
+      subject: context.subject,
+      correctAnswer,
+      studentAnswer,
+    }, context);
+
+    const response = await llmGateway.chat([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Is the student answer correct?' },
     ], {
-      model: groqClient.models.smart,
+      model: llmGateway.models.smart,
       temperature: 0.1,
       maxTokens: 10,
+      agentType: 'assessment.shortAnswer',
+      billing: { studentId: context?.studentId, sessionId: context?.sessionId },
     });
 
     const result = response.content.trim().toUpperCase();
@@ -214,28 +236,22 @@ Respond with ONLY "CORRECT", "INCORRECT", or "PARTIAL" (if partially correct).`;
       return `Great job! ${question.explanation || 'You got it right!'}`;
     }
 
-    const prompt = `You are providing feedback to a ${context.gradeLevel}th grade student who answered incorrectly.
-
-QUESTION: ${question.text}
-STUDENT ANSWER: ${studentAnswer}
-CORRECT ANSWER: ${question.answer}
+    const prompt = this.renderPrompt('assessment.feedback', {
+      gradeLevel: context.gradeLevel,
+      question: question.text,
+      studentAnswer,
+      correctAnswer: question.answer,
+    }, context);
 
-Provide encouraging, constructive feedback that:
-- Explains why the answer was incorrect
-- Guides them toward the correct answer
-- Uses age-appropriate language
-- Is encouraging, not discouraging
-- Helps them understand the concept
-
-Keep feedback under 50 words.`;
-
-    const response = await groqClient.chat([
+    const response = await llmGateway.chat([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Provide feedback.' },
     ], {
-      model: groqClient.models.smart,
+      model: llmGateway.models.smart,
       temperature: 0.7,
       maxTokens: 100,
+      agentType: 'assessment.feedback',
+      billing: { studentId: context?.studentId, sessionId: context?.sessionId },
     });
 
     return response.content.trim();
@@ -268,28 +284,22 @@ Keep feedback under 50 words.`;
    * Generate recommendations based on assessment results
    */
   async generateRecommendations(score, learningGaps, context) {
-    const prompt = `You are an assessment specialist providing recommendations for a ${context.gradeLevel}th grade student.
-
-ASSESSMENT SCORE: ${score.toFixed(1)}%
-LEARNING GAPS IDENTIFIED: ${learningGaps.length}
-
-${learningGaps.length > 0 ? `TOPICS TO REVIEW:\n${learningGaps.map((g, i) => `${i + 1}. ${g.concept}`).join('\n')}` : ''}
-
-Provide specific, actionable recommendations:
-1. What topics to review
-2. What practice to do
-3. What prerequisite knowledge to strengthen
-4. Suggested next steps
-
-Keep recommendations age-appropriate and encouraging.`;
-
-    const response = await groqClient.chat([
+    const prompt = this.renderPrompt('assessment.recommendations', {
+      gradeLevel: context.gradeLevel,
+      score: score.toFixed(1),
+      gapCount: learningGaps.length,
+      reviewSection: learningGaps.length > 0 ? `TOPICS TO REVIEW:\n${learningGaps.map((g, i) => `${i + 1}. ${g.concept}`).join('\n')}` : '',
+    }, context);
+
+    const response = await llmGateway.chat([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate recommendations.' },
     ], {
-      model: groqClient.models.smart,
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 300,
+      agentType: 'assessment.recommendations',
+      billing: { studentId: context?.studentId, sessionId: context?.sessionId },
     });
 
     return {
@@ -317,22 +327,6 @@ Keep recommendations age-appropriate and encouraging.`;
     return steps;
   }
 
-  /**
-   * Parse assessment from AI response
-   */
-  parseAssessment(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-      return { raw: content, error: 'Could not parse JSON' };
-    } catch (error) {
-      console.error('Error parsing assessment:', error);
-      return { raw: content, error: error.message };
-    }
-  }
-
   /**
    * Get learning standards (placeholder - should integrate with standards database)
    */
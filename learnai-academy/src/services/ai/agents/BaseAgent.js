@@ -1,5 +1,13 @@
-import { groqClient } from '../groqClient.js';
-import { contentFilter } from '../contentFilter.js';
+import { llmGateway } from '../llmGateway.js';
+import { moderationPipeline } from '../moderationPipeline.js';
+import { formatMemories } from '../studentMemory.js';
+import { delimitStudentText, STUDENT_TEXT_TAGS } from '../injectionDetector.js';
+import { promptRegistry, formatPromptVersions } from '../prompts.js';
+
+const MAX_REPLY_TOKENS = 1500;
+
+// Spoken replies are kept short (see the tutor.voiceMode prompt)
+const MAX_VOICE_REPLY_TOKENS = 400;
 
 export class BaseAgent {
   constructor(name, subjectId) {
@@ -17,82 +25,67 @@ export class BaseAgent {
       strengths = [],
       weaknesses = [],
       isVoiceMode = false,
+      memories = [],
+      integrity = null,
     } = context;
 
     const gradeBand = this.getGradeBand(gradeLevel);
-    const gradeBandGuidelines = this.getGradeBandGuidelines(gradeBand);
-
-    let prompt = `You are an expert ${this.name} tutor for ${studentName}, a ${this.getGradeName(gradeLevel)} student (${gradeBand} level).
-
-CURRENT SESSION:
-- Topic: ${topic}
-- Mode: ${mode === 'practice' ? 'Practice Mode' : 'Help Mode'}
-- Difficulty: ${difficulty}
-
-STUDENT PROFILE:
-- Strengths: ${strengths.length > 0 ? strengths.join(', ') : 'Still assessing'}
-- Areas for Improvement: ${weaknesses.length > 0 ? weaknesses.join(', ') : 'Still assessing'}
-
-${gradeBandGuidelines}
-
-TEACHING PRINCIPLES:
-- Be enthusiastic and encouraging
-- Use age-appropriate language for ${gradeBand} level
-- Break down complex concepts into small steps
-- Use real-world examples that kids can relate to
-- Celebrate effort and progress, not just correct answers
-- Be patient and supportive
+    const stillAssessing = this.renderPrompt('tutor.stillAssessing', {}, context);
 
-MODE-SPECIFIC INSTRUCTIONS:
-${this.getModeInstructions(mode, difficulty)}
-
-${this.getSubjectSpecificGuidelines()}`;
+    let prompt = this.renderPrompt('tutor.system', {
+      agentName: this.name,
+      studentName,
+      gradeName: this.getGradeName(gradeLevel),
+      gradeBand,
+      topic,
+      modeLabel: this.renderPrompt(mode === 'practice' ? 'tutor.modeLabel.practice' : 'tutor.modeLabel.help', {}, context),
+      difficulty,
+      strengths: strengths.length > 0 ? strengths.join(', ') : stillAssessing,
+      weaknesses: weaknesses.length > 0 ? weaknesses.join(', ') : stillAssessing,
+      gradeBandGuidelines: this.getGradeBandGuidelines(gradeBand, context),
+      modeInstructions: this.getModeInstructions(mode, difficulty, context),
+      subjectGuidelines: this.getSubjectSpecificGuidelines(context),
+    }, context);
+
+    // Long-term memory from earlier sessions (retrieved by the orchestrator)
+    const memorySection = formatMemories(memories, studentName);
+    if (memorySection) {
+      prompt += `\n\n${memorySection}`;
+    }
 
-    // Add voice-specific optimizations
+    // The reply will be read aloud: short plain sentences, no markdown or
+    // LaTeX (see voiceNarrationService.narrateReply)
     if (isVoiceMode) {
-      prompt += `
-
-VOICE MODE GUIDELINES:
-- Use shorter sentences (under 20 words each)
-- Add natural pauses: "..."
-- For lists, say "First... Second... Third..." not "1, 2, 3"
-- Spell out numbers in speech: "two times three" not "2×3"
-- Use clear pronunciation: "equals" not "="
-- Avoid complex punctuation in speech
-- Break long explanations into chunks with pauses
-- Use conversational tone: "Let's try..." "Great job!" "You're doing well!"`;
+      prompt += `\n\n${this.renderPrompt('tutor.voiceMode', {}, context)}`;
+    }
+
+    // The student pasted work their teacher set as closed-tutor
+    // (see academicIntegrity.js)
+    if (integrity?.mode === 'hint_only') {
+      prompt += `\n\n${this.renderPrompt('tutor.integrity.hintOnly', {
+        title: integrity.title,
+        hintLevel: integrity.hintLevel,
+        hint: integrity.hint,
+      }, context)}`;
     }
 
-    prompt += `\n\nKeep responses conversational and appropriate for ${gradeBand} level. NEVER give homework answers directly.`;
+    // Student text arrives in delimited sections (see buildMessages)
+    prompt += `\n\n${this.renderPrompt('tutor.studentInput', {
+      messageTag: STUDENT_TEXT_TAGS.MESSAGE,
+      memoryTag: STUDENT_TEXT_TAGS.MEMORY,
+      programOutputTag: STUDENT_TEXT_TAGS.PROGRAM_OUTPUT,
+    }, context)}`;
+
+    prompt += `\n\n${this.renderPrompt('tutor.closing', { gradeBand }, context)}`;
 
     return prompt;
   }
 
-  getModeInstructions(mode, difficulty) {
-    if (mode === 'practice') {
-      return `PRACTICE MODE:
-- Generate ONE practice problem at a time
-- After student answers, provide detailed feedback
-- Explain why the answer is correct or incorrect
-- Show step-by-step solution if needed
-- Generate next problem with appropriate difficulty
-- Track their progress and adjust difficulty
-
-Difficulty Guidelines:
-- EASY: Simple, one-step problems with lots of guidance
-- MEDIUM: Multi-step problems, encourage independent thinking
-- HARD: Complex scenarios, minimal hints, challenge critical thinking`;
-    }
-
-    return `HELP MODE:
-- Answer questions and explain concepts clearly
-- Use the Socratic method - ask guiding questions
-- Help them discover solutions rather than giving answers
-- Provide examples to illustrate concepts
-- Encourage curiosity and deeper understanding`;
+  getModeInstructions(mode, difficulty, context = {}) {
+    return this.renderPrompt(mode === 'practice' ? 'tutor.mode.practice' : 'tutor.mode.help', {}, context);
   }
 
-  getSubjectSpecificGuidelines() {
+  getSubjectSpecificGuidelines(context = {}) {
     // Override in child classes
     return '';
   }
@@ -106,6 +99,13 @@ Difficulty Guidelines:
     return `${grade}th grade`;
   }
 
+  /**
+   * Reply length limit - shorter when the reply is read aloud
+   */
+  getMaxTokens(context = {}) {
+    return context.isVoiceMode ? MAX_VOICE_REPLY_TOKENS : MAX_REPLY_TOKENS;
+  }
+
   /**
    * Get grade band for curriculum standards alignment
    * K-2: Early elementary
@@ -123,96 +123,89 @@ Difficulty Guidelines:
   /**
    * Get grade band-specific guidelines for age-appropriate teaching
    */
-  getGradeBandGuidelines(gradeBand) {
-    const guidelines = {
-      'K-2': `EARLY ELEMENTARY (K-2) GUIDELINES:
-- Use simple, concrete language (avoid abstract concepts)
-- Use lots of visual descriptions and examples
-- Keep explanations very short (1-2 sentences at a time)
-- Use repetition and encouragement
-- Connect to things they know (toys, games, family, pets)
-- Use action words and simple comparisons
-- Celebrate every small success
-- Break everything into tiny steps
-- Use number words: "one, two, three" not "1, 2, 3" when speaking`,
-
-      '3-5': `UPPER ELEMENTARY (3-5) GUIDELINES:
-- Use concrete examples but introduce some abstract thinking
-- Explain "why" behind concepts
-- Use analogies and comparisons
-- Encourage problem-solving strategies
-- Connect to real-world applications (money, sports, cooking)
-- Use age-appropriate vocabulary (introduce new words)
-- Celebrate effort and improvement
-- Build on prior knowledge
-- Use visual aids descriptions`,
-
-      '6-8': `MIDDLE SCHOOL (6-8) GUIDELINES:
-- Balance concrete and abstract thinking
-- Encourage critical thinking and analysis
-- Use more sophisticated vocabulary
-- Connect to real-world problems and scenarios
-- Encourage independent thinking and exploration
-- Use examples from their interests (games, music, social media)
-- Challenge them appropriately
-- Build connections between concepts
-- Prepare for high school level thinking`,
-
-      '9-12': `HIGH SCHOOL (9-12) GUIDELINES:
-- Use abstract and complex concepts
-- Encourage deep analysis and synthesis
-- Use academic vocabulary appropriate for college prep
-- Connect to career and real-world applications
-- Challenge critical thinking and independent research
-- Prepare for college-level work
-- Use sophisticated examples and analogies
-- Encourage metacognition (thinking about thinking)
-- Build connections across subjects`
-    };
+  getGradeBandGuidelines(gradeBand, context = {}) {
+    return this.renderPrompt('tutor.gradeBandGuidelines', {}, { ...context, gradeBand });
+  }
+
+  /**
+   * Render a registry prompt for the session's grade band, locale and
+   * tenant. The version used is added to `context.promptTrace` when the
+   * caller is collecting them (see process).
+   */
+  renderPrompt(name, variables, context = {}) {
+    const prompt = promptRegistry.render(name, variables, {
+      gradeBand: context.gradeBand || this.getGradeBand(context.gradeLevel),
+      locale: context.locale,
+      tenantId: context.tenantId,
+      assignmentKey: context.studentId || context.userId,
+    });
+
+    context.promptTrace?.push(prompt);
+    return prompt.text;
+  }
 
-    return guidelines[gradeBand] || guidelines['3-5'];
+  /**
+   * Build the chat messages sent to the model: system prompt, recent
+   * history and the new student message. Student text is wrapped in
+   * <student_message> tags so it can't pose as instructions.
+   */
+  buildMessages(context, message) {
+    const systemPrompt = this.buildSystemPrompt(context);
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...context.messages.slice(-10).map(msg => (msg.role === 'assistant'
+        ? { role: 'assistant', content: msg.content }
+        : { role: 'user', content: delimitStudentText(msg.content) })),
+      { role: 'user', content: delimitStudentText(message) },
+    ];
+  }
+
+  /**
+   * Gateway options that meter the call: who it is billed to and the
+   * budget decision the orchestrator already made
+   */
+  billingOptions(metadata) {
+    return {
+      agentType: metadata.agentType || `tutoring:${this.name}`,
+      billing: metadata.billing,
+      budget: metadata.budget,
+    };
   }
 
   async process(context, message, metadata = {}) {
     try {
-      // Build system prompt
-      const systemPrompt = this.buildSystemPrompt(context);
-
-      // Prepare conversation history
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...context.messages.slice(-10).map(msg => ({
-          role: msg.role === 'assistant' ? 'assistant' : 'user',
-          content: msg.content,
-        })),
-        { role: 'user', content: message },
-      ];
-
-      // Select appropriate model
-      const model = groqClient.selectModel(
+      // Build system prompt and conversation history, noting the prompt
+      // versions used
+      const promptTrace = [];
+      const messages = this.buildMessages({ ...context, promptTrace }, message);
+
+      // Select appropriate model (the orchestrator may force a cheaper one)
+      const model = metadata.model || llmGateway.selectModel(
         this.assessComplexity(message),
         this.subjectId
       );
 
       // Get AI response
-      const response = await groqClient.chat(messages, {
+      const response = await llmGateway.chat(messages, {
         model,
         temperature: 0.7,
-        maxTokens: 1500,
+        maxTokens: this.getMaxTokens(context),
+        ...this.billingOptions(metadata),
       });
 
-      // Filter content for safety
-      const filtered = await contentFilter.filter(
-        response.content,
-        context.gradeLevel
-      );
+      // Moderate the reply for the student's grade band
+      const moderated = await moderationPipeline.moderateOutput(response.content, context);
 
       return {
-        content: filtered.content,
-        filtered: filtered.wasFiltered,
+        content: moderated.content,
+        filtered: moderated.wasFiltered,
         usage: response.usage,
         model: response.model,
+        provider: response.provider,
+        cost: response.cost,
         responseTime: response.responseTime,
+        promptVersion: formatPromptVersions(promptTrace),
       };
     } catch (error) {
       console.error(`Error in ${this.name}:`, error);
@@ -223,6 +216,75 @@ Difficulty Guidelines:
     }
   }
 
+  /**
+   * Stream a response as it is generated.
+   *
+   * Yields `{ type: 'delta', content }` for each safe piece of text,
+   * `{ type: 'replace', content }` if moderation blocks the response
+   * part-way through, and finally `{ type: 'done', ... }` with the same
+   * fields `process` returns.
+   */
+  async *processStream(context, message, metadata = {}) {
+    const promptTrace = [];
+    const messages = this.buildMessages({ ...context, promptTrace }, message);
+    const model = metadata.model || llmGateway.selectModel(
+      this.assessComplexity(message),
+      this.subjectId
+    );
+    const streamFilter = moderationPipeline.createStreamModerator(context);
+    let result = null;
+
+    try {
+      const stream = llmGateway.streamChat(messages, {
+        model,
+        temperature: 0.7,
+        maxTokens: this.getMaxTokens(context),
+        ...this.billingOptions(metadata),
+      });
+
+      for await (const event of stream) {
+        if (event.type === 'done') {
+          result = event;
+          continue;
+        }
+
+        const { text, blocked, replacement } = streamFilter.push(event.content);
+        if (blocked) {
+          yield { type: 'replace', content: replacement };
+          break;
+        }
+        if (text) {
+          yield { type: 'delta', content: text };
+        }
+      }
+
+      const { text, blocked, replacement } = streamFilter.flush();
+      if (blocked && replacement) {
+        yield { type: 'replace', content: replacement };
+      } else if (text) {
+        yield { type: 'delta', content: text };
+      }
+    } catch (error) {
+      console.error(`Error in ${this.name}:`, error);
+      const content = "I'm having trouble right now. Let's try that again!";
+      yield { type: 'replace', content };
+      yield { type: 'done', content, error: error.message, model };
+      return;
+    }
+
+    yield {
+      type: 'done',
+      content: streamFilter.content,
+      filtered: streamFilter.wasFiltered,
+      usage: result?.usage,
+      model: result?.model || model,
+      provider: result?.provider,
+      cost: result?.cost,
+      responseTime: result?.responseTime,
+      promptVersion: formatPromptVersions(promptTrace),
+    };
+  }
+
   assessComplexity(message) {
     // Simple heuristic for complexity
     const simplePatterns = [
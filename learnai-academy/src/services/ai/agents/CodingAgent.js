@@ -1,56 +1,207 @@
 import { BaseAgent } from './BaseAgent.js';
+import { delimitStudentText, STUDENT_TEXT_TAGS } from '../injectionDetector.js';
+import { codeRunner, LANGUAGES } from '../../coding/codeRunner.js';
+import {
+  getExercise,
+  pickExercise,
+  publicExercise,
+  gradeSubmission,
+} from '../../coding/codingExercises.js';
+
+const LANGUAGE_ALIASES = {
+  js: LANGUAGES.JAVASCRIPT,
+  javascript: LANGUAGES.JAVASCRIPT,
+  node: LANGUAGES.JAVASCRIPT,
+  py: LANGUAGES.PYTHON,
+  python: LANGUAGES.PYTHON,
+  python3: LANGUAGES.PYTHON,
+};
+
+// Lines that only appear in code, not in chat
+const CODE_LINE_PATTERNS = [
+  /^\s*(def|class|for|while|if|elif|else|return|import|from)\b.*[:)]?\s*$/,
+  /^\s*(function|const|let|var)\s+\w+/,
+  /\b(print|console\.log|input)\s*\(/,
+  /^\s*[\w.[\]]+\s*[+\-*/]?=\s*\S/,
+  /[{};]\s*$/,
+];
+
+// Completed exercise IDs remembered per session
+const MAX_COMPLETED = 20;
 
 export class CodingAgent extends BaseAgent {
   constructor() {
     super('Coding Tutor', 'coding');
   }
 
-  getSubjectSpecificGuidelines() {
-    return `CODING-SPECIFIC GUIDELINES:
-- Make programming fun and creative
-- Use project-based learning (build games, animations, apps)
-- Break down code into small, understandable pieces
-- Encourage experimentation and debugging
-- Connect coding to problem-solving
-- Celebrate mistakes as learning opportunities
-
-TEACHING APPROACH:
-- Start with visual programming (Scratch) for younger students
-- Progress to text-based languages (Python, JavaScript)
-- Focus on computational thinking:
-  * Breaking problems into steps
-  * Recognizing patterns
-  * Creating algorithms
-  * Debugging systematically
-
-KEY CONCEPTS:
-- Sequences: Steps in order
-- Loops: Repeat actions
-- Conditionals: If/then decisions
-- Variables: Store information
-- Functions: Reusable code blocks
-- Events: Responding to actions
-
-PROJECT IDEAS:
-- Games (animations, interactive stories)
-- Calculators and tools
-- Drawing and art
-- Simple websites
-- Data visualization
-
-DEBUGGING MINDSET:
-- Read error messages carefully
-- Check one thing at a time
-- Use print statements to see what's happening
-- Break down the problem
-- Ask "What did I expect? What actually happened?"
-
-BEST PRACTICES:
-- Write clean, readable code
-- Use meaningful variable names
-- Add comments to explain your thinking
-- Test frequently
-- Start simple, then add features`;
+  getSubjectSpecificGuidelines(context = {}) {
+    return this.renderPrompt('tutor.subject.coding', {}, context);
+  }
+
+  buildSystemPrompt(context) {
+    let prompt = super.buildSystemPrompt(context);
+    const { coding } = context;
+    if (!coding) return prompt;
+
+    const exercise = coding.exercise || coding.current;
+    if (exercise) {
+      prompt += `\n\n${this.formatExercise(exercise, Boolean(coding.exercise))}`;
+    }
+    if (coding.run || coding.grading) {
+      prompt += `\n\n${this.formatRunResults(coding)}`;
+    }
+
+    return prompt;
+  }
+
+  async process(context, message, metadata = {}) {
+    const coding = await this.prepareCoding(context, message);
+    const response = await super.process(coding ? { ...context, coding } : context, message, metadata);
+
+    return coding ? { ...response, ...this.codingResponse(coding) } : response;
+  }
+
+  async *processStream(context, message, metadata = {}) {
+    const coding = await this.prepareCoding(context, message);
+
+    for await (const event of super.processStream(coding ? { ...context, coding } : context, message, metadata)) {
+      yield event.type === 'done' && coding ? { ...event, ...this.codingResponse(coding) } : event;
+    }
+  }
+
+  /**
+   * Run the student's code before the model answers, so feedback and
+   * debugging hints are based on what the code actually does.
+   * - Help mode: code in the message is run and its output shown
+   * - Practice mode: code is graded against the current exercise's tests
+   *   (hidden ones included), and a new exercise is assigned when there
+   *   is none, all tests pass, or the student asks for the next one
+   * @returns {Promise<Object|null>} { run, grading, exercise (new), current, exerciseState }
+   */
+  async prepareCoding(context, message) {
+    const submission = this.extractCode(message);
+
+    if (context.mode !== 'practice') {
+      return submission ? { run: await codeRunner.run(submission.language, submission.code) } : null;
+    }
+
+    const state = context.codingExercise || { completed: [] };
+    const active = state.id ? getExercise(state.id) : null;
+    const language = submission?.language || state.language || await this.defaultLanguage(context);
+    const completed = state.completed || [];
+
+    let grading = null;
+    if (submission && active) {
+      grading = await gradeSubmission(active, submission.language, submission.code);
+      if (!grading.allPassed) {
+        return { grading, current: publicExercise(active, submission.language) };
+      }
+    }
+
+    if (!active || grading?.allPassed || this.wantsNextExercise(message)) {
+      const done = grading?.allPassed ? [...completed, active.id].slice(-MAX_COMPLETED) : completed;
+      const next = pickExercise({ difficulty: context.difficulty, exclude: [...done, active?.id].filter(Boolean) });
+
+      return {
+        grading,
+        exercise: publicExercise(next, language),
+        exerciseState: { id: next.id, language, completed: done },
+      };
+    }
+
+    return { current: publicExercise(active, state.language || language) };
+  }
+
+  /**
+   * Code in a message: a fenced block, or a message made mostly of code lines
+   * @returns {Object|null} { code, language }
+   */
+  extractCode(message = '') {
+    const fenced = message.match(/```([\w+-]*)[^\S\n]*\n([\s\S]*?)```/);
+    if (fenced) {
+      const code = fenced[2];
+      return { code, language: LANGUAGE_ALIASES[fenced[1].toLowerCase()] || this.guessLanguage(code) };
+    }
+
+    const lines = message.trim().split('\n').filter(line => line.trim());
+    const codeLines = lines.filter(line => CODE_LINE_PATTERNS.some(pattern => pattern.test(line)));
+    if (lines.length >= 2 && codeLines.length / lines.length >= 0.6) {
+      return { code: message.trim(), language: this.guessLanguage(message) };
+    }
+
+    return null;
+  }
+
+  guessLanguage(code) {
+    const python = /^\s*(def|elif|import|from)\b|:\s*$|\bprint\s*\(|\bTrue\b|\bFalse\b|\bNone\b/m.test(code);
+    const javascript = /\b(function|const|let|var|console\.log)\b|=>|[{};]\s*$/m.test(code);
+    return python && !javascript ? LANGUAGES.PYTHON : LANGUAGES.JAVASCRIPT;
+  }
+
+  async defaultLanguage(context) {
+    if (/javascript|\bjs\b/i.test(context.topic || '')) return LANGUAGES.JAVASCRIPT;
+    return (await codeRunner.isAvailable(LANGUAGES.PYTHON)) ? LANGUAGES.PYTHON : LANGUAGES.JAVASCRIPT;
+  }
+
+  wantsNextExercise(message) {
+    return /\b(next|another|new|different) (exercise|problem|challenge|one)\b|\bskip\b/i.test(message);
+  }
+
+  formatExercise(exercise, isNew) {
+    const examples = exercise.examples.map(example => (exercise.entry
+      ? `${exercise.entry}(${example.args.map(arg => JSON.stringify(arg)).join(', ')}) should return ${JSON.stringify(example.expected)}`
+      : `input "${example.stdin}" should print "${example.expectedOutput}"`));
+
+    return `CODING EXERCISE (${exercise.language}):
+${isNew
+    ? '- Present this exercise to the student now: the task, the starter code and the examples. Do not show a solution.'
+    : '- The student is working on this exercise. Guide them; do not write the solution for them.'}
+- Title: ${exercise.title}
+- Task: ${exercise.prompt}
+- Starter code:
+${exercise.starterCode}
+- Examples:
+${examples.map(example => `  * ${example}`).join('\n')}
+- The student's code is also checked against hidden tests. You don't know their inputs; never guess or reveal them.`;
+  }
+
+  formatRunResults({ run, grading }) {
+    const describeError = error => (error
+      ? `${error.type}${error.line ? ` on line ${error.line}` : ''}${error.message ? `: ${error.message}` : ''}`
+      : 'none');
+    const lines = [];
+
+    if (run) {
+      lines.push(`Status: ${run.status}`, `Error: ${describeError(run.error)}`, 'Printed output:', run.stdout || '(nothing)');
+    }
+
+    if (grading) {
+      lines.push(`Tests passed: ${grading.passed} of ${grading.total} (status: ${grading.status})`);
+      grading.results.forEach((result, i) => {
+        if (result.hidden) {
+          lines.push(`Hidden test ${i + 1}: ${result.passed ? 'passed' : `failed${result.error ? ` (${result.error.type})` : ''}`}`);
+        } else {
+          lines.push(`Example ${i + 1}: input ${JSON.stringify(result.input)}, expected ${JSON.stringify(result.expected)}, got ${JSON.stringify(result.actual ?? result.stdout)} - ${result.passed ? 'passed' : 'failed'}${result.error ? `; error ${describeError(result.error)}` : ''}`);
+        }
+      });
+    }
+
+    return `CODE RUN RESULTS:
+The student's code was actually run in a sandbox. Base your feedback and debugging hints on these real results, not on guesses about what the code does.${grading?.allPassed ? ' Every test passed - celebrate, then present the next exercise.' : ''}
+${delimitStudentText(lines.join('\n'), STUDENT_TEXT_TAGS.PROGRAM_OUTPUT)}`;
+  }
+
+  /**
+   * Fields added to the agent response for the chat: run output, test
+   * results, the exercise to show and (for the orchestrator to save) the
+   * session's exercise state
+   */
+  codingResponse({ run, grading, exercise, exerciseState }) {
+    return {
+      codeRun: run || grading || null,
+      ...(exercise && { exercise }),
+      ...(exerciseState && { exerciseState }),
+    };
   }
 }
 
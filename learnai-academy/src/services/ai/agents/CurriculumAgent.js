@@ -1,10 +1,16 @@
 import { BaseAgent } from './BaseAgent.js';
-import { groqClient } from '../groqClient.js';
-import { aiProvider } from '../aiProviderConfig.js';
 import prisma from '../../../lib/prisma.js';
 import { standardsService } from '../../curriculum/standardsService.js';
 import { contentValidator } from '../../curriculum/contentValidator.js';
 import { curriculumCache } from '../../curriculum/curriculumCache.js';
+import { promptRegistry } from '../prompts.js';
+import { structuredOutput, DEFAULT_MAX_REPAIRS } from '../structuredOutput.js';
+import {
+  lessonPlanSchema,
+  practiceProblemsSchema,
+  assessmentSchema,
+  contentItemsSchema,
+} from '../../curriculum/outputSchemas.js';
 
 /**
  * CurriculumAgent - Formal Teacher Role
@@ -12,6 +18,8 @@ import { curriculumCache } from '../../curriculum/curriculumCache.js';
  * Purpose: Creates structured curriculum, lesson plans, assessments
  * Mode: Batch/Asynchronous (not real-time tutoring)
  * Output: Structured curriculum content, lesson plans, practice problems
+ * (validated against ../../curriculum/outputSchemas.js - an invalid reply
+ * is repaired or throws StructuredOutputError, never saved half-filled)
  * 
  * Used for:
  * - Pre-generating content for topics
@@ -26,7 +34,8 @@ export class CurriculumAgent extends BaseAgent {
   }
 
   /**
-   * Generate a complete lesson plan for a topic (IMPROVED with caching, validation, retry)
+   * Generate a complete lesson plan for a topic (cached; invalid replies are repaired)
+   * @throws {StructuredOutputError} When the model can't produce a valid lesson plan
    */
   async generateLessonPlan(topic, gradeLevel, options = {}) {
     const {
@@ -35,8 +44,9 @@ export class CurriculumAgent extends BaseAgent {
       includePracticeProblems = true,
       difficultyLevel = 'MEDIUM',
       topicId = null,
+      tenantId = null,
       useCache = true,
-      maxRetries = 3,
+      maxRepairs = DEFAULT_MAX_REPAIRS,
     } = options;
 
     // Check cache first
@@ -49,71 +59,46 @@ export class CurriculumAgent extends BaseAgent {
 
     const gradeBand = this.getGradeBand(gradeLevel);
     const standards = includeStandards ? await this.getLearningStandards(topic, gradeLevel) : null;
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('curriculum.lessonPlan', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      difficultyLevel,
+      standardsSection: standards ? `LEARNING STANDARDS TO ALIGN WITH:\n${standards.map(s => `- ${s.description}`).join('\n')}` : '',
+    }, { gradeLevel, tenantId });
+
+    // Use the LLM gateway (automatic fallback)
+    const result = await structuredOutput.generate([
+      { role: 'system', content: prompt },
+      { role: 'user', content: `Generate a complete lesson plan for ${topic}.` },
+    ], lessonPlanSchema, {
+      name: 'curriculum.lessonPlan',
+      temperature: 0.3, // Lower temperature for more structured output
+      maxTokens: 3000,
+      provider: 'groq', // Prefer Groq, but fall back if needed
+      maxRepairs,
+    });
 
-    // Retry logic with exponential backoff
-    let lastError;
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const prompt = `You are a curriculum specialist creating a formal lesson plan for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-CURRICULUM CREATION TASK:
-- Topic: ${topic}
-- Grade Level: ${gradeLevel} (${gradeBand})
-- Difficulty: ${difficultyLevel}
-
-${standards ? `LEARNING STANDARDS TO ALIGN WITH:\n${standards.map(s => `- ${s.description}`).join('\n')}` : ''}
-
-Create a comprehensive lesson plan with:
-1. Learning Objectives (3-5 specific, measurable objectives)
-2. Prerequisites (what students should know before this lesson)
-3. Key Concepts (main ideas to teach)
-4. Lesson Structure (step-by-step teaching sequence)
-5. Examples and Activities (concrete examples and hands-on activities)
-6. Assessment Questions (if requested)
-7. Practice Problems (if requested)
-8. Extension Activities (for advanced students)
-
-Format the response as structured JSON with clear sections.`;
-
-        // Use unified AI provider with automatic fallback
-        const response = await aiProvider.chat([
-          { role: 'system', content: prompt },
-          { role: 'user', content: `Generate a complete lesson plan for ${topic}.` },
-        ], {
-          temperature: 0.3, // Lower temperature for more structured output
-          maxTokens: 3000,
-          preferredProvider: 'groq', // Prefer Groq, but fallback if needed
-        });
-
-        const result = this.parseLessonPlan(response.content);
-        
-        // Cache the result if topicId is provided
-        if (useCache && topicId) {
-          await curriculumCache.cacheContent(topicId, gradeLevel, 'lessonPlan', result, options);
-        }
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        if (attempt < maxRetries - 1) {
-          // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-        }
-      }
+    // Cache the result if topicId is provided
+    if (useCache && topicId) {
+      await curriculumCache.cacheContent(topicId, gradeLevel, 'lessonPlan', result, options);
     }
-    
-    // If all retries failed, throw the last error
-    throw lastError || new Error('Failed to generate lesson plan after retries');
+
+    return result;
   }
 
   /**
-   * Generate practice problems for a topic (IMPROVED with caching, validation, retry)
+   * Generate practice problems for a topic (cached; invalid replies are repaired)
+   * @throws {StructuredOutputError} When the model can't produce valid problems
    */
   async generatePracticeProblems(topic, gradeLevel, count = 10, difficulty = 'MEDIUM', options = {}) {
     const {
       topicId = null,
+      tenantId = null,
       useCache = true,
-      maxRetries = 3,
+      maxRepairs = DEFAULT_MAX_REPAIRS,
     } = options;
 
     // Check cache first
@@ -126,60 +111,34 @@ Format the response as structured JSON with clear sections.`;
 
     const gradeBand = this.getGradeBand(gradeLevel);
     const standards = await this.getLearningStandards(topic, gradeLevel);
+    await promptRegistry.refresh();
 
-    // Retry logic
-    let lastError;
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const prompt = `You are a curriculum specialist creating practice problems for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-Generate ${count} practice problems at ${difficulty} difficulty level.
-
-For each problem, provide:
-1. Problem statement (clear and age-appropriate)
-2. Correct answer
-3. Step-by-step solution
-4. Common mistakes to watch for
-5. Hints for struggling students
-
-Format as JSON array with these fields:
-- problem: string
-- answer: string (or number)
-- solution: string (step-by-step)
-- commonMistakes: array of strings
-- hints: array of strings
-- difficulty: "${difficulty}"
-- gradeLevel: ${gradeLevel}`;
+    const prompt = this.renderPrompt('curriculum.practiceProblems', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      count,
+      difficulty,
+    }, { gradeLevel, tenantId });
 
-        // Use unified AI provider with automatic fallback
-        const response = await aiProvider.chat([
-          { role: 'system', content: prompt },
-          { role: 'user', content: `Generate ${count} practice problems.` },
-        ], {
-          temperature: 0.4,
-          maxTokens: 4000,
-          preferredProvider: 'groq', // Prefer Groq, but fallback if needed
-        });
+    // Use the LLM gateway (automatic fallback)
+    const result = await structuredOutput.generate([
+      { role: 'system', content: prompt },
+      { role: 'user', content: `Generate ${count} practice problems.` },
+    ], practiceProblemsSchema, {
+      name: 'curriculum.practiceProblems',
+      temperature: 0.4,
+      maxTokens: 4000,
+      provider: 'groq', // Prefer Groq, but fall back if needed
+      maxRepairs,
+    });
 
-        const result = this.parseProblems(response.content);
-        
-        // Cache the result if topicId is provided
-        if (useCache && topicId) {
-          await curriculumCache.cacheContent(topicId, gradeLevel, 'practiceProblems', result, { difficulty, count });
-        }
-        
-        return result;
-      } catch (error) {
-        lastError = error;
-        if (attempt < maxRetries - 1) {
-          // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
-        }
-      }
+    // Cache the result if topicId is provided
+    if (useCache && topicId) {
+      await curriculumCache.cacheContent(topicId, gradeLevel, 'practiceProblems', result, { difficulty, count });
     }
-    
-    // If all retries failed, throw the last error
-    throw lastError || new Error('Failed to generate practice problems after retries');
+
+    return result;
   }
 
   /**
@@ -191,46 +150,35 @@ Format as JSON array with these fields:
       timeLimitMinutes = null,
       includeMultipleChoice = true,
       includeShortAnswer = true,
+      tenantId = null,
     } = options;
 
     const gradeBand = this.getGradeBand(gradeLevel);
     const standards = await this.getLearningStandards(topic, gradeLevel);
-
-    const prompt = `You are a curriculum specialist creating an assessment for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-ASSESSMENT TYPE: ${assessmentType}
-TOTAL QUESTIONS: ${questionCount}
-${timeLimitMinutes ? `TIME LIMIT: ${timeLimitMinutes} minutes` : ''}
-
-LEARNING STANDARDS:
-${standards.map(s => `- ${s.description}`).join('\n')}
-
-Create ${questionCount} assessment questions:
-${includeMultipleChoice ? '- Include multiple choice questions' : ''}
-${includeShortAnswer ? '- Include short answer questions' : ''}
-- Include varying difficulty levels
-- Align with learning standards
-- Provide answer key with explanations
-
-For each question, provide:
-1. Question text
-2. Question type (multiple_choice, short_answer)
-3. Correct answer
-4. Explanation
-5. Points (out of 100 total)
-6. Standards addressed`;
-
-    // Use unified AI provider with automatic fallback
-    const response = await aiProvider.chat([
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('curriculum.assessment', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      assessmentType,
+      questionCount,
+      timeLimitLine: timeLimitMinutes ? `TIME LIMIT: ${timeLimitMinutes} minutes` : '',
+      standards: standards.map(s => `- ${s.description}`).join('\n'),
+      multipleChoiceLine: includeMultipleChoice ? '- Include multiple choice questions' : '',
+      shortAnswerLine: includeShortAnswer ? '- Include short answer questions' : '',
+    }, { gradeLevel, tenantId });
+
+    // Use the LLM gateway (automatic fallback)
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate the assessment.` },
-    ], {
+    ], assessmentSchema, {
+      name: 'curriculum.assessment',
       temperature: 0.3,
       maxTokens: 4000,
-      preferredProvider: 'groq', // Prefer Groq, but fallback if needed
+      provider: 'groq', // Prefer Groq, but fall back if needed
     });
-
-    return this.parseAssessment(response.content);
   }
 
   /**
@@ -248,19 +196,20 @@ Generate ${count} high-quality ${contentType} items that:
 - Connect to real-world examples
 - Are aligned with curriculum standards
 
-Format as JSON array.`;
+Format as JSON array with fields:
+- title: string
+- content: string (the item itself)`;
 
-    // Use unified AI provider with automatic fallback
-    const response = await aiProvider.chat([
+    // Use the LLM gateway (automatic fallback)
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${count} ${contentType} items.` },
-    ], {
+    ], contentItemsSchema, {
+      name: 'curriculum.contentItems',
       temperature: 0.5,
       maxTokens: 3000,
-      preferredProvider: 'groq', // Prefer Groq, but fallback if needed
+      provider: 'groq', // Prefer Groq, but fall back if needed
     });
-
-    return this.parseContentItems(response.content);
   }
 
   /**
@@ -285,183 +234,6 @@ Format as JSON array.`;
     }
   }
 
-  /**
-   * Parse lesson plan from AI response (IMPROVED with multiple strategies)
-   */
-  parseLessonPlan(content) {
-    const strategies = [
-      // Strategy 1: Markdown code block
-      () => {
-        const match = content.match(/```json\n([\s\S]*?)\n```/);
-        if (match) return JSON.parse(match[1]);
-        return null;
-      },
-      // Strategy 2: Plain JSON object
-      () => {
-        const match = content.match(/\{[\s\S]*\}/);
-        if (match) {
-          try {
-            return JSON.parse(match[0]);
-          } catch {
-            return null;
-          }
-        }
-        return null;
-      },
-      // Strategy 3: Extract JSON between markers
-      () => {
-        const lines = content.split('\n');
-        const jsonStart = lines.findIndex(l => l.trim().startsWith('{'));
-        if (jsonStart >= 0) {
-          let braceCount = 0;
-          let jsonEnd = jsonStart;
-          for (let i = jsonStart; i < lines.length; i++) {
-            const line = lines[i];
-            braceCount += (line.match(/\{/g) || []).length;
-            braceCount -= (line.match(/\}/g) || []).length;
-            if (braceCount === 0 && i > jsonStart) {
-              jsonEnd = i;
-              break;
-            }
-          }
-          if (jsonEnd > jsonStart) {
-            try {
-              return JSON.parse(lines.slice(jsonStart, jsonEnd + 1).join('\n'));
-            } catch {
-              return null;
-            }
-          }
-        }
-        return null;
-      },
-    ];
-
-    // Try each strategy
-    for (const strategy of strategies) {
-      try {
-        const result = strategy();
-        if (result) return result;
-      } catch (error) {
-        continue;
-      }
-    }
-
-    // Fallback: Structured text parsing
-    try {
-      return {
-        raw: content,
-        parsed: this.parseStructuredText(content),
-        note: 'Parsed as structured text (JSON extraction failed)',
-      };
-    } catch (error) {
-      console.error('Error parsing lesson plan:', error);
-      return { raw: content, error: error.message };
-    }
-  }
-
-  /**
-   * Parse practice problems from AI response (IMPROVED)
-   */
-  parseProblems(content) {
-    const strategies = [
-      () => {
-        const match = content.match(/```json\n([\s\S]*?)\n```/);
-        if (match) return JSON.parse(match[1]);
-        return null;
-      },
-      () => {
-        const match = content.match(/\[[\s\S]*\]/);
-        if (match) {
-          try {
-            return JSON.parse(match[0]);
-          } catch {
-            return null;
-          }
-        }
-        return null;
-      },
-      () => {
-        const match = content.match(/\{[\s\S]*\}/);
-        if (match) {
-          try {
-            const parsed = JSON.parse(match[0]);
-            // If single object, wrap in array
-            return Array.isArray(parsed) ? parsed : [parsed];
-          } catch {
-            return null;
-          }
-        }
-        return null;
-      },
-    ];
-
-    for (const strategy of strategies) {
-      try {
-        const result = strategy();
-        if (result && Array.isArray(result) && result.length > 0) {
-          return result;
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-
-    return { raw: content, error: 'Could not parse problems as JSON array' };
-  }
-
-  /**
-   * Parse assessment from AI response
-   */
-  parseAssessment(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-      return { raw: content, error: 'Could not parse JSON' };
-    } catch (error) {
-      console.error('Error parsing assessment:', error);
-      return { raw: content, error: error.message };
-    }
-  }
-
-  /**
-   * Parse content items from AI response
-   */
-  parseContentItems(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-      return { raw: content, error: 'Could not parse JSON' };
-    } catch (error) {
-      console.error('Error parsing content items:', error);
-      return { raw: content, error: error.message };
-    }
-  }
-
-  /**
-   * Parse structured text into sections
-   */
-  parseStructuredText(text) {
-    const sections = {};
-    const lines = text.split('\n');
-    let currentSection = null;
-
-    for (const line of lines) {
-      const sectionMatch = line.match(/^#+\s*(.+)$/);
-      if (sectionMatch) {
-        currentSection = sectionMatch[1].toLowerCase().replace(/\s+/g, '_');
-        sections[currentSection] = [];
-      } else if (currentSection && line.trim()) {
-        sections[currentSection].push(line.trim());
-      }
-    }
-
-    return sections;
-  }
-
   /**
    * Save generated content to database
    */
@@ -5,28 +5,8 @@ export class EnglishAgent extends BaseAgent {
     super('English Tutor', 'english');
   }
 
-  getSubjectSpecificGuidelines() {
-    return `ENGLISH-SPECIFIC GUIDELINES:
-- Make grammar fun with examples from their favorite things (games, movies, sports)
-- Explain WHY grammar rules exist (to help us communicate clearly)
-- Use memorable tricks and mnemonics (i before e except after c)
-- Practice with interesting sentences, not boring ones
-- Build vocabulary through context and word families
-- Help them understand homophones (there/their/they're, to/too/two)
-- Celebrate when they catch mistakes or use new words correctly
-
-COMMON TOPICS:
-- Parts of Speech: Use action words, describing words, naming words
-- Sentence Structure: Build sentences like LEGO blocks
-- Punctuation: Stop signs (periods), pause signs (commas), excitement (!)
-- Vocabulary: Use context clues, break down word parts
-- Capitalization: First words, names, important words
-
-TEACHING STRATEGIES:
-- Use silly sentences to remember rules
-- Connect to their reading and writing
-- Practice with real examples from books or signs
-- Make it like a treasure hunt for words`;
+  getSubjectSpecificGuidelines(context = {}) {
+    return this.renderPrompt('tutor.subject.english', {}, context);
   }
 }
 
@@ -1,5 +1,13 @@
 import { CurriculumAgent } from './CurriculumAgent.js';
-import { groqClient } from '../groqClient.js';
+import { llmGateway } from '../llmGateway.js';
+import { promptRegistry } from '../prompts.js';
+import { structuredOutput } from '../structuredOutput.js';
+import {
+  englishExercisesSchema,
+  readingComponentsSchema,
+  writingComponentsSchema,
+  vocabularyActivitiesSchema,
+} from '../../curriculum/outputSchemas.js';
 
 /**
  * EnglishCurriculumAgent - Specialized curriculum agent for English/Language Arts
@@ -18,44 +26,27 @@ export class EnglishCurriculumAgent extends CurriculumAgent {
     const gradeBand = this.getGradeBand(gradeLevel);
     
     const englishGuidelines = this.getEnglishSpecificGuidelines(topic, gradeBand, difficulty);
-
-    const prompt = `You are an English curriculum specialist creating practice exercises for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-${englishGuidelines}
-
-Generate ${count} practice exercises at ${difficulty} difficulty level.
-
-For each exercise, provide:
-1. Exercise statement (clear, engaging, age-appropriate)
-2. Correct answer or model response
-3. Explanation of the rule or concept
-4. Common mistakes to watch for
-5. Examples of correct usage
-6. Extension activities (if applicable)
-
-Exercise Types:
-${this.getExerciseTypesForGrade(gradeBand)}
-
-Format as JSON array with these fields:
-- exercise: string
-- answer: string (correct answer or model response)
-- explanation: string (why this is correct)
-- commonMistakes: array of strings
-- examples: array of strings (correct usage examples)
-- difficulty: "${difficulty}"
-- gradeLevel: ${gradeLevel}
-- exerciseType: string (grammar, vocabulary, reading, writing, etc.)`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('curriculum.english.exercises', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      count,
+      difficulty,
+      guidelines: englishGuidelines,
+      exerciseTypes: this.getExerciseTypesForGrade(gradeBand),
+    }, { gradeLevel });
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${count} English practice exercises for ${topic}.` },
-    ], {
-      model: groqClient.models.smart,
+    ], englishExercisesSchema, {
+      name: 'curriculum.english.exercises',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 4000,
     });
-
-    return this.parseExercises(response.content);
   }
 
   /**
@@ -166,16 +157,15 @@ Format as JSON object with fields:
 - discussionQuestions: array of strings
 - readingStrategies: array of strings`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate reading components.` },
-    ], {
-      model: groqClient.models.smart,
+    ], readingComponentsSchema, {
+      name: 'curriculum.english.reading',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 2000,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -198,16 +188,15 @@ Format as JSON object with fields:
 - peerReviewQuestions: array of strings
 - examples: array of strings`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate writing components.` },
-    ], {
-      model: groqClient.models.smart,
+    ], writingComponentsSchema, {
+      name: 'curriculum.english.writing',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 2000,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -222,18 +211,19 @@ Include:
 3. Context usage exercises
 4. Word relationship activities (synonyms, antonyms, word families)
 
-Format as JSON object.`;
+Format as JSON object with fields:
+- words: array of objects with {word, definition, exampleSentence}
+- activities: array of objects with {name, instructions, type}`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate vocabulary activities.` },
-    ], {
-      model: groqClient.models.fast,
+    ], vocabularyActivitiesSchema, {
+      name: 'curriculum.english.vocabulary',
+      model: llmGateway.models.fast,
       temperature: 0.5,
       maxTokens: 1500,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -251,40 +241,6 @@ Format as JSON object.`;
 
     return grammarFocus[gradeBand] || grammarFocus['3-5'];
   }
-
-  /**
-   * Parse exercises from AI response
-   */
-  parseExercises(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1] || jsonMatch[0]);
-      }
-      
-      // Fallback: try to parse as JSON directly
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing exercises:', error);
-      return { raw: content, error: 'Failed to parse exercises' };
-    }
-  }
-
-  /**
-   * Parse JSON response (helper method)
-   */
-  parseJSONResponse(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1] || jsonMatch[0]);
-      }
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing JSON response:', error);
-      return { raw: content };
-    }
-  }
 }
 
 export default EnglishCurriculumAgent;
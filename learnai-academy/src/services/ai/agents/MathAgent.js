@@ -1,31 +1,20 @@
 import { BaseAgent } from './BaseAgent.js';
+import { mathEngine } from '../../../lib/mathEngine.js';
 
 export class MathAgent extends BaseAgent {
   constructor() {
     super('Math Tutor', 'math');
   }
 
-  getSubjectSpecificGuidelines() {
-    return `MATH-SPECIFIC GUIDELINES:
-- Use visual representations when helpful (describe diagrams)
-- Show multiple solution methods when appropriate
-- Connect math to real-world applications (money, sports, cooking, games)
-- Encourage mental math and estimation
-- Celebrate mathematical thinking, not just correct answers
-- Use number lines, arrays, and models to explain concepts
-
-COMMON TOPICS:
-- Fractions: Use pizza, cake, or pie analogies
-- Decimals: Connect to money and measurement
-- Percentages: Use sales, tips, and discounts
-- Algebra: Frame as "mystery numbers" or puzzles
-- Geometry: Reference shapes in everyday objects
-
-PROBLEM-SOLVING STRATEGIES:
-1. Understand the problem (what do we know? what do we need?)
-2. Make a plan (what operation? what steps?)
-3. Carry out the plan (show your work)
-4. Check your answer (does it make sense?)`;
+  getSubjectSpecificGuidelines(context = {}) {
+    return this.renderPrompt('tutor.subject.math', {}, context);
+  }
+
+  buildSystemPrompt(context) {
+    const prompt = super.buildSystemPrompt(context);
+    const answerCheck = this.formatAnswerCheck(context.answerCheck);
+
+    return answerCheck ? `${prompt}\n\n${answerCheck}` : prompt;
   }
 
   async process(context, message, metadata = {}) {
@@ -35,8 +24,15 @@ PROBLEM-SOLVING STRATEGIES:
       metadata.previousProblems = this.getRecentProblems(context);
     }
 
+    // Work out whether the student is right before the model says so
+    const answerCheck = this.checkStudentWork(context, message);
+
     // Call parent process method
-    const response = await super.process(context, message, metadata);
+    const response = await super.process(answerCheck ? { ...context, answerCheck } : context, message, metadata);
+
+    if (answerCheck) {
+      response.answerCheck = answerCheck;
+    }
 
     // Extract problem data if in practice mode
     if (context.mode === 'practice') {
@@ -46,6 +42,88 @@ PROBLEM-SOLVING STRATEGIES:
     return response;
   }
 
+  async *processStream(context, message, metadata = {}) {
+    if (context.mode === 'practice' && this.shouldGenerateNewProblem(context, message)) {
+      metadata.generateProblem = true;
+      metadata.previousProblems = this.getRecentProblems(context);
+    }
+
+    const answerCheck = this.checkStudentWork(context, message);
+
+    for await (const event of super.processStream(answerCheck ? { ...context, answerCheck } : context, message, metadata)) {
+      if (event.type === 'done') {
+        if (answerCheck) {
+          event.answerCheck = answerCheck;
+        }
+        if (context.mode === 'practice') {
+          event.problemData = this.extractProblemData(event.content);
+        }
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Check the student's math with the math engine, so the tutor is told
+   * whether they are right instead of judging the arithmetic itself.
+   * Covers claims like "3/4 + 1/4 = 1/2" in any mode, and answers to the
+   * last practice problem.
+   * @returns {Object|null} { kind: 'statement' | 'answer', correct, expected, given, problem }
+   */
+  checkStudentWork(context, message) {
+    const statement = mathEngine.checkStatement(message);
+    if (statement) {
+      return {
+        kind: 'statement',
+        correct: statement.correct,
+        given: statement.statement,
+        expected: statement.left,
+      };
+    }
+
+    // Multiple choice is left to the tutor
+    if (context.mode !== 'practice' || !this.looksLikeAnswer(message) || /^[a-d]$/i.test(message.trim())) {
+      return null;
+    }
+
+    const problem = this.getRecentProblems(context).pop();
+    if (!problem?.answer) return null;
+
+    const check = mathEngine.checkAnswer(problem.answer, message);
+    // Only judge answers the engine could read
+    if (!check.verifiable || check.given === null) return null;
+
+    return {
+      kind: 'answer',
+      correct: check.correct,
+      given: check.given,
+      expected: check.expected,
+      problem: problem.problem,
+    };
+  }
+
+  formatAnswerCheck(answerCheck) {
+    if (!answerCheck) return '';
+
+    if (answerCheck.kind === 'statement') {
+      return `VERIFIED MATH CHECK:
+An exact math checker has already checked what the student wrote - trust it over your own arithmetic.
+- Student's statement: ${answerCheck.given}
+- ${answerCheck.correct
+    ? 'Result: TRUE - you can confirm it.'
+    : `Result: FALSE - the left side equals ${answerCheck.expected}. Do not agree with it; help them find the mistake.`}`;
+    }
+
+    return `VERIFIED ANSWER CHECK:
+An exact math checker has already marked the student's answer - trust it over your own arithmetic.
+- Problem: ${answerCheck.problem}
+- Student's answer: ${answerCheck.given}
+- Correct answer: ${answerCheck.expected}
+- ${answerCheck.correct
+    ? 'Result: CORRECT - celebrate and explain why it works.'
+    : 'Result: INCORRECT - do not say it is right. Help them find their mistake without giving away the correct answer.'}`;
+  }
+
   shouldGenerateNewProblem(context, message) {
     const lastMessage = context.messages[context.messages.length - 1];
     
@@ -85,14 +163,38 @@ PROBLEM-SOLVING STRATEGIES:
     const answerMatch = content.match(/(?:answer|solution):?\s*(.+?)(?:\n|$)/i);
     
     if (problemMatch) {
+      const problem = problemMatch[1].trim();
       return {
-        problem: problemMatch[1].trim(),
-        answer: answerMatch ? answerMatch[1].trim() : null,
+        problem,
+        ...this.verifyProblemAnswer(problem, answerMatch ? answerMatch[1].trim() : null),
       };
     }
     
     return null;
   }
+
+  /**
+   * Check the model's answer to a problem it wrote. When the math engine
+   * can solve the problem, a wrong or missing answer is replaced with the
+   * computed one (the model's is kept as `modelAnswer`).
+   * @returns {Object} { answer, verified, modelAnswer? }
+   */
+  verifyProblemAnswer(problem, modelAnswer) {
+    const solution = mathEngine.solveProblem(problem);
+    if (!solution) {
+      return { answer: modelAnswer, verified: false };
+    }
+
+    if (modelAnswer && mathEngine.checkAnswer(solution.answer, modelAnswer).correct) {
+      return { answer: modelAnswer, verified: true };
+    }
+
+    return {
+      answer: solution.answer,
+      verified: true,
+      ...(modelAnswer && { modelAnswer }),
+    };
+  }
 }
 
 export default MathAgent;
@@ -1,5 +1,12 @@
 import { CurriculumAgent } from './CurriculumAgent.js';
-import { groqClient } from '../groqClient.js';
+import { llmGateway } from '../llmGateway.js';
+import { promptRegistry } from '../prompts.js';
+import { structuredOutput } from '../structuredOutput.js';
+import {
+  practiceProblemsSchema,
+  visualAidsSchema,
+  realWorldExamplesSchema,
+} from '../../curriculum/outputSchemas.js';
 
 /**
  * MathCurriculumAgent - Specialized curriculum agent for Math
@@ -19,44 +26,27 @@ export class MathCurriculumAgent extends CurriculumAgent {
     
     // Math-specific problem generation guidelines
     const mathGuidelines = this.getMathSpecificGuidelines(topic, gradeBand, difficulty);
-
-    const prompt = `You are a math curriculum specialist creating practice problems for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-${mathGuidelines}
-
-Generate ${count} practice problems at ${difficulty} difficulty level.
-
-For each problem, provide:
-1. Problem statement (clear, age-appropriate, with context)
-2. Correct answer (numeric or symbolic)
-3. Step-by-step solution (detailed for ${gradeBand} level)
-4. Common mistakes to watch for
-5. Hints for struggling students
-6. Real-world connection (if applicable)
-
-Problem Types:
-${this.getProblemTypesForGrade(gradeBand)}
-
-Format as JSON array with these fields:
-- problem: string
-- answer: number or string
-- solution: array of steps (each step is a string)
-- commonMistakes: array of strings
-- hints: array of strings
-- difficulty: "${difficulty}"
-- gradeLevel: ${gradeLevel}
-- realWorldConnection: string (optional)`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('curriculum.math.problems', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      count,
+      difficulty,
+      guidelines: mathGuidelines,
+      problemTypes: this.getProblemTypesForGrade(gradeBand),
+    }, { gradeLevel });
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${count} math practice problems for ${topic}.` },
-    ], {
-      model: groqClient.models.smart,
+    ], practiceProblemsSchema, {
+      name: 'curriculum.math.problems',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 4000,
     });
-
-    return this.parseProblems(response.content);
   }
 
   /**
@@ -153,27 +143,19 @@ Provide descriptions for:
 2. Step-by-step visual progression
 3. Interactive elements (if applicable)
 
-Format as JSON array.`;
+Format as JSON array with fields:
+- title: string (name of the visual aid)
+- description: string (what it shows and how to use it)`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate visual aid descriptions.` },
-    ], {
-      model: groqClient.models.fast,
+    ], visualAidsSchema, {
+      name: 'curriculum.math.visualAids',
+      model: llmGateway.models.fast,
       temperature: 0.5,
       maxTokens: 1000,
     });
-
-    try {
-      const jsonMatch = response.content.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-    } catch (error) {
-      console.error('Error parsing visual aids:', error);
-    }
-
-    return { raw: response.content };
   }
 
   /**
@@ -208,25 +190,15 @@ Format as JSON array with fields:
 - context: string (where this appears in real life)
 - connection: string (how it connects to the math concept)`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate real-world examples.` },
-    ], {
-      model: groqClient.models.fast,
+    ], realWorldExamplesSchema, {
+      name: 'curriculum.math.realWorldExamples',
+      model: llmGateway.models.fast,
       temperature: 0.6,
       maxTokens: 800,
     });
-
-    try {
-      const jsonMatch = response.content.match(/```json\n([\s\S]*?)\n```/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1]);
-      }
-    } catch (error) {
-      console.error('Error parsing real-world examples:', error);
-    }
-
-    return { raw: response.content };
   }
 }
 
@@ -5,33 +5,8 @@ export class ScienceAgent extends BaseAgent {
     super('Science Tutor', 'science');
   }
 
-  getSubjectSpecificGuidelines() {
-    return `SCIENCE-SPECIFIC GUIDELINES:
-- Make science hands-on and exploratory
-- Use real-world examples they can relate to
-- Encourage questions and wonder ("Why does this happen?")
-- Connect to their everyday experiences (weather, plants, animals, food)
-- Use simple experiments they can do at home
-- Help them observe and describe what they see
-- Build vocabulary gradually with context
-- Make it visual: use diagrams, models, demonstrations
-- Celebrate discoveries and "aha!" moments
-- Connect science to their interests (space, animals, sports, etc.)
-
-COMMON TOPICS:
-- Life Science: Plants, animals, human body, ecosystems
-- Physical Science: Matter, energy, forces, motion
-- Earth Science: Weather, rocks, water cycle, space
-- Scientific Method: Observation, prediction, testing, learning
-
-TEACHING STRATEGIES:
-- Start with observation: "What do you notice?"
-- Use the 5 senses when appropriate
-- Ask "What do you think will happen?" to encourage prediction
-- Do simple experiments together
-- Use models and diagrams to explain concepts
-- Connect to their favorite things (animals, sports, games)
-- Make it like being a detective or explorer`;
+  getSubjectSpecificGuidelines(context = {}) {
+    return this.renderPrompt('tutor.subject.science', {}, context);
   }
 }
 
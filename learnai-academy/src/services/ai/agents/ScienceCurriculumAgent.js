@@ -1,5 +1,13 @@
 import { CurriculumAgent } from './CurriculumAgent.js';
-import { groqClient } from '../groqClient.js';
+import { llmGateway } from '../llmGateway.js';
+import { promptRegistry } from '../prompts.js';
+import { structuredOutput } from '../structuredOutput.js';
+import {
+  scienceActivitiesSchema,
+  experimentsSchema,
+  observationActivitiesSchema,
+  realWorldExamplesSchema,
+} from '../../curriculum/outputSchemas.js';
 
 /**
  * ScienceCurriculumAgent - Specialized curriculum agent for Science
@@ -18,46 +26,27 @@ export class ScienceCurriculumAgent extends CurriculumAgent {
     const gradeBand = this.getGradeBand(gradeLevel);
     
     const scienceGuidelines = this.getScienceSpecificGuidelines(topic, gradeBand, difficulty);
-
-    const prompt = `You are a science curriculum specialist creating activities and questions for ${topic} at ${gradeLevel}th grade level (${gradeBand}).
-
-${scienceGuidelines}
-
-Generate ${count} science activities/questions at ${difficulty} difficulty level.
-
-For each activity, provide:
-1. Activity/question description (clear, engaging, age-appropriate)
-2. Scientific concept being explored
-3. Expected observations or answer
-4. Explanation of the science behind it
-5. Safety considerations (if applicable)
-6. Extension activities (if applicable)
-
-Activity Types:
-${this.getActivityTypesForGrade(gradeBand)}
-
-Format as JSON array with these fields:
-- activity: string (description)
-- concept: string (scientific concept)
-- answer: string (expected observation or answer)
-- explanation: string (why this happens)
-- safetyNotes: string (if applicable)
-- materials: array of strings (if experiment)
-- extension: string (optional extension activity)
-- difficulty: "${difficulty}"
-- gradeLevel: ${gradeLevel}
-- activityType: string (experiment, observation, question, etc.)`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+
+    const prompt = this.renderPrompt('curriculum.science.activities', {
+      topic,
+      gradeLevel,
+      gradeBand,
+      count,
+      difficulty,
+      guidelines: scienceGuidelines,
+      activityTypes: this.getActivityTypesForGrade(gradeBand),
+    }, { gradeLevel });
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${count} science activities for ${topic}.` },
-    ], {
-      model: groqClient.models.smart,
+    ], scienceActivitiesSchema, {
+      name: 'curriculum.science.activities',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 4000,
     });
-
-    return this.parseActivities(response.content);
   }
 
   /**
@@ -171,16 +160,15 @@ Format as JSON array with fields:
 - explanation: string (why this happens)
 - safetyNotes: string`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate experiments for ${topic}.` },
-    ], {
-      model: groqClient.models.smart,
+    ], experimentsSchema, {
+      name: 'curriculum.science.experiments',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 2500,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -196,18 +184,22 @@ Include:
 4. Patterns to look for
 5. Connections to scientific concepts
 
-Format as JSON array.`;
+Format as JSON array with fields:
+- focus: string (what to observe)
+- guidingQuestions: array of strings
+- recordingMethod: string (drawing, writing or measuring)
+- patterns: array of strings (patterns to look for)
+- concept: string (the scientific concept it connects to)`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate observation activities.` },
-    ], {
-      model: groqClient.models.fast,
+    ], observationActivitiesSchema, {
+      name: 'curriculum.science.observations',
+      model: llmGateway.models.fast,
       temperature: 0.5,
       maxTokens: 1500,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -228,16 +220,15 @@ Format as JSON array with fields:
 - context: string (where this appears)
 - connection: string (how it relates to the concept)`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate real-world connections.` },
-    ], {
-      model: groqClient.models.fast,
+    ], realWorldExamplesSchema, {
+      name: 'curriculum.science.realWorldConnections',
+      model: llmGateway.models.fast,
       temperature: 0.6,
       maxTokens: 1500,
     });
-
-    return this.parseJSONResponse(response.content);
   }
 
   /**
@@ -278,38 +269,6 @@ Format as JSON array with fields:
 
     return safetyGuidelines[gradeBand] || safetyGuidelines['3-5'];
   }
-
-  /**
-   * Parse activities from AI response
-   */
-  parseActivities(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1] || jsonMatch[0]);
-      }
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing activities:', error);
-      return { raw: content, error: 'Failed to parse activities' };
-    }
-  }
-
-  /**
-   * Parse JSON response (helper method)
-   */
-  parseJSONResponse(content) {
-    try {
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/) || content.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[1] || jsonMatch[0]);
-      }
-      return JSON.parse(content);
-    } catch (error) {
-      console.error('Error parsing JSON response:', error);
-      return { raw: content };
-    }
-  }
 }
 
 export default ScienceCurriculumAgent;
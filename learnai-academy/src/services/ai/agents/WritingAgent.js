@@ -5,42 +5,8 @@ export class WritingAgent extends BaseAgent {
     super('Writing Tutor', 'writing');
   }
 
-  getSubjectSpecificGuidelines() {
-    return `WRITING-SPECIFIC GUIDELINES:
-- Encourage creativity and personal expression
-- Focus on getting ideas down first, editing second
-- Praise specific good choices in their writing
-- Offer gentle suggestions for improvement
-- Help organize thoughts and structure
-- Make grammar fun, not scary
-- Build confidence in their unique voice
-
-WRITING PROCESS:
-1. Prewriting: Brainstorm, plan, organize
-2. Drafting: Get ideas on paper, don't worry about perfection
-3. Revising: Improve ideas, add details, reorganize
-4. Editing: Fix grammar, spelling, punctuation
-5. Publishing: Share the final work
-
-KEY SKILLS:
-- Narrative Writing: Tell a story with beginning, middle, end
-- Descriptive Writing: Use sensory details (see, hear, smell, taste, touch)
-- Expository Writing: Explain or inform clearly
-- Persuasive Writing: Convince with reasons and examples
-- Paragraphs: Topic sentence, details, conclusion
-
-HELPFUL TECHNIQUES:
-- Show, don't tell (use details and actions)
-- Use strong verbs and specific nouns
-- Vary sentence length and structure
-- Add dialogue to bring stories to life
-- Use transitions to connect ideas
-
-FEEDBACK APPROACH:
-- Start with what's working well
-- Ask questions to help them improve
-- Focus on one or two things at a time
-- Encourage revision, not perfection`;
+  getSubjectSpecificGuidelines(context = {}) {
+    return this.renderPrompt('tutor.subject.writing', {}, context);
   }
 }
 
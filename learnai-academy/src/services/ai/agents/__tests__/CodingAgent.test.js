@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+
+// Mock groq-sdk before importing agents
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+jest.mock('../../llmGateway', () => ({
+  llmGateway: {
+    chat: jest.fn().mockResolvedValue({
+      content: 'Test response',
+      usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 },
+      model: 'llama-3.1-8b-instant',
+    }),
+    selectModel: jest.fn().mockReturnValue('fast'),
+    models: { fast: 'fast', smart: 'smart', code: 'code' },
+  },
+}));
+
+import { CodingAgent } from '../CodingAgent';
+
+jest.setTimeout(30000);
+
+describe('CodingAgent', () => {
+  let codingAgent;
+
+  beforeEach(() => {
+    codingAgent = new CodingAgent();
+  });
+
+  describe('extractCode', () => {
+    it('should read fenced code blocks', () => {
+      expect(codingAgent.extractCode('here:\n```py\nprint("hi")\n```')).toEqual({
+        code: 'print("hi")\n',
+        language: 'python',
+      });
+    });
+
+    it('should recognise unfenced code', () => {
+      const result = codingAgent.extractCode('function addTwo(n) {\n  return n + 2;\n}');
+
+      expect(result.language).toBe('javascript');
+    });
+
+    it('should leave questions alone', () => {
+      expect(codingAgent.extractCode('What is a loop?\nI do not get it')).toBeNull();
+    });
+  });
+
+  describe('prepareCoding', () => {
+    const practice = {
+      mode: 'practice',
+      difficulty: 'easy',
+      topic: 'JavaScript basics',
+      codingExercise: { id: 'add-two', language: 'javascript', completed: [] },
+    };
+
+    it('should run code in help mode', async () => {
+      const coding = await codingAgent.prepareCoding({ mode: 'help' }, '```js\nconsole.log(1 + 1)\n```');
+
+      expect(coding.run).toMatchObject({ status: 'ok', stdout: '2' });
+    });
+
+    it('should grade against hidden tests without revealing them', async () => {
+      const coding = await codingAgent.prepareCoding(practice, '```js\nfunction addTwo(n) { return n > 0 ? n + 2 : 2; }\n```');
+
+      expect(coding.grading).toMatchObject({ passed: 3, total: 4, allPassed: false });
+      expect(coding.grading.results[2]).toEqual({ index: 2, hidden: true, passed: false, error: null });
+      expect(coding.exercise).toBeUndefined();
+
+      const prompt = codingAgent.formatRunResults(coding);
+      expect(prompt).toContain('Tests passed: 3 of 4');
+      expect(prompt).toContain('Hidden test 3: failed');
+      expect(prompt).not.toContain('-2');
+    });
+
+    it('should move on once every test passes', async () => {
+      const coding = await codingAgent.prepareCoding(practice, '```js\nfunction addTwo(n) { return n + 2; }\n```');
+
+      expect(coding.grading.allPassed).toBe(true);
+      expect(coding.exercise.id).not.toBe('add-two');
+      expect(coding.exerciseState.completed).toEqual(['add-two']);
+      expect(coding.exercise).not.toHaveProperty('tests');
+    });
+
+    it('should assign a first exercise', async () => {
+      const coding = await codingAgent.prepareCoding({ ...practice, codingExercise: null }, "let's start");
+
+      expect(coding.exercise.language).toBe('javascript');
+      expect(coding.exerciseState.id).toBe(coding.exercise.id);
+    });
+  });
+});
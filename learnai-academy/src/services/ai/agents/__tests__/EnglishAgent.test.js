@@ -3,20 +3,16 @@ jest.mock('groq-sdk', () => ({
   Groq: jest.fn().mockImplementation(() => ({})),
 }));
 
-// Mock groqClient
-jest.mock('../../groqClient', () => ({
-  GroqClient: {
-    getClient: jest.fn().mockReturnValue({
-      chat: {
-        completions: {
-          create: jest.fn().mockResolvedValue({
-            choices: [{ message: { content: 'Test response' } }],
-            usage: { prompt_tokens: 10, completion_tokens: 20 },
-          }),
-        },
-      },
+// Mock the LLM gateway
+jest.mock('../../llmGateway', () => ({
+  llmGateway: {
+    chat: jest.fn().mockResolvedValue({
+      content: 'Test response',
+      usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 },
+      model: 'llama-3.1-8b-instant',
     }),
-    selectModel: jest.fn().mockReturnValue('llama-3.1-8b-instant'),
+    selectModel: jest.fn().mockReturnValue('fast'),
+    models: { fast: 'fast', smart: 'smart', code: 'code' },
   },
 }));
 
@@ -3,20 +3,16 @@ jest.mock('groq-sdk', () => ({
   Groq: jest.fn().mockImplementation(() => ({})),
 }));
 
-// Mock groqClient
-jest.mock('../../groqClient', () => ({
-  GroqClient: {
-    getClient: jest.fn().mockReturnValue({
-      chat: {
-        completions: {
-          create: jest.fn().mockResolvedValue({
-            choices: [{ message: { content: 'Test response' } }],
-            usage: { prompt_tokens: 10, completion_tokens: 20 },
-          }),
-        },
-      },
+// Mock the LLM gateway
+jest.mock('../../llmGateway', () => ({
+  llmGateway: {
+    chat: jest.fn().mockResolvedValue({
+      content: 'Test response',
+      usage: { promptTokens: 10, completionTokens: 20, totalTokens: 30 },
+      model: 'llama-3.1-8b-instant',
     }),
-    selectModel: jest.fn().mockReturnValue('llama-3.1-8b-instant'),
+    selectModel: jest.fn().mockReturnValue('fast'),
+    models: { fast: 'fast', smart: 'smart', code: 'code' },
   },
 }));
 
@@ -130,6 +126,7 @@ describe('MathAgent', () => {
       expect(result).toEqual({
         problem: 'What is 2 + 2?',
         answer: '4',
+        verified: true,
       });
     });
 
@@ -139,10 +136,30 @@ describe('MathAgent', () => {
 
       expect(result).toEqual({
         problem: 'What is 5 * 3?',
-        answer: null,
+        answer: '15',
+        verified: true,
       });
     });
 
+    it('should replace a wrong answer with the computed one', () => {
+      const content = 'Problem: What is 3/4 + 1/4?\nAnswer: 1/2';
+      const result = mathAgent.extractProblemData(content);
+
+      expect(result).toEqual({
+        problem: 'What is 3/4 + 1/4?',
+        answer: '1',
+        verified: true,
+        modelAnswer: '1/2',
+      });
+    });
+
+    it('should keep answers it cannot check', () => {
+      const content = 'Problem: Sam has 3 apples and eats 1. How many are left?\nAnswer: 2';
+      const result = mathAgent.extractProblemData(content);
+
+      expect(result).toMatchObject({ answer: '2', verified: false });
+    });
+
     it('should return null for content without problem', () => {
       const content = 'This is just a regular message.';
       const result = mathAgent.extractProblemData(content);
@@ -151,6 +168,55 @@ describe('MathAgent', () => {
     });
   });
 
+  describe('checkStudentWork', () => {
+    const context = {
+      mode: 'practice',
+      messages: [
+        { role: 'assistant', content: 'Problem: What is 3/4 + 1/4?' },
+      ],
+    };
+
+    it('should mark a wrong answer to the last problem', () => {
+      expect(mathAgent.checkStudentWork(context, '1/2')).toEqual({
+        kind: 'answer',
+        correct: false,
+        given: '1/2',
+        expected: '1',
+        problem: 'What is 3/4 + 1/4?',
+      });
+    });
+
+    it('should accept equivalent forms', () => {
+      expect(mathAgent.checkStudentWork(context, 'the answer is 4/4').correct).toBe(true);
+    });
+
+    it('should check arithmetic claims in any mode', () => {
+      const result = mathAgent.checkStudentWork({ mode: 'help', messages: [] }, 'is 3/4 + 1/4 = 1/2?');
+
+      expect(result).toMatchObject({ kind: 'statement', correct: false, expected: '1' });
+    });
+
+    it('should leave multiple choice and questions to the tutor', () => {
+      expect(mathAgent.checkStudentWork(context, 'b')).toBeNull();
+      expect(mathAgent.checkStudentWork(context, 'Can you help me?')).toBeNull();
+    });
+
+    it('should tell the tutor the result in the system prompt', () => {
+      const answerCheck = mathAgent.checkStudentWork(context, '1/2');
+      const prompt = mathAgent.buildSystemPrompt({
+        ...context,
+        studentName: 'Sam',
+        gradeLevel: 4,
+        topic: 'Fractions',
+        difficulty: 'EASY',
+        answerCheck,
+      });
+
+      expect(prompt).toContain('VERIFIED ANSWER CHECK');
+      expect(prompt).toContain('Result: INCORRECT');
+    });
+  });
+
   describe('getRecentProblems', () => {
     it('should extract recent problems from conversation', () => {
       const context = {
@@ -0,0 +1,305 @@
+/**
+ * AI Cost Ledger
+ *
+ * Records the cost of every model call made for a student and enforces
+ * daily/monthly budgets per student, parent account and tenant.
+ *
+ * Budget decisions:
+ *   allow     - under every limit
+ *   downgrade - a limit is at 80% or more, or a DOWNGRADE budget is spent:
+ *               serve the request with the fast (cheapest) model tier
+ *   refuse    - a REFUSE budget or a plan ceiling is spent
+ *
+ * Tenants with an active subscription are always capped by their plan:
+ * `plans.features.aiBudget` ({ daily, monthly } in USD), or, for plans
+ * without one, AI_PLAN_BUDGET_SHARE (default 25%) of the monthly price.
+ * Plan ceilings always refuse, so a school can never be billed past them -
+ * including when the ledger can't be read: requests billed to a tenant are
+ * then refused rather than served unmetered.
+ *
+ * Calls are recorded and budgets enforced by the LLM gateway, so every
+ * model call is metered whichever service makes it (llmGateway.js).
+ *
+ * Schema: prisma/schema-ai-cost-ledger.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+
+export const BUDGET_ACTIONS = {
+  ALLOW: 'allow',
+  DOWNGRADE: 'downgrade',
+  REFUSE: 'refuse',
+};
+
+// Share of a limit after which requests move to the cheaper model tier
+export const DOWNGRADE_THRESHOLD = 0.8;
+
+const SCOPE_FIELDS = {
+  STUDENT: 'studentId',
+  PARENT: 'parentId',
+  TENANT: 'tenantId',
+};
+
+export class BudgetExceededError extends Error {
+  constructor(limit) {
+    super(limit.unavailable
+      ? `AI usage budget for this ${limit.scope.toLowerCase()} could not be checked`
+      : `AI usage budget reached for this ${limit.scope.toLowerCase()} (${limit.period} limit $${limit.amount.toFixed(2)})`);
+    this.name = 'BudgetExceededError';
+    this.code = limit.unavailable ? 'BUDGET_UNAVAILABLE' : 'BUDGET_EXCEEDED';
+    this.statusCode = limit.unavailable ? 503 : 429;
+    this.limit = limit;
+  }
+}
+
+/**
+ * Start of the current budget period (UTC)
+ * @param {'daily'|'monthly'} period
+ * @param {Date} now
+ */
+export function periodStart(period, now = new Date()) {
+  if (period === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Decide what to do given each limit and what has been spent against it
+ * @param {Array<Object>} limits - { scope, scopeId, period, amount, spent, onExceeded }
+ * @returns {Object} { action, limit }
+ */
+export function evaluateBudgets(limits) {
+  let decision = { action: BUDGET_ACTIONS.ALLOW, limit: null };
+
+  for (const limit of limits) {
+    if (limit.spent >= limit.amount) {
+      if (limit.onExceeded === 'REFUSE') {
+        return { action: BUDGET_ACTIONS.REFUSE, limit };
+      }
+      decision = { action: BUDGET_ACTIONS.DOWNGRADE, limit };
+    } else if (limit.spent >= limit.amount * DOWNGRADE_THRESHOLD && decision.action === BUDGET_ACTIONS.ALLOW) {
+      decision = { action: BUDGET_ACTIONS.DOWNGRADE, limit };
+    }
+  }
+
+  return decision;
+}
+
+class CostLedger {
+  constructor() {
+    this.planBudgetShare = parseFloat(process.env.AI_PLAN_BUDGET_SHARE || '0.25');
+  }
+
+  /**
+   * Record a model call
+   * @param {Object} entry - { sessionId, studentId, parentId, tenantId, agentType, provider, model, usage, cost, downgraded }
+   */
+  async record(entry) {
+    try {
+      await prisma.aiCostEntry.create({
+        data: {
+          sessionId: entry.sessionId || null,
+          studentId: entry.studentId || null,
+          parentId: entry.parentId || null,
+          tenantId: entry.tenantId || null,
+          agentType: entry.agentType,
+          provider: entry.provider || 'unknown',
+          model: entry.model || 'unknown',
+          promptTokens: entry.usage?.promptTokens || 0,
+          completionTokens: entry.usage?.completionTokens || 0,
+          cost: entry.cost || 0,
+          downgraded: !!entry.downgraded,
+        },
+      });
+    } catch (error) {
+      console.error('Error recording AI cost:', error);
+    }
+  }
+
+  /**
+   * Total spend for a student, parent or tenant since a date
+   * @param {'STUDENT'|'PARENT'|'TENANT'} scope
+   * @param {string} scopeId
+   * @param {Date} since
+   * @returns {Promise<number>} USD
+   */
+  async getSpend(scope, scopeId, since) {
+    const result = await prisma.aiCostEntry.aggregate({
+      where: {
+        [SCOPE_FIELDS[scope]]: scopeId,
+        createdAt: { gte: since },
+      },
+      _sum: { cost: true },
+    });
+
+    return Number(result._sum.cost || 0);
+  }
+
+  /**
+   * Plan ceiling for a tenant with an active subscription
+   * @returns {Promise<Object|null>} { daily, monthly } in USD
+   */
+  async getPlanCeiling(tenantId) {
+    const subscription = await prisma.subscriptions.findFirst({
+      where: { tenantId, status: 'active' },
+    });
+    if (!subscription) return null;
+
+    const plan = await prisma.plans.findFirst({
+      where: { name: subscription.plan },
+    });
+    if (!plan) return null;
+
+    const aiBudget = plan.features?.aiBudget;
+    if (aiBudget) {
+      return { daily: aiBudget.daily ?? null, monthly: aiBudget.monthly ?? null };
+    }
+
+    // price_monthly is stored in cents
+    if (plan.price_monthly) {
+      return { daily: null, monthly: (plan.price_monthly / 100) * this.planBudgetShare };
+    }
+
+    return null;
+  }
+
+  /**
+   * Every limit that applies to a request
+   * @param {Object} owners - { studentId, parentId, tenantId }
+   * @returns {Promise<Array<Object>>} { scope, scopeId, period, amount, onExceeded }
+   */
+  async getLimits({ studentId, parentId, tenantId }) {
+    const scopes = [
+      studentId && { scope: 'STUDENT', scopeId: studentId },
+      parentId && { scope: 'PARENT', scopeId: parentId },
+      tenantId && { scope: 'TENANT', scopeId: tenantId },
+    ].filter(Boolean);
+
+    if (scopes.length === 0) return [];
+
+    const budgets = await prisma.aiBudget.findMany({
+      where: { OR: scopes },
+    });
+
+    const limits = [];
+    const addLimits = (scope, scopeId, daily, monthly, onExceeded) => {
+      if (daily != null) {
+        limits.push({ scope, scopeId, period: 'daily', amount: Number(daily), onExceeded });
+      }
+      if (monthly != null) {
+        limits.push({ scope, scopeId, period: 'monthly', amount: Number(monthly), onExceeded });
+      }
+    };
+
+    for (const budget of budgets) {
+      addLimits(budget.scope, budget.scopeId, budget.dailyLimit, budget.monthlyLimit, budget.onExceeded);
+    }
+
+    if (tenantId) {
+      const ceiling = await this.getPlanCeiling(tenantId);
+      if (ceiling) {
+        addLimits('TENANT', tenantId, ceiling.daily, ceiling.monthly, 'REFUSE');
+      }
+    }
+
+    return limits;
+  }
+
+  /**
+   * Check the budgets that apply to a request
+   * @param {Object} owners - { studentId, parentId, tenantId }
+   * @returns {Promise<Object>} { action, limit }
+   */
+  async checkBudget(owners) {
+    try {
+      const limits = await this.getLimits(owners);
+      const spendCache = new Map();
+
+      for (const limit of limits) {
+        const key = `${limit.scope}:${limit.scopeId}:${limit.period}`;
+        if (!spendCache.has(key)) {
+          spendCache.set(key, await this.getSpend(limit.scope, limit.scopeId, periodStart(limit.period)));
+        }
+        limit.spent = spendCache.get(key);
+      }
+
+      return evaluateBudgets(limits);
+    } catch (error) {
+      console.error('Error checking AI budget:', error);
+
+      // A tenant's plan ceiling can't be checked - fail closed
+      if (owners.tenantId) {
+        return {
+          action: BUDGET_ACTIONS.REFUSE,
+          limit: { scope: 'TENANT', scopeId: owners.tenantId, unavailable: true },
+        };
+      }
+
+      // Only the student's or parent's own budgets - don't block tutoring on accounting
+      return { action: BUDGET_ACTIONS.ALLOW, limit: null };
+    }
+  }
+
+  /**
+   * Check budgets and throw if the request must be refused
+   * @throws {BudgetExceededError}
+   */
+  async enforceBudget(owners) {
+    const decision = await this.checkBudget(owners);
+    if (decision.action === BUDGET_ACTIONS.REFUSE) {
+      throw new BudgetExceededError(decision.limit);
+    }
+    return decision;
+  }
+
+  /**
+   * Create or update a budget
+   * @param {Object} budget - { scope, scopeId, dailyLimit, monthlyLimit, onExceeded }
+   */
+  async setBudget({ scope, scopeId, dailyLimit = null, monthlyLimit = null, onExceeded = 'DOWNGRADE' }) {
+    return prisma.aiBudget.upsert({
+      where: { scope_scopeId: { scope, scopeId } },
+      create: { scope, scopeId, dailyLimit, monthlyLimit, onExceeded },
+      update: { dailyLimit, monthlyLimit, onExceeded },
+    });
+  }
+
+  /**
+   * Spend report grouped by agent type
+   * @param {Object} filters - { from, to, tenantId }
+   */
+  async getSpendByAgentType({ from, to, tenantId } = {}) {
+    const rows = await prisma.aiCostEntry.groupBy({
+      by: ['agentType'],
+      where: {
+        ...(tenantId && { tenantId }),
+        createdAt: {
+          ...(from && { gte: from }),
+          ...(to && { lt: to }),
+        },
+      },
+      _sum: { cost: true, promptTokens: true, completionTokens: true },
+      _count: { _all: true },
+    });
+
+    const byAgentType = rows
+      .map(row => ({
+        agentType: row.agentType,
+        requests: row._count._all,
+        promptTokens: row._sum.promptTokens || 0,
+        completionTokens: row._sum.completionTokens || 0,
+        cost: Number(row._sum.cost || 0),
+      }))
+      .sort((a, b) => b.cost - a.cost);
+
+    return {
+      byAgentType,
+      totalCost: byAgentType.reduce((sum, row) => sum + row.cost, 0),
+      totalRequests: byAgentType.reduce((sum, row) => sum + row.requests, 0),
+    };
+  }
+}
+
+export const costLedger = new CostLedger();
+export default costLedger;
@@ -0,0 +1,63 @@
+/**
+ * @jest-environment node
+ */
+
+// Mock groq-sdk before importing agents
+jest.mock('groq-sdk', () => ({
+  Groq: jest.fn().mockImplementation(() => ({})),
+}));
+
+import { evalRunner } from '../evalRunner';
+import { scoreNoDirectAnswer, scoreJsonValidity } from '../scorers';
+import { BaseAgent } from '../../agents/BaseAgent';
+
+describe('evalRunner', () => {
+  let baseline;
+
+  beforeAll(async () => {
+    baseline = await evalRunner.run({ label: 'baseline' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass every case of the dataset on the mock provider', () => {
+    const failing = baseline.cases.filter(c => c.score < 1).map(c => ({ id: c.id, error: c.error, checks: c.checks }));
+
+    expect(failing).toEqual([]);
+    expect(baseline.total).toBeGreaterThan(5);
+    expect(process.env.LLM_PROVIDER).toBeUndefined();
+  });
+
+  it('should report regressions when a prompt loses an instruction', async () => {
+    jest.spyOn(BaseAgent.prototype, 'getModeInstructions').mockReturnValue('HELP MODE:\n- Answer questions clearly');
+
+    const candidate = await evalRunner.run({ label: 'no-socratic' });
+    const diff = evalRunner.diff(baseline, candidate);
+
+    expect(diff.scoreDelta).toBeLessThan(0);
+    expect(diff.regressions).toContainEqual(expect.objectContaining({
+      id: 'math-6-8-help-linear-equation',
+      check: 'noDirectAnswer',
+      details: { revealed: ['5'], asksQuestion: false },
+    }));
+    expect(diff.promptChanges).toContain('math-k2-help-addition');
+    expect(diff.promptChanges).not.toContain('math-lesson-plan-fractions');
+    expect(evalRunner.formatDiff(diff)).toContain('## Regressions (');
+  });
+
+  describe('scorers', () => {
+    it('should only count answers the student did not already give', () => {
+      expect(scoreNoDirectAnswer('So x = 5. Nice!', ['5'], 'solve 3x + 4 = 19').passed).toBe(false);
+      expect(scoreNoDirectAnswer('What is 15 divided by 3?', ['5'], 'solve 3x + 4 = 19').passed).toBe(true);
+      expect(scoreNoDirectAnswer('Is 5 right? Check it.', ['5'], 'I think x is 5').passed).toBe(true);
+    });
+
+    it('should require strict JSON of the right shape', () => {
+      expect(scoreJsonValidity('```json\n[{"a": 1}]\n```', 'array').passed).toBe(true);
+      expect(scoreJsonValidity('Here you go: [{"a": 1}]', 'array').passed).toBe(false);
+      expect(scoreJsonValidity('{"a": 1}', 'array').passed).toBe(false);
+    });
+  });
+});
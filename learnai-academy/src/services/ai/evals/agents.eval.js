@@ -0,0 +1,64 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Agent eval entry point - run with `npm run eval`
+ *
+ * Runs through Jest so the agents load with the app's module aliases.
+ * Writes the run to eval-results/<label>.json; with EVAL_BASELINE set it
+ * also writes a diff report and fails if any check regressed.
+ *
+ *   EVAL_LABEL=before npm run eval                  # score the current prompts
+ *   (edit prompts)
+ *   EVAL_LABEL=after EVAL_BASELINE=eval-results/before.json npm run eval
+ *
+ * Options (environment):
+ *   EVAL_LABEL      Name of this run, e.g. a prompt version or git ref (default "current")
+ *   EVAL_DATASET    Dataset version (default: latest)
+ *   EVAL_PROVIDER   LLM provider chain (default "mock" - no network)
+ *   EVAL_BASELINE   Earlier run to diff against
+ *   EVAL_OUT_DIR    Where results go (default "eval-results")
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { evalRunner, LATEST_DATASET } from './evalRunner';
+
+jest.setTimeout(10 * 60 * 1000);
+
+const label = process.env.EVAL_LABEL || 'current';
+const outDir = process.env.EVAL_OUT_DIR || 'eval-results';
+
+describe(`agent evals (${label})`, () => {
+  let run;
+
+  beforeAll(async () => {
+    run = await evalRunner.run({
+      version: process.env.EVAL_DATASET || LATEST_DATASET,
+      label,
+      provider: process.env.EVAL_PROVIDER || 'mock',
+    });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, `${label}.json`), JSON.stringify(run, null, 2));
+    console.log(evalRunner.formatRun(run));
+  });
+
+  it('should run every case', () => {
+    expect(run.cases.filter(c => c.error).map(c => `${c.id}: ${c.error}`)).toEqual([]);
+  });
+
+  it('should not regress against the baseline', () => {
+    if (!process.env.EVAL_BASELINE) return;
+
+    const baseline = JSON.parse(fs.readFileSync(process.env.EVAL_BASELINE, 'utf8'));
+    const diff = evalRunner.diff(baseline, run);
+    const report = evalRunner.formatDiff(diff);
+
+    fs.writeFileSync(path.join(outDir, `${baseline.label}-vs-${label}.md`), report);
+    console.log(report);
+
+    expect(diff.regressions.map(r => `${r.id}: ${r.check}`)).toEqual([]);
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * Eval Runner
+ *
+ * Replays a versioned dataset of student conversations and curriculum
+ * tasks against the agents and scores the output with rule-based checks
+ * (see scorers.js). Two runs - e.g. before and after a prompt change - can
+ * be diffed into a report of which checks regressed or improved.
+ *
+ * By default the run uses the mock LLM provider with the dataset's own
+ * fixtures, so it needs no network access. Eval fixtures are keyed on the
+ * prompt instructions that should produce a reply (grade-band guidelines,
+ * the Socratic method, the JSON format), with a fallback reply for when the
+ * instruction is missing - so dropping or rewording an instruction changes
+ * the reply and shows up in the scores. Pass another provider to score a
+ * real model with the same checks.
+ *
+ * Run result:
+ *   {
+ *     label, dataset, provider, createdAt,
+ *     score: average case score (0-1), passed, total,
+ *     cases: [{ id, kind, subject, gradeLevel, promptHash, promptVersion?, output, checks: { name: { passed, details } }, score, error? }]
+ *   }
+ */
+
+import { createHash } from 'crypto';
+import { llmGateway } from '../llmGateway.js';
+import { mockProvider } from '../gateway/mockProvider.js';
+import { MathAgent } from '../agents/MathAgent.js';
+import { EnglishAgent } from '../agents/EnglishAgent.js';
+import { ReadingAgent } from '../agents/ReadingAgent.js';
+import { ScienceAgent } from '../agents/ScienceAgent.js';
+import { WritingAgent } from '../agents/WritingAgent.js';
+import { CurriculumAgent } from '../agents/CurriculumAgent.js';
+import { MathCurriculumAgent } from '../agents/MathCurriculumAgent.js';
+import { EnglishCurriculumAgent } from '../agents/EnglishCurriculumAgent.js';
+import { ScienceCurriculumAgent } from '../agents/ScienceCurriculumAgent.js';
+import {
+  scoreReadability,
+  scoreNoDirectAnswer,
+  scoreJsonValidity,
+  scoreLessonPlan,
+  scorePracticeProblems,
+} from './scorers.js';
+import datasetV1 from './datasets/v1.json';
+import fixturesV1 from './fixtures/v1.json';
+
+// Add new dataset versions here rather than editing old ones, so scores
+// stay comparable across runs
+export const DATASETS = {
+  v1: { dataset: datasetV1, fixtures: fixturesV1 },
+};
+
+export const LATEST_DATASET = 'v1';
+
+const TUTOR_AGENTS = {
+  math: MathAgent,
+  english: EnglishAgent,
+  reading: ReadingAgent,
+  science: ScienceAgent,
+  writing: WritingAgent,
+};
+
+const CURRICULUM_AGENTS = {
+  math: MathCurriculumAgent,
+  english: EnglishCurriculumAgent,
+  science: ScienceCurriculumAgent,
+};
+
+// Subject-specific practice generators, where a subject has one
+const PRACTICE_METHODS = {
+  math: (agent, task) => agent.generateMathProblems(task.topic, task.gradeLevel, task.count, task.difficulty),
+  english: (agent, task) => agent.generateEnglishExercises(task.topic, task.gradeLevel, task.count, task.difficulty),
+  science: (agent, task) => agent.generateScienceActivities(task.topic, task.gradeLevel, task.count, task.difficulty),
+};
+
+// Output kept on each case, enough to eyeball a regression
+const MAX_OUTPUT_CHARS = 2000;
+
+function hashPrompts(calls) {
+  const system = calls.flatMap(call => call.messages.filter(m => m.role === 'system').map(m => m.content));
+  return createHash('sha256').update(system.join('\n---\n')).digest('hex').slice(0, 12);
+}
+
+function truncate(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text && text.length > MAX_OUTPUT_CHARS ? `${text.slice(0, MAX_OUTPUT_CHARS)}…` : text;
+}
+
+class EvalRunner {
+  /**
+   * Run every case in a dataset
+   * @param {Object} options - version, label (e.g. the prompt version or git ref), provider
+   * @returns {Promise<Object>} Run result
+   */
+  async run({ version = LATEST_DATASET, label = 'current', provider = 'mock' } = {}) {
+    const entry = DATASETS[version];
+    if (!entry) {
+      throw new Error(`Unknown eval dataset: ${version}`);
+    }
+
+    const previousProvider = process.env.LLM_PROVIDER;
+    process.env.LLM_PROVIDER = provider;
+    const restoreFixtures = provider === 'mock' ? mockProvider.pushFixtures(entry.fixtures) : null;
+
+    const cases = [];
+    try {
+      for (const conversation of entry.dataset.conversations || []) {
+        cases.push(await this.runConversation(conversation));
+      }
+      for (const task of entry.dataset.curriculumTasks || []) {
+        cases.push(await this.runCurriculumTask(task));
+      }
+    } finally {
+      restoreFixtures?.();
+      if (previousProvider === undefined) {
+        delete process.env.LLM_PROVIDER;
+      } else {
+        process.env.LLM_PROVIDER = previousProvider;
+      }
+    }
+
+    const total = cases.length;
+    return {
+      label,
+      dataset: version,
+      provider,
+      createdAt: new Date().toISOString(),
+      score: total ? Math.round((cases.reduce((sum, c) => sum + c.score, 0) / total) * 1000) / 1000 : 0,
+      passed: cases.filter(c => c.score === 1).length,
+      total,
+      cases,
+    };
+  }
+
+  /**
+   * Replay one student turn through a tutoring agent
+   */
+  async runConversation(conversation) {
+    const base = {
+      id: conversation.id,
+      kind: 'conversation',
+      subject: conversation.subject,
+      gradeLevel: conversation.gradeLevel,
+      mode: conversation.mode,
+    };
+
+    const AgentClass = TUTOR_AGENTS[conversation.subject];
+    if (!AgentClass) {
+      return this.failedCase(base, [], `No tutoring agent for subject: ${conversation.subject}`);
+    }
+
+    const context = {
+      userId: null,
+      studentName: conversation.studentName || 'Alex',
+      gradeLevel: conversation.gradeLevel,
+      mode: conversation.mode,
+      difficulty: conversation.difficulty,
+      topic: conversation.topic,
+      messages: conversation.history || [],
+      memories: [],
+    };
+
+    const { result, calls } = await this.recordCalls(() => new AgentClass().process(context, conversation.message));
+    if (result.error) {
+      return this.failedCase(base, calls, result.error);
+    }
+
+    const checks = {};
+    for (const name of conversation.checks) {
+      if (name === 'readability') {
+        checks.readability = scoreReadability(result.content, conversation.gradeLevel);
+      } else if (name === 'noDirectAnswer') {
+        checks.noDirectAnswer = scoreNoDirectAnswer(result.content, conversation.expectedAnswer, conversation.message);
+      }
+    }
+
+    return this.finishCase({ ...base, promptVersion: result.promptVersion }, calls, result.content, checks);
+  }
+
+  /**
+   * Generate one curriculum artifact (lesson plan or practice items)
+   */
+  async runCurriculumTask(task) {
+    const base = {
+      id: task.id,
+      kind: 'curriculum',
+      subject: task.subject,
+      gradeLevel: task.gradeLevel,
+      task: task.task,
+    };
+
+    const agent = new (CURRICULUM_AGENTS[task.subject] || CurriculumAgent)(`${task.subject} Curriculum Specialist`, task.subject);
+    const generate = task.task === 'lessonPlan'
+      ? () => agent.generateLessonPlan(task.topic, task.gradeLevel, { includeStandards: false, useCache: false, maxRepairs: 0 })
+      : () => (PRACTICE_METHODS[task.subject]
+        ? PRACTICE_METHODS[task.subject](agent, task)
+        : agent.generatePracticeProblems(task.topic, task.gradeLevel, task.count, task.difficulty, { useCache: false, maxRepairs: 0 }));
+
+    let recorded;
+    try {
+      recorded = await this.recordCalls(generate);
+    } catch (error) {
+      return this.failedCase(base, [], error.message);
+    }
+
+    const { result, calls } = recorded;
+    const raw = calls[calls.length - 1]?.content || '';
+
+    const checks = {};
+    for (const name of task.checks) {
+      if (name === 'json') {
+        checks.json = scoreJsonValidity(raw, task.task === 'lessonPlan' ? 'object' : 'array');
+      } else if (name === 'correctness') {
+        checks.correctness = task.task === 'lessonPlan'
+          ? await scoreLessonPlan(result, task.gradeLevel)
+          : await scorePracticeProblems(result, task.gradeLevel, task.difficulty, task.subject);
+      } else if (name === 'readability') {
+        checks.readability = scoreReadability(result, task.gradeLevel);
+      }
+    }
+
+    return this.finishCase(base, calls, result, checks);
+  }
+
+  /**
+   * Run `fn`, recording each gateway call's messages and raw reply
+   * @returns {Promise<Object>} { result, calls }
+   */
+  async recordCalls(fn) {
+    const calls = [];
+    const chat = llmGateway.chat;
+
+    llmGateway.chat = async (messages, options) => {
+      const response = await chat.call(llmGateway, messages, options);
+      calls.push({ messages, content: response.content });
+      return response;
+    };
+
+    try {
+      return { result: await fn(), calls };
+    } finally {
+      llmGateway.chat = chat;
+    }
+  }
+
+  finishCase(base, calls, output, checks) {
+    const results = Object.values(checks);
+
+    return {
+      ...base,
+      promptHash: hashPrompts(calls),
+      output: truncate(output),
+      checks,
+      score: results.length ? results.filter(check => check.passed).length / results.length : 0,
+    };
+  }
+
+  failedCase(base, calls, error) {
+    return { ...base, promptHash: hashPrompts(calls), output: null, checks: {}, score: 0, error };
+  }
+
+  /**
+   * Compare two runs of the same dataset
+   * @param {Object} baseline - Earlier run (e.g. the current prompts)
+   * @param {Object} candidate - Later run (e.g. the changed prompts)
+   * @returns {Object} { baseline, candidate, scoreDelta, regressions, improvements, promptChanges, added, removed, cases }
+   */
+  diff(baseline, candidate) {
+    const before = new Map(baseline.cases.map(c => [c.id, c]));
+    const after = new Map(candidate.cases.map(c => [c.id, c]));
+
+    const regressions = [];
+    const improvements = [];
+    const cases = [];
+
+    for (const current of candidate.cases) {
+      const previous = before.get(current.id);
+      if (!previous) continue;
+
+      const names = new Set([...Object.keys(previous.checks), ...Object.keys(current.checks)]);
+      for (const name of names) {
+        const was = previous.checks[name]?.passed ?? false;
+        const now = current.checks[name]?.passed ?? false;
+        const change = { id: current.id, check: name, details: current.checks[name]?.details || { error: current.error } };
+
+        if (was && !now) regressions.push(change);
+        if (!was && now) improvements.push(change);
+      }
+
+      cases.push({
+        id: current.id,
+        before: previous.score,
+        after: current.score,
+        promptChanged: previous.promptHash !== current.promptHash,
+      });
+    }
+
+    return {
+      baseline: { label: baseline.label, dataset: baseline.dataset, score: baseline.score },
+      candidate: { label: candidate.label, dataset: candidate.dataset, score: candidate.score },
+      scoreDelta: Math.round((candidate.score - baseline.score) * 1000) / 1000,
+      regressions,
+      improvements,
+      promptChanges: cases.filter(c => c.promptChanged).map(c => c.id),
+      added: candidate.cases.filter(c => !before.has(c.id)).map(c => c.id),
+      removed: baseline.cases.filter(c => !after.has(c.id)).map(c => c.id),
+      cases,
+    };
+  }
+
+  /**
+   * Markdown summary of a single run
+   */
+  formatRun(run) {
+    const lines = [
+      `# Eval run: ${run.label}`,
+      '',
+      `Dataset ${run.dataset} on ${run.provider} - score ${run.score.toFixed(3)}, ${run.passed} of ${run.total} cases passing`,
+      '',
+      '| Case | Score | Failed checks |',
+      '| --- | --- | --- |',
+    ];
+
+    for (const c of run.cases) {
+      const failed = c.error
+        ? `error: ${c.error}`
+        : Object.entries(c.checks).filter(([, check]) => !check.passed).map(([name]) => name).join(', ');
+      lines.push(`| ${c.id} | ${c.score.toFixed(2)} | ${failed || '-'} |`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Markdown report of a diff between two runs
+   */
+  formatDiff(diff) {
+    const sign = diff.scoreDelta > 0 ? '+' : '';
+    const lines = [
+      `# Eval diff: ${diff.baseline.label} → ${diff.candidate.label}`,
+      '',
+      `Score ${diff.baseline.score.toFixed(3)} → ${diff.candidate.score.toFixed(3)} (${sign}${diff.scoreDelta.toFixed(3)})`,
+      `Prompts changed in ${diff.promptChanges.length} of ${diff.cases.length} cases`,
+    ];
+
+    if (diff.baseline.dataset !== diff.candidate.dataset) {
+      lines.push(`Warning: datasets differ (${diff.baseline.dataset} vs ${diff.candidate.dataset}), so scores are not directly comparable`);
+    }
+
+    const section = (title, changes) => {
+      lines.push('', `## ${title} (${changes.length})`);
+      for (const change of changes) {
+        lines.push(`- ${change.id} - ${change.check}: ${JSON.stringify(change.details)}`);
+      }
+    };
+    section('Regressions', diff.regressions);
+    section('Improvements', diff.improvements);
+
+    if (diff.added.length) lines.push('', `New cases: ${diff.added.join(', ')}`);
+    if (diff.removed.length) lines.push('', `Removed cases: ${diff.removed.join(', ')}`);
+
+    lines.push('', '| Case | Prompt | Before | After |', '| --- | --- | --- | --- |');
+    for (const c of diff.cases) {
+      lines.push(`| ${c.id} | ${c.promptChanged ? 'changed' : 'same'} | ${c.before.toFixed(2)} | ${c.after.toFixed(2)} |`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+export const evalRunner = new EvalRunner();
+export default evalRunner;
@@ -0,0 +1,138 @@
+/**
+ * Eval Scorers
+ *
+ * Rule-based checks for agent output. Each scorer returns
+ * { passed: boolean, details: Object } so results can be compared
+ * between runs.
+ */
+
+import { contentValidator } from '../../curriculum/contentValidator.js';
+import { verifyAnswer } from '../../../lib/mathEngine.js';
+
+/**
+ * Join every string in a value into one text. Each string counts as at
+ * least one sentence, so JSON keys don't run list items together.
+ */
+export function collectText(value) {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value)) return value.map(collectText).filter(Boolean).join('. ');
+  if (value && typeof value === 'object') return collectText(Object.values(value));
+  return '';
+}
+
+/**
+ * Grade-level readability: sentence length and vocabulary for the grade band
+ */
+export function scoreReadability(output, gradeLevel) {
+  const text = collectText(output);
+  const check = contentValidator.checkAgeAppropriateness(text, gradeLevel);
+  const gradeBand = contentValidator.getGradeBand(gradeLevel);
+
+  return {
+    passed: check.valid,
+    details: {
+      gradeBand,
+      avgWordsPerSentence: Math.round(contentValidator.calculateAvgWordsPerSentence(text) * 10) / 10,
+      maxWordsPerSentence: contentValidator.getExpectedSentenceLength(gradeBand).max,
+      issues: check.issues,
+    },
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Socratic mode: the reply must not state the answer and must hand the
+ * student a question. An answer only counts as revealed if it appears as a
+ * whole word and wasn't already in the student's message.
+ * @param {string} reply - Tutor reply
+ * @param {string[]} expectedAnswers - The answer and its accepted spellings
+ * @param {string} question - The student's message
+ */
+export function scoreNoDirectAnswer(reply, expectedAnswers = [], question = '') {
+  const revealed = expectedAnswers.filter((answer) => {
+    const pattern = new RegExp(`(^|[^\\w^])${escapeRegExp(answer)}(?![\\w^])`, 'i');
+    return pattern.test(reply) && !pattern.test(question);
+  });
+  const asksQuestion = reply.includes('?');
+
+  return {
+    passed: revealed.length === 0 && asksQuestion,
+    details: { revealed, asksQuestion },
+  };
+}
+
+/**
+ * Strict JSON validity of the raw model reply (a ```json fence is allowed)
+ * @param {string} raw - Model reply
+ * @param {string} shape - 'array' or 'object'
+ */
+export function scoreJsonValidity(raw, shape) {
+  const fenced = raw.match(/^\s*```(?:json)?\s*\n([\s\S]*?)\n\s*```\s*$/);
+
+  try {
+    const parsed = JSON.parse(fenced ? fenced[1] : raw);
+    const actual = Array.isArray(parsed) ? 'array' : typeof parsed;
+
+    return {
+      passed: !shape || actual === shape,
+      details: { shape: actual, expected: shape },
+    };
+  } catch (error) {
+    return { passed: false, details: { error: error.message, expected: shape } };
+  }
+}
+
+/**
+ * Lesson plan correctness: required sections and age appropriateness
+ */
+export async function scoreLessonPlan(plan, gradeLevel) {
+  const validation = await contentValidator.validateLessonPlan(plan, gradeLevel, null);
+
+  return {
+    passed: validation.valid,
+    details: {
+      issues: validation.issues.map(issue => issue.section ? `${issue.type}:${issue.section}` : issue.type),
+      qualityScore: Math.round(validation.qualityScore * 100) / 100,
+    },
+  };
+}
+
+/**
+ * Practice item correctness: complete items, and for math, answers that
+ * the math engine can check must be right.
+ *
+ * English exercises and science activities name their text `exercise` /
+ * `activity`; they are read as the problem.
+ */
+export async function scorePracticeProblems(items, gradeLevel, difficulty, subject) {
+  const problems = Array.isArray(items)
+    ? items.map(item => ({ ...item, problem: item.problem || item.exercise || item.activity }))
+    : [];
+  const validation = await contentValidator.validatePracticeProblems(problems, gradeLevel, difficulty);
+
+  const wrongAnswers = [];
+  let verified = 0;
+  if (subject === 'math') {
+    for (const [index, problem] of problems.entries()) {
+      const check = verifyAnswer(problem.problem || '', String(problem.answer ?? ''));
+      if (!check.verifiable) continue;
+      verified += 1;
+      if (!check.correct) {
+        wrongAnswers.push({ index, given: problem.answer, computed: check.computed });
+      }
+    }
+  }
+
+  return {
+    passed: validation.valid && wrongAnswers.length === 0,
+    details: {
+      count: problems.length,
+      issues: validation.issues.map(issue => issue.type),
+      verified,
+      wrongAnswers,
+    },
+  };
+}
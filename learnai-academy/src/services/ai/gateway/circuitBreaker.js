@@ -0,0 +1,83 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to a provider after repeated failures, then lets a
+ * single trial request through once the cooldown has passed.
+ *
+ * States:
+ *   closed    - requests flow normally
+ *   open      - requests are rejected until the cooldown expires
+ *   half-open - one trial request decides whether to close or re-open
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening (default: 5)
+   * @param {number} options.cooldownMs - Time to stay open before a trial request (default: 30s)
+   * @param {Function} options.now - Clock, injectable for tests
+   */
+  constructor({ failureThreshold = 5, cooldownMs = 30_000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent right now
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt,
+    };
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,137 @@
+/**
+ * Mock LLM Provider
+ *
+ * Deterministic provider for CI, offline demos and local development
+ * without API keys. Responses come from fixture files: the first fixture
+ * whose `match` pattern is found in the system prompt or the last user
+ * message wins, otherwise the fixture set's `default` reply is used.
+ *
+ * Fixture file format:
+ *   {
+ *     "fixtures": [{ "name": "...", "match": "regex source", "response": "text" | {json} }],
+ *     "default": "fallback reply"
+ *   }
+ *
+ * Extra fixtures can be loaded from the directory in LLM_MOCK_FIXTURES_DIR;
+ * they are checked before the bundled defaults.
+ */
+
+import { ProviderAdapter } from './providers.js';
+import { estimateTokens } from './tokens.js';
+import defaultFixtures from './fixtures/default.json';
+
+class MockProvider extends ProviderAdapter {
+  constructor(config) {
+    super(config);
+    this.fixtureSets = [defaultFixtures];
+    this._customLoaded = false;
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  ownsModel(model) {
+    return model?.startsWith('mock-');
+  }
+
+  /**
+   * Load fixture files from a directory (server-side only)
+   * @param {string} dir - Directory containing *.json fixture files
+   */
+  async loadFixtures(dir) {
+    const fs = await import('fs/promises');
+    const path = await import('path');
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+
+    const sets = [];
+    for (const file of files) {
+      sets.push(JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')));
+    }
+
+    // Custom fixtures take precedence over the bundled defaults
+    this.fixtureSets = [...sets, defaultFixtures];
+  }
+
+  /**
+   * Check extra fixture sets before the current ones (e.g. an eval dataset's)
+   * @returns {Function} Restores the previous fixture sets
+   */
+  pushFixtures(...sets) {
+    const previous = this.fixtureSets;
+    this.fixtureSets = [...sets, ...previous];
+
+    return () => {
+      this.fixtureSets = previous;
+    };
+  }
+
+  async _ensureFixtures() {
+    if (this._customLoaded || !process.env.LLM_MOCK_FIXTURES_DIR) return;
+    this._customLoaded = true;
+
+    try {
+      await this.loadFixtures(process.env.LLM_MOCK_FIXTURES_DIR);
+    } catch (error) {
+      console.warn('Failed to load mock LLM fixtures:', error.message);
+    }
+  }
+
+  /**
+   * Pick the canned response for a conversation
+   */
+  respond(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const haystack = `${system}\n${lastUser}`;
+
+    for (const set of this.fixtureSets) {
+      const fixture = set.fixtures?.find(f => new RegExp(f.match, 'i').test(haystack));
+      if (fixture) {
+        return typeof fixture.response === 'string'
+          ? fixture.response
+          : JSON.stringify(fixture.response);
+      }
+    }
+
+    return this.fixtureSets.find(set => set.default)?.default || '';
+  }
+
+  async complete({ messages }) {
+    await this._ensureFixtures();
+
+    const content = this.respond(messages);
+    const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+  }
+
+  async *stream(request) {
+    const { content, usage } = await this.complete(request);
+
+    // Stream word by word so streaming consumers see several chunks
+    for (const piece of content.match(/\S+\s*/g) || []) {
+      yield { content: piece };
+    }
+    yield { usage };
+  }
+}
+
+export const mockProvider = new MockProvider({
+  key: 'mock',
+  name: 'Mock',
+  priority: 99,
+  models: {
+    fast: 'mock-fast',
+    smart: 'mock-smart',
+    code: 'mock-smart',
+  },
+  costPerMillionTokens: 0,
+  maxTokens: 32000,
+});
+
+export default mockProvider;
@@ -0,0 +1,67 @@
+/**
+ * Model Price Table
+ *
+ * USD per 1M tokens, split into input (prompt) and output (completion)
+ * prices. Models missing from the table fall back to the provider's blended
+ * `costPerMillionTokens`.
+ */
+
+export const MODEL_PRICES = {
+  groq: {
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'llama-3.1-70b-versatile': { input: 0.59, output: 0.79 },
+  },
+  openai: {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4-turbo-preview': { input: 10.0, output: 30.0 },
+  },
+  anthropic: {
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4.0 },
+    'claude-sonnet-4-5-20250929': { input: 3.0, output: 15.0 },
+  },
+  gemini: {
+    'gemini-pro': { input: 0.5, output: 1.5 },
+  },
+  kimi: {
+    'moonshot-v1-8k': { input: 1.2, output: 1.2 },
+    'moonshot-v1-32k': { input: 2.4, output: 2.4 },
+  },
+  mock: {
+    'mock-fast': { input: 0, output: 0 },
+    'mock-smart': { input: 0, output: 0 },
+  },
+};
+
+/**
+ * Get the input/output price for a model
+ * @param {Object} provider - Provider adapter (needs `key` and `costPerMillionTokens`)
+ * @param {string} model - Concrete model id
+ * @returns {{ input: number, output: number }}
+ */
+export function getModelPrice(provider, model) {
+  const price = MODEL_PRICES[provider.key]?.[model];
+  if (price) {
+    return price;
+  }
+
+  const blended = provider.costPerMillionTokens || 0;
+  return { input: blended, output: blended };
+}
+
+/**
+ * Cost of a call in USD
+ * @param {Object} provider - Provider adapter
+ * @param {string} model - Concrete model id
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @returns {number}
+ */
+export function calculateCost(provider, model, usage) {
+  const price = getModelPrice(provider, model);
+
+  return (
+    (usage.promptTokens || 0) * price.input +
+    (usage.completionTokens || 0) * price.output
+  ) / 1_000_000;
+}
+
+export default MODEL_PRICES;
@@ -0,0 +1,397 @@
+/**
+ * LLM Provider Adapters
+ *
+ * Each adapter speaks one provider's API and returns a common shape:
+ *   complete() -> { content, usage: { promptTokens, completionTokens, totalTokens } | null }
+ *   stream()   -> async iterable of { content } deltas, optionally ending with { usage }
+ *
+ * Retries, failover, timeouts and accounting live in the gateway, not here.
+ */
+
+import Groq from 'groq-sdk';
+
+/**
+ * Build an error that carries the HTTP status so the gateway can decide
+ * whether it is worth retrying
+ */
+async function httpError(providerName, response) {
+  let detail = response.statusText;
+  try {
+    const body = await response.json();
+    detail = body.error?.message || detail;
+  } catch {
+    // Body was not JSON - keep the status text
+  }
+
+  const error = new Error(`${providerName} API error: ${detail}`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Yield the `data:` payloads of a server-sent event stream
+ */
+async function* readEventData(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith('data:')) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+function normalizeUsage(promptTokens = 0, completionTokens = 0, totalTokens = promptTokens + completionTokens) {
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+/**
+ * Base adapter. Subclasses implement complete(); stream() falls back to a
+ * single chunk for providers without a streaming implementation.
+ */
+export class ProviderAdapter {
+  constructor(config) {
+    Object.assign(this, config);
+  }
+
+  /**
+   * Whether the provider can be used (an API key is configured)
+   * @param {Object} apiKeys - Per-call key overrides by provider key
+   */
+  isEnabled(apiKeys = {}) {
+    return !!(apiKeys[this.key] || this.getApiKey());
+  }
+
+  getApiKey(apiKeys = {}) {
+    return apiKeys[this.key] || process.env[this.apiKeyEnv];
+  }
+
+  /**
+   * Whether a concrete model id belongs to this provider
+   */
+  ownsModel(model) {
+    return Object.values(this.models).includes(model) || this.modelPattern?.test(model);
+  }
+
+  async complete() {
+    throw new Error(`${this.name} does not implement complete()`);
+  }
+
+  async *stream(request) {
+    const response = await this.complete(request);
+    yield { content: response.content };
+    if (response.usage) {
+      yield { usage: response.usage };
+    }
+  }
+}
+
+class GroqProvider extends ProviderAdapter {
+  _client(apiKeys) {
+    const apiKey = this.getApiKey(apiKeys);
+    if (this._sdk?.apiKey !== apiKey) {
+      this._sdk = { apiKey, client: new Groq({ apiKey }) };
+    }
+    return this._sdk.client;
+  }
+
+  async complete({ messages, model, temperature, maxTokens, signal, apiKeys }) {
+    const response = await this._client(apiKeys).chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    }, { signal });
+
+    return {
+      content: response.choices[0]?.message?.content || '',
+      usage: response.usage
+        ? normalizeUsage(response.usage.prompt_tokens, response.usage.completion_tokens, response.usage.total_tokens)
+        : null,
+    };
+  }
+
+  async *stream({ messages, model, temperature, maxTokens, signal, apiKeys }) {
+    const stream = await this._client(apiKeys).chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        yield { content };
+      }
+      // Groq reports usage on the final chunk
+      const usage = chunk.x_groq?.usage;
+      if (usage) {
+        yield { usage: normalizeUsage(usage.prompt_tokens, usage.completion_tokens, usage.total_tokens) };
+      }
+    }
+  }
+}
+
+/**
+ * OpenAI and OpenAI-compatible chat completion APIs (Kimi/Moonshot)
+ */
+class OpenAICompatibleProvider extends ProviderAdapter {
+  async _post(body, { signal, apiKeys }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.getApiKey(apiKeys)}`,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await httpError(this.name, response);
+    }
+
+    return response;
+  }
+
+  async complete({ messages, model, temperature, maxTokens, signal, apiKeys }) {
+    const response = await this._post({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    }, { signal, apiKeys });
+    const data = await response.json();
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      usage: data.usage
+        ? normalizeUsage(data.usage.prompt_tokens, data.usage.completion_tokens, data.usage.total_tokens)
+        : null,
+    };
+  }
+
+  async *stream({ messages, model, temperature, maxTokens, signal, apiKeys }) {
+    const response = await this._post({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      ...(this.streamUsage && { stream_options: { include_usage: true } }),
+    }, { signal, apiKeys });
+
+    for await (const data of readEventData(response)) {
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const content = chunk.choices?.[0]?.delta?.content;
+      if (content) {
+        yield { content };
+      }
+      if (chunk.usage) {
+        yield { usage: normalizeUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens, chunk.usage.total_tokens) };
+      }
+    }
+  }
+}
+
+class GeminiProvider extends ProviderAdapter {
+  async complete({ messages, model, temperature, maxTokens, signal, apiKeys }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const contents = messages
+      .filter(m => m.role !== 'system')
+      .map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }],
+      }));
+
+    const response = await fetch(
+      `${this.baseUrl}/models/${model}:generateContent?key=${this.getApiKey(apiKeys)}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents,
+          ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+          },
+        }),
+        signal,
+      }
+    );
+
+    if (!response.ok) {
+      throw await httpError(this.name, response);
+    }
+
+    const data = await response.json();
+    const usage = data.usageMetadata;
+
+    return {
+      content: data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      usage: usage
+        ? normalizeUsage(usage.promptTokenCount, usage.candidatesTokenCount, usage.totalTokenCount)
+        : null,
+    };
+  }
+}
+
+class AnthropicProvider extends ProviderAdapter {
+  async _post(body, { signal, apiKeys }) {
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.getApiKey(apiKeys),
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await httpError(this.name, response);
+    }
+
+    return response;
+  }
+
+  _body({ messages, model, temperature, maxTokens }) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+    return {
+      model,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system && { system }),
+      messages: messages.filter(m => m.role !== 'system'),
+    };
+  }
+
+  async complete(request) {
+    const response = await this._post(this._body(request), request);
+    const data = await response.json();
+
+    return {
+      content: data.content?.filter(block => block.type === 'text').map(block => block.text).join('') || '',
+      usage: data.usage ? normalizeUsage(data.usage.input_tokens, data.usage.output_tokens) : null,
+    };
+  }
+
+  async *stream(request) {
+    const response = await this._post({ ...this._body(request), stream: true }, request);
+    let promptTokens = 0;
+
+    for await (const data of readEventData(response)) {
+      const event = JSON.parse(data);
+
+      if (event.type === 'message_start') {
+        promptTokens = event.message?.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta?.text) {
+        yield { content: event.delta.text };
+      } else if (event.type === 'message_delta' && event.usage) {
+        yield { usage: normalizeUsage(promptTokens, event.usage.output_tokens) };
+      }
+    }
+  }
+}
+
+/**
+ * Provider registry. Lower priority number = tried first.
+ * Costs are approximate blended prices per 1M tokens.
+ */
+export const PROVIDERS = {
+  groq: new GroqProvider({
+    key: 'groq',
+    name: 'Groq',
+    apiKeyEnv: 'GROQ_API_KEY',
+    priority: 1,
+    models: {
+      fast: 'llama-3.1-8b-instant',
+      smart: 'llama-3.1-70b-versatile',
+      code: 'llama-3.1-70b-versatile',
+    },
+    modelPattern: /^(llama|mixtral|gemma)/,
+    costPerMillionTokens: 0.27,
+    maxTokens: 8192,
+  }),
+  openai: new OpenAICompatibleProvider({
+    key: 'openai',
+    name: 'OpenAI',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    priority: 2,
+    baseUrl: 'https://api.openai.com/v1',
+    streamUsage: true,
+    models: {
+      fast: 'gpt-3.5-turbo',
+      smart: 'gpt-4-turbo-preview',
+      code: 'gpt-4-turbo-preview',
+    },
+    modelPattern: /^(gpt-|o\d)/,
+    costPerMillionTokens: 10.0,
+    maxTokens: 4096,
+  }),
+  anthropic: new AnthropicProvider({
+    key: 'anthropic',
+    name: 'Anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    priority: 3,
+    baseUrl: 'https://api.anthropic.com/v1',
+    models: {
+      fast: 'claude-3-5-haiku-20241022',
+      smart: 'claude-sonnet-4-5-20250929',
+      code: 'claude-sonnet-4-5-20250929',
+    },
+    modelPattern: /^claude-/,
+    costPerMillionTokens: 9.0,
+    maxTokens: 8192,
+  }),
+  gemini: new GeminiProvider({
+    key: 'gemini',
+    name: 'Google Gemini',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    priority: 4,
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    models: {
+      fast: 'gemini-pro',
+      smart: 'gemini-pro',
+      code: 'gemini-pro',
+    },
+    modelPattern: /^gemini-/,
+    costPerMillionTokens: 0.5,
+    maxTokens: 8192,
+  }),
+  kimi: new OpenAICompatibleProvider({
+    key: 'kimi',
+    name: 'Kimi (Moonshot AI)',
+    apiKeyEnv: 'KIMI_API_KEY',
+    priority: 5,
+    baseUrl: 'https://api.moonshot.cn/v1',
+    models: {
+      fast: 'moonshot-v1-8k',
+      smart: 'moonshot-v1-32k',
+      code: 'moonshot-v1-32k',
+    },
+    modelPattern: /^moonshot-/,
+    costPerMillionTokens: 1.2,
+    maxTokens: 32000,
+  }),
+};
+
+export default PROVIDERS;
@@ -0,0 +1,12 @@
+/**
+ * Token helpers
+ */
+
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / 4);
+}
+
+export default estimateTokens;
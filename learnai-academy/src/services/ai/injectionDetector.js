@@ -0,0 +1,248 @@
+/**
+ * Prompt Injection Detector
+ *
+ * Scores student messages for prompt-injection attempts without editing
+ * them. Text is normalised first (leetspeak, spaced-out letters,
+ * zero-width characters, look-alike letters, base64) so obfuscated
+ * attacks score like plain ones, then weighted signals are combined
+ * into a 0-1 score.
+ *
+ * Messages at or above INJECTION_THRESHOLD are refused by the moderation
+ * pipeline and the session is flagged for review.
+ */
+
+import prisma from '../../lib/prisma.js';
+import { auditSecurity } from '../../lib/auditLogger.js';
+import { logError } from '../../lib/logger.js';
+
+export const INJECTION_THRESHOLD = 0.5;
+
+// Tags that wrap student text in prompts (see BaseAgent.buildSystemPrompt)
+export const STUDENT_TEXT_TAGS = {
+  MESSAGE: 'student_message',
+  MEMORY: 'student_memory',
+  PROGRAM_OUTPUT: 'program_output',
+};
+
+const MAX_FLAGS_PER_SESSION = 20;
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+// Cyrillic and Greek letters that look like Latin ones
+const HOMOGLYPHS = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ѕ': 's',
+  'ο': 'o', 'ι': 'i', 'α': 'a', 'ε': 'e',
+};
+
+/**
+ * Signals, each with the weight it adds to the score. A single strong
+ * signal is enough to cross the threshold; weak ones only count together.
+ */
+export const SIGNALS = [
+  {
+    name: 'instruction_override',
+    weight: 0.7,
+    pattern: /\b(ignore|disregard|forget|override|bypass)\s+(all\s+)?(of\s+)?(your|the|these|those|any|all)?\s*(previous|prior|above|earlier|original|system)\s+(instructions?|rules|prompts?|directions|guidelines|programming)\b/,
+  },
+  {
+    name: 'rule_override',
+    weight: 0.45,
+    pattern: /\b(ignore|disregard|forget|override|bypass)\s+(all\s+)?(of\s+)?(your|the|these|those|any|all)\s+(instructions?|rules|prompts?|directions|guidelines|programming)\b/,
+  },
+  {
+    name: 'role_reassignment',
+    weight: 0.35,
+    pattern: /\byou are (now|no longer)\s+(a|an|my|the|in|not|free|dan|unrestricted|unfiltered)\b/,
+  },
+  {
+    name: 'unrestricted_persona',
+    weight: 0.55,
+    pattern: /\b(act|behave|respond|pretend)\s+(as|like|to be)\s+(if you (are|were)\s+)?(an?\s+)?(unrestricted|unfiltered|uncensored|evil|jailbroken|dan)\b/,
+  },
+  {
+    // Students ask what a system prompt is; only counts with a request to reveal it
+    name: 'prompt_exfiltration',
+    weight: 0.35,
+    pattern: /\b(system|initial|hidden)\s+(prompt|instructions)\b/,
+  },
+  {
+    name: 'instructions_question',
+    weight: 0.3,
+    pattern: /\b(reveal|repeat|print|show me|tell me)\s+(your|the)\s+((system|initial|hidden)\s+)?(prompt|instructions)\b/,
+  },
+  {
+    name: 'chat_template_tokens',
+    weight: 0.7,
+    pattern: /\[\/?inst\]|<\|?im_(start|end)\|?>|<\|(system|user|assistant)\|>|<<\/?sys>>|(^|\n)\s*(system|assistant)\s*:/,
+  },
+  {
+    name: 'delimiter_spoofing',
+    weight: 0.7,
+    pattern: /<\/?\s*student_(message|memory)\s*>/,
+  },
+  {
+    name: 'jailbreak_terms',
+    weight: 0.5,
+    pattern: /\b(jailbreak|dan mode|developer mode|do anything now|no (restrictions|filters)|without (any\s+)?(restrictions|filters))\b/,
+  },
+  {
+    // "a game with no rules", "the universe has no limits" - only counts
+    // alongside another signal
+    name: 'no_rules',
+    weight: 0.3,
+    pattern: /\b(no (rules|limits)|without (any\s+)?rules)\b/,
+  },
+  {
+    name: 'new_instructions',
+    weight: 0.6,
+    pattern: /\b(new|updated|real|actual)\s+(instructions?|rules|system prompt)\s*:/,
+  },
+];
+
+// Added when a signal only shows up once the text is de-obfuscated
+const OBFUSCATION_WEIGHT = 0.3;
+
+/**
+ * Undo common obfuscation so patterns match what the model would read
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeForDetection(text = '') {
+  return text
+    .normalize('NFKC')
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, '')
+    .toLowerCase()
+    .replace(/[а-яіѕα-ω]/g, char => HOMOGLYPHS[char] || char)
+    // Leetspeak only inside words that also contain letters - "step 3" stays
+    .replace(/\S+/g, word => (/[a-z]/.test(word) && /[0-9@$]/.test(word)
+      ? word.replace(/[013457@$]/g, char => LEET[char] || char)
+      : word))
+    // "i g n o r e" / "i.g.n.o.r.e" -> "ignore"
+    .replace(/\b(?:[a-z][\s.\-_*]){3,}[a-z]\b/g, run => run.replace(/[\s.\-_*]/g, ''))
+    .replace(/[ \t]+/g, ' ');
+}
+
+/**
+ * Decode base64-looking runs so encoded instructions are scored too
+ */
+function decodeEmbedded(text) {
+  const runs = text.match(/[A-Za-z0-9+/]{24,}={0,2}/g) || [];
+
+  return runs
+    .map(run => {
+      try {
+        const decoded = Buffer.from(run, 'base64').toString('utf8');
+        // Only keep decodings that are mostly readable text
+        const printable = decoded.replace(/[^\x20-\x7E\n]/g, '').length;
+        return printable / decoded.length > 0.9 ? decoded : null;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+function matchSignals(text) {
+  return SIGNALS.filter(signal => signal.pattern.test(text));
+}
+
+/**
+ * Score a message for prompt injection. The message itself is never changed.
+ * @param {string} text - Student message
+ * @returns {{ score: number, isInjection: boolean, signals: string[] }}
+ */
+export function scoreInjection(text = '') {
+  const raw = text.toLowerCase();
+  const decoded = decodeEmbedded(text);
+  const normalized = normalizeForDetection(decoded ? `${text}\n${decoded}` : text);
+
+  const rawMatches = new Set(matchSignals(raw).map(signal => signal.name));
+  const matched = matchSignals(normalized);
+
+  const weights = matched.map(signal => signal.weight);
+  const signals = matched.map(signal => signal.name);
+
+  if (matched.some(signal => !rawMatches.has(signal.name))) {
+    weights.push(OBFUSCATION_WEIGHT);
+    signals.push('obfuscated');
+  }
+
+  // Noisy-OR: each signal independently raises the chance of an attack
+  const score = 1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    isInjection: score >= INJECTION_THRESHOLD,
+    signals,
+  };
+}
+
+/**
+ * Wrap student-written text in a prompt section the model is told to
+ * treat as data. Spoofed closing tags are neutralised in the prompt copy
+ * only; the stored message is untouched.
+ * @param {string} text
+ * @param {string} tag - One of STUDENT_TEXT_TAGS
+ */
+export function delimitStudentText(text = '', tag = STUDENT_TEXT_TAGS.MESSAGE) {
+  const safe = text.replace(/<(\/?\s*(?:student_(?:message|memory)|program_output)\s*)>/gi, '‹$1›');
+  return `<${tag}>\n${safe}\n</${tag}>`;
+}
+
+class InjectionDetector {
+  /**
+   * Score a student message
+   * @see scoreInjection
+   */
+  detect(text) {
+    return scoreInjection(text);
+  }
+
+  /**
+   * Flag a session after an injection attempt so it can be reviewed
+   * @param {Object} context - Session context (sessionId, studentId, userId)
+   * @param {Object} result - Output of detect()
+   */
+  async flagSession(context, result) {
+    try {
+      const session = await prisma.learningSession.findUnique({
+        where: { id: context.sessionId },
+        select: { sessionData: true },
+      });
+      const sessionData = session?.sessionData || {};
+
+      await prisma.learningSession.update({
+        where: { id: context.sessionId },
+        data: {
+          sessionData: {
+            ...sessionData,
+            flagged: true,
+            flags: [
+              ...(sessionData.flags || []),
+              {
+                type: 'prompt_injection',
+                score: result.score,
+                signals: result.signals,
+                flaggedAt: new Date().toISOString(),
+              },
+            ].slice(-MAX_FLAGS_PER_SESSION),
+          },
+        },
+      });
+    } catch (error) {
+      logError('Error flagging session for prompt injection', error);
+    }
+
+    await auditSecurity.suspiciousActivity(context.userId || null, {
+      type: 'PROMPT_INJECTION',
+      sessionId: context.sessionId,
+      studentId: context.studentId,
+      score: result.score,
+      signals: result.signals,
+    });
+  }
+}
+
+export const injectionDetector = new InjectionDetector();
+export default injectionDetector;
@@ -0,0 +1,279 @@
+/**
+ * Intent Router
+ *
+ * Classifies each student message to decide which agent should answer it.
+ * A science session where the student asks how to write a lab report is
+ * handed to the Writing Tutor; "quiz me" hands the session to the
+ * assessment agent, "explain it again" back to a tutor.
+ *
+ * Weighted signals are combined per subject and per role like the
+ * injection detector's. A handoff needs a score of at least
+ * HANDOFF_THRESHOLD, and must beat the current agent's own score, so
+ * short answers ("12", "yes") never move the session. Task signals name
+ * the kind of help wanted ("lab report") rather than the topic
+ * ("magnets"), so they only have to beat the current subject's task
+ * signals.
+ *
+ * The orchestrator announces each handoff in the chat, records it in the
+ * session context, and lets the student undo it ("undo", "go back").
+ * A handoff the student undid is not offered again unless they ask for
+ * that agent by name.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const AGENT_ROLES = {
+  TUTORING: 'tutoring',
+  CURRICULUM: 'curriculum',
+  ASSESSMENT: 'assessment',
+};
+
+export const ROUTING_ACTIONS = {
+  STAY: 'stay',
+  HANDOFF: 'handoff',
+  UNDO: 'undo',
+};
+
+export const HANDOFF_THRESHOLD = 0.5;
+
+const SUBJECT_NAMES = {
+  math: 'Math',
+  english: 'English',
+  reading: 'Reading',
+  science: 'Science',
+  writing: 'Writing',
+  coding: 'Coding',
+};
+
+/**
+ * Subject signals, each with the weight it adds to that subject's score.
+ * `task` marks signals about the kind of work rather than the topic.
+ */
+export const SUBJECT_SIGNALS = {
+  writing: [
+    { name: 'lab_report', weight: 0.6, task: true, pattern: /\blab reports?\b/i },
+    { name: 'essay', weight: 0.6, task: true, pattern: /\b(essay|thesis( statement)?|topic sentence|conclusion paragraph)\b/i },
+    { name: 'write_piece', weight: 0.6, task: true, pattern: /\b(write|writing) (a|an|my|the) (story|poem|letter|report|paragraph|summary|speech)\b/i },
+    { name: 'drafting', weight: 0.4, pattern: /\b(draft|proofread|revise|outline|citations?|bibliography)\b/i },
+    { name: 'paragraph', weight: 0.3, pattern: /\bparagraphs?\b/i },
+  ],
+  reading: [
+    { name: 'text_reference', weight: 0.5, pattern: /\b(this|the|my) (book|story|chapter|novel|passage|article)\b/i },
+    { name: 'comprehension', weight: 0.5, pattern: /\b(main idea|comprehension|reading log|book report)\b/i },
+    { name: 'literary_terms', weight: 0.3, pattern: /\b(the author|characters?|plot|setting|theme|narrator)\b/i },
+  ],
+  english: [
+    { name: 'grammar', weight: 0.5, pattern: /\b(grammar|punctuation|spelling|capitali[sz]ation)\b/i },
+    { name: 'parts_of_speech', weight: 0.4, pattern: /\b(nouns?|verbs?|adjectives?|adverbs?|pronouns?|prepositions?|conjunctions?)\b/i },
+    { name: 'vocabulary', weight: 0.4, pattern: /\b(vocabulary|synonyms?|antonyms?|prefix|suffix|homophones?)\b/i },
+  ],
+  math: [
+    { name: 'expression', weight: 0.5, pattern: /\d\s*[+\-*/×÷^=]\s*\d|\b\d*[a-z]\s*[+\-]\s*\d+\s*=/i },
+    { name: 'math_topic', weight: 0.5, pattern: /\b(fractions?|decimals?|percent(age)?s?|equations?|algebra|geometry|calculus|derivatives?|polynomials?|slope)\b/i },
+    { name: 'operations', weight: 0.4, pattern: /\b(multiply|multiplication|divide|division|subtract|subtraction|addition|solve for|times tables?)\b/i },
+  ],
+  science: [
+    { name: 'method', weight: 0.4, pattern: /\b(experiments?|hypothesis|variables? in (an|my|the) experiment)\b/i },
+    { name: 'science_topic', weight: 0.5, pattern: /\b(photosynthesis|ecosystems?|atoms?|molecules?|gravity|cells?|planets?|magnets?|electricity|chemical reactions?|food chains?|erosion)\b/i },
+    { name: 'field', weight: 0.5, pattern: /\b(biology|chemistry|physics|earth science|astronomy)\b/i },
+  ],
+  coding: [
+    { name: 'language', weight: 0.6, pattern: /\b(python|javascript|scratch|html|css|java)\b/i },
+    { name: 'programming', weight: 0.5, task: true, pattern: /\b(my code|coding|programming|debug|syntax error)\b/i },
+    { name: 'concepts', weight: 0.3, pattern: /\b(function|variable|loop|array|if statement)s?\b/i },
+  ],
+};
+
+/**
+ * Role signals. Tutoring signals bring a quiz or practice session back
+ * to a tutor.
+ */
+export const ROLE_SIGNALS = {
+  assessment: [
+    { name: 'quiz_request', weight: 0.8, pattern: /\b(quiz|test) me\b|\bgive me a (quick )?(quiz|test)\b/i },
+    { name: 'readiness_check', weight: 0.6, pattern: /\bam i ready (for|to)\b|\bcheck (my understanding|if i (understand|get it))\b/i },
+  ],
+  curriculum: [
+    { name: 'material_request', weight: 0.7, pattern: /\b(make|create|give|write) (me )?(a |some )?(worksheet|study guide|lesson plan|practice (problems|questions|sheet))\b/i },
+    { name: 'more_practice', weight: 0.6, pattern: /\bmore practice (problems|questions)\b/i },
+  ],
+  tutoring: [
+    { name: 'explanation_request', weight: 0.6, pattern: /\b(explain|help me (understand|with)|i don'?t (get|understand))\b/i },
+    { name: 'stop_quiz', weight: 0.8, pattern: /\b(stop|end|no more) (the )?(quiz|test|practice)\b|\bback to (tutoring|learning)\b/i },
+  ],
+};
+
+// "switch to the writing tutor" - always honoured, even after an undo
+const EXPLICIT_REQUEST = /\b(switch|change|go|talk)( me)?( back)? to (the |a )?(math|english|reading|science|writing|coding) (tutor|teacher|helper)\b/i;
+
+const UNDO_REQUEST = /^\s*(undo|go back|switch back|change (it )?back|back to (the )?(previous|last|other|old|first) (tutor|teacher|one))\s*[.!]*\s*$/i;
+
+/**
+ * Score a message against a set of signals
+ * @returns {Object} name -> { score, taskScore, signals }
+ */
+function scoreSignals(text, signalSets) {
+  const total = signals => Math.min(1, signals.reduce((sum, signal) => sum + signal.weight, 0));
+  const scores = {};
+
+  for (const [key, signals] of Object.entries(signalSets)) {
+    const matched = signals.filter(signal => signal.pattern.test(text));
+    scores[key] = {
+      score: total(matched),
+      taskScore: total(matched.filter(signal => signal.task)),
+      signals: matched.map(signal => signal.name),
+    };
+  }
+  return scores;
+}
+
+/**
+ * Best-scoring key other than the current one, if it clears the threshold
+ * and beats the current key
+ */
+function pickSwitch(scores, current) {
+  let best = null;
+
+  for (const [key, { score, taskScore, signals }] of Object.entries(scores)) {
+    if (key === current || score < HANDOFF_THRESHOLD) continue;
+
+    // A task signal only competes with the current subject's task signals
+    const rival = taskScore > 0 ? scores[current]?.taskScore : scores[current]?.score;
+    if (score <= (rival || 0)) continue;
+
+    if (!best || score > best.score) best = { key, score, signals };
+  }
+  return best;
+}
+
+/**
+ * Classify a message's intent relative to the agent currently answering
+ * @param {string} message - Student message
+ * @param {Object} current - { role, subject }
+ * @returns {Object} { undo, explicit, role, subject, confidence, signals }
+ */
+export function classifyIntent(message = '', current = {}) {
+  const base = {
+    undo: false,
+    explicit: false,
+    role: current.role || AGENT_ROLES.TUTORING,
+    subject: current.subject,
+    confidence: 0,
+    signals: [],
+  };
+
+  if (UNDO_REQUEST.test(message)) {
+    return { ...base, undo: true, confidence: 1, signals: ['undo_request'] };
+  }
+
+  const explicit = EXPLICIT_REQUEST.exec(message);
+  if (explicit) {
+    return {
+      ...base,
+      explicit: true,
+      role: AGENT_ROLES.TUTORING,
+      subject: explicit[5].toLowerCase(),
+      confidence: 1,
+      signals: ['explicit_request'],
+    };
+  }
+
+  const subjectSwitch = pickSwitch(scoreSignals(message, SUBJECT_SIGNALS), base.subject);
+  const roleSwitch = pickSwitch(scoreSignals(message, ROLE_SIGNALS), base.role);
+
+  return {
+    ...base,
+    role: roleSwitch?.key || base.role,
+    subject: subjectSwitch?.key || base.subject,
+    confidence: Math.max(subjectSwitch?.score || 0, roleSwitch?.score || 0),
+    signals: [...(subjectSwitch?.signals || []), ...(roleSwitch?.signals || [])],
+  };
+}
+
+function sameAgent(a, b) {
+  return a?.role === b?.role && a?.subject === b?.subject;
+}
+
+/**
+ * Readable name for a role and subject, e.g. "Writing Tutor"
+ */
+export function describeAgent({ role, subject }) {
+  const subjectName = SUBJECT_NAMES[subject] || 'Learning';
+  if (role === AGENT_ROLES.ASSESSMENT) return `${subjectName} Quiz Master`;
+  if (role === AGENT_ROLES.CURRICULUM) return `${subjectName} Practice Builder`;
+  return `${subjectName} Tutor`;
+}
+
+class IntentRouter {
+  /**
+   * Decide whether a message stays with the current agent, is handed to
+   * another one, or undoes the last handoff
+   * @param {string} message - Student message (after moderation)
+   * @param {Object} current - { role, subject } answering now
+   * @param {Array} handoffs - Handoffs so far in the session
+   * @returns {Object} { action, target, intent, handoff? }
+   */
+  route(message, current, handoffs = []) {
+    const intent = classifyIntent(message, current);
+
+    if (intent.undo) {
+      const last = this.lastActiveHandoff(handoffs);
+      return last
+        ? { action: ROUTING_ACTIONS.UNDO, target: last.from, intent, handoff: last }
+        : { action: ROUTING_ACTIONS.STAY, target: current, intent };
+    }
+
+    const target = { role: intent.role, subject: intent.subject };
+    if (sameAgent(target, current)) {
+      return { action: ROUTING_ACTIONS.STAY, target: current, intent };
+    }
+
+    // Don't offer a handoff the student already undid this session
+    const declined = handoffs.some(handoff => handoff.undoneAt && sameAgent(handoff.to, target));
+    if (declined && !intent.explicit) {
+      return { action: ROUTING_ACTIONS.STAY, target: current, intent };
+    }
+
+    return { action: ROUTING_ACTIONS.HANDOFF, target, intent };
+  }
+
+  /**
+   * Most recent handoff that hasn't been undone
+   */
+  lastActiveHandoff(handoffs = []) {
+    return [...handoffs].reverse().find(handoff => !handoff.undoneAt) || null;
+  }
+
+  /**
+   * Record of a handoff for the session context
+   */
+  createHandoff(from, to, intent) {
+    return {
+      id: randomUUID(),
+      from: { role: from.role, subject: from.subject },
+      to: { role: to.role, subject: to.subject },
+      signals: intent.signals,
+      confidence: intent.confidence,
+      createdAt: new Date().toISOString(),
+      undoneAt: null,
+    };
+  }
+
+  /**
+   * Chat message announcing a handoff
+   */
+  announceHandoff(handoff) {
+    return `I'm bringing in the ${describeAgent(handoff.to)} to help with this. `
+      + `Say "undo" if you'd rather keep going with the ${describeAgent(handoff.from)}.`;
+  }
+
+  /**
+   * Chat message announcing that a handoff was undone
+   */
+  announceUndo(handoff) {
+    return `Okay! You're back with the ${describeAgent(handoff.from)}. Let's keep going.`;
+  }
+}
+
+export const intentRouter = new IntentRouter();
+export default intentRouter;
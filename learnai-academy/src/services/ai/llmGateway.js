@@ -0,0 +1,556 @@
+/**
+ * LLM Gateway
+ *
+ * Single entry point for every model call in the app: tutoring agents,
+ * curriculum services and the lib/ai* classes all go through here.
+ *
+ * - Provider failover in priority order (see gateway/providers.js)
+ * - Per-provider retries with exponential backoff and jitter
+ * - Per-provider circuit breakers
+ * - Request timeouts
+ * - Token and cost accounting: every call is priced and written to the
+ *   cost ledger, and calls billed to a student, parent or tenant are
+ *   checked against their budgets first (costLedger.js)
+ * - A deterministic mock provider, used automatically when no API key is
+ *   configured or explicitly with LLM_PROVIDER=mock
+ *
+ * Usage:
+ *   import { llmGateway } from '@/services/ai/llmGateway';
+ *   const response = await llmGateway.chat(messages, {
+ *     model: llmGateway.models.smart,
+ *     agentType: 'parent:weeklyReport',
+ *     billing: { studentId, parentId, tenantId, sessionId },
+ *   });
+ *
+ * `model` may be a tier alias (fast, smart, code), resolved per provider,
+ * or a concrete model id, which routes to the provider that owns it first.
+ */
+
+import PerformanceMonitor from '@/lib/performance.js';
+import { PROVIDERS } from './gateway/providers.js';
+import { mockProvider } from './gateway/mockProvider.js';
+import { estimateTokens } from './gateway/tokens.js';
+import { CircuitBreaker } from './gateway/circuitBreaker.js';
+import { calculateCost } from './gateway/pricing.js';
+import { costLedger, BUDGET_ACTIONS } from './costLedger.js';
+
+const MODEL_TIERS = ['fast', 'smart', 'code'];
+
+// Client errors that will fail the same way on every retry
+const NON_RETRYABLE_STATUSES = [400, 401, 403, 404, 422];
+
+/**
+ * Raised when no provider could serve a request
+ */
+export class LLMGatewayError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'LLMGatewayError';
+    this.code = 'LLM_UNAVAILABLE';
+    this.attempts = attempts;
+  }
+}
+
+function isRetryable(error) {
+  return !NON_RETRYABLE_STATUSES.includes(error.status);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Flatten Anthropic-style content blocks into plain text
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+  return String(content ?? '');
+}
+
+export class LLMGateway {
+  /**
+   * @param {Object} options
+   * @param {Object} options.providers - Provider adapters by key
+   * @param {number} options.timeoutMs - Per-attempt timeout
+   * @param {number} options.retries - Retries per provider after the first attempt
+   * @param {number} options.baseDelayMs - Backoff base delay
+   * @param {Object} options.breaker - CircuitBreaker options
+   * @param {Object} options.ledger - Cost ledger (null to skip budgets and recording)
+   */
+  constructor({
+    providers = { ...PROVIDERS, mock: mockProvider },
+    timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 30_000,
+    retries = 2,
+    baseDelayMs = 500,
+    breaker = {},
+    ledger = costLedger,
+  } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.breakerOptions = breaker;
+    this.breakers = new Map();
+    this.ledger = ledger;
+    this.usage = new Map();
+    this._warnedMock = false;
+
+    // Tier aliases, resolved to a concrete model per provider
+    this.models = { fast: 'fast', smart: 'smart', code: 'code' };
+  }
+
+  /**
+   * Ordered list of providers to try for a request
+   */
+  getProviderChain({ provider: preferred = null, model = null, apiKeys = {} } = {}) {
+    let chain;
+
+    if (process.env.LLM_PROVIDER) {
+      // Explicit chain, e.g. LLM_PROVIDER=mock or LLM_PROVIDER=groq,openai
+      chain = process.env.LLM_PROVIDER.split(',')
+        .map(key => this.providers[key.trim()])
+        .filter(Boolean);
+    } else {
+      chain = Object.values(this.providers)
+        .filter(p => p.key !== 'mock' && p.isEnabled(apiKeys))
+        .sort((a, b) => a.priority - b.priority);
+
+      if (chain.length === 0 && this.providers.mock) {
+        if (!this._warnedMock) {
+          console.warn('⚠️  No AI providers configured. Using the mock LLM provider.');
+          this._warnedMock = true;
+        }
+        chain = [this.providers.mock];
+      }
+    }
+
+    // Prefer the requested provider, or the one that owns a concrete model id
+    const first = chain.find(p => p.key === preferred)
+      || (model && !MODEL_TIERS.includes(model) && chain.find(p => p.ownsModel(model)));
+    if (first) {
+      chain = [first, ...chain.filter(p => p !== first)];
+    }
+
+    return chain;
+  }
+
+  /**
+   * Resolve a tier alias or concrete model id for a given provider
+   */
+  resolveModel(provider, model) {
+    if (!model) return provider.models.smart;
+    if (provider.models[model]) return provider.models[model];
+    if (provider.ownsModel(model)) return model;
+
+    // Another provider's model - use this provider's model of the same tier
+    for (const other of Object.values(this.providers)) {
+      const tier = MODEL_TIERS.find(t => other.models[t] === model);
+      if (tier) return provider.models[tier];
+    }
+
+    return provider.models.smart;
+  }
+
+  _breaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(this.breakerOptions));
+    }
+    return this.breakers.get(key);
+  }
+
+  _backoff(attempt) {
+    const delay = this.baseDelayMs * Math.pow(2, attempt);
+    return delay + Math.random() * delay * 0.25;
+  }
+
+  /**
+   * Start a per-attempt timeout. Returns the signal and a cleanup function.
+   */
+  _timeout(timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    return { controller, clear: () => clearTimeout(timer) };
+  }
+
+  _request(provider, messages, options, signal) {
+    return {
+      messages,
+      model: this.resolveModel(provider, options.model),
+      temperature: options.temperature ?? 0.7,
+      maxTokens: Math.min(options.maxTokens || 1500, provider.maxTokens),
+      apiKeys: options.apiKeys || {},
+      signal,
+    };
+  }
+
+  /**
+   * Record token usage and cost for a completed call
+   * @returns {number} Cost in dollars
+   */
+  _account(provider, model, responseTime, usage) {
+    const cost = calculateCost(provider, model, usage);
+    const key = `${provider.key}:${model}`;
+    const totals = this.usage.get(key) || {
+      provider: provider.key,
+      model,
+      requests: 0,
+      failures: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+    };
+
+    totals.requests += 1;
+    totals.promptTokens += usage.promptTokens;
+    totals.completionTokens += usage.completionTokens;
+    totals.totalTokens += usage.totalTokens;
+    totals.cost += cost;
+    this.usage.set(key, totals);
+
+    PerformanceMonitor.trackAICall(
+      model,
+      responseTime,
+      usage.totalTokens,
+      cost,
+      {
+        provider: provider.name,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+      }
+    );
+
+    return cost;
+  }
+
+  _accountFailure(provider, model) {
+    const key = `${provider.key}:${model}`;
+    const totals = this.usage.get(key);
+    if (totals) {
+      totals.failures += 1;
+    } else {
+      this.usage.set(key, {
+        provider: provider.key,
+        model,
+        requests: 0,
+        failures: 1,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+      });
+    }
+  }
+
+  /**
+   * Check the budgets of whoever a call is billed to. Uses `options.budget`
+   * when the caller has already checked it.
+   * @throws {BudgetExceededError} When a budget refuses further requests
+   * @returns {Promise<Object>} The options, on the fast tier if downgraded
+   */
+  async _applyBudget(options) {
+    const { studentId, parentId, tenantId } = options.billing || {};
+    if (!this.ledger || !(studentId || parentId || tenantId)) {
+      return options;
+    }
+
+    const budget = options.budget || await this.ledger.enforceBudget({ studentId, parentId, tenantId });
+    if (budget.action === BUDGET_ACTIONS.DOWNGRADE) {
+      return { ...options, model: this.models.fast, downgraded: true };
+    }
+
+    return options;
+  }
+
+  /**
+   * Write a completed call to the cost ledger
+   */
+  async _record(options, provider, model, usage, cost) {
+    if (!this.ledger) return;
+
+    const { sessionId, studentId, parentId, tenantId } = options.billing || {};
+    await this.ledger.record({
+      sessionId,
+      studentId,
+      parentId,
+      tenantId,
+      agentType: options.agentType || 'unattributed',
+      provider: provider.name,
+      model,
+      usage,
+      cost,
+      downgraded: options.downgraded,
+    });
+  }
+
+  _estimateUsage(messages, content) {
+    const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+    const completionTokens = estimateTokens(content);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  /**
+   * Send a chat completion through the first healthy provider
+   *
+   * @param {Array} messages - Chat messages ({ role, content })
+   * @param {Object} options - model, temperature, maxTokens, provider, apiKeys, timeoutMs, retries,
+   *   agentType (ledger label), billing ({ studentId, parentId, tenantId, sessionId }), budget
+   * @returns {Promise<Object>} { content, usage, model, provider, responseTime, cost, downgraded }
+   * @throws {BudgetExceededError} When a budget refuses further requests
+   */
+  async chat(messages, options = {}) {
+    options = await this._applyBudget(options);
+    const attempts = [];
+    const retries = options.retries ?? this.retries;
+
+    for (const provider of this.getProviderChain(options)) {
+      const breaker = this._breaker(provider.key);
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.key, error: 'circuit open' });
+        continue;
+      }
+
+      const model = this.resolveModel(provider, options.model);
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        const { controller, clear } = this._timeout(options.timeoutMs || this.timeoutMs);
+        const startTime = Date.now();
+
+        try {
+          const response = await provider.complete(this._request(provider, messages, options, controller.signal));
+          const responseTime = Date.now() - startTime;
+          const usage = response.usage || this._estimateUsage(messages, response.content);
+
+          breaker.recordSuccess();
+          const cost = this._account(provider, model, responseTime, usage);
+          await this._record(options, provider, model, usage, cost);
+
+          return {
+            content: response.content,
+            usage,
+            model,
+            provider: provider.name,
+            responseTime,
+            cost,
+            downgraded: !!options.downgraded,
+          };
+        } catch (error) {
+          const message = controller.signal.aborted ? `timed out after ${options.timeoutMs || this.timeoutMs}ms` : error.message;
+          attempts.push({ provider: provider.key, attempt, error: message });
+
+          if (!isRetryable(error) || attempt === retries) break;
+
+          const delay = this._backoff(attempt);
+          console.warn(`${provider.name} attempt ${attempt + 1} failed (${message}), retrying in ${Math.round(delay)}ms...`);
+          await sleep(delay);
+        } finally {
+          clear();
+        }
+      }
+
+      breaker.recordFailure();
+      this._accountFailure(provider, model);
+      console.warn(`${provider.name} failed, trying next provider...`);
+    }
+
+    throw new LLMGatewayError(
+      `All AI providers failed. Last error: ${attempts[attempts.length - 1]?.error || 'no provider available'}`,
+      attempts
+    );
+  }
+
+  /**
+   * Stream a chat completion.
+   *
+   * Yields `{ type: 'delta', content }` chunks, then `{ type: 'done', usage,
+   * model, provider, responseTime, cost }`. Retries and failover only happen
+   * before the first chunk; once text has reached the caller an error is
+   * thrown instead of silently switching providers mid-answer. Takes the
+   * same options as `chat`, and is metered the same way - including streams
+   * that fail or are abandoned part way, estimated from the text so far
+   * when the provider never reported usage.
+   */
+  async *streamChat(messages, options = {}) {
+    options = await this._applyBudget(options);
+    const attempts = [];
+    const retries = options.retries ?? this.retries;
+
+    for (const provider of this.getProviderChain(options)) {
+      const breaker = this._breaker(provider.key);
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.key, error: 'circuit open' });
+        continue;
+      }
+
+      const model = this.resolveModel(provider, options.model);
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        const { controller, clear } = this._timeout(options.timeoutMs || this.timeoutMs);
+        const startTime = Date.now();
+        let started = false;
+        let finished = false;
+        let content = '';
+        let usage = null;
+        let responseTime = 0;
+        let cost = 0;
+
+        try {
+          for await (const chunk of provider.stream(this._request(provider, messages, options, controller.signal))) {
+            if (chunk.usage) {
+              usage = chunk.usage;
+              continue;
+            }
+            if (!started) {
+              // The timeout guards time-to-first-token; long answers may take longer
+              started = true;
+              clear();
+            }
+            content += chunk.content;
+            yield { type: 'delta', content: chunk.content };
+          }
+          finished = true;
+        } catch (error) {
+          if (started) {
+            breaker.recordFailure();
+            this._accountFailure(provider, model);
+            throw error;
+          }
+
+          const message = controller.signal.aborted ? `timed out after ${options.timeoutMs || this.timeoutMs}ms` : error.message;
+          attempts.push({ provider: provider.key, attempt, error: message });
+
+          if (!isRetryable(error) || attempt === retries) break;
+
+          const delay = this._backoff(attempt);
+          console.warn(`${provider.name} stream attempt ${attempt + 1} failed (${message}), retrying in ${Math.round(delay)}ms...`);
+          await sleep(delay);
+          continue;
+        } finally {
+          clear();
+          // Consumer stopped early - cancel the upstream request
+          if (!finished) controller.abort();
+
+          // Tokens are spent once text flows, whether the stream finished,
+          // failed or was abandoned by the consumer
+          if (started || finished) {
+            responseTime = Date.now() - startTime;
+            usage = usage || this._estimateUsage(messages, content);
+            cost = this._account(provider, model, responseTime, usage);
+            await this._record(options, provider, model, usage, cost);
+          }
+        }
+
+        breaker.recordSuccess();
+
+        yield {
+          type: 'done',
+          usage,
+          model,
+          provider: provider.name,
+          responseTime,
+          cost,
+          downgraded: !!options.downgraded,
+        };
+        return;
+      }
+
+      breaker.recordFailure();
+      this._accountFailure(provider, model);
+      console.warn(`${provider.name} stream failed, trying next provider...`);
+    }
+
+    throw new LLMGatewayError(
+      `All AI providers failed. Last error: ${attempts[attempts.length - 1]?.error || 'no provider available'}`,
+      attempts
+    );
+  }
+
+  /**
+   * Pick a model tier for a request
+   */
+  selectModel(complexity, domain) {
+    if (complexity === 'simple') {
+      return this.models.fast;
+    }
+
+    if (domain === 'coding') {
+      return this.models.code;
+    }
+
+    return this.models.smart;
+  }
+
+  /**
+   * Client exposing the Anthropic Messages API shape
+   * (`client.messages.create(...)`), for the lib/ai* classes
+   *
+   * @param {Object} options
+   * @param {string} options.apiKey - Optional Anthropic key override
+   * @param {string} options.agentType - Cost ledger label for the caller
+   */
+  messagesClient({ apiKey, agentType } = {}) {
+    const apiKeys = apiKey ? { anthropic: apiKey } : {};
+
+    return {
+      messages: {
+        create: async ({ model, max_tokens, temperature, system, messages }) => {
+          const response = await this.chat([
+            ...(system ? [{ role: 'system', content: contentToText(system) }] : []),
+            ...messages.map(msg => ({ role: msg.role, content: contentToText(msg.content) })),
+          ], {
+            model,
+            maxTokens: max_tokens,
+            temperature,
+            apiKeys,
+            agentType,
+          });
+
+          return {
+            content: [{ type: 'text', text: response.content }],
+            model: response.model,
+            usage: {
+              input_tokens: response.usage.promptTokens,
+              output_tokens: response.usage.completionTokens,
+            },
+          };
+        },
+      },
+    };
+  }
+
+  /**
+   * Token and cost totals per provider and model since startup
+   */
+  getUsage() {
+    return Array.from(this.usage.values());
+  }
+
+  resetUsage() {
+    this.usage.clear();
+  }
+
+  /**
+   * Provider availability and circuit state
+   */
+  getStatus() {
+    const chain = this.getProviderChain();
+
+    return {
+      providers: Object.values(this.providers).map(p => ({
+        key: p.key,
+        name: p.name,
+        enabled: p.isEnabled(),
+        priority: p.priority,
+        circuit: this._breaker(p.key).getStatus(),
+      })),
+      chain: chain.map(p => p.key),
+      current: chain[0] ? { key: chain[0].key, name: chain[0].name } : null,
+    };
+  }
+}
+
+export const llmGateway = new LLMGateway();
+export default llmGateway;
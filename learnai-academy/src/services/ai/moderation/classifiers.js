@@ -0,0 +1,96 @@
+/**
+ * Moderation Classifiers
+ *
+ * Pattern-based detectors that tag text with categories and severities.
+ * What happens to a match is decided by the grade-band policy
+ * (see policies.js), not here.
+ */
+
+export const CATEGORIES = {
+  PROFANITY: 'profanity',
+  SEXUAL: 'sexual',
+  VIOLENCE: 'violence',
+  SELF_HARM: 'self_harm',
+  DRUGS: 'drugs',
+  HATE: 'hate',
+  MATURE: 'mature_topic',
+};
+
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Detector rules. Order matters only for readability; every rule is run.
+ * Word lists are deliberately conservative: "harm", "hate" and "drug" on
+ * their own are ordinary words in lessons and are not flagged.
+ */
+export const RULES = [
+  // Profanity
+  { category: CATEGORIES.PROFANITY, severity: 'low', pattern: /\b(hell|damn|crap|sucks)\b/gi },
+  { category: CATEGORIES.PROFANITY, severity: 'high', pattern: /\b(fuck\w*|shit\w*|bitch\w*|asshole\w*|bastard)\b/gi },
+
+  // Sexual content - "sexual reproduction" is biology, explicit content is not
+  { category: CATEGORIES.SEXUAL, severity: 'medium', pattern: /\b(sex|sexual|sexy)\b/gi },
+  { category: CATEGORIES.SEXUAL, severity: 'high', pattern: /\b(porn\w*|xxx|nudes?|naked pictures?)\b/gi },
+
+  // Violence
+  { category: CATEGORIES.VIOLENCE, severity: 'medium', pattern: /\b(kill(ed|ing)?|murder\w*|shoot(ing)?|stab(bing)?)\b/gi },
+  { category: CATEGORIES.VIOLENCE, severity: 'high', pattern: /\b(make|build) (a )?(bomb|gun|weapon)s?\b/gi },
+
+  // Self-harm disclosures - whole phrases only, so "at the end my answer
+  // was 12" is not a disclosure
+  {
+    category: CATEGORIES.SELF_HARM,
+    severity: 'high',
+    pattern: /\b(kill(ing)? myself|suicid\w*|want(ed)? to die|wish i (was|were) dead|end my life|self[- ]harm)\b/gi,
+  },
+  // These need intent or habit around them: "I cut myself on paper in art
+  // class" and "in the end it all worked out" are not disclosures, "I keep
+  // cutting myself" and "I'm going to end it all" are
+  {
+    category: CATEGORIES.SELF_HARM,
+    severity: 'high',
+    pattern: /\b((want(s|ed)?|need|going|tr(y|ied|ying)) to|gonna|i('ll| will)|thinking about|(sometimes|often|always|still|keep|kept|been|started)( i)?) ((hurt(ing)?|cut(ting)?) myself|end(ing)? it all)\b|\b(hurt(ing)?|cut(ting)?) myself (on purpose|again|every (day|night))\b/gi,
+  },
+
+  // Drugs
+  { category: CATEGORIES.DRUGS, severity: 'medium', pattern: /\b(marijuana|weed|vap(e|ing)|drunk)\b/gi },
+  { category: CATEGORIES.DRUGS, severity: 'high', pattern: /\b(cocaine|heroin|meth(amphetamine)?|fentanyl)\b/gi },
+
+  // Hate speech - directed hostility, not the vocabulary of history lessons
+  {
+    category: CATEGORIES.HATE,
+    severity: 'high',
+    pattern: /\b(hate|kill) all \w+\b|\b\w+ (are|is) (subhuman|vermin)\b/gi,
+  },
+
+  // Topics softened for young students
+  { category: CATEGORIES.MATURE, severity: 'low', pattern: /\b(death|violence|scary|blood)\b/gi },
+];
+
+/**
+ * Run every rule against the text
+ * @param {string} text
+ * @returns {Array<Object>} { category, severity, matches: string[] }
+ */
+export function classify(text = '') {
+  const findings = [];
+
+  for (const rule of RULES) {
+    rule.pattern.lastIndex = 0;
+    const matches = text.match(rule.pattern);
+    rule.pattern.lastIndex = 0;
+
+    if (matches) {
+      findings.push({
+        category: rule.category,
+        severity: rule.severity,
+        matches: [...new Set(matches.map(match => match.toLowerCase()))],
+        pattern: rule.pattern,
+      });
+    }
+  }
+
+  return findings;
+}
+
+export default classify;
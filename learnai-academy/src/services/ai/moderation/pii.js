@@ -0,0 +1,97 @@
+/**
+ * PII Detection
+ *
+ * Finds personal details students type (or the model echoes back) and
+ * replaces them with placeholders before they reach the model, the
+ * database or the screen.
+ */
+
+export const PII_TYPES = {
+  EMAIL: 'email',
+  PHONE: 'phone',
+  ADDRESS: 'address',
+  NAME: 'name',
+};
+
+// Capitalised, so "round to the nearest tenths place" is not an address
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Terrace|Crescent|Close)';
+
+/**
+ * Detectors, applied in order. Each replaces the whole match with its
+ * placeholder, except NAME which keeps the lead-in ("my name is").
+ */
+const DETECTORS = [
+  {
+    type: PII_TYPES.EMAIL,
+    placeholder: '[EMAIL]',
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/gi,
+  },
+  {
+    type: PII_TYPES.PHONE,
+    placeholder: '[PHONE]',
+    // 555-123-4567, (555) 123-4567, +1 555 123 4567, +44 7700 900123.
+    // Bare digit runs and space-separated numbers are left alone - "what is
+    // 123456789 times 2?" and "multiply 100 200 3000" are math questions
+    pattern: /\+\d{1,3}[\s.-]?(?:\(\d{3}\)|\d{3,5})[\s.-]?\d{3}[\s.-]?\d{3,4}\b|\(\d{3}\)\s?\d{3}[\s.-]?\d{4}\b|\b\d{3}[.-]\d{3}[.-]\d{4}\b/g,
+  },
+  {
+    type: PII_TYPES.ADDRESS,
+    placeholder: '[ADDRESS]',
+    pattern: new RegExp(`\\b\\d{1,5}\\s+(?:[A-Z][a-z]*\\s+){1,3}${STREET_SUFFIX}\\b\\.?`, 'g'),
+  },
+  {
+    type: PII_TYPES.NAME,
+    placeholder: '[NAME]',
+    // "my name is Sam Jones", "my mom's name is Ana", "call me Sam"
+    // The lead-in is matched in either case; the name itself must be capitalised
+    pattern: /\b((?:[Mm]y|[Oo]ur)\s+(?:(?:full|real|last|mom'?s?|dad'?s?|mum'?s?|teacher'?s?|friend'?s?|brother'?s?|sister'?s?)\s+)?name\s+is\s+|[Cc]all\s+me\s+)([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g,
+    keepPrefix: true,
+  },
+];
+
+/**
+ * Find PII in text
+ * @param {string} text
+ * @returns {Array<string>} Types found, e.g. ['phone', 'address']
+ */
+export function detectPII(text = '') {
+  return DETECTORS
+    .filter(detector => {
+      detector.pattern.lastIndex = 0;
+      const found = detector.pattern.test(text);
+      detector.pattern.lastIndex = 0;
+      return found;
+    })
+    .map(detector => detector.type);
+}
+
+/**
+ * Replace PII with placeholders
+ * @param {string} text
+ * @param {Object} options - { allowNames: string[] } names that are fine to keep (e.g. the student's own first name, which the tutor already uses)
+ * @returns {{ text: string, types: string[] }}
+ */
+export function redactPII(text = '', { allowNames = [] } = {}) {
+  const allowed = new Set(allowNames.filter(Boolean).map(name => name.toLowerCase()));
+  const types = new Set();
+  let redacted = text;
+
+  for (const detector of DETECTORS) {
+    redacted = redacted.replace(detector.pattern, (match, prefix, name) => {
+      if (detector.keepPrefix) {
+        if (allowed.has(name.toLowerCase()) || allowed.has(name.split(/\s+/)[0].toLowerCase())) {
+          return match;
+        }
+        types.add(detector.type);
+        return `${prefix}${detector.placeholder}`;
+      }
+
+      types.add(detector.type);
+      return detector.placeholder;
+    });
+  }
+
+  return { text: redacted, types: [...types] };
+}
+
+export default redactPII;
@@ -0,0 +1,140 @@
+/**
+ * Grade-band Moderation Policies
+ *
+ * Each band maps category + severity to an action. Bands are chosen from
+ * the student's grade and, when we know it, their real age - whichever is
+ * younger wins, so a young student in an advanced grade gets the stricter
+ * policy.
+ */
+
+import { CATEGORIES } from './classifiers.js';
+
+// Ordered from least to most severe - the strongest action across all
+// findings wins
+export const ACTIONS = {
+  ALLOW: 'allow',
+  SOFTEN: 'soften',
+  REDACT: 'redact',
+  BLOCK: 'block',
+  ESCALATE: 'escalate',
+};
+
+const ACTION_RANK = Object.values(ACTIONS);
+
+export const GRADE_BANDS = {
+  K2: 'K-2',
+  G3_5: '3-5',
+  G6_8: '6-8',
+  G9_12: '9-12',
+};
+
+const { ALLOW, SOFTEN, REDACT, BLOCK, ESCALATE } = ACTIONS;
+
+// Self-harm disclosures are never allowed or silently swapped out: a
+// designated adult is always told
+const SELF_HARM = { low: ESCALATE, medium: ESCALATE, high: ESCALATE };
+
+export const POLICIES = {
+  [GRADE_BANDS.K2]: {
+    [CATEGORIES.PROFANITY]: { low: REDACT, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.SEXUAL]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.VIOLENCE]: { low: SOFTEN, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.SELF_HARM]: SELF_HARM,
+    [CATEGORIES.DRUGS]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.HATE]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.MATURE]: { low: SOFTEN, medium: SOFTEN, high: BLOCK },
+  },
+  [GRADE_BANDS.G3_5]: {
+    [CATEGORIES.PROFANITY]: { low: REDACT, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.SEXUAL]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.VIOLENCE]: { low: SOFTEN, medium: SOFTEN, high: BLOCK },
+    [CATEGORIES.SELF_HARM]: SELF_HARM,
+    [CATEGORIES.DRUGS]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.HATE]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.MATURE]: { low: SOFTEN, medium: SOFTEN, high: BLOCK },
+  },
+  [GRADE_BANDS.G6_8]: {
+    [CATEGORIES.PROFANITY]: { low: REDACT, medium: REDACT, high: BLOCK },
+    // Reproduction and puberty are part of the middle school curriculum
+    [CATEGORIES.SEXUAL]: { low: ALLOW, medium: ALLOW, high: BLOCK },
+    [CATEGORIES.VIOLENCE]: { low: ALLOW, medium: ALLOW, high: BLOCK },
+    [CATEGORIES.SELF_HARM]: SELF_HARM,
+    [CATEGORIES.DRUGS]: { low: ALLOW, medium: SOFTEN, high: BLOCK },
+    [CATEGORIES.HATE]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.MATURE]: { low: ALLOW, medium: ALLOW, high: SOFTEN },
+  },
+  [GRADE_BANDS.G9_12]: {
+    [CATEGORIES.PROFANITY]: { low: ALLOW, medium: REDACT, high: REDACT },
+    [CATEGORIES.SEXUAL]: { low: ALLOW, medium: ALLOW, high: BLOCK },
+    [CATEGORIES.VIOLENCE]: { low: ALLOW, medium: ALLOW, high: BLOCK },
+    [CATEGORIES.SELF_HARM]: SELF_HARM,
+    // Health class covers drugs and their effects
+    [CATEGORIES.DRUGS]: { low: ALLOW, medium: ALLOW, high: ALLOW },
+    [CATEGORIES.HATE]: { low: BLOCK, medium: BLOCK, high: BLOCK },
+    [CATEGORIES.MATURE]: { low: ALLOW, medium: ALLOW, high: ALLOW },
+  },
+};
+
+function bandForGrade(gradeLevel) {
+  if (gradeLevel <= 2) return GRADE_BANDS.K2;
+  if (gradeLevel <= 5) return GRADE_BANDS.G3_5;
+  if (gradeLevel <= 8) return GRADE_BANDS.G6_8;
+  return GRADE_BANDS.G9_12;
+}
+
+function bandForAge(age) {
+  if (age <= 7) return GRADE_BANDS.K2;
+  if (age <= 10) return GRADE_BANDS.G3_5;
+  if (age <= 13) return GRADE_BANDS.G6_8;
+  return GRADE_BANDS.G9_12;
+}
+
+/**
+ * Age in whole years from a birth date
+ * @returns {number|null} null when the birth date is unknown
+ */
+export function ageFromBirthDate(birthDate, now = new Date()) {
+  if (!birthDate) return null;
+  const birth = new Date(birthDate);
+  let age = now.getFullYear() - birth.getFullYear();
+  const monthDiff = now.getMonth() - birth.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < birth.getDate())) {
+    age--;
+  }
+  return age;
+}
+
+/**
+ * Pick the grade band for a student
+ * @param {Object} student - { gradeLevel, age }
+ * @returns {string} One of GRADE_BANDS; the youngest band when nothing is known
+ */
+export function resolveGradeBand({ gradeLevel, age } = {}) {
+  const order = Object.values(GRADE_BANDS);
+  const candidates = [];
+
+  if (Number.isFinite(gradeLevel)) candidates.push(bandForGrade(gradeLevel));
+  if (Number.isFinite(age)) candidates.push(bandForAge(age));
+
+  if (candidates.length === 0) return GRADE_BANDS.K2;
+
+  return candidates.reduce((youngest, band) =>
+    order.indexOf(band) < order.indexOf(youngest) ? band : youngest
+  );
+}
+
+/**
+ * The action a band takes for a finding
+ */
+export function actionFor(band, { category, severity }) {
+  return POLICIES[band]?.[category]?.[severity] ?? BLOCK;
+}
+
+/**
+ * The stronger of two actions
+ */
+export function strongestAction(a, b) {
+  return ACTION_RANK.indexOf(a) >= ACTION_RANK.indexOf(b) ? a : b;
+}
+
+export default POLICIES;
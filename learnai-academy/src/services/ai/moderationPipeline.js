@@ -0,0 +1,365 @@
+/**
+ * Moderation Pipeline
+ *
+ * Child-safety checks around every model call:
+ * - Input stage: student messages are classified and PII is redacted
+ *   before anything reaches the model or the database. Self-harm
+ *   disclosures are escalated to a designated adult, and prompt-injection
+ *   attempts are refused and the session flagged (injectionDetector.js).
+ * - Output stage: model replies (complete or streamed) are classified
+ *   and softened, redacted or blocked according to the student's grade band.
+ *
+ * Classifiers: moderation/classifiers.js
+ * Grade-band policies: moderation/policies.js
+ * PII detection: moderation/pii.js
+ *
+ * Every decision is audit-logged (auditModeration in lib/auditLogger.js).
+ */
+
+import { classify } from './moderation/classifiers.js';
+import { redactPII } from './moderation/pii.js';
+import {
+  ACTIONS,
+  GRADE_BANDS,
+  resolveGradeBand,
+  actionFor,
+  strongestAction,
+} from './moderation/policies.js';
+import { injectionDetector } from './injectionDetector.js';
+import { auditModeration } from '../../lib/auditLogger.js';
+import { logError } from '../../lib/logger.js';
+
+export { ACTIONS, GRADE_BANDS };
+
+export const BLOCKED_RESPONSE = "I apologize, but I can't provide that information. Let me help you with something else!";
+
+export const INPUT_BLOCKED_RESPONSE = "Let's keep our chat kind and focused on learning. What would you like to work on?";
+
+export const INJECTION_REFUSAL = "I can't change how I work or share my instructions, but I'd love to keep helping you learn. What would you like to work on?";
+
+const SUPPORT_RESPONSES = {
+  young: "It sounds like you're feeling really sad, and I'm glad you told me. I've let a grown-up who cares about you know, so they can help. Please go and find your mom, dad, teacher or another grown-up you trust and tell them how you feel right now. You matter a lot.",
+  older: "It sounds like you're going through something really hard, and I'm glad you told me. I've let a trusted adult know so they can check in with you. You don't have to handle this alone - please talk to a parent, teacher or school counselor today. If you feel like you might hurt yourself right now, call or text 988 (Suicide & Crisis Lifeline) or your local emergency number.",
+};
+
+// Softer wording for young students
+const SOFTENINGS = [
+  [/\bdeath\b/gi, 'not being here anymore'],
+  [/\bviolence\b/gi, 'not being kind'],
+  [/\bscary\b/gi, 'a little spooky'],
+];
+
+// Characters held back while streaming so PII split across chunks
+// (phone numbers, addresses) is redacted before any of it is shown
+export const STREAM_HOLDBACK_CHARS = 24;
+
+/**
+ * Support message for a self-harm disclosure, worded for the grade band
+ */
+export function supportResponse(gradeBand) {
+  return gradeBand === GRADE_BANDS.K2 || gradeBand === GRADE_BANDS.G3_5
+    ? SUPPORT_RESPONSES.young
+    : SUPPORT_RESPONSES.older;
+}
+
+function redactMatches(text, pattern) {
+  pattern.lastIndex = 0;
+  const redacted = text.replace(pattern, match => '*'.repeat(match.length));
+  pattern.lastIndex = 0;
+  return redacted;
+}
+
+function soften(text) {
+  return SOFTENINGS.reduce((softened, [pattern, replacement]) =>
+    softened.replace(pattern, replacement), text);
+}
+
+function softenMatches(text, pattern) {
+  pattern.lastIndex = 0;
+  const softened = text.replace(pattern, match => soften(match));
+  pattern.lastIndex = 0;
+  return softened;
+}
+
+/**
+ * Incremental moderator for streamed replies.
+ *
+ * The reply so far (up to its last complete word) is re-checked on every
+ * chunk, and text is only released up to a word boundary at least
+ * STREAM_HOLDBACK_CHARS before that, so a blocked word or a phone number
+ * split across chunks is caught before any part of it reaches the student.
+ *
+ * Positions are tracked in the raw reply: redaction and softening change
+ * the length of the moderated text, so a raw prefix is only released once
+ * moderating it on its own gives the same text as moderating it with
+ * everything after it - i.e. once nothing later can still change it.
+ */
+class StreamModerator {
+  constructor(pipeline, context) {
+    this.pipeline = pipeline;
+    this.context = context;
+    this.full = '';
+    this.released = 0; // Offset into `full`
+    this.content = '';
+    this.blocked = false;
+    this.wasFiltered = false;
+    this.decision = null;
+  }
+
+  /**
+   * Add a chunk and get the text that is safe to show
+   * @returns {{text: string, blocked: boolean, replacement?: string}}
+   */
+  push(chunk) {
+    if (this.blocked) {
+      return { text: '', blocked: true };
+    }
+
+    this.full += chunk;
+
+    // Only judge complete words - "kill" may yet become "killer whale"
+    const settled = this.full.slice(
+      0,
+      Math.max(this.full.lastIndexOf(' '), this.full.lastIndexOf('\n')) + 1
+    );
+    this.decision = this.pipeline.evaluate(settled, this.context, 'output');
+
+    if (this.decision.action === ACTIONS.BLOCK) {
+      return this._block();
+    }
+
+    const limit = settled.length - STREAM_HOLDBACK_CHARS;
+    if (limit <= this.released) {
+      return { text: '', blocked: false };
+    }
+
+    const end = Math.max(settled.lastIndexOf(' ', limit), settled.lastIndexOf('\n', limit)) + 1;
+    if (end <= this.released) {
+      return { text: '', blocked: false };
+    }
+
+    const prefix = this.pipeline.evaluate(settled.slice(0, end), this.context, 'output');
+    if (!this.decision.text.startsWith(prefix.text) || !prefix.text.startsWith(this.content)) {
+      // A match runs across the boundary - hold it until it is complete
+      return { text: '', blocked: false };
+    }
+
+    return { text: this._release(prefix.text.slice(this.content.length), end), blocked: false };
+  }
+
+  /**
+   * Release whatever is left once the stream has ended
+   */
+  flush() {
+    if (this.blocked) {
+      return { text: '', blocked: true };
+    }
+
+    this.decision = this.pipeline.evaluate(this.full, this.context, 'output');
+    if (this.decision.action === ACTIONS.BLOCK) {
+      this._block();
+      return { text: '', blocked: true, replacement: BLOCKED_RESPONSE };
+    }
+
+    let rest = this.decision.text.slice(this.content.length);
+    if (!this.decision.text.startsWith(this.content)) {
+      // The last words changed text already shown - moderate the rest on its own
+      rest = this.pipeline.evaluate(this.full.slice(this.released), this.context, 'output').text;
+    }
+
+    const text = this._release(rest, this.full.length);
+    this._audit();
+    return { text, blocked: false };
+  }
+
+  _release(text, end) {
+    this.released = end;
+    this.content += text;
+    this.wasFiltered = this.decision.action !== ACTIONS.ALLOW;
+    return text;
+  }
+
+  _block() {
+    this.blocked = true;
+    this.wasFiltered = true;
+    this.content = BLOCKED_RESPONSE;
+    this._audit();
+    return { text: '', blocked: true, replacement: BLOCKED_RESPONSE };
+  }
+
+  // push() and flush() stay synchronous for the streaming loop, so the
+  // audit write is not awaited - but its failure must not go unhandled
+  _audit() {
+    this.pipeline.audit(this.decision, this.context).catch(error => {
+      logError('Moderation audit failed', error);
+    });
+  }
+}
+
+class ModerationPipeline {
+  /**
+   * Classify text and apply the student's grade-band policy. Pure - no
+   * logging or alerts.
+   * @param {string} text
+   * @param {Object} context - { gradeLevel, age, studentName }
+   * @param {string} stage - 'input' or 'output'
+   * @returns {Object} { stage, gradeBand, action, text, categories, piiTypes }
+   */
+  evaluate(text = '', context = {}, stage = 'output') {
+    const gradeBand = resolveGradeBand(context);
+    const findings = classify(text);
+
+    let action = ACTIONS.ALLOW;
+    let moderated = text;
+
+    for (const finding of findings) {
+      let findingAction = actionFor(gradeBand, finding);
+
+      // Only a student can disclose - the model mentioning self-harm is
+      // simply not shown
+      if (stage === 'output' && findingAction === ACTIONS.ESCALATE) {
+        findingAction = ACTIONS.BLOCK;
+      }
+      // Softening is for what we show, not what we send to the model
+      if (stage === 'input' && findingAction === ACTIONS.SOFTEN) {
+        findingAction = ACTIONS.ALLOW;
+      }
+
+      if (findingAction === ACTIONS.REDACT) {
+        moderated = redactMatches(moderated, finding.pattern);
+      } else if (findingAction === ACTIONS.SOFTEN) {
+        moderated = softenMatches(moderated, finding.pattern);
+      }
+
+      finding.action = findingAction;
+      action = strongestAction(action, findingAction);
+    }
+
+    // The student's own first name is already known to the tutor
+    const pii = redactPII(moderated, { allowNames: [context.studentName] });
+    if (pii.types.length > 0) {
+      moderated = pii.text;
+      action = strongestAction(action, ACTIONS.REDACT);
+    }
+
+    return {
+      stage,
+      gradeBand,
+      action,
+      text: moderated,
+      categories: findings.map(({ category, severity, action: findingAction }) => ({
+        category,
+        severity,
+        action: findingAction,
+      })),
+      piiTypes: pii.types,
+    };
+  }
+
+  /**
+   * Check a student message before it reaches the model
+   * @param {string} text - Student message
+   * @param {Object} context - Session context (studentId, sessionId, userId, gradeLevel, age, studentName)
+   * @returns {Promise<Object>} Decision plus `stopped` (don't call the model), `reply` (what to show instead) and `injection` when one was detected
+   */
+  async moderateInput(text, context = {}) {
+    const decision = this.evaluate(text, context, 'input');
+
+    // Scored on the original text; the message itself is never rewritten
+    const injection = injectionDetector.detect(text);
+    if (injection.isInjection) {
+      decision.action = strongestAction(decision.action, ACTIONS.BLOCK);
+      decision.injection = injection;
+    }
+
+    await this.audit(decision, context);
+
+    // A disclosure is escalated even when it comes with an injection attempt
+    if (decision.action === ACTIONS.ESCALATE) {
+      await this.alertDesignatedAdult(text, decision, context);
+      return { ...decision, stopped: true, reply: supportResponse(decision.gradeBand) };
+    }
+
+    if (decision.injection) {
+      await injectionDetector.flagSession(context, injection);
+      return { ...decision, stopped: true, reply: INJECTION_REFUSAL };
+    }
+
+    if (decision.action === ACTIONS.BLOCK) {
+      return { ...decision, stopped: true, reply: INPUT_BLOCKED_RESPONSE };
+    }
+
+    return { ...decision, stopped: false };
+  }
+
+  /**
+   * Check a complete model reply before it is shown
+   * @param {string} text - Model reply
+   * @param {Object} context - Session context
+   * @returns {Promise<Object>} Decision with `content` to show and `wasFiltered`
+   */
+  async moderateOutput(text, context = {}) {
+    const decision = this.evaluate(text, context, 'output');
+    await this.audit(decision, context);
+
+    return {
+      ...decision,
+      content: decision.action === ACTIONS.BLOCK ? BLOCKED_RESPONSE : decision.text,
+      wasFiltered: decision.action !== ACTIONS.ALLOW,
+    };
+  }
+
+  /**
+   * Create an incremental moderator for a streamed reply
+   * @param {Object} context - Session context
+   * @returns {StreamModerator}
+   */
+  createStreamModerator(context = {}) {
+    return new StreamModerator(this, context);
+  }
+
+  /**
+   * Audit-log a decision. Only categories, severities and PII types are
+   * logged - never the text itself.
+   */
+  async audit(decision, context = {}) {
+    await auditModeration.decision(context.userId || null, context.sessionId, {
+      stage: decision.stage,
+      studentId: context.studentId,
+      gradeBand: decision.gradeBand,
+      action: decision.action,
+      categories: decision.categories,
+      piiTypes: decision.piiTypes,
+      ...(decision.injection && {
+        injectionScore: decision.injection.score,
+        injectionSignals: decision.injection.signals,
+      }),
+    });
+  }
+
+  /**
+   * Tell the student's designated adults about a self-harm disclosure
+   */
+  async alertDesignatedAdult(text, decision, context) {
+    let delivered = false;
+
+    try {
+      const { parentNotificationService } = await import('../notifications/parentNotificationService.js');
+      const result = await parentNotificationService.sendSafeguardingAlert(context.studentId, {
+        sessionId: context.sessionId,
+        message: text,
+        categories: decision.categories,
+        detectedAt: new Date().toISOString(),
+      });
+      delivered = result.success;
+    } catch (error) {
+      logError('Safeguarding alert failed', error);
+    }
+
+    await auditModeration.safeguardingAlert(context.userId || null, context.sessionId, context.studentId, delivered);
+    return delivered;
+  }
+}
+
+export const moderationPipeline = new ModerationPipeline();
+export default moderationPipeline;
@@ -0,0 +1,142 @@
+/**
+ * Built-in assessment prompts (AssessmentAgent).
+ * See ../prompts.js for the definition format.
+ */
+
+export const ASSESSMENT_PROMPTS = [
+  {
+    name: 'assessment.diagnostic',
+    version: '1.0.0',
+    description: 'Diagnostic question pool for adaptive tests (AssessmentAgent.generateDiagnosticAssessment)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'standards', 'questionCount', 'multipleChoiceLine', 'shortAnswerLine', 'problemSolvingLine'],
+    template: `You are an assessment specialist creating a diagnostic assessment for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+DIAGNOSTIC ASSESSMENT PURPOSE:
+- Identify what the student already knows
+- Identify learning gaps
+- Determine appropriate starting point
+- Assess prerequisite knowledge
+
+LEARNING STANDARDS:
+{{standards}}
+
+Create {{questionCount}} diagnostic questions:
+{{multipleChoiceLine}}
+{{shortAnswerLine}}
+{{problemSolvingLine}}
+
+Questions should:
+- Cover prerequisite concepts
+- Assess current knowledge level
+- Identify common misconceptions
+- Range from basic to advanced, spread evenly across difficulty 1-5
+- Include answer key with explanations
+
+For each question, provide:
+1. Question text
+2. Question type
+3. Correct answer
+4. Explanation
+5. Prerequisite knowledge being assessed
+6. Common misconceptions to watch for
+7. Difficulty from 1 (most students at this grade get it right) to 5 (only the strongest do)
+
+Format as a JSON object with a "questions" array. Each question has fields:
+- text: string
+- type: "multiple_choice", "short_answer" or "problem_solving"
+- options: array of strings (multiple_choice only)
+- answer: string or number
+- explanation: string
+- points: number
+- prerequisite: string
+- misconceptions: array of strings
+- difficulty: integer 1-5`,
+  },
+  {
+    name: 'assessment.probe',
+    version: '1.0.0',
+    description: 'Quick questions checking one prerequisite skill (AssessmentAgent.generateProbeQuestions)',
+    variables: ['skill', 'skillGrade', 'skillGradeBand', 'gradeLevel', 'strugglingWith', 'questionCount', 'laterTopic'],
+    template: `You are an assessment specialist checking whether a student has a gap in one prerequisite skill.
+
+SKILL: {{skill}}
+TAUGHT IN: grade {{skillGrade}} ({{skillGradeBand}})
+STUDENT: {{gradeLevel}}th grade{{strugglingWith}}
+
+Create {{questionCount}} short questions that check this skill and nothing else:
+- A student who has the skill answers each in under a minute
+- Pitch them at grade {{skillGrade}}, worded so a {{gradeLevel}}th grader isn't talked down to
+- Don't use {{laterTopic}} in the questions; we are testing what it builds on
+- Prefer multiple choice and numeric answers, so they can be marked exactly
+- Each question should catch a different common misconception
+
+Format as a JSON object with a "questions" array. Each question has fields:
+- text: string
+- type: "multiple_choice", "numeric" or "short_answer"
+- options: array of strings (multiple_choice only)
+- answer: string or number
+- explanation: string`,
+  },
+  {
+    name: 'assessment.shortAnswer',
+    version: '1.0.0',
+    description: 'Mark a short answer against the answer key (AssessmentAgent.checkShortAnswer)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'correctAnswer', 'studentAnswer'],
+    template: `You are grading a {{gradeLevel}}th grade {{subject}} assessment.
+
+CORRECT ANSWER: {{correctAnswer}}
+STUDENT ANSWER: {{studentAnswer}}
+
+Grade Level: {{gradeLevel}} ({{gradeBand}})
+
+Determine if the student's answer is correct. Consider:
+- Semantic similarity (same meaning, different wording is OK)
+- Age-appropriate expectations
+- Partial credit for partially correct answers
+- Common spelling mistakes should not penalize
+
+Respond with ONLY "CORRECT", "INCORRECT", or "PARTIAL" (if partially correct).`,
+  },
+  {
+    name: 'assessment.feedback',
+    version: '1.0.0',
+    description: 'Feedback on a wrong answer (AssessmentAgent.generateFeedback)',
+    variables: ['gradeLevel', 'question', 'studentAnswer', 'correctAnswer'],
+    template: `You are providing feedback to a {{gradeLevel}}th grade student who answered incorrectly.
+
+QUESTION: {{question}}
+STUDENT ANSWER: {{studentAnswer}}
+CORRECT ANSWER: {{correctAnswer}}
+
+Provide encouraging, constructive feedback that:
+- Explains why the answer was incorrect
+- Guides them toward the correct answer
+- Uses age-appropriate language
+- Is encouraging, not discouraging
+- Helps them understand the concept
+
+Keep feedback under 50 words.`,
+  },
+  {
+    name: 'assessment.recommendations',
+    version: '1.0.0',
+    description: 'Next steps after a graded assessment (AssessmentAgent.generateRecommendations)',
+    variables: ['gradeLevel', 'score', 'gapCount', 'reviewSection'],
+    template: `You are an assessment specialist providing recommendations for a {{gradeLevel}}th grade student.
+
+ASSESSMENT SCORE: {{score}}%
+LEARNING GAPS IDENTIFIED: {{gapCount}}
+
+{{reviewSection}}
+
+Provide specific, actionable recommendations:
+1. What topics to review
+2. What practice to do
+3. What prerequisite knowledge to strengthen
+4. Suggested next steps
+
+Keep recommendations age-appropriate and encouraging.`,
+  },
+];
+
+export default ASSESSMENT_PROMPTS;
@@ -0,0 +1,265 @@
+/**
+ * Built-in curriculum generation prompts.
+ * See ../prompts.js for the definition format.
+ */
+
+export const CURRICULUM_PROMPTS = [
+  {
+    name: 'curriculum.lessonPlan',
+    version: '1.0.0',
+    description: 'Formal lesson plan (CurriculumAgent.generateLessonPlan)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'difficultyLevel', 'standardsSection'],
+    template: `You are a curriculum specialist creating a formal lesson plan for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+CURRICULUM CREATION TASK:
+- Topic: {{topic}}
+- Grade Level: {{gradeLevel}} ({{gradeBand}})
+- Difficulty: {{difficultyLevel}}
+
+{{standardsSection}}
+
+Create a comprehensive lesson plan with:
+1. Learning Objectives (3-5 specific, measurable objectives)
+2. Prerequisites (what students should know before this lesson)
+3. Key Concepts (main ideas to teach)
+4. Lesson Structure (step-by-step teaching sequence)
+5. Examples and Activities (concrete examples and hands-on activities)
+6. Assessment Questions (if requested)
+7. Practice Problems (if requested)
+8. Extension Activities (for advanced students)
+
+Format the response as structured JSON with clear sections.`,
+  },
+  {
+    name: 'curriculum.lessonPlan',
+    version: '1.1.0',
+    description: 'Formal lesson plan with named JSON fields (matches lessonPlanSchema)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'difficultyLevel', 'standardsSection'],
+    template: `You are a curriculum specialist creating a formal lesson plan for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+CURRICULUM CREATION TASK:
+- Topic: {{topic}}
+- Grade Level: {{gradeLevel}} ({{gradeBand}})
+- Difficulty: {{difficultyLevel}}
+
+{{standardsSection}}
+
+Create a comprehensive lesson plan with:
+1. Learning Objectives (3-5 specific, measurable objectives)
+2. Prerequisites (what students should know before this lesson)
+3. Key Concepts (main ideas to teach)
+4. Lesson Structure (step-by-step teaching sequence)
+5. Examples and Activities (concrete examples and hands-on activities)
+6. Assessment Questions (if requested)
+7. Practice Problems (if requested)
+8. Extension Activities (for advanced students)
+
+Format the response as structured JSON with these fields:
+- title: string
+- description: string
+- objectives: array of strings
+- prerequisites: array of strings
+- keyConcepts: array of strings
+- lessonStructure: array of objects with {step, activity, minutes}
+- examples: array of strings
+- activities: array of strings
+- assessments: array of strings (if requested, otherwise empty)
+- practiceProblems: array of objects with {problem, answer} (if requested, otherwise empty)
+- extensions: array of strings
+- materials: array of strings`,
+  },
+  {
+    name: 'curriculum.practiceProblems',
+    version: '1.0.0',
+    description: 'Practice problems (CurriculumAgent.generatePracticeProblems)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'count', 'difficulty'],
+    template: `You are a curriculum specialist creating practice problems for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+Generate {{count}} practice problems at {{difficulty}} difficulty level.
+
+For each problem, provide:
+1. Problem statement (clear and age-appropriate)
+2. Correct answer
+3. Step-by-step solution
+4. Common mistakes to watch for
+5. Hints for struggling students
+
+Format as JSON array with these fields:
+- problem: string
+- answer: string (or number)
+- solution: string (step-by-step)
+- commonMistakes: array of strings
+- hints: array of strings
+- difficulty: "{{difficulty}}"
+- gradeLevel: {{gradeLevel}}`,
+  },
+  {
+    name: 'curriculum.assessment',
+    version: '1.0.0',
+    description: 'Assessment questions (CurriculumAgent.generateAssessment)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'assessmentType', 'questionCount', 'timeLimitLine', 'standards', 'multipleChoiceLine', 'shortAnswerLine'],
+    template: `You are a curriculum specialist creating an assessment for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+ASSESSMENT TYPE: {{assessmentType}}
+TOTAL QUESTIONS: {{questionCount}}
+{{timeLimitLine}}
+
+LEARNING STANDARDS:
+{{standards}}
+
+Create {{questionCount}} assessment questions:
+{{multipleChoiceLine}}
+{{shortAnswerLine}}
+- Include varying difficulty levels
+- Align with learning standards
+- Provide answer key with explanations
+
+For each question, provide:
+1. Question text
+2. Question type (multiple_choice, short_answer)
+3. Correct answer
+4. Explanation
+5. Points (out of 100 total)
+6. Standards addressed`,
+  },
+  {
+    name: 'curriculum.assessment',
+    version: '1.1.0',
+    description: 'Assessment questions as JSON (matches assessmentSchema)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'assessmentType', 'questionCount', 'timeLimitLine', 'standards', 'multipleChoiceLine', 'shortAnswerLine'],
+    template: `You are a curriculum specialist creating an assessment for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+ASSESSMENT TYPE: {{assessmentType}}
+TOTAL QUESTIONS: {{questionCount}}
+{{timeLimitLine}}
+
+LEARNING STANDARDS:
+{{standards}}
+
+Create {{questionCount}} assessment questions:
+{{multipleChoiceLine}}
+{{shortAnswerLine}}
+- Include varying difficulty levels
+- Align with learning standards
+- Provide answer key with explanations
+
+For each question, provide:
+1. Question text
+2. Question type (multiple_choice, short_answer)
+3. Correct answer
+4. Explanation
+5. Points (out of 100 total)
+6. Standards addressed
+
+Format as a JSON object with fields:
+- title: string
+- questions: array of objects with these fields:
+  - text: string (the question)
+  - type: "multiple_choice", "short_answer" or "numeric"
+  - options: array of strings (multiple_choice only)
+  - answer: string or number
+  - explanation: string
+  - points: number
+  - standards: array of strings`,
+  },
+  {
+    name: 'curriculum.math.problems',
+    version: '1.0.0',
+    description: 'Math practice problems (MathCurriculumAgent.generateMathProblems)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'guidelines', 'count', 'difficulty', 'problemTypes'],
+    template: `You are a math curriculum specialist creating practice problems for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+{{guidelines}}
+
+Generate {{count}} practice problems at {{difficulty}} difficulty level.
+
+For each problem, provide:
+1. Problem statement (clear, age-appropriate, with context)
+2. Correct answer (numeric or symbolic)
+3. Step-by-step solution (detailed for {{gradeBand}} level)
+4. Common mistakes to watch for
+5. Hints for struggling students
+6. Real-world connection (if applicable)
+
+Problem Types:
+{{problemTypes}}
+
+Format as JSON array with these fields:
+- problem: string
+- answer: number or string
+- solution: array of steps (each step is a string)
+- commonMistakes: array of strings
+- hints: array of strings
+- difficulty: "{{difficulty}}"
+- gradeLevel: {{gradeLevel}}
+- realWorldConnection: string (optional)`,
+  },
+  {
+    name: 'curriculum.english.exercises',
+    version: '1.0.0',
+    description: 'English exercises (EnglishCurriculumAgent.generateEnglishExercises)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'guidelines', 'count', 'difficulty', 'exerciseTypes'],
+    template: `You are an English curriculum specialist creating practice exercises for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+{{guidelines}}
+
+Generate {{count}} practice exercises at {{difficulty}} difficulty level.
+
+For each exercise, provide:
+1. Exercise statement (clear, engaging, age-appropriate)
+2. Correct answer or model response
+3. Explanation of the rule or concept
+4. Common mistakes to watch for
+5. Examples of correct usage
+6. Extension activities (if applicable)
+
+Exercise Types:
+{{exerciseTypes}}
+
+Format as JSON array with these fields:
+- exercise: string
+- answer: string (correct answer or model response)
+- explanation: string (why this is correct)
+- commonMistakes: array of strings
+- examples: array of strings (correct usage examples)
+- difficulty: "{{difficulty}}"
+- gradeLevel: {{gradeLevel}}
+- exerciseType: string (grammar, vocabulary, reading, writing, etc.)`,
+  },
+  {
+    name: 'curriculum.science.activities',
+    version: '1.0.0',
+    description: 'Science activities (ScienceCurriculumAgent.generateScienceActivities)',
+    variables: ['topic', 'gradeLevel', 'gradeBand', 'guidelines', 'count', 'difficulty', 'activityTypes'],
+    template: `You are a science curriculum specialist creating activities and questions for {{topic}} at {{gradeLevel}}th grade level ({{gradeBand}}).
+
+{{guidelines}}
+
+Generate {{count}} science activities/questions at {{difficulty}} difficulty level.
+
+For each activity, provide:
+1. Activity/question description (clear, engaging, age-appropriate)
+2. Scientific concept being explored
+3. Expected observations or answer
+4. Explanation of the science behind it
+5. Safety considerations (if applicable)
+6. Extension activities (if applicable)
+
+Activity Types:
+{{activityTypes}}
+
+Format as JSON array with these fields:
+- activity: string (description)
+- concept: string (scientific concept)
+- answer: string (expected observation or answer)
+- explanation: string (why this happens)
+- safetyNotes: string (if applicable)
+- materials: array of strings (if experiment)
+- extension: string (optional extension activity)
+- difficulty: "{{difficulty}}"
+- gradeLevel: {{gradeLevel}}
+- activityType: string (experiment, observation, question, etc.)`,
+  },
+];
+
+export default CURRICULUM_PROMPTS;
@@ -0,0 +1,63 @@
+/**
+ * Built-in engagement prompts (engagementService).
+ * See ../prompts.js for the definition format.
+ */
+
+export const ENGAGEMENT_PROMPTS = [
+  {
+    name: 'engagement.hook',
+    version: '1.0.0',
+    description: 'Opening hook for a lesson (engagementService.generateHook)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives'],
+    template: `Create an engaging lesson hook for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+A hook should:
+1. Capture attention in the first 30 seconds
+2. Connect to student interests or experiences
+3. Create curiosity or wonder
+4. Be age-appropriate
+
+Generate ONE of the following hook types:
+- STORY: A short, relatable story (2-3 sentences)
+- QUESTION: A thought-provoking question
+- VISUAL: A description of an engaging image or visual
+- PROBLEM: A real-world problem to solve
+- SURPRISE: An unexpected fact or statistic
+
+Return JSON with:
+{
+  "type": "STORY|QUESTION|VISUAL|PROBLEM|SURPRISE",
+  "content": "The hook content",
+  "visualDescription": "If visual type, describe the visual",
+  "followUp": "How to transition to the lesson"
+}`,
+  },
+  {
+    name: 'engagement.realWorldConnections',
+    version: '1.0.0',
+    description: 'Real-world connections for a lesson (engagementService.generateRealWorldConnections)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives'],
+    template: `Generate 3-5 real-world connections for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+Connections should:
+1. Relate to student interests (games, sports, hobbies, technology)
+2. Show practical applications
+3. Be age-appropriate
+4. Be engaging and relevant
+
+Return JSON array with:
+{
+  "connection": "How this relates to real life",
+  "example": "Specific example",
+  "relevance": "Why students should care"
+}`,
+  },
+];
+
+export default ENGAGEMENT_PROMPTS;
@@ -0,0 +1,99 @@
+/**
+ * Built-in Preschool and Pre-K prompts (preschoolCurriculumService,
+ * preschoolActivityGenerator). See ../prompts.js for the definition format.
+ */
+
+export const PRESCHOOL_PROMPTS = [
+  {
+    name: 'preschool.activity',
+    version: '1.0.0',
+    description: 'Play-based activity (preschoolActivityGenerator.generateActivity)',
+    variables: ['activityType', 'ageGroup', 'topic', 'durationMinutes', 'materialsLine', 'guidelines'],
+    template: `Create a {{activityType}} activity for {{ageGroup}} children.
+
+TOPIC: {{topic}}
+DURATION: {{durationMinutes}} minutes
+{{materialsLine}}
+
+{{guidelines}}
+
+Create an activity that:
+- Is fun and engaging
+- Uses simple materials
+- Can be done with parent help
+- Teaches the concept through play
+- Is developmentally appropriate
+
+Provide:
+- name: Activity name
+- description: What children will do
+- materials: List of materials needed
+- instructions: Step-by-step instructions (simple, one step per item)
+- learningOutcome: What children learn
+- variations: 2-3 variations of the activity
+- parentTips: Tips for parents
+
+Format as JSON.`,
+  },
+  {
+    name: 'preschool.lessonPlan',
+    version: '1.0.0',
+    description: 'Play-based lesson plan (preschoolCurriculumService.generateAgeAppropriateLessonPlan)',
+    variables: ['ageGroup', 'unitName', 'subject', 'durationMinutes', 'gradeBand', 'guidelines'],
+    template: `You are creating a lesson plan for {{ageGroup}} students.
+
+UNIT: {{unitName}}
+SUBJECT: {{subject}}
+DURATION: {{durationMinutes}} minutes
+
+Create a play-based, age-appropriate lesson plan that:
+- Uses hands-on activities and games
+- Includes songs, rhymes, or movement
+- Uses simple, clear language
+- Focuses on exploration and discovery
+- Includes parent involvement suggestions
+- Is developmentally appropriate
+
+For {{gradeBand}}:
+{{guidelines}}
+
+Provide:
+- name: Lesson name
+- description: Brief description
+- objectives: 2-3 simple learning objectives
+- prerequisites: What children should know
+- materials: Simple materials (toys, paper, crayons, etc.)
+- activities: 3-4 play-based activities
+- songs: Optional songs or rhymes
+- parentTips: Tips for parents to support learning
+
+Format as JSON.`,
+  },
+  {
+    name: 'preschool.parentGuide',
+    version: '1.0.0',
+    description: 'Parent guide for a lesson (preschoolCurriculumService.generateParentGuide)',
+    variables: ['ageGroup', 'subject', 'lessonName'],
+    template: `Create a parent guide for a {{ageGroup}} child learning {{subject}}.
+
+LESSON: {{lessonName}}
+
+Create a guide that helps parents:
+1. Understand what their child is learning
+2. Support learning at home
+3. Engage in activities together
+4. Recognize progress
+5. Ask appropriate questions
+
+Provide:
+- learning: What your child is learning (simple explanation)
+- homeActivities: How to support at home (3-5 activities)
+- questionsToAsk: Questions to ask your child
+- signsOfProgress: Signs of progress
+- celebrate: When to celebrate
+
+Format as JSON.`,
+  },
+];
+
+export default PRESCHOOL_PROMPTS;
@@ -0,0 +1,92 @@
+/**
+ * Built-in presentation prompts (presentationGeneratorService).
+ * See ../prompts.js for the definition format.
+ */
+
+export const PRESENTATION_PROMPTS = [
+  {
+    name: 'presentation.slides',
+    version: '1.0.0',
+    description: 'Slide deck for a lesson (presentationGeneratorService.generateSlides)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives', 'slideCount'],
+    template: `You are creating a slide presentation for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+IMPORTANT DESIGN RULES:
+- Follow the 6x6 rule: Maximum 6 words per line, 6 lines per slide
+- One idea per slide - focus on single concept
+- Minimal text - let visuals tell the story
+- High contrast - text must be readable
+- Age-appropriate fonts - larger for younger students
+
+Create {{slideCount}} slides that cover:
+1. Title slide with engaging hook (story, question, or visual)
+2. Learning objectives (clear and simple)
+3. Key concepts (one concept per slide)
+4. Examples and illustrations (visual-heavy)
+5. Practice problems or activities (interactive)
+6. Summary and review (key takeaways)
+
+For each slide, provide:
+- title: string (short, clear)
+- content: string (main text - MAX 6 lines, 6 words per line)
+- visualDescription: string (detailed description of visual)
+- notes: string (speaker notes for teacher)
+- keyPoint: boolean (is this a key point to highlight?)
+
+Format as JSON array.`,
+  },
+  {
+    name: 'presentation.videoScript',
+    version: '1.0.0',
+    description: 'Instructional video script (presentationGeneratorService.generateVideoScript)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'durationMinutes'],
+    template: `You are creating a video script for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} instructional video.
+
+LESSON: {{lessonName}}
+DURATION: {{durationMinutes}} minutes
+
+Create a video script with:
+1. Introduction (engaging hook)
+2. Main instruction (clear explanations)
+3. Examples and demonstrations
+4. Practice problems (with solutions)
+5. Summary and next steps
+
+Include:
+- Spoken dialogue (natural, age-appropriate)
+- Visual cues (what should be shown on screen)
+- Timing markers (when to show visuals)
+- Pause points (where students should pause and practice)
+
+Format as JSON with fields:
+- title: string
+- sections: array of objects with {title, startSeconds, dialogue, visualCues, pausePoint}
+  - startSeconds: number (timing marker from the start of the video)
+  - visualCues: array of strings (what is shown on screen)
+  - pausePoint: boolean (should students pause and practice here?)`,
+  },
+  {
+    name: 'presentation.audioScript',
+    version: '1.0.0',
+    description: 'Podcast-style audio lesson (presentationGeneratorService.generateAudioScript)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'durationMinutes'],
+    template: `You are creating an audio-only lesson script (podcast style) for {{gradeLevel}}th grade ({{gradeBand}}) {{subject}}.
+
+LESSON: {{lessonName}}
+DURATION: {{durationMinutes}} minutes
+
+Create a conversational, engaging script that:
+1. Introduces the topic clearly
+2. Explains concepts in simple terms
+3. Uses examples and analogies
+4. Includes pauses for reflection
+5. Summarizes key points
+
+Make it natural and age-appropriate. Format as plain text with clear sections.`,
+  },
+];
+
+export default PRESENTATION_PROMPTS;
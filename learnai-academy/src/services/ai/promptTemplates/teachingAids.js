@@ -0,0 +1,159 @@
+/**
+ * Built-in teaching aid prompts (teachingAidGeneratorService).
+ * See ../prompts.js for the definition format.
+ */
+
+export const TEACHING_AID_PROMPTS = [
+  {
+    name: 'teachingAid.visual',
+    version: '1.0.0',
+    description: 'Chart, diagram or infographic (teachingAidGeneratorService.generateVisual)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives'],
+    template: `Create a visual aid (chart, diagram, or infographic) for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+Create a visual that:
+- Clearly illustrates the main concept
+- Is age-appropriate for {{gradeBand}}
+- Uses colors and shapes effectively
+- Includes labels and explanations
+
+Provide:
+- description: Detailed description of what the visual should show
+- elements: Array of visual elements (shapes, text, arrows, etc.)
+- layout: How elements should be arranged
+- colors: Suggested color scheme
+
+Format as JSON.`,
+  },
+  {
+    name: 'teachingAid.worksheet',
+    version: '1.0.0',
+    description: 'Printable worksheet (teachingAidGeneratorService.generateWorksheet)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives', 'guidelines'],
+    template: `Create a printable worksheet for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+Create a worksheet with:
+- Clear instructions
+- Age-appropriate problems/exercises
+- Space for student work
+- Answer key (separate)
+
+For {{gradeBand}} level:
+{{guidelines}}
+
+Provide:
+- title: Worksheet title
+- instructions: Clear instructions for students
+- problems: Array of problems/exercises
+- answerKey: Answers and explanations
+
+Format as JSON.`,
+  },
+  {
+    name: 'teachingAid.manipulative',
+    version: '1.0.0',
+    description: 'Virtual manipulative (teachingAidGeneratorService.generateManipulative)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName'],
+    template: `Create a virtual manipulative (interactive tool) for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+
+Create a manipulative that:
+- Helps students visualize concepts
+- Is interactive and engaging
+- Matches the lesson objectives
+- Is appropriate for {{gradeBand}} level
+
+Examples:
+- Math: Number blocks, fraction circles, base-10 blocks
+- Science: Molecule builder, ecosystem simulator
+- Language: Word builder, sentence constructor
+
+Provide:
+- type: Type of manipulative
+- description: What it does
+- interactiveElements: Array of interactive features
+- instructions: How to use it (a short paragraph)
+
+Format as JSON.`,
+  },
+  {
+    name: 'teachingAid.game',
+    version: '1.0.0',
+    description: 'Educational game (teachingAidGeneratorService.generateGame)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName'],
+    template: `Create an educational game for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+
+Create a game that:
+- Reinforces lesson concepts
+- Is fun and engaging for {{gradeBand}} level
+- Has clear rules
+- Provides learning value
+
+Provide:
+- name: Game name
+- description: What the game teaches
+- rules: How to play (a short paragraph)
+- setup: What's needed
+- gameplay: Step-by-step gameplay
+
+Format as JSON.`,
+  },
+  {
+    name: 'teachingAid.poster',
+    version: '1.0.0',
+    description: 'Classroom reference poster (teachingAidGeneratorService.generatePoster)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives'],
+    template: `Create a visual poster for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+Create a poster that:
+- Summarizes key concepts
+- Is visually appealing
+- Can be displayed in classroom
+- Serves as a reference
+
+Provide:
+- title: Poster title
+- keyPoints: Array of main points
+- visualElements: What visuals to include
+- layout: How to arrange elements
+
+Format as JSON.`,
+  },
+  {
+    name: 'teachingAid.flashcards',
+    version: '1.0.0',
+    description: 'Flashcard deck (teachingAidGeneratorService.generateFlashcards)',
+    variables: ['gradeLevel', 'gradeBand', 'subject', 'lessonName', 'objectives'],
+    template: `Create flashcards for a {{gradeLevel}}th grade ({{gradeBand}}) {{subject}} lesson.
+
+LESSON: {{lessonName}}
+OBJECTIVES: {{objectives}}
+
+Create 10-15 flashcards that:
+- Cover key concepts and vocabulary
+- Have clear front (question/term) and back (answer/definition)
+- Are age-appropriate for {{gradeBand}}
+
+Provide:
+- cards: Array of flashcards
+  - front: Question or term
+  - back: Answer or definition
+  - category: Category of card
+
+Format as JSON.`,
+  },
+];
+
+export default TEACHING_AID_PROMPTS;
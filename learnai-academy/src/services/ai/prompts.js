@@ -1 +1,447 @@
-export const SYSTEM_PROMPT = 'You are a helpful tutor.';
\ No newline at end of file
+/**
+ * Prompt Registry
+ *
+ * Named prompt templates with semantic versions. Agents render prompts by
+ * name instead of embedding the text, so a new version can be A/B tested
+ * or rolled back from the database without a deploy.
+ *
+ * Definition format:
+ *   {
+ *     name: 'tutor.system',
+ *     version: '1.0.0',
+ *     description: '...',
+ *     variables: ['studentName', ...],        // {{studentName}} in the text
+ *     template: 'default text',               // English, any grade band
+ *     gradeBands: { 'K-2': 'text', ... },     // optional per-band variants
+ *     locales: { es: { template, gradeBands } }, // optional translations
+ *   }
+ *
+ * Text is picked most specific first: locale + grade band, locale, then
+ * English + grade band, then English.
+ *
+ * Which version is served comes from releases: a rollout of
+ * [{ version, weight }] (weights add up to 100) for every tenant, or for one
+ * tenant. Students are bucketed by a hash of their ID, so each one keeps
+ * seeing the same version. With no release the newest built-in version is
+ * served. Built-in versions live in ./promptTemplates; versions added at
+ * runtime are stored in `prompt_versions`.
+ */
+
+import { createHash } from 'crypto';
+import prisma from '../../lib/prisma.js';
+import { logError } from '../../lib/logger.js';
+import { TUTOR_PROMPTS } from './promptTemplates/tutor.js';
+import { CURRICULUM_PROMPTS } from './promptTemplates/curriculum.js';
+import { ASSESSMENT_PROMPTS } from './promptTemplates/assessment.js';
+import { ENGAGEMENT_PROMPTS } from './promptTemplates/engagement.js';
+import { PRESCHOOL_PROMPTS } from './promptTemplates/preschool.js';
+import { PRESENTATION_PROMPTS } from './promptTemplates/presentation.js';
+import { TEACHING_AID_PROMPTS } from './promptTemplates/teachingAids.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// How long stored versions and releases are cached before re-reading
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+  }
+}
+
+/**
+ * Compare two semantic versions ("1.2.0")
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+export function compareVersions(a, b) {
+  const left = VERSION_PATTERN.exec(a);
+  const right = VERSION_PATTERN.exec(b);
+  if (!left || !right) {
+    throw new PromptError(`Invalid prompt version: ${left ? b : a}`);
+  }
+
+  for (let i = 1; i <= 3; i++) {
+    const diff = Number(left[i]) - Number(right[i]);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Variable names used in a template
+ */
+export function templateVariables(template) {
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Fill in {{variables}}. Every variable in the template must be passed;
+ * null and undefined values render as empty text.
+ * @throws {PromptError} When a variable is not passed at all
+ */
+export function renderTemplate(template, variables = {}) {
+  return template.replace(VARIABLE_PATTERN, (match, name) => {
+    if (!(name in variables)) {
+      throw new PromptError(`Missing prompt variable: ${name}`);
+    }
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Every text of a definition (default, grade bands and translations)
+ */
+function allTexts(definition) {
+  const texts = [definition.template, ...Object.values(definition.gradeBands || {})];
+  for (const translation of Object.values(definition.locales || {})) {
+    if (translation.template) texts.push(translation.template);
+    texts.push(...Object.values(translation.gradeBands || {}));
+  }
+  return texts;
+}
+
+/**
+ * Check a definition before it is registered
+ * @throws {PromptError} On a bad name, version or undeclared variable
+ */
+export function validateDefinition(definition) {
+  if (!definition.name || !/^[a-z][\w.-]*$/i.test(definition.name)) {
+    throw new PromptError(`Invalid prompt name: ${definition.name}`);
+  }
+  if (!VERSION_PATTERN.test(definition.version || '')) {
+    throw new PromptError(`Invalid prompt version for ${definition.name}: ${definition.version}`);
+  }
+  if (typeof definition.template !== 'string') {
+    throw new PromptError(`Prompt ${definition.name}@${definition.version} has no default template`);
+  }
+
+  const declared = new Set(definition.variables || []);
+  for (const text of allTexts(definition)) {
+    const unknown = templateVariables(text).filter(name => !declared.has(name));
+    if (unknown.length > 0) {
+      throw new PromptError(`Prompt ${definition.name}@${definition.version} uses undeclared variables: ${unknown.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Validate a rollout: known versions, weights adding up to 100
+ * @param {Array} rollout - [{ version, weight }]
+ * @param {string[]} versions - Versions that exist for the prompt
+ */
+export function validateRollout(rollout, versions) {
+  if (!Array.isArray(rollout) || rollout.length === 0) {
+    throw new PromptError('A release needs at least one version');
+  }
+
+  for (const entry of rollout) {
+    if (!versions.includes(entry.version)) {
+      throw new PromptError(`Unknown prompt version: ${entry.version}`);
+    }
+    if (!Number.isInteger(entry.weight) || entry.weight < 0) {
+      throw new PromptError('Rollout weights must be whole numbers');
+    }
+  }
+
+  const total = rollout.reduce((sum, entry) => sum + entry.weight, 0);
+  if (total !== 100) {
+    throw new PromptError(`Rollout weights must add up to 100 (got ${total})`);
+  }
+}
+
+/**
+ * Stable 0-99 bucket for A/B assignment
+ */
+function bucketFor(name, key) {
+  const hash = createHash('sha256').update(`${name}:${key}`).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % 100;
+}
+
+/**
+ * "name@version" list of the prompts used for one reply, for agent logs
+ * @param {Array} trace - Rendered prompts ({ name, version })
+ */
+export function formatPromptVersions(trace = []) {
+  return [...new Set(trace.map(prompt => `${prompt.name}@${prompt.version}`))].join(',') || null;
+}
+
+class PromptRegistry {
+  constructor(definitions = []) {
+    // name -> Map(version -> definition)
+    this.versions = new Map();
+    // `${name}:${tenantId || '*'}` -> rollout
+    this.releases = new Map();
+    this.builtIn = new Set();
+    this.loadedAt = 0;
+
+    for (const definition of definitions) {
+      this.register(definition, { builtIn: true });
+    }
+  }
+
+  /**
+   * Add a version to the registry
+   * @param {Object} options - { builtIn }
+   */
+  register(definition, { builtIn = false } = {}) {
+    validateDefinition(definition);
+
+    if (!this.versions.has(definition.name)) {
+      this.versions.set(definition.name, new Map());
+    }
+    this.versions.get(definition.name).set(definition.version, definition);
+
+    if (builtIn) {
+      this.builtIn.add(`${definition.name}@${definition.version}`);
+    }
+  }
+
+  /**
+   * Versions of a prompt, newest first
+   */
+  getVersions(name) {
+    return [...(this.versions.get(name)?.keys() || [])].sort((a, b) => compareVersions(b, a));
+  }
+
+  getDefinition(name, version) {
+    return this.versions.get(name)?.get(version) || null;
+  }
+
+  /**
+   * Newest version shipped with the code - the default, and the fallback
+   * when a stored version can't be rendered
+   */
+  latestBuiltIn(name) {
+    const version = this.getVersions(name).find(v => this.builtIn.has(`${name}@${v}`));
+    return version ? this.getDefinition(name, version) : null;
+  }
+
+  /**
+   * Pick the version to serve
+   * @param {Object} options - { tenantId, assignmentKey }
+   */
+  resolve(name, { tenantId = null, assignmentKey = null } = {}) {
+    const rollout = (tenantId && this.releases.get(`${name}:${tenantId}`)) || this.releases.get(`${name}:*`);
+
+    if (rollout) {
+      let version = rollout[0].version;
+      if (assignmentKey) {
+        const bucket = bucketFor(name, assignmentKey);
+        let upper = 0;
+        for (const entry of rollout) {
+          upper += entry.weight;
+          if (bucket < upper) {
+            version = entry.version;
+            break;
+          }
+        }
+      } else {
+        version = rollout.reduce((best, entry) => (entry.weight > best.weight ? entry : best)).version;
+      }
+
+      const definition = this.getDefinition(name, version);
+      if (definition) return definition;
+    }
+
+    return this.latestBuiltIn(name);
+  }
+
+  /**
+   * Text of a definition for a locale and grade band
+   */
+  selectText(definition, { locale = DEFAULT_LOCALE, gradeBand = null } = {}) {
+    const translation = locale !== DEFAULT_LOCALE ? definition.locales?.[locale] : null;
+
+    if (translation) {
+      const text = (gradeBand && translation.gradeBands?.[gradeBand]) || translation.template;
+      if (text) return { text, locale };
+    }
+
+    return {
+      text: (gradeBand && definition.gradeBands?.[gradeBand]) || definition.template,
+      locale: DEFAULT_LOCALE,
+    };
+  }
+
+  /**
+   * Render a prompt
+   * @param {string} name - Prompt name, e.g. 'tutor.system'
+   * @param {Object} variables - Template variables
+   * @param {Object} options - { gradeBand, locale, tenantId, assignmentKey }
+   * @returns {Object} { text, name, version, locale, gradeBand }
+   * @throws {PromptError} For unknown prompts or missing variables
+   */
+  render(name, variables = {}, options = {}) {
+    const definition = this.resolve(name, options);
+    if (!definition) {
+      throw new PromptError(`Unknown prompt: ${name}`);
+    }
+
+    try {
+      return this.renderDefinition(definition, variables, options);
+    } catch (error) {
+      const fallback = this.latestBuiltIn(name);
+      if (!fallback || fallback === definition) throw error;
+
+      // A stored version is broken - serve the built-in one rather than fail
+      logError('Prompt render failed, using built-in version', error, { name, version: definition.version });
+      return this.renderDefinition(fallback, variables, options);
+    }
+  }
+
+  renderDefinition(definition, variables, { gradeBand = null, locale } = {}) {
+    const selected = this.selectText(definition, { locale: locale || DEFAULT_LOCALE, gradeBand });
+
+    return {
+      text: renderTemplate(selected.text, variables),
+      name: definition.name,
+      version: definition.version,
+      locale: selected.locale,
+      gradeBand: definition.gradeBands?.[gradeBand] ? gradeBand : null,
+    };
+  }
+
+  /**
+   * Re-read stored versions and releases if the cache is stale. Built-in
+   * prompts keep working if the database is unavailable.
+   * @param {Object} options - { force }
+   */
+  async refresh({ force = false } = {}) {
+    if (!force && Date.now() - this.loadedAt < REFRESH_INTERVAL_MS) return;
+    this.loadedAt = Date.now();
+
+    try {
+      const [stored, releases] = await Promise.all([
+        prisma.promptVersion.findMany(),
+        prisma.promptRelease.findMany(),
+      ]);
+
+      for (const row of stored) {
+        // Built-in versions can't be replaced from the database
+        if (this.builtIn.has(`${row.name}@${row.version}`)) continue;
+        try {
+          this.register(this.fromRow(row));
+        } catch (error) {
+          logError('Skipping invalid stored prompt', error, { name: row.name, version: row.version });
+        }
+      }
+
+      this.releases = new Map(releases.map(release => [
+        `${release.name}:${release.tenantId || '*'}`,
+        release.rollout,
+      ]));
+    } catch (error) {
+      logError('Failed to load prompt registry', error);
+    }
+  }
+
+  fromRow(row) {
+    return {
+      name: row.name,
+      version: row.version,
+      description: row.description || '',
+      variables: row.variables || [],
+      template: row.template,
+      gradeBands: row.gradeBands || undefined,
+      locales: row.locales || undefined,
+    };
+  }
+
+  /**
+   * Store a new version. It is not served until a release includes it.
+   * New versions must keep the variables of the prompt's built-in version,
+   * since that is what the calling code passes.
+   * @throws {PromptError} On invalid or duplicate versions
+   */
+  async createVersion(data, createdBy = null) {
+    const builtIn = this.latestBuiltIn(data.name);
+    if (!builtIn) {
+      throw new PromptError(`Unknown prompt: ${data.name}`);
+    }
+
+    const definition = {
+      name: data.name,
+      version: data.version,
+      description: data.description || '',
+      variables: builtIn.variables,
+      template: data.template,
+      gradeBands: data.gradeBands,
+      locales: data.locales,
+    };
+    validateDefinition(definition);
+
+    if (this.getDefinition(data.name, data.version)) {
+      throw new PromptError(`${data.name}@${data.version} already exists`);
+    }
+
+    await prisma.promptVersion.create({
+      data: {
+        name: definition.name,
+        version: definition.version,
+        description: definition.description,
+        variables: definition.variables,
+        template: definition.template,
+        gradeBands: definition.gradeBands || undefined,
+        locales: definition.locales || undefined,
+        createdBy,
+      },
+    });
+
+    this.register(definition);
+    return definition;
+  }
+
+  /**
+   * Choose which versions are served, for every tenant or one tenant.
+   * Rolling back is a release of the previous version at weight 100.
+   * @param {Object} data - { name, tenantId, rollout: [{ version, weight }] }
+   */
+  async setRelease({ name, tenantId = null, rollout }, updatedBy = null) {
+    validateRollout(rollout, this.getVersions(name));
+
+    const existing = await prisma.promptRelease.findFirst({ where: { name, tenantId } });
+    const release = existing
+      ? await prisma.promptRelease.update({ where: { id: existing.id }, data: { rollout, updatedBy } })
+      : await prisma.promptRelease.create({ data: { name, tenantId, rollout, updatedBy } });
+
+    this.releases.set(`${name}:${tenantId || '*'}`, rollout);
+    return release;
+  }
+
+  /**
+   * Every prompt with its versions and releases (admin view)
+   */
+  list() {
+    return [...this.versions.keys()].sort().map(name => ({
+      name,
+      versions: this.getVersions(name).map(version => ({
+        version,
+        builtIn: this.builtIn.has(`${name}@${version}`),
+        description: this.getDefinition(name, version).description || '',
+      })),
+      releases: [...this.releases.entries()]
+        .filter(([key]) => key.startsWith(`${name}:`))
+        .map(([key, rollout]) => {
+          const tenantId = key.slice(name.length + 1);
+          return { tenantId: tenantId === '*' ? null : tenantId, rollout };
+        }),
+      served: this.resolve(name)?.version || null,
+    }));
+  }
+}
+
+export const promptRegistry = new PromptRegistry([
+  ...TUTOR_PROMPTS,
+  ...CURRICULUM_PROMPTS,
+  ...ASSESSMENT_PROMPTS,
+  ...ENGAGEMENT_PROMPTS,
+  ...PRESCHOOL_PROMPTS,
+  ...PRESENTATION_PROMPTS,
+  ...TEACHING_AID_PROMPTS,
+]);
+export default promptRegistry;
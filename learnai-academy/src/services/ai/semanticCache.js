@@ -0,0 +1,310 @@
+/**
+ * Semantic Cache
+ *
+ * Reuses tutor answers to the opening questions many students ask, worded
+ * slightly differently ("what's a fraction?", "what is a fraction").
+ * Questions are normalized (contractions, punctuation, plurals, filler
+ * words) and fingerprinted as hashed character trigrams. A stored question
+ * is a hit when:
+ * - its fingerprint's cosine similarity is at least SIMILARITY_THRESHOLD
+ * - it has the same keywords, so "what is an improper fraction" or "what
+ *   is not a fraction" never answers "what is a fraction"
+ * - it has the same numbers and math symbols, so "3 + 4" never answers
+ *   "3 + 5"
+ *
+ * Entries are scoped by subject, topic, agent role, grade band, session
+ * mode, difficulty, locale, voice mode and tenant. Each entry records the
+ * prompt versions it was generated with and is only served to a student
+ * who would get those same versions now, so publishing a prompt version
+ * or changing a release invalidates it (including per A/B bucket).
+ *
+ * Personalization: a student with memories relevant to the question
+ * always gets a fresh answer, and an answer is only stored if it was
+ * generated without memories and doesn't mention the student's name,
+ * strengths or weaknesses - one child's personalized answer is never
+ * served to another.
+ *
+ * Only a session's opening question is cached; later answers depend on the
+ * conversation so far. Entries live in Redis, so without Redis every
+ * lookup misses.
+ */
+
+import { createHash } from 'crypto';
+import { redis } from '../../lib/redis.js';
+import { logInfo } from '../../lib/logger.js';
+import { promptRegistry } from './prompts.js';
+
+export const SIMILARITY_THRESHOLD = 0.8;
+
+export const CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Most recent entries kept per scope
+export const MAX_ENTRIES_PER_SCOPE = 200;
+
+// Questions outside this range are too vague or too specific to share
+const MIN_QUESTION_WORDS = 2;
+const MAX_QUESTION_WORDS = 30;
+
+const FINGERPRINT_BUCKETS = 1024;
+
+const CONTRACTIONS = [
+  [/\b(what|who|where|when|why|how|that|there|here|it)'s\b/g, '$1 is'],
+  [/\bwhats\b/g, 'what is'],
+  [/\bcan't\b/g, 'cannot'],
+  [/\bwon't\b/g, 'will not'],
+  [/n't\b/g, ' not'],
+  [/'re\b/g, ' are'],
+  [/'m\b/g, ' am'],
+  [/'ve\b/g, ' have'],
+  [/'ll\b/g, ' will'],
+  [/'d\b/g, ' would'],
+];
+
+const FILLER_WORDS = new Set([
+  'please', 'pls', 'plz', 'um', 'umm', 'uh', 'hey', 'hi', 'hello', 'ok', 'okay', 'just', 'really',
+]);
+
+// Not keywords - "not" and "no" deliberately are
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'what', 'how', 'why', 'who', 'when', 'where',
+  'which', 'can', 'you', 'are', 'was', 'have', 'help', 'about', 'from', 'into', 'does',
+  'tell', 'explain', 'mean', 'means', 'will', 'would', 'could', 'should', 'there', 'here',
+]);
+
+const EXACT_TOKEN = /\d+(?:\.\d+)?|[+\-*/=^×÷%<>]/g;
+
+/**
+ * Canonical form of a question for comparison
+ */
+export function normalizeQuestion(text = '') {
+  let normalized = String(text).toLowerCase().replace(/[’‘]/g, "'");
+  for (const [pattern, replacement] of CONTRACTIONS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    // Keep numbers and math symbols; everything else separates words
+    .replace(/[^a-z0-9+\-*/=^×÷%<>.\s]|(?<!\d)\.|\.(?!\d)/g, ' ')
+    .replace(/[+\-*/=^×÷%<>]/g, symbol => ` ${symbol} `)
+    .split(/\s+/)
+    .filter(word => word && !FILLER_WORDS.has(word))
+    // Crude singularisation so "fractions" matches "fraction"
+    .map(word => (word.length > 3 && /[a-z]s$/.test(word) && !word.endsWith('ss') ? word.slice(0, -1) : word))
+    .join(' ');
+}
+
+function keywordSignature(normalized) {
+  return [...new Set(
+    normalized.split(' ').filter(word => /^[a-z]+$/.test(word) && (word.length >= 3 || word === 'no') && !STOP_WORDS.has(word))
+  )].sort().join(' ');
+}
+
+function exactSignature(normalized) {
+  return (normalized.match(EXACT_TOKEN) || []).join(' ');
+}
+
+function bucket(gram) {
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < gram.length; i++) {
+    hash ^= gram.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % FINGERPRINT_BUCKETS;
+}
+
+/**
+ * Hashed character-trigram counts of a normalized question
+ * @returns {Object} { counts: Map(bucket -> count), norm }
+ */
+export function fingerprint(normalized) {
+  const padded = ` ${normalized} `;
+  const counts = new Map();
+  for (let i = 0; i < padded.length - 2; i++) {
+    const key = bucket(padded.slice(i, i + 3));
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  let sumOfSquares = 0;
+  for (const count of counts.values()) sumOfSquares += count * count;
+  return { counts, norm: Math.sqrt(sumOfSquares) };
+}
+
+/**
+ * Cosine similarity of two fingerprints (0 to 1)
+ */
+export function similarity(a, b) {
+  if (!a.norm || !b.norm) return 0;
+
+  let dot = 0;
+  for (const [key, count] of a.counts) {
+    dot += count * (b.counts.get(key) || 0);
+  }
+  return dot / (a.norm * b.norm);
+}
+
+/**
+ * Whether two questions should share an answer
+ */
+export function questionsMatch(a, b) {
+  const left = normalizeQuestion(a);
+  const right = normalizeQuestion(b);
+  if (left === right) return true;
+
+  return keywordSignature(left) === keywordSignature(right)
+    && exactSignature(left) === exactSignature(right)
+    && similarity(fingerprint(left), fingerprint(right)) >= SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Prompt versions from a "name@version,..." list (see formatPromptVersions)
+ */
+function parsePromptVersions(promptVersion) {
+  return (promptVersion || '').split(',').filter(Boolean).map(entry => {
+    const at = entry.lastIndexOf('@');
+    return { name: entry.slice(0, at), version: entry.slice(at + 1) };
+  });
+}
+
+class SemanticCache {
+  /**
+   * Redis key of the entries that may answer a message in this context
+   */
+  scopeKey(context, role) {
+    const scope = [
+      context.subject,
+      context.topicId || context.topic,
+      role,
+      context.gradeBand || this.getGradeBand(context.gradeLevel),
+      context.mode,
+      context.difficulty,
+      context.locale || 'en',
+      context.isVoiceMode ? 'voice' : 'text',
+      context.tenantId || '*',
+    ].join('|');
+
+    return `semantic:${createHash('sha256').update(scope).digest('hex').slice(0, 32)}`;
+  }
+
+  getGradeBand(grade) {
+    if (grade <= 2) return 'K-2';
+    if (grade <= 5) return '3-5';
+    if (grade <= 8) return '6-8';
+    return '9-12';
+  }
+
+  /**
+   * Whether a message may be answered from, or stored in, the cache: the
+   * session's opening question, from a student with no relevant memories,
+   * outside hint-only mode and coding exercises
+   * @param {Object} context - Agent context (with memories and integrity)
+   */
+  isCacheable(context, message) {
+    const userTurns = (context.messages || []).filter(entry => entry.role === 'user').length;
+    const words = normalizeQuestion(message).split(' ').filter(Boolean).length;
+
+    return userTurns <= 1
+      && words >= MIN_QUESTION_WORDS
+      && words <= MAX_QUESTION_WORDS
+      && (context.memories || []).length === 0
+      && !context.integrity
+      && !context.codingExercise;
+  }
+
+  /**
+   * Whether the student would be served the prompt versions an entry was
+   * generated with
+   */
+  isCurrent(entry, context) {
+    const versions = parsePromptVersions(entry.promptVersion);
+    if (versions.length === 0) return false;
+
+    return versions.every(({ name, version }) => promptRegistry.resolve(name, {
+      tenantId: context.tenantId,
+      assignmentKey: context.studentId || context.userId,
+    })?.version === version);
+  }
+
+  /**
+   * Whether an answer mentions details particular to the student
+   */
+  isPersonalized(content, context) {
+    const text = content.toLowerCase();
+    const details = [context.studentName, ...(context.strengths || []), ...(context.weaknesses || [])]
+      .filter(detail => typeof detail === 'string' && detail.trim().length >= 2);
+
+    return details.some(detail => new RegExp(`\\b${detail.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+  }
+
+  async readEntries(key) {
+    try {
+      const cached = await redis.get(key);
+      return cached ? JSON.parse(cached) : [];
+    } catch (error) {
+      console.error('Error reading semantic cache:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Find a cached answer to a message
+   * @param {Object} context - Agent context (with memories and integrity)
+   * @param {string} role - Agent role answering
+   * @returns {Promise<Object|null>} Response in agent.process shape, or null
+   */
+  async lookup(context, role, message) {
+    if (!this.isCacheable(context, message)) return null;
+
+    const entries = await this.readEntries(this.scopeKey(context, role));
+    const match = entries.find(entry => questionsMatch(entry.question, message) && this.isCurrent(entry, context));
+    if (!match) return null;
+
+    logInfo('Semantic cache hit', { subject: context.subject, topic: context.topic, role });
+
+    return {
+      content: match.content,
+      filtered: false,
+      model: match.model,
+      provider: 'cache',
+      cost: 0,
+      responseTime: 0,
+      promptVersion: match.promptVersion,
+      cached: true,
+    };
+  }
+
+  /**
+   * Store an answer for other students asking the same question. Error,
+   * filtered and personalized answers are not stored.
+   * @param {Object} context - Agent context the answer was generated with
+   * @param {string} role - Agent role that answered
+   * @param {Object} response - agent.process result
+   */
+  async store(context, role, message, response) {
+    if (!this.isCacheable(context, message)) return;
+    if (!response?.content || response.error || response.filtered || response.cached || response.exerciseState) return;
+    if (!response.promptVersion || this.isPersonalized(response.content, context)) return;
+
+    const key = this.scopeKey(context, role);
+    try {
+      const entries = (await this.readEntries(key))
+        // Replace an older answer to the same question
+        .filter(entry => !questionsMatch(entry.question, message));
+
+      entries.unshift({
+        question: normalizeQuestion(message),
+        content: response.content,
+        model: response.model,
+        promptVersion: response.promptVersion,
+        createdAt: new Date().toISOString(),
+      });
+
+      await redis.setex(key, CACHE_TTL_SECONDS, JSON.stringify(entries.slice(0, MAX_ENTRIES_PER_SCOPE)));
+    } catch (error) {
+      console.error('Error writing semantic cache:', error);
+    }
+  }
+}
+
+export const semanticCache = new SemanticCache();
+export default semanticCache;
@@ -0,0 +1,190 @@
+/**
+ * Session Summarizer
+ *
+ * Builds a structured recap when a learning session ends:
+ *   {
+ *     summary: string,
+ *     conceptsCovered: string[],
+ *     problemsAttempted: number,
+ *     problemsCorrect: number,
+ *     misconceptions: string[],
+ *     suggestedNextTopic: string | null,
+ *     generatedAt: ISO date,
+ *   }
+ *
+ * The recap is stored on the session (`sessionData.summary`), saved to the
+ * student's long-term memory, and used by progress tracking and the parent
+ * weekly email.
+ */
+
+import prisma from '../../lib/prisma.js';
+import { llmGateway } from './llmGateway.js';
+import { structuredOutput } from './structuredOutput.js';
+import { sessionRecapSchema } from '../curriculum/outputSchemas.js';
+import { studentMemory } from './studentMemory.js';
+import { logError } from '../../lib/logger.js';
+
+// Keep the transcript sent to the model small
+const MAX_TRANSCRIPT_MESSAGES = 40;
+const MAX_MESSAGE_CHARS = 500;
+
+function toStringList(value, limit = 8) {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .slice(0, limit);
+}
+
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number) : 0;
+}
+
+/**
+ * Turn model output into a well-formed recap. Counts tracked on the session
+ * itself win over the model's estimate.
+ * @param {Object} raw - Parsed model output (may be partial)
+ * @param {Object} session - Learning session with topic
+ */
+export function normalizeRecap(raw = {}, session = {}) {
+  const tracked = (session.problemsAttempted || 0) > 0;
+  const problemsAttempted = tracked ? session.problemsAttempted : toCount(raw.problemsAttempted);
+  const problemsCorrect = Math.min(
+    problemsAttempted,
+    tracked ? (session.problemsCorrect || 0) : toCount(raw.problemsCorrect)
+  );
+
+  const conceptsCovered = toStringList(raw.conceptsCovered);
+
+  return {
+    summary: typeof raw.summary === 'string' && raw.summary.trim()
+      ? raw.summary.trim()
+      : `Worked on ${session.topic?.name || 'this topic'}.`,
+    conceptsCovered: conceptsCovered.length > 0
+      ? conceptsCovered
+      : [session.topic?.name].filter(Boolean),
+    problemsAttempted,
+    problemsCorrect,
+    misconceptions: toStringList(raw.misconceptions, 5),
+    suggestedNextTopic: typeof raw.suggestedNextTopic === 'string' && raw.suggestedNextTopic.trim()
+      ? raw.suggestedNextTopic.trim()
+      : null,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+class SessionSummarizer {
+  /**
+   * Build the transcript section of the prompt
+   */
+  formatTranscript(messages) {
+    return messages
+      .slice(-MAX_TRANSCRIPT_MESSAGES)
+      .map(message => {
+        const speaker = message.role === 'assistant' ? 'Tutor' : 'Student';
+        return `${speaker}: ${message.content.slice(0, MAX_MESSAGE_CHARS)}`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * Ask the model for a recap of the session transcript
+   * @param {Object} session - Learning session with student, subject, topic and messages
+   */
+  async generateRecap(session) {
+    if (!session.messages?.length) {
+      return normalizeRecap({}, session);
+    }
+
+    const prompt = `You write the session recap for a tutoring session with a grade ${session.student?.gradeLevel ?? ''} student.
+Subject: ${session.subject?.name || 'Unknown'}
+Topic: ${session.topic?.name || 'Unknown'}
+
+Read the transcript and return JSON with:
+- summary: 1-2 sentences on what the student learned, written for a parent
+- conceptsCovered: array of short concept names
+- problemsAttempted: number of problems the student answered
+- problemsCorrect: number they got right
+- misconceptions: array of short descriptions of mistakes in understanding (empty if none)
+- suggestedNextTopic: the topic to study next
+
+Only use what is in the transcript. Format as JSON.`;
+
+    try {
+      const recap = await structuredOutput.generate([
+        { role: 'system', content: prompt },
+        { role: 'user', content: this.formatTranscript(session.messages) },
+      ], sessionRecapSchema, {
+        name: 'session.recap',
+        model: llmGateway.models.fast,
+        temperature: 0.2,
+        maxTokens: 600,
+        billing: { studentId: session.studentId, sessionId: session.id },
+      });
+
+      return normalizeRecap(recap, session);
+    } catch (error) {
+      logError('Session recap generation error', error);
+      return normalizeRecap({}, session);
+    }
+  }
+
+  /**
+   * Summarize a finished session, store the recap on it and in the
+   * student's long-term memory
+   * @param {string} sessionId - Learning session ID
+   * @returns {Promise<Object>} The recap
+   */
+  async summarizeSession(sessionId) {
+    const session = await prisma.learningSession.findUnique({
+      where: { id: sessionId },
+      include: {
+        student: true,
+        subject: true,
+        topic: true,
+        messages: {
+          orderBy: { sequenceNumber: 'asc' },
+        },
+      },
+    });
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const recap = await this.generateRecap(session);
+
+    await prisma.learningSession.update({
+      where: { id: sessionId },
+      data: {
+        sessionData: {
+          ...(session.sessionData || {}),
+          summary: recap,
+        },
+      },
+    });
+
+    try {
+      const accuracy = recap.problemsAttempted > 0
+        ? ` (${recap.problemsCorrect}/${recap.problemsAttempted} correct)`
+        : '';
+      const next = recap.suggestedNextTopic ? ` Next up: ${recap.suggestedNextTopic}.` : '';
+
+      await studentMemory.rememberSessionSummary(session.studentId, {
+        sessionId,
+        subject: session.subject?.slug,
+        topic: session.topic?.name,
+        content: `${session.topic?.name || 'Session'}: ${recap.summary}${accuracy}${next}`,
+        data: recap,
+      });
+    } catch (error) {
+      logError('Error saving session summary to student memory', error);
+    }
+
+    return recap;
+  }
+}
+
+export const sessionSummarizer = new SessionSummarizer();
+export default sessionSummarizer;
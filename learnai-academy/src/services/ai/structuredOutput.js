@@ -0,0 +1,155 @@
+/**
+ * Structured Output
+ *
+ * Runs a generator prompt whose reply must be JSON of a known shape. Each
+ * generator declares a zod schema for its output; the reply is parsed and
+ * validated against it. When it doesn't fit, the model is shown the
+ * validation errors and asked to repair its reply, a bounded number of
+ * times. If it still doesn't fit, a StructuredOutputError is thrown - no
+ * half-filled content is returned to be saved.
+ *
+ * Usage:
+ *   const plan = await structuredOutput.generate([
+ *     { role: 'system', content: prompt },
+ *     { role: 'user', content: 'Generate the lesson plan.' },
+ *   ], lessonPlanSchema, { name: 'curriculum.lessonPlan', model: llmGateway.models.smart });
+ */
+
+import { llmGateway } from './llmGateway.js';
+import { logWarn } from '../../lib/logger.js';
+
+// Repair requests after the first reply
+export const DEFAULT_MAX_REPAIRS = 2;
+
+// Validation errors shown to the model per repair request
+const MAX_ISSUES_IN_REPAIR = 10;
+
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} name - Generator name
+   * @param {Array} issues - [{ path, message }] from the last attempt
+   * @param {Object} details - { attempts, raw }
+   */
+  constructor(name, issues, { attempts, raw } = {}) {
+    super(`${name} returned invalid output after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${issues.map(formatIssue).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.code = 'INVALID_AI_OUTPUT';
+    this.statusCode = 502;
+    this.generator = name;
+    this.issues = issues;
+    this.attempts = attempts;
+    this.raw = raw;
+  }
+}
+
+function formatIssue(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Pull the JSON value out of a model reply. Accepts a bare value, a
+ * ```json fenced block, or a value with a sentence of chatter around it.
+ * @throws {SyntaxError} When no JSON value can be parsed
+ */
+export function extractJson(content) {
+  const text = String(content ?? '').trim();
+
+  const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/i);
+  if (fenced) {
+    return JSON.parse(fenced[1].trim());
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const start = text.search(/[[{]/);
+    const end = text[start] === '[' ? text.lastIndexOf(']') : text.lastIndexOf('}');
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+}
+
+/**
+ * Parse and validate a reply
+ * @returns {Object} { success: true, data } or { success: false, issues }
+ */
+export function validateOutput(content, schema) {
+  let value;
+  try {
+    value = extractJson(content);
+  } catch (error) {
+    return { success: false, issues: [{ path: '', message: `Reply is not valid JSON (${error.message})` }] };
+  }
+
+  const result = schema.safeParse(value);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message,
+    })),
+  };
+}
+
+/**
+ * Message asking the model to fix its previous reply
+ */
+export function buildRepairMessage(issues) {
+  const listed = issues.slice(0, MAX_ISSUES_IN_REPAIR).map(issue => `- ${formatIssue(issue)}`);
+  if (issues.length > MAX_ISSUES_IN_REPAIR) {
+    listed.push(`- ...and ${issues.length - MAX_ISSUES_IN_REPAIR} more`);
+  }
+
+  return `Your previous reply could not be used. It has these problems:
+${listed.join('\n')}
+
+Reply again with the complete corrected JSON only - no explanation and no code fences.`;
+}
+
+class StructuredOutput {
+  /**
+   * Generate output that must match a schema, repairing invalid replies
+   * @param {Array} messages - Chat messages for the gateway
+   * @param {import('zod').ZodTypeAny} schema - Expected output
+   * @param {Object} options - Gateway options plus { name, maxRepairs }. `name`
+   *   is also the cost ledger label unless `agentType` is given.
+   * @returns {Promise<*>} The validated output (with schema defaults applied)
+   * @throws {StructuredOutputError} When no reply matched the schema
+   */
+  async generate(messages, schema, options = {}) {
+    const { name = 'generator', maxRepairs = DEFAULT_MAX_REPAIRS, ...chatOptions } = options;
+
+    let conversation = messages;
+    let issues = [];
+    let raw = null;
+
+    for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+      const response = await llmGateway.chat(conversation, { agentType: name, ...chatOptions });
+      raw = response.content;
+
+      const result = validateOutput(raw, schema);
+      if (result.success) {
+        return result.data;
+      }
+
+      issues = result.issues;
+      logWarn('Invalid structured output', { generator: name, attempt, issues: issues.slice(0, MAX_ISSUES_IN_REPAIR) });
+
+      conversation = [
+        ...messages,
+        { role: 'assistant', content: raw },
+        { role: 'user', content: buildRepairMessage(issues) },
+      ];
+    }
+
+    throw new StructuredOutputError(name, issues, { attempts: maxRepairs + 1, raw });
+  }
+}
+
+export const structuredOutput = new StructuredOutput();
+export default structuredOutput;
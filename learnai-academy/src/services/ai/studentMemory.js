@@ -0,0 +1,280 @@
+/**
+ * Student Memory
+ *
+ * Long-term memory the tutoring agents draw on between sessions:
+ * - Misconceptions found by mistake analysis (lib/mistakeAnalysis.js),
+ *   recorded as formative answers are graded
+ * - Spaced-repetition state (read live from review cards)
+ * - Past session summaries
+ * - Companion details, as kept by AICompanion.rememberDetail
+ *
+ * `retrieve` ranks memories by relevance to the current subject, topic and
+ * message, then keeps the best ones that fit in a token budget so the
+ * system prompt stays small.
+ *
+ * Schema: prisma/schema-student-memory.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { estimateTokens } from './gateway/tokens.js';
+import { delimitStudentText, STUDENT_TEXT_TAGS } from './injectionDetector.js';
+
+export const MEMORY_KINDS = {
+  MISCONCEPTION: 'MISCONCEPTION',
+  SESSION_SUMMARY: 'SESSION_SUMMARY',
+  COMPANION: 'COMPANION',
+  // Not stored - built from ReviewCard at retrieval time
+  REVIEW: 'REVIEW',
+};
+
+export const DEFAULT_MEMORY_TOKEN_BUDGET = parseInt(process.env.STUDENT_MEMORY_TOKEN_BUDGET || '400', 10);
+
+// Memories scoring below this are never included
+const MIN_RELEVANCE = 0.15;
+
+// How much each companion category matters to tutoring
+const COMPANION_IMPORTANCE = {
+  struggles: 0.7,
+  goals: 0.6,
+  preferences: 0.5,
+  interests: 0.4,
+  achievements: 0.4,
+  personality: 0.3,
+  relationship: 0.2,
+};
+
+const SECTION_TITLES = {
+  [MEMORY_KINDS.MISCONCEPTION]: 'Known misconceptions',
+  [MEMORY_KINDS.REVIEW]: 'Due for review',
+  [MEMORY_KINDS.SESSION_SUMMARY]: 'Previous sessions',
+  [MEMORY_KINDS.COMPANION]: 'About the student',
+};
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'what', 'how', 'why', 'can',
+  'you', 'are', 'was', 'have', 'help', 'about', 'from', 'into', 'does', 'not',
+]);
+
+function keywords(text = '') {
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 3 && !STOP_WORDS.has(word))
+      // Crude singularisation so "fractions" matches "fraction"
+      .map(word => word.replace(/s$/, ''))
+  );
+}
+
+/**
+ * Relevance of a memory to the current request (0 to ~1.2)
+ * @param {Object} memory - { kind, subject, topic, content, importance, updatedAt, isDue }
+ * @param {Object} request - { subject, topic, query, now }
+ */
+export function scoreMemory(memory, { subject, topic, query, now = Date.now() }) {
+  const wanted = keywords(`${topic || ''} ${query || ''}`);
+  const found = keywords(`${memory.topic || ''} ${memory.content}`);
+
+  let overlap = 0;
+  if (wanted.size > 0) {
+    const matches = [...wanted].filter(word => found.has(word)).length;
+    overlap = Math.min(1, matches / Math.min(wanted.size, 3));
+  }
+
+  const subjectMatch = !memory.subject || memory.subject === subject ? 1 : 0;
+  if (!subjectMatch && overlap === 0) {
+    // Another subject with nothing in common
+    return 0;
+  }
+
+  const ageDays = (now - new Date(memory.updatedAt).getTime()) / (1000 * 60 * 60 * 24);
+  const recency = Math.exp(-Math.max(0, ageDays) / 30);
+
+  return (
+    overlap * 0.45 +
+    subjectMatch * 0.2 +
+    (memory.importance ?? 0.5) * 0.2 +
+    recency * 0.15 +
+    (memory.isDue ? 0.2 : 0)
+  );
+}
+
+/**
+ * Rank memories and keep the most relevant ones within a token budget
+ * @param {Array<Object>} memories - Candidate memories
+ * @param {Object} request - { subject, topic, query, tokenBudget, now }
+ * @returns {Array<Object>} Selected memories, most relevant first
+ */
+export function selectMemories(memories, { tokenBudget = DEFAULT_MEMORY_TOKEN_BUDGET, ...request }) {
+  const ranked = memories
+    .map(memory => ({ ...memory, score: scoreMemory(memory, request) }))
+    .filter(memory => memory.score >= MIN_RELEVANCE)
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let used = 0;
+  for (const memory of ranked) {
+    const cost = estimateTokens(memory.content) + 2;
+    if (used + cost > tokenBudget) continue;
+    selected.push(memory);
+    used += cost;
+  }
+
+  return selected;
+}
+
+/**
+ * Format selected memories as a system prompt section
+ * @param {Array<Object>} memories - Output of selectMemories
+ * @param {string} studentName
+ * @returns {string} Empty string when there is nothing to add
+ */
+export function formatMemories(memories = [], studentName = 'the student') {
+  if (memories.length === 0) return '';
+
+  const sections = Object.entries(SECTION_TITLES)
+    .map(([kind, title]) => {
+      const items = memories.filter(memory => memory.kind === kind);
+      if (items.length === 0) return null;
+      return `${title}:\n${items.map(memory => `- ${memory.content}`).join('\n')}`;
+    })
+    .filter(Boolean);
+
+  // Memories hold student-written details, so they are delimited like
+  // student messages
+  return `WHAT YOU REMEMBER ABOUT ${studentName.toUpperCase()} (from earlier sessions):
+${delimitStudentText(sections.join('\n'), STUDENT_TEXT_TAGS.MEMORY)}
+
+Build on what they already know instead of re-teaching from scratch. Revisit misconceptions and due reviews when they fit the conversation. Don't recite this list back to the student.`;
+}
+
+function reviewToMemory(card, now) {
+  const isDue = new Date(card.dueAt).getTime() <= now;
+  const name = card.prompt || 'a concept';
+  const when = card.lastReviewedAt
+    ? ` (last practised ${new Date(card.lastReviewedAt).toISOString().slice(0, 10)})`
+    : '';
+
+  return {
+    kind: MEMORY_KINDS.REVIEW,
+    subject: card.subject?.slug,
+    topic: name,
+    content: isDue
+      ? `${name} is due for review${when}`
+      : `${name} was practised ${card.reps} time(s); next review ${new Date(card.dueAt).toISOString().slice(0, 10)}`,
+    importance: isDue ? 0.7 : 0.3,
+    updatedAt: card.lastReviewedAt || card.dueAt,
+    isDue,
+  };
+}
+
+class StudentMemoryService {
+  /**
+   * Store a memory. Memories with a `key` replace the previous one with
+   * the same key.
+   * @param {string} studentId
+   * @param {Object} memory - { kind, key, category, subject, topic, content, data, importance }
+   */
+  async remember(studentId, { kind, key = null, category = null, subject = null, topic = null, content, data, importance = 0.5 }) {
+    const fields = { kind, category, subject, topic, content, data, importance };
+
+    if (key) {
+      return prisma.studentMemory.upsert({
+        where: { studentId_key: { studentId, key } },
+        create: { studentId, key, ...fields },
+        update: fields,
+      });
+    }
+
+    return prisma.studentMemory.create({
+      data: { studentId, ...fields },
+    });
+  }
+
+  /**
+   * Store a misconception pattern from findMisconceptionPatterns
+   * @param {string} studentId
+   * @param {Object} pattern - { misconceptionId, misconception, description, occurrences, severity, affectedTopics }
+   * @param {string} subject - Subject slug
+   */
+  async rememberMisconception(studentId, pattern, subject) {
+    return this.remember(studentId, {
+      kind: MEMORY_KINDS.MISCONCEPTION,
+      key: `misconception:${pattern.misconceptionId}`,
+      subject,
+      topic: pattern.affectedTopics?.join(', '),
+      content: `${pattern.misconception}: ${pattern.description} (seen ${pattern.occurrences} times)`,
+      data: pattern,
+      // Severity is 0-100
+      importance: Math.min(1, (pattern.severity ?? 50) / 100),
+    });
+  }
+
+  /**
+   * Store a companion detail, same arguments as AICompanion.rememberDetail
+   */
+  async rememberDetail(studentId, category, detail) {
+    return this.remember(studentId, {
+      kind: MEMORY_KINDS.COMPANION,
+      category,
+      content: detail,
+      importance: COMPANION_IMPORTANCE[category] ?? 0.4,
+    });
+  }
+
+  /**
+   * Store the summary of a finished session
+   * @param {string} studentId
+   * @param {Object} summary - { sessionId, subject, topic, content, data }
+   */
+  async rememberSessionSummary(studentId, { sessionId, subject, topic, content, data }) {
+    return this.remember(studentId, {
+      kind: MEMORY_KINDS.SESSION_SUMMARY,
+      key: `session:${sessionId}`,
+      subject,
+      topic,
+      content,
+      data,
+      importance: 0.6,
+    });
+  }
+
+  /**
+   * All stored memories for a student, newest first
+   */
+  async list(studentId, { kind, limit = 200 } = {}) {
+    return prisma.studentMemory.findMany({
+      where: { studentId, ...(kind && { kind }) },
+      orderBy: { updatedAt: 'desc' },
+      take: limit,
+    });
+  }
+
+  /**
+   * Retrieve the memories most relevant to the current request
+   * @param {string} studentId
+   * @param {Object} request - { subject, topic, query, tokenBudget }
+   * @returns {Promise<Array<Object>>}
+   */
+  async retrieve(studentId, request = {}) {
+    const now = Date.now();
+
+    const [stored, cards] = await Promise.all([
+      this.list(studentId),
+      prisma.reviewCard.findMany({
+        where: { studentId },
+        include: { subject: true },
+        orderBy: { dueAt: 'asc' },
+        take: 20,
+      }),
+    ]);
+
+    return selectMemories(
+      [...stored, ...cards.map(card => reviewToMemory(card, now))],
+      { ...request, now }
+    );
+  }
+}
+
+export const studentMemory = new StudentMemoryService();
+export default studentMemory;
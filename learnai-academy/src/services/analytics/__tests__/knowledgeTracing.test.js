@@ -0,0 +1,174 @@
+import {
+  knowledgeTracing,
+  DEFAULT_PARAMS,
+  MIN_FIT_ATTEMPTS,
+  traceAttempts,
+  masteryInterval,
+  expandSessionAttempts,
+  fitParams,
+  isStruggling,
+} from '../knowledgeTracing.js';
+import prisma from '../../../lib/prisma.js';
+
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    skillAttempt: {
+      findMany: jest.fn(),
+      createMany: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    formativeAttempt: {
+      findMany: jest.fn(),
+    },
+    skillModelParameters: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+    },
+  },
+}));
+
+// Deterministic pseudo-random numbers so simulated students are repeatable
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+function simulateStudents(params, students, attemptsEach, random) {
+  return Array.from({ length: students }, () => {
+    let known = random() < params.pInit;
+    return Array.from({ length: attemptsEach }, () => {
+      const correct = known ? random() >= params.pSlip : random() < params.pGuess;
+      if (!known && random() < params.pLearn) known = true;
+      return { correct, difficulty: 'MEDIUM' };
+    });
+  });
+}
+
+describe('KnowledgeTracing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('traceAttempts', () => {
+    it('should count hard problems as stronger evidence than easy ones', () => {
+      const easy = traceAttempts(expandSessionAttempts(3, 3, 'EASY'), DEFAULT_PARAMS);
+      const hard = traceAttempts(expandSessionAttempts(3, 3, 'HARD'), DEFAULT_PARAMS);
+
+      expect(hard).toBeGreaterThan(easy);
+      expect(easy).toBeGreaterThan(DEFAULT_PARAMS.pInit);
+    });
+
+    it('should lower mastery after wrong answers', () => {
+      const mastery = traceAttempts(expandSessionAttempts(4, 0), DEFAULT_PARAMS, 0.7);
+      expect(mastery).toBeLessThan(0.7);
+    });
+  });
+
+  describe('masteryInterval', () => {
+    it('should narrow as attempts add up', () => {
+      const few = masteryInterval(0.7, 5);
+      const many = masteryInterval(0.7, 100);
+
+      expect(few.upper - few.lower).toBeGreaterThan(many.upper - many.lower);
+      expect(many.lower).toBeLessThan(0.7);
+      expect(many.upper).toBeGreaterThan(0.7);
+    });
+
+    it('should cover everything without attempts', () => {
+      expect(masteryInterval(0.2, 0)).toEqual({ lower: 0, upper: 1 });
+    });
+  });
+
+  describe('expandSessionAttempts', () => {
+    it('should spread correct answers through the session', () => {
+      const attempts = expandSessionAttempts(4, 2, 'HARD');
+
+      expect(attempts.map(a => a.correct)).toEqual([false, true, false, true]);
+      expect(attempts.every(a => a.difficulty === 'HARD')).toBe(true);
+    });
+  });
+
+  describe('sessionAttempts', () => {
+    it('should read first tries at the session\'s questions at their difficulty', async () => {
+      const answeredAt = new Date('2025-03-17T15:30:00Z');
+      prisma.formativeAttempt.findMany.mockResolvedValue([
+        { id: 'fa-1', isCorrect: true, createdAt: answeredAt, question: { difficulty: 'hard' } },
+        { id: 'fa-2', isCorrect: false, createdAt: answeredAt, question: { difficulty: null } },
+      ]);
+
+      const attempts = await knowledgeTracing.sessionAttempts('session-1', 'student-1');
+
+      expect(prisma.formativeAttempt.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { studentId: 'student-1', attemptNumber: 1, question: { lesson: { sessionId: 'session-1' } } },
+      }));
+      expect(attempts).toEqual([
+        { formativeAttemptId: 'fa-1', correct: true, difficulty: 'HARD', answeredAt },
+        { formativeAttemptId: 'fa-2', correct: false, difficulty: 'MEDIUM', answeredAt },
+      ]);
+    });
+  });
+
+  describe('isStruggling', () => {
+    it('should need the whole interval below 50%', () => {
+      expect(isStruggling({ masteryLevel: 30, masteryLower: 5, masteryUpper: 70 })).toBe(false);
+      expect(isStruggling({ masteryLevel: 30, masteryLower: 20, masteryUpper: 45 })).toBe(true);
+    });
+  });
+
+  describe('fitParams', () => {
+    it('should recover the parameters students were simulated with', () => {
+      const actual = { pInit: 0.3, pLearn: 0.1, pGuess: 0.25, pSlip: 0.05 };
+      const sequences = simulateStudents(actual, 150, 12, seededRandom(42));
+
+      const { params } = fitParams(sequences);
+
+      expect(params.pInit).toBeCloseTo(actual.pInit, 0);
+      expect(Math.abs(params.pLearn - actual.pLearn)).toBeLessThanOrEqual(0.1);
+      expect(Math.abs(params.pGuess - actual.pGuess)).toBeLessThanOrEqual(0.1);
+      expect(Math.abs(params.pSlip - actual.pSlip)).toBeLessThanOrEqual(0.05);
+    });
+  });
+
+  describe('fitSubject', () => {
+    it('should keep the defaults until there is enough history', async () => {
+      prisma.skillAttempt.findMany.mockResolvedValue([{ studentId: 's', topicId: 't', correct: true, difficulty: 'MEDIUM' }]);
+
+      const result = await knowledgeTracing.fitSubject('subject-1');
+
+      expect(result).toBeNull();
+      expect(prisma.skillModelParameters.upsert).not.toHaveBeenCalled();
+      // Only rows recording a real answer
+      expect(prisma.skillAttempt.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { subjectId: 'subject-1', formativeAttemptId: { not: null } },
+      }));
+    });
+
+    it('should store fitted parameters and use them afterwards', async () => {
+      const actual = { pInit: 0.3, pLearn: 0.1, pGuess: 0.25, pSlip: 0.05 };
+      const sequences = simulateStudents(actual, 60, 10, seededRandom(7));
+      const attempts = sequences.flatMap((sequence, i) =>
+        sequence.map(attempt => ({ studentId: `student-${i}`, topicId: 'topic-1', ...attempt }))
+      );
+      expect(attempts.length).toBeGreaterThanOrEqual(MIN_FIT_ATTEMPTS);
+
+      // Newest first, as queried
+      prisma.skillAttempt.findMany.mockResolvedValue([...attempts].reverse());
+      prisma.skillModelParameters.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+
+      const stored = await knowledgeTracing.fitSubject('subject-2');
+      prisma.skillModelParameters.findUnique.mockResolvedValue(stored);
+
+      expect(stored.attemptsUsed).toBe(attempts.length);
+      expect(await knowledgeTracing.getParams('subject-2')).toEqual({
+        pInit: stored.pInit,
+        pLearn: stored.pLearn,
+        pGuess: stored.pGuess,
+        pSlip: stored.pSlip,
+      });
+    });
+  });
+});
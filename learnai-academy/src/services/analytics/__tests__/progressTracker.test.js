@@ -1,4 +1,5 @@
-import { progressTracker } from '../progressTracker.js';
+import { progressTracker, sessionAccuracy } from '../progressTracker.js';
+import { gapBacktraceService } from '../../learning/gapBacktraceService.js';
 import prisma from '../../../lib/prisma.js';
 
 // Mock Prisma
@@ -7,6 +8,7 @@ jest.mock('../../../lib/prisma.js', () => ({
   default: {
     learningSession: {
       findUnique: jest.fn(),
+      findMany: jest.fn().mockResolvedValue([]),
     },
     studentProgress: {
       findUnique: jest.fn(),
@@ -21,9 +23,22 @@ jest.mock('../../../lib/prisma.js', () => ({
       update: jest.fn(),
       findMany: jest.fn(),
     },
+    skillAttempt: {
+      createMany: jest.fn(),
+    },
+    formativeAttempt: {
+      findMany: jest.fn().mockResolvedValue([]),
+    },
+    skillModelParameters: {
+      findUnique: jest.fn().mockResolvedValue(null),
+    },
   },
 }));
 
+jest.mock('../../ai/agentOrchestrator.js', () => ({
+  agentOrchestrator: {},
+}));
+
 describe('ProgressTracker', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -35,6 +50,7 @@ describe('ProgressTracker', () => {
       studentId: 'student-1',
       subjectId: 'subject-1',
       topicId: 'topic-1',
+      difficultyLevel: 'MEDIUM',
       student: { id: 'student-1', gradeLevel: 5 },
       subject: { id: 'subject-1', name: 'Math' },
       topic: { id: 'topic-1', name: 'Fractions' },
@@ -55,7 +71,7 @@ describe('ProgressTracker', () => {
         id: 'progress-1',
         studentId: 'student-1',
         topicId: 'topic-1',
-        masteryLevel: 24, // 80% accuracy * 0.3 weight
+        masteryLevel: 97.9,
         totalTimeMinutes: 30,
         sessionsCount: 1,
       });
@@ -89,7 +105,7 @@ describe('ProgressTracker', () => {
       prisma.studentProgress.findUnique.mockResolvedValue(existingProgress);
       prisma.studentProgress.update.mockResolvedValue({
         ...existingProgress,
-        masteryLevel: 62, // Weighted average
+        masteryLevel: 99.6,
         totalTimeMinutes: 90,
         sessionsCount: 3,
       });
@@ -116,23 +132,134 @@ describe('ProgressTracker', () => {
       ).rejects.toThrow('Session not found');
     });
 
-    it('should calculate mastery level correctly with weighted average', () => {
-      const existingProgress = {
-        masteryLevel: 70,
-        strengths: [],
-        weaknesses: [],
-      };
+    it('should trace and record the student\'s answers to the session\'s questions', async () => {
+      prisma.learningSession.findUnique.mockResolvedValue(mockSession);
+      prisma.studentProgress.findUnique.mockResolvedValue(null);
+      prisma.studentProgress.create.mockResolvedValue({ id: 'progress-1' });
+      prisma.dailyActivity.findUnique.mockResolvedValue({ id: 'activity-1' });
+      prisma.dailyActivity.update.mockResolvedValue({});
+      const answeredAt = new Date('2025-03-17T15:30:00Z');
+      prisma.formativeAttempt.findMany.mockResolvedValueOnce(['easy', 'hard', 'hard', 'medium'].map((difficulty, i) => ({
+        id: `fa-${i}`,
+        isCorrect: i > 0,
+        createdAt: answeredAt,
+        question: { difficulty },
+      })));
+
+      await progressTracker.trackSessionProgress('session-1', mockSessionData);
+
+      const attempts = prisma.skillAttempt.createMany.mock.calls[0][0].data;
+      expect(attempts.map(a => [a.formativeAttemptId, a.correct, a.difficulty])).toEqual([
+        ['fa-0', false, 'EASY'],
+        ['fa-1', true, 'HARD'],
+        ['fa-2', true, 'HARD'],
+        ['fa-3', true, 'MEDIUM'],
+      ]);
+      expect(attempts[0].createdAt).toBe(answeredAt);
 
-      // 80% accuracy, 70% current mastery
-      // New mastery = (70 * 0.7) + (80 * 0.3) = 49 + 24 = 73
-      const mastery = progressTracker.calculateMasteryLevel(
-        existingProgress,
-        80, // accuracyRate
-        10, // problemsAttempted
-        8   // problemsCorrect
+      const { data } = prisma.studentProgress.create.mock.calls[0][0];
+      expect(data.attemptsCount).toBe(4);
+      expect(data.masteryLower).toBeLessThan(data.masteryLevel);
+      expect(data.masteryUpper).toBeGreaterThanOrEqual(data.masteryLevel);
+    });
+
+    it('should trace from the session totals without storing them when it had no questions', async () => {
+      prisma.learningSession.findUnique.mockResolvedValue(mockSession);
+      prisma.studentProgress.findUnique.mockResolvedValue(null);
+      prisma.studentProgress.create.mockResolvedValue({ id: 'progress-1' });
+      prisma.dailyActivity.findUnique.mockResolvedValue({ id: 'activity-1' });
+      prisma.dailyActivity.update.mockResolvedValue({});
+
+      await progressTracker.trackSessionProgress('session-1', mockSessionData);
+
+      const { data } = prisma.studentProgress.create.mock.calls[0][0];
+      expect(data.attemptsCount).toBe(10);
+      expect(data.masteryLevel).toBeGreaterThan(50);
+      expect(prisma.skillAttempt.createMany).not.toHaveBeenCalled();
+    });
+
+    it('should start a gap back-trace after the third failed session in a row', async () => {
+      prisma.learningSession.findUnique.mockResolvedValue(mockSession);
+      prisma.studentProgress.findUnique.mockResolvedValue(null);
+      prisma.studentProgress.create.mockResolvedValue({ id: 'progress-1', masteryLevel: 45 });
+      prisma.dailyActivity.findUnique.mockResolvedValue({ id: 'activity-1' });
+      prisma.dailyActivity.update.mockResolvedValue({});
+      prisma.learningSession.findMany.mockResolvedValueOnce([
+        { problemsAttempted: 10, problemsCorrect: 3 },
+        // Counted from its recap
+        { problemsAttempted: 0, sessionData: { summary: { problemsAttempted: 5, problemsCorrect: 2 } } },
+        { problemsAttempted: 10, problemsCorrect: 9 },
+      ]);
+      const start = jest.spyOn(gapBacktraceService, 'start').mockResolvedValue({ id: 'backtrace-1' });
+
+      await progressTracker.trackSessionProgress('session-1', { ...mockSessionData, problemsCorrect: 4 });
+
+      expect(prisma.learningSession.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ studentId: 'student-1', topicId: 'topic-1', id: { not: 'session-1' } }),
+      }));
+      expect(start).toHaveBeenCalledWith('student-1', expect.objectContaining({
+        id: 'topic-1',
+        subject: mockSession.subject,
+      }));
+      start.mockRestore();
+    });
+
+    it('should not start a gap back-trace when a pass broke the run of failures', async () => {
+      prisma.learningSession.findUnique.mockResolvedValue(mockSession);
+      prisma.studentProgress.findUnique.mockResolvedValue(null);
+      prisma.studentProgress.create.mockResolvedValue({ id: 'progress-1', masteryLevel: 45 });
+      prisma.dailyActivity.findUnique.mockResolvedValue({ id: 'activity-1' });
+      prisma.dailyActivity.update.mockResolvedValue({});
+      prisma.learningSession.findMany.mockResolvedValueOnce([
+        { problemsAttempted: 10, problemsCorrect: 3 },
+        { problemsAttempted: 10, problemsCorrect: 9 },
+        { problemsAttempted: 10, problemsCorrect: 2 },
+      ]);
+      const start = jest.spyOn(gapBacktraceService, 'start').mockResolvedValue({ id: 'backtrace-1' });
+
+      await progressTracker.trackSessionProgress('session-1', { ...mockSessionData, problemsCorrect: 4 });
+
+      expect(start).not.toHaveBeenCalled();
+      start.mockRestore();
+    });
+
+    it('should not look back at earlier sessions after a passed one', async () => {
+      prisma.learningSession.findUnique.mockResolvedValue(mockSession);
+      prisma.studentProgress.findUnique.mockResolvedValue(null);
+      prisma.studentProgress.create.mockResolvedValue({ id: 'progress-1' });
+      prisma.dailyActivity.findUnique.mockResolvedValue({ id: 'activity-1' });
+      prisma.dailyActivity.update.mockResolvedValue({});
+
+      await progressTracker.trackSessionProgress('session-1', mockSessionData);
+
+      expect(prisma.learningSession.findMany).not.toHaveBeenCalled();
+    });
+
+    it('should read a session\'s accuracy from its counts or its recap', () => {
+      expect(sessionAccuracy({ problemsAttempted: 4, problemsCorrect: 1 })).toBe(0.25);
+      expect(sessionAccuracy({ problemsAttempted: 0, sessionData: { summary: { problemsAttempted: 2, problemsCorrect: 2 } } })).toBe(1);
+      expect(sessionAccuracy({ problemsAttempted: 0, sessionData: {} })).toBeNull();
+    });
+
+    it('should lower mastery after a session of wrong answers', () => {
+      const params = { pInit: 0.2, pLearn: 0.15, pGuess: 0.2, pSlip: 0.1 };
+      const attempts = Array.from({ length: 5 }, () => ({ correct: false, difficulty: 'MEDIUM' }));
+
+      const mastery = progressTracker.calculateMastery(
+        { masteryLevel: 70, attemptsCount: 20 },
+        attempts,
+        params
       );
 
-      expect(mastery).toBeCloseTo(73, 1);
+      expect(mastery.masteryLevel).toBeLessThan(70);
+    });
+
+    it('should leave mastery unchanged without attempts', () => {
+      const params = { pInit: 0.2, pLearn: 0.15, pGuess: 0.2, pSlip: 0.1 };
+
+      const mastery = progressTracker.calculateMastery({ masteryLevel: 70, attemptsCount: 20 }, [], params);
+
+      expect(mastery.masteryLevel).toBe(70);
     });
 
     it('should identify strengths when accuracy >= 80%', () => {
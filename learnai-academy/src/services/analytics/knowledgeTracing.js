@@ -0,0 +1,353 @@
+import prisma from '../../lib/prisma.js';
+import { logInfo } from '../../lib/logger.js';
+
+/**
+ * Knowledge Tracing
+ *
+ * Per-skill mastery with Bayesian Knowledge Tracing. Each topic is a
+ * skill the student either knows or doesn't yet; every answer updates
+ * P(known), allowing for lucky guesses and careless slips, and each
+ * attempt is a chance to learn it. Easy problems are easier to guess and
+ * harder to slip on, so they are weaker evidence than hard ones.
+ *
+ * Sessions are traced through the student's own answers to their
+ * formative questions, each at its question's difficulty. Only these real
+ * answers are kept: the four parameters are fitted per subject from them
+ * (fitSubject, run by the fit-mastery-model cron job), and until a subject
+ * has enough history the defaults below are used.
+ *
+ * Schema: prisma/schema-knowledge-tracing.prisma
+ */
+
+export const DEFAULT_PARAMS = {
+  pInit: 0.2,
+  pLearn: 0.15,
+  pGuess: 0.2,
+  pSlip: 0.1,
+};
+
+// Guess and slip rates relative to a medium problem
+export const DIFFICULTY_ADJUSTMENTS = {
+  EASY: { guess: 1.5, slip: 0.5 },
+  MEDIUM: { guess: 1, slip: 1 },
+  HARD: { guess: 0.5, slip: 1.5 },
+};
+
+// P(known) at which a skill counts as mastered, and the upper bound below
+// which a student is confidently struggling
+export const MASTERED = 0.8;
+export const STRUGGLING = 0.5;
+
+// Fewer attempts than this and the defaults fit better than the data
+export const MIN_FIT_ATTEMPTS = 500;
+export const MAX_FIT_ATTEMPTS = 50000;
+
+// Parameter values tried when fitting. Guess and slip stay below 0.5 so
+// "knows it" and "doesn't" can't swap meaning.
+const FIT_GRID = {
+  pInit: [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6],
+  pLearn: [0.02, 0.05, 0.1, 0.15, 0.2, 0.3, 0.4],
+  pGuess: [0.05, 0.1, 0.15, 0.2, 0.25, 0.3],
+  pSlip: [0.02, 0.05, 0.1, 0.15, 0.2],
+};
+
+const Z_95 = 1.96;
+const PARAMS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+function clampRate(rate) {
+  return Math.min(0.49, Math.max(0.01, rate));
+}
+
+/**
+ * Guess and slip rates for a problem of the given difficulty
+ */
+export function itemRates(params, difficulty = 'MEDIUM') {
+  const adjustment = DIFFICULTY_ADJUSTMENTS[difficulty] || DIFFICULTY_ADJUSTMENTS.MEDIUM;
+  return {
+    guess: clampRate(params.pGuess * adjustment.guess),
+    slip: clampRate(params.pSlip * adjustment.slip),
+  };
+}
+
+/**
+ * P(known) after one answer: the posterior given the answer, then the
+ * chance of learning the skill from the attempt
+ * @param {number} pKnown - Before the answer (0-1)
+ * @param {Object} attempt - { correct, difficulty }
+ * @param {Object} params - { pLearn, pGuess, pSlip }
+ */
+export function updateKnowledge(pKnown, { correct, difficulty }, params) {
+  const { guess, slip } = itemRates(params, difficulty);
+
+  const posterior = correct
+    ? (pKnown * (1 - slip)) / (pKnown * (1 - slip) + (1 - pKnown) * guess)
+    : (pKnown * slip) / (pKnown * slip + (1 - pKnown) * (1 - guess));
+
+  return posterior + (1 - posterior) * params.pLearn;
+}
+
+/**
+ * P(known) after a sequence of answers
+ * @param {Array} attempts - [{ correct, difficulty }], oldest first
+ * @param {Object} params
+ * @param {number} [pKnown] - Starting point; params.pInit by default
+ */
+export function traceAttempts(attempts, params, pKnown = params.pInit) {
+  return attempts.reduce((p, attempt) => updateKnowledge(p, attempt, params), pKnown);
+}
+
+/**
+ * 95% interval around a mastery estimate (Wilson score interval, with
+ * the attempts seen as the evidence behind it). Wide after a few
+ * answers, narrowing as they add up.
+ * @param {number} pKnown - 0-1
+ * @param {number} attempts - Answers the estimate is based on
+ * @returns {Object} { lower, upper } (0-1)
+ */
+export function masteryInterval(pKnown, attempts) {
+  if (!attempts) return { lower: 0, upper: 1 };
+
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / attempts;
+  const center = (pKnown + z2 / (2 * attempts)) / denominator;
+  const margin = (Z_95 * Math.sqrt(pKnown * (1 - pKnown) / attempts + z2 / (4 * attempts * attempts))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin),
+  };
+}
+
+/**
+ * Mastery from a StudentProgress record, on a 0-1 scale. Records from
+ * before knowledge tracing have no interval; their estimate is used for
+ * both bounds.
+ * @returns {Object} { estimate, lower, upper }
+ */
+export function masteryOf(progress) {
+  const estimate = (progress?.masteryLevel || 0) / 100;
+  return {
+    estimate,
+    lower: progress?.masteryLower != null ? progress.masteryLower / 100 : estimate,
+    upper: progress?.masteryUpper != null ? progress.masteryUpper / 100 : estimate,
+  };
+}
+
+export function isMastered(progress) {
+  return masteryOf(progress).estimate >= MASTERED;
+}
+
+/**
+ * Confidently below STRUGGLING: a low estimate alone isn't enough after
+ * only a few answers. Records without an interval need two sessions.
+ */
+export function isStruggling(progress) {
+  if (!progress || !progress.masteryLevel) return false;
+  if (progress.masteryUpper == null) {
+    return masteryOf(progress).estimate < STRUGGLING && progress.sessionsCount >= 2;
+  }
+  return masteryOf(progress).upper < STRUGGLING;
+}
+
+/**
+ * Difficulty level of a formative question ('easy', 'medium', 'hard')
+ */
+export function difficultyLevel(difficulty) {
+  const level = String(difficulty || '').toUpperCase();
+  return DIFFICULTY_ADJUSTMENTS[level] ? level : 'MEDIUM';
+}
+
+/**
+ * The attempts in a session that only reports totals, correct answers
+ * spread evenly through it. For tracing a session without per-question
+ * answers only - these are never stored or fitted on.
+ * @returns {Array} [{ correct, difficulty }]
+ */
+export function expandSessionAttempts(problemsAttempted, problemsCorrect, difficulty = 'MEDIUM') {
+  const total = Math.max(0, Math.floor(problemsAttempted || 0));
+  const correctCount = Math.min(total, Math.max(0, Math.floor(problemsCorrect || 0)));
+
+  return Array.from({ length: total }, (_, i) => ({
+    correct: Math.floor(((i + 1) * correctCount) / total) > Math.floor((i * correctCount) / total),
+    difficulty,
+  }));
+}
+
+/**
+ * Log-likelihood of the observed answers under some parameters
+ * @param {Array} sequences - One array of attempts per student and skill, oldest first
+ */
+export function logLikelihood(sequences, params) {
+  let total = 0;
+
+  for (const attempts of sequences) {
+    let pKnown = params.pInit;
+    for (const attempt of attempts) {
+      const { guess, slip } = itemRates(params, attempt.difficulty);
+      const pCorrect = pKnown * (1 - slip) + (1 - pKnown) * guess;
+      total += Math.log(attempt.correct ? pCorrect : 1 - pCorrect);
+      pKnown = updateKnowledge(pKnown, attempt, params);
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Fit parameters to attempt history by grid search
+ * @param {Array} sequences - See logLikelihood
+ * @returns {Object} { params, logLikelihood }
+ */
+export function fitParams(sequences) {
+  let best = { params: DEFAULT_PARAMS, logLikelihood: logLikelihood(sequences, DEFAULT_PARAMS) };
+
+  for (const pInit of FIT_GRID.pInit) {
+    for (const pLearn of FIT_GRID.pLearn) {
+      for (const pGuess of FIT_GRID.pGuess) {
+        for (const pSlip of FIT_GRID.pSlip) {
+          const params = { pInit, pLearn, pGuess, pSlip };
+          const ll = logLikelihood(sequences, params);
+          if (ll > best.logLikelihood) {
+            best = { params, logLikelihood: ll };
+          }
+        }
+      }
+    }
+  }
+
+  return best;
+}
+
+class KnowledgeTracing {
+  constructor() {
+    this.paramsCache = new Map();
+  }
+
+  /**
+   * Parameters for a subject: fitted when there are, the defaults otherwise
+   */
+  async getParams(subjectId) {
+    const cached = this.paramsCache.get(subjectId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.params;
+    }
+
+    const fitted = await prisma.skillModelParameters.findUnique({ where: { subjectId } });
+    const params = fitted
+      ? { pInit: fitted.pInit, pLearn: fitted.pLearn, pGuess: fitted.pGuess, pSlip: fitted.pSlip }
+      : DEFAULT_PARAMS;
+
+    this.paramsCache.set(subjectId, { params, expiresAt: Date.now() + PARAMS_CACHE_TTL_MS });
+    return params;
+  }
+
+  /**
+   * A student's first answers to a session's formative questions, oldest
+   * first. Retries come after feedback and hints, so they aren't evidence
+   * of what the student knew.
+   * @returns {Promise<Array>} [{ formativeAttemptId, correct, difficulty, answeredAt }]
+   */
+  async sessionAttempts(sessionId, studentId) {
+    const attempts = await prisma.formativeAttempt.findMany({
+      where: {
+        studentId,
+        attemptNumber: 1,
+        question: { lesson: { sessionId } },
+      },
+      orderBy: { createdAt: 'asc' },
+      select: {
+        id: true,
+        isCorrect: true,
+        createdAt: true,
+        question: { select: { difficulty: true } },
+      },
+    });
+
+    return attempts.map(attempt => ({
+      formativeAttemptId: attempt.id,
+      correct: attempt.isCorrect,
+      difficulty: difficultyLevel(attempt.question?.difficulty),
+      answeredAt: attempt.createdAt,
+    }));
+  }
+
+  /**
+   * Store a session's answers (from sessionAttempts) for future fits
+   */
+  async recordAttempts({ studentId, topicId, subjectId, sessionId = null }, attempts) {
+    if (attempts.length === 0) return;
+
+    await prisma.skillAttempt.createMany({
+      data: attempts.map(attempt => ({
+        studentId,
+        topicId,
+        subjectId,
+        sessionId,
+        formativeAttemptId: attempt.formativeAttemptId,
+        correct: attempt.correct,
+        difficulty: attempt.difficulty,
+        createdAt: attempt.answeredAt,
+      })),
+      skipDuplicates: true,
+    });
+  }
+
+  /**
+   * Refit a subject's parameters from its most recent attempts
+   * @returns {Promise<Object|null>} The stored parameters, or null when
+   *   there isn't enough history yet
+   */
+  async fitSubject(subjectId) {
+    // Rows without an answer behind them were spread from session totals
+    // before answers were recorded, and would fit their spacing
+    const attempts = await prisma.skillAttempt.findMany({
+      where: { subjectId, formativeAttemptId: { not: null } },
+      orderBy: { createdAt: 'desc' },
+      take: MAX_FIT_ATTEMPTS,
+      select: { studentId: true, topicId: true, correct: true, difficulty: true },
+    });
+
+    if (attempts.length < MIN_FIT_ATTEMPTS) {
+      return null;
+    }
+
+    const sequences = new Map();
+    for (const attempt of attempts.reverse()) {
+      const key = `${attempt.studentId}:${attempt.topicId}`;
+      if (!sequences.has(key)) sequences.set(key, []);
+      sequences.get(key).push(attempt);
+    }
+
+    const { params, logLikelihood: ll } = fitParams([...sequences.values()]);
+    const data = { ...params, attemptsUsed: attempts.length, logLikelihood: ll, fittedAt: new Date() };
+
+    const stored = await prisma.skillModelParameters.upsert({
+      where: { subjectId },
+      update: data,
+      create: { subjectId, ...data },
+    });
+
+    this.paramsCache.delete(subjectId);
+    logInfo('Fitted knowledge tracing parameters', { subjectId, ...params, attemptsUsed: attempts.length });
+
+    return stored;
+  }
+
+  /**
+   * Refit every subject with attempt history
+   * @returns {Promise<Object>} { fitted, skipped }
+   */
+  async fitAllSubjects() {
+    const subjects = await prisma.skillAttempt.groupBy({ by: ['subjectId'] });
+
+    let fitted = 0;
+    for (const { subjectId } of subjects) {
+      if (await this.fitSubject(subjectId)) fitted++;
+    }
+
+    return { fitted, skipped: subjects.length - fitted };
+  }
+}
+
+export const knowledgeTracing = new KnowledgeTracing();
+export default knowledgeTracing;
@@ -1,4 +1,22 @@
 import prisma from '../../lib/prisma.js';
+import {
+  knowledgeTracing,
+  expandSessionAttempts,
+  traceAttempts,
+  masteryInterval,
+  isMastered,
+} from './knowledgeTracing.js';
+
+/**
+ * A finished session's accuracy (0-1), from the counts tracked during it
+ * or its recap, or null when no problems were answered
+ */
+export function sessionAccuracy(session) {
+  const tracked = (session.problemsAttempted || 0) > 0;
+  const attempted = tracked ? session.problemsAttempted : session.sessionData?.summary?.problemsAttempted || 0;
+  const correct = tracked ? session.problemsCorrect || 0 : session.sessionData?.summary?.problemsCorrect || 0;
+  return attempted > 0 ? correct / attempted : null;
+}
 
 /**
  * ProgressTracker Service
@@ -10,7 +28,7 @@ class ProgressTracker {
   /**
    * Track progress after a learning session
    * @param {string} sessionId - Learning session ID
-   * @param {Object} sessionData - Session data including problems attempted, correct, etc.
+   * @param {Object} sessionData - Session data including problems attempted, correct, misconceptions from the session recap, etc.
    */
   async trackSessionProgress(sessionId, sessionData = {}) {
     try {
@@ -46,13 +64,17 @@ class ProgressTracker {
         },
       });
 
-      // Calculate new mastery level
-      const masteryLevel = this.calculateMasteryLevel(
-        progress,
-        accuracyRate,
-        problemsAttempted,
-        problemsCorrect
-      );
+      // Trace mastery through the student's answers to the session's
+      // questions, or its totals when it had none
+      const answered = await knowledgeTracing.sessionAttempts(sessionId, studentId);
+      const attempts = answered.length > 0
+        ? answered
+        : expandSessionAttempts(problemsAttempted, problemsCorrect, session.difficultyLevel);
+      const params = await knowledgeTracing.getParams(subjectId);
+      const mastery = this.calculateMastery(progress, attempts, params);
+
+      // Only real answers are kept for fitting
+      await knowledgeTracing.recordAttempts({ studentId, topicId, subjectId, sessionId }, answered);
 
       // Update strengths and weaknesses
       const { strengths, weaknesses } = this.updateStrengthsWeaknesses(
@@ -66,7 +88,10 @@ class ProgressTracker {
         studentId,
         subjectId,
         topicId,
-        masteryLevel,
+        ...mastery,
+        attemptsCount: {
+          increment: attempts.length,
+        },
         totalTimeMinutes: {
           increment: durationMinutes || 0,
         },
@@ -92,6 +117,7 @@ class ProgressTracker {
         progress = await prisma.studentProgress.create({
           data: {
             ...progressData,
+            attemptsCount: attempts.length,
             totalTimeMinutes: durationMinutes || 0,
             sessionsCount: 1,
           },
@@ -101,6 +127,11 @@ class ProgressTracker {
       // Update daily activity
       await this.updateDailyActivity(studentId, durationMinutes || 0, sessionData);
 
+      // Another failed session on the topic: look for the prerequisite gap behind it
+      if (problemsAttempted > 0) {
+        await this.checkRepeatedFailure(session, progress, problemsCorrect / problemsAttempted);
+      }
+
       // Schedule spaced repetition reviews for concepts learned
       if (sessionData.concepts && sessionData.concepts.length > 0) {
         try {
@@ -132,40 +163,74 @@ class ProgressTracker {
   }
 
   /**
-   * Calculate mastery level based on performance
-   * @param {Object} progress - Existing progress record
-   * @param {number} accuracyRate - Current session accuracy (0-100)
-   * @param {number} problemsAttempted - Number of problems attempted
-   * @param {number} problemsCorrect - Number of problems correct
+   * Start a gap back-trace when this session is one failure too many on
+   * its topic. Failed sessions are counted here, from the student's
+   * finished sessions, so the trigger can't be set off from outside.
+   * @param {Object} session - The session just tracked, with its topic and subject
+   * @param {Object} progress - The topic's progress after the session
+   * @param {number} accuracy - The session's accuracy (0-1)
+   * @returns {Promise<Object|null>} The back-trace, if one was started
    */
-  calculateMasteryLevel(progress, accuracyRate, problemsAttempted, problemsCorrect) {
-    const currentMastery = progress?.masteryLevel || 0;
-    
-    // Base mastery on current session performance
-    const sessionScore = accuracyRate;
-    
-    // Weighted average: 70% current mastery, 30% new session
-    // This ensures progress is gradual and stable
-    const weightCurrent = 0.7;
-    const weightNew = 0.3;
-    
-    // Minimum problems required for meaningful update
-    const minProblems = 3;
-    
-    if (problemsAttempted >= minProblems) {
-      const newMastery = (currentMastery * weightCurrent) + (sessionScore * weightNew);
-      
-      // Cap at 100
-      return Math.min(100, Math.max(0, newMastery));
-    }
-    
-    // If not enough problems, slight increase based on accuracy
-    if (problemsAttempted > 0) {
-      const incremental = (accuracyRate * 0.1); // 10% of accuracy as incremental
-      return Math.min(100, currentMastery + incremental);
+  async checkRepeatedFailure(session, progress, accuracy) {
+    try {
+      const {
+        gapBacktraceService,
+        isRepeatedFailure,
+        FAILING_ACCURACY,
+        REPEATED_FAILURES,
+      } = await import('../learning/gapBacktraceService.js');
+
+      if (!(accuracy < FAILING_ACCURACY)) return null;
+
+      const earlier = await prisma.learningSession.findMany({
+        where: {
+          studentId: session.studentId,
+          topicId: session.topicId,
+          id: { not: session.id },
+          endedAt: { not: null },
+        },
+        orderBy: { endedAt: 'desc' },
+        take: REPEATED_FAILURES * 2,
+        select: { problemsAttempted: true, problemsCorrect: true, sessionData: true },
+      });
+
+      // This session, plus the failures before it since the last pass.
+      // Sessions with no problems answered don't count either way.
+      let failedSessions = 1;
+      for (const accuracyBefore of earlier.map(sessionAccuracy).filter(a => a !== null)) {
+        if (accuracyBefore >= FAILING_ACCURACY) break;
+        failedSessions++;
+      }
+
+      if (!isRepeatedFailure({ accuracy, failedSessions }, progress)) return null;
+
+      return await gapBacktraceService.start(session.studentId, {
+        ...session.topic,
+        subject: session.subject,
+      });
+    } catch (error) {
+      console.error('Error starting gap back-trace:', error);
+      return null;
     }
-    
-    return currentMastery;
+  }
+
+  /**
+   * Mastery after a session's answers, by knowledge tracing
+   * @param {Object} progress - Existing progress record
+   * @param {Array} attempts - The session's answers, [{ correct, difficulty }]
+   * @param {Object} params - Knowledge tracing parameters for the subject
+   * @returns {Object} { masteryLevel, masteryLower, masteryUpper } (0-100)
+   */
+  calculateMastery(progress, attempts, params) {
+    const prior = progress ? (progress.masteryLevel || 0) / 100 : params.pInit;
+    const pKnown = attempts.length > 0 ? traceAttempts(attempts, params, prior) : prior;
+    const { lower, upper } = masteryInterval(pKnown, (progress?.attemptsCount || 0) + attempts.length);
+
+    return {
+      masteryLevel: Math.round(pKnown * 1000) / 10,
+      masteryLower: Math.round(lower * 1000) / 10,
+      masteryUpper: Math.round(upper * 1000) / 10,
+    };
   }
 
   /**
@@ -201,6 +266,17 @@ class ProgressTracker {
       });
     }
 
+    // Misconceptions from the session recap are always weaknesses, most recent first
+    if (sessionData.misconceptions?.length) {
+      sessionData.misconceptions.forEach(misconception => {
+        const index = newWeaknesses.indexOf(misconception);
+        if (index > -1) {
+          newWeaknesses.splice(index, 1);
+        }
+        newWeaknesses.unshift(misconception);
+      });
+    }
+
     // Limit to top 5 strengths and weaknesses
     return {
       strengths: newStrengths.slice(0, 5),
@@ -324,8 +400,8 @@ class ProgressTracker {
 
       // Calculate overall statistics
       const totalTopics = progressRecords.length;
-      const masteredTopics = progressRecords.filter(p => p.masteryLevel >= 80).length;
-      const inProgressTopics = progressRecords.filter(p => p.masteryLevel > 0 && p.masteryLevel < 80).length;
+      const masteredTopics = progressRecords.filter(isMastered).length;
+      const inProgressTopics = progressRecords.filter(p => p.masteryLevel > 0 && !isMastered(p)).length;
       const averageMastery = totalTopics > 0
         ? progressRecords.reduce((sum, p) => sum + p.masteryLevel, 0) / totalTopics
         : 0;
@@ -344,6 +420,7 @@ class ProgressTracker {
           subject: p.subject.name,
           topic: p.topic.name,
           masteryLevel: p.masteryLevel,
+          masteryRange: p.masteryUpper != null ? [p.masteryLower, p.masteryUpper] : null,
           totalTimeMinutes: p.totalTimeMinutes,
           sessionsCount: p.sessionsCount,
           lastPracticedAt: p.lastPracticedAt,
@@ -1,5 +1,6 @@
 import prisma from '../../lib/prisma.js';
 import { progressTracker } from './progressTracker.js';
+import { isMastered, MASTERED, STRUGGLING } from './knowledgeTracing.js';
 import { logError, logPerformance } from '../../lib/logger.js';
 
 /**
@@ -123,7 +124,7 @@ class RecommendationEngine {
       const allTopicIdsToCheck = new Set();
 
       // Collect child topics and next topics for each mastered progress
-      const masteredProgress = studentProgress.filter(p => p.masteryLevel >= 80);
+      const masteredProgress = studentProgress.filter(isMastered);
 
       for (const progress of masteredProgress) {
         const topic = progress.topic;
@@ -171,7 +172,7 @@ class RecommendationEngine {
           for (const childTopic of topic.childTopics) {
             const childProgress = progressMap.get(childTopic.id);
 
-            if (!childProgress || childProgress.masteryLevel < 80) {
+            if (!isMastered(childProgress)) {
               recommendations.push({
                 topicId: childTopic.id,
                 topicName: childTopic.name,
@@ -225,7 +226,7 @@ class RecommendationEngine {
         where: {
           studentId,
           ...(subjectId && { subjectId }),
-          masteryLevel: { lt: 80, gt: 0 }, // In progress but not mastered
+          masteryLevel: { lt: MASTERED * 100, gt: 0 }, // In progress but not mastered
         },
         include: {
           topic: {
@@ -245,6 +246,7 @@ class RecommendationEngine {
         priority: 100 - progress.masteryLevel, // Higher priority for lower mastery
         type: 'strengthen',
         currentMastery: progress.masteryLevel,
+        masteryRange: progress.masteryUpper != null ? [progress.masteryLower, progress.masteryUpper] : null,
       }));
     } catch (error) {
       logError('Error getting strengthen recommendations', error, { studentId, subjectId });
@@ -257,13 +259,17 @@ class RecommendationEngine {
    */
   async getPrerequisiteRecommendations(studentId, subjectId, limit) {
     try {
-      // Find topics where student is struggling (< 50% mastery after multiple sessions)
+      // Find topics where student is struggling: even the top of the mastery
+      // interval is under 50%. Records from before knowledge tracing have no
+      // interval and need multiple sessions below 50% instead.
       const strugglingTopics = await prisma.studentProgress.findMany({
         where: {
           studentId,
           ...(subjectId && { subjectId }),
-          masteryLevel: { lt: 50 },
-          sessionsCount: { gte: 2 }, // Multiple sessions but still struggling
+          OR: [
+            { masteryUpper: { lt: STRUGGLING * 100 } },
+            { masteryUpper: null, masteryLevel: { lt: STRUGGLING * 100 }, sessionsCount: { gte: 2 } },
+          ],
         },
         include: {
           topic: true,
@@ -318,7 +324,7 @@ class RecommendationEngine {
             const prereqProgress = prereqProgressMap.get(prereqTopicId);
 
             // If prerequisite not mastered, recommend it
-            if (!prereqProgress || prereqProgress.masteryLevel < 80) {
+            if (!isMastered(prereqProgress)) {
               const prereqTopic = prereqTopicMap.get(prereqTopicId);
 
               if (prereqTopic) {
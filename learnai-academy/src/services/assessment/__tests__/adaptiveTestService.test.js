@@ -0,0 +1,155 @@
+import {
+  adaptiveTestService,
+  AdaptiveTestError,
+  SE_THRESHOLD,
+  UNCALIBRATED_SE_THRESHOLD,
+  MIN_QUESTIONS,
+  MAX_QUESTIONS,
+} from '../adaptiveTestService.js';
+import { assessmentItemKey } from '../itemCalibrationService.js';
+import prisma from '../../../lib/prisma.js';
+
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    assessment: {
+      findUnique: jest.fn(),
+    },
+    itemCalibration: {
+      findMany: jest.fn(),
+    },
+    adaptiveTest: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    assessmentResult: {
+      create: jest.fn(),
+    },
+  },
+}));
+
+// A 40-question pool from easy to hard, all calibrated
+const questions = Array.from({ length: 40 }, (_, i) => ({
+  id: `q${i}`,
+  text: `Question ${i}`,
+  type: 'short_answer',
+  answer: String(i),
+  points: 10,
+  difficulty: 3,
+}));
+const calibrations = questions.map((q, i) => ({
+  itemKey: assessmentItemKey('assessment-1', q.id),
+  discrimination: 2.5,
+  difficulty: -2 + (i * 4) / 39,
+}));
+const difficultyOf = id => calibrations[Number(id.slice(1))].difficulty;
+
+describe('AdaptiveTestService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = null;
+
+    prisma.assessment.findUnique.mockResolvedValue({
+      id: 'assessment-1',
+      gradeLevel: 5,
+      metadata: { questions },
+    });
+    prisma.itemCalibration.findMany.mockResolvedValue(calibrations);
+    prisma.adaptiveTest.findFirst.mockResolvedValue(null);
+    prisma.adaptiveTest.create.mockImplementation(({ data }) => {
+      stored = { id: 'test-1', status: 'in_progress', resultId: null, ...data };
+      return Promise.resolve(stored);
+    });
+    prisma.adaptiveTest.findUnique.mockImplementation(() => Promise.resolve(stored && { ...stored }));
+    prisma.adaptiveTest.updateMany.mockImplementation(({ where, data }) => {
+      if (stored.currentQuestionId !== where.currentQuestionId || stored.status !== where.status) {
+        return Promise.resolve({ count: 0 });
+      }
+      stored = { ...stored, ...data };
+      return Promise.resolve({ count: 1 });
+    });
+    prisma.adaptiveTest.update.mockImplementation(({ data }) => {
+      stored = { ...stored, ...data };
+      return Promise.resolve(stored);
+    });
+    prisma.assessmentResult.create.mockImplementation(({ data }) => Promise.resolve({ id: 'result-1', ...data }));
+  });
+
+  it('should start with a question of average difficulty without revealing its answer', async () => {
+    const test = await adaptiveTestService.startTest('assessment-1', 'student-1');
+
+    expect(Math.abs(difficultyOf(test.question.id))).toBeLessThan(0.1);
+    expect(test.question.answer).toBeUndefined();
+    expect(test.answered).toBe(0);
+  });
+
+  it('should home in on the student\'s ability and stop with half the pool unused', async () => {
+    // A student who gets right everything easier than 1.2
+    const checkAnswer = async question => difficultyOf(question.id) < 1.2;
+
+    let test = await adaptiveTestService.startTest('assessment-1', 'student-1');
+    while (test.status === 'in_progress') {
+      ({ test } = await adaptiveTestService.submitAnswer(
+        test.id,
+        { questionId: test.question.id, answer: 'x' },
+        checkAnswer
+      ));
+    }
+
+    expect(test.answered).toBeGreaterThanOrEqual(MIN_QUESTIONS);
+    expect(test.answered).toBeLessThanOrEqual(20);
+    expect(test.standardError).toBeLessThan(SE_THRESHOLD);
+    expect(Math.abs(test.theta - 1.2)).toBeLessThan(0.6);
+    expect(test.resultId).toBe('result-1');
+
+    const { data } = prisma.assessmentResult.create.mock.calls[0][0];
+    expect(data.adaptive).toBe(true);
+    expect(data.totalQuestions).toBe(test.answered);
+    expect(data.abilityEstimate).toBe(test.theta);
+  });
+
+  it('should stop early on a pool that has not been calibrated yet', async () => {
+    // Default discrimination, difficulty only from the author's 1-5 rating
+    const uncalibrated = questions.map((q, i) => ({ ...q, difficulty: (i % 5) + 1 }));
+    prisma.assessment.findUnique.mockResolvedValue({
+      id: 'assessment-1',
+      gradeLevel: 5,
+      metadata: { questions: uncalibrated },
+    });
+    prisma.itemCalibration.findMany.mockResolvedValue([]);
+    const checkAnswer = async question => question.difficulty <= 3;
+
+    let test = await adaptiveTestService.startTest('assessment-1', 'student-1');
+    while (test.status === 'in_progress') {
+      ({ test } = await adaptiveTestService.submitAnswer(
+        test.id,
+        { questionId: test.question.id, answer: 'x' },
+        checkAnswer
+      ));
+    }
+
+    expect(test.answered).toBeLessThan(MAX_QUESTIONS);
+    expect(test.standardError).toBeLessThan(UNCALIBRATED_SE_THRESHOLD);
+    expect(test.standardError).toBeGreaterThan(SE_THRESHOLD);
+  });
+
+  it('should refuse an answer to a question that isn\'t current', async () => {
+    const test = await adaptiveTestService.startTest('assessment-1', 'student-1');
+    const other = questions.find(q => q.id !== test.question.id);
+
+    await expect(
+      adaptiveTestService.submitAnswer(test.id, { questionId: other.id, answer: '1' }, async () => true)
+    ).rejects.toMatchObject({ code: 'WRONG_QUESTION', statusCode: 409 });
+  });
+
+  it('should report a missing assessment', async () => {
+    prisma.assessment.findUnique.mockResolvedValue(null);
+
+    await expect(adaptiveTestService.startTest('missing', 'student-1')).rejects.toThrow(AdaptiveTestError);
+  });
+});
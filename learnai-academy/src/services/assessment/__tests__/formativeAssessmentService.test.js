@@ -0,0 +1,133 @@
+import { formativeAssessmentService } from '../formativeAssessmentService.js';
+import { studentMemory } from '../../ai/studentMemory.js';
+import prisma from '../../../lib/prisma.js';
+
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    formativeQuestion: {
+      findUnique: jest.fn(),
+    },
+    formativeAttempt: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../ai/studentMemory.js', () => ({
+  studentMemory: {
+    rememberMisconception: jest.fn(),
+  },
+}));
+
+jest.mock('../../../lib/logger.js', () => ({
+  ...jest.requireActual('../../../lib/logger.js'),
+  logError: jest.fn(),
+}));
+
+const question = {
+  id: 'fq-1',
+  questionType: 'multiple-choice',
+  correctAnswer: '3/4',
+  concept: 'Adding fractions',
+  difficulty: 'medium',
+  hints: ['Find a common denominator'],
+  explanation: 'Use a common denominator',
+  metadata: { gradeLevel: 5, subject: 'Math' },
+};
+
+function wrongAttempt(concept, subject = 'Math', difficulty = 'medium') {
+  return { createdAt: new Date(), question: { concept, difficulty, metadata: { subject } } };
+}
+
+describe('FormativeAssessmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.formativeQuestion.findUnique.mockResolvedValue(question);
+    prisma.formativeAttempt.create.mockImplementation(({ data }) => Promise.resolve({ id: 'fa-1', ...data }));
+    studentMemory.rememberMisconception.mockResolvedValue({});
+  });
+
+  describe('checkAnswer', () => {
+    const shortAnswer = (correctAnswer, subject) => ({
+      questionType: 'short-answer',
+      correctAnswer,
+      metadata: { subject },
+    });
+
+    it('should compare math answers by value', () => {
+      expect(formativeAssessmentService.checkAnswer(shortAnswer('3/4', 'Math'), '0.75')).toBe(true);
+    });
+
+    it.each([
+      ['NO2', 'CO2', 'Science'],
+      ['July 4, 1776', 'May 4, 1776', 'History'],
+      ['12:45', '12:30', 'Math'],
+      ['2 cats', '2 dogs', 'Reading'],
+    ])('should not accept %s given as "%s" in %s', (correctAnswer, answer, subject) => {
+      expect(formativeAssessmentService.checkAnswer(shortAnswer(correctAnswer, subject), answer)).toBe(false);
+    });
+
+    it('should not grade numbers as math outside math questions', () => {
+      expect(formativeAssessmentService.checkAnswer(shortAnswer('0.5', 'Science'), '1/2')).toBe(false);
+    });
+  });
+
+  describe('submitAnswer', () => {
+    it('remembers a misconception once wrong answers repeat a pattern', async () => {
+      prisma.formativeAttempt.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.isCorrect === false
+          ? [wrongAttempt('Adding fractions'), wrongAttempt('Comparing decimals'), wrongAttempt('Main idea', 'Reading')]
+          : []
+      ));
+
+      const result = await formativeAssessmentService.submitAnswer('fq-1', 'student-1', '2/6');
+
+      expect(result.isCorrect).toBe(false);
+      expect(studentMemory.rememberMisconception).toHaveBeenCalledTimes(1);
+      const [studentId, pattern, subject] = studentMemory.rememberMisconception.mock.calls[0];
+      expect(studentId).toBe('student-1');
+      expect(subject).toBe('math');
+      expect(pattern).toEqual(expect.objectContaining({
+        misconceptionId: 'fraction-operations',
+        occurrences: 2,
+      }));
+      expect(pattern.recentMistakes).toBeUndefined();
+    });
+
+    it('does not remember a single wrong answer', async () => {
+      prisma.formativeAttempt.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.isCorrect === false ? [wrongAttempt('Adding fractions')] : []
+      ));
+
+      await formativeAssessmentService.submitAnswer('fq-1', 'student-1', '2/6');
+
+      expect(studentMemory.rememberMisconception).not.toHaveBeenCalled();
+    });
+
+    it('does not look for misconceptions after a correct answer', async () => {
+      prisma.formativeAttempt.findMany.mockResolvedValue([]);
+
+      const result = await formativeAssessmentService.submitAnswer('fq-1', 'student-1', '3/4');
+
+      expect(result.isCorrect).toBe(true);
+      expect(prisma.formativeAttempt.findMany).not.toHaveBeenCalledWith(
+        expect.objectContaining({ where: expect.objectContaining({ isCorrect: false }) })
+      );
+      expect(studentMemory.rememberMisconception).not.toHaveBeenCalled();
+    });
+
+    it('still grades the answer when memory cannot be written', async () => {
+      prisma.formativeAttempt.findMany.mockImplementation(({ where }) => Promise.resolve(
+        where.isCorrect === false ? [wrongAttempt('Adding fractions'), wrongAttempt('Fraction models')] : []
+      ));
+      studentMemory.rememberMisconception.mockRejectedValue(new Error('db down'));
+
+      const result = await formativeAssessmentService.submitAnswer('fq-1', 'student-1', '2/6');
+
+      expect(result.isCorrect).toBe(false);
+      expect(result.feedback).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Adaptive Testing
+ *
+ * Computerized adaptive tests over an assessment's questions. Each
+ * question is the one that tells us most about the student at their
+ * current ability estimate (lib/irt.js), so there are no wasted
+ * too-easy or too-hard questions, and the test stops as soon as the
+ * estimate is precise enough rather than after a fixed number.
+ *
+ * Question parameters come from itemCalibrationService. A finished test
+ * is saved as an AssessmentResult like a graded one, so its answers feed
+ * the next calibration.
+ *
+ * Schema: prisma/schema-item-response.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { estimateAbility, selectNextItem } from '../../lib/irt.js';
+import { itemCalibrationService } from './itemCalibrationService.js';
+
+// Stop once the ability estimate's standard error is below this...
+export const SE_THRESHOLD = 0.3;
+// ...or this, while any answered question is still uncalibrated: their
+// default discrimination (a = 1) can't reach 0.3 within MAX_QUESTIONS
+export const UNCALIBRATED_SE_THRESHOLD = 0.45;
+// ...but never before this many questions
+export const MIN_QUESTIONS = 5;
+// and never after this many
+export const MAX_QUESTIONS = 30;
+
+export const TEST_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+};
+
+export class AdaptiveTestError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'AdaptiveTestError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether the test has learned enough
+ * @param {Object} state - { standardError, answered, remaining, calibrated }
+ *   `calibrated` is whether every answered question has calibrated parameters
+ */
+export function shouldStop({ standardError, answered, remaining, calibrated = true }) {
+  if (remaining === 0 || answered >= MAX_QUESTIONS) return true;
+  const threshold = calibrated ? SE_THRESHOLD : UNCALIBRATED_SE_THRESHOLD;
+  return answered >= MIN_QUESTIONS && standardError < threshold;
+}
+
+/**
+ * A question as shown to the student, without its answer
+ */
+function toPublicQuestion(entry) {
+  if (!entry) return null;
+  const { text, type, options, points } = entry.question;
+  return { id: entry.id, text, type, options, points };
+}
+
+function toView(test, entries) {
+  return {
+    id: test.id,
+    assessmentId: test.assessmentId,
+    studentId: test.studentId,
+    status: test.status,
+    theta: test.theta,
+    standardError: test.standardError,
+    answered: test.responses.length,
+    question: test.status === TEST_STATUS.IN_PROGRESS
+      ? toPublicQuestion(entries.find(entry => entry.id === test.currentQuestionId))
+      : null,
+    resultId: test.resultId,
+  };
+}
+
+class AdaptiveTestService {
+  /**
+   * An assessment and its questions with their item parameters
+   * @returns {Promise<Object>} { assessment, entries }
+   */
+  async loadItems(assessmentId) {
+    const assessment = await prisma.assessment.findUnique({ where: { id: assessmentId } });
+    if (!assessment) {
+      throw new AdaptiveTestError('Assessment not found', 'ASSESSMENT_NOT_FOUND', 404);
+    }
+
+    const questions = assessment.metadata?.questions || [];
+    if (questions.length === 0) {
+      throw new AdaptiveTestError('Assessment has no questions', 'NO_QUESTIONS');
+    }
+
+    const entries = await itemCalibrationService.getAssessmentItems(assessmentId, questions);
+    return { assessment, entries };
+  }
+
+  async findTest(testId) {
+    const test = await prisma.adaptiveTest.findUnique({ where: { id: testId } });
+    if (!test) {
+      throw new AdaptiveTestError('Adaptive test not found', 'TEST_NOT_FOUND', 404);
+    }
+    return test;
+  }
+
+  /**
+   * Start an adaptive test, or pick up the student's unfinished one
+   * @returns {Promise<Object>} The test with its first question
+   */
+  async startTest(assessmentId, studentId) {
+    const { entries } = await this.loadItems(assessmentId);
+
+    const existing = await prisma.adaptiveTest.findFirst({
+      where: { assessmentId, studentId, status: TEST_STATUS.IN_PROGRESS },
+      orderBy: { startedAt: 'desc' },
+    });
+    if (existing) {
+      return toView(existing, entries);
+    }
+
+    const { theta, standardError } = estimateAbility([]);
+    const test = await prisma.adaptiveTest.create({
+      data: {
+        assessmentId,
+        studentId,
+        theta,
+        standardError,
+        currentQuestionId: selectNextItem(theta, entries).id,
+        responses: [],
+      },
+    });
+
+    return toView(test, entries);
+  }
+
+  async getTest(testId) {
+    const test = await this.findTest(testId);
+    const { entries } = await this.loadItems(test.assessmentId);
+    return toView(test, entries);
+  }
+
+  /**
+   * Answer the current question. Re-estimates ability, then either picks
+   * the next question or finishes the test and saves its result.
+   * @param {string} testId
+   * @param {Object} submission - { questionId, answer }
+   * @param {Function} checkAnswer - async (question, answer, assessment) => boolean
+   * @returns {Promise<Object>} { correct, test }
+   */
+  async submitAnswer(testId, { questionId, answer }, checkAnswer) {
+    const test = await this.findTest(testId);
+    if (test.status !== TEST_STATUS.IN_PROGRESS) {
+      throw new AdaptiveTestError('This test is already finished', 'TEST_COMPLETED', 409);
+    }
+    if (test.currentQuestionId !== questionId) {
+      throw new AdaptiveTestError('That is not the current question', 'WRONG_QUESTION', 409);
+    }
+
+    const { assessment, entries } = await this.loadItems(test.assessmentId);
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const current = byId.get(questionId);
+    if (!current) {
+      throw new AdaptiveTestError('Question is no longer in this assessment', 'WRONG_QUESTION', 409);
+    }
+
+    const correct = Boolean(await checkAnswer(current.question, answer, assessment));
+    const responses = [
+      ...test.responses,
+      { questionId, answer, correct, answeredAt: new Date().toISOString() },
+    ];
+
+    const { theta, standardError } = estimateAbility(
+      responses
+        .filter(response => byId.has(response.questionId))
+        .map(response => ({ item: byId.get(response.questionId).item, correct: response.correct }))
+    );
+
+    const given = new Set(responses.map(response => response.questionId));
+    const done = shouldStop({
+      standardError,
+      answered: responses.length,
+      remaining: entries.length - given.size,
+      calibrated: responses.every(response => byId.get(response.questionId)?.calibrated),
+    });
+    const next = done ? null : selectNextItem(theta, entries, given);
+
+    // Only one answer per question: a second submission finds it moved on
+    const claimed = await prisma.adaptiveTest.updateMany({
+      where: { id: testId, status: TEST_STATUS.IN_PROGRESS, currentQuestionId: questionId },
+      data: {
+        theta,
+        standardError,
+        responses,
+        currentQuestionId: next?.id || null,
+        ...(done && { status: TEST_STATUS.COMPLETED, completedAt: new Date() }),
+      },
+    });
+    if (claimed.count === 0) {
+      throw new AdaptiveTestError('That question was already answered', 'WRONG_QUESTION', 409);
+    }
+
+    let updated = {
+      ...test,
+      theta,
+      standardError,
+      responses,
+      currentQuestionId: next?.id || null,
+      status: done ? TEST_STATUS.COMPLETED : TEST_STATUS.IN_PROGRESS,
+    };
+
+    if (done) {
+      const result = await this.saveResult(updated, byId);
+      updated = await prisma.adaptiveTest.update({
+        where: { id: testId },
+        data: { resultId: result.id },
+      });
+    }
+
+    return { correct, test: toView(updated, entries) };
+  }
+
+  /**
+   * Save a finished test as an AssessmentResult
+   */
+  async saveResult(test, byId) {
+    const questionResults = test.responses.map(response => {
+      const question = byId.get(response.questionId)?.question || {};
+      return {
+        questionId: response.questionId,
+        question: question.text,
+        studentAnswer: response.answer,
+        correctAnswer: question.answer,
+        isCorrect: response.correct,
+        points: response.correct ? (question.points || 10) : 0,
+      };
+    });
+
+    const totalCorrect = questionResults.filter(result => result.isCorrect).length;
+    const maxPoints = test.responses.reduce(
+      (sum, response) => sum + (byId.get(response.questionId)?.question.points || 10),
+      0
+    );
+    const points = questionResults.reduce((sum, result) => sum + result.points, 0);
+
+    return prisma.assessmentResult.create({
+      data: {
+        assessmentId: test.assessmentId,
+        studentId: test.studentId,
+        score: maxPoints > 0 ? (points / maxPoints) * 100 : 0,
+        totalCorrect,
+        totalQuestions: questionResults.length,
+        questionResults,
+        abilityEstimate: test.theta,
+        standardError: test.standardError,
+        adaptive: true,
+        takenAt: new Date(),
+      },
+    });
+  }
+}
+
+export const adaptiveTestService = new AdaptiveTestService();
+export default adaptiveTestService;
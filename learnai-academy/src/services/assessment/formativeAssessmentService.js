@@ -1,5 +1,14 @@
 import prisma from '../../lib/prisma.js';
 import { logInfo, logError } from '../../lib/logger.js';
+import { checkAnswer as checkMathAnswer, isMathSubject } from '../../lib/mathEngine.js';
+import { findMisconceptionPatterns, MISCONCEPTION_PATTERNS } from '../../lib/mistakeAnalysis.js';
+import { studentMemory } from '../ai/studentMemory.js';
+
+// Question difficulty on the 1-10 scale mistake analysis uses
+const MISTAKE_DIFFICULTY = { easy: 3, medium: 5, hard: 8 };
+
+// Wrong answers looked at when matching misconceptions
+const MISCONCEPTION_LOOKBACK = 100;
 
 /**
  * FormativeAssessmentService - Real-time embedded questions
@@ -175,6 +184,10 @@ class FormativeAssessmentService {
       const isCorrect = this.checkAnswer(question, answer);
       const attempt = await this.recordAttempt(questionId, studentId, answer, isCorrect);
 
+      if (!isCorrect) {
+        await this.rememberMisconceptions(studentId, question);
+      }
+
       // Generate feedback
       const feedback = this.generateFeedback(question, answer, isCorrect, attempt.attemptNumber);
 
@@ -210,12 +223,24 @@ class FormativeAssessmentService {
     if (question.questionType === 'multiple-choice' || question.questionType === 'true-false') {
       return answer === question.correctAnswer;
     } else if (question.questionType === 'short-answer' || question.questionType === 'fill-blank') {
+      // Math answers are compared by value (3/4, 0.75 and 6/8 are all right)
+      if (isMathSubject(question.metadata?.subject)) {
+        const mathCheck = checkMathAnswer(question.correctAnswer, answer);
+        if (mathCheck.verifiable) {
+          return mathCheck.correct;
+        }
+      }
+
       // For text answers, use fuzzy matching or AI evaluation
       const correctAnswer = question.correctAnswer?.toLowerCase() || '';
       const studentAnswer = String(answer).toLowerCase();
       
       // Simple keyword matching (in production, use AI)
       const keywords = correctAnswer.split(' ').filter(w => w.length > 3);
+      if (keywords.length === 0) {
+        // Short answers ("CO2", "12:45") have no keywords to match
+        return studentAnswer.trim() === correctAnswer.trim();
+      }
       const matches = keywords.filter(keyword => studentAnswer.includes(keyword));
       
       return matches.length >= keywords.length * 0.7; // 70% keyword match
@@ -273,6 +298,63 @@ class FormativeAssessmentService {
     return attempt;
   }
 
+  /**
+   * Match the student's wrong answers in this subject against known
+   * misconceptions and store the ones this question touches in student
+   * memory, so the tutor can revisit them next session. Failures are
+   * logged and never affect grading.
+   * @param {string} studentId - Student ID
+   * @param {Object} question - The question just answered wrongly
+   * @returns {Promise<Array>} Patterns remembered
+   */
+  async rememberMisconceptions(studentId, question) {
+    try {
+      const subject = question.metadata?.subject?.toLowerCase();
+      if (!subject || !MISCONCEPTION_PATTERNS[subject]) {
+        return [];
+      }
+
+      const wrongAttempts = await prisma.formativeAttempt.findMany({
+        where: { studentId, isCorrect: false },
+        orderBy: { createdAt: 'desc' },
+        take: MISCONCEPTION_LOOKBACK,
+        select: {
+          createdAt: true,
+          question: { select: { concept: true, difficulty: true, metadata: true } },
+        },
+      });
+
+      const mistakes = wrongAttempts
+        .filter(a => a.question?.metadata?.subject?.toLowerCase() === subject)
+        .map(a => ({
+          topicId: (a.question.concept || '').toLowerCase(),
+          difficulty: MISTAKE_DIFFICULTY[a.question.difficulty] ?? MISTAKE_DIFFICULTY.medium,
+          timestamp: a.createdAt,
+        }))
+        .reverse();
+
+      const concept = (question.concept || '').toLowerCase();
+      const patterns = findMisconceptionPatterns(mistakes, subject)
+        .filter(p => p.affectedTopics.some(topic => concept.includes(topic)));
+
+      for (const { recentMistakes, ...pattern } of patterns) {
+        await studentMemory.rememberMisconception(studentId, pattern, subject);
+      }
+
+      if (patterns.length > 0) {
+        logInfo('Misconceptions remembered', {
+          studentId,
+          misconceptions: patterns.map(p => p.misconceptionId),
+        });
+      }
+
+      return patterns;
+    } catch (error) {
+      logError('Error remembering misconceptions', error);
+      return [];
+    }
+  }
+
   /**
    * Get questions for lesson
    * @param {string} lessonId - Lesson ID
@@ -0,0 +1,175 @@
+/**
+ * Item Calibration
+ *
+ * Fits 2PL item parameters (lib/irt.js) for assessment questions and
+ * formative questions from how students actually answered them. Both
+ * sources are calibrated together, so a student who answered both kinds
+ * links their scales.
+ *
+ * Assessment questions are identified by the assessment and their id in
+ * its metadata (the index when they have none, as in grading); formative
+ * questions by their row. Only first formative attempts count: later
+ * attempts come after hints and say little about the question itself.
+ *
+ * Schema: prisma/schema-item-response.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { logInfo } from '../../lib/logger.js';
+import { calibrateItems, itemFromDifficultyLevel } from '../../lib/irt.js';
+
+// Answers a question needs before its fitted parameters are trusted
+export const MIN_ITEM_RESPONSES = 30;
+// Most recent assessment results and formative attempts read per run
+export const MAX_RESPONSES = 50000;
+
+// Formative questions are rated easy / medium / hard
+const FORMATIVE_DIFFICULTY_LEVELS = { easy: 2, medium: 3, hard: 4 };
+
+/**
+ * A question's id within an assessment
+ */
+export function questionIdOf(question, index) {
+  return String(question.id || index);
+}
+
+export function assessmentItemKey(assessmentId, questionId) {
+  return `assessment:${assessmentId}:${questionId}`;
+}
+
+export function formativeItemKey(questionId) {
+  return `formative:${questionId}`;
+}
+
+/**
+ * Parameters for a question that hasn't been calibrated, from its
+ * author's difficulty rating (1-5 for generated diagnostic questions)
+ */
+export function priorItem(question) {
+  if (typeof question.difficulty === 'string') {
+    return itemFromDifficultyLevel(FORMATIVE_DIFFICULTY_LEVELS[question.difficulty.toLowerCase()]);
+  }
+  return itemFromDifficultyLevel(question.difficulty);
+}
+
+class ItemCalibrationService {
+  /**
+   * Answers from both sources as { personId, itemId, correct }
+   */
+  async collectResponses() {
+    const [results, attempts] = await Promise.all([
+      prisma.assessmentResult.findMany({
+        orderBy: { takenAt: 'desc' },
+        take: MAX_RESPONSES,
+        select: { studentId: true, assessmentId: true, questionResults: true },
+      }),
+      prisma.formativeAttempt.findMany({
+        where: { attemptNumber: 1 },
+        orderBy: { createdAt: 'desc' },
+        take: MAX_RESPONSES,
+        select: { studentId: true, questionId: true, isCorrect: true },
+      }),
+    ]);
+
+    const responses = [];
+    for (const result of results) {
+      for (const [index, answer] of (result.questionResults || []).entries()) {
+        responses.push({
+          personId: result.studentId,
+          itemId: assessmentItemKey(result.assessmentId, questionIdOf({ id: answer.questionId }, index)),
+          correct: Boolean(answer.isCorrect),
+        });
+      }
+    }
+    for (const attempt of attempts) {
+      responses.push({
+        personId: attempt.studentId,
+        itemId: formativeItemKey(attempt.questionId),
+        correct: attempt.isCorrect,
+      });
+    }
+
+    return responses;
+  }
+
+  /**
+   * Recalibrate every question with enough answers
+   * @returns {Promise<Object>} { calibrated, skipped, responses }
+   */
+  async calibrateAll() {
+    const responses = await this.collectResponses();
+    if (responses.length === 0) {
+      return { calibrated: 0, skipped: 0, responses: 0 };
+    }
+
+    // Start from the current calibration so runs converge quickly
+    const existing = await prisma.itemCalibration.findMany();
+    const initial = new Map(existing.map(row => [
+      row.itemKey,
+      { discrimination: row.discrimination, difficulty: row.difficulty },
+    ]));
+
+    const { items } = calibrateItems(responses, { initial });
+
+    let calibrated = 0;
+    for (const [itemKey, item] of items) {
+      if (item.responses < MIN_ITEM_RESPONSES) continue;
+
+      const [source, ...rest] = itemKey.split(':');
+      const data = {
+        discrimination: item.discrimination,
+        difficulty: item.difficulty,
+        responsesUsed: item.responses,
+        calibratedAt: new Date(),
+      };
+
+      await prisma.itemCalibration.upsert({
+        where: { itemKey },
+        update: data,
+        create: {
+          itemKey,
+          source,
+          assessmentId: source === 'assessment' ? rest[0] : null,
+          questionId: (source === 'assessment' ? rest.slice(1) : rest).join(':'),
+          ...data,
+        },
+      });
+      calibrated++;
+    }
+
+    logInfo('Calibrated assessment items', { calibrated, responses: responses.length });
+
+    return { calibrated, skipped: items.size - calibrated, responses: responses.length };
+  }
+
+  /**
+   * Item parameters for an assessment's questions: calibrated where
+   * there are, the prior from their difficulty otherwise
+   * @returns {Promise<Array>} [{ id, question, item, calibrated }]
+   */
+  async getAssessmentItems(assessmentId, questions) {
+    const entries = questions.map((question, index) => ({
+      id: questionIdOf(question, index),
+      question,
+    }));
+
+    const calibrations = await prisma.itemCalibration.findMany({
+      where: { itemKey: { in: entries.map(entry => assessmentItemKey(assessmentId, entry.id)) } },
+    });
+    const byKey = new Map(calibrations.map(row => [row.itemKey, row]));
+
+    return entries.map(entry => {
+      const calibration = byKey.get(assessmentItemKey(assessmentId, entry.id));
+      return {
+        ...entry,
+        item: calibration
+          ? { discrimination: calibration.discrimination, difficulty: calibration.difficulty }
+          : priorItem(entry.question),
+        calibrated: Boolean(calibration),
+      };
+    });
+  }
+}
+
+export const itemCalibrationService = new ItemCalibrationService();
+export default itemCalibrationService;
@@ -3,7 +3,8 @@ import crypto from 'crypto';
 
 class CacheService {
   /**
-   * Cache common AI responses
+   * Cache common AI responses (exact question match). Tutor answers go
+   * through the semantic cache instead - see services/ai/semanticCache.js
    */
   async getCachedResponse(subjectId, topicId, question) {
     try {
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import { codeRunner, RUN_STATUS, outputsMatch, normalizeOutput } from '../codeRunner';
+
+jest.setTimeout(30000);
+
+describe('codeRunner', () => {
+  describe('JavaScript', () => {
+    it('should capture printed output and input()', async () => {
+      const result = await codeRunner.run('javascript', 'const name = input();\nconsole.log("Hi", name, [1, 2]);', { stdin: 'Ada' });
+
+      expect(result.status).toBe(RUN_STATUS.OK);
+      expect(result.stdout).toBe('Hi Ada [1,2]');
+    });
+
+    it('should report errors with their line', async () => {
+      const result = await codeRunner.run('javascript', 'let total = 1;\ntotl += 1;');
+
+      expect(result.status).toBe(RUN_STATUS.ERROR);
+      expect(result.error).toMatchObject({ type: 'ReferenceError', line: 2 });
+    });
+
+    it('should stop infinite loops', async () => {
+      const result = await codeRunner.run('javascript', 'while (true) {}');
+
+      expect(result.status).toBe(RUN_STATUS.TIMEOUT);
+    });
+
+    it('should not reach the host process', async () => {
+      const escapes = [
+        'console.log(typeof require, typeof process)',
+        'console.log(this.constructor.constructor("return process")())',
+        'console.log(console.log.constructor("return process")())',
+      ];
+
+      const results = await Promise.all(escapes.map(code => codeRunner.run('javascript', code)));
+
+      expect(results[0].stdout).toBe('undefined undefined');
+      expect(results[1].error?.type).toBe('EvalError');
+      expect(results[2].error?.type).toBe('EvalError');
+    });
+
+    it('should grade a function against test cases', async () => {
+      const code = 'function addTwo(n) { return n + 2; }';
+      const result = await codeRunner.runTests('javascript', code, [
+        { args: [1], expected: 3 },
+        { args: [-2], expected: 0, hidden: true },
+        { args: [5], expected: 8, hidden: true },
+      ], { entry: 'addTwo' });
+
+      expect(result.passed).toBe(2);
+      expect(result.total).toBe(3);
+      expect(result.results[2]).toMatchObject({ hidden: true, passed: false, actual: 7 });
+    });
+  });
+
+  describe('Python', () => {
+    let available;
+
+    beforeAll(async () => {
+      available = await codeRunner.isAvailable('python');
+    });
+
+    it('should run Python when an interpreter is installed', async () => {
+      if (!available) return;
+
+      const result = await codeRunner.runTests('python', 'name = input()\nprint("Hello, " + name + "!")', [
+        { stdin: 'Sam', expectedOutput: 'Hello, Sam!' },
+      ]);
+
+      expect(result.passed).toBe(1);
+      expect((await codeRunner.run('python', 'import math, random, collections\nprint(math.sqrt(16))')).stdout).toBe('4.0\n');
+    });
+
+    it('should cap memory', async () => {
+      if (!available) return;
+
+      expect((await codeRunner.run('python', 'data = [0] * 10**9')).status).toBe(RUN_STATUS.MEMORY);
+    });
+
+    it('should refuse files, processes and the network', async () => {
+      if (!available) return;
+
+      const result = await codeRunner.run('python', 'import os\nos.system("ls")');
+
+      expect(result.error).toMatchObject({ type: 'PermissionError', line: 2 });
+      expect((await codeRunner.run('python', 'open("/etc/passwd").read()')).error.type).toBe('PermissionError');
+    });
+
+    it('should stop infinite loops', async () => {
+      if (!available) return;
+
+      expect((await codeRunner.run('python', 'while True:\n    pass')).status).toBe(RUN_STATUS.TIMEOUT);
+    });
+  });
+
+  describe('outputsMatch', () => {
+    it('should compare values structurally', () => {
+      expect(outputsMatch([1, { a: 'x' }], [1, { a: 'x' }])).toBe(true);
+      expect(outputsMatch(0.3, 0.1 + 0.2)).toBe(true);
+      expect(outputsMatch('3', 3)).toBe(false);
+    });
+  });
+
+  describe('normalizeOutput', () => {
+    it('should ignore trailing spaces and blank lines', () => {
+      expect(normalizeOutput('a  \r\nb\n\n')).toBe('a\nb');
+    });
+  });
+});
@@ -0,0 +1,367 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JS_HARNESS, PY_HARNESS } from './harnesses.js';
+import { logError } from '../../lib/logger.js';
+
+/**
+ * CodeRunner - Runs student code in a sandbox
+ *
+ * Each run is a separate child process with no environment, an empty
+ * temporary working directory, a wall-clock timeout and a memory cap:
+ * - JavaScript runs in a bare vm context under Node's permission model
+ *   (no file system, child processes or workers)
+ * - Python runs when an interpreter is available (CODE_RUNNER_PYTHON,
+ *   default python3), under resource limits and an audit hook that
+ *   refuses network, process and file access
+ *
+ * Returns stdout, errors (type, message, line) and - for graded
+ * submissions - per-test results. Expected outputs never enter the
+ * sandbox; results are compared here.
+ */
+
+export const LANGUAGES = {
+  JAVASCRIPT: 'javascript',
+  PYTHON: 'python',
+};
+
+export const RUN_STATUS = {
+  OK: 'ok',
+  ERROR: 'error',
+  TIMEOUT: 'timeout',
+  MEMORY: 'memory',
+  UNAVAILABLE: 'unavailable',
+};
+
+export const RUN_LIMITS = {
+  timeoutMs: parseInt(process.env.CODE_RUNNER_TIMEOUT_MS || '3000', 10),
+  memoryMb: parseInt(process.env.CODE_RUNNER_MEMORY_MB || '128', 10),
+  outputChars: 10000,
+  maxCodeChars: 20000,
+};
+
+// Child processes started at once; the rest wait their turn
+const MAX_CONCURRENT_RUNS = parseInt(process.env.CODE_RUNNER_CONCURRENCY || '2', 10);
+
+// Time to start the interpreter, on top of the per-run timeout
+const STARTUP_GRACE_MS = 2000;
+
+// Parent-side cap on what a child may write before it is killed
+const MAX_PROCESS_OUTPUT = 1024 * 1024;
+
+const ENTRY_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Whether a test result matches what was expected. Return values are
+ * compared as JSON (numbers within 1e-9); printed output ignores trailing
+ * spaces and blank lines.
+ */
+export function outputsMatch(expected, actual) {
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return Math.abs(expected - actual) < 1e-9;
+  }
+  if (Array.isArray(expected) && Array.isArray(actual)) {
+    return expected.length === actual.length && expected.every((value, i) => outputsMatch(value, actual[i]));
+  }
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+    const keys = Object.keys(expected);
+    return keys.length === Object.keys(actual).length && keys.every(key => outputsMatch(expected[key], actual[key]));
+  }
+  return expected === actual;
+}
+
+export function normalizeOutput(text = '') {
+  return String(text).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+}
+
+function parseReturnValue(json) {
+  if (json === null || json === undefined) return undefined;
+  try {
+    return JSON.parse(json);
+  } catch {
+    return json;
+  }
+}
+
+class CodeRunner {
+  constructor() {
+    this.active = 0;
+    this.waiting = [];
+    this.pythonAvailable = null;
+  }
+
+  /**
+   * Whether a language can be run here
+   */
+  async isAvailable(language) {
+    if (language === LANGUAGES.JAVASCRIPT) return true;
+    if (language !== LANGUAGES.PYTHON) return false;
+
+    if (this.pythonAvailable === null) {
+      this.pythonAvailable = new Promise((resolve) => {
+        const child = spawn(this.pythonCommand(), ['--version'], { stdio: 'ignore' });
+        child.on('error', () => resolve(false));
+        child.on('exit', code => resolve(code === 0));
+      });
+    }
+    return this.pythonAvailable;
+  }
+
+  pythonCommand() {
+    return process.env.CODE_RUNNER_PYTHON || 'python3';
+  }
+
+  /**
+   * Run code once
+   * @param {string} language - One of LANGUAGES
+   * @param {string} code - Student code
+   * @param {Object} options - { stdin }
+   * @returns {Promise<Object>} { language, status, stdout, error, durationMs }
+   */
+  async run(language, code, { stdin = '' } = {}) {
+    const execution = await this.execute(language, code, [{ stdin }]);
+    const [result] = execution.results;
+
+    return {
+      language,
+      status: execution.status,
+      stdout: result?.stdout || '',
+      error: result?.error || execution.error || null,
+      durationMs: execution.durationMs,
+    };
+  }
+
+  /**
+   * Run code against test cases
+   * @param {string} language - One of LANGUAGES
+   * @param {string} code - Student code
+   * @param {Array<Object>} tests - [{ args, expected } | { stdin, expectedOutput }, hidden]
+   * @param {Object} options - { entry } function to call with each test's args;
+   *   without it each test's printed output is compared
+   * @returns {Promise<Object>} { language, status, passed, total, results: [{ index, hidden, passed, stdout, error, actual }] }
+   */
+  async runTests(language, code, tests, { entry = null } = {}) {
+    if (entry && !ENTRY_PATTERN.test(entry)) {
+      throw new Error(`Invalid entry function: ${entry}`);
+    }
+
+    const execution = await this.execute(
+      language,
+      code,
+      tests.map(test => (entry ? { args: test.args || [] } : { stdin: test.stdin || '' })),
+      { entry }
+    );
+
+    const results = tests.map((test, index) => {
+      const run = execution.results[index];
+      if (!run) {
+        return {
+          index,
+          hidden: Boolean(test.hidden),
+          passed: false,
+          stdout: '',
+          error: execution.error || { type: 'Error', message: 'Test did not run', line: null },
+        };
+      }
+
+      const actual = entry ? parseReturnValue(run.returnValue) : run.stdout;
+      const passed = !run.error && (entry
+        ? outputsMatch(test.expected, actual)
+        : normalizeOutput(test.expectedOutput) === normalizeOutput(run.stdout));
+
+      return {
+        index,
+        hidden: Boolean(test.hidden),
+        passed,
+        stdout: run.stdout,
+        error: run.error,
+        actual,
+      };
+    });
+
+    return {
+      language,
+      status: execution.status,
+      passed: results.filter(result => result.passed).length,
+      total: tests.length,
+      results,
+      durationMs: execution.durationMs,
+    };
+  }
+
+  /**
+   * Start a sandboxed process for a set of runs
+   * @returns {Promise<Object>} { status, results, error, durationMs }
+   */
+  async execute(language, code, runs, { entry = null } = {}) {
+    if (!(await this.isAvailable(language))) {
+      return {
+        status: RUN_STATUS.UNAVAILABLE,
+        results: [],
+        error: { type: 'UnavailableError', message: `${language} can't be run here yet`, line: null },
+        durationMs: 0,
+      };
+    }
+    if (typeof code !== 'string' || code.length > RUN_LIMITS.maxCodeChars) {
+      return {
+        status: RUN_STATUS.ERROR,
+        results: [],
+        error: { type: 'Error', message: `Code must be under ${RUN_LIMITS.maxCodeChars} characters`, line: null },
+        durationMs: 0,
+      };
+    }
+
+    await this.acquire();
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+    try {
+      return await this.spawnSandbox(language, {
+        code,
+        runs,
+        entry,
+        timeoutMs: RUN_LIMITS.timeoutMs,
+        outputChars: RUN_LIMITS.outputChars,
+        memoryBytes: RUN_LIMITS.memoryMb * 1024 * 1024,
+      }, workDir);
+    } catch (error) {
+      logError('Code runner failed', error);
+      return {
+        status: RUN_STATUS.ERROR,
+        results: [],
+        error: { type: 'Error', message: 'The code runner failed to start', line: null },
+        durationMs: 0,
+      };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      this.release();
+    }
+  }
+
+  spawnSandbox(language, payload, workDir) {
+    const marker = `@@${crypto.randomBytes(8).toString('hex')}@@`;
+    const [command, args] = language === LANGUAGES.JAVASCRIPT
+      ? [process.execPath, [
+        '--experimental-permission',
+        `--max-old-space-size=${RUN_LIMITS.memoryMb}`,
+        '--disallow-code-generation-from-strings',
+        '--no-warnings',
+        '-e', JS_HARNESS,
+        marker,
+      ]]
+      : [this.pythonCommand(), ['-I', '-S', '-B', '-c', PY_HARNESS, marker]];
+
+    return new Promise((resolve, reject) => {
+      const startedAt = Date.now();
+      const child = spawn(command, args, {
+        cwd: workDir,
+        env: { PATH: process.env.PATH || '', LANG: 'C.UTF-8' },
+        stdio: ['pipe', 'pipe', 'pipe'],
+      });
+
+      let stdout = '';
+      let stderr = '';
+      let timedOut = false;
+      let overflowed = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, RUN_LIMITS.timeoutMs * payload.runs.length + STARTUP_GRACE_MS);
+
+      child.stdout.on('data', (chunk) => {
+        stdout += chunk;
+        if (stdout.length > MAX_PROCESS_OUTPUT) {
+          overflowed = true;
+          child.kill('SIGKILL');
+        }
+      });
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+
+        const results = stdout.split('\n')
+          .filter(line => line.startsWith(marker))
+          .map((line) => {
+            try {
+              return JSON.parse(line.slice(marker.length));
+            } catch {
+              return null;
+            }
+          })
+          .filter(Boolean);
+
+        resolve({
+          ...this.resolveStatus({ results, timedOut, overflowed, exitCode, signal, stderr, expected: payload.runs.length }),
+          results,
+          durationMs: Date.now() - startedAt,
+        });
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  }
+
+  /**
+   * Overall status of a sandbox process from how it ended
+   */
+  resolveStatus({ results, timedOut, overflowed, exitCode, signal, stderr, expected }) {
+    const errorTypes = results.map(result => result.error?.type).filter(Boolean);
+    const outOfMemory = /heap out of memory|MemoryError/i.test(stderr) || errorTypes.includes('MemoryError');
+
+    if (outOfMemory) {
+      return {
+        status: RUN_STATUS.MEMORY,
+        error: { type: 'MemoryError', message: `Your code used more than ${RUN_LIMITS.memoryMb} MB of memory`, line: null },
+      };
+    }
+    if (timedOut || signal === 'SIGXCPU' || errorTypes.includes('TimeoutError')) {
+      return {
+        status: RUN_STATUS.TIMEOUT,
+        error: { type: 'TimeoutError', message: `Your code took longer than ${RUN_LIMITS.timeoutMs / 1000} seconds - is there a loop that never ends?`, line: null },
+      };
+    }
+    if (overflowed) {
+      return {
+        status: RUN_STATUS.ERROR,
+        error: { type: 'OutputError', message: 'Your code printed too much output', line: null },
+      };
+    }
+    if (results.length < expected || (exitCode !== 0 && results.length === 0)) {
+      logError('Sandbox exited unexpectedly', new Error(stderr.slice(-500) || `exit ${exitCode} ${signal || ''}`));
+      return {
+        status: RUN_STATUS.ERROR,
+        error: { type: 'Error', message: 'Your program stopped unexpectedly', line: null },
+      };
+    }
+
+    return { status: errorTypes.length > 0 ? RUN_STATUS.ERROR : RUN_STATUS.OK, error: null };
+  }
+
+  acquire() {
+    if (this.active < MAX_CONCURRENT_RUNS) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+export const codeRunner = new CodeRunner();
+export default codeRunner;
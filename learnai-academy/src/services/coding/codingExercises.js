@@ -0,0 +1,236 @@
+import { codeRunner } from './codeRunner.js';
+
+/**
+ * Coding Exercises
+ *
+ * Practice exercises for CodingAgent, graded by running the student's
+ * code against test cases. The first `visibleTests` tests are shown as
+ * examples; the rest are hidden - their inputs and expected outputs are
+ * never sent to the model or the student.
+ *
+ * Function exercises give an `entry` per language and tests of
+ * { args, expected }; output exercises compare what is printed for
+ * { stdin, expectedOutput }.
+ */
+
+export const CODING_EXERCISES = [
+  {
+    id: 'hello-name',
+    title: 'Say Hello',
+    difficulty: 'easy',
+    prompt: 'Read a name with input() and print "Hello, <name>!"',
+    starter: {
+      javascript: 'const name = input();\n// print a greeting with console.log\n',
+      python: 'name = input()\n# print a greeting\n',
+    },
+    visibleTests: 1,
+    tests: [
+      { stdin: 'Ada', expectedOutput: 'Hello, Ada!' },
+      { stdin: 'Grace', expectedOutput: 'Hello, Grace!' },
+      { stdin: 'Alan Turing', expectedOutput: 'Hello, Alan Turing!' },
+    ],
+  },
+  {
+    id: 'add-two',
+    title: 'Add Two',
+    difficulty: 'easy',
+    prompt: 'Write a function that takes a number and returns that number plus 2.',
+    entry: { javascript: 'addTwo', python: 'add_two' },
+    starter: {
+      javascript: 'function addTwo(n) {\n  // your code here\n}\n',
+      python: 'def add_two(n):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: [3], expected: 5 },
+      { args: [0], expected: 2 },
+      { args: [-2], expected: 0 },
+      { args: [100], expected: 102 },
+    ],
+  },
+  {
+    id: 'even-or-odd',
+    title: 'Even or Odd',
+    difficulty: 'easy',
+    prompt: 'Write a function that returns "even" if a whole number is even and "odd" if it is odd.',
+    entry: { javascript: 'evenOrOdd', python: 'even_or_odd' },
+    starter: {
+      javascript: 'function evenOrOdd(n) {\n  // your code here\n}\n',
+      python: 'def even_or_odd(n):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: [4], expected: 'even' },
+      { args: [7], expected: 'odd' },
+      { args: [0], expected: 'even' },
+      { args: [-3], expected: 'odd' },
+    ],
+  },
+  {
+    id: 'sum-list',
+    title: 'Add Them Up',
+    difficulty: 'medium',
+    prompt: 'Write a function that returns the sum of a list of numbers. An empty list adds up to 0.',
+    entry: { javascript: 'sumList', python: 'sum_list' },
+    starter: {
+      javascript: 'function sumList(numbers) {\n  // your code here\n}\n',
+      python: 'def sum_list(numbers):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: [[1, 2, 3]], expected: 6 },
+      { args: [[]], expected: 0 },
+      { args: [[-5, 5, 10]], expected: 10 },
+      { args: [[0.5, 0.25]], expected: 0.75 },
+    ],
+  },
+  {
+    id: 'count-vowels',
+    title: 'Vowel Counter',
+    difficulty: 'medium',
+    prompt: 'Write a function that counts the vowels (a, e, i, o, u - upper or lower case) in a string.',
+    entry: { javascript: 'countVowels', python: 'count_vowels' },
+    starter: {
+      javascript: 'function countVowels(text) {\n  // your code here\n}\n',
+      python: 'def count_vowels(text):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: ['hello'], expected: 2 },
+      { args: ['sky'], expected: 0 },
+      { args: ['AEIOU'], expected: 5 },
+      { args: ['Programming is fun'], expected: 5 },
+    ],
+  },
+  {
+    id: 'fizzbuzz',
+    title: 'FizzBuzz',
+    difficulty: 'medium',
+    prompt: 'Write a function that returns "Fizz" for multiples of 3, "Buzz" for multiples of 5, "FizzBuzz" for multiples of both, and otherwise the number as a string.',
+    entry: { javascript: 'fizzBuzz', python: 'fizz_buzz' },
+    starter: {
+      javascript: 'function fizzBuzz(n) {\n  // your code here\n}\n',
+      python: 'def fizz_buzz(n):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 3,
+    tests: [
+      { args: [3], expected: 'Fizz' },
+      { args: [10], expected: 'Buzz' },
+      { args: [7], expected: '7' },
+      { args: [15], expected: 'FizzBuzz' },
+      { args: [30], expected: 'FizzBuzz' },
+      { args: [1], expected: '1' },
+    ],
+  },
+  {
+    id: 'largest-number',
+    title: 'Biggest Number',
+    difficulty: 'hard',
+    prompt: 'Write a function that returns the largest number in a non-empty list - without using a built-in max function.',
+    entry: { javascript: 'largest', python: 'largest' },
+    starter: {
+      javascript: 'function largest(numbers) {\n  // your code here\n}\n',
+      python: 'def largest(numbers):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: [[3, 9, 2]], expected: 9 },
+      { args: [[-4, -1, -7]], expected: -1 },
+      { args: [[5]], expected: 5 },
+      { args: [[2, 2, 1]], expected: 2 },
+    ],
+  },
+  {
+    id: 'palindrome',
+    title: 'Palindrome Checker',
+    difficulty: 'hard',
+    prompt: 'Write a function that returns true if a phrase reads the same forwards and backwards, ignoring spaces and upper/lower case.',
+    entry: { javascript: 'isPalindrome', python: 'is_palindrome' },
+    starter: {
+      javascript: 'function isPalindrome(phrase) {\n  // your code here\n}\n',
+      python: 'def is_palindrome(phrase):\n    # your code here\n    pass\n',
+    },
+    visibleTests: 2,
+    tests: [
+      { args: ['racecar'], expected: true },
+      { args: ['hello'], expected: false },
+      { args: ['Never odd or even'], expected: true },
+      { args: ['ab'], expected: false },
+      { args: [''], expected: true },
+    ],
+  },
+];
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+export function getExercise(id) {
+  return CODING_EXERCISES.find(exercise => exercise.id === id) || null;
+}
+
+/**
+ * Next exercise at (or nearest to) a difficulty, skipping ones already done
+ * @param {Object} options - { difficulty, exclude: exercise IDs }
+ */
+export function pickExercise({ difficulty = 'easy', exclude = [] } = {}) {
+  const target = Math.max(0, DIFFICULTY_ORDER.indexOf(difficulty));
+  const candidates = CODING_EXERCISES.filter(exercise => !exclude.includes(exercise.id));
+  if (candidates.length === 0) return CODING_EXERCISES[0];
+
+  return candidates.sort((a, b) =>
+    Math.abs(DIFFICULTY_ORDER.indexOf(a.difficulty) - target) - Math.abs(DIFFICULTY_ORDER.indexOf(b.difficulty) - target))[0];
+}
+
+/**
+ * What the student (and the model) may see: no hidden tests
+ */
+export function publicExercise(exercise, language) {
+  const visible = exercise.tests.slice(0, exercise.visibleTests);
+
+  return {
+    id: exercise.id,
+    title: exercise.title,
+    difficulty: exercise.difficulty,
+    language,
+    prompt: exercise.prompt,
+    entry: exercise.entry?.[language] || null,
+    starterCode: exercise.starter[language],
+    examples: visible.map(test => (exercise.entry
+      ? { args: test.args, expected: test.expected }
+      : { stdin: test.stdin, expectedOutput: test.expectedOutput })),
+  };
+}
+
+/**
+ * Grade a submission against all of an exercise's tests. Hidden test
+ * results carry only whether they passed and the error type.
+ * @returns {Promise<Object>} { exerciseId, language, status, passed, total, allPassed, results }
+ */
+export async function gradeSubmission(exercise, language, code) {
+  const tests = exercise.tests.map((test, index) => ({ ...test, hidden: index >= exercise.visibleTests }));
+  const run = await codeRunner.runTests(language, code, tests, { entry: exercise.entry?.[language] || null });
+
+  return {
+    exerciseId: exercise.id,
+    language,
+    status: run.status,
+    passed: run.passed,
+    total: run.total,
+    allPassed: run.total > 0 && run.passed === run.total,
+    results: run.results.map((result) => {
+      const test = tests[result.index];
+      if (result.hidden) {
+        return {
+          index: result.index,
+          hidden: true,
+          passed: result.passed,
+          error: result.error ? { type: result.error.type } : null,
+        };
+      }
+      return {
+        ...result,
+        input: exercise.entry ? test.args : test.stdin,
+        expected: exercise.entry ? test.expected : test.expectedOutput,
+      };
+    }),
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Sandbox Harnesses
+ *
+ * Programs the code runner starts in a child process to run student code.
+ * Each reads { code, runs, entry, timeoutMs, outputChars, memoryBytes }
+ * as JSON on stdin, runs the code once per run (fresh globals, the run's
+ * stdin, or a call to `entry` with the run's args) and writes one result
+ * line per run, prefixed with the marker given as the first argument:
+ *
+ *   <marker>{"index":0,"stdout":"...","error":null,"returnValue":"5"}
+ *
+ * `returnValue` is JSON text. The harnesses never see expected outputs -
+ * results are compared by the parent (codeRunner.js).
+ */
+
+/**
+ * JavaScript: a vm context with no host objects in it (console and
+ * input() are defined inside the context), run under Node's permission
+ * model with no file, child-process or worker access.
+ */
+export const JS_HARNESS = `
+const vm = require('vm');
+const marker = process.argv[1];
+
+const SETUP = [
+  'var __output = []; var __size = 0;',
+  'var __format = function (value) {',
+  '  if (typeof value === "string") return value;',
+  '  try { var json = JSON.stringify(value); return json === undefined ? String(value) : json; }',
+  '  catch (e) { return String(value); }',
+  '};',
+  'var __print = function () {',
+  '  var line = Array.prototype.map.call(arguments, __format).join(" ");',
+  '  if (__size < __limit) { __output.push(line); __size += line.length + 1; }',
+  '};',
+  'var console = { log: __print, info: __print, warn: __print, error: __print, debug: __print };',
+  'var input = function () { return __lines.length > 0 ? __lines.shift() : ""; };',
+  'var prompt = input;',
+  'var __serialize = function (value) { return value === undefined ? null : JSON.stringify(value); };',
+].join('\\n');
+
+function describeError(error) {
+  try {
+    const stack = String(error && error.stack || '');
+    const line = stack.match(/main\\.js:(\\d+)/);
+    return {
+      type: String(error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ? 'TimeoutError' : (error && error.name) || 'Error'),
+      message: String(error && error.message !== undefined ? error.message : error),
+      line: line ? Number(line[1]) : null,
+    };
+  } catch (e) {
+    return { type: 'Error', message: 'Your code threw something that is not an error', line: null };
+  }
+}
+
+let raw = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { raw += chunk; });
+process.stdin.on('end', () => {
+  const { code, runs, entry, timeoutMs, outputChars } = JSON.parse(raw);
+
+  runs.forEach((run, index) => {
+    const context = vm.createContext({}, { codeGeneration: { strings: false, wasm: false } });
+    vm.runInContext(
+      'var __limit = ' + Number(outputChars) + '; var __lines = ' + JSON.stringify(String(run.stdin || '').split('\\n')) + ';\\n' + SETUP,
+      context
+    );
+
+    const result = { index, stdout: '', error: null };
+    try {
+      vm.runInContext(code, context, { filename: 'main.js', timeout: timeoutMs });
+      if (entry) {
+        result.returnValue = vm.runInContext(
+          '__serialize(' + entry + '(...JSON.parse(' + JSON.stringify(JSON.stringify(run.args || [])) + ')))',
+          context,
+          { filename: 'main.js', timeout: timeoutMs }
+        );
+      }
+    } catch (error) {
+      result.error = describeError(error);
+    }
+
+    try {
+      result.stdout = String(vm.runInContext('__output.join("\\\\n")', context)).slice(0, outputChars);
+    } catch (e) {
+      result.stdout = '';
+    }
+    process.stdout.write(marker + JSON.stringify(result) + '\\n');
+  });
+});
+`;
+
+/**
+ * Python: resource limits (memory, CPU time, no file writes), an audit
+ * hook that refuses network, process, file-system and ctypes access, and
+ * a per-run alarm for infinite loops.
+ */
+export const PY_HARNESS = `
+import builtins, io, json, os, resource, signal, sys, traceback
+
+marker = sys.argv[1]
+payload = json.loads(sys.stdin.read())
+real_stdout = sys.stdout
+
+memory = int(payload['memoryBytes'])
+resource.setrlimit(resource.RLIMIT_AS, (memory, memory))
+resource.setrlimit(resource.RLIMIT_FSIZE, (0, 0))
+cpu = max(1, int(payload['timeoutMs'] * len(payload['runs']) / 1000) + 1)
+resource.setrlimit(resource.RLIMIT_CPU, (cpu, cpu))
+
+class RunTimeout(BaseException):
+    pass
+
+def on_alarm(signum, frame):
+    raise RunTimeout()
+
+signal.signal(signal.SIGALRM, on_alarm)
+
+ALLOWED_ROOTS = tuple({sys.prefix, sys.base_prefix, sys.exec_prefix})
+BLOCKED = (
+    'socket.', 'subprocess.', 'os.system', 'os.exec', 'os.fork', 'os.forkpty', 'os.posix_spawn',
+    'os.spawn', 'os.kill', 'os.killpg', 'os.remove', 'os.unlink', 'os.rename', 'os.rmdir', 'os.mkdir',
+    'os.chmod', 'os.chown', 'os.chdir', 'os.truncate', 'os.symlink', 'os.link', 'os.putenv',
+    'os.unsetenv', 'os.listdir', 'os.scandir', 'shutil.', 'ctypes.', 'urllib.', 'webbrowser.',
+    'pty.', 'resource.setrlimit', 'signal.', 'sys.settrace', 'sys.setprofile', 'import.ctypes',
+)
+WRITE_FLAGS = os.O_WRONLY | os.O_RDWR | os.O_CREAT | os.O_TRUNC | os.O_APPEND
+
+def audit(event, args):
+    if event == 'open':
+        path, mode, flags = args
+        if isinstance(path, int):
+            return
+        writing = any(c in mode for c in 'wax+') if isinstance(mode, str) else bool((flags or 0) & WRITE_FLAGS)
+        if writing or not str(path).startswith(ALLOWED_ROOTS):
+            raise PermissionError('Files are not available in the sandbox')
+    elif event.startswith(BLOCKED):
+        raise PermissionError(event + ' is not allowed in the sandbox')
+
+class CappedOutput(io.StringIO):
+    def write(self, text):
+        room = payload['outputChars'] - self.tell()
+        return super().write(text[:room]) if room > 0 else 0
+
+def describe(error):
+    if isinstance(error, RunTimeout):
+        return {'type': 'TimeoutError', 'message': 'Script execution timed out', 'line': None}
+    line = getattr(error, 'lineno', None) if isinstance(error, SyntaxError) else None
+    for frame, lineno in traceback.walk_tb(error.__traceback__):
+        if frame.f_code.co_filename == 'main.py':
+            line = lineno
+    return {'type': type(error).__name__, 'message': str(error), 'line': line}
+
+def serialize(value):
+    try:
+        return json.dumps(value)
+    except (TypeError, ValueError):
+        return json.dumps(repr(value))
+
+code = payload['code']
+entry = payload.get('entry')
+timeout = payload['timeoutMs'] / 1000
+sys.addaudithook(audit)
+
+for index, run in enumerate(payload['runs']):
+    output = CappedOutput()
+    result = {'index': index, 'error': None}
+    sys.stdout = sys.stderr = output
+    sys.stdin = io.StringIO(run.get('stdin') or '')
+    scope = {'__name__': '__main__', '__builtins__': builtins}
+    try:
+        signal.setitimer(signal.ITIMER_REAL, timeout)
+        exec(compile(code, 'main.py', 'exec'), scope)
+        if entry:
+            if not callable(scope.get(entry)):
+                raise NameError("name '" + entry + "' is not defined")
+            result['returnValue'] = serialize(scope[entry](*run.get('args', [])))
+    except BaseException as error:
+        result['error'] = describe(error)
+    finally:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+        sys.stdout = sys.stderr = real_stdout
+    result['stdout'] = output.getvalue()
+    real_stdout.write(marker + json.dumps(result) + '\\n')
+    real_stdout.flush()
+`;
@@ -1,4 +1,10 @@
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { promptRegistry } from '../ai/prompts.js';
+import {
+  hookSchema,
+  engagementConnectionsSchema,
+} from './outputSchemas.js';
 
 /**
  * EngagementService - Generates engaging lesson hooks and activities
@@ -21,42 +27,24 @@ class EngagementService {
     const gradeBand = this.getGradeBand(gradeLevel);
     const objectives = lessonPlan.learningObjectives || [];
 
-    const prompt = `Create an engaging lesson hook for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-A hook should:
-1. Capture attention in the first 30 seconds
-2. Connect to student interests or experiences
-3. Create curiosity or wonder
-4. Be age-appropriate
-
-Generate ONE of the following hook types:
-- STORY: A short, relatable story (2-3 sentences)
-- QUESTION: A thought-provoking question
-- VISUAL: A description of an engaging image or visual
-- PROBLEM: A real-world problem to solve
-- SURPRISE: An unexpected fact or statistic
-
-Return JSON with:
-{
-  "type": "STORY|QUESTION|VISUAL|PROBLEM|SURPRISE",
-  "content": "The hook content",
-  "visualDescription": "If visual type, describe the visual",
-  "followUp": "How to transition to the lesson"
-}`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('engagement.hook', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+    }, { gradeBand }).text;
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the lesson hook as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], hookSchema, {
+      name: 'engagement.hook',
+      model: llmGateway.models.smart,
       temperature: 0.7, // More creative for hooks
       maxTokens: 500,
     });
-
-    return this.parseHook(response.content);
   }
 
   /**
@@ -154,77 +142,24 @@ Return JSON with:
     const gradeBand = this.getGradeBand(gradeLevel);
     const objectives = lessonPlan.learningObjectives || [];
 
-    const prompt = `Generate 3-5 real-world connections for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-Connections should:
-1. Relate to student interests (games, sports, hobbies, technology)
-2. Show practical applications
-3. Be age-appropriate
-4. Be engaging and relevant
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('engagement.realWorldConnections', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+    }, { gradeBand }).text;
 
-Return JSON array with:
-{
-  "connection": "How this relates to real life",
-  "example": "Specific example",
-  "relevance": "Why students should care"
-}`;
-
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate real-world connections as JSON array.' },
-    ], {
-      model: groqClient.models.smart,
+    ], engagementConnectionsSchema, {
+      name: 'engagement.realWorldConnections',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 800,
     });
-
-    return this.parseConnections(response.content);
-  }
-
-  /**
-   * Parse hook from AI response
-   */
-  parseHook(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      // Fallback
-      return {
-        type: 'QUESTION',
-        content: content.substring(0, 200),
-        visualDescription: null,
-        followUp: 'Let\'s explore this together!',
-      };
-    } catch (error) {
-      console.error('Error parsing hook:', error);
-      return {
-        type: 'QUESTION',
-        content: 'Have you ever wondered...?',
-        visualDescription: null,
-        followUp: 'Let\'s explore this together!',
-      };
-    }
-  }
-
-  /**
-   * Parse connections from AI response
-   */
-  parseConnections(content) {
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return [];
-    } catch (error) {
-      console.error('Error parsing connections:', error);
-      return [];
-    }
   }
 
   /**
@@ -0,0 +1,384 @@
+/**
+ * Output schemas for every JSON generator - the curriculum and assessment
+ * agents, teaching aids, preschool plans, presentations, engagement hooks,
+ * video scripts, session recaps, parent involvement, content review and
+ * classroom evaluation. Replies are validated against these by
+ * structuredOutput before anything is cached, saved or shown.
+ *
+ * Objects pass unknown keys through, so extra detail a model adds is kept;
+ * only the fields the app reads are required.
+ */
+
+import { z } from 'zod';
+
+const text = z.string().trim().min(1);
+const answer = z.union([text, z.number()]);
+const gradeLevel = z.union([z.number(), z.string()]);
+
+// A list item the prompt leaves open: a sentence or a small object
+const entry = z.union([text, z.object({}).passthrough()]);
+
+export const lessonPlanSchema = z.object({
+  title: text.optional(),
+  description: z.string().optional(),
+  objectives: z.array(text).min(1),
+  prerequisites: z.array(text).default([]),
+  keyConcepts: z.array(entry).min(1),
+  lessonStructure: z.array(entry).min(1),
+  examples: z.array(entry).default([]),
+  activities: z.array(entry).default([]),
+  assessments: z.array(entry).default([]),
+  practiceProblems: z.array(entry).default([]),
+  extensions: z.array(entry).default([]),
+  materials: z.array(text).default([]),
+}).passthrough();
+
+export const practiceProblemSchema = z.object({
+  problem: text,
+  answer,
+  solution: z.union([text, z.array(text).min(1)]),
+  commonMistakes: z.array(text).default([]),
+  hints: z.array(text).default([]),
+  difficulty: z.string().optional(),
+  gradeLevel: gradeLevel.optional(),
+  realWorldConnection: z.string().optional(),
+}).passthrough();
+
+export const practiceProblemsSchema = z.array(practiceProblemSchema).min(1);
+
+export const englishExerciseSchema = z.object({
+  exercise: text,
+  answer,
+  explanation: text,
+  commonMistakes: z.array(text).default([]),
+  examples: z.array(text).default([]),
+  difficulty: z.string().optional(),
+  gradeLevel: gradeLevel.optional(),
+  exerciseType: text,
+}).passthrough();
+
+export const englishExercisesSchema = z.array(englishExerciseSchema).min(1);
+
+export const scienceActivitySchema = z.object({
+  activity: text,
+  concept: text,
+  answer,
+  explanation: text,
+  safetyNotes: z.string().optional(),
+  materials: z.array(text).default([]),
+  extension: z.string().optional(),
+  difficulty: z.string().optional(),
+  gradeLevel: gradeLevel.optional(),
+  activityType: text,
+}).passthrough();
+
+export const scienceActivitiesSchema = z.array(scienceActivitySchema).min(1);
+
+// Field names match AssessmentAgent.gradeAssessment
+const assessmentQuestionFields = z.object({
+  id: z.union([z.string(), z.number()]).optional(),
+  text,
+  type: z.enum(['multiple_choice', 'short_answer', 'numeric', 'problem_solving']),
+  options: z.array(text).optional(),
+  answer,
+  explanation: z.string().default(''),
+  points: z.number().positive().default(10),
+  standards: z.array(text).default([]),
+}).passthrough();
+
+const hasChoices = [
+  question => question.type !== 'multiple_choice' || (question.options?.length || 0) >= 2,
+  { message: 'Multiple choice questions need at least two options', path: ['options'] },
+];
+
+export const assessmentQuestionSchema = assessmentQuestionFields.refine(...hasChoices);
+
+export const assessmentSchema = z.object({
+  title: text.optional(),
+  questions: z.array(assessmentQuestionSchema).min(1),
+}).passthrough();
+
+export const diagnosticQuestionSchema = assessmentQuestionFields.extend({
+  prerequisite: z.string().optional(),
+  misconceptions: z.array(text).default([]),
+  // Rated by the author until calibrated (services/assessment/itemCalibrationService.js)
+  difficulty: z.coerce.number().int().min(1).max(5).optional(),
+}).refine(...hasChoices);
+
+export const diagnosticAssessmentSchema = z.object({
+  questions: z.array(diagnosticQuestionSchema).min(1),
+}).passthrough();
+
+export const contentItemsSchema = z.array(z.object({
+  title: text,
+  content: text,
+}).passthrough()).min(1);
+
+// "example / context / connection" lists (math and science real-world examples)
+export const realWorldExamplesSchema = z.array(z.object({
+  example: text,
+  context: text,
+  connection: text,
+}).passthrough()).min(1);
+
+export const visualAidsSchema = z.array(z.object({
+  title: text,
+  description: text,
+}).passthrough()).min(1);
+
+export const readingComponentsSchema = z.object({
+  passages: z.array(z.object({
+    title: text,
+    text,
+    length: z.union([z.string(), z.number()]).optional(),
+  }).passthrough()).min(1),
+  comprehensionQuestions: z.array(text).min(1),
+  vocabularyWords: z.array(z.object({
+    word: text,
+    definition: text,
+    context: z.string().optional(),
+  }).passthrough()).default([]),
+  discussionQuestions: z.array(text).default([]),
+  readingStrategies: z.array(text).default([]),
+}).passthrough();
+
+export const writingComponentsSchema = z.object({
+  prompts: z.array(z.object({
+    prompt: text,
+    type: z.string().optional(),
+    length: z.union([z.string(), z.number()]).optional(),
+  }).passthrough()).min(1),
+  structureGuidance: text,
+  revisionChecklist: z.array(text).default([]),
+  peerReviewQuestions: z.array(text).default([]),
+  examples: z.array(text).default([]),
+}).passthrough();
+
+export const vocabularyActivitiesSchema = z.object({
+  words: z.array(z.object({
+    word: text,
+    definition: text,
+  }).passthrough()).min(1),
+  activities: z.array(z.object({
+    name: text,
+    instructions: text,
+  }).passthrough()).min(1),
+}).passthrough();
+
+export const experimentsSchema = z.array(z.object({
+  title: text,
+  objective: text,
+  materials: z.array(text).min(1),
+  procedure: z.array(text).min(1),
+  observations: text,
+  explanation: text,
+  safetyNotes: text,
+}).passthrough()).min(1);
+
+export const observationActivitiesSchema = z.array(z.object({
+  focus: text,
+  guidingQuestions: z.array(text).min(1),
+  recordingMethod: text,
+  patterns: z.array(text).default([]),
+  concept: z.string().optional(),
+}).passthrough()).min(1);
+
+// Teaching aids (teachingAidGeneratorService). A list or a description both
+// work for the layout-style fields; the text fields are stored as-is.
+const layout = z.union([text, z.array(entry).min(1), z.object({}).passthrough()]);
+
+export const visualAidSchema = z.object({
+  description: text,
+  elements: z.array(entry).min(1),
+  layout: layout.optional(),
+  colors: z.union([text, z.array(text)]).optional(),
+}).passthrough();
+
+export const worksheetSchema = z.object({
+  title: text,
+  instructions: text,
+  problems: z.array(entry).min(1),
+  answerKey: layout,
+}).passthrough();
+
+export const manipulativeSchema = z.object({
+  type: text,
+  description: text,
+  interactiveElements: z.array(entry).min(1),
+  instructions: text,
+}).passthrough();
+
+export const gameSchema = z.object({
+  name: text,
+  description: text,
+  rules: text,
+  setup: layout.optional(),
+  gameplay: z.union([text, z.array(entry).min(1)]),
+}).passthrough();
+
+export const posterSchema = z.object({
+  title: text,
+  keyPoints: z.array(text).min(1),
+  visualElements: layout.optional(),
+  layout: layout.optional(),
+}).passthrough();
+
+export const flashcardsSchema = z.object({
+  cards: z.array(z.object({
+    front: text,
+    back: text,
+    category: z.string().optional(),
+  }).passthrough()).min(1),
+}).passthrough();
+
+// Preschool and Pre-K (preschoolCurriculumService, preschoolActivityGenerator)
+export const preschoolLessonPlanSchema = z.object({
+  name: text,
+  description: text,
+  objectives: z.array(text).min(1),
+  prerequisites: z.array(text).default([]),
+  materials: z.array(text).default([]),
+  activities: z.array(entry).min(1),
+  songs: z.array(entry).default([]),
+  parentTips: z.array(text).default([]),
+}).passthrough();
+
+export const parentGuideSchema = z.object({
+  learning: text,
+  homeActivities: z.array(entry).min(1),
+  questionsToAsk: z.array(text).default([]),
+  signsOfProgress: z.array(text).default([]),
+  celebrate: z.union([text, z.array(text)]).optional(),
+}).passthrough();
+
+export const preschoolActivitySchema = z.object({
+  name: text,
+  description: text,
+  materials: z.array(text).default([]),
+  instructions: z.array(text).min(1),
+  learningOutcome: text,
+  variations: z.array(entry).default([]),
+  parentTips: z.array(text).default([]),
+}).passthrough();
+
+// Presentations (presentationGeneratorService)
+export const slidesSchema = z.array(z.object({
+  title: text,
+  content: text,
+  visualDescription: z.string().default(''),
+  notes: z.string().default(''),
+  keyPoint: z.boolean().default(false),
+}).passthrough()).min(1);
+
+export const videoScriptSchema = z.object({
+  title: text.optional(),
+  sections: z.array(z.object({
+    title: text,
+    startSeconds: z.number().nonnegative(),
+    dialogue: text,
+    visualCues: z.array(text).default([]),
+    pausePoint: z.boolean().default(false),
+  }).passthrough()).min(1),
+}).passthrough();
+
+// Engagement (engagementService)
+export const hookSchema = z.object({
+  type: z.enum(['STORY', 'QUESTION', 'VISUAL', 'PROBLEM', 'SURPRISE']),
+  content: text,
+  visualDescription: z.string().nullable().optional(),
+  followUp: text,
+}).passthrough();
+
+export const engagementConnectionsSchema = z.array(z.object({
+  connection: text,
+  example: text,
+  relevance: text,
+}).passthrough()).min(1);
+
+// Video scripts for lesson plans (multimedia/videoGenerationService)
+export const lessonVideoScriptSchema = z.object({
+  sections: z.array(z.object({
+    title: text,
+    durationSeconds: z.number().positive(),
+  }).passthrough()).min(1),
+  totalDuration: z.number().positive(),
+  visualCues: z.array(text).default([]),
+  script: text,
+}).passthrough();
+
+// Video scripts for a topic (video/videoScriptGeneratorService)
+export const topicVideoScriptSchema = z.object({
+  introduction: text,
+  objectives: z.array(text).min(1),
+  explanation: z.object({
+    mainConcept: text,
+    examples: z.array(z.object({
+      text,
+      visualCue: z.string().default(''),
+    }).passthrough()).default([]),
+  }).passthrough(),
+  workedExamples: z.array(z.object({
+    problem: text,
+    solution: text,
+    visualCue: z.string().default(''),
+  }).passthrough()).default([]),
+  practiceProblems: z.array(z.object({
+    problem: text,
+    solution: text,
+    hint: z.string().default(''),
+  }).passthrough()).default([]),
+  summary: text,
+  nextSteps: text,
+}).passthrough();
+
+// Session recaps (ai/sessionSummarizer). Counts are optional: the session's
+// own tallies win when it has them.
+export const sessionRecapSchema = z.object({
+  summary: text,
+  conceptsCovered: z.array(text).default([]),
+  problemsAttempted: z.number().nonnegative().optional(),
+  problemsCorrect: z.number().nonnegative().optional(),
+  misconceptions: z.array(text).default([]),
+  suggestedNextTopic: z.string().nullable().optional(),
+}).passthrough();
+
+// Parent involvement (parentInvolvementService)
+export const homeActivitySchema = z.object({
+  name: text,
+  description: text,
+  materials: z.array(text).default([]),
+  instructions: z.union([text, z.array(text).min(1)]),
+  learningGoal: text,
+  tips: z.array(text).default([]),
+}).passthrough();
+
+export const learningTipsSchema = z.array(z.object({
+  tip: text,
+  category: z.string().optional(),
+}).passthrough()).min(1);
+
+export const parentInsightsSchema = z.array(z.object({
+  insight: text,
+  type: z.enum(['strength', 'growth']),
+}).passthrough()).min(1);
+
+export const parentRecommendationsSchema = z.array(z.object({
+  recommendation: text,
+  nextStep: text,
+}).passthrough()).min(1);
+
+// Content review checks (quality/contentValidationService)
+export const contentReviewSchema = z.object({
+  score: z.number().min(0).max(1),
+  passed: z.boolean(),
+  issues: z.array(entry).default([]),
+  recommendations: z.array(entry).default([]),
+}).passthrough();
+
+// Classroom evaluation (ui/comprehensiveClassroomEvaluationService)
+export const classroomRecommendationsSchema = z.object({
+  priorities: z.array(entry).min(1),
+  quickWins: z.array(entry).default([]),
+  longTerm: z.array(entry).default([]),
+  insights: z.array(entry).default([]),
+}).passthrough();
@@ -1,4 +1,7 @@
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { promptRegistry } from '../ai/prompts.js';
+import { preschoolActivitySchema } from './outputSchemas.js';
 import { logInfo } from '../../lib/logger.js';
 
 /**
@@ -30,42 +33,25 @@ class PreschoolActivityGenerator {
     const ageGroup = gradeLevel === -1 ? 'Preschool (3-4 years)' : 'Pre-K (4-5 years)';
     const guidelines = this.getActivityGuidelines(gradeLevel);
 
-    const prompt = `Create a ${activityType} activity for ${ageGroup} children.
-
-TOPIC: ${topic}
-DURATION: ${durationMinutes} minutes
-${materials.length > 0 ? `MATERIALS: ${materials.join(', ')}` : ''}
-
-${guidelines}
-
-Create an activity that:
-- Is fun and engaging
-- Uses simple materials
-- Can be done with parent help
-- Teaches the concept through play
-- Is developmentally appropriate
-
-Provide:
-- name: Activity name
-- description: What children will do
-- materials: List of materials needed
-- instructions: Step-by-step instructions (simple)
-- learningOutcome: What children learn
-- variations: 2-3 variations of the activity
-- parentTips: Tips for parents
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('preschool.activity', {
+      activityType,
+      ageGroup,
+      topic,
+      durationMinutes,
+      materialsLine: materials.length > 0 ? `MATERIALS: ${materials.join(', ')}` : '',
+      guidelines,
+    }, { gradeBand: gradeLevel === -1 ? 'Preschool' : 'Pre-K' }).text;
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate the ${activityType} activity as JSON.` },
-    ], {
-      model: groqClient.models.smart,
+    ], preschoolActivitySchema, {
+      name: 'preschool.activity',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 2000,
     });
-
-    return this.parseActivity(response.content);
   }
 
   /**
@@ -163,21 +149,6 @@ PRE-K ACTIVITY GUIDELINES (Age 4-5):
     }
   }
 
-  /**
-   * Parse activity from AI response
-   */
-  parseActivity(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { raw: content };
-    } catch (error) {
-      return { raw: content };
-    }
-  }
-
   /**
    * Get recommended activities for topic
    * @param {string} topic - Topic
@@ -1,6 +1,12 @@
 import prisma from '../../lib/prisma.js';
 import { curriculumGeneratorService } from './curriculumGeneratorService.js';
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { promptRegistry } from '../ai/prompts.js';
+import {
+  preschoolLessonPlanSchema,
+  parentGuideSchema,
+} from './outputSchemas.js';
 import { logInfo, logError } from '../../lib/logger.js';
 
 /**
@@ -288,45 +294,25 @@ class PreschoolCurriculumService {
     const ageGroup = gradeLevel === -1 ? 'Preschool (3-4 years)' : 'Pre-K (4-5 years)';
     const gradeBand = gradeLevel === -1 ? 'Preschool' : 'Pre-K';
 
-    const prompt = `You are creating a lesson plan for ${ageGroup} students.
-
-UNIT: ${unitName}
-SUBJECT: ${subjectSlug}
-DURATION: ${durationMinutes} minutes
-
-Create a play-based, age-appropriate lesson plan that:
-- Uses hands-on activities and games
-- Includes songs, rhymes, or movement
-- Uses simple, clear language
-- Focuses on exploration and discovery
-- Includes parent involvement suggestions
-- Is developmentally appropriate
-
-For ${gradeBand}:
-${this.getPreschoolGuidelines(gradeLevel)}
-
-Provide:
-- name: Lesson name
-- description: Brief description
-- objectives: 2-3 simple learning objectives
-- prerequisites: What children should know
-- materials: Simple materials (toys, paper, crayons, etc.)
-- activities: 3-4 play-based activities
-- songs: Optional songs or rhymes
-- parentTips: Tips for parents to support learning
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('preschool.lessonPlan', {
+      ageGroup,
+      unitName,
+      subject: subjectSlug,
+      durationMinutes,
+      gradeBand,
+      guidelines: this.getPreschoolGuidelines(gradeLevel),
+    }, { gradeBand }).text;
+
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate the ${gradeBand} lesson plan as JSON.` },
-    ], {
-      model: groqClient.models.smart,
+    ], preschoolLessonPlanSchema, {
+      name: 'preschool.lessonPlan',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 2500,
     });
-
-    return this.parseLessonPlan(response.content);
   }
 
   /**
@@ -398,37 +384,23 @@ Format as JSON.`;
     const gradeLevel = lessonPlan.unit.curriculum.gradeLevel;
     const ageGroup = gradeLevel === -1 ? '3-4 years' : '4-5 years';
 
-    const prompt = `Create a parent guide for a ${ageGroup} child learning ${lessonPlan.unit.curriculum.subject.name}.
-
-LESSON: ${lessonPlan.name}
-
-Create a guide that helps parents:
-1. Understand what their child is learning
-2. Support learning at home
-3. Engage in activities together
-4. Recognize progress
-5. Ask appropriate questions
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('preschool.parentGuide', {
+      ageGroup,
+      subject: lessonPlan.unit.curriculum.subject.name,
+      lessonName: lessonPlan.name,
+    }, { gradeBand: gradeLevel === -1 ? 'Preschool' : 'Pre-K' }).text;
 
-Include:
-- What your child is learning (simple explanation)
-- How to support at home (3-5 activities)
-- Questions to ask your child
-- Signs of progress
-- When to celebrate
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    const parentGuide = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the parent guide as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], parentGuideSchema, {
+      name: 'preschool.parentGuide',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 2000,
     });
 
-    const parentGuide = this.parseJSON(response.content);
-
     // Store parent guide in lesson plan metadata
     await prisma.lessonPlan.update({
       where: { id: lessonPlanId },
@@ -473,36 +445,6 @@ PRE-K GUIDELINES (Age 4-5):
     }
   }
 
-  /**
-   * Parse lesson plan from AI response
-   */
-  parseLessonPlan(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { raw: content };
-    } catch (error) {
-      return { raw: content };
-    }
-  }
-
-  /**
-   * Parse JSON from AI response
-   */
-  parseJSON(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { raw: content };
-    } catch (error) {
-      return { raw: content };
-    }
-  }
-
   /**
    * Get next order index
    */
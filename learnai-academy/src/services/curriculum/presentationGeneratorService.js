@@ -1,6 +1,12 @@
 import prisma from '../../lib/prisma.js';
 import { agentOrchestrator } from '../ai/agentOrchestrator.js';
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { promptRegistry } from '../ai/prompts.js';
+import {
+  slidesSchema,
+  videoScriptSchema,
+} from './outputSchemas.js';
 
 /**
  * PresentationGeneratorService - Generates presentations for lesson plans
@@ -102,46 +108,26 @@ class PresentationGeneratorService {
     // Calculate slide count if not provided
     const totalSlides = slideCount || this.calculateSlideCount(lessonPlan.durationMinutes);
 
-    const prompt = `You are creating a slide presentation for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-IMPORTANT DESIGN RULES:
-- Follow the 6x6 rule: Maximum 6 words per line, 6 lines per slide
-- One idea per slide - focus on single concept
-- Minimal text - let visuals tell the story
-- High contrast - text must be readable
-- Age-appropriate fonts - larger for younger students
-
-Create ${totalSlides} slides that cover:
-1. Title slide with engaging hook (story, question, or visual)
-2. Learning objectives (clear and simple)
-3. Key concepts (one concept per slide)
-4. Examples and illustrations (visual-heavy)
-5. Practice problems or activities (interactive)
-6. Summary and review (key takeaways)
-
-For each slide, provide:
-- title: string (short, clear)
-- content: string (main text - MAX 6 lines, 6 words per line)
-- visualDescription: string (detailed description of visual)
-- notes: string (speaker notes for teacher)
-- keyPoint: boolean (is this a key point to highlight?)
-
-Format as JSON array.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('presentation.slides', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+      slideCount: totalSlides,
+    }, { gradeBand }).text;
+
+    const slides = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${totalSlides} slides as a JSON array.` },
-    ], {
-      model: groqClient.models.smart,
+    ], slidesSchema, {
+      name: 'presentation.slides',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 4000,
     });
 
-    const slides = this.parseSlides(response.content);
-
     return {
       slides,
       durationSeconds: lessonPlan.durationMinutes * 60,
@@ -159,37 +145,25 @@ Format as JSON array.`;
     const gradeBand = this.getGradeBand(gradeLevel);
     const structure = lessonPlan.lessonStructure || {};
 
-    const prompt = `You are creating a video script for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} instructional video.
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('presentation.videoScript', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      durationMinutes: lessonPlan.durationMinutes,
+    }, { gradeBand }).text;
 
-LESSON: ${lessonPlan.name}
-DURATION: ${lessonPlan.durationMinutes} minutes
-
-Create a video script with:
-1. Introduction (engaging hook)
-2. Main instruction (clear explanations)
-3. Examples and demonstrations
-4. Practice problems (with solutions)
-5. Summary and next steps
-
-Include:
-- Spoken dialogue (natural, age-appropriate)
-- Visual cues (what should be shown on screen)
-- Timing markers (when to show visuals)
-- Pause points (where students should pause and practice)
-
-Format as JSON with sections and timing.`;
-
-    const response = await groqClient.chat([
+    const script = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the video script as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], videoScriptSchema, {
+      name: 'presentation.videoScript',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 3000,
     });
 
-    const script = this.parseScript(response.content);
-
     return {
       script,
       durationSeconds: lessonPlan.durationMinutes * 60,
@@ -236,27 +210,23 @@ Format as JSON with sections and timing.`;
   async generateAudioScript(lessonPlan, subjectSlug, gradeLevel) {
     const gradeBand = this.getGradeBand(gradeLevel);
 
-    const prompt = `You are creating an audio-only lesson script (podcast style) for ${gradeLevel}th grade (${gradeBand}) ${subjectSlug}.
-
-LESSON: ${lessonPlan.name}
-DURATION: ${lessonPlan.durationMinutes} minutes
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('presentation.audioScript', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      durationMinutes: lessonPlan.durationMinutes,
+    }, { gradeBand }).text;
 
-Create a conversational, engaging script that:
-1. Introduces the topic clearly
-2. Explains concepts in simple terms
-3. Uses examples and analogies
-4. Includes pauses for reflection
-5. Summarizes key points
-
-Make it natural and age-appropriate. Format as plain text with clear sections.`;
-
-    const response = await groqClient.chat([
+    const response = await llmGateway.chat([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the audio script.' },
     ], {
-      model: groqClient.models.smart,
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 2000,
+      agentType: 'presentation.audioScript',
     });
 
     return {
@@ -273,58 +243,6 @@ Make it natural and age-appropriate. Format as plain text with clear sections.`;
     return Math.max(5, Math.min(20, Math.round(durationMinutes / 1.5)));
   }
 
-  /**
-   * Parse slides from AI response
-   */
-  parseSlides(content) {
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      // Fallback: create slides from structured text
-      const lines = content.split('\n').filter(l => l.trim());
-      const slides = [];
-      let currentSlide = null;
-
-      for (const line of lines) {
-        if (line.match(/^#+\s*(.+)$/)) {
-          if (currentSlide) slides.push(currentSlide);
-          currentSlide = {
-            title: line.replace(/^#+\s*/, ''),
-            content: '',
-            visualDescription: '',
-            notes: '',
-          };
-        } else if (currentSlide) {
-          currentSlide.content += line + '\n';
-        }
-      }
-
-      if (currentSlide) slides.push(currentSlide);
-      return slides.length > 0 ? slides : [{ title: 'Introduction', content: content }];
-    } catch (error) {
-      console.error('Error parsing slides:', error);
-      return [{ title: 'Introduction', content: content }];
-    }
-  }
-
-  /**
-   * Parse script from AI response
-   */
-  parseScript(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { text: content, sections: [] };
-    } catch (error) {
-      return { text: content, sections: [] };
-    }
-  }
-
   /**
    * Get next order index
    */
@@ -1,5 +1,15 @@
 import prisma from '../../lib/prisma.js';
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { promptRegistry } from '../ai/prompts.js';
+import {
+  visualAidSchema,
+  worksheetSchema,
+  manipulativeSchema,
+  gameSchema,
+  posterSchema,
+  flashcardsSchema,
+} from './outputSchemas.js';
 
 /**
  * TeachingAidGeneratorService - Generates teaching aids for lesson plans
@@ -97,36 +107,25 @@ class TeachingAidGeneratorService {
   async generateVisual(lessonPlan, subjectSlug, gradeLevel, gradeBand) {
     const objectives = lessonPlan.learningObjectives || [];
 
-    const prompt = `Create a visual aid (chart, diagram, or infographic) for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.visual', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+    }, { gradeBand }).text;
 
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-Create a visual that:
-- Clearly illustrates the main concept
-- Is age-appropriate for ${gradeBand}
-- Uses colors and shapes effectively
-- Includes labels and explanations
-
-Provide:
-- description: Detailed description of what the visual should show
-- elements: Array of visual elements (shapes, text, arrows, etc.)
-- layout: How elements should be arranged
-- colors: Suggested color scheme
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    const visualData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the visual aid description as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], visualAidSchema, {
+      name: 'teachingAid.visual',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 2000,
     });
 
-    const visualData = this.parseJSON(response.content);
-
     return {
       content: visualData,
       description: visualData.description || 'Visual aid for lesson',
@@ -141,39 +140,26 @@ Format as JSON.`;
     const objectives = lessonPlan.learningObjectives || [];
     const structure = lessonPlan.lessonStructure || {};
 
-    const prompt = `Create a printable worksheet for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-Create a worksheet with:
-- Clear instructions
-- Age-appropriate problems/exercises
-- Space for student work
-- Answer key (separate)
-
-For ${gradeBand} level:
-${this.getWorksheetGuidelines(gradeBand)}
-
-Provide:
-- title: Worksheet title
-- instructions: Clear instructions for students
-- problems: Array of problems/exercises
-- answerKey: Answers and explanations
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.worksheet', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+      guidelines: this.getWorksheetGuidelines(gradeBand),
+    }, { gradeBand }).text;
+
+    const worksheetData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the worksheet as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], worksheetSchema, {
+      name: 'teachingAid.worksheet',
+      model: llmGateway.models.smart,
       temperature: 0.3,
       maxTokens: 3000,
     });
 
-    const worksheetData = this.parseJSON(response.content);
-
     return {
       content: worksheetData,
       description: worksheetData.title || 'Practice worksheet',
@@ -186,40 +172,24 @@ Format as JSON.`;
    * Generate virtual manipulative
    */
   async generateManipulative(lessonPlan, subjectSlug, gradeLevel, gradeBand) {
-    const prompt = `Create a virtual manipulative (interactive tool) for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-
-Create a manipulative that:
-- Helps students visualize concepts
-- Is interactive and engaging
-- Matches the lesson objectives
-- Is appropriate for ${gradeBand} level
-
-Examples:
-- Math: Number blocks, fraction circles, base-10 blocks
-- Science: Molecule builder, ecosystem simulator
-- Language: Word builder, sentence constructor
-
-Provide:
-- type: Type of manipulative
-- description: What it does
-- interactiveElements: Array of interactive features
-- instructions: How to use it
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.manipulative', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+    }, { gradeBand }).text;
+
+    const manipulativeData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the manipulative description as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], manipulativeSchema, {
+      name: 'teachingAid.manipulative',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 2000,
     });
 
-    const manipulativeData = this.parseJSON(response.content);
-
     return {
       content: manipulativeData,
       description: manipulativeData.description || 'Interactive manipulative',
@@ -232,36 +202,24 @@ Format as JSON.`;
    * Generate educational game
    */
   async generateGame(lessonPlan, subjectSlug, gradeLevel, gradeBand) {
-    const prompt = `Create an educational game for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
-
-LESSON: ${lessonPlan.name}
-
-Create a game that:
-- Reinforces lesson concepts
-- Is fun and engaging for ${gradeBand} level
-- Has clear rules
-- Provides learning value
-
-Provide:
-- name: Game name
-- description: What the game teaches
-- rules: How to play
-- setup: What's needed
-- gameplay: Step-by-step gameplay
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.game', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+    }, { gradeBand }).text;
+
+    const gameData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the game description as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], gameSchema, {
+      name: 'teachingAid.game',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 2000,
     });
 
-    const gameData = this.parseJSON(response.content);
-
     return {
       content: gameData,
       description: gameData.description || 'Educational game',
@@ -275,36 +233,25 @@ Format as JSON.`;
   async generatePoster(lessonPlan, subjectSlug, gradeLevel, gradeBand) {
     const objectives = lessonPlan.learningObjectives || [];
 
-    const prompt = `Create a visual poster for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.poster', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+    }, { gradeBand }).text;
 
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-Create a poster that:
-- Summarizes key concepts
-- Is visually appealing
-- Can be displayed in classroom
-- Serves as a reference
-
-Provide:
-- title: Poster title
-- keyPoints: Array of main points
-- visualElements: What visuals to include
-- layout: How to arrange elements
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    const posterData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the poster description as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], posterSchema, {
+      name: 'teachingAid.poster',
+      model: llmGateway.models.smart,
       temperature: 0.4,
       maxTokens: 1500,
     });
 
-    const posterData = this.parseJSON(response.content);
-
     return {
       content: posterData,
       description: posterData.title || 'Reference poster',
@@ -318,35 +265,25 @@ Format as JSON.`;
   async generateFlashcards(lessonPlan, subjectSlug, gradeLevel, gradeBand) {
     const objectives = lessonPlan.learningObjectives || [];
 
-    const prompt = `Create flashcards for a ${gradeLevel}th grade (${gradeBand}) ${subjectSlug} lesson.
+    await promptRegistry.refresh();
+    const prompt = promptRegistry.render('teachingAid.flashcards', {
+      gradeLevel,
+      gradeBand,
+      subject: subjectSlug,
+      lessonName: lessonPlan.name,
+      objectives: JSON.stringify(objectives),
+    }, { gradeBand }).text;
 
-LESSON: ${lessonPlan.name}
-OBJECTIVES: ${JSON.stringify(objectives)}
-
-Create 10-15 flashcards that:
-- Cover key concepts and vocabulary
-- Have clear front (question/term) and back (answer/definition)
-- Are age-appropriate for ${gradeBand}
-
-Provide:
-- cards: Array of flashcards
-  - front: Question or term
-  - back: Answer or definition
-  - category: Category of card
-
-Format as JSON.`;
-
-    const response = await groqClient.chat([
+    const flashcardData = await structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the flashcards as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], flashcardsSchema, {
+      name: 'teachingAid.flashcards',
+      model: llmGateway.models.smart,
       temperature: 0.3,
       maxTokens: 2000,
     });
 
-    const flashcardData = this.parseJSON(response.content);
-
     return {
       content: flashcardData,
       description: 'Digital flashcards for review',
@@ -368,22 +305,6 @@ Format as JSON.`;
     return guidelines[gradeBand] || guidelines['3-5'];
   }
 
-  /**
-   * Parse JSON from AI response
-   */
-  parseJSON(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/) || content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { raw: content };
-    } catch (error) {
-      console.error('Error parsing JSON:', error);
-      return { raw: content };
-    }
-  }
-
   /**
    * Get grade band
    */
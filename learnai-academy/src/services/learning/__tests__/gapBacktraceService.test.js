@@ -0,0 +1,218 @@
+import {
+  gapBacktraceService,
+  GapBacktraceError,
+  isRepeatedFailure,
+  orderDetour,
+  BACKTRACE_STATUS,
+} from '../gapBacktraceService.js';
+import { knowledgeGraphService } from '../knowledgeGraphService.js';
+import { agentOrchestrator } from '../../ai/agentOrchestrator.js';
+import prisma from '../../../lib/prisma.js';
+
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    gapBacktrace: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      create: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    student: {
+      findUnique: jest.fn(),
+    },
+    topic: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+jest.mock('../../ai/agentOrchestrator.js', () => ({
+  agentOrchestrator: {
+    generateProbeQuestions: jest.fn(),
+    checkAssessmentAnswer: jest.fn(),
+  },
+}));
+
+jest.mock('../knowledgeGraphService.js', () => ({
+  knowledgeGraphService: {
+    nodeForTopic: jest.fn(),
+    ancestors: jest.fn(),
+    getGraph: jest.fn(),
+    getNode: jest.fn(),
+  },
+}));
+
+const skill = (topic, name, gradeLevel) => ({
+  key: `math:${topic}`,
+  subject: 'math',
+  name,
+  gradeLevel,
+  topicSlug: topic,
+});
+
+const skills = {
+  'math:ratios-proportions': skill('ratios-proportions', 'Ratios', 6),
+  'math:fractions-intro': skill('fractions-intro', 'Fractions', 3),
+  'math:division-concepts': skill('division-concepts', 'Division', 3),
+  'math:multiplication-tables': skill('multiplication-tables', 'Multiplication', 3),
+};
+
+const edges = [
+  { from: 'math:multiplication-tables', to: 'math:division-concepts', type: 'prerequisite' },
+  { from: 'math:division-concepts', to: 'math:fractions-intro', type: 'prerequisite' },
+  { from: 'math:fractions-intro', to: 'math:ratios-proportions', type: 'prerequisite' },
+];
+
+const ratiosTopic = {
+  id: 'topic-ratios',
+  subjectId: 'subject-math',
+  name: 'Ratios',
+  slug: 'ratios-proportions',
+  gradeLevel: 6,
+  subject: { slug: 'math' },
+};
+
+describe('isRepeatedFailure', () => {
+  it('should need low accuracy and several failed sessions or low mastery', () => {
+    expect(isRepeatedFailure({ accuracy: 0.4, failedSessions: 3 })).toBe(true);
+    expect(isRepeatedFailure({ accuracy: 0.4, failedSessions: 1 })).toBe(false);
+    expect(isRepeatedFailure({ accuracy: 0.4, failedSessions: 1 }, { masteryLevel: 20, masteryUpper: 35 })).toBe(true);
+    expect(isRepeatedFailure({ accuracy: 0.7, failedSessions: 6 })).toBe(false);
+  });
+});
+
+describe('orderDetour', () => {
+  it('should put the deepest gap first', () => {
+    expect(orderDetour(['math:fractions-intro', 'math:multiplication-tables', 'math:division-concepts'], edges))
+      .toEqual(['math:multiplication-tables', 'math:division-concepts', 'math:fractions-intro']);
+  });
+});
+
+describe('GapBacktraceService', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = null;
+
+    knowledgeGraphService.nodeForTopic.mockResolvedValue(skills['math:ratios-proportions']);
+    knowledgeGraphService.ancestors.mockImplementation(async (key) =>
+      edges.filter(edge => edge.to === key).map(edge => ({ ...skills[edge.from], depth: 1 }))
+    );
+    knowledgeGraphService.getGraph.mockResolvedValue({ nodes: Object.values(skills), edges });
+    knowledgeGraphService.getNode.mockImplementation(async key => skills[key]);
+
+    agentOrchestrator.generateProbeQuestions.mockImplementation(async (subject, probed) =>
+      [1, 2, 3].map(i => ({ text: `${probed.name} question ${i}`, type: 'numeric', answer: i }))
+    );
+    // Knows division, not fractions
+    agentOrchestrator.checkAssessmentAnswer.mockImplementation(async (question, answer) =>
+      !question.text.startsWith('Fractions') && String(answer) === question.answer
+    );
+
+    prisma.student.findUnique.mockResolvedValue({ gradeLevel: 6 });
+    prisma.topic.findUnique.mockResolvedValue(ratiosTopic);
+    prisma.topic.findMany.mockResolvedValue([
+      { id: 'topic-fractions', slug: 'fractions-intro', subject: { slug: 'math' } },
+    ]);
+    prisma.gapBacktrace.findFirst.mockResolvedValue(null);
+    prisma.gapBacktrace.create.mockImplementation(async ({ data }) => {
+      stored = { id: 'backtrace-1', revision: 0, gapSkillKey: null, ...data };
+      return stored;
+    });
+    prisma.gapBacktrace.findUnique.mockImplementation(async () => stored);
+    prisma.gapBacktrace.updateMany.mockImplementation(async ({ where, data }) => {
+      if (where.revision !== stored.revision) return { count: 0 };
+      const { revision, ...changes } = data;
+      stored = { ...stored, ...changes, revision: stored.revision + 1 };
+      return { count: 1 };
+    });
+  });
+
+  async function answerAll() {
+    let backtrace = await gapBacktraceService.getBacktrace('backtrace-1');
+    while (backtrace.question) {
+      const answer = backtrace.question.text.slice(-1);
+      ({ backtrace } = await gapBacktraceService.submitAnswer('backtrace-1', {
+        questionId: backtrace.question.id,
+        answer,
+      }));
+    }
+    return backtrace;
+  }
+
+  it('should walk back from ratios to fractions and detour through it', async () => {
+    const started = await gapBacktraceService.start('student-1', ratiosTopic);
+
+    expect(started.status).toBe(BACKTRACE_STATUS.PROBING);
+    expect(started.probes.map(probe => probe.skillKey)).toEqual(['math:fractions-intro']);
+    expect(agentOrchestrator.generateProbeQuestions).toHaveBeenCalledWith(
+      'math',
+      expect.objectContaining({ key: 'math:fractions-intro' }),
+      6,
+      expect.objectContaining({ topicName: 'Ratios' })
+    );
+
+    const diagnosed = await answerAll();
+
+    // Fractions failed, so division was probed too, and passed
+    expect(diagnosed.probes.map(probe => [probe.skillKey, probe.depth, probe.result])).toEqual([
+      ['math:fractions-intro', 1, 'gap'],
+      ['math:division-concepts', 2, 'passed'],
+    ]);
+    expect(diagnosed.status).toBe(BACKTRACE_STATUS.REMEDIATING);
+    expect(diagnosed.gapSkillKey).toBe('math:fractions-intro');
+    expect(diagnosed.currentStep).toEqual({
+      skillKey: 'math:fractions-intro',
+      name: 'Fractions',
+      topicId: 'topic-fractions',
+    });
+  });
+
+  it('should send the student back once the gap is closed', async () => {
+    await gapBacktraceService.start('student-1', ratiosTopic);
+    await answerAll();
+
+    // Mastering the fractions topic closes the step
+    prisma.gapBacktrace.findFirst.mockResolvedValueOnce(stored);
+    const resolved = await gapBacktraceService.getDetour('student-1', 'subject-math', [
+      { topicId: 'topic-fractions', masteryLevel: 85 },
+    ]);
+
+    expect(resolved.status).toBe(BACKTRACE_STATUS.RESOLVED);
+    expect(resolved.detour[0].closed).toBe(true);
+    expect(resolved.returnTo).toBe('topic-ratios');
+  });
+
+  it('should close a step when its check probe passes', async () => {
+    await gapBacktraceService.start('student-1', ratiosTopic);
+    await answerAll();
+
+    // The student has since learned fractions
+    agentOrchestrator.checkAssessmentAnswer.mockImplementation(async (question, answer) =>
+      String(answer) === question.answer
+    );
+    const checking = await gapBacktraceService.checkStep('backtrace-1');
+    expect(checking.question.purpose).toBe('check');
+
+    const resolved = await answerAll();
+    expect(resolved.status).toBe(BACKTRACE_STATUS.RESOLVED);
+    expect(resolved.returnTo).toBe('topic-ratios');
+  });
+
+  it('should not start without prerequisites to probe, and refuse stale answers', async () => {
+    knowledgeGraphService.ancestors.mockResolvedValueOnce([]);
+    expect(await gapBacktraceService.start('student-1', ratiosTopic)).toBeNull();
+
+    const started = await gapBacktraceService.start('student-1', ratiosTopic);
+    const error = await gapBacktraceService
+      .submitAnswer('backtrace-1', { questionId: 'not-this-one', answer: 1 })
+      .catch(e => e);
+
+    expect(started.question).not.toBeNull();
+    expect(error).toBeInstanceOf(GapBacktraceError);
+    expect(error.code).toBe('WRONG_QUESTION');
+  });
+});
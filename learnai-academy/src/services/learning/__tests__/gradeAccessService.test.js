@@ -0,0 +1,170 @@
+import {
+  gradeAccessService,
+  GradeAccessError,
+  createCode,
+  hashCode,
+  normalizeCode,
+} from '../gradeAccessService.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => {
+  const client = {
+    student: {
+      findUnique: jest.fn(),
+      update: jest.fn(),
+    },
+    team_members: {
+      findFirst: jest.fn(),
+    },
+    gradeAccessCode: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    gradeAccessRedemption: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+    },
+  };
+  client.$transaction = jest.fn(callback => callback(client));
+  return { __esModule: true, default: client };
+});
+
+const HOUR = 60 * 60 * 1000;
+
+const classCode = {
+  id: 'code-1',
+  gradeLevel: 5,
+  classId: 'class-1',
+  studentId: null,
+  expiresAt: new Date(Date.now() + HOUR),
+  maxUses: 30,
+  uses: 3,
+  revokedAt: null,
+};
+
+const student = { id: 'student-1', userId: 'student-user', unlockedGrades: [7] };
+
+describe('codes', () => {
+  it('should create readable codes and hash them the way students type them', () => {
+    const code = createCode();
+
+    expect(code).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(code).not.toMatch(/[01OILS5]/);
+    expect(normalizeCode(' abcd efgh ')).toBe('ABCDEFGH');
+    expect(hashCode('abcd-efgh')).toBe(hashCode('ABCDEFGH'));
+  });
+});
+
+describe('generateCode', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.gradeAccessCode.create.mockImplementation(async ({ data }) => ({ id: 'code-1', uses: 0, revokedAt: null, ...data }));
+  });
+
+  it('should store only the hash and return the code once', async () => {
+    const result = await gradeAccessService.generateCode('teacher-user', { gradeLevel: 5, classId: 'class-1', expiresInHours: 2 });
+    const { data } = prisma.gradeAccessCode.create.mock.calls[0][0];
+
+    expect(data.codeHash).toBe(hashCode(result.code));
+    expect(data).not.toHaveProperty('code');
+    expect(data.hint).toBe(normalizeCode(result.code).slice(-4));
+    expect(data.expiresAt.getTime()).toBeCloseTo(Date.now() + 2 * HOUR, -3);
+    expect(result).not.toHaveProperty('codeHash');
+    expect(result.active).toBe(true);
+  });
+
+  it('should need exactly one of a class or a student', async () => {
+    await expect(gradeAccessService.generateCode('user-1', { gradeLevel: 5 })).rejects.toThrow();
+    await expect(gradeAccessService.generateCode('user-1', { gradeLevel: 5, classId: 'class-1', studentId: 'student-1' })).rejects.toThrow();
+  });
+});
+
+describe('redeemCode', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.gradeAccessCode.findUnique.mockResolvedValue(classCode);
+    prisma.gradeAccessCode.updateMany.mockResolvedValue({ count: 1 });
+    prisma.student.findUnique.mockResolvedValue(student);
+    prisma.team_members.findFirst.mockResolvedValue({ id: 'membership-1' });
+    prisma.gradeAccessRedemption.findUnique.mockResolvedValue(null);
+  });
+
+  it('should unlock the grade on the student record', async () => {
+    const result = await gradeAccessService.redeemCode('student-1', 'abcd-efgh');
+
+    expect(result).toEqual({ gradeLevel: 5, unlockedGrades: [5, 7] });
+    expect(prisma.gradeAccessCode.findUnique).toHaveBeenCalledWith({ where: { codeHash: hashCode('ABCDEFGH') } });
+    expect(prisma.team_members.findFirst).toHaveBeenCalledWith({ where: { teamId: 'class-1', userId: 'student-user' } });
+    expect(prisma.gradeAccessCode.updateMany).toHaveBeenCalledWith({
+      where: { id: 'code-1', uses: { lt: 30 } },
+      data: { uses: { increment: 1 } },
+    });
+    expect(prisma.student.update).toHaveBeenCalledWith({
+      where: { id: 'student-1' },
+      data: { unlockedGrades: { push: 5 } },
+    });
+  });
+
+  it('should merge with grades unlocked since the student was first read', async () => {
+    // Another code for grade 8 was redeemed while this one was checked
+    prisma.student.findUnique
+      .mockResolvedValueOnce(student)
+      .mockResolvedValueOnce({ unlockedGrades: [7, 8] });
+
+    const result = await gradeAccessService.redeemCode('student-1', 'abcd-efgh');
+
+    expect(result.unlockedGrades).toEqual([5, 7, 8]);
+    expect(prisma.student.update).toHaveBeenCalledWith(expect.objectContaining({
+      data: { unlockedGrades: { push: 5 } },
+    }));
+  });
+
+  it('should not add a grade the student already has', async () => {
+    prisma.student.findUnique.mockResolvedValue({ ...student, unlockedGrades: [5, 7] });
+
+    const result = await gradeAccessService.redeemCode('student-1', 'abcd-efgh');
+
+    expect(result.unlockedGrades).toEqual([5, 7]);
+    expect(prisma.student.update).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown, expired and revoked codes', async () => {
+    prisma.gradeAccessCode.findUnique.mockResolvedValueOnce(null);
+    await expect(gradeAccessService.redeemCode('student-1', 'nope')).rejects.toMatchObject({ code: 'INVALID_CODE' });
+
+    prisma.gradeAccessCode.findUnique.mockResolvedValueOnce({ ...classCode, expiresAt: new Date(Date.now() - HOUR) });
+    await expect(gradeAccessService.redeemCode('student-1', 'abcd-efgh')).rejects.toMatchObject({ code: 'INVALID_CODE' });
+
+    prisma.gradeAccessCode.findUnique.mockResolvedValueOnce({ ...classCode, revokedAt: new Date() });
+    await expect(gradeAccessService.redeemCode('student-1', 'abcd-efgh')).rejects.toBeInstanceOf(GradeAccessError);
+
+    expect(prisma.student.update).not.toHaveBeenCalled();
+  });
+
+  it('should only let the code\'s class or student use it', async () => {
+    prisma.team_members.findFirst.mockResolvedValueOnce(null);
+    await expect(gradeAccessService.redeemCode('student-1', 'abcd-efgh')).rejects.toMatchObject({ code: 'NOT_IN_CLASS', statusCode: 403 });
+
+    prisma.gradeAccessCode.findUnique.mockResolvedValueOnce({ ...classCode, classId: null, studentId: 'student-2' });
+    await expect(gradeAccessService.redeemCode('student-1', 'abcd-efgh')).rejects.toMatchObject({ code: 'WRONG_STUDENT' });
+  });
+
+  it('should refuse a code with no uses left', async () => {
+    prisma.gradeAccessCode.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(gradeAccessService.redeemCode('student-1', 'abcd-efgh')).rejects.toMatchObject({ code: 'CODE_USED_UP' });
+    expect(prisma.student.update).not.toHaveBeenCalled();
+  });
+
+  it('should not use up the code again for a student who already redeemed it', async () => {
+    prisma.gradeAccessRedemption.findUnique.mockResolvedValueOnce({ id: 'redemption-1' });
+
+    await gradeAccessService.redeemCode('student-1', 'abcd-efgh');
+
+    expect(prisma.gradeAccessCode.updateMany).not.toHaveBeenCalled();
+    expect(prisma.gradeAccessRedemption.create).not.toHaveBeenCalled();
+    expect(prisma.student.update).toHaveBeenCalled();
+  });
+});
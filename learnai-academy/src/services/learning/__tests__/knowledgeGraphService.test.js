@@ -0,0 +1,132 @@
+import { knowledgeGraphService, KnowledgeGraphError } from '../knowledgeGraphService.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => {
+  const client = {
+    skillNode: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+    skillEdge: {
+      findMany: jest.fn(),
+      create: jest.fn(),
+      createMany: jest.fn(),
+      delete: jest.fn(),
+      deleteMany: jest.fn(),
+    },
+  };
+  client.$transaction = jest.fn(callback => callback(client));
+  return { __esModule: true, default: client };
+});
+
+const nodes = [
+  { id: 'n1', key: 'math:division-concepts', subject: 'math', name: 'Division', topicSlug: 'division-concepts', source: 'curriculum' },
+  { id: 'n2', key: 'math:fractions-intro', subject: 'math', name: 'Fractions', topicSlug: 'fractions', source: 'curriculum' },
+  { id: 'n3', key: 'math:ratios-proportions', subject: 'math', name: 'Ratios', topicSlug: 'ratios-proportions', source: 'curriculum' },
+];
+
+const edges = [
+  { id: 'e1', fromId: 'n1', toId: 'n2', type: 'prerequisite' },
+  { id: 'e2', fromId: 'n2', toId: 'n3', type: 'prerequisite' },
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  knowledgeGraphService.clearCache();
+  prisma.skillNode.findMany.mockResolvedValue(nodes);
+  prisma.skillEdge.findMany.mockResolvedValue(edges);
+});
+
+describe('addEdge', () => {
+  it('should refuse an edge that closes a cycle, with the cycle', async () => {
+    const error = await knowledgeGraphService
+      .addEdge({ from: 'math:ratios-proportions', to: 'math:division-concepts' })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(KnowledgeGraphError);
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe('CYCLE');
+    expect(error.details.cycle).toEqual([
+      'math:ratios-proportions',
+      'math:division-concepts',
+      'math:fractions-intro',
+      'math:ratios-proportions',
+    ]);
+    expect(prisma.skillEdge.create).not.toHaveBeenCalled();
+  });
+
+  it('should save a related edge between the same skills', async () => {
+    prisma.skillEdge.create.mockResolvedValue({ id: 'e3' });
+
+    const edge = await knowledgeGraphService.addEdge({
+      from: 'math:ratios-proportions',
+      to: 'math:division-concepts',
+      type: 'related',
+    });
+
+    expect(edge).toEqual({ id: 'e3', from: 'math:ratios-proportions', to: 'math:division-concepts', type: 'related' });
+    expect(prisma.skillEdge.create).toHaveBeenCalledWith({
+      data: { fromId: 'n3', toId: 'n1', type: 'related' },
+    });
+  });
+});
+
+describe('topicPrerequisites', () => {
+  it('should map topics to skills by slug', async () => {
+    const topics = [
+      { id: 't1', slug: 'division-concepts' },
+      { id: 't2', slug: 'fractions' },
+      { id: 't3', slug: 'ratios-proportions' },
+    ];
+
+    const prerequisites = await knowledgeGraphService.topicPrerequisites('math', topics);
+
+    expect(prerequisites.get('t1')).toEqual([]);
+    expect(prerequisites.get('t2')).toEqual(['t1']);
+    expect(prerequisites.get('t3')).toEqual(['t2']);
+  });
+});
+
+describe('importGraph', () => {
+  it('should save nothing when the result would have a cycle', async () => {
+    const error = await knowledgeGraphService.importGraph({
+      nodes: [],
+      edges: [{ from: 'math:fractions-intro', to: 'math:division-concepts', type: 'extends' }],
+    }).catch(e => e);
+
+    expect(error.code).toBe('INVALID_GRAPH');
+    expect(error.details.cycle).not.toBeNull();
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('should add new skills and edges and keep existing ones', async () => {
+    prisma.skillNode.findMany
+      .mockResolvedValueOnce(nodes)
+      .mockResolvedValueOnce(nodes)
+      .mockResolvedValueOnce([...nodes, { id: 'n4', key: 'math:percentages' }]);
+    prisma.skillEdge.createMany.mockResolvedValue({ count: 1 });
+
+    const result = await knowledgeGraphService.importGraph({
+      nodes: [{ key: 'math:percentages', subject: 'math', name: 'Percentages' }],
+      edges: [
+        { from: 'math:fractions-intro', to: 'math:ratios-proportions', type: 'prerequisite' },
+        { from: 'math:ratios-proportions', to: 'math:percentages', type: 'prerequisite' },
+      ],
+    });
+
+    expect(result).toEqual({ nodes: 1, edges: 1 });
+    expect(prisma.skillNode.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ key: 'math:percentages', source: 'import' }),
+    });
+    expect(prisma.skillEdge.deleteMany).not.toHaveBeenCalled();
+    expect(prisma.skillEdge.createMany).toHaveBeenCalledWith({
+      data: [{ fromId: 'n3', toId: 'n4', type: 'prerequisite' }],
+      skipDuplicates: true,
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import {
+  spacedRepetitionService,
+  SpacedRepetitionError,
+  MIN_OPTIMIZE_REVIEWS,
+  localExternalId,
+} from '../spacedRepetitionService.js';
+import { RATINGS, CARD_STATES } from '../../../lib/fsrs.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    reviewCard: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      upsert: jest.fn(),
+      updateMany: jest.fn(),
+    },
+    reviewLog: {
+      create: jest.fn(),
+      createMany: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      groupBy: jest.fn(),
+    },
+    studentSchedulerParameters: {
+      findUnique: jest.fn(),
+      upsert: jest.fn(),
+    },
+    concept: {
+      findUnique: jest.fn(),
+    },
+    subject: {
+      findMany: jest.fn(),
+    },
+  },
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function storedCard(overrides = {}) {
+  return {
+    id: 'card-1',
+    studentId: 'student-1',
+    externalId: 'concept:concept-1',
+    source: 'concept',
+    conceptId: 'concept-1',
+    prompt: 'Equivalent Fractions',
+    state: CARD_STATES.REVIEW,
+    stability: 5,
+    difficulty: 5,
+    reps: 2,
+    lapses: 0,
+    lastReviewedAt: new Date(Date.now() - 5 * DAY_MS),
+    dueAt: new Date(),
+    ...overrides,
+  };
+}
+
+describe('SpacedRepetitionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spacedRepetitionService.paramsCache.clear();
+    prisma.studentSchedulerParameters.findUnique.mockResolvedValue(null);
+    prisma.reviewCard.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  it('should reschedule a reviewed card and log the review', async () => {
+    prisma.reviewCard.findUnique.mockResolvedValue(storedCard());
+
+    const { card, log } = await spacedRepetitionService.recordReview(
+      'student-1',
+      { cardId: 'card-1' },
+      RATINGS.GOOD,
+      { sessionId: 'session-1' }
+    );
+
+    expect(card.stability).toBeGreaterThan(5);
+    expect(card.isDue).toBe(false);
+    expect(log.elapsedDays).toBeCloseTo(5, 1);
+    expect(prisma.reviewCard.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: 'card-1', dueAt: expect.any(Date) },
+    }));
+    expect(prisma.reviewLog.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ cardId: 'card-1', rating: RATINGS.GOOD, sessionId: 'session-1' }),
+    });
+  });
+
+  it("should not review another student's card", async () => {
+    prisma.reviewCard.findUnique.mockResolvedValue(storedCard({ studentId: 'student-2' }));
+
+    await expect(
+      spacedRepetitionService.recordReview('student-1', { cardId: 'card-1' }, RATINGS.GOOD)
+    ).rejects.toThrow(SpacedRepetitionError);
+    expect(prisma.reviewCard.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a second review of the same due card', async () => {
+    prisma.reviewCard.findUnique.mockResolvedValue(storedCard());
+    prisma.reviewCard.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(
+      spacedRepetitionService.recordReview('student-1', { cardId: 'card-1' }, RATINGS.GOOD)
+    ).rejects.toMatchObject({ code: 'ALREADY_REVIEWED', statusCode: 409 });
+    expect(prisma.reviewLog.create).not.toHaveBeenCalled();
+  });
+
+  it('should import local cards with their history once', async () => {
+    const reviewedAt = Date.now() - 10 * DAY_MS;
+    const localCards = [
+      {
+        id: 'card_a',
+        studentId: 'student-1',
+        subject: 'math',
+        topicId: 'fractions',
+        conceptText: 'What is 1/2 + 1/4?',
+        reviewHistory: [
+          { timestamp: new Date(reviewedAt).toISOString(), quality: 4 },
+          { timestamp: new Date(reviewedAt + 3 * DAY_MS).toISOString(), quality: 5 },
+        ],
+      },
+      { id: 'card_b', studentId: 'student-1', subject: 'math', conceptText: 'Simplify 4/8' },
+      { id: 'card_c', studentId: 'student-2', subject: 'math', conceptText: 'Not mine' },
+    ];
+    prisma.reviewCard.findMany.mockResolvedValue([{ externalId: localExternalId('card_b') }]);
+    prisma.subject.findMany.mockResolvedValue([{ id: 'subject-math', slug: 'math' }]);
+    prisma.reviewCard.create.mockImplementation(({ data }) => Promise.resolve({ id: 'new-card', ...data }));
+
+    const result = await spacedRepetitionService.importLocalCards('student-1', localCards);
+
+    expect(result).toEqual({ imported: 1, skipped: 2, importedIds: ['card_a', 'card_b'] });
+    expect(prisma.reviewCard.create).toHaveBeenCalledTimes(1);
+    expect(prisma.reviewCard.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        externalId: 'local:card_a',
+        subjectId: 'subject-math',
+        prompt: 'What is 1/2 + 1/4?',
+        state: CARD_STATES.REVIEW,
+        reps: 2,
+      }),
+    });
+    expect(prisma.reviewLog.createMany.mock.calls[0][0].data.map(log => log.rating))
+      .toEqual([RATINGS.GOOD, RATINGS.EASY]);
+  });
+
+  it('should wait for enough reviews before optimizing a student', async () => {
+    prisma.reviewLog.findMany.mockResolvedValue(
+      Array.from({ length: MIN_OPTIMIZE_REVIEWS - 1 }, (_, i) => ({
+        cardId: `card-${i % 10}`,
+        rating: RATINGS.GOOD,
+        reviewedAt: new Date(i * DAY_MS),
+      }))
+    );
+
+    expect(await spacedRepetitionService.optimizeStudent('student-1')).toBeNull();
+    expect(prisma.studentSchedulerParameters.upsert).not.toHaveBeenCalled();
+  });
+});
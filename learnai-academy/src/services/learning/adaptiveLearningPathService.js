@@ -2,17 +2,21 @@ import prisma from '../../lib/prisma.js';
 import { logInfo, logError } from '../../lib/logger.js';
 import { progressTracker } from '../analytics/progressTracker.js';
 import { recommendationEngine } from '../analytics/recommendationEngine.js';
+import { masteryOf, isStruggling, MASTERED } from '../analytics/knowledgeTracing.js';
+import { knowledgeGraphService } from './knowledgeGraphService.js';
+import { gapBacktraceService, toView as backtraceView, BACKTRACE_STATUS } from './gapBacktraceService.js';
 
 /**
  * AdaptiveLearningPathService - Real-time learning path adjustment
  * 
  * Features:
  * - Real-time path adjustment based on performance
- * - Prerequisite checking
+ * - Prerequisite checking (from the knowledge graph)
  * - Difficulty adaptation
  * - Learning style optimization
  * - Branching paths
  * - Remediation paths
+ * - Detours through prerequisite gaps (gapBacktraceService)
  * - Enrichment opportunities
  */
 class AdaptiveLearningPathService {
@@ -53,7 +57,7 @@ class AdaptiveLearningPathService {
       const path = await this.buildAdaptivePath(
         studentId,
         subjectId,
-        topics,
+        await this.withPrerequisites(subjectId, topics),
         studentProgress,
         {
           currentTopicId,
@@ -70,6 +74,24 @@ class AdaptiveLearningPathService {
     }
   }
 
+  /**
+   * Topics with their prerequisites from the knowledge graph, as the IDs
+   * of other topics in the list
+   */
+  async withPrerequisites(subjectId, topics) {
+    const subject = await prisma.subject.findUnique({
+      where: { id: subjectId },
+      select: { slug: true },
+    });
+    if (!subject) return topics.map(topic => ({ ...topic, prerequisites: [] }));
+
+    const prerequisites = await knowledgeGraphService.topicPrerequisites(subject.slug, topics);
+    return topics.map(topic => ({
+      ...topic,
+      prerequisites: prerequisites.get(topic.id) || [],
+    }));
+  }
+
   /**
    * Build adaptive learning path
    */
@@ -117,6 +139,7 @@ class AdaptiveLearningPathService {
       topic,
       reason: 'Low mastery - needs review',
       mastery: this.getMasteryLevel(topic, studentProgress),
+      masteryRange: this.getMasteryRange(topic, studentProgress),
       priority: 'high',
     }));
 
@@ -138,6 +161,12 @@ class AdaptiveLearningPathService {
       );
     }
 
+    // Send the student through any prerequisite gaps first
+    path.detour = await gapBacktraceService.getDetour(studentId, subjectId, studentProgress);
+    if (path.detour) {
+      path.next = [...this.detourTopics(path.detour, topics), ...path.next];
+    }
+
     // Generate recommendations
     path.recommendations = await this.generateRecommendations(
       studentId,
@@ -149,6 +178,36 @@ class AdaptiveLearningPathService {
     return path;
   }
 
+  /**
+   * Path entries for a back-trace: its open detour steps, or the topic
+   * to go back to once they are closed
+   */
+  detourTopics(detour, topics) {
+    const original = topics.find(t => t.id === detour.topicId) || { id: detour.topicId };
+
+    if (detour.status === BACKTRACE_STATUS.RESOLVED) {
+      return [{
+        topic: original,
+        reason: 'Gaps filled - back to where you were',
+        priority: 'high',
+        action: 'return',
+      }];
+    }
+
+    if (detour.status !== BACKTRACE_STATUS.REMEDIATING) return [];
+
+    return detour.detour
+      .filter(step => !step.closed)
+      .map(step => ({
+        // Skills without a topic of their own are practiced by name
+        topic: topics.find(t => t.id === step.topicId) || { id: step.topicId, name: step.name },
+        skillKey: step.skillKey,
+        reason: `Strengthen ${step.name} before returning to ${original.name || 'this topic'}`,
+        priority: 'high',
+        action: 'remediate',
+      }));
+  }
+
   /**
    * Get next recommended topics
    */
@@ -263,6 +322,7 @@ class AdaptiveLearningPathService {
         return {
           topic: prereqTopic,
           mastery,
+          masteryRange: this.getMasteryRange(prereqTopic, studentProgress),
           isCompleted: mastery >= 0.7,
           isRequired: true,
         };
@@ -291,30 +351,28 @@ class AdaptiveLearningPathService {
     return {
       completed: topics.filter(t => {
         const mastery = this.getMasteryLevel(t, studentProgress);
-        return mastery >= 0.8;
+        return mastery >= MASTERED;
       }),
       inProgress: topics.filter(t => {
         const mastery = this.getMasteryLevel(t, studentProgress);
-        return mastery > 0 && mastery < 0.8;
+        return mastery > 0 && mastery < MASTERED;
       }),
       notStarted: topics.filter(t => {
         const mastery = this.getMasteryLevel(t, studentProgress);
         return mastery === 0;
       }),
-      weak: topics.filter(t => {
-        const mastery = this.getMasteryLevel(t, studentProgress);
-        return mastery > 0 && mastery < 0.5; // Below 50%
-      }),
+      // Confidently below 50%, not just low after a few answers
+      weak: topics.filter(t => isStruggling(studentProgress.find(p => p.topicId === t.id))),
     };
   }
 
   /**
-   * Get mastery level for topic
+   * Get mastery level for topic (knowledge tracing estimate, 0-1 scale)
    */
   getMasteryLevel(topic, studentProgress) {
     if (Array.isArray(studentProgress)) {
       const progress = studentProgress.find(p => p.topicId === topic.id);
-      return (progress?.masteryLevel || 0) / 100; // Convert to 0-1 scale
+      return masteryOf(progress).estimate;
     }
     // Handle categorized topics
     if (studentProgress.completed?.some(t => t.id === topic.id)) {
@@ -326,6 +384,20 @@ class AdaptiveLearningPathService {
     return 0;
   }
 
+  /**
+   * 95% interval around the mastery estimate for topic, as [lower, upper]
+   * (0-1 scale), or null when there's no progress with an interval
+   */
+  getMasteryRange(topic, studentProgress) {
+    const progress = Array.isArray(studentProgress)
+      ? studentProgress.find(p => p.topicId === topic.id)
+      : null;
+    if (progress?.masteryUpper == null) return null;
+
+    const { lower, upper } = masteryOf(progress);
+    return [lower, upper];
+  }
+
   /**
    * Calculate priority for topic recommendation
    */
@@ -456,8 +528,24 @@ class AdaptiveLearningPathService {
         }
       );
 
+      // Back-traces are started by progressTracker when a session ends;
+      // one still probing comes before the other recommendations
+      const backtrace = await gapBacktraceService.findActive(studentId, topic.subjectId);
+      if (backtrace) {
+        adjustedPath.backtrace = backtraceView(backtrace);
+      }
+
       // Add performance-based recommendations
-      if (performanceAnalysis.isStruggling) {
+
+      if (adjustedPath.backtrace?.status === BACKTRACE_STATUS.PROBING) {
+        adjustedPath.recommendations.unshift({
+          type: 'diagnose',
+          topic,
+          reason: 'A few quick questions to find what to review first',
+          priority: 'high',
+          action: 'probe',
+        });
+      } else if (performanceAnalysis.isStruggling) {
         adjustedPath.recommendations.unshift({
           type: 'remediation',
           topic,
@@ -511,10 +599,10 @@ class AdaptiveLearningPathService {
   async getPathVisualization(studentId, subjectId) {
     try {
       const path = await this.getLearningPath(studentId, subjectId);
-      const topics = await prisma.topic.findMany({
+      const topics = await this.withPrerequisites(subjectId, await prisma.topic.findMany({
         where: { subjectId, isActive: true },
         orderBy: { orderIndex: 'asc' },
-      });
+      }));
 
       // Build node graph
       const nodes = topics.map(topic => {
@@ -531,7 +619,7 @@ class AdaptiveLearningPathService {
 
       // Build edges (connections)
       const edges = topics
-        .filter(t => t.prerequisites && t.prerequisites.length > 0)
+        .filter(t => t.prerequisites.length > 0)
         .flatMap(topic => {
           return topic.prerequisites.map(prereqId => ({
             from: prereqId,
@@ -0,0 +1,489 @@
+/**
+ * Gap Back-Tracing
+ *
+ * When a student keeps failing a topic, the trouble is often a skill it
+ * builds on: a 6th grader stuck on ratios who never really got fractions.
+ * progressTracker starts a back-trace when a session ends with the
+ * student failing the topic again. It walks back through the knowledge
+ * graph to find that skill, the way a teacher would:
+ *
+ * 1. Probe each direct prerequisite of the topic with a few quick
+ *    questions from AssessmentAgent
+ * 2. For every prerequisite the student fails, probe its prerequisites
+ *    in turn, until the probes pass or the walk gets too deep
+ * 3. The failed skills, deepest first, become a detour in the student's
+ *    learning path. Each step closes when the student masters its topic
+ *    or passes a fresh check probe
+ * 4. Once every step is closed, the path sends them back to the topic
+ *
+ * Schema: prisma/schema-gap-backtrace.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { logInfo } from '../../lib/logger.js';
+import { ancestorsOf } from '../../lib/skillGraph.js';
+import { graphSubject } from '../../lib/curriculumGraph.js';
+import { agentOrchestrator } from '../ai/agentOrchestrator.js';
+import { knowledgeGraphService } from './knowledgeGraphService.js';
+import { masteryOf, isStruggling, MASTERED } from '../analytics/knowledgeTracing.js';
+
+// Failed sessions in a row on a topic before its prerequisites are probed
+export const REPEATED_FAILURES = 3;
+// Session accuracy below this is a failed session
+export const FAILING_ACCURACY = 0.6;
+// Questions per probed skill, and how many must be right to pass
+export const PROBE_QUESTIONS = 3;
+export const PROBE_PASS_CORRECT = 2;
+// How far back the walk goes, and how many skills it probes at most
+export const MAX_BACKTRACE_DEPTH = 4;
+export const MAX_PROBED_SKILLS = 8;
+
+export const BACKTRACE_STATUS = {
+  PROBING: 'probing',
+  REMEDIATING: 'remediating',
+  RESOLVED: 'resolved',
+  NO_GAP: 'no_gap',
+};
+
+const ACTIVE_STATUSES = [BACKTRACE_STATUS.PROBING, BACKTRACE_STATUS.REMEDIATING];
+
+export const PROBE_PURPOSES = {
+  DIAGNOSE: 'diagnose', // Finding the gaps
+  CHECK: 'check', // Whether a detour step's gap has closed
+};
+
+export const PROBE_RESULTS = {
+  PASSED: 'passed',
+  GAP: 'gap',
+};
+
+export class GapBacktraceError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'GapBacktraceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether a student's sessions on a topic call for back-tracing
+ * @param {Object} performance - { accuracy, failedSessions } - the latest
+ *   session's accuracy (0-1) and how many sessions in a row, counting it,
+ *   the student has failed
+ * @param {Object} [progress] - The topic's StudentProgress
+ */
+export function isRepeatedFailure({ accuracy, failedSessions }, progress = null) {
+  if (!(accuracy < FAILING_ACCURACY)) return false;
+  return failedSessions >= REPEATED_FAILURES || isStruggling(progress);
+}
+
+/**
+ * Result of a probe, or null while it has unanswered questions
+ */
+export function probeResult(probe) {
+  if (probe.answers.length < probe.questions.length) return null;
+  const correct = probe.answers.filter(answer => answer.correct).length;
+  return correct >= Math.min(PROBE_PASS_CORRECT, probe.questions.length)
+    ? PROBE_RESULTS.PASSED
+    : PROBE_RESULTS.GAP;
+}
+
+/**
+ * Gap skills in the order to fill them: a skill comes after every gap it
+ * builds on
+ * @param {Array} gapKeys - Node keys
+ * @param {Array} edges - Knowledge graph edges
+ */
+export function orderDetour(gapKeys, edges) {
+  const gaps = new Set(gapKeys);
+  const gapsBelow = new Map(gapKeys.map(key => [
+    key,
+    ancestorsOf(edges, key).filter(ancestor => gaps.has(ancestor.key)).length,
+  ]));
+  return [...gapKeys].sort((a, b) => gapsBelow.get(a) - gapsBelow.get(b));
+}
+
+/**
+ * The next question to ask, with its probe and the probe's index
+ */
+function pendingQuestion(probes) {
+  for (const [index, probe] of probes.entries()) {
+    if (probe.result) continue;
+    const answered = new Set(probe.answers.map(answer => answer.questionId));
+    const question = probe.questions.find(q => !answered.has(q.id));
+    if (question) return { index, probe, question };
+  }
+  return null;
+}
+
+/**
+ * A back-trace as returned to clients, without answers
+ */
+export function toView(backtrace) {
+  const pending = pendingQuestion(backtrace.probes);
+  const currentStep = backtrace.detour.find(step => !step.closedAt) || null;
+
+  return {
+    id: backtrace.id,
+    studentId: backtrace.studentId,
+    subjectId: backtrace.subjectId,
+    topicId: backtrace.topicId,
+    skillKey: backtrace.skillKey,
+    status: backtrace.status,
+    question: pending
+      ? {
+        id: pending.question.id,
+        skill: pending.probe.name,
+        purpose: pending.probe.purpose,
+        text: pending.question.text,
+        type: pending.question.type,
+        options: pending.question.options,
+      }
+      : null,
+    probes: backtrace.probes.map(probe => ({
+      skillKey: probe.skillKey,
+      name: probe.name,
+      depth: probe.depth,
+      purpose: probe.purpose,
+      answered: probe.answers.length,
+      total: probe.questions.length,
+      result: probe.result,
+    })),
+    gapSkillKey: backtrace.gapSkillKey,
+    detour: backtrace.detour.map(step => ({
+      skillKey: step.skillKey,
+      name: step.name,
+      topicId: step.topicId,
+      closed: Boolean(step.closedAt),
+    })),
+    currentStep: currentStep
+      ? { skillKey: currentStep.skillKey, name: currentStep.name, topicId: currentStep.topicId }
+      : null,
+    // Once the gaps are closed, where the student goes back to
+    returnTo: backtrace.status === BACKTRACE_STATUS.RESOLVED ? backtrace.topicId : null,
+  };
+}
+
+class GapBacktraceService {
+  async findBacktrace(backtraceId) {
+    const backtrace = await prisma.gapBacktrace.findUnique({ where: { id: backtraceId } });
+    if (!backtrace) {
+      throw new GapBacktraceError('Back-trace not found', 'BACKTRACE_NOT_FOUND', 404);
+    }
+    return backtrace;
+  }
+
+  async getBacktrace(backtraceId) {
+    return toView(await this.findBacktrace(backtraceId));
+  }
+
+  /**
+   * The student's unfinished back-trace in a subject, if any
+   */
+  async findActive(studentId, subjectId) {
+    return prisma.gapBacktrace.findFirst({
+      where: { studentId, subjectId, status: { in: ACTIVE_STATUSES } },
+      orderBy: { startedAt: 'desc' },
+    });
+  }
+
+  /**
+   * Save changes, unless someone else saved first
+   */
+  async save(backtrace, changes) {
+    const { count } = await prisma.gapBacktrace.updateMany({
+      where: { id: backtrace.id, revision: backtrace.revision },
+      data: { ...changes, revision: { increment: 1 } },
+    });
+    if (count === 0) {
+      throw new GapBacktraceError('This back-trace changed; reload it and try again', 'CONFLICT', 409);
+    }
+    return { ...backtrace, ...changes, revision: backtrace.revision + 1 };
+  }
+
+  /**
+   * Probes for skills, with questions from the subject's AssessmentAgent
+   * @param {Array} skills - Knowledge graph nodes, each with its depth
+   * @param {Object} context - { gradeLevel, topicName, purpose }
+   */
+  async createProbes(skills, { gradeLevel, topicName, purpose = PROBE_PURPOSES.DIAGNOSE }) {
+    return Promise.all(skills.map(async (skill) => {
+      const questions = await agentOrchestrator.generateProbeQuestions(
+        graphSubject(skill.subject),
+        skill,
+        gradeLevel,
+        { questionCount: PROBE_QUESTIONS, topicName }
+      );
+
+      return {
+        skillKey: skill.key,
+        name: skill.name,
+        subject: skill.subject,
+        gradeLevel: skill.gradeLevel,
+        depth: skill.depth,
+        purpose,
+        questions: questions.map((question, i) => ({
+          id: `${skill.key}#${purpose}-${Date.now()}-${i}`,
+          text: question.text,
+          type: question.type,
+          options: question.options,
+          answer: String(question.answer),
+          explanation: question.explanation,
+        })),
+        answers: [],
+        result: null,
+      };
+    }));
+  }
+
+  /**
+   * Start tracing a student's trouble with a topic back through its
+   * prerequisites, or pick up the back-trace already running for it
+   * @param {string} studentId
+   * @param {Object} topic - Topic, with its subject
+   * @returns {Promise<Object|null>} The back-trace, or null if the topic
+   *   has no prerequisites in the knowledge graph to probe
+   */
+  async start(studentId, topic) {
+    const existing = await prisma.gapBacktrace.findFirst({
+      where: { studentId, topicId: topic.id, status: { in: ACTIVE_STATUSES } },
+      orderBy: { startedAt: 'desc' },
+    });
+    if (existing) {
+      return toView(existing);
+    }
+
+    const node = await knowledgeGraphService.nodeForTopic(topic.subject.slug, topic.slug);
+    if (!node) return null;
+
+    const prerequisites = (await knowledgeGraphService.ancestors(node.key, { maxDepth: 1 }))
+      .slice(0, MAX_PROBED_SKILLS);
+    if (prerequisites.length === 0) return null;
+
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { gradeLevel: true },
+    });
+
+    const probes = await this.createProbes(prerequisites, {
+      gradeLevel: student?.gradeLevel ?? topic.gradeLevel,
+      topicName: topic.name,
+    });
+
+    const backtrace = await prisma.gapBacktrace.create({
+      data: {
+        studentId,
+        subjectId: topic.subjectId,
+        topicId: topic.id,
+        skillKey: node.key,
+        status: BACKTRACE_STATUS.PROBING,
+        probes,
+        detour: [],
+      },
+    });
+
+    logInfo('Gap back-trace started', { studentId, topicId: topic.id, skills: probes.length });
+    return toView(backtrace);
+  }
+
+  /**
+   * Answer the next probe question. A failed diagnostic probe sends the
+   * walk one step further back; when nothing is left to probe the gaps
+   * become the student's detour. A passed check probe closes its step.
+   * @returns {Promise<Object>} { correct, backtrace }
+   */
+  async submitAnswer(backtraceId, { questionId, answer }) {
+    const backtrace = await this.findBacktrace(backtraceId);
+    const pending = pendingQuestion(backtrace.probes);
+    if (!pending) {
+      throw new GapBacktraceError('There is no question waiting for an answer', 'NO_QUESTION', 409);
+    }
+    if (pending.question.id !== questionId) {
+      throw new GapBacktraceError('That is not the current question', 'WRONG_QUESTION', 409);
+    }
+
+    const correct = Boolean(await agentOrchestrator.checkAssessmentAnswer(
+      pending.question,
+      answer,
+      { subject: graphSubject(pending.probe.subject), gradeLevel: pending.probe.gradeLevel }
+    ));
+
+    const answered = {
+      ...pending.probe,
+      answers: [...pending.probe.answers, { questionId, answer: String(answer), correct, answeredAt: new Date().toISOString() }],
+    };
+    const probe = { ...answered, result: probeResult(answered) };
+    let probes = backtrace.probes.map((p, i) => (i === pending.index ? probe : p));
+
+    const changes = {};
+    if (probe.result && probe.purpose === PROBE_PURPOSES.DIAGNOSE) {
+      if (probe.result === PROBE_RESULTS.GAP) {
+        probes = [...probes, ...(await this.probesBehind(backtrace, probe, probes))];
+      }
+      if (!probes.some(p => !p.result)) {
+        Object.assign(changes, await this.diagnose(backtrace, probes));
+      }
+    }
+
+    if (probe.result === PROBE_RESULTS.PASSED && probe.purpose === PROBE_PURPOSES.CHECK) {
+      Object.assign(changes, this.closeSteps(backtrace, [probe.skillKey]));
+    }
+
+    const updated = await this.save(backtrace, { probes, ...changes });
+    return { correct, backtrace: toView(updated) };
+  }
+
+  /**
+   * Diagnostic probes for the prerequisites of a skill the student failed
+   */
+  async probesBehind(backtrace, probe, probes) {
+    if (probe.depth >= MAX_BACKTRACE_DEPTH) return [];
+
+    const probed = new Set([backtrace.skillKey, ...probes.map(p => p.skillKey)]);
+    const room = MAX_PROBED_SKILLS - probes.filter(p => p.purpose === PROBE_PURPOSES.DIAGNOSE).length;
+    const skills = (await knowledgeGraphService.ancestors(probe.skillKey, { maxDepth: 1 }))
+      .filter(skill => !probed.has(skill.key))
+      .slice(0, Math.max(room, 0))
+      .map(skill => ({ ...skill, depth: probe.depth + 1 }));
+    if (skills.length === 0) return [];
+
+    const [topic, student] = await Promise.all([
+      prisma.topic.findUnique({ where: { id: backtrace.topicId }, select: { name: true, gradeLevel: true } }),
+      prisma.student.findUnique({ where: { id: backtrace.studentId }, select: { gradeLevel: true } }),
+    ]);
+    return this.createProbes(skills, {
+      gradeLevel: student?.gradeLevel ?? topic?.gradeLevel,
+      topicName: topic?.name,
+    });
+  }
+
+  /**
+   * Turn the failed skills into a detour, deepest first
+   */
+  async diagnose(backtrace, probes) {
+    const gaps = probes.filter(p => p.purpose === PROBE_PURPOSES.DIAGNOSE && p.result === PROBE_RESULTS.GAP);
+    if (gaps.length === 0) {
+      logInfo('Gap back-trace found no gap', { backtraceId: backtrace.id });
+      return { status: BACKTRACE_STATUS.NO_GAP, diagnosedAt: new Date(), resolvedAt: new Date() };
+    }
+
+    const { nodes, edges } = await knowledgeGraphService.getGraph();
+    const order = orderDetour(gaps.map(gap => gap.skillKey), edges);
+    const byKey = new Map(nodes.map(node => [node.key, node]));
+    const topicIds = await this.topicsForSkills(order.map(key => byKey.get(key)).filter(Boolean));
+
+    const detour = order.map(key => ({
+      skillKey: key,
+      name: gaps.find(gap => gap.skillKey === key).name,
+      topicId: topicIds.get(key) || null,
+      closedAt: null,
+    }));
+
+    logInfo('Gap back-trace found gaps', { backtraceId: backtrace.id, gaps: order });
+    return {
+      status: BACKTRACE_STATUS.REMEDIATING,
+      gapSkillKey: order[0],
+      detour,
+      diagnosedAt: new Date(),
+    };
+  }
+
+  /**
+   * Topics that teach each skill
+   * @returns {Promise<Map>} Node key -> topic ID
+   */
+  async topicsForSkills(skills) {
+    const slugs = skills.map(skill => skill.topicSlug).filter(Boolean);
+    if (slugs.length === 0) return new Map();
+
+    const topics = await prisma.topic.findMany({
+      where: { slug: { in: slugs }, isActive: true },
+      select: { id: true, slug: true, subject: { select: { slug: true } } },
+    });
+
+    const topicIds = new Map();
+    for (const skill of skills) {
+      const topic = topics.find(t => t.slug === skill.topicSlug && graphSubject(t.subject?.slug) === skill.subject);
+      if (topic) topicIds.set(skill.key, topic.id);
+    }
+    return topicIds;
+  }
+
+  /**
+   * Close detour steps; once they are all closed the student goes back
+   * to the topic
+   * @returns {Object} Changes to save
+   */
+  closeSteps(backtrace, skillKeys) {
+    const closedAt = new Date().toISOString();
+    const detour = backtrace.detour.map(step =>
+      !step.closedAt && skillKeys.includes(step.skillKey) ? { ...step, closedAt } : step
+    );
+    if (detour.every(step => step.closedAt)) {
+      logInfo('Gap back-trace resolved', { backtraceId: backtrace.id });
+      return { detour, status: BACKTRACE_STATUS.RESOLVED, resolvedAt: new Date() };
+    }
+    return { detour };
+  }
+
+  /**
+   * Quick questions on the current detour step, to see whether its gap
+   * has closed
+   */
+  async checkStep(backtraceId) {
+    const backtrace = await this.findBacktrace(backtraceId);
+    if (backtrace.status !== BACKTRACE_STATUS.REMEDIATING) {
+      throw new GapBacktraceError('There is no detour to check', 'NOT_REMEDIATING', 409);
+    }
+
+    const step = backtrace.detour.find(s => !s.closedAt);
+    const unfinished = backtrace.probes.find(p => p.purpose === PROBE_PURPOSES.CHECK && !p.result);
+    if (unfinished) {
+      return toView(backtrace);
+    }
+
+    const skill = await knowledgeGraphService.getNode(step.skillKey);
+    const gapProbe = backtrace.probes.find(p => p.skillKey === step.skillKey);
+    const [topic, student] = await Promise.all([
+      prisma.topic.findUnique({ where: { id: backtrace.topicId }, select: { name: true, gradeLevel: true } }),
+      prisma.student.findUnique({ where: { id: backtrace.studentId }, select: { gradeLevel: true } }),
+    ]);
+
+    const [probe] = await this.createProbes([{ ...skill, depth: gapProbe?.depth ?? 1 }], {
+      gradeLevel: student?.gradeLevel ?? topic?.gradeLevel,
+      topicName: topic?.name,
+      purpose: PROBE_PURPOSES.CHECK,
+    });
+
+    const updated = await this.save(backtrace, { probes: [...backtrace.probes, probe] });
+    return toView(updated);
+  }
+
+  /**
+   * The student's detour in a subject, with steps whose topics they have
+   * since mastered closed
+   * @param {Array} studentProgress - StudentProgress rows for the subject
+   * @returns {Promise<Object|null>}
+   */
+  async getDetour(studentId, subjectId, studentProgress = []) {
+    let backtrace = await this.findActive(studentId, subjectId);
+    if (!backtrace) return null;
+
+    if (backtrace.status === BACKTRACE_STATUS.REMEDIATING) {
+      const mastered = backtrace.detour
+        .filter(step => !step.closedAt && step.topicId)
+        .filter(step => masteryOf(studentProgress.find(p => p.topicId === step.topicId)).estimate >= MASTERED)
+        .map(step => step.skillKey);
+
+      if (mastered.length > 0) {
+        backtrace = await this.save(backtrace, this.closeSteps(backtrace, mastered));
+      }
+    }
+
+    return toView(backtrace);
+  }
+}
+
+export const gapBacktraceService = new GapBacktraceService();
+export default gapBacktraceService;
@@ -0,0 +1,227 @@
+/**
+ * Grade Access
+ *
+ * Students browse their own grade's content freely. To open another
+ * grade, a teacher issues an access code for a class or a parent issues
+ * one for their child. Codes expire, can be revoked and can be limited to
+ * a number of students. Redeeming a code adds the grade to the student's
+ * unlockedGrades, so it carries across devices.
+ *
+ * Only a hash of each code is stored; the code itself is returned once,
+ * when it is generated.
+ *
+ * Schema: prisma/schema-grade-access.prisma
+ */
+
+import { createHash, randomInt } from 'crypto';
+import prisma from '../../lib/prisma.js';
+
+// No 0/O, 1/I/L or 5/S, which are easy to misread from a whiteboard
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRTUVWXYZ2346789';
+const CODE_LENGTH = 8;
+
+export const DEFAULT_EXPIRY_HOURS = 7 * 24;
+export const MAX_EXPIRY_HOURS = 90 * 24;
+
+export class GradeAccessError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'GradeAccessError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Upper-case a code and drop the dash and any spaces students type
+ */
+export function normalizeCode(code = '') {
+  return String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+export function hashCode(code) {
+  return createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+/**
+ * A new random code, formatted "ABCD-EFGH"
+ */
+export function createCode() {
+  const chars = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * A code as shown in lists, without its hash
+ */
+function toSummary(record) {
+  const { codeHash, ...summary } = record;
+  return {
+    ...summary,
+    active: !record.revokedAt && record.expiresAt > new Date()
+      && (record.maxUses == null || record.uses < record.maxUses),
+  };
+}
+
+class GradeAccessService {
+  /**
+   * Issue a code for a class or a student
+   * @param {string} createdBy - users.id of the teacher or parent
+   * @param {Object} options
+   * @param {number} options.gradeLevel - Grade the code opens (0-12)
+   * @param {string} [options.classId] - Team ID, for a class code
+   * @param {string} [options.studentId] - Student ID, for a single student
+   * @param {number} [options.expiresInHours] - Defaults to a week
+   * @param {number} [options.maxUses] - Students who may redeem it
+   * @returns {Promise<Object>} The stored code's summary plus `code`
+   */
+  async generateCode(createdBy, { gradeLevel, classId, studentId, expiresInHours = DEFAULT_EXPIRY_HOURS, maxUses = null }) {
+    if (!classId === !studentId) {
+      throw new Error('A grade access code is for either a class or a student');
+    }
+
+    const code = createCode();
+    const hours = Math.min(expiresInHours, MAX_EXPIRY_HOURS);
+
+    const record = await prisma.gradeAccessCode.create({
+      data: {
+        codeHash: hashCode(code),
+        hint: normalizeCode(code).slice(-4),
+        gradeLevel,
+        classId: classId || null,
+        studentId: studentId || null,
+        createdBy,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+        maxUses,
+      },
+    });
+
+    return { ...toSummary(record), code };
+  }
+
+  /**
+   * Codes issued for a class or a student, newest first
+   * @param {{ classId?: string, studentId?: string }} scope
+   */
+  async listCodes(scope) {
+    const records = await prisma.gradeAccessCode.findMany({
+      where: scope,
+      orderBy: { createdAt: 'desc' },
+      take: 100,
+    });
+
+    return records.map(toSummary);
+  }
+
+  /**
+   * Revoke a code. Grades already unlocked with it stay unlocked.
+   * @param {string} codeId
+   * @param {{ classId?: string, studentId?: string }} scope - The code must belong to it
+   * @returns {Promise<boolean>} false when no such active code exists
+   */
+  async revokeCode(codeId, scope) {
+    const { count } = await prisma.gradeAccessCode.updateMany({
+      where: { id: codeId, ...scope, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Grades a student has unlocked besides their own
+   */
+  async getUnlockedGrades(studentId) {
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { unlockedGrades: true },
+    });
+
+    return [...new Set(student?.unlockedGrades || [])].sort((a, b) => a - b);
+  }
+
+  /**
+   * Redeem a code for a student
+   * @param {string} studentId
+   * @param {string} code - As typed by the student
+   * @returns {Promise<{ gradeLevel: number, unlockedGrades: number[] }>}
+   * @throws {GradeAccessError} When the code can't be used by this student
+   */
+  async redeemCode(studentId, code) {
+    const record = await prisma.gradeAccessCode.findUnique({
+      where: { codeHash: hashCode(code) },
+    });
+
+    if (!record || record.revokedAt || record.expiresAt <= new Date()) {
+      throw new GradeAccessError('This access code is invalid or has expired', 'INVALID_CODE');
+    }
+
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { id: true, userId: true },
+    });
+    if (!student) {
+      throw new GradeAccessError('Student not found', 'STUDENT_NOT_FOUND', 404);
+    }
+
+    if (record.studentId && record.studentId !== studentId) {
+      throw new GradeAccessError('This access code is for a different student', 'WRONG_STUDENT', 403);
+    }
+
+    if (record.classId) {
+      const membership = await prisma.team_members.findFirst({
+        where: { teamId: record.classId, userId: student.userId },
+      });
+      if (!membership) {
+        throw new GradeAccessError('This access code is for a class you are not in', 'NOT_IN_CLASS', 403);
+      }
+    }
+
+    const alreadyRedeemed = await prisma.gradeAccessRedemption.findUnique({
+      where: { codeId_studentId: { codeId: record.id, studentId } },
+    });
+
+    const unlockedGrades = await prisma.$transaction(async (tx) => {
+      if (!alreadyRedeemed) {
+        // Claim a use only while some are left, so two students can't
+        // both take the last one
+        const { count } = await tx.gradeAccessCode.updateMany({
+          where: {
+            id: record.id,
+            ...(record.maxUses != null && { uses: { lt: record.maxUses } }),
+          },
+          data: { uses: { increment: 1 } },
+        });
+        if (count === 0) {
+          throw new GradeAccessError('This access code has been used up', 'CODE_USED_UP');
+        }
+
+        await tx.gradeAccessRedemption.create({
+          data: { codeId: record.id, studentId, gradeLevel: record.gradeLevel },
+        });
+      }
+
+      // Read the grades inside the transaction and append rather than
+      // overwrite, so codes redeemed at the same time don't drop each
+      // other's grade
+      const current = await tx.student.findUnique({
+        where: { id: studentId },
+        select: { unlockedGrades: true },
+      });
+      const grades = current?.unlockedGrades || [];
+      if (!grades.includes(record.gradeLevel)) {
+        await tx.student.update({
+          where: { id: studentId },
+          data: { unlockedGrades: { push: record.gradeLevel } },
+        });
+      }
+
+      return [...new Set([...grades, record.gradeLevel])].sort((a, b) => a - b);
+    });
+
+    return { gradeLevel: record.gradeLevel, unlockedGrades };
+  }
+}
+
+export const gradeAccessService = new GradeAccessService();
+export default gradeAccessService;
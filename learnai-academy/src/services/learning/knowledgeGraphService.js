@@ -0,0 +1,424 @@
+/**
+ * Knowledge Graph
+ *
+ * The one prerequisite graph for every subject and grade: which skills
+ * build on which. Seeded from curriculumData (lib/curriculumGraph.js) and
+ * edited by admins afterwards, directly or by exporting the graph as JSON
+ * or GraphML, editing it in a graph tool and importing it back.
+ *
+ * Learning paths, remediation and the path visualizer all read their
+ * prerequisites from here. Prerequisite and extends edges are never
+ * allowed to form a cycle: adding one that would is refused with the
+ * cycle it would close.
+ *
+ * Schema: prisma/schema-knowledge-graph.prisma
+ */
+
+import prisma from '../../lib/prisma.js';
+import { logInfo } from '../../lib/logger.js';
+import {
+  EDGE_TYPES,
+  nodeKey,
+  cycleWithEdge,
+  validateGraph,
+  ancestorsOf,
+  prerequisitesOf,
+  toJSON,
+  fromJSON,
+  toGraphML,
+  fromGraphML,
+} from '../../lib/skillGraph.js';
+import { buildCurriculumGraph, graphSubject } from '../../lib/curriculumGraph.js';
+
+const GRAPH_CACHE_TTL_MS = 10 * 60 * 1000;
+
+export const GRAPH_FORMATS = ['json', 'graphml'];
+
+export const NODE_SOURCES = {
+  CURRICULUM: 'curriculum',
+  ADMIN: 'admin',
+  IMPORT: 'import',
+};
+
+export class KnowledgeGraphError extends Error {
+  constructor(message, code, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'KnowledgeGraphError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Lower-case, dash-separated form of a skill name, for keys
+ */
+export function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Nodes and edges for one subject: its own skills, plus the skills in
+ * other subjects they connect to
+ */
+export function subjectGraph({ nodes, edges }, subject) {
+  const own = new Set(nodes.filter(node => node.subject === subject).map(node => node.key));
+  const subjectEdges = edges.filter(edge => own.has(edge.from) || own.has(edge.to));
+  const keys = new Set([...own, ...subjectEdges.flatMap(edge => [edge.from, edge.to])]);
+  return {
+    nodes: nodes.filter(node => keys.has(node.key)),
+    edges: subjectEdges,
+  };
+}
+
+function nodeData(node) {
+  return {
+    subject: node.subject,
+    name: node.name,
+    description: node.description ?? null,
+    gradeLevel: node.gradeLevel ?? null,
+    difficulty: node.difficulty ?? null,
+    topicSlug: node.topicSlug ?? null,
+  };
+}
+
+function toNodeView(record) {
+  return {
+    id: record.id,
+    key: record.key,
+    ...nodeData(record),
+    source: record.source,
+  };
+}
+
+class KnowledgeGraphService {
+  constructor() {
+    this.cache = null;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  /**
+   * The whole graph, with edges by node key
+   * @returns {Promise<Object>} { nodes, edges }
+   */
+  async loadGraph() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.graph;
+    }
+
+    const [records, edgeRecords] = await Promise.all([
+      prisma.skillNode.findMany({ orderBy: [{ subject: 'asc' }, { gradeLevel: 'asc' }, { key: 'asc' }] }),
+      prisma.skillEdge.findMany(),
+    ]);
+
+    const keysById = new Map(records.map(record => [record.id, record.key]));
+    const graph = {
+      nodes: records.map(toNodeView),
+      edges: edgeRecords
+        .filter(edge => keysById.has(edge.fromId) && keysById.has(edge.toId))
+        .map(edge => ({
+          id: edge.id,
+          from: keysById.get(edge.fromId),
+          to: keysById.get(edge.toId),
+          type: edge.type,
+        })),
+    };
+
+    this.cache = { graph, expiresAt: Date.now() + GRAPH_CACHE_TTL_MS };
+    return graph;
+  }
+
+  /**
+   * The graph, or one subject's part of it
+   * @param {Object} [options] - { subject: subject slug }
+   */
+  async getGraph({ subject = null } = {}) {
+    const graph = await this.loadGraph();
+    return subject ? subjectGraph(graph, graphSubject(subject)) : graph;
+  }
+
+  async getNode(key) {
+    const graph = await this.loadGraph();
+    const node = graph.nodes.find(n => n.key === key);
+    if (!node) {
+      throw new KnowledgeGraphError('Skill not found', 'NODE_NOT_FOUND', 404);
+    }
+    return node;
+  }
+
+  /**
+   * The skill a subject's topic teaches, if it is in the graph
+   * @param {string} subjectSlug - Subject.slug
+   * @param {string} topicSlug - Topic.slug, or a curriculumData topic id
+   */
+  async nodeForTopic(subjectSlug, topicSlug) {
+    const graph = await this.loadGraph();
+    const subject = graphSubject(subjectSlug);
+    return graph.nodes.find(node => node.subject === subject && node.topicSlug === topicSlug)
+      || graph.nodes.find(node => node.key === nodeKey(subject, topicSlug))
+      || null;
+  }
+
+  /**
+   * Direct prerequisites of each of a subject's topics, among those topics
+   * @param {string} subjectSlug - Subject.slug
+   * @param {Array} topics - Topics with id and slug
+   * @returns {Promise<Map>} Topic ID -> prerequisite topic IDs
+   */
+  async topicPrerequisites(subjectSlug, topics) {
+    const { nodes, edges } = await this.loadGraph();
+    const subject = graphSubject(subjectSlug);
+
+    const topicIdByKey = new Map();
+    for (const topic of topics) {
+      const node = nodes.find(n => n.subject === subject && n.topicSlug === topic.slug);
+      if (node) topicIdByKey.set(node.key, topic.id);
+    }
+
+    const prerequisites = new Map();
+    for (const [key, topicId] of topicIdByKey) {
+      prerequisites.set(
+        topicId,
+        prerequisitesOf(edges, key)
+          .map(prereqKey => topicIdByKey.get(prereqKey))
+          .filter(Boolean)
+      );
+    }
+    return prerequisites;
+  }
+
+  /**
+   * Every skill a skill builds on, nearest first
+   * @param {string} key - Node key
+   * @param {Object} [options] - { maxDepth, types }
+   * @returns {Promise<Array>} Nodes, each with its depth
+   */
+  async ancestors(key, options = {}) {
+    const graph = await this.loadGraph();
+    const byKey = new Map(graph.nodes.map(node => [node.key, node]));
+    return ancestorsOf(graph.edges, key, options)
+      .filter(ancestor => byKey.has(ancestor.key))
+      .map(ancestor => ({ ...byKey.get(ancestor.key), depth: ancestor.depth }));
+  }
+
+  /**
+   * Add a skill
+   * @param {Object} data - { subject, name, key?, description, gradeLevel, difficulty, topicSlug }
+   */
+  async createNode(data, source = NODE_SOURCES.ADMIN) {
+    const subject = graphSubject(data.subject);
+    const key = data.key || nodeKey(subject, data.topicSlug || slugify(data.name));
+
+    const existing = await prisma.skillNode.findUnique({ where: { key } });
+    if (existing) {
+      throw new KnowledgeGraphError(`Skill ${key} already exists`, 'NODE_EXISTS', 409);
+    }
+
+    const record = await prisma.skillNode.create({
+      data: { key, ...nodeData({ ...data, subject }), source },
+    });
+    this.clearCache();
+    return toNodeView(record);
+  }
+
+  /**
+   * Change a skill's details. Its key stays the same.
+   */
+  async updateNode(key, changes) {
+    const existing = await prisma.skillNode.findUnique({ where: { key } });
+    if (!existing) {
+      throw new KnowledgeGraphError('Skill not found', 'NODE_NOT_FOUND', 404);
+    }
+
+    const data = {};
+    for (const field of ['name', 'description', 'gradeLevel', 'difficulty', 'topicSlug']) {
+      if (changes[field] !== undefined) data[field] = changes[field];
+    }
+    if (changes.subject !== undefined) data.subject = graphSubject(changes.subject);
+
+    const record = await prisma.skillNode.update({ where: { key }, data });
+    this.clearCache();
+    return toNodeView(record);
+  }
+
+  /**
+   * Remove a skill and its edges
+   */
+  async deleteNode(key) {
+    const existing = await prisma.skillNode.findUnique({ where: { key } });
+    if (!existing) {
+      throw new KnowledgeGraphError('Skill not found', 'NODE_NOT_FOUND', 404);
+    }
+
+    await prisma.skillNode.delete({ where: { key } });
+    this.clearCache();
+    return { deleted: key };
+  }
+
+  /**
+   * Connect two skills. Refused if it would put the skills in a cycle.
+   * @param {Object} edge - { from, to, type } with node keys
+   */
+  async addEdge({ from, to, type = EDGE_TYPES.PREREQUISITE }) {
+    if (!Object.values(EDGE_TYPES).includes(type)) {
+      throw new KnowledgeGraphError(`Unknown edge type ${type}`, 'INVALID_EDGE_TYPE');
+    }
+    if (from === to) {
+      throw new KnowledgeGraphError('A skill cannot depend on itself', 'SELF_EDGE');
+    }
+
+    const graph = await this.loadGraph();
+    const fromNode = graph.nodes.find(node => node.key === from);
+    const toNode = graph.nodes.find(node => node.key === to);
+    if (!fromNode || !toNode) {
+      throw new KnowledgeGraphError('Skill not found', 'NODE_NOT_FOUND', 404);
+    }
+
+    if (graph.edges.some(edge => edge.from === from && edge.to === to && edge.type === type)) {
+      throw new KnowledgeGraphError('These skills are already connected', 'EDGE_EXISTS', 409);
+    }
+
+    const cycle = cycleWithEdge(graph.edges, { from, to, type });
+    if (cycle) {
+      throw new KnowledgeGraphError(
+        `This edge would create a cycle: ${cycle.join(' -> ')}`,
+        'CYCLE',
+        409,
+        { cycle }
+      );
+    }
+
+    const record = await prisma.skillEdge.create({
+      data: { fromId: fromNode.id, toId: toNode.id, type },
+    });
+    this.clearCache();
+    return { id: record.id, from, to, type };
+  }
+
+  /**
+   * Disconnect two skills
+   */
+  async removeEdge({ from, to, type = EDGE_TYPES.PREREQUISITE }) {
+    const graph = await this.loadGraph();
+    const edge = graph.edges.find(e => e.from === from && e.to === to && e.type === type);
+    if (!edge) {
+      throw new KnowledgeGraphError('Edge not found', 'EDGE_NOT_FOUND', 404);
+    }
+
+    await prisma.skillEdge.delete({ where: { id: edge.id } });
+    this.clearCache();
+    return { deleted: { from, to, type } };
+  }
+
+  /**
+   * Load a graph. The result is checked as a whole before anything is
+   * saved, so an import that would leave a cycle or a dangling edge
+   * changes nothing.
+   * @param {Object|string} input - { nodes, edges }, exported JSON or GraphML
+   * @param {Object} [options]
+   *   - format: 'json' or 'graphml' (default: json)
+   *   - replace: drop skills and edges the import doesn't have
+   *   - overwrite: update skills that already exist (default: true)
+   *   - source: recorded on new skills
+   * @returns {Promise<Object>} { nodes, edges } counts written
+   */
+  async importGraph(input, { format = 'json', replace = false, overwrite = true, source = NODE_SOURCES.IMPORT } = {}) {
+    let incoming;
+    try {
+      incoming = format === 'graphml' ? fromGraphML(input) : fromJSON(input);
+    } catch (error) {
+      throw new KnowledgeGraphError(`Could not read graph: ${error.message}`, 'INVALID_FORMAT');
+    }
+
+    const current = replace ? { nodes: [], edges: [] } : await this.loadGraph();
+    const incomingKeys = new Set(incoming.nodes.map(node => node.key));
+    const merged = {
+      nodes: [...current.nodes.filter(node => !incomingKeys.has(node.key)), ...incoming.nodes],
+      edges: [...current.edges],
+    };
+    const edgeIds = new Set(merged.edges.map(edge => `${edge.from}|${edge.to}|${edge.type}`));
+    const newEdges = [];
+    for (const edge of incoming.edges) {
+      const id = `${edge.from}|${edge.to}|${edge.type}`;
+      if (edgeIds.has(id)) continue;
+      edgeIds.add(id);
+      merged.edges.push(edge);
+      newEdges.push(edge);
+    }
+
+    const { valid, errors, cycle } = validateGraph(merged);
+    if (!valid) {
+      throw new KnowledgeGraphError('The graph is not valid', 'INVALID_GRAPH', 400, { errors, cycle });
+    }
+
+    const existing = await prisma.skillNode.findMany({ select: { id: true, key: true } });
+    const existingKeys = new Set(existing.map(node => node.key));
+
+    const counts = await prisma.$transaction(async (tx) => {
+      if (replace) {
+        await tx.skillEdge.deleteMany({});
+        await tx.skillNode.deleteMany({ where: { key: { notIn: [...incomingKeys] } } });
+      }
+
+      let nodes = 0;
+      for (const node of incoming.nodes) {
+        if (existingKeys.has(node.key)) {
+          if (!overwrite) continue;
+          await tx.skillNode.update({ where: { key: node.key }, data: nodeData(node) });
+        } else {
+          await tx.skillNode.create({ data: { key: node.key, ...nodeData(node), source } });
+        }
+        nodes++;
+      }
+
+      const ids = new Map(
+        (await tx.skillNode.findMany({ select: { id: true, key: true } })).map(node => [node.key, node.id])
+      );
+      const edgesToWrite = replace ? merged.edges : newEdges;
+      const { count: edges } = await tx.skillEdge.createMany({
+        data: edgesToWrite.map(edge => ({ fromId: ids.get(edge.from), toId: ids.get(edge.to), type: edge.type })),
+        skipDuplicates: true,
+      });
+
+      return { nodes, edges };
+    });
+
+    this.clearCache();
+    logInfo('Knowledge graph imported', { ...counts, replace, source });
+    return counts;
+  }
+
+  /**
+   * The graph, or one subject's part of it, as JSON or GraphML
+   * @param {Object} [options] - { format: 'json' | 'graphml', subject }
+   */
+  async exportGraph({ format = 'json', subject = null } = {}) {
+    if (!GRAPH_FORMATS.includes(format)) {
+      throw new KnowledgeGraphError(`Unknown format ${format}`, 'INVALID_FORMAT');
+    }
+
+    const graph = await this.getGraph({ subject });
+    return format === 'graphml' ? toGraphML(graph) : toJSON(graph);
+  }
+
+  /**
+   * Add the curriculum's skills and edges that the graph doesn't have yet.
+   * Skills admins have edited are left as they are.
+   */
+  async seedFromCurriculum({ replace = false } = {}) {
+    return this.importGraph(buildCurriculumGraph(), {
+      replace,
+      overwrite: replace,
+      source: NODE_SOURCES.CURRICULUM,
+    });
+  }
+}
+
+export const knowledgeGraphService = new KnowledgeGraphService();
+export default knowledgeGraphService;
@@ -1,397 +1,535 @@
+/**
+ * Spaced Repetition
+ *
+ * The one review scheduler for everything a student is remembering:
+ * concepts they learned in sessions, and cards the client used to keep in
+ * localStorage (lib/spacedRepetition.js), which are imported here with
+ * their review history. Cards are scheduled with FSRS (lib/fsrs.js):
+ * each review is rated Again, Hard, Good or Easy and the card comes due
+ * when the student's chance of recalling it drops to 90%.
+ *
+ * Every review is logged, and each student's weights are refitted from
+ * their own log once they have enough reviews, so a student who forgets
+ * quickly sees cards sooner than one who doesn't.
+ *
+ * Replaces the SM-2 ConceptReview records; migrateConceptReviews carries
+ * those over.
+ *
+ * Schema: prisma/schema-review-scheduler.prisma
+ */
+
 import prisma from '../../lib/prisma.js';
-import { logInfo, logError } from '../../lib/logger.js';
+import { logInfo } from '../../lib/logger.js';
+import {
+  DEFAULT_WEIGHTS,
+  DEFAULT_RETENTION,
+  CARD_STATES,
+  newCard,
+  reviewCard,
+  cardRetrievability,
+  qualityToRating,
+  optimizeWeights,
+} from '../../lib/fsrs.js';
+
+// Reviews a student needs before their weights are fitted
+export const MIN_OPTIMIZE_REVIEWS = 200;
+// Most recent reviews a fit reads
+export const MAX_OPTIMIZE_REVIEWS = 10000;
+// Cards whose stability passes this many days are well learned
+export const MATURE_STABILITY_DAYS = 21;
+
+const PARAMS_CACHE_TTL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CARD_SOURCES = {
+  CONCEPT: 'concept',
+  LOCAL: 'local',
+};
+
+export class SpacedRepetitionError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'SpacedRepetitionError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function conceptExternalId(conceptId) {
+  return `${CARD_SOURCES.CONCEPT}:${conceptId}`;
+}
+
+export function localExternalId(localCardId) {
+  return `${CARD_SOURCES.LOCAL}:${localCardId}`;
+}
+
+/**
+ * Replay a review history on a new card
+ * @param {Array} reviews - [{ rating, reviewedAt }], oldest first
+ * @param {Object} options - Passed to reviewCard
+ * @returns {Object} { card, logs }
+ */
+export function replayReviews(reviews, options = {}) {
+  let card = newCard(reviews[0]?.reviewedAt);
+  const logs = [];
+  for (const { rating, reviewedAt } of reviews) {
+    const result = reviewCard(card, rating, reviewedAt, options);
+    card = result.card;
+    logs.push(result.log);
+  }
+  return { card, logs };
+}
 
 /**
- * SpacedRepetitionService - SM-2 Algorithm Implementation
- * 
- * Based on SuperMemo 2 algorithm for optimal review intervals
- * Research shows 200-400% improvement in long-term retention
- * 
- * Algorithm:
- * - EF (Ease Factor) starts at 2.5
- * - After each review, EF is adjusted based on quality (0-5)
- * - Interval = previous interval * EF
- * - First review: 1 day
- * - Second review: 6 days
- * - Subsequent reviews: interval * EF
+ * Review history of a card from the client's local store, as ratings
  */
+export function localReviews(localCard) {
+  return (localCard.reviewHistory || [])
+    .filter(entry => entry.timestamp && Number.isFinite(entry.quality))
+    .map(entry => ({ rating: qualityToRating(entry.quality), reviewedAt: new Date(entry.timestamp) }))
+    .sort((a, b) => a.reviewedAt - b.reviewedAt);
+}
+
+function schedulingFields(card) {
+  return {
+    state: card.state,
+    stability: card.stability,
+    difficulty: card.difficulty,
+    reps: card.reps,
+    lapses: card.lapses,
+    lastReviewedAt: card.lastReviewedAt,
+    dueAt: card.dueAt,
+  };
+}
+
+function logData(log, card, sessionId = null) {
+  return {
+    cardId: card.id,
+    studentId: card.studentId,
+    rating: log.rating,
+    state: log.state,
+    elapsedDays: log.elapsedDays,
+    scheduledDays: log.scheduledDays,
+    stability: log.stability,
+    difficulty: log.difficulty,
+    sessionId,
+    reviewedAt: log.reviewedAt,
+  };
+}
+
+/**
+ * A card as returned to clients
+ */
+export function toCardView(card, now = new Date()) {
+  const due = new Date(card.dueAt);
+  return {
+    id: card.id,
+    source: card.source,
+    conceptId: card.conceptId,
+    topicId: card.topicId,
+    questionId: card.questionId,
+    prompt: card.prompt,
+    subjectId: card.subjectId,
+    subjectName: card.subject?.name || null,
+    state: card.state,
+    stability: card.stability,
+    difficulty: card.difficulty,
+    reps: card.reps,
+    lapses: card.lapses,
+    recall: Math.round(cardRetrievability(card, now) * 100),
+    lastReviewed: card.lastReviewedAt,
+    nextReview: card.dueAt,
+    isDue: due <= now,
+    daysOverdue: Math.max(0, Math.floor((now - due) / DAY_MS)),
+  };
+}
+
 class SpacedRepetitionService {
+  constructor() {
+    this.paramsCache = new Map();
+  }
+
   /**
-   * Calculate next review date using SM-2 algorithm
-   * @param {Object} reviewHistory - Previous review history
-   * @param {number} quality - Review quality (0-5)
-   * @returns {Object} Next review information
+   * A student's scheduler options: fitted weights when there are, the
+   * defaults otherwise
+   * @returns {Promise<Object>} { weights, requestRetention }
    */
-  calculateNextReview(reviewHistory, quality) {
-    // Quality scale: 0 (complete blackout) to 5 (perfect recall)
-    const qualityValue = Math.max(0, Math.min(5, quality));
-
-    let easeFactor = reviewHistory.easeFactor || 2.5;
-    let interval = reviewHistory.interval || 1;
-    let repetitions = reviewHistory.repetitions || 0;
-
-    // Update ease factor based on quality
-    easeFactor = this.updateEaseFactor(easeFactor, qualityValue);
-
-    // Calculate new interval
-    if (qualityValue < 3) {
-      // If quality is low, restart
-      interval = 1;
-      repetitions = 0;
-    } else {
-      // Increase interval
-      if (repetitions === 0) {
-        interval = 1;
-      } else if (repetitions === 1) {
-        interval = 6;
-      } else {
-        interval = Math.round(interval * easeFactor);
-      }
-      repetitions += 1;
+  async getParameters(studentId) {
+    const cached = this.paramsCache.get(studentId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.params;
     }
 
-    // Calculate next review date
-    const nextReviewDate = new Date();
-    nextReviewDate.setDate(nextReviewDate.getDate() + interval);
+    const fitted = await prisma.studentSchedulerParameters.findUnique({ where: { studentId } });
+    const params = fitted
+      ? { weights: fitted.weights, requestRetention: fitted.requestRetention }
+      : { weights: DEFAULT_WEIGHTS, requestRetention: DEFAULT_RETENTION };
 
-    return {
-      interval,
-      repetitions,
-      easeFactor,
-      nextReviewDate: nextReviewDate.toISOString(),
-      quality,
-    };
+    this.paramsCache.set(studentId, { params, expiresAt: Date.now() + PARAMS_CACHE_TTL_MS });
+    return params;
   }
 
   /**
-   * Update ease factor based on quality
-   * @param {number} currentEF - Current ease factor
-   * @param {number} quality - Review quality (0-5)
-   * @returns {number} Updated ease factor
+   * Cards due now, most overdue first
+   * @param {string} studentId
+   * @param {string} [subjectId]
+   * @param {number} [limit=50]
+   * @returns {Promise<Array>}
    */
-  updateEaseFactor(currentEF, quality) {
-    // SM-2 formula: EF' = EF + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
-    const newEF = currentEF + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
-    
-    // Minimum ease factor is 1.3
-    return Math.max(1.3, newEF);
+  async getDueCards(studentId, subjectId = null, limit = 50) {
+    const now = new Date();
+    const cards = await prisma.reviewCard.findMany({
+      where: {
+        studentId,
+        ...(subjectId && { subjectId }),
+        dueAt: { lte: now },
+      },
+      include: { subject: true },
+      orderBy: { dueAt: 'asc' },
+      take: limit,
+    });
+
+    return cards.map(card => toCardView(card, now));
   }
 
   /**
-   * Get concepts due for review
-   * @param {string} studentId - Student ID
-   * @param {string} subjectId - Subject ID (optional)
-   * @returns {Promise<Array>} Concepts due for review
+   * A student's card by id, or by concept
+   * @param {string} studentId
+   * @param {Object} ref - { cardId } or { conceptId }
    */
-  async getConceptsDueForReview(studentId, subjectId = null) {
-    try {
-      const now = new Date();
-
-      // Get all concept reviews for student
-      const reviews = await prisma.conceptReview.findMany({
-        where: {
-          studentId,
-          ...(subjectId && { subjectId }),
-          nextReviewDate: {
-            lte: now,
-          },
-        },
-        include: {
-          concept: true,
-          subject: true,
-        },
-        orderBy: {
-          nextReviewDate: 'asc',
-        },
+  async findCard(studentId, { cardId, conceptId }) {
+    const card = cardId
+      ? await prisma.reviewCard.findUnique({ where: { id: cardId } })
+      : await prisma.reviewCard.findUnique({
+        where: { studentId_externalId: { studentId, externalId: conceptExternalId(conceptId) } },
       });
 
-      return reviews.map(review => ({
-        id: review.id,
-        conceptId: review.conceptId,
-        conceptName: review.concept?.name || 'Unknown',
-        subjectId: review.subjectId,
-        subjectName: review.subject?.name || 'Unknown',
-        lastReviewed: review.lastReviewedAt,
-        nextReview: review.nextReviewDate,
-        easeFactor: review.easeFactor,
-        interval: review.interval,
-        repetitions: review.repetitions,
-        daysOverdue: Math.floor((now - new Date(review.nextReviewDate)) / (1000 * 60 * 60 * 24)),
-      }));
-    } catch (error) {
-      logError('Error getting concepts due for review', error);
-      throw error;
+    // Another student's card is as good as missing
+    return card && card.studentId === studentId ? card : null;
+  }
+
+  /**
+   * A concept's card, created when the student first meets it
+   */
+  async ensureConceptCard(studentId, conceptId, subjectId = null) {
+    const existing = await this.findCard(studentId, { conceptId });
+    if (existing) return existing;
+
+    const concept = await prisma.concept.findUnique({ where: { id: conceptId } });
+    if (!concept) {
+      throw new SpacedRepetitionError('Concept not found', 'CONCEPT_NOT_FOUND', 404);
     }
+
+    return prisma.reviewCard.upsert({
+      where: { studentId_externalId: { studentId, externalId: conceptExternalId(conceptId) } },
+      update: {},
+      create: {
+        studentId,
+        externalId: conceptExternalId(conceptId),
+        source: CARD_SOURCES.CONCEPT,
+        conceptId,
+        subjectId: subjectId || concept.subjectId || null,
+        prompt: concept.name,
+        ...schedulingFields(newCard()),
+      },
+    });
   }
 
   /**
-   * Record a review session
-   * @param {string} studentId - Student ID
-   * @param {string} conceptId - Concept ID
-   * @param {number} quality - Review quality (0-5)
-   * @param {Object} options - Additional options
-   * @returns {Promise<Object>} Review result
+   * Record a review and reschedule the card
+   * @param {string} studentId
+   * @param {Object} ref - { cardId } or { conceptId }; a concept without a
+   *   card yet gets one
+   * @param {number} rating - 1 (Again) to 4 (Easy)
+   * @param {Object} [options] - { subjectId, sessionId }
+   * @returns {Promise<Object>} { card, log }
    */
-  async recordReview(studentId, conceptId, quality, options = {}) {
-    try {
-      const { subjectId, sessionId } = options;
-
-      // Get or create concept review
-      let review = await prisma.conceptReview.findUnique({
-        where: {
-          studentId_conceptId: {
-            studentId,
-            conceptId,
-          },
-        },
-      });
+  async recordReview(studentId, { cardId, conceptId }, rating, options = {}) {
+    const { subjectId, sessionId } = options;
 
-      const reviewHistory = review ? {
-        easeFactor: review.easeFactor,
-        interval: review.interval,
-        repetitions: review.repetitions,
-      } : {
-        easeFactor: 2.5,
-        interval: 1,
-        repetitions: 0,
-      };
-
-      // Calculate next review
-      const nextReview = this.calculateNextReview(reviewHistory, quality);
-
-      // Update or create review
-      if (review) {
-        review = await prisma.conceptReview.update({
-          where: { id: review.id },
-          data: {
-            easeFactor: nextReview.easeFactor,
-            interval: nextReview.interval,
-            repetitions: nextReview.repetitions,
-            nextReviewDate: new Date(nextReview.nextReviewDate),
-            lastReviewedAt: new Date(),
-            totalReviews: {
-              increment: 1,
-            },
-            averageQuality: {
-              // Weighted average
-              set: ((review.averageQuality * review.totalReviews) + quality) / (review.totalReviews + 1),
-            },
-          },
-        });
-      } else {
-        review = await prisma.conceptReview.create({
-          data: {
-            studentId,
-            conceptId,
-            subjectId,
-            easeFactor: nextReview.easeFactor,
-            interval: nextReview.interval,
-            repetitions: nextReview.repetitions,
-            nextReviewDate: new Date(nextReview.nextReviewDate),
-            lastReviewedAt: new Date(),
-            totalReviews: 1,
-            averageQuality: quality,
-          },
-        });
-      }
+    let card = await this.findCard(studentId, { cardId, conceptId });
+    if (!card && conceptId && !cardId) {
+      card = await this.ensureConceptCard(studentId, conceptId, subjectId);
+    }
+    if (!card) {
+      throw new SpacedRepetitionError('Review card not found', 'CARD_NOT_FOUND', 404);
+    }
 
-      // Log review session
-      await prisma.reviewSession.create({
-        data: {
-          reviewId: review.id,
-          sessionId,
-          quality,
-          reviewedAt: new Date(),
-        },
-      });
+    const params = await this.getParameters(studentId);
+    const result = reviewCard(card, rating, new Date(), params);
 
-      return {
-        success: true,
-        review: {
-          id: review.id,
-          nextReviewDate: review.nextReviewDate,
-          interval: review.interval,
-          repetitions: review.repetitions,
-          easeFactor: review.easeFactor,
-        },
-        mastery: this.calculateMastery(review),
-      };
-    } catch (error) {
-      logError('Error recording review', error);
-      throw error;
+    // Only one review per due date: a second submission finds it rescheduled
+    const claimed = await prisma.reviewCard.updateMany({
+      where: { id: card.id, dueAt: card.dueAt },
+      data: schedulingFields(result.card),
+    });
+    if (claimed.count === 0) {
+      throw new SpacedRepetitionError('This card was just reviewed', 'ALREADY_REVIEWED', 409);
     }
+
+    await prisma.reviewLog.create({ data: logData(result.log, card, sessionId) });
+
+    return {
+      card: toCardView({ ...card, ...result.card }),
+      log: result.log,
+    };
   }
 
   /**
-   * Calculate mastery level from review history
-   * @param {Object} review - Review record
-   * @returns {number} Mastery level (0-100)
+   * When a card is next due and how well it's known
+   * @param {string} studentId
+   * @param {Object} ref - { cardId } or { conceptId }
    */
-  calculateMastery(review) {
-    // Mastery based on:
-    // - Average quality (0-5 scale)
-    // - Number of successful reviews
-    // - Current ease factor
-    // - Time since last review
-
-    const qualityScore = (review.averageQuality / 5) * 100; // 0-100
-    const repetitionScore = Math.min(100, (review.repetitions / 10) * 100); // More reps = higher mastery
-    const easeFactorScore = Math.min(100, ((review.easeFactor - 1.3) / (2.5 - 1.3)) * 100); // Higher EF = better mastery
-
-    // Weighted average
-    const mastery = (
-      qualityScore * 0.5 +
-      repetitionScore * 0.3 +
-      easeFactorScore * 0.2
-    );
+  async getReviewSchedule(studentId, ref) {
+    const card = await this.findCard(studentId, ref);
+    if (!card) {
+      return { isNew: true, isDue: true, nextReview: new Date(), recall: 0, reps: 0 };
+    }
+
+    const now = new Date();
+    return {
+      isNew: card.state === CARD_STATES.NEW,
+      ...toCardView(card, now),
+      daysUntilReview: Math.max(0, Math.ceil((new Date(card.dueAt) - now) / DAY_MS)),
+    };
+  }
+
+  /**
+   * Review statistics for a student
+   * @returns {Promise<Object>}
+   */
+  async getReviewStatistics(studentId) {
+    const [cards, totalReviews] = await Promise.all([
+      prisma.reviewCard.findMany({ where: { studentId } }),
+      prisma.reviewLog.count({ where: { studentId } }),
+    ]);
+
+    const now = new Date();
+    const weekFromNow = new Date(now.getTime() + 7 * DAY_MS);
+    const studied = cards.filter(card => card.state !== CARD_STATES.NEW);
+    const recallSum = studied.reduce((sum, card) => sum + cardRetrievability(card, now), 0);
+
+    const cardsByState = Object.fromEntries(Object.values(CARD_STATES).map(state => [state, 0]));
+    for (const card of cards) {
+      cardsByState[card.state] = (cardsByState[card.state] || 0) + 1;
+    }
 
-    return Math.min(100, Math.max(0, Math.round(mastery)));
+    return {
+      totalCards: cards.length,
+      dueForReview: cards.filter(card => new Date(card.dueAt) <= now).length,
+      upcomingReviews: cards.filter(card => {
+        const due = new Date(card.dueAt);
+        return due > now && due <= weekFromNow;
+      }).length,
+      averageRecall: studied.length > 0 ? Math.round((recallSum / studied.length) * 100) : 0,
+      matureCards: cards.filter(card => card.stability >= MATURE_STABILITY_DAYS).length,
+      totalReviews,
+      cardsByState,
+    };
   }
 
   /**
-   * Get review schedule for a concept
-   * @param {string} studentId - Student ID
-   * @param {string} conceptId - Concept ID
-   * @returns {Promise<Object>} Review schedule
+   * Schedule a concept the student has just learned
+   * @param {string} studentId
+   * @param {string} conceptId
+   * @param {string} subjectId
+   * @param {number} [initialQuality=3] - How well the session went (0-5)
+   * @returns {Promise<Object>} The card's view
    */
-  async getReviewSchedule(studentId, conceptId) {
-    try {
-      const review = await prisma.conceptReview.findUnique({
-        where: {
-          studentId_conceptId: {
-            studentId,
-            conceptId,
-          },
+  async scheduleInitialReview(studentId, conceptId, subjectId, initialQuality = 3) {
+    const card = await this.ensureConceptCard(studentId, conceptId, subjectId);
+    if (card.state !== CARD_STATES.NEW) {
+      return toCardView(card);
+    }
+
+    const { card: reviewed } = await this.recordReview(
+      studentId,
+      { cardId: card.id },
+      qualityToRating(initialQuality)
+    );
+    return reviewed;
+  }
+
+  /**
+   * Import cards from the client's local review store, replaying their
+   * review history. Cards already imported are skipped.
+   * @param {string} studentId
+   * @param {Array} localCards - Card data as saved by SpacedRepetitionSystem
+   * @returns {Promise<Object>} { imported, skipped, importedIds } -
+   *   importedIds are the local cards now on the server, safe to remove
+   */
+  async importLocalCards(studentId, localCards) {
+    const candidates = localCards.filter(card => card?.id && (!card.studentId || card.studentId === studentId));
+
+    const existing = await prisma.reviewCard.findMany({
+      where: { studentId, externalId: { in: candidates.map(card => localExternalId(card.id)) } },
+      select: { externalId: true },
+    });
+    const alreadyImported = new Set(existing.map(card => card.externalId));
+
+    // Local cards name their subject by slug
+    const slugs = [...new Set(candidates.map(card => card.subject).filter(Boolean))];
+    const subjects = slugs.length > 0
+      ? await prisma.subject.findMany({ where: { slug: { in: slugs } }, select: { id: true, slug: true } })
+      : [];
+    const subjectIds = new Map(subjects.map(subject => [subject.slug, subject.id]));
+
+    const params = await this.getParameters(studentId);
+    const importedIds = [];
+    let imported = 0;
+
+    for (const localCard of candidates) {
+      const externalId = localExternalId(localCard.id);
+      if (alreadyImported.has(externalId)) {
+        importedIds.push(localCard.id);
+        continue;
+      }
+
+      const reviews = localReviews(localCard);
+      const { card, logs } = replayReviews(reviews, params);
+      const created = await prisma.reviewCard.create({
+        data: {
+          studentId,
+          externalId,
+          source: CARD_SOURCES.LOCAL,
+          subjectId: subjectIds.get(localCard.subject) || null,
+          topicId: localCard.topicId || null,
+          questionId: localCard.questionId ? String(localCard.questionId) : null,
+          prompt: localCard.conceptText || localCard.topicId || 'Review card',
+          ...schedulingFields(card),
+          ...(reviews.length === 0 && { dueAt: new Date() }),
         },
       });
 
-      if (!review) {
-        return {
-          isNew: true,
-          nextReviewDate: new Date(), // Review immediately
-          interval: 1,
-          repetitions: 0,
-          mastery: 0,
-        };
+      if (logs.length > 0) {
+        await prisma.reviewLog.createMany({
+          data: logs.map(log => logData(log, created)),
+        });
       }
 
-      const now = new Date();
-      const isDue = new Date(review.nextReviewDate) <= now;
-      const daysUntilReview = Math.ceil((new Date(review.nextReviewDate) - now) / (1000 * 60 * 60 * 24));
-
-      return {
-        isNew: false,
-        nextReviewDate: review.nextReviewDate,
-        interval: review.interval,
-        repetitions: review.repetitions,
-        easeFactor: review.easeFactor,
-        mastery: this.calculateMastery(review),
-        isDue,
-        daysUntilReview: isDue ? 0 : daysUntilReview,
-        totalReviews: review.totalReviews,
-        averageQuality: review.averageQuality,
-      };
-    } catch (error) {
-      logError('Error getting review schedule', error);
-      throw error;
+      importedIds.push(localCard.id);
+      alreadyImported.add(externalId);
+      imported++;
     }
+
+    const skipped = localCards.length - imported;
+    logInfo('Imported local review cards', { studentId, imported, skipped });
+
+    return { imported, skipped, importedIds };
   }
 
   /**
-   * Get review statistics for student
-   * @param {string} studentId - Student ID
-   * @returns {Promise<Object>} Review statistics
+   * Carry SM-2 ConceptReview records over to review cards, replaying their
+   * logged reviews. Records with no log are replayed as one review at
+   * their last review date with their average quality.
+   * @returns {Promise<Object>} { migrated, skipped }
    */
-  async getReviewStatistics(studentId) {
-    try {
-      const reviews = await prisma.conceptReview.findMany({
-        where: { studentId },
-      });
+  async migrateConceptReviews() {
+    // Nothing to do once ConceptReview has been dropped from the schema
+    if (!prisma.conceptReview) {
+      return { migrated: 0, skipped: 0 };
+    }
 
-      const dueReviews = reviews.filter(r => new Date(r.nextReviewDate) <= new Date());
-      const upcomingReviews = reviews.filter(r => {
-        const daysUntil = Math.ceil((new Date(r.nextReviewDate) - new Date()) / (1000 * 60 * 60 * 24));
-        return daysUntil > 0 && daysUntil <= 7;
+    const reviews = await prisma.conceptReview.findMany({ include: { concept: true } });
+
+    let migrated = 0;
+    for (const review of reviews) {
+      const externalId = conceptExternalId(review.conceptId);
+      const existing = await prisma.reviewCard.findUnique({
+        where: { studentId_externalId: { studentId: review.studentId, externalId } },
       });
+      if (existing) continue;
 
-      const totalMastery = reviews.reduce((sum, r) => sum + this.calculateMastery(r), 0);
-      const averageMastery = reviews.length > 0 ? totalMastery / reviews.length : 0;
-
-      return {
-        totalConcepts: reviews.length,
-        dueForReview: dueReviews.length,
-        upcomingReviews: upcomingReviews.length,
-        averageMastery: Math.round(averageMastery),
-        totalReviews: reviews.reduce((sum, r) => sum + r.totalReviews, 0),
-        conceptsByMastery: {
-          mastered: reviews.filter(r => this.calculateMastery(r) >= 80).length,
-          learning: reviews.filter(r => {
-            const mastery = this.calculateMastery(r);
-            return mastery >= 50 && mastery < 80;
-          }).length,
-          new: reviews.filter(r => this.calculateMastery(r) < 50).length,
+      const sessions = await prisma.reviewSession.findMany({
+        where: { reviewId: review.id },
+        orderBy: { reviewedAt: 'asc' },
+      });
+      const history = sessions.length > 0
+        ? sessions.map(session => ({ rating: qualityToRating(session.quality), reviewedAt: session.reviewedAt }))
+        : [{
+          rating: qualityToRating(Math.round(review.averageQuality || 3)),
+          reviewedAt: review.lastReviewedAt || review.nextReviewDate,
+        }];
+
+      const { card, logs } = replayReviews(history);
+      const created = await prisma.reviewCard.create({
+        data: {
+          studentId: review.studentId,
+          externalId,
+          source: CARD_SOURCES.CONCEPT,
+          conceptId: review.conceptId,
+          subjectId: review.subjectId || null,
+          prompt: review.concept?.name || 'Concept review',
+          ...schedulingFields(card),
         },
-      };
-    } catch (error) {
-      logError('Error getting review statistics', error);
-      throw error;
+      });
+      await prisma.reviewLog.createMany({
+        data: logs.map((log, i) => logData(log, created, sessions[i]?.sessionId || null)),
+      });
+      migrated++;
     }
+
+    logInfo('Migrated concept reviews', { migrated, total: reviews.length });
+    return { migrated, skipped: reviews.length - migrated };
   }
 
   /**
-   * Schedule review for a concept after learning
-   * @param {string} studentId - Student ID
-   * @param {string} conceptId - Concept ID
-   * @param {string} subjectId - Subject ID
-   * @param {number} initialQuality - Initial quality (0-5)
-   * @returns {Promise<Object>} Scheduled review
+   * Refit a student's weights from their review log
+   * @returns {Promise<Object|null>} The stored parameters, or null when
+   *   there aren't enough reviews yet
    */
-  async scheduleInitialReview(studentId, conceptId, subjectId, initialQuality = 3) {
-    try {
-      // Check if review already exists
-      const existing = await prisma.conceptReview.findUnique({
-        where: {
-          studentId_conceptId: {
-            studentId,
-            conceptId,
-          },
-        },
-      });
+  async optimizeStudent(studentId) {
+    const logs = await prisma.reviewLog.findMany({
+      where: { studentId },
+      orderBy: { reviewedAt: 'desc' },
+      take: MAX_OPTIMIZE_REVIEWS,
+      select: { cardId: true, rating: true, reviewedAt: true },
+    });
+
+    if (logs.length < MIN_OPTIMIZE_REVIEWS) {
+      return null;
+    }
 
-      if (existing) {
-        return existing;
-      }
+    const histories = new Map();
+    for (const log of logs.reverse()) {
+      if (!histories.has(log.cardId)) histories.set(log.cardId, []);
+      histories.get(log.cardId).push(log);
+    }
 
-      // Create initial review with first interval
-      const nextReview = this.calculateNextReview({
-        easeFactor: 2.5,
-        interval: 1,
-        repetitions: 0,
-      }, initialQuality);
+    const { weights, logLoss } = optimizeWeights([...histories.values()]);
+    const data = { weights, reviewsUsed: logs.length, logLoss, optimizedAt: new Date() };
 
-      const review = await prisma.conceptReview.create({
-        data: {
-          studentId,
-          conceptId,
-          subjectId,
-          easeFactor: nextReview.easeFactor,
-          interval: nextReview.interval,
-          repetitions: nextReview.repetitions,
-          nextReviewDate: new Date(nextReview.nextReviewDate),
-          lastReviewedAt: new Date(),
-          totalReviews: 1,
-          averageQuality: initialQuality,
-        },
-      });
+    const stored = await prisma.studentSchedulerParameters.upsert({
+      where: { studentId },
+      update: data,
+      create: { studentId, ...data },
+    });
+
+    this.paramsCache.delete(studentId);
+    logInfo('Optimized review scheduler weights', { studentId, reviewsUsed: logs.length, logLoss });
 
-      return review;
-    } catch (error) {
-      logError('Error scheduling initial review', error);
-      throw error;
+    return stored;
+  }
+
+  /**
+   * Refit every student with enough reviews
+   * @returns {Promise<Object>} { optimized, skipped }
+   */
+  async optimizeAll() {
+    const students = await prisma.reviewLog.groupBy({
+      by: ['studentId'],
+      _count: { _all: true },
+    });
+
+    let optimized = 0;
+    for (const { studentId, _count: count } of students) {
+      if (count._all < MIN_OPTIMIZE_REVIEWS) continue;
+      if (await this.optimizeStudent(studentId)) optimized++;
     }
+
+    return { optimized, skipped: students.length - optimized };
   }
 }
 
 export const spacedRepetitionService = new SpacedRepetitionService();
 export default spacedRepetitionService;
-
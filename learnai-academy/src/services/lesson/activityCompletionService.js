@@ -1,5 +1,6 @@
 import prisma from '../../lib/prisma.js';
 import { logInfo, logError } from '../../lib/logger.js';
+import { checkAnswer as checkMathAnswer, isMathSubject } from '../../lib/mathEngine.js';
 
 /**
  * ActivityCompletionService - Tracks activity completion and progress
@@ -26,6 +27,19 @@ class ActivityCompletionService {
         lesson: {
           include: {
             student: true,
+            lessonPlan: {
+              include: {
+                unit: {
+                  include: {
+                    curriculum: {
+                      include: {
+                        subject: true,
+                      },
+                    },
+                  },
+                },
+              },
+            },
           },
         },
       },
@@ -84,9 +98,10 @@ class ActivityCompletionService {
     }
 
     // Calculate score if not provided
+    const subject = activity.lesson?.lessonPlan?.unit?.curriculum?.subject?.name;
     const calculatedScore = score !== null
       ? score
-      : this.calculateScore(activity.activityData, answers);
+      : this.calculateScore(activity.activityData, answers, { math: isMathSubject(subject) });
 
     // Determine if passed (threshold: 70%)
     const passed = calculatedScore >= 0.7;
@@ -133,9 +148,10 @@ class ActivityCompletionService {
    * Calculate activity score
    * @param {Object} activityData - Activity data
    * @param {Array} answers - Student answers
+   * @param {Object} [options] - { math } - whether to compare answers as math
    * @returns {number} Score (0-1)
    */
-  calculateScore(activityData, answers) {
+  calculateScore(activityData, answers, options = {}) {
     if (!activityData || !answers || answers.length === 0) {
       return 0;
     }
@@ -156,7 +172,7 @@ class ActivityCompletionService {
       const correct = correctAnswers[i];
       const student = answers[i];
 
-      if (this.compareAnswers(correct, student)) {
+      if (this.compareAnswers(correct, student, options)) {
         correctCount++;
       }
     }
@@ -167,14 +183,24 @@ class ActivityCompletionService {
   /**
    * Compare answers (flexible matching)
    */
-  compareAnswers(correct, student) {
+  compareAnswers(correct, student, { math = false } = {}) {
     if (correct === student) {
       return true;
     }
 
     // Case-insensitive string comparison
-    if (typeof correct === 'string' && typeof student === 'string') {
-      return correct.toLowerCase().trim() === student.toLowerCase().trim();
+    if (typeof correct === 'string' && typeof student === 'string'
+      && correct.toLowerCase().trim() === student.toLowerCase().trim()) {
+      return true;
+    }
+
+    // Math answers compared by value (3/4, 0.75, "x = 5")
+    if (math && ['string', 'number'].includes(typeof correct) && ['string', 'number'].includes(typeof student)
+      && (typeof correct === 'string' || typeof student === 'string')) {
+      const mathCheck = checkMathAnswer(String(correct), String(student));
+      if (mathCheck.verifiable) {
+        return mathCheck.correct;
+      }
     }
 
     // Number comparison (with tolerance)
@@ -187,7 +213,7 @@ class ActivityCompletionService {
       if (correct.length !== student.length) {
         return false;
       }
-      return correct.every((c, i) => this.compareAnswers(c, student[i]));
+      return correct.every((c, i) => this.compareAnswers(c, student[i], { math }));
     }
 
     return false;
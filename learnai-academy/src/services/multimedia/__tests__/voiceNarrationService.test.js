@@ -0,0 +1,62 @@
+import { voiceNarrationService, toSpeechText } from '../voiceNarrationService.js';
+
+describe('toSpeechText', () => {
+  it('should drop markdown, code, emoji and LaTeX markup but keep the words', () => {
+    const reply = [
+      '## Adding Fractions 🍕',
+      '',
+      '1. **Add** the numerators: $\\frac{1}{4} + \\frac{2}{4}$',
+      '2. Keep the _denominator_',
+      '',
+      '```js',
+      'console.log(3 / 4)',
+      '```',
+      'That costs $5 and $10.',
+    ].join('\n');
+
+    expect(toSpeechText(reply)).toBe(
+      'Adding Fractions. Add the numerators: 1 / 4 + 2 / 4. Keep the denominator. That costs $5 and $10.'
+    );
+  });
+
+  it('should return an empty string when only code is left', () => {
+    expect(toSpeechText('```python\nprint("hi")\n```')).toBe('');
+  });
+});
+
+describe('voiceNarrationService', () => {
+  const defaultProvider = voiceNarrationService.defaultProvider;
+
+  afterEach(() => {
+    voiceNarrationService.defaultProvider = defaultProvider;
+    jest.restoreAllMocks();
+  });
+
+  it('should say math as words without breaking hyphens or decimals', () => {
+    expect(voiceNarrationService.optimizeScriptForSpeech('3 + 4 = 7. A step-by-step idea.', 'K-2'))
+      .toBe('three plus four equals seven... A step-by-step idea...');
+    expect(voiceNarrationService.optimizeScriptForSpeech('Is 3.5 - 2 = 1.5?', '6-8'))
+      .toBe('Is 3.5 minus 2 equals 1.5?');
+    expect(voiceNarrationService.optimizeScriptForSpeech('2 + 3 = 5', 'K-2', 'es'))
+      .toBe('2 más 3 es igual a 5');
+  });
+
+  it('should fall back to browser speech when the provider returns no audio', async () => {
+    voiceNarrationService.defaultProvider = 'elevenlabs';
+    const generateNarration = jest.spyOn(voiceNarrationService, 'generateNarration');
+    generateNarration.mockResolvedValueOnce({ audioUrl: null, provider: 'elevenlabs' });
+
+    const speech = await voiceNarrationService.narrateReply('**Great job!** You found it.', { gradeLevel: 1, locale: 'es' });
+
+    expect(generateNarration).toHaveBeenLastCalledWith('Great job! You found it.', expect.objectContaining({ provider: 'browser' }));
+    expect(speech).toMatchObject({
+      provider: 'browser',
+      audioUrl: null,
+      instructions: { rate: 0.9, pitch: 1.1, lang: 'es' },
+    });
+  });
+
+  it('should have nothing to say for an empty reply', async () => {
+    expect(await voiceNarrationService.narrateReply('')).toBeNull();
+  });
+});
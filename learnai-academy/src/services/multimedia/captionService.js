@@ -1,4 +1,3 @@
-import { groqClient } from '../ai/groqClient.js';
 import { logError, logInfo } from '../../lib/logger.js';
 
 /**
@@ -1,4 +1,6 @@
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { lessonVideoScriptSchema } from '../curriculum/outputSchemas.js';
 import { logError, logInfo } from '../../lib/logger.js';
 
 /**
@@ -83,7 +85,7 @@ class VideoGenerationService {
     // Generate captions if requested
     if (includeCaptions && videoData.videoUrl) {
       videoData.captions = await this.generateCaptions(videoData.videoUrl, script);
-      videoData.transcript = script.text || script;
+      videoData.transcript = script.script;
     }
 
     return videoData;
@@ -93,7 +95,8 @@ class VideoGenerationService {
    * Generate video script from lesson plan
    * @param {Object} lessonPlan - Lesson plan
    * @param {number} durationMinutes - Target duration
-   * @returns {Promise<Object>} Video script
+   * @returns {Promise<Object>} Video script ({ sections, totalDuration, visualCues, script })
+   * @throws {StructuredOutputError} When the model can't produce a valid script
    */
   async generateVideoScript(lessonPlan, durationMinutes = null) {
     const targetDuration = durationMinutes || lessonPlan.durationMinutes || 10;
@@ -123,22 +126,20 @@ Requirements:
 - Use engaging examples
 
 Format as JSON with:
-- sections: Array of sections with timing
+- sections: Array of { title, durationSeconds }
 - totalDuration: Total duration in seconds
 - visualCues: Array of visual descriptions
 - script: Full script text`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the video script as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], lessonVideoScriptSchema, {
+      name: 'video.script',
+      model: llmGateway.models.smart,
       temperature: 0.5,
       maxTokens: 3000,
     });
-
-    const scriptData = this.parseScript(response.content);
-    return scriptData;
   }
 
   /**
@@ -157,8 +158,8 @@ Format as JSON with:
 
     try {
       // D-ID API call (example - actual implementation depends on D-ID API)
-      const scriptText = typeof script === 'string' ? script : script.text || JSON.stringify(script);
-      
+      const scriptText = script.script;
+
       // Note: This is a placeholder. Actual D-ID API integration would be:
       /*
       const response = await fetch(`${this.providers.did.baseUrl}/talks`, {
@@ -270,8 +271,7 @@ Format as JSON with:
     // For now, generate captions from script
     // In production, would use video transcription service (OpenAI Whisper, etc.)
     
-    const scriptText = typeof script === 'string' ? script : script.text || JSON.stringify(script);
-    const words = scriptText.split(/\s+/);
+    const words = script.script.split(/\s+/);
     
     // Simple timing (rough estimate: 150 words per minute)
     const wordsPerMinute = 150;
@@ -314,21 +314,6 @@ Format as JSON with:
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${milliseconds.toString().padStart(3, '0')}`;
   }
 
-  /**
-   * Parse script from AI response
-   */
-  parseScript(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { text: content, sections: [] };
-    } catch (error) {
-      return { text: content, sections: [] };
-    }
-  }
-
   /**
    * Get default provider
    */
@@ -10,6 +10,61 @@ import { logError, logInfo } from '../../lib/logger.js';
  * - Browser TTS (Free, but limited)
  */
 
+// Math symbols read out as words
+const SPOKEN_SYMBOLS = {
+  en: { '=': 'equals', '+': 'plus', '-': 'minus', '*': 'times', '×': 'times', '/': 'divided by', '÷': 'divided by', '%': 'percent' },
+  es: { '=': 'es igual a', '+': 'más', '-': 'menos', '*': 'por', '×': 'por', '/': 'entre', '÷': 'entre', '%': 'por ciento' },
+};
+
+/**
+ * LaTeX math as plain symbols the speech step can read
+ */
+function latexToText(expression) {
+  return expression
+    .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, '$1 / $2')
+    .replace(/\\sqrt\{([^{}]*)\}/g, '√$1')
+    .replace(/\\(?:text|mathrm|mathbf)\{([^{}]*)\}/g, '$1')
+    .replace(/\\(?:times|cdot)/g, '×')
+    .replace(/\\div/g, '÷')
+    .replace(/\^\{?2\}?/g, '²')
+    .replace(/\^\{?3\}?/g, '³')
+    .replace(/\\[a-zA-Z]+/g, ' ')
+    .replace(/[{}]/g, '');
+}
+
+/**
+ * Turn a chat reply into plain text for speech: code blocks are dropped,
+ * LaTeX becomes plain math, markdown formatting and emoji are removed, and
+ * list items and headings become sentences.
+ * @param {string} text - Reply as shown in the chat
+ * @returns {string} Text to narrate (empty when nothing is left to say)
+ */
+export function toSpeechText(text = '') {
+  return String(text)
+    // Code is shown on screen, not read out
+    .replace(/```[\s\S]*?```/g, '\n')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\$\$([\s\S]*?)\$\$|\\\[([\s\S]*?)\\\]|\\\(([\s\S]*?)\\\)/g, (match, display, bracket, inline) => latexToText(display ?? bracket ?? inline))
+    // Inline $...$ only when it holds LaTeX markup, so "$5 and $10" stays money
+    .replace(/\$(?=\S)([^$\n]*[\\^_{}][^$\n]*)\$/g, (match, expression) => latexToText(expression))
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    // Tables: drop separator rows, read cells as a list
+    .replace(/^\s*\|?(?:\s*:?-{3,}:?\s*\|)+\s*:?-*:?\s*$/gm, '')
+    .replace(/[ \t]*\|[ \t]*/g, ', ')
+    .replace(/(\*\*|__|\*|_|~~)(?=\S)([^*_~\n]+?)\1/g, '$2')
+    .replace(/\p{Extended_Pictographic}\uFE0F?/gu, '')
+    .split('\n')
+    .map(line => line.trim().replace(/^,\s*|,\s*$/g, ''))
+    .filter(Boolean)
+    .map(line => (/[.!?:;…]$/.test(line) ? line : `${line}.`))
+    .join(' ')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
 class VoiceNarrationService {
   constructor() {
     // Provider configuration
@@ -78,6 +133,7 @@ class VoiceNarrationService {
       voice = null,
       speed = 1.0,
       pitch = 1.0,
+      locale = 'en',
     } = options;
 
     if (!this.providers[provider]?.enabled) {
@@ -88,7 +144,7 @@ class VoiceNarrationService {
     const selectedVoice = voice || this.providers[provider].voices?.[gradeBand] || 'default';
 
     // Optimize script for speech
-    const optimizedScript = this.optimizeScriptForSpeech(script, gradeBand);
+    const optimizedScript = this.optimizeScriptForSpeech(script, gradeBand, locale);
 
     // Generate audio based on provider
     let audioData;
@@ -103,7 +159,7 @@ class VoiceNarrationService {
         audioData = await this.generateWithAWS(optimizedScript, selectedVoice, { speed, pitch });
         break;
       case 'browser':
-        audioData = await this.generateWithBrowser(optimizedScript, { speed, pitch });
+        audioData = await this.generateWithBrowser(optimizedScript, { speed, pitch, locale });
         break;
       default:
         throw new Error(`Unsupported provider: ${provider}`);
@@ -118,27 +174,71 @@ class VoiceNarrationService {
     };
   }
 
+  /**
+   * Narrate a tutor reply in a voice session. The reply is turned into
+   * plain speech text first (see toSpeechText). The configured provider is
+   * tried first; if it fails or returns no audio, the result tells the
+   * client to speak the text with the browser's speech synthesis instead.
+   * @param {string} text - Reply as shown in the chat
+   * @param {Object} options - { gradeLevel, locale }
+   * @returns {Promise<Object|null>} { text, provider, audioUrl, durationSeconds, instructions }, or null when there is nothing to say
+   */
+  async narrateReply(text, options = {}) {
+    const { gradeLevel = 5, locale = 'en' } = options;
+
+    const script = toSpeechText(text);
+    if (!script) {
+      return null;
+    }
+
+    // A slower, warmer voice for young children
+    const voiceOptions = gradeLevel <= 2
+      ? { gradeLevel, locale, speed: 0.9, pitch: 1.1 }
+      : { gradeLevel, locale };
+
+    let narration = null;
+    if (this.defaultProvider !== 'browser') {
+      try {
+        narration = await this.generateNarration(script, { ...voiceOptions, provider: this.defaultProvider });
+      } catch (error) {
+        logError('Voice narration failed, falling back to browser TTS', error, { provider: this.defaultProvider });
+      }
+    }
+
+    if (!narration?.audioUrl) {
+      narration = await this.generateNarration(script, { ...voiceOptions, provider: 'browser' });
+    }
+
+    return {
+      text: narration.script,
+      provider: narration.provider,
+      audioUrl: narration.audioUrl,
+      durationSeconds: narration.durationSeconds,
+      instructions: narration.instructions || null,
+    };
+  }
+
   /**
    * Optimize script for speech
    * @param {string} script - Original script
    * @param {string} gradeBand - Grade band
+   * @param {string} locale - Language the script is in
    * @returns {string} Optimized script
    */
-  optimizeScriptForSpeech(script, gradeBand) {
+  optimizeScriptForSpeech(script, gradeBand, locale = 'en') {
+    const words = SPOKEN_SYMBOLS[locale] || SPOKEN_SYMBOLS.en;
     let optimized = script;
 
-    // Replace symbols with words
-    optimized = optimized.replace(/\s*=\s*/g, ' equals ');
-    optimized = optimized.replace(/\s*\+\s*/g, ' plus ');
-    optimized = optimized.replace(/\s*-\s*/g, ' minus ');
-    optimized = optimized.replace(/\s*\*\s*/g, ' times ');
-    optimized = optimized.replace(/\s*\/\s*/g, ' divided by ');
-    optimized = optimized.replace(/\s*%\s*/g, ' percent ');
-
-    // Replace numbers with words for K-2
-    if (gradeBand === 'K-2' || gradeBand === 'Pre-K' || gradeBand === 'Preschool') {
-      optimized = optimized.replace(/\b(\d+)\b/g, (match, num) => {
-        const number = parseInt(num);
+    // Replace symbols with words. Minus, times and divide only between
+    // numbers, so hyphens, asterisks and "and/or" are left alone.
+    optimized = optimized.replace(/\s*([=+×÷])\s*/g, (match, symbol) => ` ${words[symbol]} `);
+    optimized = optimized.replace(/(?<=\d)\s*([-*/])\s*(?=\d)/g, (match, symbol) => ` ${words[symbol]} `);
+    optimized = optimized.replace(/(?<=\d)\s*%/g, ` ${words['%']}`);
+
+    // Replace numbers with words for K-2 (whole numbers only, not decimals)
+    if (locale === 'en' && (gradeBand === 'K-2' || gradeBand === 'Pre-K' || gradeBand === 'Preschool')) {
+      optimized = optimized.replace(/(?<![\d.$^])\d+(?!\.?\d)/g, (match) => {
+        const number = parseInt(match);
         if (number <= 20) {
           return this.numberToWords(number);
         }
@@ -146,10 +246,8 @@ class VoiceNarrationService {
       });
     }
 
-    // Add pauses after periods
-    optimized = optimized.replace(/\./g, '...');
-    optimized = optimized.replace(/\?/g, '?');
-    optimized = optimized.replace(/!/g, '!');
+    // Add pauses after sentences (not decimal points)
+    optimized = optimized.replace(/\.(?=\s|$)/g, '...');
 
     // Break long sentences
     optimized = optimized.replace(/([^.!?]+[.!?])/g, (sentence) => {
@@ -160,7 +258,7 @@ class VoiceNarrationService {
       return sentence;
     });
 
-    return optimized;
+    return optimized.replace(/\s{2,}/g, ' ').trim();
   }
 
   /**
@@ -287,6 +385,7 @@ class VoiceNarrationService {
         text: script,
         rate: options.speed || 1.0,
         pitch: options.pitch || 1.0,
+        lang: options.locale || 'en',
       },
     };
   }
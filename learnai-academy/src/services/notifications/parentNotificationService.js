@@ -3,6 +3,7 @@ import { logInfo, logError } from '../../lib/logger.js';
 import { parentInvolvementService } from '../parent/parentInvolvementService.js';
 import { streakService } from '../study/streakService.js';
 import { progressTracker } from '../analytics/progressTracker.js';
+import { consentService, CONSENT_TYPES } from '../parent/consentService.js';
 
 /**
  * ParentNotificationService - Weekly progress emails and notifications
@@ -13,6 +14,9 @@ import { progressTracker } from '../analytics/progressTracker.js';
  * - Streak milestones
  * - Learning tips
  * - Home activity suggestions
+ *
+ * Progress, achievement and streak emails need the parent's EMAIL
+ * consent. Safeguarding alerts are always sent.
  */
 class ParentNotificationService {
   /**
@@ -41,6 +45,10 @@ class ParentNotificationService {
 
       const parent = student.user;
 
+      if (!(await consentService.hasConsent(studentId, CONSENT_TYPES.EMAIL))) {
+        return this.skipWithoutConsent(studentId, parent.id, 'weekly_progress');
+      }
+
       // Get weekly progress data
       const progressReport = await parentInvolvementService.generateProgressReport(
         studentId,
@@ -53,12 +61,16 @@ class ParentNotificationService {
       // Get recent achievements
       const recentAchievements = await this.getRecentAchievements(studentId, 7);
 
+      // Get recaps of this week's sessions
+      const sessionSummaries = await this.getRecentSessionSummaries(studentId, 7);
+
       // Generate email content
       const emailContent = this.generateWeeklyEmailContent({
         student,
         progressReport,
         streakInfo,
         recentAchievements,
+        sessionSummaries,
       });
 
       // Send email (or queue for sending)
@@ -112,6 +124,10 @@ class ParentNotificationService {
         throw new Error('Student or parent not found');
       }
 
+      if (!(await consentService.hasConsent(studentId, CONSENT_TYPES.EMAIL))) {
+        return this.skipWithoutConsent(studentId, student.user.id, 'achievement');
+      }
+
       const emailContent = this.generateAchievementEmailContent({
         student,
         achievement,
@@ -161,6 +177,10 @@ class ParentNotificationService {
         throw new Error('Student or parent not found');
       }
 
+      if (!(await consentService.hasConsent(studentId, CONSENT_TYPES.EMAIL))) {
+        return this.skipWithoutConsent(studentId, student.user.id, 'streak_milestone');
+      }
+
       const emailContent = this.generateStreakEmailContent({
         student,
         milestone,
@@ -191,10 +211,76 @@ class ParentNotificationService {
     }
   }
 
+  /**
+   * Alert the designated adults when a student discloses self-harm.
+   * Goes to the parent and, when configured, the school's safeguarding
+   * contact (SAFEGUARDING_CONTACT_EMAIL).
+   * @param {string} studentId - Student ID
+   * @param {Object} disclosure - { sessionId, message, categories, detectedAt }
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendSafeguardingAlert(studentId, disclosure) {
+    try {
+      const student = await prisma.student.findUnique({
+        where: { id: studentId },
+        include: {
+          user: true,
+        },
+      });
+
+      if (!student) {
+        throw new Error('Student not found');
+      }
+
+      const recipients = [student.user?.email, process.env.SAFEGUARDING_CONTACT_EMAIL]
+        .filter(Boolean);
+
+      if (recipients.length === 0) {
+        throw new Error('No designated adult to alert');
+      }
+
+      const emailContent = this.generateSafeguardingEmailContent({
+        student,
+        disclosure,
+      });
+
+      const results = await Promise.all(recipients.map(to => this.sendEmail({
+        to,
+        subject: `Important: please check in with ${student.firstName}`,
+        html: emailContent.html,
+        text: emailContent.text,
+      })));
+
+      const success = results.some(result => result.success);
+
+      await this.logNotification({
+        studentId,
+        parentId: student.user?.id,
+        type: 'safeguarding_alert',
+        status: success ? 'sent' : 'failed',
+        metadata: {
+          sessionId: disclosure.sessionId,
+          recipients: recipients.length,
+        },
+      });
+
+      return {
+        success,
+        message: 'Safeguarding alert sent',
+      };
+    } catch (error) {
+      logError('Error sending safeguarding alert', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate weekly email content
    */
-  generateWeeklyEmailContent({ student, progressReport, streakInfo, recentAchievements }) {
+  generateWeeklyEmailContent({ student, progressReport, streakInfo, recentAchievements, sessionSummaries = [] }) {
+    const misconceptions = [...new Set(sessionSummaries.flatMap(s => s.misconceptions))].slice(0, 3);
+    const nextTopics = [...new Set(sessionSummaries.map(s => s.suggestedNextTopic).filter(Boolean))].slice(0, 3);
+
     const html = `
       <!DOCTYPE html>
       <html>
@@ -209,6 +295,7 @@ class ParentNotificationService {
           .stat-value { color: #333; font-size: 32px; font-weight: bold; margin: 10px 0; }
           .achievement { background: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 10px 0; border-radius: 4px; }
           .tip-box { background: #e7f3ff; border-left: 4px solid #2196F3; padding: 15px; margin: 10px 0; border-radius: 4px; }
+          .session { background: white; border-left: 4px solid #667eea; padding: 15px; margin: 10px 0; border-radius: 4px; }
           .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
         </style>
       </head>
@@ -244,6 +331,23 @@ class ParentNotificationService {
               `).join('')}
             ` : ''}
 
+            ${sessionSummaries.length > 0 ? `
+              <h3>What ${student.firstName} Learned 📝</h3>
+              ${sessionSummaries.map(s => `
+                <div class="session">
+                  <strong>${s.topic}</strong>${s.problemsAttempted > 0 ? ` · ${s.problemsCorrect}/${s.problemsAttempted} correct` : ''}<br>
+                  ${s.summary}
+                </div>
+              `).join('')}
+              ${misconceptions.length > 0 ? `
+                <div class="tip-box">
+                  <h3>🔍 Worth Practising Together</h3>
+                  <ul>${misconceptions.map(m => `<li>${m}</li>`).join('')}</ul>
+                </div>
+              ` : ''}
+              ${nextTopics.length > 0 ? `<p><strong>Coming up next:</strong> ${nextTopics.join(', ')}</p>` : ''}
+            ` : ''}
+
             <div class="tip-box">
               <h3>💡 Learning Tip</h3>
               <p>${this.getWeeklyLearningTip(student.gradeLevel)}</p>
@@ -275,6 +379,9 @@ Days Active: ${streakInfo.daysActive}
 Current Streak: ${progressReport.streak || 0} days
 
 ${recentAchievements.length > 0 ? `Recent Achievements:\n${recentAchievements.map(a => `- ${a.name}`).join('\n')}\n` : ''}
+${sessionSummaries.length > 0 ? `What ${student.firstName} Learned:\n${sessionSummaries.map(s => `- ${s.topic}: ${s.summary}`).join('\n')}\n` : ''}
+${misconceptions.length > 0 ? `Worth Practising Together:\n${misconceptions.map(m => `- ${m}`).join('\n')}\n` : ''}
+${nextTopics.length > 0 ? `Coming Up Next: ${nextTopics.join(', ')}\n` : ''}
 
 Learning Tip: ${this.getWeeklyLearningTip(student.gradeLevel)}
 
@@ -387,6 +494,67 @@ View dashboard: ${process.env.NEXT_PUBLIC_APP_URL || 'https://learnai.academy'}/
     return { html, text };
   }
 
+  /**
+   * Generate safeguarding alert email content
+   */
+  generateSafeguardingEmailContent({ student, disclosure }) {
+    const detectedAt = new Date(disclosure.detectedAt || Date.now()).toLocaleString();
+    // The student's own words - escape before putting them in HTML
+    const quoted = String(disclosure.message || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #4a5568; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .quote { background: white; padding: 15px; border-left: 4px solid #e53e3e; margin: 15px 0; }
+          .resources { background: #ebf8ff; padding: 15px; border-radius: 8px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Please check in with ${student.firstName}</h1>
+          </div>
+          <div class="content">
+            <p>During a tutoring session on ${detectedAt}, <strong>${student.firstName}</strong> wrote something that suggests they may be thinking about hurting themselves.</p>
+            <div class="quote">${quoted}</div>
+            <p>The tutor responded with care, encouraged ${student.firstName} to talk to a trusted adult, and shared crisis resources. It did not continue the conversation on this topic.</p>
+            <div class="resources">
+              <h3>If you are worried about their immediate safety</h3>
+              <p>Call your local emergency number, or call or text <strong>988</strong> (Suicide &amp; Crisis Lifeline, US) to talk to a counselor any time.</p>
+            </div>
+            <p>Please talk with ${student.firstName} calmly and without judgement as soon as you can.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+Please check in with ${student.firstName}
+
+During a tutoring session on ${detectedAt}, ${student.firstName} wrote something that suggests they may be thinking about hurting themselves:
+
+"${disclosure.message}"
+
+The tutor responded with care, encouraged ${student.firstName} to talk to a trusted adult, and shared crisis resources. It did not continue the conversation on this topic.
+
+If you are worried about their immediate safety, call your local emergency number, or call or text 988 (Suicide & Crisis Lifeline, US) to talk to a counselor any time.
+
+Please talk with ${student.firstName} calmly and without judgement as soon as you can.
+    `;
+
+    return { html, text };
+  }
+
   /**
    * Get weekly learning tip
    */
@@ -419,6 +587,45 @@ View dashboard: ${process.env.NEXT_PUBLIC_APP_URL || 'https://learnai.academy'}/
     return activities[gradeBand] || activities['3-5'];
   }
 
+  /**
+   * Get recaps of recently ended sessions (see sessionSummarizer)
+   */
+  async getRecentSessionSummaries(studentId, days = 7) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - days);
+
+      const sessions = await prisma.learningSession.findMany({
+        where: {
+          studentId,
+          endedAt: {
+            gte: cutoffDate,
+          },
+        },
+        include: {
+          topic: true,
+        },
+        orderBy: {
+          endedAt: 'desc',
+        },
+        take: 10,
+      });
+
+      return sessions
+        .filter(session => session.sessionData?.summary)
+        .slice(0, 5)
+        .map(session => ({
+          sessionId: session.id,
+          topic: session.topic?.name || 'Learning session',
+          endedAt: session.endedAt,
+          ...session.sessionData.summary,
+        }));
+    } catch (error) {
+      logError('Error getting recent session summaries', error);
+      return [];
+    }
+  }
+
   /**
    * Get recent achievements
    */
@@ -523,6 +730,26 @@ View dashboard: ${process.env.NEXT_PUBLIC_APP_URL || 'https://learnai.academy'}/
     return '9-12';
   }
 
+  /**
+   * Log and report a notification not sent because the parent hasn't
+   * consented to emails
+   */
+  async skipWithoutConsent(studentId, parentId, type) {
+    await this.logNotification({
+      studentId,
+      parentId,
+      type,
+      status: 'skipped',
+      metadata: { reason: 'no_email_consent' },
+    });
+
+    return {
+      success: false,
+      skipped: true,
+      message: 'Parent has not consented to emails',
+    };
+  }
+
   /**
    * Schedule weekly reports for all students
    * This would typically run as a cron job
@@ -547,7 +774,7 @@ View dashboard: ${process.env.NEXT_PUBLIC_APP_URL || 'https://learnai.academy'}/
       for (const student of students) {
         try {
           const result = await this.sendWeeklyProgressReport(student.id);
-          results.push({ studentId: student.id, success: result.success });
+          results.push({ studentId: student.id, success: result.success, skipped: Boolean(result.skipped) });
         } catch (error) {
           logError(`Error sending report for student ${student.id}`, error);
           results.push({ studentId: student.id, success: false, error: error.message });
@@ -557,7 +784,8 @@ View dashboard: ${process.env.NEXT_PUBLIC_APP_URL || 'https://learnai.academy'}/
       return {
         total: students.length,
         sent: results.filter(r => r.success).length,
-        failed: results.filter(r => !r.success).length,
+        skipped: results.filter(r => r.skipped).length,
+        failed: results.filter(r => !r.success && !r.skipped).length,
         results,
       };
     } catch (error) {
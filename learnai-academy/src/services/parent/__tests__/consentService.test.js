@@ -0,0 +1,169 @@
+import {
+  consentService,
+  resolveConsents,
+  requiresParentalConsent,
+  ConsentRequiredError,
+  CONSENT_TYPES,
+  CONSENT_METHODS,
+  CONSENT_POLICY_VERSION,
+} from '../consentService.js';
+import prisma from '../../../lib/prisma.js';
+
+// Mock Prisma
+jest.mock('../../../lib/prisma.js', () => ({
+  __esModule: true,
+  default: {
+    student: {
+      findUnique: jest.fn(),
+    },
+    parentalConsent: {
+      findMany: jest.fn(),
+      createMany: jest.fn(),
+    },
+  },
+}));
+
+const yearsAgo = (years) => {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  date.setDate(date.getDate() - 1);
+  return date;
+};
+
+const decision = (consentType, granted, daysAgo = 1, studentId = 'student-1') => ({
+  studentId,
+  consentType,
+  granted,
+  createdAt: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000),
+  policyVersion: CONSENT_POLICY_VERSION,
+});
+
+describe('resolveConsents', () => {
+  it('should treat children under 13 and unknown ages as needing consent', () => {
+    expect(requiresParentalConsent(yearsAgo(9))).toBe(true);
+    expect(requiresParentalConsent(null)).toBe(true);
+    expect(requiresParentalConsent(yearsAgo(13))).toBe(false);
+  });
+
+  it('should default to no consent under 13 and consent from 13', () => {
+    expect(resolveConsents(yearsAgo(9))[CONSENT_TYPES.AI_CHAT].granted).toBe(false);
+    expect(resolveConsents(yearsAgo(14))[CONSENT_TYPES.AI_CHAT].granted).toBe(true);
+  });
+
+  it('should use the newest decision so a withdrawal takes effect', () => {
+    const consents = resolveConsents(yearsAgo(9), [
+      decision(CONSENT_TYPES.DATA_COLLECTION, true, 10),
+      decision(CONSENT_TYPES.AI_CHAT, false, 1),
+      decision(CONSENT_TYPES.AI_CHAT, true, 10),
+    ]);
+
+    expect(consents[CONSENT_TYPES.AI_CHAT].granted).toBe(false);
+    expect(consents[CONSENT_TYPES.DATA_COLLECTION].granted).toBe(true);
+    expect(consents[CONSENT_TYPES.EMAIL].decidedAt).toBeNull();
+  });
+
+  it('should let a parent withdraw consent for a teenager', () => {
+    const consents = resolveConsents(yearsAgo(15), [decision(CONSENT_TYPES.LEADERBOARD, false)]);
+
+    expect(consents[CONSENT_TYPES.LEADERBOARD].granted).toBe(false);
+    expect(consents[CONSENT_TYPES.AI_CHAT].granted).toBe(true);
+  });
+
+  it('should not count feature consent under 13 without data collection consent', () => {
+    const consents = resolveConsents(yearsAgo(9), [
+      decision(CONSENT_TYPES.DATA_COLLECTION, false, 1),
+      decision(CONSENT_TYPES.AI_CHAT, true, 5),
+    ]);
+
+    expect(consents[CONSENT_TYPES.AI_CHAT].granted).toBe(false);
+  });
+});
+
+describe('assertConsent', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.student.findUnique.mockResolvedValue({ id: 'student-1', birthDate: yearsAgo(8) });
+  });
+
+  it('should refuse a feature the parent has not consented to', async () => {
+    prisma.parentalConsent.findMany.mockResolvedValue([decision(CONSENT_TYPES.DATA_COLLECTION, true)]);
+
+    await expect(consentService.assertConsent('student-1', CONSENT_TYPES.VOICE_RECORDING))
+      .rejects.toMatchObject({ code: 'CONSENT_REQUIRED', statusCode: 403, consentType: CONSENT_TYPES.VOICE_RECORDING });
+    await expect(consentService.assertConsent('student-1', CONSENT_TYPES.AI_CHAT))
+      .rejects.toBeInstanceOf(ConsentRequiredError);
+  });
+
+  it('should allow a consented feature', async () => {
+    prisma.parentalConsent.findMany.mockResolvedValue([
+      decision(CONSENT_TYPES.DATA_COLLECTION, true),
+      decision(CONSENT_TYPES.AI_CHAT, true),
+    ]);
+
+    await expect(consentService.assertConsent('student-1', CONSENT_TYPES.AI_CHAT)).resolves.toBeUndefined();
+  });
+});
+
+describe('filterConsented', () => {
+  it('should keep teenagers and consented children only', async () => {
+    prisma.parentalConsent.findMany.mockResolvedValue([
+      decision(CONSENT_TYPES.DATA_COLLECTION, true, 1, 'child-yes'),
+      decision(CONSENT_TYPES.LEADERBOARD, true, 1, 'child-yes'),
+      decision(CONSENT_TYPES.DATA_COLLECTION, true, 1, 'child-no'),
+    ]);
+
+    const kept = await consentService.filterConsented([
+      { id: 'child-yes', birthDate: yearsAgo(10) },
+      { id: 'child-no', birthDate: yearsAgo(10) },
+      { id: 'teen', birthDate: yearsAgo(15) },
+    ], CONSENT_TYPES.LEADERBOARD);
+
+    expect(kept.map(student => student.id)).toEqual(['child-yes', 'teen']);
+  });
+});
+
+describe('recordConsents', () => {
+  it('should append one row per decision with how the parent was verified', async () => {
+    prisma.student.findUnique.mockResolvedValue({ id: 'student-1', birthDate: yearsAgo(8) });
+    prisma.parentalConsent.findMany.mockResolvedValue([]);
+
+    await consentService.recordConsents('student-1', 'parent-user', {
+      DATA_COLLECTION: true,
+      AI_CHAT: true,
+      VOICE_RECORDING: false,
+      MADE_UP: true,
+    }, { method: CONSENT_METHODS.PASSWORD_CONFIRMATION, ipAddress: '10.0.0.1' });
+
+    const { data } = prisma.parentalConsent.createMany.mock.calls[0][0];
+    expect(data).toHaveLength(3);
+    expect(data[2]).toEqual({
+      studentId: 'student-1',
+      parentId: 'parent-user',
+      consentType: CONSENT_TYPES.VOICE_RECORDING,
+      granted: false,
+      method: CONSENT_METHODS.PASSWORD_CONFIRMATION,
+      policyVersion: CONSENT_POLICY_VERSION,
+      ipAddress: '10.0.0.1',
+      userAgent: null,
+    });
+  });
+});
+
+describe('historyToCsv', () => {
+  it('should quote fields and neutralise spreadsheet formulas', () => {
+    const csv = consentService.historyToCsv([{
+      createdAt: new Date('2026-09-01T12:00:00Z'),
+      consentType: CONSENT_TYPES.EMAIL,
+      granted: false,
+      parentId: 'parent-user',
+      method: CONSENT_METHODS.PASSWORD_CONFIRMATION,
+      policyVersion: CONSENT_POLICY_VERSION,
+      ipAddress: null,
+      userAgent: '=HYPERLINK("x"), Chrome',
+    }]);
+
+    const [header, row] = csv.split('\n');
+    expect(header).toBe('date,consent,decision,parent_id,method,policy_version,ip_address,user_agent');
+    expect(row).toBe(`2026-09-01T12:00:00.000Z,EMAIL,withdrawn,parent-user,PASSWORD_CONFIRMATION,${CONSENT_POLICY_VERSION},,"'=HYPERLINK(""x""), Chrome"`);
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Parental Consent
+ *
+ * Parents create their children's profiles. For a child under 13 (or with
+ * no birth date) the parent must consent to data collection before the
+ * profile exists, and to each feature separately: AI chat, voice
+ * recording, leaderboard visibility and email. Consent is checked when
+ * the feature is used, so withdrawing it takes effect on the next request.
+ *
+ * Decisions are appended to ParentalConsent and never changed; the newest
+ * decision for a type is the one in force, and the full history can be
+ * exported.
+ *
+ * Schema: prisma/schema-parental-consent.prisma
+ */
+
+import bcrypt from 'bcryptjs';
+import prisma from '../../lib/prisma.js';
+import { ageFromBirthDate } from '../ai/moderation/policies.js';
+
+export const CONSENT_TYPES = {
+  DATA_COLLECTION: 'DATA_COLLECTION',
+  AI_CHAT: 'AI_CHAT',
+  VOICE_RECORDING: 'VOICE_RECORDING',
+  LEADERBOARD: 'LEADERBOARD',
+  EMAIL: 'EMAIL',
+};
+
+export const CONSENT_METHODS = {
+  PASSWORD_CONFIRMATION: 'PASSWORD_CONFIRMATION',
+};
+
+// Children under this age need verifiable parental consent
+export const CONSENT_AGE = 13;
+
+// Bump when the privacy notice parents agree to changes
+export const CONSENT_POLICY_VERSION = '2026-10';
+
+const FEATURE_NAMES = {
+  [CONSENT_TYPES.DATA_COLLECTION]: 'Using LearnAI Academy',
+  [CONSENT_TYPES.AI_CHAT]: 'Chatting with the AI tutor',
+  [CONSENT_TYPES.VOICE_RECORDING]: 'Talking to the tutor by voice',
+  [CONSENT_TYPES.LEADERBOARD]: 'Appearing on leaderboards',
+  [CONSENT_TYPES.EMAIL]: 'Progress emails',
+};
+
+export class ConsentRequiredError extends Error {
+  constructor(consentType) {
+    super(`${FEATURE_NAMES[consentType]} needs a parent's permission`);
+    this.name = 'ConsentRequiredError';
+    this.code = 'CONSENT_REQUIRED';
+    this.statusCode = 403;
+    this.consentType = consentType;
+  }
+}
+
+/**
+ * Whether a child needs a parent's consent. An unknown birth date counts
+ * as under 13.
+ */
+export function requiresParentalConsent(birthDate, now = new Date()) {
+  const age = ageFromBirthDate(birthDate, now);
+  return age === null || age < CONSENT_AGE;
+}
+
+/**
+ * The consent in force for each type, from a student's decisions
+ * @param {Date|string|null} birthDate
+ * @param {Array} records - ParentalConsent rows for the student, any order
+ * @returns {Object} { [type]: { granted, decidedAt, policyVersion } };
+ *   decidedAt is null where no parent has decided
+ */
+export function resolveConsents(birthDate, records = []) {
+  const needsConsent = requiresParentalConsent(birthDate);
+  const newestFirst = [...records].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  const consents = {};
+  for (const type of Object.values(CONSENT_TYPES)) {
+    const latest = newestFirst.find(record => record.consentType === type);
+    consents[type] = {
+      granted: latest ? latest.granted : !needsConsent,
+      decidedAt: latest?.createdAt || null,
+      policyVersion: latest?.policyVersion || null,
+    };
+  }
+
+  // Without data collection consent no other consent counts
+  if (needsConsent && !consents[CONSENT_TYPES.DATA_COLLECTION].granted) {
+    for (const type of Object.values(CONSENT_TYPES)) {
+      consents[type] = { ...consents[type], granted: false };
+    }
+  }
+
+  return consents;
+}
+
+function csvField(value) {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  // Stop spreadsheets reading a user agent as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class ConsentService {
+  /**
+   * A student's consents
+   * @param {string} studentId
+   * @returns {Promise<Object|null>} { requiresParentalConsent, consents }
+   *   (see resolveConsents), or null when the student doesn't exist
+   */
+  async getConsents(studentId) {
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { id: true, birthDate: true },
+    });
+    if (!student) return null;
+
+    const records = await prisma.parentalConsent.findMany({
+      where: { studentId },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return {
+      requiresParentalConsent: requiresParentalConsent(student.birthDate),
+      consents: resolveConsents(student.birthDate, records),
+    };
+  }
+
+  /**
+   * Whether a student may use a feature
+   * @param {string} studentId
+   * @param {string} consentType - One of CONSENT_TYPES
+   */
+  async hasConsent(studentId, consentType) {
+    const result = await this.getConsents(studentId);
+    return Boolean(result?.consents[consentType].granted);
+  }
+
+  /**
+   * @throws {ConsentRequiredError} When the student may not use the feature
+   */
+  async assertConsent(studentId, consentType) {
+    if (!(await this.hasConsent(studentId, consentType))) {
+      throw new ConsentRequiredError(consentType);
+    }
+  }
+
+  /**
+   * Keep the students who may use a feature, in one query
+   * @param {Array} students - Student records with id and birthDate
+   * @param {string} consentType - One of CONSENT_TYPES
+   */
+  async filterConsented(students, consentType) {
+    if (students.length === 0) return [];
+
+    const records = await prisma.parentalConsent.findMany({
+      where: {
+        studentId: { in: students.map(student => student.id) },
+        consentType: { in: [CONSENT_TYPES.DATA_COLLECTION, consentType] },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return students.filter(student => {
+      const own = records.filter(record => record.studentId === student.id);
+      return resolveConsents(student.birthDate, own)[consentType].granted;
+    });
+  }
+
+  /**
+   * Verify it's the parent deciding, not a child on their signed-in
+   * device, by asking for the account password again
+   * @returns {Promise<boolean>}
+   */
+  async verifyParentPassword(parentId, password) {
+    if (!password) return false;
+
+    const parent = await prisma.user.findUnique({
+      where: { id: parentId },
+      select: { password_hash: true },
+    });
+    if (!parent?.password_hash) return false;
+
+    return bcrypt.compare(password, parent.password_hash);
+  }
+
+  /**
+   * Record a parent's decisions. Types left out are unchanged.
+   * @param {string} studentId
+   * @param {string} parentId - users.id of the parent, already verified
+   * @param {Object} decisions - { [type]: boolean }
+   * @param {Object} options
+   * @param {string} options.method - One of CONSENT_METHODS
+   * @param {string} [options.ipAddress]
+   * @param {string} [options.userAgent]
+   * @returns {Promise<Object>} The student's consents afterwards
+   */
+  async recordConsents(studentId, parentId, decisions, { method, ipAddress = null, userAgent = null }) {
+    const data = Object.entries(decisions)
+      .filter(([type, granted]) => CONSENT_TYPES[type] && typeof granted === 'boolean')
+      .map(([consentType, granted]) => ({
+        studentId,
+        parentId,
+        consentType,
+        granted,
+        method,
+        policyVersion: CONSENT_POLICY_VERSION,
+        ipAddress,
+        userAgent,
+      }));
+
+    if (data.length > 0) {
+      await prisma.parentalConsent.createMany({ data });
+    }
+
+    return this.getConsents(studentId);
+  }
+
+  /**
+   * Every decision made for a student, oldest first
+   */
+  async getHistory(studentId) {
+    return prisma.parentalConsent.findMany({
+      where: { studentId },
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+
+  /**
+   * Consent history as CSV, for schools' records
+   * @param {Array} records - From getHistory
+   */
+  historyToCsv(records) {
+    const header = ['date', 'consent', 'decision', 'parent_id', 'method', 'policy_version', 'ip_address', 'user_agent'];
+    const rows = records.map(record => [
+      record.createdAt,
+      record.consentType,
+      record.granted ? 'granted' : 'withdrawn',
+      record.parentId,
+      record.method,
+      record.policyVersion,
+      record.ipAddress,
+      record.userAgent,
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+  }
+}
+
+export const consentService = new ConsentService();
+export default consentService;
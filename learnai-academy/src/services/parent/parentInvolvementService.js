@@ -1,5 +1,12 @@
 import prisma from '../../lib/prisma.js';
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import {
+  homeActivitySchema,
+  learningTipsSchema,
+  parentInsightsSchema,
+  parentRecommendationsSchema,
+} from '../curriculum/outputSchemas.js';
 import { logInfo, logError } from '../../lib/logger.js';
 
 /**
@@ -167,23 +174,22 @@ Requirements:
 Provide:
 - name: Activity name
 - description: What to do
-- materials: Simple materials list
-- instructions: Step-by-step (parent-friendly)
+- materials: Array of simple materials
+- instructions: Array of steps (parent-friendly)
 - learningGoal: What it teaches
-- tips: Tips for success
+- tips: Array of tips for success
 
 Format as JSON.`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate the home activity as JSON.' },
-    ], {
-      model: groqClient.models.smart,
+    ], homeActivitySchema, {
+      name: 'parent.homeActivity',
+      model: llmGateway.models.smart,
       temperature: 0.6,
       maxTokens: 1500,
     });
-
-    return this.parseJSON(response.content);
   }
 
   /**
@@ -233,18 +239,20 @@ Create tips that:
 - Help with ${performanceLevel === 'struggling' ? 'challenges' : performanceLevel === 'advanced' ? 'advanced learning' : 'general progress'}
 - Encourage positive learning habits
 
-Format as JSON array of tips.`;
+Format as a JSON array of objects with:
+- tip: The tip, in one or two sentences
+- category: What it helps with (e.g. "routine", "motivation", "practice")`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: `Generate ${count} learning tips as JSON array.` },
-    ], {
-      model: groqClient.models.smart,
+    ], learningTipsSchema, {
+      name: 'parent.learningTips',
+      model: llmGateway.models.smart,
       temperature: 0.7,
       maxTokens: 2000,
+      billing: { studentId },
     });
-
-    return this.parseTips(response.content);
   }
 
   /**
@@ -383,18 +391,20 @@ Create insights that:
 - Are specific and actionable
 - Use simple language for parents
 
-Format as JSON array.`;
+Format as a JSON array of objects with:
+- insight: The insight, in one or two sentences
+- type: "strength" or "growth"`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate insights as JSON array.' },
-    ], {
-      model: groqClient.models.smart,
+    ], parentInsightsSchema, {
+      name: 'parent.insights',
+      model: llmGateway.models.smart,
       temperature: 0.7,
       maxTokens: 1500,
+      billing: { studentId: student.id },
     });
-
-    return this.parseJSON(response.content);
   }
 
   /**
@@ -416,18 +426,20 @@ Create recommendations that:
 - Encourage continued learning
 - Include specific next steps
 
-Format as JSON array.`;
+Format as a JSON array of objects with:
+- recommendation: What to focus on
+- nextStep: One concrete thing to do next`;
 
-    const response = await groqClient.chat([
+    return structuredOutput.generate([
       { role: 'system', content: prompt },
       { role: 'user', content: 'Generate recommendations as JSON array.' },
-    ], {
-      model: groqClient.models.smart,
+    ], parentRecommendationsSchema, {
+      name: 'parent.recommendations',
+      model: llmGateway.models.smart,
       temperature: 0.7,
       maxTokens: 1500,
+      billing: { studentId: student.id },
     });
-
-    return this.parseJSON(response.content);
   }
 
   /**
@@ -494,40 +506,6 @@ Format as JSON array.`;
     if (grade <= 8) return '6-8';
     return '9-12';
   }
-
-  /**
-   * Parse JSON
-   */
-  parseJSON(content) {
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/) || content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return { raw: content };
-    } catch (error) {
-      return { raw: content };
-    }
-  }
-
-  /**
-   * Parse tips
-   */
-  parseTips(content) {
-    try {
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      // Fallback: create array from text
-      const lines = content.split('\n').filter(l => l.trim().match(/^[-*•]\s+/));
-      return lines.map(line => ({
-        tip: line.replace(/^[-*•]\s+/, '').trim(),
-      }));
-    } catch (error) {
-      return [{ tip: content }];
-    }
-  }
 }
 
 export const parentInvolvementService = new ParentInvolvementService();
@@ -1,5 +1,7 @@
 import prisma from '../../lib/prisma.js';
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { contentReviewSchema } from '../curriculum/outputSchemas.js';
 import { logInfo, logError } from '../../lib/logger.js';
 
 /**
@@ -160,21 +162,21 @@ Provide:
 Format as JSON.`;
 
     try {
-      const response = await groqClient.chat([
+      const result = await structuredOutput.generate([
         { role: 'system', content: prompt },
         { role: 'user', content: 'Evaluate age-appropriateness as JSON.' },
-      ], {
-        model: groqClient.models.smart,
+      ], contentReviewSchema, {
+        name: 'quality.ageAppropriateness',
+        model: llmGateway.models.smart,
         temperature: 0.3,
         maxTokens: 1000,
       });
 
-      const result = this.parseJSON(response.content);
       return {
-        score: result.score || 0.8,
-        passed: result.passed !== false,
-        issues: result.issues || [],
-        recommendations: result.recommendations || [],
+        score: result.score,
+        passed: result.passed,
+        issues: result.issues,
+        recommendations: result.recommendations,
       };
     } catch (error) {
       logError('Age-appropriateness check error', error);
@@ -215,21 +217,21 @@ Provide:
 Format as JSON.`;
 
     try {
-      const response = await groqClient.chat([
+      const result = await structuredOutput.generate([
         { role: 'system', content: prompt },
         { role: 'user', content: 'Evaluate language and clarity as JSON.' },
-      ], {
-        model: groqClient.models.smart,
+      ], contentReviewSchema, {
+        name: 'quality.language',
+        model: llmGateway.models.smart,
         temperature: 0.3,
         maxTokens: 1000,
       });
 
-      const result = this.parseJSON(response.content);
       return {
-        score: result.score || 0.8,
-        passed: result.passed !== false,
-        issues: result.issues || [],
-        recommendations: result.recommendations || [],
+        score: result.score,
+        passed: result.passed,
+        issues: result.issues,
+        recommendations: result.recommendations,
       };
     } catch (error) {
       logError('Language check error', error);
@@ -273,21 +275,21 @@ Provide:
 Format as JSON.`;
 
     try {
-      const response = await groqClient.chat([
+      const result = await structuredOutput.generate([
         { role: 'system', content: prompt },
         { role: 'user', content: 'Evaluate educational value as JSON.' },
-      ], {
-        model: groqClient.models.smart,
+      ], contentReviewSchema, {
+        name: 'quality.educationalValue',
+        model: llmGateway.models.smart,
         temperature: 0.3,
         maxTokens: 1000,
       });
 
-      const result = this.parseJSON(response.content);
       return {
-        score: result.score || 0.8,
-        passed: result.passed !== false,
-        issues: result.issues || [],
-        recommendations: result.recommendations || [],
+        score: result.score,
+        passed: result.passed,
+        issues: result.issues,
+        recommendations: result.recommendations,
       };
     } catch (error) {
       logError('Educational value check error', error);
@@ -444,21 +446,6 @@ Format as JSON.`;
     if (grade <= 8) return '6-8';
     return '9-12';
   }
-
-  /**
-   * Parse JSON
-   */
-  parseJSON(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return {};
-    } catch (error) {
-      return {};
-    }
-  }
 }
 
 export const contentValidationService = new ContentValidationService();
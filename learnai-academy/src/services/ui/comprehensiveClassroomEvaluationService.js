@@ -1,4 +1,6 @@
-import { groqClient } from '../ai/groqClient.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { classroomRecommendationsSchema } from '../curriculum/outputSchemas.js';
 import { logInfo, logError } from '../../lib/logger.js';
 
 /**
@@ -1174,24 +1176,23 @@ EVALUATION RESULTS:
 ${JSON.stringify(evaluations, null, 2)}
 
 Provide:
-1. Top 5 priority recommendations
-2. Quick wins (easy to implement)
-3. Long-term improvements
-4. Expert insights from educational research
+- priorities: Top 5 priority recommendations
+- quickWins: Quick wins (easy to implement)
+- longTerm: Long-term improvements
+- insights: Expert insights from educational research
 
 Format as JSON.`;
 
     try {
-      const response = await groqClient.chat([
+      return await structuredOutput.generate([
         { role: 'system', content: prompt },
         { role: 'user', content: 'Generate expert recommendations as JSON.' },
-      ], {
-        model: groqClient.models.smart,
+      ], classroomRecommendationsSchema, {
+        name: 'classroom.recommendations',
+        model: llmGateway.models.smart,
         temperature: 0.5,
         maxTokens: 2000,
       });
-
-      return this.parseJSON(response.content);
     } catch (error) {
       logError('Expert recommendations error', error);
       return {
@@ -1250,18 +1251,6 @@ Format as JSON.`;
     if (grade <= 8) return '11-14 years';
     return '14-18 years';
   }
-
-  parseJSON(content) {
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      return {};
-    } catch (error) {
-      return {};
-    }
-  }
 }
 
 export const comprehensiveClassroomEvaluationService = new ComprehensiveClassroomEvaluationService();
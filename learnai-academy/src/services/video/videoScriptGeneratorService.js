@@ -1,4 +1,6 @@
-import { agentOrchestrator } from '../ai/agentOrchestrator.js';
+import { llmGateway } from '../ai/llmGateway.js';
+import { structuredOutput } from '../ai/structuredOutput.js';
+import { topicVideoScriptSchema } from '../curriculum/outputSchemas.js';
 import prisma from '../../lib/prisma.js';
 
 /**
@@ -22,14 +24,19 @@ class VideoScriptGeneratorService {
    * @returns {Promise<Object>} Generated script with timestamps
    */
   async generateScript(topic, gradeLevel, subjectSlug, studentContext = null, durationMinutes = 10) {
-    const agent = agentOrchestrator.getAgent(subjectSlug);
-    
     // Build prompt for script generation
     const prompt = this.buildScriptPrompt(topic, gradeLevel, subjectSlug, studentContext, durationMinutes);
     
     try {
-      const response = await agent.generateContent(prompt);
-      const scriptData = this.parseScriptResponse(response);
+      const scriptData = await structuredOutput.generate([
+        { role: 'system', content: prompt },
+        { role: 'user', content: `Generate the video script for ${topic} as JSON.` },
+      ], topicVideoScriptSchema, {
+        name: 'video.topicScript',
+        model: llmGateway.models.smart,
+        temperature: 0.5,
+        maxTokens: 3000,
+      });
       
       // Add timing markers
       const scriptWithTimings = this.addTimingMarkers(scriptData, durationMinutes);
@@ -101,42 +108,6 @@ Return as JSON:
 }`;
   }
 
-  /**
-   * Parse script response from AI
-   */
-  parseScriptResponse(response) {
-    try {
-      // Try to extract JSON from response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      // Fallback: structure the text response
-      return this.structureTextResponse(response);
-    } catch (error) {
-      console.error('Error parsing script response:', error);
-      return this.structureTextResponse(response);
-    }
-  }
-
-  /**
-   * Structure plain text response
-   */
-  structureTextResponse(text) {
-    return {
-      introduction: text.substring(0, 200),
-      objectives: ['Learn the concept', 'Practice with examples'],
-      explanation: {
-        mainConcept: text.substring(200, 800),
-        examples: [{ text: text.substring(800, 1200), visualCue: 'Show diagram' }],
-      },
-      workedExamples: [{ problem: 'Example problem', solution: 'Step-by-step solution', visualCue: 'Show steps' }],
-      practiceProblems: [{ problem: 'Practice problem', solution: 'Answer', hint: 'Hint' }],
-      summary: text.substring(text.length - 200),
-      nextSteps: 'Continue practicing',
-    };
-  }
-
   /**
    * Add timing markers to script
    */